@@ -36,6 +36,31 @@ function validateEnvironmentVariables() {
   return true;
 }
 
+// Sync backend: Firebase, or a self-hosted server (see server/sync-server.js)
+const SYNC_PROVIDERS = ['firebase', 'self-hosted'];
+const syncProvider = import.meta.env.VITE_SYNC_PROVIDER || 'firebase';
+const syncServerUrl = import.meta.env.VITE_SYNC_SERVER_URL || null;
+
+function validateSyncServerVariables() {
+  if (!SYNC_PROVIDERS.includes(syncProvider)) {
+    throw new Error(
+      `Invalid VITE_SYNC_PROVIDER "${syncProvider}". Use one of: ${SYNC_PROVIDERS.join(', ')}`
+    );
+  }
+  if (syncProvider !== 'self-hosted') return true;
+
+  if (!syncServerUrl) {
+    throw new Error(
+      'Missing required environment variable: VITE_SYNC_SERVER_URL\n' +
+        'Set it to the address of your sync server when VITE_SYNC_PROVIDER is self-hosted.'
+    );
+  }
+  if (!/^https?:\/\/.+/.test(syncServerUrl)) {
+    throw new Error('Invalid sync server URL format');
+  }
+  return true;
+}
+
 // Validate environment variables on import
 let validationPassed = false;
 let localMode = false;
@@ -55,6 +80,10 @@ try {
   // env vars may be forced into localMode which changes downstream behavior.
   if (import.meta.env.MODE === 'test') {
     validationPassed = true;
+  } else if (syncProvider !== 'firebase') {
+    // Self-hosted sync needs no Firebase configuration
+    validateSyncServerVariables();
+    validationPassed = true;
   } else if (!hasAnyFirebaseVars) {
     // No Firebase env vars at all → local-only mode
     localMode = true;
@@ -176,9 +205,18 @@ export const config = {
   validationPassed,
   localMode,
 
+  // Sync backend (validated)
+  sync: {
+    provider: syncProvider,
+    serverUrl: syncServerUrl,
+  },
+
   // Firebase configuration (validated)
   firebase:
-    validationPassed && import.meta.env.MODE !== 'test' && !localMode
+    validationPassed &&
+    import.meta.env.MODE !== 'test' &&
+    !localMode &&
+    syncProvider === 'firebase'
       ? {
           apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
           authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
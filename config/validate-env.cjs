@@ -53,7 +53,7 @@ if (fs.existsSync(envPath)) {
   });
 }
 
-const requiredVars = [
+const firebaseVars = [
   'VITE_FIREBASE_API_KEY',
   'VITE_FIREBASE_AUTH_DOMAIN',
   'VITE_FIREBASE_PROJECT_ID',
@@ -63,7 +63,12 @@ const requiredVars = [
   'VITE_FIREBASE_MEASUREMENT_ID',
 ];
 
+// A self-hosted sync server (server/sync-server.js) replaces Firebase
+const isSelfHosted = () => process.env.VITE_SYNC_PROVIDER === 'self-hosted';
+const requiredVars = isSelfHosted() ? ['VITE_SYNC_SERVER_URL'] : firebaseVars;
+
 const optionalVars = [
+  'VITE_SYNC_PROVIDER',
   'NODE_ENV',
   'NETLIFY_AUTH_TOKEN',
   'NETLIFY_SITE_ID',
@@ -121,7 +126,9 @@ function validateEnvironment() {
   }
 
   // Validate Firebase configuration format
-  validateFirebaseConfig();
+  if (!isSelfHosted()) {
+    validateFirebaseConfig();
+  }
 }
 
 function validateFirebaseConfig() {
@@ -103,7 +103,12 @@ export default [
     },
   },
   {
-    files: ['**/*.config.js', 'scripts/**/*.js', '.stylelintrc.js'],
+    files: [
+      '**/*.config.js',
+      'scripts/**/*.js',
+      'server/**/*.js',
+      '.stylelintrc.js',
+    ],
     languageOptions: {
       globals: {
         process: 'readonly',
@@ -0,0 +1,615 @@
+/**
+ * BlinkBudget Sync Server
+ * Reference backend for the self-hosted sync provider
+ * (src/core/sync-providers/self-hosted-provider.js). No dependencies beyond
+ * Node.js: accounts and documents live in memory and are saved to a JSON
+ * file, and changes are announced over a WebSocket.
+ *
+ * Usage:
+ *   node server/sync-server.js                       start the server
+ *   node server/sync-server.js set-password <email> <password>
+ *
+ * Environment:
+ *   PORT                 listening port (default 8787)
+ *   SYNC_DATA_FILE       where data is saved (default ./sync-data.json)
+ *   SYNC_ALLOWED_ORIGIN  origin allowed by CORS (default *)
+ *   SYNC_ALLOW_SIGNUP    set to false to turn off sign-up
+ *   SYNC_SIGNUP_EMAILS   comma-separated invite list; when set, only these
+ *                        emails can sign up
+ *
+ * API (JSON; errors are { error: { code, message } }):
+ *   POST   /v1/auth/signup | /v1/auth/login  { email, password } → { token, user }
+ *   POST   /v1/auth/logout
+ *   GET    /v1/auth/session                  → { user }
+ *   GET    /v1/documents/{path}              → { data, syncedAt }
+ *   PUT    /v1/documents/{path}              { data, merge, serverTimeField }
+ *          merge deep-merges nested objects like Firestore; arrays are replaced
+ *   DELETE /v1/documents/{path}
+ *   GET    /v1/collections/{path}?changedSince=&limit= → { documents }
+ *   POST   /v1/collections/{path}            { documents: [{ id, data }] }
+ *   WS     /v1/watch  send { type: 'auth', token }, receive
+ *                     { type: 'change', path, origin }; sockets sending
+ *                     more than a small message before auth are closed
+ *
+ * Paths follow Firestore's layout and a user can only reach
+ * `users/{their uid}/...`. Put the server behind HTTPS in production.
+ */
+
+import { createServer } from 'node:http';
+import {
+  createHash,
+  randomBytes,
+  randomUUID,
+  scrypt,
+  timingSafeEqual,
+} from 'node:crypto';
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { promisify } from 'node:util';
+import { pathToFileURL } from 'node:url';
+
+const scryptAsync = promisify(scrypt);
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const MIN_PASSWORD_LENGTH = 8;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SESSION_SWEEP_MS = 60 * 60 * 1000;
+const MAX_WS_AUTH_BYTES = 4 * 1024;
+const MAX_WS_MESSAGE_BYTES = 64 * 1024;
+const SAVE_DELAY_MS = 500;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const hashToken = token => createHash('sha256').update(token).digest('hex');
+
+const hashPassword = async (password, salt) =>
+  (await scryptAsync(password, salt, 64)).toString('hex');
+
+const isPlainObject = value =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Firestore's set with merge: nested maps merge, everything else replaces
+const mergeDeep = (target, source) => {
+  const merged = { ...target };
+  Object.entries(source || {}).forEach(([key, value]) => {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(merged[key])
+        ? mergeDeep(merged[key], value)
+        : value;
+  });
+  return merged;
+};
+
+const publicUser = ({ uid, email, createdAt, lastLoginAt }) => ({
+  uid,
+  email,
+  displayName: null,
+  photoURL: null,
+  metadata: { creationTime: createdAt, lastSignInTime: lastLoginAt },
+});
+
+/**
+ * Accounts, sessions and documents, saved to a JSON file after changes
+ * @param {string|null} dataFile - Save location, null to keep data in memory
+ */
+const createStore = dataFile => {
+  const saved =
+    dataFile && existsSync(dataFile)
+      ? JSON.parse(readFileSync(dataFile, 'utf8'))
+      : {};
+  // Keyed by client input (emails, token hashes, paths), so no prototype:
+  // a key like "constructor" must not find Object.prototype members
+  const data = {
+    users: Object.assign(Object.create(null), saved.users),
+    sessions: Object.assign(Object.create(null), saved.sessions),
+    documents: Object.assign(Object.create(null), saved.documents),
+  };
+  let saveTimer = null;
+  let lastTime = 0;
+
+  const save = () => {
+    if (!dataFile || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      // Write then rename, so a crash never leaves a truncated file
+      writeFileSync(`${dataFile}.tmp`, JSON.stringify(data));
+      renameSync(`${dataFile}.tmp`, dataFile);
+    }, SAVE_DELAY_MS);
+  };
+
+  return {
+    data,
+    save,
+    // Strictly increasing, so change cursors never skip a write
+    now() {
+      lastTime = Math.max(Date.now(), lastTime + 1);
+      return lastTime;
+    },
+    flush() {
+      if (!saveTimer) return;
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      writeFileSync(dataFile, JSON.stringify(data));
+    },
+  };
+};
+
+/**
+ * Set a user's password from the command line
+ * @param {string} dataFile - Data file of the server
+ * @param {string} email - Account email
+ * @param {string} password - New password
+ */
+export const setPassword = async (dataFile, email, password) => {
+  const store = createStore(dataFile);
+  const user = store.data.users[String(email).toLowerCase()];
+  if (!user) throw new Error(`No account for ${email}`);
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Use at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  user.salt = randomBytes(16).toString('hex');
+  user.hash = await hashPassword(password, user.salt);
+  // Sign out every device of this account
+  Object.entries(store.data.sessions).forEach(([tokenHash, session]) => {
+    if (session.uid === user.uid) delete store.data.sessions[tokenHash];
+  });
+  writeFileSync(dataFile, JSON.stringify(store.data));
+};
+
+const readBody = request =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'sync/too-large', 'Request is too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      if (chunks.length === 0) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(new HttpError(400, 'sync/bad-request', 'Invalid JSON'));
+      }
+    });
+    request.on('error', reject);
+  });
+
+// WebSocket framing (RFC 6455), text messages only
+const encodeFrame = (text, opcode = 0x1) => {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+// Complete frames at the start of buffer, and the unread rest
+const decodeFrames = buffer => {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+    const mask = buffer.subarray(cursor, cursor + maskLength);
+    const payload = Buffer.from(
+      buffer.subarray(cursor + maskLength, cursor + maskLength + length)
+    );
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    offset = cursor + maskLength + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+/**
+ * @param {Object} [options]
+ * @param {string|null} [options.dataFile] - Save location, null for memory only
+ * @param {string} [options.allowedOrigin] - CORS origin
+ * @param {boolean} [options.allowSignup] - Whether new accounts can sign up
+ * @param {Array<string>|null} [options.signupEmails] - Invite list, null for
+ *   anyone
+ * @returns {import('node:http').Server} Server, not yet listening
+ */
+export const createSyncServer = ({
+  dataFile = null,
+  allowedOrigin = '*',
+  allowSignup = true,
+  signupEmails = null,
+} = {}) => {
+  const store = createStore(dataFile);
+  const { users, sessions, documents } = store.data;
+  const sockets = new Set();
+  const invited = signupEmails
+    ? new Set(signupEmails.map(email => email.trim().toLowerCase()))
+    : null;
+
+  const isExpired = session => Date.now() - session.createdAt > SESSION_TTL_MS;
+
+  const authenticate = token => {
+    const session = token && sessions[hashToken(token)];
+    if (!session || isExpired(session)) return null;
+    return Object.values(users).find(user => user.uid === session.uid) || null;
+  };
+
+  // Sessions that were never signed out would otherwise pile up
+  const sweepSessions = () => {
+    const expired = Object.keys(sessions).filter(tokenHash =>
+      isExpired(sessions[tokenHash])
+    );
+    expired.forEach(tokenHash => delete sessions[tokenHash]);
+    if (expired.length > 0) store.save();
+  };
+  sweepSessions();
+  const sweepTimer = setInterval(sweepSessions, SESSION_SWEEP_MS);
+  sweepTimer.unref();
+
+  const startSession = user => {
+    const token = randomBytes(32).toString('base64url');
+    sessions[hashToken(token)] = { uid: user.uid, createdAt: Date.now() };
+    user.lastLoginAt = new Date().toISOString();
+    store.save();
+    return { token, user: publicUser(user) };
+  };
+
+  const notify = (uid, path, origin) => {
+    const frame = encodeFrame(JSON.stringify({ type: 'change', path, origin }));
+    sockets.forEach(socket => {
+      if (socket.uid === uid) socket.write(frame);
+    });
+  };
+
+  // Segments of a path the user may access
+  const ownPath = (user, rawPath) => {
+    let segments;
+    try {
+      segments = rawPath.split('/').map(decodeURIComponent);
+    } catch (error) {
+      if (!(error instanceof URIError)) throw error;
+      throw new HttpError(400, 'sync/bad-path', 'Invalid path');
+    }
+    if (segments.some(segment => !segment || segment.includes('/'))) {
+      throw new HttpError(400, 'sync/bad-path', 'Invalid path');
+    }
+    if (segments[0] !== 'users' || segments[1] !== user.uid) {
+      throw new HttpError(403, 'sync/forbidden', 'Access denied');
+    }
+    return segments.join('/');
+  };
+
+  const handleAuth = async (request, action) => {
+    if (action === 'session' && request.method === 'GET') {
+      return { user: publicUser(request.user) };
+    }
+    if (action === 'logout' && request.method === 'POST') {
+      delete sessions[hashToken(request.token)];
+      store.save();
+      return null;
+    }
+    if (request.method !== 'POST') {
+      throw new HttpError(404, 'sync/not-found', 'Not found');
+    }
+
+    const { email, password } = await readBody(request);
+    const key = String(email || '')
+      .trim()
+      .toLowerCase();
+    if (action === 'signup') {
+      if (!allowSignup || (invited && !invited.has(key))) {
+        throw new HttpError(
+          403,
+          'auth/operation-not-allowed',
+          'Sign-up is closed on this server'
+        );
+      }
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(key)) {
+        throw new HttpError(400, 'auth/invalid-email', 'Invalid email');
+      }
+      if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+        throw new HttpError(400, 'auth/weak-password', 'Password too weak');
+      }
+      if (users[key]) {
+        throw new HttpError(409, 'auth/email-already-in-use', 'Email in use');
+      }
+      const salt = randomBytes(16).toString('hex');
+      users[key] = {
+        uid: randomUUID(),
+        email: key,
+        salt,
+        hash: await hashPassword(String(password), salt),
+        createdAt: new Date().toISOString(),
+      };
+      return startSession(users[key]);
+    }
+    if (action === 'login') {
+      const user = users[key];
+      const hash = Buffer.from(
+        await hashPassword(String(password || ''), user?.salt || 'none'),
+        'hex'
+      );
+      if (!user || !timingSafeEqual(hash, Buffer.from(user.hash, 'hex'))) {
+        throw new HttpError(401, 'auth/wrong-password', 'Invalid credentials');
+      }
+      return startSession(user);
+    }
+    throw new HttpError(404, 'sync/not-found', 'Not found');
+  };
+
+  const handleDocument = async (request, path) => {
+    if (request.method === 'GET') {
+      if (!documents[path]) {
+        throw new HttpError(404, 'sync/not-found', 'No such document');
+      }
+      return documents[path];
+    }
+    if (request.method === 'DELETE') {
+      delete documents[path];
+    } else if (request.method === 'PUT') {
+      const { data, merge, serverTimeField } = await readBody(request);
+      const syncedAt = store.now();
+      const stored = {
+        ...(merge ? mergeDeep(documents[path]?.data, data) : data),
+        ...(serverTimeField ? { [serverTimeField]: syncedAt } : {}),
+      };
+      documents[path] = { data: stored, syncedAt };
+    } else {
+      throw new HttpError(405, 'sync/bad-method', 'Method not allowed');
+    }
+    store.save();
+    notify(request.user.uid, path, request.headers['x-sync-client']);
+    return null;
+  };
+
+  const handleCollection = async (request, path, searchParams) => {
+    if (request.method === 'GET') {
+      const changedSince = Number(searchParams.get('changedSince') ?? -1);
+      const limit = Number(searchParams.get('limit')) || Infinity;
+      const prefix = `${path}/`;
+      const found = Object.entries(documents)
+        .filter(
+          ([docPath, entry]) =>
+            docPath.startsWith(prefix) &&
+            !docPath.slice(prefix.length).includes('/') &&
+            entry.syncedAt > changedSince
+        )
+        .sort(([, a], [, b]) => a.syncedAt - b.syncedAt)
+        .slice(0, limit)
+        .map(([docPath, entry]) => ({
+          id: docPath.slice(prefix.length),
+          data: entry.data,
+          syncedAt: entry.syncedAt,
+        }));
+      return { documents: found };
+    }
+    if (request.method !== 'POST') {
+      throw new HttpError(405, 'sync/bad-method', 'Method not allowed');
+    }
+    const body = await readBody(request);
+    const batch = Array.isArray(body.documents) ? body.documents : [];
+    if (batch.some(({ id }) => !id || String(id).includes('/'))) {
+      throw new HttpError(400, 'sync/bad-path', 'Invalid document id');
+    }
+    // One time for the whole batch, like a Firestore batch commit
+    const syncedAt = store.now();
+    batch.forEach(({ id, data }) => {
+      documents[`${path}/${id}`] = { data, syncedAt };
+    });
+    store.save();
+    batch.forEach(({ id }) => {
+      notify(
+        request.user.uid,
+        `${path}/${id}`,
+        request.headers['x-sync-client']
+      );
+    });
+    return null;
+  };
+
+  const route = async request => {
+    const url = new URL(request.url, 'http://localhost');
+    const match = url.pathname.match(
+      /^\/v1\/(auth|documents|collections)\/(.+)$/
+    );
+    if (!match) throw new HttpError(404, 'sync/not-found', 'Not found');
+    const [, area, rest] = match;
+
+    const token = (request.headers.authorization || '').replace(/^Bearer /, '');
+    request.token = token;
+    request.user = authenticate(token);
+    const isPublic = area === 'auth' && ['signup', 'login'].includes(rest);
+    if (!request.user && !isPublic) {
+      throw new HttpError(401, 'auth/unauthenticated', 'Sign in first');
+    }
+
+    if (area === 'auth') return handleAuth(request, rest);
+    const path = ownPath(request.user, rest);
+    return area === 'documents'
+      ? handleDocument(request, path)
+      : handleCollection(request, path, url.searchParams);
+  };
+
+  const server = createServer((request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+    response.setHeader(
+      'Access-Control-Allow-Headers',
+      'Authorization, Content-Type, X-Sync-Client'
+    );
+    response.setHeader(
+      'Access-Control-Allow-Methods',
+      'GET, PUT, POST, DELETE, OPTIONS'
+    );
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204).end();
+      return;
+    }
+
+    route(request)
+      .then(result => {
+        if (result === null) {
+          response.writeHead(204).end();
+          return;
+        }
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(result));
+      })
+      .catch(error => {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status === 500)
+          console.error('[SyncServer] Request failed:', error);
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(
+          JSON.stringify({
+            error: {
+              code: error.code || 'sync/internal',
+              message: status === 500 ? 'Internal error' : error.message,
+            },
+          })
+        );
+      });
+  });
+
+  server.on('upgrade', (request, socket, head) => {
+    const key = request.headers['sec-websocket-key'];
+    if (
+      new URL(request.url, 'http://localhost').pathname !== '/v1/watch' ||
+      !key
+    ) {
+      socket.destroy();
+      return;
+    }
+    const accept = createHash('sha1')
+      .update(`${key}${WS_GUID}`)
+      .digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    socket.uid = null;
+    sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    const onData = chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      // Clients only send the auth message, pings and close frames
+      if (
+        buffer.length > (socket.uid ? MAX_WS_MESSAGE_BYTES : MAX_WS_AUTH_BYTES)
+      ) {
+        socket.destroy();
+        sockets.delete(socket);
+        return;
+      }
+      const { frames, rest } = decodeFrames(buffer);
+      buffer = rest;
+      frames.forEach(({ opcode, payload }) => {
+        if (opcode === 0x8) {
+          socket.end(encodeFrame('', 0x8));
+        } else if (opcode === 0x9) {
+          socket.write(encodeFrame(payload, 0xa));
+        } else if (opcode === 0x1 && !socket.uid) {
+          let message = null;
+          try {
+            message = JSON.parse(payload.toString('utf8'));
+          } catch {
+            /* ignore malformed messages */
+          }
+          const user = message?.type === 'auth' && authenticate(message.token);
+          if (user) {
+            socket.uid = user.uid;
+          } else {
+            socket.end(encodeFrame('', 0x8));
+          }
+        }
+      });
+    };
+    // Bytes that arrived with the upgrade request come first
+    if (head?.length) onData(head);
+    socket.on('data', onData);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => sockets.delete(socket));
+  });
+
+  // Open WebSockets must not hold up shutdown, and pending saves are written
+  const close = server.close.bind(server);
+  server.close = callback => {
+    clearInterval(sweepTimer);
+    sockets.forEach(socket => socket.destroy());
+    store.flush();
+    return close(callback);
+  };
+
+  return server;
+};
+
+// Run directly: start the server, or set a password
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  const dataFile = process.env.SYNC_DATA_FILE || 'sync-data.json';
+  const [command, email, password] = process.argv.slice(2);
+
+  if (command === 'set-password') {
+    setPassword(dataFile, email, password)
+      .then(() => console.log(`[SyncServer] Password updated for ${email}`))
+      .catch(error => {
+        console.error(`[SyncServer] ${error.message}`);
+        process.exitCode = 1;
+      });
+  } else {
+    const port = Number(process.env.PORT) || 8787;
+    const server = createSyncServer({
+      dataFile,
+      allowedOrigin: process.env.SYNC_ALLOWED_ORIGIN || '*',
+      allowSignup: process.env.SYNC_ALLOW_SIGNUP !== 'false',
+      signupEmails: process.env.SYNC_SIGNUP_EMAILS
+        ? process.env.SYNC_SIGNUP_EMAILS.split(',').filter(Boolean)
+        : null,
+    });
+    server.listen(port, () => {
+      console.log(
+        `[SyncServer] Listening on port ${port}, data in ${dataFile}`
+      );
+    });
+    process.on('SIGINT', () => server.close(() => process.exit(0)));
+    process.on('SIGTERM', () => server.close(() => process.exit(0)));
+  }
+}
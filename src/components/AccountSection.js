@@ -11,9 +11,53 @@ import {
   TOUCH_TARGETS,
   FONT_SIZES,
   COLORS,
+  CURRENCIES,
 } from '../utils/constants.js';
 import { sanitizeInput } from '../utils/security-utils.js';
 import { getAccountTypeLabel } from '../utils/constants.js';
+import { CurrencyService } from '../core/currency-service.js';
+
+// Currency picker shared by the add and edit dialogs
+const createCurrencyField = selected => {
+  const label = document.createElement('label');
+  label.textContent = 'Currency:';
+  label.style.cssText = `
+    display: block;
+    margin-bottom: var(--spacing-xs);
+    font-weight: 500;
+    color: var(--color-text-main);
+  `;
+
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', 'Account currency');
+  select.style.cssText = `
+    width: 100%;
+    padding: var(--spacing-md);
+    margin-bottom: var(--spacing-lg);
+    border: 1px solid var(--color-border);
+    border-radius: var(--radius-md);
+    font-size: var(--font-size-base);
+    background: var(--color-background);
+    color: var(--color-text-main);
+    box-sizing: border-box;
+    cursor: pointer;
+  `;
+
+  const codes = CURRENCIES.includes(selected)
+    ? CURRENCIES
+    : [selected, ...CURRENCIES];
+  codes.forEach(code => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = code;
+    option.style.background = 'var(--color-background)';
+    option.style.color = 'var(--color-text-main)';
+    select.appendChild(option);
+  });
+  select.value = selected;
+
+  return { label, select };
+};
 
 export const AccountSection = () => {
   const section = document.createElement('div');
@@ -204,6 +248,10 @@ export const AccountSection = () => {
           typeSelect.appendChild(option);
         });
 
+        const currencyField = createCurrencyField(
+          CurrencyService.getBaseCurrency()
+        );
+
         const btnGroup = document.createElement('div');
         btnGroup.style.display = 'flex';
         btnGroup.style.gap = 'var(--spacing-md)';
@@ -238,6 +286,7 @@ export const AccountSection = () => {
                 id: generateId(),
                 name: sanitized,
                 type: accountType,
+                currency: currencyField.select.value,
                 balance: 0,
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString(),
@@ -276,6 +325,8 @@ export const AccountSection = () => {
         card.appendChild(errorText);
         card.appendChild(typeLabel);
         card.appendChild(typeSelect);
+        card.appendChild(currencyField.label);
+        card.appendChild(currencyField.select);
         card.appendChild(btnGroup);
         overlay.appendChild(card);
 
@@ -381,8 +432,18 @@ export const AccountSection = () => {
           color: ${COLORS.TEXT_MUTED};
         `;
 
+        const accountCurrency = document.createElement('div');
+        accountCurrency.textContent = CurrencyService.getAccountCurrency(
+          account.id
+        );
+        accountCurrency.style.cssText = `
+          font-size: var(--font-size-xs);
+          color: ${COLORS.TEXT_MUTED};
+        `;
+
         accountInfo.appendChild(accountName);
         accountInfo.appendChild(accountType);
+        accountInfo.appendChild(accountCurrency);
 
         const actionsContainer = document.createElement('div');
         actionsContainer.style.display = 'flex';
@@ -571,6 +632,11 @@ export const AccountSection = () => {
               typeSelect.style.boxShadow = 'none';
             });
 
+            // Transactions already stamped with a currency keep it on change
+            const currencyField = createCurrencyField(
+              CurrencyService.getAccountCurrency(account.id)
+            );
+
             const btnGroup = document.createElement('div');
             btnGroup.style.display = 'flex';
             btnGroup.style.gap = 'var(--spacing-md)';
@@ -604,6 +670,7 @@ export const AccountSection = () => {
                     ...account,
                     name: sanitizeInput(accountName),
                     type: accountType,
+                    currency: currencyField.select.value,
                     balance: 0,
                     createdAt: new Date().toISOString(),
                     updatedAt: new Date().toISOString(),
@@ -638,6 +705,8 @@ export const AccountSection = () => {
             card.appendChild(errorText);
             card.appendChild(typeLabel);
             card.appendChild(typeSelect);
+            card.appendChild(currencyField.label);
+            card.appendChild(currencyField.select);
             card.appendChild(btnGroup);
             overlay.appendChild(card);
 
@@ -8,6 +8,59 @@ import { SPACING, TOUCH_TARGETS, FONT_SIZES } from '../utils/constants.js';
 import { BackupService } from '../core/backup-service.js';
 import { SettingsService } from '../core/settings-service.js';
 
+const DIFF_LABELS = {
+  transactions: 'Transactions',
+  accounts: 'Accounts',
+  goals: 'Goals',
+  investments: 'Investments',
+  budgets: 'Budgets',
+  customCategories: 'Categories',
+  recurring: 'Recurring transactions',
+  customReports: 'Custom reports',
+};
+
+// Backup dates are date-only keys (YYYY-MM-DD); show them without a
+// Date round trip so they can't shift across time zones
+const formatDateKey = dateKey => {
+  const [year, month, day] = String(dateKey || '').split('-');
+  return year && month && day ? `${month}/${day}/${year}` : 'unknown';
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const formatCounts = summary =>
+  [
+    plural(summary.transactionCount || 0, 'transaction'),
+    plural(summary.accountCount || 0, 'account'),
+    plural(summary.goalCount || 0, 'goal'),
+    plural(summary.investmentCount || 0, 'investment'),
+    // Budgets are only known for backups made since schema v2
+    ...(summary.sectionCounts && 'budgets' in summary.sectionCounts
+      ? [plural(summary.sectionCounts.budgets, 'budget')]
+      : []),
+  ].join(' · ');
+
+/**
+ * Describe BackupService.diffBackup() from the restore's point of view
+ * @param {Object} diff - Per data type { added, removed, changed }
+ * @returns {string} Summary of the data types that would change
+ */
+const describeDiff = diff => {
+  const lines = Object.entries(DIFF_LABELS)
+    .map(([key, label]) => {
+      const { added = 0, removed = 0, changed = 0 } = diff[key] || {};
+      const parts = [];
+      if (removed) parts.push(`${removed} brought back`);
+      if (added) parts.push(`${added} removed`);
+      if (changed) parts.push(`${changed} reverted`);
+      return parts.length ? `${label} (${parts.join(', ')})` : null;
+    })
+    .filter(Boolean);
+  return lines.length
+    ? `Restoring will change ${lines.join('; ')}.`
+    : 'This backup matches your current data.';
+};
+
 export const BackupRestoreSection = () => {
   const section = document.createElement('div');
   section.className = 'card mobile-settings-card';
@@ -25,7 +78,7 @@ export const BackupRestoreSection = () => {
   // Description
   const description = document.createElement('p');
   description.textContent =
-    'Your data is automatically backed up daily. You can restore your data from the latest backup if needed.';
+    'Your data is automatically backed up daily. The last 7 days, 4 weeks and 12 months each keep a snapshot, and you can preview and restore any of them.';
   Object.assign(description.style, {
     fontSize: FONT_SIZES.SM,
     color: 'var(--color-text-muted)',
@@ -105,15 +158,190 @@ export const BackupRestoreSection = () => {
 
   updateBackupMetadata();
 
-  // Create AbortController for cleanup
-  const abortController = new AbortController();
+  section.appendChild(metadataContainer);
 
-  // Listen for backup events to update metadata
-  window.addEventListener('backup-operation', updateBackupMetadata, {
-    signal: abortController.signal,
+  // Snapshot list
+  const snapshotsContainer = document.createElement('div');
+  snapshotsContainer.className = 'backup-snapshots';
+  Object.assign(snapshotsContainer.style, {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: SPACING.SM,
+    marginBottom: SPACING.MD,
   });
 
-  section.appendChild(metadataContainer);
+  const createNote = text => {
+    const note = document.createElement('div');
+    note.textContent = text;
+    note.style.fontSize = FONT_SIZES.SM;
+    note.style.color = 'var(--color-text-muted)';
+    return note;
+  };
+
+  const confirmRestore = (backupId, message) => {
+    import('./ConfirmDialog.js')
+      .then(({ ConfirmDialog, AlertDialog }) => {
+        ConfirmDialog({
+          message,
+          confirmText: 'Restore & Replace',
+          cancelText: 'Cancel',
+          onConfirm: async () => {
+            try {
+              await BackupService.restoreBackup(backupId);
+              AlertDialog({
+                message: `Successfully restored app state from backup.`,
+              });
+            } catch (error) {
+              AlertDialog({ message: `Restore failed: ${error.message}` });
+            }
+          },
+        });
+      })
+      .catch(error => {
+        console.error('Error loading ConfirmDialog:', error);
+      });
+  };
+
+  const createSnapshotRow = snapshot => {
+    const row = document.createElement('div');
+    row.className = 'backup-snapshot';
+    Object.assign(row.style, {
+      padding: SPACING.SM,
+      borderRadius: '8px',
+      border: '1px solid var(--color-border)',
+      backgroundColor: 'var(--color-surface)',
+    });
+
+    const heading = document.createElement('div');
+    Object.assign(heading.style, {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: SPACING.SM,
+      fontSize: FONT_SIZES.SM,
+      fontWeight: '600',
+    });
+    const dateLabel = document.createElement('span');
+    dateLabel.textContent = `${formatDateKey(snapshot.backupDate)}${
+      snapshot.dataAsOf
+        ? ` · data as of ${formatDateKey(snapshot.dataAsOf)}`
+        : ''
+    }`;
+    heading.appendChild(dateLabel);
+
+    if (!snapshot.verification.valid) {
+      const warning = document.createElement('span');
+      warning.textContent = '⚠️ Issues';
+      warning.title = [
+        ...snapshot.verification.checks.integrity.issues,
+        ...snapshot.verification.checks.completeness.issues,
+      ].join('\n');
+      warning.style.color = 'var(--color-warning)';
+      heading.appendChild(warning);
+    }
+    row.appendChild(heading);
+
+    row.appendChild(
+      createNote(
+        formatCounts(snapshot.verification.checks.completeness.summary)
+      )
+    );
+
+    const preview = createNote('');
+    preview.style.marginTop = SPACING.XS;
+    preview.hidden = true;
+
+    const actions = document.createElement('div');
+    Object.assign(actions.style, {
+      display: 'flex',
+      gap: SPACING.SM,
+      marginTop: SPACING.SM,
+    });
+
+    const compareBtn = ButtonComponent({
+      text: 'Compare',
+      variant: 'ghost',
+      onClick: () => {
+        preview.textContent = describeDiff(
+          BackupService.diffBackup(snapshot.data)
+        );
+        preview.hidden = !preview.hidden;
+      },
+    });
+    const restoreSnapshotBtn = ButtonComponent({
+      text: 'Restore',
+      variant: 'secondary',
+      onClick: () => {
+        confirmRestore(
+          snapshot.id,
+          `Replace your current data with the backup from ${formatDateKey(snapshot.backupDate)}? ${describeDiff(BackupService.diffBackup(snapshot.data))}`
+        );
+      },
+    });
+    [compareBtn, restoreSnapshotBtn].forEach(btn => {
+      btn.classList.add('touch-target');
+      btn.style.flex = '1';
+      actions.appendChild(btn);
+    });
+    row.appendChild(actions);
+    row.appendChild(preview);
+
+    return row;
+  };
+
+  let loadRequest = 0;
+  const loadSnapshots = async () => {
+    const request = ++loadRequest;
+    // Security: Clearing container, no user input involved
+    snapshotsContainer.innerHTML = '';
+
+    if (!navigator.onLine) {
+      snapshotsContainer.appendChild(
+        createNote('Connect to the internet to browse backups.')
+      );
+      return;
+    }
+
+    snapshotsContainer.appendChild(createNote('Loading backups…'));
+    try {
+      const snapshots = await BackupService.listBackups();
+      if (request !== loadRequest) return;
+      snapshotsContainer.innerHTML = '';
+      if (snapshots.length === 0) {
+        snapshotsContainer.appendChild(createNote('No backups stored yet.'));
+        return;
+      }
+      snapshots.forEach(snapshot => {
+        snapshotsContainer.appendChild(createSnapshotRow(snapshot));
+      });
+    } catch (error) {
+      if (request !== loadRequest) return;
+      console.error('[BackupRestoreSection] Failed to list backups:', error);
+      snapshotsContainer.innerHTML = '';
+      snapshotsContainer.appendChild(createNote('Could not load backups.'));
+    }
+  };
+
+  loadSnapshots();
+  section.appendChild(snapshotsContainer);
+
+  // Create AbortController for cleanup
+  const abortController = new AbortController();
+
+  // Listen for backup events to update metadata and the snapshot list
+  window.addEventListener(
+    'backup-operation',
+    event => {
+      updateBackupMetadata();
+      if (
+        event.detail?.operation === 'backup' &&
+        event.detail?.status === 'completed'
+      ) {
+        loadSnapshots();
+      }
+    },
+    { signal: abortController.signal }
+  );
 
   // Buttons Container
   const buttonsContainer = document.createElement('div');
@@ -125,28 +353,10 @@ export const BackupRestoreSection = () => {
     text: 'Restore From Last Backup',
     variant: 'secondary',
     onClick: () => {
-      import('./ConfirmDialog.js')
-        .then(({ ConfirmDialog, AlertDialog }) => {
-          ConfirmDialog({
-            message:
-              'WARNING: This will replace your current data with the last backup. Any changes made since the last backup will be LOST. Continue?',
-            confirmText: 'Restore & Replace',
-            cancelText: 'Cancel',
-            onConfirm: async () => {
-              try {
-                await BackupService.restoreBackup();
-                AlertDialog({
-                  message: `Successfully restored app state from backup.`,
-                });
-              } catch (error) {
-                AlertDialog({ message: `Restore failed: ${error.message}` });
-              }
-            },
-          });
-        })
-        .catch(error => {
-          console.error('Error loading ConfirmDialog:', error);
-        });
+      confirmRestore(
+        null,
+        'WARNING: This will replace your current data with the last backup. Any changes made since the last backup will be LOST. Continue?'
+      );
     },
   });
   restoreBtn.classList.add('touch-target', 'mobile-form-button');
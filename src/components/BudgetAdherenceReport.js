@@ -0,0 +1,147 @@
+/**
+ * BudgetAdherenceReport Component
+ *
+ * Month-by-month limit vs actual vs variance for one budget at a time,
+ * built from BudgetPlanner.getAdherenceReport().
+ */
+
+import { COLORS, SPACING, FONT_SIZES } from '../utils/constants.js';
+import { formatCurrency } from '../utils/financial-planning-helpers.js';
+import { ButtonComponent } from './Button.js';
+
+const cellStyle = {
+  padding: `${SPACING.XS} ${SPACING.SM}`,
+  textAlign: 'right',
+  whiteSpace: 'nowrap',
+};
+
+/**
+ * Create the budget adherence report card
+ * @param {Object} props - { report, onExport }
+ * @returns {HTMLElement}
+ */
+export const BudgetAdherenceReport = ({ report, onExport }) => {
+  const card = document.createElement('div');
+  card.className = 'budget-adherence-report';
+  Object.assign(card.style, {
+    background: COLORS.SURFACE,
+    borderRadius: 'var(--radius-md)',
+    border: `1px solid ${COLORS.BORDER}`,
+    padding: SPACING.MD,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: SPACING.SM,
+  });
+
+  const title = document.createElement('h3');
+  title.textContent = `Budget Performance (last ${report.months.length} months)`;
+  title.style.margin = '0';
+  card.appendChild(title);
+
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', 'Budget');
+  Object.assign(select.style, {
+    padding: SPACING.SM,
+    borderRadius: 'var(--radius-sm)',
+    border: `1px solid ${COLORS.BORDER}`,
+    background: COLORS.BACKGROUND,
+    color: COLORS.TEXT_MAIN,
+    fontSize: FONT_SIZES.BASE,
+  });
+  report.categories.forEach(category => {
+    const option = document.createElement('option');
+    option.value = category.budgetId;
+    option.textContent = category.categoryName;
+    select.appendChild(option);
+  });
+  card.appendChild(select);
+
+  const summary = document.createElement('div');
+  summary.style.fontSize = FONT_SIZES.SM;
+  summary.style.color = COLORS.TEXT_MUTED;
+  card.appendChild(summary);
+
+  const tableWrapper = document.createElement('div');
+  tableWrapper.style.overflowX = 'auto';
+  card.appendChild(tableWrapper);
+
+  const renderBudget = budgetId => {
+    const budget = report.categories.find(c => c.budgetId === budgetId);
+    // Newest month first
+    const rows = report.rows.filter(r => r.budgetId === budgetId).reverse();
+
+    summary.textContent = budget
+      ? `Over budget in ${budget.exceededMonths} of ${budget.monthsTracked} months · total variance ${formatCurrency(budget.variance)}`
+      : '';
+
+    tableWrapper.innerHTML = '';
+    if (rows.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No months to compare yet.';
+      empty.style.color = COLORS.TEXT_MUTED;
+      empty.style.fontSize = FONT_SIZES.SM;
+      tableWrapper.appendChild(empty);
+      return;
+    }
+
+    const table = document.createElement('table');
+    Object.assign(table.style, {
+      width: '100%',
+      borderCollapse: 'collapse',
+      fontSize: FONT_SIZES.SM,
+    });
+
+    const head = document.createElement('tr');
+    ['Month', 'Limit', 'Actual', 'Variance'].forEach((text, index) => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      Object.assign(th.style, cellStyle, {
+        textAlign: index === 0 ? 'left' : 'right',
+        color: COLORS.TEXT_MUTED,
+        fontWeight: '500',
+        borderBottom: `1px solid ${COLORS.BORDER}`,
+      });
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+
+    rows.forEach(row => {
+      const tr = document.createElement('tr');
+      [
+        row.label,
+        formatCurrency(row.limit),
+        formatCurrency(row.actual),
+        formatCurrency(row.variance),
+      ].forEach((text, index) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        Object.assign(td.style, cellStyle, {
+          textAlign: index === 0 ? 'left' : 'right',
+        });
+        if (index === 3) {
+          td.style.color = row.isExceeded ? COLORS.ERROR : COLORS.SUCCESS;
+          td.style.fontWeight = '600';
+        }
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+
+    tableWrapper.appendChild(table);
+  };
+
+  select.addEventListener('change', () => renderBudget(select.value));
+  if (report.categories.length > 0) {
+    renderBudget(report.categories[0].budgetId);
+  }
+
+  const exportBtn = ButtonComponent({
+    text: 'Export Report (CSV)',
+    variant: 'ghost',
+    onClick: onExport,
+  });
+  exportBtn.style.alignSelf = 'flex-start';
+  card.appendChild(exportBtn);
+
+  return card;
+};
@@ -1,29 +1,210 @@
 /**
  * BudgetForm Component
  *
- * Form for setting or editing budget limits for a category.
+ * Form for setting or editing budget limits for a category, or for a
+ * combined budget covering several categories, a tag or an account.
  */
 
-import { COLORS, SPACING, FONT_SIZES } from '../utils/constants.js';
+import {
+  COLORS,
+  SPACING,
+  FONT_SIZES,
+  BUDGET_PERIODS,
+  BUDGET_PERIOD_LABELS,
+  BUDGET_SCOPES,
+} from '../utils/constants.js';
 import { ButtonComponent } from './Button.js';
 import { getColorForCategory } from '../utils/reports-charts.js';
+import { getCurrencySymbol } from '../utils/money-format.js';
+import { toDateKey } from '../utils/recurrence-utils.js';
+
+const createFieldGroup = (labelText, control) => {
+  const group = document.createElement('div');
+  group.style.display = 'flex';
+  group.style.flexDirection = 'column';
+  group.style.gap = SPACING.XS;
+  group.style.flex = '1';
+
+  const label = document.createElement('label');
+  label.textContent = labelText;
+  label.setAttribute('for', control.id);
+  label.style.fontSize = FONT_SIZES.SM;
+  label.style.color = COLORS.TEXT_MUTED;
+  group.appendChild(label);
+  group.appendChild(control);
+  return group;
+};
+
+const styleControl = control => {
+  Object.assign(control.style, {
+    padding: `${SPACING.SM} ${SPACING.MD}`,
+    borderRadius: 'var(--radius-sm)',
+    border: `1px solid ${COLORS.BORDER}`,
+    background: COLORS.SURFACE,
+    color: COLORS.TEXT_MAIN,
+    fontSize: FONT_SIZES.MD,
+    outline: 'none',
+  });
+};
+
+const SCOPE_LABELS = {
+  [BUDGET_SCOPES.CATEGORIES]: 'Several categories',
+  [BUDGET_SCOPES.TAG]: 'A tag',
+  [BUDGET_SCOPES.ACCOUNT]: 'An account',
+};
+
+const createSelect = (id, options, selected) => {
+  const select = document.createElement('select');
+  select.id = id;
+  styleControl(select);
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  if (selected) select.value = selected;
+  return select;
+};
+
+/**
+ * Name and scope pickers for combined budgets
+ * @param {Object} scopeOptions - { categories, tags, accounts: [{ id, name }] }
+ * @param {Object|null} initialScope - Scope being edited
+ * @param {string} initialName - Name being edited
+ * @returns {{ element: HTMLElement, getScope: Function, getName: Function }}
+ */
+const createScopeFields = (scopeOptions, initialScope, initialName) => {
+  const element = document.createElement('div');
+  element.style.display = 'flex';
+  element.style.flexDirection = 'column';
+  element.style.gap = SPACING.SM;
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.id = 'budget-scope-name';
+  nameInput.placeholder = 'e.g. Vacation 2026';
+  nameInput.value = initialName || '';
+  styleControl(nameInput);
+  element.appendChild(createFieldGroup('Budget name', nameInput));
+
+  const typeSelect = createSelect(
+    'budget-scope-type',
+    Object.entries(SCOPE_LABELS).map(([value, label]) => ({ value, label })),
+    initialScope?.type
+  );
+  element.appendChild(createFieldGroup('Tracks', typeSelect));
+
+  // Several categories
+  const categoryList = document.createElement('div');
+  categoryList.className = 'budget-scope-categories';
+  Object.assign(categoryList.style, {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: SPACING.SM,
+  });
+  const selectedCategories = new Set(initialScope?.categories || []);
+  (scopeOptions.categories || []).forEach(name => {
+    const label = document.createElement('label');
+    Object.assign(label.style, {
+      display: 'flex',
+      alignItems: 'center',
+      gap: SPACING.XS,
+      fontSize: FONT_SIZES.SM,
+      cursor: 'pointer',
+    });
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = name;
+    checkbox.checked = selectedCategories.has(name);
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(name));
+    categoryList.appendChild(label);
+  });
+  element.appendChild(categoryList);
+
+  const tagSelect = createSelect(
+    'budget-scope-tag',
+    (scopeOptions.tags || []).map(tag => ({ value: tag, label: tag })),
+    initialScope?.tag
+  );
+  const tagGroup = createFieldGroup('Tag', tagSelect);
+  element.appendChild(tagGroup);
+
+  const accountSelect = createSelect(
+    'budget-scope-account',
+    (scopeOptions.accounts || []).map(a => ({ value: a.id, label: a.name })),
+    initialScope?.accountId
+  );
+  const accountGroup = createFieldGroup('Account', accountSelect);
+  element.appendChild(accountGroup);
+
+  const updateVisibility = () => {
+    const type = typeSelect.value;
+    categoryList.style.display =
+      type === BUDGET_SCOPES.CATEGORIES ? 'flex' : 'none';
+    tagGroup.style.display = type === BUDGET_SCOPES.TAG ? 'flex' : 'none';
+    accountGroup.style.display =
+      type === BUDGET_SCOPES.ACCOUNT ? 'flex' : 'none';
+  };
+  typeSelect.addEventListener('change', updateVisibility);
+  updateVisibility();
+
+  const getScope = () => {
+    switch (typeSelect.value) {
+      case BUDGET_SCOPES.TAG:
+        return { type: BUDGET_SCOPES.TAG, tag: tagSelect.value };
+      case BUDGET_SCOPES.ACCOUNT:
+        return { type: BUDGET_SCOPES.ACCOUNT, accountId: accountSelect.value };
+      default:
+        return {
+          type: BUDGET_SCOPES.CATEGORIES,
+          categories: [...categoryList.querySelectorAll('input:checked')].map(
+            input => input.value
+          ),
+        };
+    }
+  };
+
+  return { element, getScope, getName: () => nameInput.value };
+};
 
 /**
  * Create a budget form
- * @param {Object} props - { categoryName, initialLimit, onSave, onCancel }
+ * @param {Object} props - { categoryName, initialLimit, initialPeriod,
+ *   initialStartDate, initialEndDate, initialRollover, initialRolloverCap,
+ *   periodAmounts, showEffectiveFrom, scopeOptions, initialScope,
+ *   initialName, onSave, onCancel }.
+ *   periodAmounts (period -> amount) refills the limit when the period
+ *   changes, until the user types their own. showEffectiveFrom lets an edit
+ *   apply from this or the next period. scopeOptions ({ categories, tags,
+ *   accounts }) turns the form into a combined budget form. onSave receives
+ *   the limit and { period, startDate, endDate, rollover, rolloverCap,
+ *   applyFrom, scope, name }.
  * @returns {HTMLElement}
  */
 export const BudgetForm = ({
   categoryName,
   initialLimit = 0,
+  initialPeriod = BUDGET_PERIODS.MONTHLY,
+  initialStartDate = null,
+  initialEndDate = null,
+  initialRollover = false,
+  initialRolloverCap = null,
+  periodAmounts = null,
+  showEffectiveFrom = false,
+  scopeOptions = null,
+  initialScope = null,
+  initialName = '',
   onSave,
   onCancel,
 }) => {
   const form = document.createElement('div');
   form.className = 'budget-form';
 
+  const displayName = categoryName || initialName || 'Combined budget';
   // Get consistent category color
-  const categoryColor = getColorForCategory(categoryName);
+  const categoryColor = getColorForCategory(displayName);
 
   Object.assign(form.style, {
     display: 'flex',
@@ -37,25 +218,119 @@ export const BudgetForm = ({
   });
 
   const title = document.createElement('h4');
-  title.textContent = `Set Budget for ${categoryName}`;
+  title.textContent = categoryName
+    ? `Set Budget for ${categoryName}`
+    : initialName
+      ? `Edit ${initialName}`
+      : 'New Combined Budget';
   title.style.margin = '0';
   title.style.fontSize = FONT_SIZES.MD;
   title.style.color = categoryColor; // Also color the title
   form.appendChild(title);
 
-  const inputGroup = document.createElement('div');
-  inputGroup.style.display = 'flex';
-  inputGroup.style.flexDirection = 'column';
-  inputGroup.style.gap = SPACING.XS;
+  const scopeFields = scopeOptions
+    ? createScopeFields(scopeOptions, initialScope, initialName)
+    : null;
+  if (scopeFields) form.appendChild(scopeFields.element);
 
-  const inputId = `budget-limit-${categoryName.replace(/\s+/g, '-').toLowerCase()}`;
+  const idSuffix = displayName.replace(/\s+/g, '-').toLowerCase();
+  const inputId = `budget-limit-${idSuffix}`;
 
-  const label = document.createElement('label');
-  label.textContent = 'Monthly Limit (€)';
-  label.setAttribute('for', inputId);
-  label.style.fontSize = FONT_SIZES.SM;
-  label.style.color = COLORS.TEXT_MUTED;
-  inputGroup.appendChild(label);
+  // Period
+  const periodRow = document.createElement('div');
+  periodRow.style.display = 'flex';
+  periodRow.style.gap = SPACING.SM;
+
+  const periodSelect = document.createElement('select');
+  periodSelect.id = `budget-period-${idSuffix}`;
+  styleControl(periodSelect);
+  Object.values(BUDGET_PERIODS).forEach(period => {
+    const option = document.createElement('option');
+    option.value = period;
+    option.textContent = BUDGET_PERIOD_LABELS[period];
+    periodSelect.appendChild(option);
+  });
+  periodSelect.value = initialPeriod;
+  periodRow.appendChild(createFieldGroup('Period', periodSelect));
+  form.appendChild(periodRow);
+
+  // Start date anchors bi-weekly budgets; custom budgets need both dates
+  const dateRow = document.createElement('div');
+  dateRow.style.display = 'flex';
+  dateRow.style.gap = SPACING.SM;
+
+  const startInput = document.createElement('input');
+  startInput.type = 'date';
+  startInput.id = `budget-start-${idSuffix}`;
+  startInput.value = toDateKey(initialStartDate) || toDateKey(new Date());
+  styleControl(startInput);
+  const startGroup = createFieldGroup('Start date', startInput);
+  dateRow.appendChild(startGroup);
+
+  const endInput = document.createElement('input');
+  endInput.type = 'date';
+  endInput.id = `budget-end-${idSuffix}`;
+  endInput.value = toDateKey(initialEndDate) || '';
+  styleControl(endInput);
+  const endGroup = createFieldGroup('End date', endInput);
+  dateRow.appendChild(endGroup);
+  form.appendChild(dateRow);
+
+  // Rollover: carry the unspent (or overspent) amount into the next period
+  const rolloverRow = document.createElement('div');
+  rolloverRow.style.display = 'flex';
+  rolloverRow.style.flexDirection = 'column';
+  rolloverRow.style.gap = SPACING.XS;
+
+  const rolloverLabel = document.createElement('label');
+  Object.assign(rolloverLabel.style, {
+    display: 'flex',
+    alignItems: 'center',
+    gap: SPACING.SM,
+    fontSize: FONT_SIZES.SM,
+    color: COLORS.TEXT_MAIN,
+    cursor: 'pointer',
+  });
+  const rolloverCheckbox = document.createElement('input');
+  rolloverCheckbox.type = 'checkbox';
+  rolloverCheckbox.checked = Boolean(initialRollover);
+  rolloverLabel.appendChild(rolloverCheckbox);
+  rolloverLabel.appendChild(
+    document.createTextNode('Carry leftover into the next period')
+  );
+  rolloverRow.appendChild(rolloverLabel);
+
+  const capInput = document.createElement('input');
+  capInput.type = 'number';
+  capInput.id = `budget-rollover-cap-${idSuffix}`;
+  capInput.min = '0';
+  capInput.step = '10';
+  capInput.placeholder = 'No limit';
+  capInput.value =
+    initialRolloverCap === null || initialRolloverCap === undefined
+      ? ''
+      : initialRolloverCap;
+  styleControl(capInput);
+  const capGroup = createFieldGroup(
+    `Max carried savings (${getCurrencySymbol()}, optional)`,
+    capInput
+  );
+  rolloverRow.appendChild(capGroup);
+
+  const updateDateFields = () => {
+    const period = periodSelect.value;
+    dateRow.style.display =
+      period === BUDGET_PERIODS.CUSTOM || period === BUDGET_PERIODS.BIWEEKLY
+        ? 'flex'
+        : 'none';
+    endGroup.style.display = period === BUDGET_PERIODS.CUSTOM ? 'flex' : 'none';
+    // A one-off date range has no next period to carry into
+    rolloverRow.style.display =
+      period === BUDGET_PERIODS.CUSTOM ? 'none' : 'flex';
+    capGroup.style.display = rolloverCheckbox.checked ? 'flex' : 'none';
+  };
+  rolloverCheckbox.addEventListener('change', updateDateFields);
+  updateDateFields();
 
   const input = document.createElement('input');
   input.id = inputId;
@@ -65,15 +340,7 @@ export const BudgetForm = ({
   input.placeholder = '0.00';
   input.step = '10';
   input.min = '0';
-  Object.assign(input.style, {
-    padding: `${SPACING.SM} ${SPACING.MD}`,
-    borderRadius: 'var(--radius-sm)',
-    border: `1px solid ${COLORS.BORDER}`,
-    background: COLORS.SURFACE,
-    color: COLORS.TEXT_MAIN,
-    fontSize: FONT_SIZES.MD,
-    outline: 'none',
-  });
+  styleControl(input);
 
   // Add subtle focus color
   input.addEventListener('focus', () => {
@@ -83,9 +350,39 @@ export const BudgetForm = ({
     input.style.borderColor = COLORS.BORDER;
   });
 
+  let limitEdited = false;
+  input.addEventListener('input', () => {
+    limitEdited = true;
+  });
+
+  periodSelect.addEventListener('change', () => {
+    updateDateFields();
+    const scaled = periodAmounts?.[periodSelect.value];
+    if (!limitEdited && scaled) input.value = scaled;
+  });
+
   input.focus();
-  inputGroup.appendChild(input);
-  form.appendChild(inputGroup);
+  form.appendChild(
+    createFieldGroup(`Limit per period (${getCurrencySymbol()})`, input)
+  );
+  form.appendChild(rolloverRow);
+
+  // Limit changes can leave the current period untouched
+  const applyFromSelect = document.createElement('select');
+  applyFromSelect.id = `budget-apply-from-${idSuffix}`;
+  styleControl(applyFromSelect);
+  [
+    { value: 'current', label: 'This period' },
+    { value: 'next', label: 'Next period' },
+  ].forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    applyFromSelect.appendChild(option);
+  });
+  if (showEffectiveFrom) {
+    form.appendChild(createFieldGroup('Apply new limit from', applyFromSelect));
+  }
 
   const actions = document.createElement('div');
   actions.style.display = 'flex';
@@ -98,7 +395,23 @@ export const BudgetForm = ({
       const raw = (input.value || '').trim();
       const parsed = parseFloat(raw);
       const limit = raw === '' ? null : Number.isNaN(parsed) ? null : parsed;
-      onSave(limit);
+      const period = periodSelect.value;
+      onSave(limit, {
+        period,
+        startDate:
+          period === BUDGET_PERIODS.CUSTOM || period === BUDGET_PERIODS.BIWEEKLY
+            ? startInput.value || null
+            : null,
+        endDate:
+          period === BUDGET_PERIODS.CUSTOM ? endInput.value || null : null,
+        rollover: period !== BUDGET_PERIODS.CUSTOM && rolloverCheckbox.checked,
+        rolloverCap: capInput.value.trim() === '' ? null : capInput.value,
+        ...(showEffectiveFrom && { applyFrom: applyFromSelect.value }),
+        ...(scopeFields && {
+          scope: scopeFields.getScope(),
+          name: scopeFields.getName(),
+        }),
+      });
     },
     variant: 'primary',
   });
@@ -5,10 +5,13 @@
  */
 
 import { COLORS, SPACING, FONT_SIZES } from '../utils/constants.js';
+import { formatMoney } from '../utils/money-format.js';
 
 /**
  * Create a budget progress bar
- * @param {Object} props - { utilization, isExceeded, isWarning, label, secondaryLabel }
+ * @param {Object} props - { utilization, isExceeded, isWarning, label,
+ *   secondaryLabel, carriedIn, limit }. For rollover budgets pass carriedIn
+ *   and the period limit to mark where the envelope exceeds the limit.
  * @returns {HTMLElement}
  */
 export const BudgetProgress = ({
@@ -17,6 +20,8 @@ export const BudgetProgress = ({
   isWarning,
   label,
   secondaryLabel,
+  carriedIn = 0,
+  limit = 0,
 }) => {
   const container = document.createElement('div');
   container.className = 'budget-progress-container';
@@ -87,7 +92,37 @@ export const BudgetProgress = ({
   }
 
   track.appendChild(bar);
+
+  // Tick where the period limit ends and carried-over savings begin
+  if (carriedIn > 0 && limit > 0) {
+    const tick = document.createElement('div');
+    tick.className = 'budget-progress-limit-tick';
+    Object.assign(tick.style, {
+      position: 'absolute',
+      top: '0',
+      bottom: '0',
+      left: `${(limit / (limit + carriedIn)) * 100}%`,
+      width: '2px',
+      background: COLORS.TEXT_MUTED,
+    });
+    track.appendChild(tick);
+  }
   container.appendChild(track);
 
+  if (carriedIn) {
+    const carry = document.createElement('div');
+    carry.className = 'budget-progress-carry';
+    carry.textContent =
+      carriedIn > 0
+        ? `Includes ${formatMoney(carriedIn, { signed: true })} carried over`
+        : `${formatMoney(Math.abs(carriedIn))} overspending carried over`;
+    Object.assign(carry.style, {
+      marginTop: '4px',
+      fontSize: FONT_SIZES.SM,
+      color: carriedIn > 0 ? COLORS.TEXT_MUTED : COLORS.ERROR,
+    });
+    container.appendChild(carry);
+  }
+
   return container;
 };
@@ -5,21 +5,34 @@
  * Part of the progressive unlock system — shows suggestions when user has 30+ transactions.
  */
 
-import { COLORS, SPACING, FONT_SIZES } from '../utils/constants.js';
+import {
+  COLORS,
+  SPACING,
+  FONT_SIZES,
+  BUDGET_PERIODS,
+  BUDGET_PERIOD_LABELS,
+} from '../utils/constants.js';
 import { ButtonComponent } from './Button.js';
 import { getColorForCategory } from '../utils/reports-charts.js';
 import { formatCurrency } from '../utils/financial-planning-helpers.js';
 
 /**
  * Create a budget suggestion card
- * @param {Object} suggestion - { category, suggestedAmount, basedOnTransactions, averageMonthly }
- * @param {Object} handlers - { onAccept, onAdjust, onDismiss }
+ * @param {Object} suggestion - { category, suggestedAmount, periodAmounts, basedOnTransactions, averageMonthly }
+ * @param {Object} handlers - { onAccept, onAdjust, onDismiss }; onAccept and
+ *   onAdjust receive the selected period
  * @returns {HTMLElement}
  */
 export const BudgetSuggestion = (suggestion, handlers) => {
-  const { category, suggestedAmount, basedOnTransactions, averageMonthly } =
-    suggestion;
+  const {
+    category,
+    suggestedAmount,
+    periodAmounts,
+    basedOnTransactions,
+    averageMonthly,
+  } = suggestion;
   const { onAccept, onAdjust, onDismiss } = handlers;
+  let selectedPeriod = BUDGET_PERIODS.MONTHLY;
 
   const card = document.createElement('div');
   card.className = 'budget-suggestion';
@@ -73,7 +86,41 @@ export const BudgetSuggestion = (suggestion, handlers) => {
   amountDisplay.style.fontWeight = '700';
   amountDisplay.style.color = COLORS.TEXT_MAIN;
   amountDisplay.textContent = formatCurrency(suggestedAmount);
-  card.appendChild(amountDisplay);
+
+  // Amount scaled to the chosen period
+  const amountRow = document.createElement('div');
+  amountRow.style.display = 'flex';
+  amountRow.style.justifyContent = 'space-between';
+  amountRow.style.alignItems = 'center';
+  amountRow.style.gap = SPACING.SM;
+  amountRow.appendChild(amountDisplay);
+
+  if (periodAmounts) {
+    const periodSelect = document.createElement('select');
+    periodSelect.className = 'budget-suggestion-period';
+    periodSelect.setAttribute('aria-label', `Budget period for ${category}`);
+    Object.assign(periodSelect.style, {
+      padding: `${SPACING.XS} ${SPACING.SM}`,
+      borderRadius: 'var(--radius-sm)',
+      border: `1px solid ${COLORS.BORDER}`,
+      background: COLORS.SURFACE,
+      color: COLORS.TEXT_MAIN,
+      fontSize: FONT_SIZES.SM,
+    });
+    Object.keys(periodAmounts).forEach(period => {
+      const option = document.createElement('option');
+      option.value = period;
+      option.textContent = BUDGET_PERIOD_LABELS[period];
+      periodSelect.appendChild(option);
+    });
+    periodSelect.value = selectedPeriod;
+    periodSelect.addEventListener('change', () => {
+      selectedPeriod = periodSelect.value;
+      amountDisplay.textContent = formatCurrency(periodAmounts[selectedPeriod]);
+    });
+    amountRow.appendChild(periodSelect);
+  }
+  card.appendChild(amountRow);
 
   // Context: based on spending
   const context = document.createElement('div');
@@ -90,14 +137,14 @@ export const BudgetSuggestion = (suggestion, handlers) => {
 
   const adjustBtn = ButtonComponent({
     text: 'Adjust',
-    onClick: onAdjust,
+    onClick: () => onAdjust(selectedPeriod),
     variant: 'ghost',
   });
   adjustBtn.style.flex = '1';
 
   const acceptBtn = ButtonComponent({
     text: 'Accept',
-    onClick: onAccept,
+    onClick: () => onAccept(selectedPeriod),
     variant: 'primary',
   });
   acceptBtn.style.flex = '2';
@@ -115,7 +162,8 @@ export const BudgetSuggestion = (suggestion, handlers) => {
 /**
  * Create a container for budget suggestions
  * @param {Array} suggestions - Array of suggestion objects
- * @param {Object} handlers - { onAccept, onAdjust, onDismiss }
+ * @param {Object} handlers - { onAccept, onAdjust, onDismiss, onManual };
+ *   onAccept and onAdjust receive (suggestion, index, period)
  * @returns {HTMLElement}
  */
 export const BudgetSuggestionsContainer = (suggestions, handlers) => {
@@ -149,8 +197,8 @@ export const BudgetSuggestionsContainer = (suggestions, handlers) => {
   // Add all suggestion cards
   suggestions.forEach((suggestion, index) => {
     const card = BudgetSuggestion(suggestion, {
-      onAccept: () => handlers.onAccept(suggestion, index),
-      onAdjust: () => handlers.onAdjust(suggestion, index),
+      onAccept: period => handlers.onAccept(suggestion, index, period),
+      onAdjust: period => handlers.onAdjust(suggestion, index, period),
       onDismiss: () => handlers.onDismiss(suggestion, index),
     });
     container.appendChild(card);
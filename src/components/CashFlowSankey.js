@@ -0,0 +1,187 @@
+/**
+ * CashFlowSankey Component
+ *
+ * Sankey diagram of a period's cash flow built from
+ * MetricsService.calculateCashFlow(): income categories → accounts →
+ * expense categories, with what was kept flowing into Savings. Clicking a
+ * category flow hands the category to onFlowClick.
+ */
+
+import { COLORS, SPACING, FONT_SIZES } from '../utils/constants.js';
+import { layoutSankey } from '../utils/sankey-layout.js';
+import { getColorForCategory } from '../utils/reports-charts.js';
+import { formatMoney } from '../utils/money-format.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WIDTH = 720;
+const NODE_WIDTH = 12;
+const LABEL_SPACE = 150;
+const MAX_LABEL_LENGTH = 18;
+
+const svgEl = (tag, attrs = {}) => {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) =>
+    el.setAttribute(name, String(value))
+  );
+  return el;
+};
+
+const shorten = text =>
+  text.length > MAX_LABEL_LENGTH
+    ? `${text.slice(0, MAX_LABEL_LENGTH - 1)}…`
+    : text;
+
+const nodeColor = node => {
+  switch (node.kind) {
+    case 'income':
+      return COLORS.INCOME_COLOR;
+    case 'account':
+      return COLORS.PRIMARY;
+    case 'savings':
+      return COLORS.SUCCESS;
+    case 'deficit':
+      return COLORS.WARNING;
+    default:
+      return node.category
+        ? getColorForCategory(node.category)
+        : COLORS.TEXT_MUTED;
+  }
+};
+
+/**
+ * Create the cash flow section
+ * @param {Object} props
+ * @param {Object} props.flow - Result of calculateCashFlow()
+ * @param {Function} [props.onFlowClick] - Called with the category of a clicked flow
+ * @returns {HTMLElement}
+ */
+export const CashFlowSankey = ({ flow, onFlowClick }) => {
+  const section = document.createElement('div');
+  section.className = 'chart-section cash-flow-section';
+  Object.assign(section.style, {
+    background: COLORS.SURFACE,
+    borderRadius: 'var(--radius-lg)',
+    padding: SPACING.MD,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: SPACING.SM,
+  });
+
+  const title = document.createElement('h3');
+  title.textContent = 'Cash Flow';
+  title.style.margin = '0';
+  title.style.color = COLORS.TEXT_MAIN;
+  section.appendChild(title);
+
+  const summary = document.createElement('div');
+  summary.style.fontSize = FONT_SIZES.SM;
+  summary.style.color = COLORS.TEXT_MUTED;
+  summary.textContent = `Income ${formatMoney(flow.totalIncome)} · Spent ${formatMoney(flow.totalExpenses)} · ${flow.netBalance >= 0 ? 'Saved' : 'Overspent'} ${formatMoney(Math.abs(flow.netBalance))}`;
+  section.appendChild(summary);
+
+  if (flow.links.length === 0) {
+    const empty = document.createElement('div');
+    empty.textContent = 'No income or spending in this period.';
+    empty.style.color = COLORS.TEXT_MUTED;
+    empty.style.fontSize = FONT_SIZES.SM;
+    section.appendChild(empty);
+    return section;
+  }
+
+  const perColumn = [0, 1, 2].map(
+    column => flow.nodes.filter(node => node.column === column).length
+  );
+  const height = Math.max(240, Math.max(...perColumn) * 40);
+  const layout = layoutSankey(flow, {
+    width: WIDTH,
+    height,
+    nodeWidth: NODE_WIDTH,
+    margin: LABEL_SPACE,
+  });
+  const nodesById = new Map(layout.nodes.map(node => [node.id, node]));
+
+  const svg = svgEl('svg', {
+    viewBox: `0 0 ${WIDTH} ${height}`,
+    role: 'img',
+    'aria-label': 'Cash flow from income through accounts to spending',
+  });
+  svg.style.width = '100%';
+  svg.style.height = 'auto';
+  svg.style.overflow = 'visible';
+
+  layout.links.forEach(link => {
+    const source = nodesById.get(link.source);
+    const target = nodesById.get(link.target);
+    // A band takes the colour of the category it carries
+    const colorNode = target.kind === 'account' ? source : target;
+    const path = svgEl('path', { d: link.path, fill: 'none' });
+    Object.assign(path.style, {
+      stroke: nodeColor(colorNode),
+      strokeWidth: String(Math.max(link.width, 1)),
+      strokeOpacity: '0.35',
+      transition: 'stroke-opacity 0.2s ease',
+    });
+
+    const tooltip = svgEl('title');
+    tooltip.textContent = `${source.label} → ${target.label}: ${formatMoney(link.value)}`;
+    path.appendChild(tooltip);
+
+    path.addEventListener('mouseenter', () => {
+      path.style.strokeOpacity = '0.6';
+    });
+    path.addEventListener('mouseleave', () => {
+      path.style.strokeOpacity = '0.35';
+    });
+
+    if (link.category && typeof onFlowClick === 'function') {
+      path.style.cursor = 'pointer';
+      path.setAttribute('role', 'button');
+      path.setAttribute('tabindex', '0');
+      path.setAttribute(
+        'aria-label',
+        `Show ${link.category} transactions on the dashboard`
+      );
+      path.addEventListener('click', () => onFlowClick(link.category));
+      path.addEventListener('keydown', e => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          onFlowClick(link.category);
+        }
+      });
+    }
+    svg.appendChild(path);
+  });
+
+  layout.nodes.forEach(node => {
+    const bar = svgEl('rect', {
+      x: node.x,
+      y: node.y,
+      width: NODE_WIDTH,
+      height: Math.max(node.height, 1),
+      rx: 2,
+    });
+    bar.style.fill = nodeColor(node);
+    svg.appendChild(bar);
+
+    // Left column labels sit left of the bars, the others to the right
+    const isLeft = node.column === 0;
+    const label = svgEl('text', {
+      x: isLeft ? node.x - 6 : node.x + NODE_WIDTH + 6,
+      y: node.y + node.height / 2,
+      'text-anchor': isLeft ? 'end' : 'start',
+      'dominant-baseline': 'middle',
+      'font-size': 12,
+    });
+    label.style.fill = COLORS.TEXT_MAIN;
+    label.textContent = `${shorten(node.label)} ${formatMoney(node.value)}`;
+    svg.appendChild(label);
+  });
+
+  const scroller = document.createElement('div');
+  scroller.style.overflowX = 'auto';
+  svg.style.minWidth = '560px';
+  scroller.appendChild(svg);
+  section.appendChild(scroller);
+
+  return section;
+};
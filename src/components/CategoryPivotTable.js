@@ -0,0 +1,177 @@
+/**
+ * CategoryPivotTable Component
+ *
+ * Category (rows) by month (columns) spending matrix with totals, built from
+ * MetricsService.calculateCategoryMonthPivot() and exportable as CSV or XLSX.
+ */
+
+import {
+  COLORS,
+  SPACING,
+  FONT_SIZES,
+  PIVOT_SPLITS,
+  PIVOT_SPLIT_LABELS,
+} from '../utils/constants.js';
+import { formatCurrency } from '../utils/financial-planning-helpers.js';
+import { ButtonComponent } from './Button.js';
+import { DataTable } from './financial-planning/DataTable.js';
+import { MetricsService } from '../core/analytics/MetricsService.js';
+
+const cellStyle = {
+  textAlign: 'right',
+  whiteSpace: 'nowrap',
+};
+
+// Keeps the category column in view while the months scroll sideways
+const stickyStyle = {
+  position: 'sticky',
+  left: '0',
+  background: COLORS.SURFACE,
+  textAlign: 'left',
+  paddingRight: SPACING.SM,
+};
+
+const totalStyle = {
+  fontWeight: '600',
+  borderTop: `1px solid ${COLORS.BORDER}`,
+  paddingBottom: SPACING.XS,
+};
+
+const formatCell = value => (value === 0 ? '–' : formatCurrency(value));
+
+/**
+ * Create the category-by-month pivot section
+ * @param {Object} props
+ * @param {Function} props.getPivot - splitBy => pivot from calculateCategoryMonthPivot()
+ * @param {string} [props.splitBy] - Initial PIVOT_SPLITS value
+ * @param {Function} [props.onSplitChange] - Called with the chosen split
+ * @param {Function} props.onExport - Called with ('csv' | 'xlsx', pivot)
+ * @returns {HTMLElement}
+ */
+export const CategoryPivotTable = ({
+  getPivot,
+  splitBy = PIVOT_SPLITS.NONE,
+  onSplitChange,
+  onExport,
+}) => {
+  let pivot = null;
+
+  const section = document.createElement('div');
+  section.className = 'category-pivot-table';
+  Object.assign(section.style, {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: SPACING.SM,
+  });
+
+  const toolbar = document.createElement('div');
+  Object.assign(toolbar.style, {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: SPACING.SM,
+  });
+  section.appendChild(toolbar);
+
+  const title = document.createElement('h3');
+  title.textContent = 'Spending by Category and Month';
+  title.style.margin = '0';
+  title.style.flex = '1';
+  toolbar.appendChild(title);
+
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', 'Split rows');
+  Object.assign(select.style, {
+    padding: SPACING.SM,
+    borderRadius: 'var(--radius-sm)',
+    border: `1px solid ${COLORS.BORDER}`,
+    background: COLORS.BACKGROUND,
+    color: COLORS.TEXT_MAIN,
+    fontSize: FONT_SIZES.BASE,
+  });
+  Object.entries(PIVOT_SPLIT_LABELS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = splitBy;
+  toolbar.appendChild(select);
+
+  const exportButtons = [
+    ['Export CSV', 'csv'],
+    ['Export Excel', 'xlsx'],
+  ].map(([text, format]) => {
+    const button = ButtonComponent({
+      text,
+      variant: 'ghost',
+      onClick: () => {
+        if (pivot) onExport(format, pivot);
+      },
+    });
+    toolbar.appendChild(button);
+    return button;
+  });
+
+  const body = document.createElement('div');
+  section.appendChild(body);
+
+  const render = () => {
+    pivot = getPivot(select.value);
+    body.replaceChildren();
+    exportButtons.forEach(button => {
+      button.disabled = pivot.rows.length === 0;
+    });
+
+    if (pivot.rows.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No spending in this period.';
+      empty.style.color = COLORS.TEXT_MUTED;
+      empty.style.fontSize = FONT_SIZES.SM;
+      body.appendChild(empty);
+      return;
+    }
+
+    const table = MetricsService.pivotToTable(pivot);
+    const { headers } = table;
+    const leadColumns = pivot.splitBy === PIVOT_SPLITS.NONE ? 1 : 2;
+    const rows = [...table.rows, table.footer].map((row, rowIndex) =>
+      row.map((value, index) => {
+        if (index < leadColumns) return value;
+        // Row and grand totals always show an amount
+        return index === row.length - 1 || rowIndex === table.rows.length
+          ? formatCurrency(value)
+          : formatCell(value);
+      })
+    );
+
+    const styleFor = (index, isTotal) => ({
+      ...(index < leadColumns ? { textAlign: 'left' } : cellStyle),
+      ...(index === 0 ? stickyStyle : {}),
+      ...(isTotal ? totalStyle : {}),
+    });
+
+    body.appendChild(
+      DataTable({
+        headers,
+        rows,
+        headerStyles: headers.map((_, index) => styleFor(index, false)),
+        cellStyles: rows.map((_, rowIndex) =>
+          headers.map((__, index) =>
+            styleFor(index, rowIndex === rows.length - 1)
+          )
+        ),
+        gridTemplateColumns: `repeat(${leadColumns}, minmax(120px, max-content)) repeat(${headers.length - leadColumns}, auto)`,
+        scrollable: true,
+      })
+    );
+  };
+
+  select.addEventListener('change', () => {
+    render();
+    if (typeof onSplitChange === 'function') onSplitChange(select.value);
+  });
+  render();
+
+  return section;
+};
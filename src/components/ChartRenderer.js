@@ -15,6 +15,7 @@ import {
   createChartOptions,
   createThemedChartOptions,
 } from '../core/chart-config.js';
+import { formatMoney } from '../utils/money-format.js';
 
 export class ChartRenderer {
   constructor() {
@@ -236,11 +237,7 @@ export class ChartRenderer {
           },
           ticks: {
             callback: function (value) {
-              return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'EUR',
-                minimumFractionDigits: 0,
-              }).format(value);
+              return formatMoney(value, { decimals: 0 });
             },
           },
         },
@@ -267,10 +264,7 @@ export class ChartRenderer {
             label: context => {
               const label = context.dataset.label || '';
               const value = context.parsed.y;
-              const formattedValue = new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'EUR',
-              }).format(value);
+              const formattedValue = formatMoney(value);
 
               return `${label}: ${formattedValue}`;
             },
@@ -562,10 +556,7 @@ export class ChartRenderer {
       datasetIndex,
       index,
       dataset: dataset.label || 'Dataset',
-      formattedValue: new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD',
-      }).format(value),
+      formattedValue: formatMoney(value),
     };
 
     // For pie charts, calculate percentage
@@ -869,10 +860,7 @@ export class ChartRenderer {
     // Announce to screen readers with enhanced information
     const label = chart.data.labels[index];
     const value = chart.data.datasets[0].data[index];
-    const formattedValue = new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'EUR',
-    }).format(value);
+    const formattedValue = formatMoney(value);
 
     let announcement = `${label}: ${formattedValue}`;
 
@@ -952,13 +940,7 @@ export class ChartRenderer {
       description += `comparison across ${labels.length} categories. `;
       const maxValue = Math.max(...dataset.data);
       const maxIndex = dataset.data.indexOf(maxValue);
-      description += `Highest value is ${labels[maxIndex]} at ${new Intl.NumberFormat(
-        'en-US',
-        {
-          style: 'currency',
-          currency: 'EUR',
-        }
-      ).format(maxValue)}.`;
+      description += `Highest value is ${labels[maxIndex]} at ${formatMoney(maxValue)}.`;
     } else if (chartType === 'line') {
       description += `trends over ${labels.length} time periods. `;
       const firstValue = dataset.data[0];
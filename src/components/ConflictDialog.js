@@ -1,3 +1,29 @@
+import { AccountService } from '../core/Account/account-service.js';
+
+const FIELD_LABELS = {
+  amount: 'Amount',
+  category: 'Category',
+  description: 'Description',
+  tags: 'Tags',
+  accountId: 'Account',
+};
+
+/**
+ * Display text for a conflicting field value
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const formatFieldValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  if (field === 'accountId') {
+    const account = AccountService.getAccounts().find(a => a.id === value);
+    return account ? account.name : String(value);
+  }
+  return String(value);
+};
+
 export function ConflictDialog() {
   const overlay = document.createElement('div');
   overlay.className = 'conflict-dialog-overlay';
@@ -24,6 +50,7 @@ export function ConflictDialog() {
   dialog.style.padding = '16px';
   dialog.style.borderRadius = '8px';
   dialog.style.maxWidth = '420px';
+  dialog.style.width = 'calc(100% - 32px)';
   dialog.style.boxShadow = '0 6px 20px rgba(0,0,0,0.2)';
 
   const title = document.createElement('h3');
@@ -36,6 +63,16 @@ export function ConflictDialog() {
   message.textContent =
     'A conflict was detected between local and cloud versions. Choose which version to keep.';
 
+  // Side-by-side picker for fields edited differently on both devices
+  const picker = document.createElement('div');
+  picker.className = 'conflict-dialog-fields';
+  Object.assign(picker.style, {
+    display: 'none',
+    gridTemplateColumns: 'auto 1fr 1fr',
+    gap: '8px',
+    alignItems: 'center',
+  });
+
   const btns = document.createElement('div');
   btns.style.display = 'flex';
   btns.style.gap = '8px';
@@ -50,6 +87,10 @@ export function ConflictDialog() {
   keepCloud.textContent = 'Keep Cloud';
   keepCloud.className = 'btn btn-secondary';
 
+  const apply = document.createElement('button');
+  apply.textContent = 'Apply';
+  apply.className = 'btn btn-primary';
+
   const cancel = document.createElement('button');
   cancel.textContent = 'Cancel';
   cancel.className = 'btn btn-ghost';
@@ -57,9 +98,11 @@ export function ConflictDialog() {
   btns.appendChild(cancel);
   btns.appendChild(keepCloud);
   btns.appendChild(keepLocal);
+  btns.appendChild(apply);
 
   dialog.appendChild(title);
   dialog.appendChild(message);
+  dialog.appendChild(picker);
   dialog.appendChild(btns);
   overlay.appendChild(dialog);
   // Attach overlay when DOM is ready. If body exists, append immediately,
@@ -72,47 +115,109 @@ export function ConflictDialog() {
     });
   }
   let currentConflict = null;
+  const queue = [];
+
+  const createCell = (text, bold = false) => {
+    const cell = document.createElement('div');
+    cell.textContent = text;
+    cell.style.fontSize = '0.875rem';
+    if (bold) cell.style.fontWeight = '600';
+    return cell;
+  };
+
+  const createOption = (field, side, value, checked) => {
+    const label = document.createElement('label');
+    Object.assign(label.style, {
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: '6px',
+      padding: '6px',
+      border: '1px solid #ddd',
+      borderRadius: '6px',
+      fontSize: '0.875rem',
+      wordBreak: 'break-word',
+      cursor: 'pointer',
+    });
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = `conflict-field-${field}`;
+    radio.value = side;
+    radio.checked = checked;
+    label.appendChild(radio);
+    label.appendChild(document.createTextNode(formatFieldValue(field, value)));
+    return label;
+  };
+
+  function renderFields(conflict) {
+    // Security: Clearing picker, no user input involved
+    picker.innerHTML = '';
+    picker.appendChild(createCell(''));
+    picker.appendChild(createCell('This device', true));
+    picker.appendChild(createCell('Cloud', true));
+    conflict.fields.forEach(({ field, local, cloud }) => {
+      picker.appendChild(createCell(FIELD_LABELS[field] || field, true));
+      picker.appendChild(
+        createOption(field, 'local', local, conflict.kept === 'local')
+      );
+      picker.appendChild(
+        createOption(field, 'cloud', cloud, conflict.kept !== 'local')
+      );
+    });
+  }
 
   function show(conflict) {
+    if (currentConflict) {
+      queue.push(conflict);
+      return;
+    }
     currentConflict = conflict;
-    // update message with context if available
-    if (conflict && conflict.key) {
+    const hasFields = Array.isArray(conflict?.fields) && conflict.fields.length;
+    if (hasFields) {
+      message.textContent =
+        'This transaction was changed differently on this device and in the cloud. Pick the value to keep for each field.';
+      renderFields(conflict);
+    } else if (conflict && conflict.key) {
+      // update message with context if available
       message.textContent = `Conflict in ${conflict.key}. Local and cloud versions differ.`;
     }
+    picker.style.display = hasFields ? 'grid' : 'none';
+    apply.style.display = hasFields ? '' : 'none';
+    keepLocal.style.display = hasFields ? 'none' : '';
+    keepCloud.style.display = hasFields ? 'none' : '';
     overlay.style.display = 'flex';
   }
 
   function hide() {
     overlay.style.display = 'none';
     currentConflict = null;
+    if (queue.length > 0) show(queue.shift());
   }
 
-  keepLocal.addEventListener('click', () => {
+  const resolve = (resolution, extra = {}) => {
     window.dispatchEvent(
       new CustomEvent('sync-conflict-resolution', {
-        detail: { resolution: 'local', conflict: currentConflict },
+        detail: { resolution, conflict: currentConflict, ...extra },
       })
     );
     hide();
-  });
+  };
 
-  keepCloud.addEventListener('click', () => {
-    window.dispatchEvent(
-      new CustomEvent('sync-conflict-resolution', {
-        detail: { resolution: 'cloud', conflict: currentConflict },
-      })
-    );
-    hide();
-  });
+  keepLocal.addEventListener('click', () => resolve('local'));
 
-  cancel.addEventListener('click', () => {
-    window.dispatchEvent(
-      new CustomEvent('sync-conflict-resolution', {
-        detail: { resolution: 'cancel', conflict: currentConflict },
-      })
-    );
-    hide();
+  keepCloud.addEventListener('click', () => resolve('cloud'));
+
+  apply.addEventListener('click', () => {
+    const choices = {};
+    currentConflict.fields.forEach(({ field }) => {
+      const checked = picker.querySelector(
+        `input[name="conflict-field-${field}"]:checked`
+      );
+      choices[field] = checked ? checked.value : 'cloud';
+    });
+    resolve('fields', { choices });
   });
+
+  cancel.addEventListener('click', () => resolve('cancel'));
   // Listen for conflict events
   const handler = e => show(e.detail);
   window.addEventListener('sync-conflict', handler);
@@ -0,0 +1,239 @@
+/**
+ * Currency Settings Section Component
+ * Base (reporting) currency, manual exchange rates and rate file import
+ */
+
+import { ButtonComponent } from './Button.js';
+import { CurrencyService } from '../core/currency-service.js';
+import {
+  SPACING,
+  TOUCH_TARGETS,
+  FONT_SIZES,
+  COLORS,
+  CURRENCIES,
+} from '../utils/constants.js';
+import {
+  showSuccessToast,
+  showErrorToast,
+} from '../utils/toast-notifications.js';
+
+const fieldStyle = {
+  width: '100%',
+  padding: SPACING.SM,
+  borderRadius: 'var(--radius-md)',
+  border: '1px solid var(--color-border)',
+  background: 'var(--color-surface)',
+  color: 'var(--color-text-main)',
+  fontSize: FONT_SIZES.BASE,
+  boxSizing: 'border-box',
+};
+
+const createSelect = (codes, selected, ariaLabel) => {
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', ariaLabel);
+  Object.assign(select.style, fieldStyle, { cursor: 'pointer' });
+  codes.forEach(code => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = code;
+    select.appendChild(option);
+  });
+  if (selected) select.value = selected;
+  return select;
+};
+
+export const CurrencySection = () => {
+  const section = document.createElement('div');
+  section.className = 'card mobile-settings-card';
+  section.style.marginBottom = SPACING.LG;
+
+  const title = document.createElement('h3');
+  title.textContent = 'Currencies';
+  title.className = 'mobile-settings-title';
+  Object.assign(title.style, {
+    marginBottom: SPACING.MD,
+    fontSize: FONT_SIZES.XL,
+  });
+  section.appendChild(title);
+
+  // Base currency
+  const baseLabel = document.createElement('label');
+  baseLabel.textContent = 'Reporting currency:';
+  baseLabel.style.display = 'block';
+  baseLabel.style.marginBottom = SPACING.SM;
+  baseLabel.style.fontWeight = '500';
+  section.appendChild(baseLabel);
+
+  const baseSelect = createSelect(
+    CURRENCIES,
+    CurrencyService.getBaseCurrency(),
+    'Reporting currency'
+  );
+  baseSelect.addEventListener('change', () => {
+    try {
+      CurrencyService.setBaseCurrency(baseSelect.value);
+      renderRates();
+    } catch (error) {
+      console.error('[CurrencySection] Failed to change base currency:', error);
+      showErrorToast('Failed to change the reporting currency');
+    }
+  });
+  section.appendChild(baseSelect);
+
+  const note = document.createElement('p');
+  note.textContent =
+    'Totals, budgets and charts are converted into this currency using the rates below.';
+  note.style.fontSize = FONT_SIZES.SM;
+  note.style.color = COLORS.TEXT_MUTED;
+  note.style.margin = `${SPACING.SM} 0 ${SPACING.MD}`;
+  section.appendChild(note);
+
+  // Rate list
+  const rateList = document.createElement('div');
+  rateList.style.display = 'flex';
+  rateList.style.flexDirection = 'column';
+  rateList.style.gap = SPACING.XS;
+  rateList.style.marginBottom = SPACING.MD;
+  section.appendChild(rateList);
+
+  const renderRates = () => {
+    rateList.innerHTML = '';
+    const base = CurrencyService.getBaseCurrency();
+    const rates = CurrencyService.getRates();
+
+    const missing = CurrencyService.getMissingRates();
+    if (missing.length > 0) {
+      const warning = document.createElement('div');
+      warning.setAttribute('role', 'status');
+      warning.textContent = `No rate for ${missing.join(', ')}: amounts in ${missing.length === 1 ? 'this currency' : 'these currencies'} are counted unconverted until you add one.`;
+      warning.style.fontSize = FONT_SIZES.SM;
+      warning.style.color = COLORS.WARNING;
+      rateList.appendChild(warning);
+    }
+
+    if (rates.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No exchange rates yet.';
+      empty.style.fontSize = FONT_SIZES.SM;
+      empty.style.color = COLORS.TEXT_MUTED;
+      rateList.appendChild(empty);
+      return;
+    }
+
+    rates.forEach(({ currency, rate }) => {
+      const row = document.createElement('div');
+      row.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: ${SPACING.XS} ${SPACING.SM};
+        border: 1px solid ${COLORS.BORDER};
+        border-radius: 8px;
+      `;
+
+      const text = document.createElement('span');
+      text.textContent = `1 ${currency} = ${Number(rate.toFixed(6))} ${base}`;
+      text.style.color = COLORS.TEXT_MAIN;
+      row.appendChild(text);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.setAttribute('aria-label', `Remove ${currency} rate`);
+      removeBtn.style.cssText = `
+        padding: ${SPACING.XS} ${SPACING.SM};
+        background: ${COLORS.DANGER};
+        color: white;
+        border: none;
+        border-radius: 4px;
+        font-size: ${FONT_SIZES.SM};
+        cursor: pointer;
+        min-height: 32px;
+      `;
+      removeBtn.addEventListener('click', () => {
+        CurrencyService.removeRate(currency);
+        renderRates();
+      });
+      row.appendChild(removeBtn);
+
+      rateList.appendChild(row);
+    });
+  };
+
+  // Manual rate entry
+  const addRow = document.createElement('div');
+  addRow.style.display = 'flex';
+  addRow.style.gap = SPACING.SM;
+  addRow.style.marginBottom = SPACING.SM;
+
+  const currencySelect = createSelect(CURRENCIES, 'USD', 'Rate currency');
+  currencySelect.style.flex = '1';
+  addRow.appendChild(currencySelect);
+
+  const rateInput = document.createElement('input');
+  rateInput.type = 'number';
+  rateInput.step = 'any';
+  rateInput.min = '0';
+  rateInput.placeholder = 'Value in reporting currency';
+  rateInput.setAttribute('aria-label', 'Exchange rate');
+  Object.assign(rateInput.style, fieldStyle, { flex: '2' });
+  addRow.appendChild(rateInput);
+  section.appendChild(addRow);
+
+  const saveRateBtn = ButtonComponent({
+    text: 'Save Rate',
+    variant: 'secondary',
+    onClick: () => {
+      try {
+        CurrencyService.setRate(currencySelect.value, rateInput.value);
+        rateInput.value = '';
+        renderRates();
+      } catch (error) {
+        showErrorToast(error.message.replace('[CurrencyService] ', ''));
+      }
+    },
+  });
+  saveRateBtn.className += ' touch-target';
+  Object.assign(saveRateBtn.style, {
+    width: '100%',
+    minHeight: TOUCH_TARGETS.MIN_HEIGHT,
+    marginBottom: SPACING.SM,
+  });
+  section.appendChild(saveRateBtn);
+
+  // Rate file import (JSON from a rates API or "CODE,rate" lines)
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,.csv,.txt';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const count = CurrencyService.importRates(await file.text());
+      renderRates();
+      showSuccessToast(`Imported ${count} exchange rates`);
+    } catch (error) {
+      console.error('[CurrencySection] Rate import failed:', error);
+      showErrorToast(error.message.replace('[CurrencyService] ', ''));
+    }
+  });
+  section.appendChild(fileInput);
+
+  const importBtn = ButtonComponent({
+    text: 'Import Rates (JSON/CSV)',
+    variant: 'ghost',
+    onClick: () => fileInput.click(),
+  });
+  importBtn.className += ' touch-target';
+  Object.assign(importBtn.style, {
+    width: '100%',
+    minHeight: TOUCH_TARGETS.MIN_HEIGHT,
+  });
+  section.appendChild(importBtn);
+
+  renderRates();
+
+  return section;
+};
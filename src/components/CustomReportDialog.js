@@ -0,0 +1,286 @@
+/**
+ * Custom Report Dialog
+ * Builds or edits a saved report: its name, the filter applied to every
+ * widget (dashboard search syntax) and the widgets with their grouping,
+ * chart type and metric.
+ */
+
+import { ButtonComponent } from './Button.js';
+import { CustomReportService } from '../core/custom-report-service.js';
+import { AccountService } from '../core/Account/account-service.js';
+import {
+  SPACING,
+  COLORS,
+  REPORT_GROUPINGS,
+  REPORT_GROUPING_LABELS,
+  REPORT_CHART_TYPES,
+  REPORT_METRICS,
+} from '../utils/constants.js';
+import { parseSearchQuery } from '../utils/search-query.js';
+
+const CHART_TYPE_LABELS = { bar: 'Bar', line: 'Line', pie: 'Pie' };
+
+const METRIC_LABELS = {
+  expenses: 'Spending',
+  income: 'Income',
+  net: 'Net',
+};
+
+const toOptions = labels =>
+  Object.entries(labels).map(([value, label]) => ({ value, label }));
+
+const DEFAULT_WIDGET = {
+  title: '',
+  groupBy: REPORT_GROUPINGS.CATEGORY_MONTH,
+  chartType: 'bar',
+  metric: REPORT_METRICS.EXPENSES,
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} [props.report] - Report to edit; a new report when omitted
+ * @param {Function} [props.onSave] - Called with the saved report
+ * @param {Function} [props.onClose]
+ * @returns {HTMLElement} Dialog overlay
+ */
+export const CustomReportDialog = ({ report = null, onSave, onClose }) => {
+  const widgets = (report?.widgets || [DEFAULT_WIDGET]).map(w => ({ ...w }));
+
+  const overlay = document.createElement('div');
+  overlay.className = 'dialog-overlay';
+  const card = document.createElement('div');
+  card.className = 'dialog-card';
+  card.style.maxWidth = 'var(--modal-max-width)';
+  card.style.width = '90%';
+  card.style.maxHeight = '90vh';
+  card.style.overflowY = 'auto';
+
+  const title = document.createElement('h3');
+  title.textContent = report ? 'Edit Report' : 'New Report';
+  title.style.marginBottom = SPACING.MD;
+  title.style.textAlign = 'center';
+  title.style.color = COLORS.TEXT_MAIN;
+  title.style.fontFamily = 'var(--font-heading)';
+  title.style.fontSize = 'var(--font-size-lg)';
+  title.style.lineHeight = 'var(--line-height-tight)';
+  title.id = 'custom-report-dialog-title';
+  card.appendChild(title);
+
+  card.setAttribute('role', 'dialog');
+  card.setAttribute('aria-modal', 'true');
+  card.setAttribute('aria-labelledby', 'custom-report-dialog-title');
+
+  const form = document.createElement('div');
+  form.style.display = 'flex';
+  form.style.flexDirection = 'column';
+  form.style.gap = SPACING.SM;
+  card.appendChild(form);
+
+  const mkLabel = (labelText, htmlFor) => {
+    const l = document.createElement('label');
+    l.textContent = labelText;
+    l.htmlFor = htmlFor;
+    l.style.fontWeight = '500';
+    l.style.fontSize = 'var(--font-size-sm)';
+    l.style.color = COLORS.TEXT_MUTED;
+    l.style.display = 'block';
+    l.style.marginBottom = `${SPACING.XS}`;
+    return l;
+  };
+
+  const mkInput = (id, value, placeholder) => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = id;
+    input.className = 'mobile-form-input';
+    input.value = value || '';
+    input.placeholder = placeholder;
+    return input;
+  };
+
+  const mkSelect = (id, options, selected) => {
+    const s = document.createElement('select');
+    s.className = 'mobile-form-select';
+    s.id = id;
+    options.forEach(({ value, label }) => {
+      const o = document.createElement('option');
+      o.value = value;
+      o.textContent = label;
+      s.appendChild(o);
+    });
+    s.value = selected ?? '';
+    return s;
+  };
+
+  form.appendChild(mkLabel('Report name', 'custom-report-name'));
+  const nameInput = mkInput(
+    'custom-report-name',
+    report?.name,
+    'e.g. Holiday spending'
+  );
+  form.appendChild(nameInput);
+
+  form.appendChild(mkLabel('Filter', 'custom-report-filter'));
+  const filterInput = mkInput(
+    'custom-report-filter',
+    report?.query,
+    'e.g. tag:trip cat:Храна >20'
+  );
+  form.appendChild(filterInput);
+
+  const filterHint = document.createElement('p');
+  filterHint.textContent =
+    'Same syntax as the dashboard search. The period comes from the Reports period selector.';
+  filterHint.style.margin = '0';
+  filterHint.style.fontSize = 'var(--font-size-sm)';
+  filterHint.style.color = COLORS.TEXT_MUTED;
+  form.appendChild(filterHint);
+
+  const widgetsTitle = document.createElement('h4');
+  widgetsTitle.textContent = 'Widgets';
+  widgetsTitle.style.margin = `${SPACING.MD} 0 0`;
+  widgetsTitle.style.color = COLORS.TEXT_MAIN;
+  form.appendChild(widgetsTitle);
+
+  const widgetList = document.createElement('div');
+  widgetList.style.display = 'flex';
+  widgetList.style.flexDirection = 'column';
+  widgetList.style.gap = SPACING.SM;
+  form.appendChild(widgetList);
+
+  const renderWidgets = () => {
+    widgetList.replaceChildren();
+    widgets.forEach((widget, index) => {
+      const row = document.createElement('div');
+      row.style.display = 'grid';
+      row.style.gridTemplateColumns = 'repeat(auto-fit, minmax(120px, 1fr))';
+      row.style.gap = SPACING.XS;
+      row.style.padding = SPACING.SM;
+      row.style.border = `1px solid ${COLORS.BORDER}`;
+      row.style.borderRadius = 'var(--radius-md)';
+
+      const prefix = `custom-report-widget-${index}`;
+      const titleInput = mkInput(`${prefix}-title`, widget.title, 'Title');
+      titleInput.setAttribute('aria-label', `Widget ${index + 1} title`);
+      titleInput.addEventListener('input', () => {
+        widget.title = titleInput.value;
+      });
+
+      const selects = [
+        ['groupBy', toOptions(REPORT_GROUPING_LABELS), 'grouping'],
+        [
+          'chartType',
+          REPORT_CHART_TYPES.map(type => ({
+            value: type,
+            label: CHART_TYPE_LABELS[type],
+          })),
+          'chart type',
+        ],
+        ['metric', toOptions(METRIC_LABELS), 'metric'],
+      ].map(([field, options, label]) => {
+        const select = mkSelect(`${prefix}-${field}`, options, widget[field]);
+        select.setAttribute('aria-label', `Widget ${index + 1} ${label}`);
+        select.addEventListener('change', () => {
+          widget[field] = select.value;
+        });
+        return select;
+      });
+
+      const removeBtn = ButtonComponent({
+        text: 'Remove',
+        variant: 'ghost',
+        onClick: () => {
+          widgets.splice(index, 1);
+          renderWidgets();
+        },
+      });
+      removeBtn.disabled = widgets.length === 1;
+
+      row.append(titleInput, ...selects, removeBtn);
+      widgetList.appendChild(row);
+    });
+  };
+  renderWidgets();
+
+  const addWidgetBtn = ButtonComponent({
+    text: '+ Add widget',
+    variant: 'secondary',
+    onClick: () => {
+      widgets.push({ ...DEFAULT_WIDGET });
+      renderWidgets();
+    },
+  });
+  form.appendChild(addWidgetBtn);
+
+  const error = document.createElement('p');
+  error.setAttribute('role', 'alert');
+  error.style.margin = `${SPACING.SM} 0 0`;
+  error.style.color = COLORS.ERROR;
+  error.style.fontSize = 'var(--font-size-sm)';
+  card.appendChild(error);
+
+  const btnGroup = document.createElement('div');
+  btnGroup.style.display = 'flex';
+  btnGroup.style.gap = SPACING.SM;
+  btnGroup.style.marginTop = SPACING.MD;
+
+  const cancelBtn = ButtonComponent({
+    text: 'Cancel',
+    variant: 'secondary',
+    onClick: close,
+  });
+  cancelBtn.style.flex = '1';
+  btnGroup.appendChild(cancelBtn);
+
+  const saveBtn = ButtonComponent({
+    text: 'Save Report',
+    variant: 'primary',
+    onClick: () => {
+      const query = filterInput.value;
+      const saved = CustomReportService.save({
+        id: report?.id,
+        name: nameInput.value,
+        query,
+        filters: parseSearchQuery(query, {
+          accounts: AccountService.getAccounts(),
+        }),
+        widgets,
+      });
+      if (!saved) {
+        error.textContent = 'Give the report a name.';
+        nameInput.focus();
+        return;
+      }
+      close();
+      if (typeof onSave === 'function') onSave(saved);
+    },
+  });
+  saveBtn.style.flex = '1';
+  btnGroup.appendChild(saveBtn);
+
+  card.appendChild(btnGroup);
+  overlay.appendChild(card);
+
+  function close() {
+    document.body.removeEventListener('keydown', onKey);
+    if (document.body.contains(overlay)) {
+      document.body.removeChild(overlay);
+    }
+    if (typeof onClose === 'function') onClose();
+  }
+
+  function onKey(e) {
+    if (e.key === 'Escape') {
+      close();
+    }
+  }
+
+  overlay.addEventListener('click', e => {
+    if (e.target === overlay) close();
+  });
+
+  document.body.addEventListener('keydown', onKey);
+  document.body.appendChild(overlay);
+  nameInput.focus();
+  return overlay;
+};
@@ -0,0 +1,177 @@
+/**
+ * Dashboard Search Bar Component
+ *
+ * Search input with query syntax (see utils/search-query.js) and saved
+ * searches persisted through NavigationState.
+ */
+
+import { NavigationState } from '../core/navigation-state.js';
+import { debounce } from '../utils/touch-utils.js';
+
+const SEARCH_HELP =
+  'Matches description, category, tags and amount. Filters: >50, <=20, tag:trip, acct:Cash, cat:Food, type:refund, before:2026-03-01, after:2026-01-31';
+
+const createButton = (text, className = 'btn btn-ghost') => {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `${className} dashboard-search-btn`;
+  button.textContent = text;
+  return button;
+};
+
+/**
+ * Create the dashboard search bar
+ * @param {Object} props - Component props
+ * @param {string} props.initialQuery - Query restored from the session
+ * @param {Function} props.onSearch - Called with the query on every change
+ * @returns {HTMLElement} Search bar; call element.setQuery(query) to update it
+ */
+export const DashboardSearchBar = ({ initialQuery = '', onSearch }) => {
+  const container = document.createElement('div');
+  container.className = 'dashboard-search-bar mb-xs';
+
+  const searchRow = document.createElement('div');
+  searchRow.className = 'dashboard-filter-row';
+
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.id = 'dashboard-search-input';
+  input.name = 'dashboard-search';
+  input.className = 'dashboard-search-input';
+  input.placeholder = 'Search… e.g. coffee >20 tag:trip';
+  input.title = SEARCH_HELP;
+  input.setAttribute('aria-label', 'Search transactions');
+  input.autocomplete = 'off';
+  input.value = initialQuery;
+  searchRow.appendChild(input);
+
+  const savedSelect = document.createElement('select');
+  savedSelect.className = 'view-select mt-0 mb-0 dashboard-saved-searches';
+  savedSelect.setAttribute('aria-label', 'Saved searches');
+  searchRow.appendChild(savedSelect);
+
+  const saveBtn = createButton('Save');
+  searchRow.appendChild(saveBtn);
+  container.appendChild(searchRow);
+
+  // Inline naming row shown while saving a search
+  const nameRow = document.createElement('div');
+  nameRow.className = 'dashboard-filter-row dashboard-search-name-row';
+  nameRow.hidden = true;
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'dashboard-search-input';
+  nameInput.placeholder = 'Name this search';
+  nameInput.setAttribute('aria-label', 'Saved search name');
+  nameInput.maxLength = 40;
+  nameRow.appendChild(nameInput);
+
+  const confirmBtn = createButton('Save', 'btn btn-primary');
+  const cancelBtn = createButton('Cancel');
+  nameRow.appendChild(confirmBtn);
+  nameRow.appendChild(cancelBtn);
+  container.appendChild(nameRow);
+
+  const findSavedSearch = () => {
+    const query = input.value.trim();
+    return query
+      ? NavigationState.getSavedSearches().find(s => s.query === query)
+      : null;
+  };
+
+  const refreshControls = () => {
+    const searches = NavigationState.getSavedSearches();
+    const active = findSavedSearch();
+
+    // Security: Clearing select options, no user input involved
+    savedSelect.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = searches.length
+      ? 'Saved searches'
+      : 'No saved searches';
+    savedSelect.appendChild(placeholder);
+    searches.forEach(search => {
+      const option = document.createElement('option');
+      option.value = search.id;
+      option.textContent = search.name;
+      savedSelect.appendChild(option);
+    });
+    savedSelect.value = active ? active.id : '';
+    savedSelect.disabled = searches.length === 0;
+
+    saveBtn.textContent = active ? 'Forget' : 'Save';
+    saveBtn.title = active
+      ? `Remove "${active.name}" from saved searches`
+      : 'Save this search';
+    saveBtn.disabled = !active && input.value.trim() === '';
+  };
+
+  const hideNameRow = () => {
+    nameRow.hidden = true;
+    nameInput.value = '';
+  };
+
+  const emitSearch = () => {
+    NavigationState.saveDashboardSearch(input.value);
+    refreshControls();
+    onSearch?.(input.value);
+  };
+  const debouncedSearch = debounce(emitSearch, 200);
+
+  input.addEventListener('input', () => {
+    hideNameRow();
+    debouncedSearch();
+  });
+  input.addEventListener('keydown', e => {
+    if (e.key === 'Enter') emitSearch();
+  });
+
+  savedSelect.addEventListener('change', () => {
+    const search = NavigationState.getSavedSearches().find(
+      s => s.id === savedSelect.value
+    );
+    if (!search) return;
+    input.value = search.query;
+    hideNameRow();
+    emitSearch();
+    savedSelect.blur();
+  });
+
+  saveBtn.addEventListener('click', () => {
+    const active = findSavedSearch();
+    if (active) {
+      NavigationState.removeSavedSearch(active.id);
+      refreshControls();
+      return;
+    }
+    nameRow.hidden = false;
+    nameInput.value = input.value.trim();
+    nameInput.focus();
+    nameInput.select();
+  });
+
+  const saveNamedSearch = () => {
+    if (NavigationState.saveSearch(nameInput.value, input.value)) {
+      hideNameRow();
+      refreshControls();
+    }
+  };
+  confirmBtn.addEventListener('click', saveNamedSearch);
+  nameInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter') saveNamedSearch();
+    if (e.key === 'Escape') hideNameRow();
+  });
+  cancelBtn.addEventListener('click', hideNameRow);
+
+  container.setQuery = query => {
+    input.value = query || '';
+    hideNameRow();
+    NavigationState.saveDashboardSearch(input.value);
+    refreshControls();
+  };
+
+  refreshControls();
+  return container;
+};
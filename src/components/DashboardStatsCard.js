@@ -9,8 +9,8 @@ import {
   SPACING,
   TOUCH_TARGETS,
   BREAKPOINTS,
-  CURRENCY_SYMBOL,
 } from '../utils/constants.js';
+import { formatMoney } from '../utils/money-format.js';
 
 export const DashboardStatsCard = ({
   label,
@@ -65,7 +65,7 @@ export const DashboardStatsCard = ({
   });
 
   const val = document.createElement('h2');
-  val.textContent = `${CURRENCY_SYMBOL}${value.toFixed(2)}`;
+  val.textContent = formatMoney(value);
   val.className = 'dashboard-stat-value';
   Object.assign(val.style, {
     color,
@@ -177,7 +177,7 @@ export const DashboardStatsCard = ({
     // Add target indicator if target provided
     if (targetValue !== null) {
       const targetText = document.createElement('div');
-      targetText.textContent = `Target: ${CURRENCY_SYMBOL}${targetValue.toFixed(2)}`;
+      targetText.textContent = `Target: ${formatMoney(targetValue)}`;
       targetText.style.cssText = `
         font-size: 0.7rem;
         color: ${COLORS.TEXT_MUTED};
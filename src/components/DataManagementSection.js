@@ -1,6 +1,6 @@
 /**
  * Data Management Section Component
- * Handles CSV export functionality
+ * Handles CSV export and bank statement import
  */
 
 import { ButtonComponent } from './Button.js';
@@ -17,7 +17,11 @@ import {
   getTodayISO,
   formatDateForDisplay,
 } from '../utils/date-utils.js';
-import { showWarningToast } from '../utils/toast-notifications.js';
+import { formatMoneyForExport } from '../utils/money-format.js';
+import {
+  showWarningToast,
+  showSuccessToast,
+} from '../utils/toast-notifications.js';
 
 export const DataManagementSection = () => {
   const section = document.createElement('div');
@@ -116,7 +120,7 @@ export const DataManagementSection = () => {
         formatDateForDisplay(t.timestamp),
         t.type.charAt(0).toUpperCase() + t.type.slice(1),
         t.category,
-        (t.type === 'expense' ? -t.amount : t.amount).toFixed(2),
+        formatMoneyForExport(t.type === 'expense' ? -t.amount : t.amount),
       ]);
 
       const csvContent = [
@@ -144,6 +148,54 @@ export const DataManagementSection = () => {
   section.appendChild(dateRangeContainer);
   section.appendChild(exportBtn);
 
+  // Bank statement import (CSV, OFX, QIF)
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.csv,.txt,.ofx,.qfx,.qif';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const { StatementImportDialog } =
+        await import('./StatementImportDialog.js');
+      StatementImportDialog({
+        text,
+        fileName: file.name,
+        onImported: added => {
+          showSuccessToast(`Imported ${added.length} transactions.`, {
+            duration: 4000,
+          });
+        },
+      });
+    } catch (error) {
+      console.error('Statement import failed:', error);
+      showWarningToast(`Could not read ${file.name}: ${error.message}`, {
+        duration: 4000,
+        persistent: false,
+      });
+    }
+  });
+  section.appendChild(fileInput);
+
+  const importBtn = ButtonComponent({
+    text: 'Import Bank Statement (CSV/OFX/QIF)',
+    variant: 'secondary',
+    onClick: () => fileInput.click(),
+  });
+  importBtn.className += ' touch-target mobile-form-button';
+  Object.assign(importBtn.style, {
+    width: '100%',
+    minHeight: TOUCH_TARGETS.MIN_HEIGHT,
+    padding: SPACING.MD,
+    fontSize: FONT_SIZES.BASE,
+    marginTop: SPACING.SM,
+  });
+  section.appendChild(importBtn);
+
   // Emergency Recovery Section
   const emergencyDivider = document.createElement('div');
   emergencyDivider.style.margin = `${SPACING.LG} 0`;
@@ -168,14 +220,18 @@ export const DataManagementSection = () => {
 
         const { EmergencyExportService } =
           await import('../core/emergency-export-service.js');
-        const result = await EmergencyExportService.createEmergencyExport();
+        const result = await EmergencyExportService.createEmergencyExport({
+          includeAttachments: attachmentsCheckbox.checked,
+        });
 
         if (result.success) {
           // Dynamic import to avoid circular dependencies
           const { MobileAlert } = await import('./MobileModal.js');
           MobileAlert({
             title: 'Export Successful',
-            message: `Your emergency data file has been downloaded. File size: ${(result.size / 1024).toFixed(1)}KB`,
+            message: result.encrypted
+              ? `Your encrypted emergency data file has been downloaded; it opens with your current vault passphrase. Receipts are not included. File size: ${(result.size / 1024).toFixed(1)}KB`
+              : `Your emergency data file has been downloaded. File size: ${(result.size / 1024).toFixed(1)}KB`,
             buttonText: 'Got it',
           });
         } else {
@@ -215,6 +271,26 @@ export const DataManagementSection = () => {
 
   section.appendChild(emergencyBtn);
 
+  // Optional receipt files, bundled with the JSON into a .zip
+  const attachmentsLabel = document.createElement('label');
+  Object.assign(attachmentsLabel.style, {
+    display: 'flex',
+    alignItems: 'center',
+    gap: SPACING.SM,
+    marginTop: SPACING.SM,
+    fontSize: FONT_SIZES.SM,
+    color: COLORS.TEXT_MUTED,
+    cursor: 'pointer',
+  });
+  const attachmentsCheckbox = document.createElement('input');
+  attachmentsCheckbox.type = 'checkbox';
+  attachmentsCheckbox.id = 'emergency-export-attachments';
+  attachmentsLabel.appendChild(attachmentsCheckbox);
+  attachmentsLabel.appendChild(
+    document.createTextNode('Include receipt attachments (.zip)')
+  );
+  section.appendChild(attachmentsLabel);
+
   // Add spacing
   const spacing = document.createElement('div');
   spacing.style.marginBottom = SPACING.SM;
@@ -0,0 +1,115 @@
+/**
+ * EnvelopeHistory Component
+ *
+ * Small bar strip showing a rollover budget's balance at the end of each
+ * period: green bars for money carried forward, red for overspending.
+ */
+
+import { COLORS, SPACING, FONT_SIZES } from '../utils/constants.js';
+import { formatMoney } from '../utils/money-format.js';
+
+const MAX_PERIODS = 6;
+const BAR_AREA_HEIGHT = 48;
+
+/**
+ * Create an envelope balance history strip
+ * @param {Object} props - { history } from BudgetPlanner (oldest first)
+ * @returns {HTMLElement|null} Null when there is nothing to show
+ */
+export const EnvelopeHistory = ({ history }) => {
+  if (!Array.isArray(history) || history.length === 0) return null;
+
+  const entries = history.slice(-MAX_PERIODS);
+  const maxBalance = Math.max(1, ...entries.map(e => Math.abs(e.balance)));
+
+  const container = document.createElement('div');
+  container.className = 'envelope-history';
+  Object.assign(container.style, {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: SPACING.XS,
+  });
+
+  const title = document.createElement('div');
+  title.textContent = 'Envelope balance';
+  title.style.fontSize = FONT_SIZES.SM;
+  title.style.color = COLORS.TEXT_MUTED;
+  container.appendChild(title);
+
+  const strip = document.createElement('div');
+  Object.assign(strip.style, {
+    display: 'flex',
+    alignItems: 'stretch',
+    gap: SPACING.XS,
+  });
+
+  entries.forEach((entry, index) => {
+    const isCurrent = index === entries.length - 1;
+    const column = document.createElement('div');
+    column.className = 'envelope-history-period';
+    column.title = `${entry.label}: ${formatMoney(entry.available)} available, ${formatMoney(entry.spent)} spent, balance ${formatMoney(entry.balance)}`;
+    Object.assign(column.style, {
+      flex: '1',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      gap: '2px',
+      minWidth: '0',
+    });
+
+    // Positive balances grow up from the middle line, negative ones down
+    const barArea = document.createElement('div');
+    Object.assign(barArea.style, {
+      position: 'relative',
+      width: '100%',
+      height: `${BAR_AREA_HEIGHT}px`,
+      borderBottom: `1px dashed ${COLORS.BORDER}`,
+      marginBottom: `${BAR_AREA_HEIGHT / 2}px`,
+    });
+
+    const bar = document.createElement('div');
+    const height = (Math.abs(entry.balance) / maxBalance) * BAR_AREA_HEIGHT;
+    Object.assign(bar.style, {
+      position: 'absolute',
+      left: '20%',
+      right: '20%',
+      height: `${Math.max(2, height / 2)}px`,
+      background: entry.balance >= 0 ? COLORS.SUCCESS : COLORS.ERROR,
+      opacity: isCurrent ? '0.6' : '1',
+      borderRadius: '2px',
+    });
+    if (entry.balance >= 0) {
+      bar.style.bottom = '0';
+    } else {
+      bar.style.top = '100%';
+    }
+    barArea.appendChild(bar);
+    column.appendChild(barArea);
+
+    const amount = document.createElement('span');
+    amount.textContent = formatMoney(entry.balance, { decimals: 0 });
+    Object.assign(amount.style, {
+      fontSize: '0.7rem',
+      color: entry.balance >= 0 ? COLORS.TEXT_MAIN : COLORS.ERROR,
+      whiteSpace: 'nowrap',
+    });
+    column.appendChild(amount);
+
+    const label = document.createElement('span');
+    label.textContent = isCurrent ? 'Now' : entry.label;
+    Object.assign(label.style, {
+      fontSize: '0.65rem',
+      color: COLORS.TEXT_MUTED,
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap',
+      maxWidth: '100%',
+    });
+    column.appendChild(label);
+
+    strip.appendChild(column);
+  });
+
+  container.appendChild(strip);
+  return container;
+};
@@ -22,6 +22,7 @@ import {
 import { InsightsGenerator } from '../core/insights-generator.js';
 import { generateId } from '../utils/id-utils.js';
 import { trendService } from '../core/analytics/TrendService.js';
+import { formatMoney } from '../utils/money-format.js';
 
 export const InflationTrends = (
   data,
@@ -174,7 +175,7 @@ export const InflationTrends = (
         driverItem.style.borderBottom = '1px solid var(--color-border)';
 
         const driverInfo = document.createElement('div');
-        driverInfo.innerHTML = `<strong>${driver.category}</strong><br><span style="font-size: 0.75rem; color: var(--color-text-muted)">Spending: €${driver.spending.toFixed(0)}</span>`;
+        driverInfo.innerHTML = `<strong>${driver.category}</strong><br><span style="font-size: 0.75rem; color: var(--color-text-muted)">Spending: ${formatMoney(driver.spending, { decimals: 0 })}</span>`;
 
         const driverRate = document.createElement('span');
         driverRate.className = 'badge badge-error';
@@ -227,7 +228,7 @@ export const InflationTrends = (
         savings.style.fontSize = '0.75rem';
         savings.style.color = 'var(--color-text-muted)';
         savings.style.marginTop = 'var(--spacing-sm)';
-        savings.textContent = `Est. savings: €${suggestion.estimatedSavings}/month`;
+        savings.textContent = `Est. savings: ${formatMoney(suggestion.estimatedSavings, { decimals: 0 })}/month`;
 
         suggestionCard.appendChild(message);
         suggestionCard.appendChild(action);
@@ -0,0 +1,158 @@
+/**
+ * Money Format Section Component
+ * Locale, currency symbol, decimal places and negative style for amounts
+ */
+
+import {
+  SPACING,
+  FONT_SIZES,
+  COLORS,
+  MONEY_LOCALES,
+  NEGATIVE_STYLES,
+} from '../utils/constants.js';
+import {
+  formatMoney,
+  getMoneyFormatSettings,
+  saveMoneyFormatSettings,
+} from '../utils/money-format.js';
+
+const SAMPLE_AMOUNT = 1234.5;
+
+const createField = (labelText, control) => {
+  const wrapper = document.createElement('div');
+  wrapper.style.marginBottom = SPACING.MD;
+
+  const label = document.createElement('label');
+  label.textContent = labelText;
+  label.style.display = 'block';
+  label.style.marginBottom = SPACING.SM;
+  label.style.fontWeight = '500';
+
+  wrapper.appendChild(label);
+  wrapper.appendChild(control);
+  return wrapper;
+};
+
+const createSelect = (options, selected, ariaLabel) => {
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', ariaLabel);
+  Object.assign(select.style, {
+    width: '100%',
+    padding: SPACING.SM,
+    borderRadius: 'var(--radius-md)',
+    border: '1px solid var(--color-border)',
+    background: 'var(--color-surface)',
+    color: 'var(--color-text-main)',
+    fontSize: FONT_SIZES.BASE,
+    cursor: 'pointer',
+  });
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = String(value);
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = String(selected);
+  return select;
+};
+
+export const MoneyFormatSection = () => {
+  const section = document.createElement('div');
+  section.className = 'card mobile-settings-card';
+  section.style.marginBottom = SPACING.LG;
+
+  const title = document.createElement('h3');
+  title.textContent = 'Number Format';
+  title.className = 'mobile-settings-title';
+  Object.assign(title.style, {
+    marginBottom: SPACING.MD,
+    fontSize: FONT_SIZES.XL,
+  });
+  section.appendChild(title);
+
+  const settings = getMoneyFormatSettings();
+
+  const preview = document.createElement('p');
+  preview.className = 'money-format-preview';
+  preview.style.fontSize = FONT_SIZES.LG;
+  preview.style.color = COLORS.TEXT_MAIN;
+  preview.style.margin = `0 0 ${SPACING.MD}`;
+
+  const updatePreview = () => {
+    preview.textContent = `${formatMoney(SAMPLE_AMOUNT)}  ·  ${formatMoney(-SAMPLE_AMOUNT)}`;
+  };
+
+  const save = updates => {
+    try {
+      saveMoneyFormatSettings(updates);
+      updatePreview();
+    } catch (error) {
+      console.error('[MoneyFormatSection] Failed to save money format:', error);
+    }
+  };
+
+  const localeSelect = createSelect(
+    MONEY_LOCALES,
+    settings.locale,
+    'Number locale'
+  );
+  localeSelect.addEventListener('change', () =>
+    save({ locale: localeSelect.value })
+  );
+  section.appendChild(createField('Number style:', localeSelect));
+
+  const decimalsSelect = createSelect(
+    [
+      { value: 2, label: '2 decimal places' },
+      { value: 0, label: 'Whole numbers' },
+    ],
+    settings.decimals,
+    'Decimal places'
+  );
+  decimalsSelect.addEventListener('change', () =>
+    save({ decimals: Number(decimalsSelect.value) })
+  );
+  section.appendChild(createField('Decimal places:', decimalsSelect));
+
+  const negativeSelect = createSelect(
+    [
+      { value: NEGATIVE_STYLES.MINUS, label: 'Minus sign (-12.50)' },
+      { value: NEGATIVE_STYLES.PARENTHESES, label: 'Parentheses (12.50)' },
+    ],
+    settings.negativeStyle,
+    'Negative amounts'
+  );
+  negativeSelect.addEventListener('change', () =>
+    save({ negativeStyle: negativeSelect.value })
+  );
+  section.appendChild(createField('Negative amounts:', negativeSelect));
+
+  // Currency symbol toggle
+  const symbolRow = document.createElement('label');
+  symbolRow.style.display = 'flex';
+  symbolRow.style.alignItems = 'center';
+  symbolRow.style.gap = SPACING.SM;
+  symbolRow.style.marginBottom = SPACING.MD;
+  symbolRow.style.cursor = 'pointer';
+
+  const symbolCheckbox = document.createElement('input');
+  symbolCheckbox.type = 'checkbox';
+  symbolCheckbox.checked = settings.showSymbol;
+  symbolCheckbox.addEventListener('change', () =>
+    save({ showSymbol: symbolCheckbox.checked })
+  );
+  symbolRow.appendChild(symbolCheckbox);
+  symbolRow.appendChild(document.createTextNode('Show currency symbol'));
+  section.appendChild(symbolRow);
+
+  const previewLabel = document.createElement('div');
+  previewLabel.textContent = 'Preview';
+  previewLabel.style.fontSize = FONT_SIZES.SM;
+  previewLabel.style.color = COLORS.TEXT_MUTED;
+  section.appendChild(previewLabel);
+  section.appendChild(preview);
+
+  updatePreview();
+
+  return section;
+};
@@ -11,6 +11,7 @@
 import { COLORS, SPACING } from '../utils/constants.js';
 import { TransactionService } from '../core/transaction-service.js';
 import { ChartRenderer } from './ChartRenderer.js';
+import { formatMoney } from '../utils/money-format.js';
 
 /**
  * Get the start of a month for a given date
@@ -317,12 +318,7 @@ export async function createNetBalanceChart() {
           },
           ticks: {
             callback: function (value) {
-              return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'EUR',
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 0,
-              }).format(value);
+              return formatMoney(value, { decimals: 0 });
             },
           },
         },
@@ -341,10 +337,7 @@ export async function createNetBalanceChart() {
             label: function (context) {
               const label = context.dataset.label || '';
               const value = context.parsed.y;
-              const formattedValue = new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'EUR',
-              }).format(value);
+              const formattedValue = formatMoney(value);
               return `${label}: ${formattedValue}`;
             },
           },
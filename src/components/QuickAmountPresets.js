@@ -11,6 +11,7 @@
 import { AmountPresetService } from '../core/amount-preset-service.js';
 import { TransactionService } from '../core/transaction-service.js';
 import { getCopyString } from '../utils/copy-strings.js';
+import { formatMoney } from '../utils/money-format.js';
 
 export const QuickAmountPresets = ({ onPresetSelect }) => {
   const container = document.createElement('div');
@@ -37,10 +38,14 @@ export const QuickAmountPresets = ({ onPresetSelect }) => {
       const button = document.createElement('button');
       button.type = 'button';
       button.className = 'quick-amount-preset-btn';
-      button.textContent = `$${amount}`;
+      // Whole presets are shown without cents to keep the buttons compact
+      const label = formatMoney(amount, {
+        decimals: Number.isInteger(amount) ? 0 : undefined,
+      });
+      button.textContent = label;
       button.setAttribute(
         'aria-label',
-        `${getCopyString('transaction.quickAmount')}: $${amount}`
+        `${getCopyString('transaction.quickAmount')}: ${label}`
       );
       button.setAttribute('data-amount', amount);
       button.setAttribute('tabindex', '0');
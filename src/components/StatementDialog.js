@@ -0,0 +1,188 @@
+/**
+ * Statement Dialog
+ * Previews the paginated statement for the selected report period and
+ * prints it or downloads it as a PDF. Both outputs use the same page images.
+ */
+
+import { ButtonComponent } from './Button.js';
+import { SPACING, COLORS } from '../utils/constants.js';
+import { renderStatementPages } from '../utils/statement-layout.js';
+import { encodePagesAsJpeg, downloadBlob } from '../utils/page-canvas.js';
+import { createImagePdf } from '../utils/pdf-writer.js';
+import { dateToISO } from '../utils/date-utils.js';
+import {
+  showErrorToast,
+  showSuccessToast,
+} from '../utils/toast-notifications.js';
+
+/**
+ * Print page images on A4 sheets without margins
+ * @param {string[]} sources - Page image URLs
+ */
+const printPages = sources => {
+  const printArea = document.createElement('div');
+  printArea.className = 'statement-print';
+  sources.forEach(src => {
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = '';
+    printArea.appendChild(img);
+  });
+
+  // Scoped to this print job so other printing keeps the browser defaults
+  const pageStyle = document.createElement('style');
+  pageStyle.textContent = '@page { size: A4; margin: 0; }';
+
+  document.head.appendChild(pageStyle);
+  document.body.appendChild(printArea);
+  document.body.classList.add('printing-statement');
+
+  window.addEventListener(
+    'afterprint',
+    () => {
+      document.body.classList.remove('printing-statement');
+      printArea.remove();
+      pageStyle.remove();
+    },
+    { once: true }
+  );
+  window.print();
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.statement - Result of StatementService.build()
+ * @param {Array<{title: string, src: string}>} props.charts - Chart images
+ * @param {Function} [props.onClose]
+ * @returns {Promise<HTMLElement>} Dialog overlay
+ */
+export const StatementDialog = async ({ statement, charts, onClose }) => {
+  const pages = await renderStatementPages(statement, charts);
+  const sources = pages.map(page => page.toDataURL('image/jpeg', 0.92));
+  const fileName = `blinkbudget-statement-${dateToISO(
+    new Date(statement.generatedAt)
+  )}.pdf`;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'dialog-overlay';
+  const card = document.createElement('div');
+  card.className = 'dialog-card';
+  card.style.maxWidth = 'var(--modal-max-width)';
+  card.style.width = '90%';
+  card.style.maxHeight = '90vh';
+  card.style.display = 'flex';
+  card.style.flexDirection = 'column';
+
+  const title = document.createElement('h3');
+  title.textContent = statement.title;
+  title.style.margin = '0';
+  title.style.textAlign = 'center';
+  title.style.color = COLORS.TEXT_MAIN;
+  title.style.fontFamily = 'var(--font-heading)';
+  title.style.fontSize = 'var(--font-size-lg)';
+  title.style.lineHeight = 'var(--line-height-tight)';
+  title.id = 'statement-dialog-title';
+  card.appendChild(title);
+
+  card.setAttribute('role', 'dialog');
+  card.setAttribute('aria-modal', 'true');
+  card.setAttribute('aria-labelledby', 'statement-dialog-title');
+
+  const subtitle = document.createElement('p');
+  subtitle.textContent = `${statement.periodLabel} · ${pages.length} ${
+    pages.length === 1 ? 'page' : 'pages'
+  }`;
+  subtitle.style.textAlign = 'center';
+  subtitle.style.fontSize = 'var(--font-size-sm)';
+  subtitle.style.color = COLORS.TEXT_MUTED;
+  subtitle.style.margin = `${SPACING.XS} 0 ${SPACING.MD}`;
+  card.appendChild(subtitle);
+
+  const preview = document.createElement('div');
+  preview.style.display = 'flex';
+  preview.style.flexDirection = 'column';
+  preview.style.gap = SPACING.MD;
+  preview.style.overflowY = 'auto';
+  preview.style.minHeight = '0';
+  preview.style.padding = SPACING.SM;
+  preview.style.background = COLORS.BACKGROUND;
+  preview.style.borderRadius = 'var(--radius-md)';
+  sources.forEach((src, index) => {
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = `Statement page ${index + 1}`;
+    img.style.width = '100%';
+    img.style.display = 'block';
+    img.style.borderRadius = 'var(--radius-xs)';
+    preview.appendChild(img);
+  });
+  card.appendChild(preview);
+
+  const btnGroup = document.createElement('div');
+  btnGroup.style.display = 'flex';
+  btnGroup.style.gap = SPACING.SM;
+  btnGroup.style.marginTop = SPACING.MD;
+
+  const closeBtn = ButtonComponent({
+    text: 'Close',
+    variant: 'secondary',
+    onClick: close,
+  });
+  closeBtn.style.flex = '1';
+  btnGroup.appendChild(closeBtn);
+
+  const printBtn = ButtonComponent({
+    text: 'Print',
+    variant: 'secondary',
+    onClick: () => printPages(sources),
+  });
+  printBtn.style.flex = '1';
+  btnGroup.appendChild(printBtn);
+
+  const pdfBtn = ButtonComponent({
+    text: 'Download PDF',
+    variant: 'primary',
+    onClick: async () => {
+      pdfBtn.disabled = true;
+      try {
+        const pdf = createImagePdf(await encodePagesAsJpeg(pages), {
+          title: `${statement.title} ${statement.periodLabel}`,
+        });
+        downloadBlob(pdf, fileName);
+        showSuccessToast('Statement downloaded.');
+      } catch (error) {
+        console.error('[StatementDialog] PDF export failed:', error);
+        showErrorToast('Could not create the PDF.');
+      } finally {
+        pdfBtn.disabled = false;
+      }
+    },
+  });
+  pdfBtn.style.flex = '1';
+  btnGroup.appendChild(pdfBtn);
+
+  card.appendChild(btnGroup);
+  overlay.appendChild(card);
+
+  function close() {
+    document.body.removeEventListener('keydown', onKey);
+    if (document.body.contains(overlay)) {
+      document.body.removeChild(overlay);
+    }
+    if (typeof onClose === 'function') onClose();
+  }
+
+  function onKey(e) {
+    if (e.key === 'Escape') {
+      close();
+    }
+  }
+
+  overlay.addEventListener('click', e => {
+    if (e.target === overlay) close();
+  });
+
+  document.body.addEventListener('keydown', onKey);
+  document.body.appendChild(overlay);
+  return overlay;
+};
@@ -0,0 +1,300 @@
+/**
+ * Statement Import Dialog
+ * Column mapping (CSV), preview with duplicate flags and batch commit for a
+ * parsed bank statement.
+ */
+
+import { ButtonComponent } from './Button.js';
+import { AccountService } from '../core/Account/account-service.js';
+import { StatementImportService } from '../core/statement-import-service.js';
+import { SPACING, COLORS } from '../utils/constants.js';
+import { DATE_PATTERNS } from '../utils/statement-parsers.js';
+import { formatDateForDisplay } from '../utils/date-utils.js';
+import { formatMoney } from '../utils/money-format.js';
+
+const MAPPING_FIELDS = [
+  { key: 'date', label: 'Date column' },
+  { key: 'amount', label: 'Amount column (signed)' },
+  { key: 'debit', label: 'Debit column' },
+  { key: 'credit', label: 'Credit column' },
+  { key: 'description', label: 'Description column' },
+  { key: 'category', label: 'Category column' },
+];
+
+const PREVIEW_LIMIT = 200;
+
+export const StatementImportDialog = ({
+  text,
+  fileName,
+  onClose,
+  onImported,
+}) => {
+  let parsed = StatementImportService.parse(text, { fileName });
+  let rows = [];
+
+  const overlay = document.createElement('div');
+  overlay.className = 'dialog-overlay';
+  const card = document.createElement('div');
+  card.className = 'dialog-card';
+  card.style.maxWidth = 'var(--modal-max-width)';
+  card.style.width = '90%';
+  card.style.maxHeight = '90vh';
+  card.style.overflowY = 'auto';
+
+  const title = document.createElement('h3');
+  title.textContent = `Import ${fileName || 'Statement'}`;
+  title.style.marginBottom = SPACING.MD;
+  title.style.textAlign = 'center';
+  title.style.color = COLORS.TEXT_MAIN;
+  title.style.fontFamily = 'var(--font-heading)';
+  title.style.fontSize = 'var(--font-size-lg)';
+  title.style.lineHeight = 'var(--line-height-tight)';
+  title.style.wordBreak = 'break-word';
+  title.id = 'statement-import-dialog-title';
+  card.appendChild(title);
+
+  card.setAttribute('role', 'dialog');
+  card.setAttribute('aria-modal', 'true');
+  card.setAttribute('aria-labelledby', 'statement-import-dialog-title');
+
+  const form = document.createElement('div');
+  form.style.display = 'flex';
+  form.style.flexDirection = 'column';
+  form.style.gap = SPACING.SM;
+  card.appendChild(form);
+
+  const mkLabel = (labelText, htmlFor) => {
+    const l = document.createElement('label');
+    l.textContent = labelText;
+    l.htmlFor = htmlFor;
+    l.style.fontWeight = '500';
+    l.style.fontSize = 'var(--font-size-sm)';
+    l.style.color = COLORS.TEXT_MUTED;
+    l.style.display = 'block';
+    l.style.marginBottom = `${SPACING.XS}`;
+    return l;
+  };
+
+  const mkSelect = (id, options, selected) => {
+    const s = document.createElement('select');
+    s.className = 'mobile-form-select';
+    s.id = id;
+    options.forEach(({ value, label }) => {
+      const o = document.createElement('option');
+      o.value = value;
+      o.textContent = label;
+      s.appendChild(o);
+    });
+    s.value = selected ?? '';
+    return s;
+  };
+
+  // Target account
+  form.appendChild(mkLabel('Import into wallet', 'import-account'));
+  const defaultAccount = AccountService.getDefaultAccount();
+  const accountSelect = mkSelect(
+    'import-account',
+    AccountService.getAccounts().map(a => ({ value: a.id, label: a.name })),
+    defaultAccount?.id
+  );
+  form.appendChild(accountSelect);
+
+  // CSV column mapping
+  const mappingSelects = {};
+  if (parsed.headers) {
+    const columnOptions = [
+      { value: '', label: '— Not in file —' },
+      ...parsed.headers.map(h => ({ value: h, label: h })),
+    ];
+    MAPPING_FIELDS.forEach(({ key, label }) => {
+      const id = `import-map-${key}`;
+      form.appendChild(mkLabel(label, id));
+      mappingSelects[key] = mkSelect(id, columnOptions, parsed.mapping[key]);
+      form.appendChild(mappingSelects[key]);
+    });
+
+    form.appendChild(mkLabel('Date format', 'import-map-date-format'));
+    mappingSelects.dateFormat = mkSelect(
+      'import-map-date-format',
+      Object.values(DATE_PATTERNS).map(p => ({ value: p, label: p })),
+      parsed.mapping.dateFormat
+    );
+    form.appendChild(mappingSelects.dateFormat);
+
+    form.appendChild(mkLabel('Decimal separator', 'import-map-decimal'));
+    mappingSelects.decimalSeparator = mkSelect(
+      'import-map-decimal',
+      [
+        { value: '.', label: 'Dot (1,234.56)' },
+        { value: ',', label: 'Comma (1.234,56)' },
+      ],
+      parsed.mapping.decimalSeparator
+    );
+    form.appendChild(mappingSelects.decimalSeparator);
+  }
+
+  const summary = document.createElement('p');
+  summary.style.fontSize = 'var(--font-size-sm)';
+  summary.style.color = COLORS.TEXT_MUTED;
+  summary.style.margin = `${SPACING.MD} 0 ${SPACING.SM}`;
+  card.appendChild(summary);
+
+  const previewList = document.createElement('div');
+  previewList.className = 'statement-import-preview';
+  previewList.style.display = 'flex';
+  previewList.style.flexDirection = 'column';
+  previewList.style.gap = SPACING.XS;
+  card.appendChild(previewList);
+
+  const updateSummary = () => {
+    const selectedCount = rows.filter(r => r.selected).length;
+    const duplicateCount = rows.filter(r => r.duplicate).length;
+    summary.textContent =
+      rows.length === 0
+        ? 'No transactions could be read from this file. Check the column mapping.'
+        : `${rows.length} transactions found, ${duplicateCount} possible duplicates. ${selectedCount} will be imported.`;
+    importBtn.disabled = selectedCount === 0;
+    importBtn.textContent = `Import ${selectedCount}`;
+  };
+
+  const renderPreview = () => {
+    previewList.innerHTML = '';
+    rows.slice(0, PREVIEW_LIMIT).forEach((row, index) => {
+      const { transaction } = row;
+      const item = document.createElement('label');
+      item.style.display = 'flex';
+      item.style.alignItems = 'center';
+      item.style.gap = SPACING.SM;
+      item.style.padding = SPACING.XS;
+      item.style.borderBottom = `1px solid ${COLORS.BORDER}`;
+      item.style.fontSize = 'var(--font-size-sm)';
+      item.style.color = COLORS.TEXT_MAIN;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = row.selected;
+      checkbox.setAttribute('aria-label', `Import row ${index + 1}`);
+      checkbox.addEventListener('change', () => {
+        row.selected = checkbox.checked;
+        updateSummary();
+      });
+      item.appendChild(checkbox);
+
+      const details = document.createElement('span');
+      details.style.flex = '1';
+      details.textContent = `${formatDateForDisplay(transaction.timestamp)} · ${transaction.category || '—'} · ${transaction.description}`;
+      item.appendChild(details);
+
+      if (row.duplicate) {
+        const badge = document.createElement('span');
+        badge.textContent = 'Possible duplicate';
+        badge.style.color = 'var(--color-warning)';
+        badge.style.fontSize = 'var(--font-size-xs)';
+        item.appendChild(badge);
+      }
+
+      const amount = document.createElement('span');
+      amount.textContent = formatMoney(
+        transaction.type === 'expense'
+          ? -transaction.amount
+          : transaction.amount,
+        { showSymbol: false, signed: true }
+      );
+      amount.style.fontWeight = '600';
+      item.appendChild(amount);
+
+      previewList.appendChild(item);
+    });
+
+    if (rows.length > PREVIEW_LIMIT) {
+      const more = document.createElement('p');
+      more.textContent = `…and ${rows.length - PREVIEW_LIMIT} more`;
+      more.style.fontSize = 'var(--font-size-sm)';
+      more.style.color = COLORS.TEXT_MUTED;
+      previewList.appendChild(more);
+    }
+  };
+
+  const currentMapping = () => {
+    const mapping = { ...parsed.mapping };
+    Object.entries(mappingSelects).forEach(([key, select]) => {
+      mapping[key] = select.value || null;
+    });
+    return mapping;
+  };
+
+  const refresh = () => {
+    if (parsed.headers) {
+      parsed = StatementImportService.parse(text, {
+        fileName,
+        mapping: currentMapping(),
+      });
+    }
+    rows = StatementImportService.buildPreview(parsed.records, {
+      accountId: accountSelect.value,
+    });
+    renderPreview();
+    updateSummary();
+  };
+
+  accountSelect.addEventListener('change', refresh);
+  Object.values(mappingSelects).forEach(select =>
+    select.addEventListener('change', refresh)
+  );
+
+  const btnGroup = document.createElement('div');
+  btnGroup.style.display = 'flex';
+  btnGroup.style.gap = SPACING.SM;
+  btnGroup.style.justifyContent = 'flex-end';
+  btnGroup.style.marginTop = SPACING.MD;
+
+  const cancelBtn = ButtonComponent({
+    text: 'Cancel',
+    variant: 'secondary',
+    onClick: close,
+  });
+  cancelBtn.style.flex = '1';
+  btnGroup.appendChild(cancelBtn);
+
+  const importBtn = ButtonComponent({
+    text: 'Import',
+    variant: 'primary',
+    onClick: () => {
+      if (parsed.headers) {
+        StatementImportService.saveMapping(parsed.bankKey, parsed.mapping);
+      }
+      const added = StatementImportService.commit(rows);
+      close();
+      if (typeof onImported === 'function') onImported(added);
+    },
+  });
+  importBtn.style.flex = '1';
+  btnGroup.appendChild(importBtn);
+
+  card.appendChild(btnGroup);
+  overlay.appendChild(card);
+
+  function close() {
+    document.body.removeEventListener('keydown', onKey);
+    if (document.body.contains(overlay)) {
+      document.body.removeChild(overlay);
+    }
+    if (typeof onClose === 'function') onClose();
+  }
+
+  function onKey(e) {
+    if (e.key === 'Escape') {
+      close();
+    }
+  }
+
+  overlay.addEventListener('click', e => {
+    if (e.target === overlay) close();
+  });
+
+  document.body.addEventListener('keydown', onKey);
+
+  refresh();
+  document.body.appendChild(overlay);
+  return overlay;
+};
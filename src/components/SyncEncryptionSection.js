@@ -0,0 +1,234 @@
+/**
+ * SyncEncryptionSection Component
+ * Settings panel for end-to-end encrypted sync: turn it on, show the
+ * recovery code for adding devices, or enter the code on a new device
+ */
+
+import { ButtonComponent } from './Button.js';
+import { SPACING, FONT_SIZES, COLORS } from '../utils/constants.js';
+import { SyncEncryption } from '../core/sync-encryption.js';
+import { SyncService } from '../core/sync-service.js';
+
+const showToast = (message, variant = 'success') => {
+  import('./ToastNotification.js').then(({ ToastNotification }) => {
+    ToastNotification({ message, variant, duration: 3000 });
+  });
+};
+
+export const SyncEncryptionSection = () => {
+  const section = document.createElement('div');
+  section.className = 'card mobile-settings-card sync-encryption-section';
+  section.style.marginBottom = SPACING.LG;
+
+  const createNote = text => {
+    const note = document.createElement('p');
+    note.textContent = text;
+    Object.assign(note.style, {
+      fontSize: FONT_SIZES.SM,
+      color: 'var(--color-text-muted)',
+      marginBottom: SPACING.MD,
+      lineHeight: '1.5',
+    });
+    return note;
+  };
+
+  const createButton = (text, variant, onClick) => {
+    const button = ButtonComponent({ text, variant, onClick });
+    button.classList.add('touch-target');
+    button.style.width = '100%';
+    button.style.marginBottom = SPACING.SM;
+    return button;
+  };
+
+  const createCodeBox = code => {
+    const box = document.createElement('div');
+    box.className = 'sync-recovery-code';
+    Object.assign(box.style, {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: SPACING.SM,
+      marginBottom: SPACING.MD,
+    });
+
+    const value = document.createElement('code');
+    value.textContent = code;
+    Object.assign(value.style, {
+      display: 'block',
+      padding: SPACING.SM,
+      borderRadius: 'var(--radius-md)',
+      border: '1px solid var(--color-border)',
+      background: 'var(--color-surface)',
+      fontSize: FONT_SIZES.SM,
+      wordBreak: 'break-all',
+      userSelect: 'all',
+    });
+    box.appendChild(value);
+
+    box.appendChild(
+      createButton('Copy Code', 'secondary', () => {
+        navigator.clipboard
+          ?.writeText(code)
+          .then(() => showToast('Recovery code copied'))
+          .catch(error => {
+            console.error('[SyncEncryptionSection] Copy failed:', error);
+          });
+      })
+    );
+    return box;
+  };
+
+  const createImportForm = () => {
+    const form = document.createElement('form');
+    Object.assign(form.style, {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: SPACING.SM,
+    });
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Recovery code';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.setAttribute('aria-label', 'Recovery code');
+    Object.assign(input.style, {
+      width: '100%',
+      padding: SPACING.SM,
+      borderRadius: 'var(--radius-md)',
+      border: '1px solid var(--color-border)',
+      background: 'var(--color-surface)',
+      color: 'var(--color-text-main)',
+      fontSize: FONT_SIZES.BASE,
+      fontFamily: 'monospace',
+    });
+    form.appendChild(input);
+
+    const error = document.createElement('div');
+    error.setAttribute('role', 'alert');
+    Object.assign(error.style, {
+      fontSize: FONT_SIZES.SM,
+      color: COLORS.ERROR,
+    });
+    form.appendChild(error);
+
+    const submitBtn = ButtonComponent({
+      text: 'Add This Device',
+      variant: 'primary',
+      type: 'submit',
+    });
+    submitBtn.classList.add('touch-target');
+    submitBtn.style.width = '100%';
+    form.appendChild(submitBtn);
+
+    form.addEventListener('submit', async e => {
+      e.preventDefault();
+      error.textContent = '';
+      submitBtn.disabled = true;
+      try {
+        await SyncService.importEncryptionKey(input.value);
+        showToast('This device can now read your encrypted data');
+      } catch (err) {
+        error.textContent = err.message;
+      } finally {
+        submitBtn.disabled = false;
+      }
+    });
+    return form;
+  };
+
+  const enable = () => {
+    import('./ConfirmDialog.js')
+      .then(({ ConfirmDialog }) => {
+        ConfirmDialog({
+          title: 'Encrypt Synced Data',
+          message:
+            'Your data will be encrypted before it leaves this device. Other devices need a recovery code to read it, and if you lose every device and the code, the cloud copy cannot be recovered.',
+          confirmText: 'Turn On',
+          variant: 'primary',
+          onConfirm: async () => {
+            try {
+              const code = await SyncService.enableEncryption();
+              render(code);
+            } catch (error) {
+              console.error('[SyncEncryptionSection] Enable failed:', error);
+              showToast(error.message, 'error');
+            }
+          },
+        });
+      })
+      .catch(error => {
+        console.error('Error loading ConfirmDialog:', error);
+      });
+  };
+
+  const render = (newCode = null) => {
+    // Security: Clearing section, no user input involved
+    section.innerHTML = '';
+    const title = document.createElement('h3');
+    title.textContent = 'End-to-End Encryption';
+    title.className = 'mobile-settings-title';
+    Object.assign(title.style, {
+      marginBottom: SPACING.MD,
+      fontSize: FONT_SIZES.XL,
+    });
+    section.appendChild(title);
+
+    if (SyncEncryption.isKeyMissing()) {
+      section.appendChild(
+        createNote(
+          '⚠️ Your synced data is encrypted on another device. Enter the recovery code shown in its settings to sync this device. Changes made here wait until then.'
+        )
+      );
+      section.appendChild(createImportForm());
+      return;
+    }
+
+    if (SyncEncryption.isEnabled()) {
+      section.appendChild(
+        createNote(
+          '🔒 Synced data and cloud backups are encrypted on this device; the server only stores ciphertext.'
+        )
+      );
+      if (newCode) {
+        section.appendChild(
+          createNote(
+            'Save this recovery code somewhere safe. Enter it on your other devices to let them sync.'
+          )
+        );
+        section.appendChild(createCodeBox(newCode));
+      } else {
+        const showBtn = createButton('Show Recovery Code', 'secondary', () => {
+          showBtn.replaceWith(createCodeBox(SyncEncryption.getRecoveryCode()));
+        });
+        section.appendChild(showBtn);
+      }
+      return;
+    }
+
+    section.appendChild(
+      createNote(
+        'Encrypt transactions, accounts, goals and backups before they are synced, with a key only your devices hold.'
+      )
+    );
+    section.appendChild(createButton('Turn On Encryption', 'primary', enable));
+    section.appendChild(
+      createNote('Already turned on elsewhere? Enter its recovery code:')
+    );
+    section.appendChild(createImportForm());
+  };
+
+  render();
+
+  const abortController = new AbortController();
+  ['sync-encryption-changed', 'auth-state-changed'].forEach(eventName => {
+    window.addEventListener(eventName, () => render(), {
+      signal: abortController.signal,
+    });
+  });
+
+  section.cleanup = () => {
+    abortController.abort();
+  };
+
+  return section;
+};
@@ -0,0 +1,253 @@
+/**
+ * SyncQueueSection Component
+ * Settings panel listing writes waiting in the sync outbox, with retry and
+ * discard actions per data type
+ */
+
+import { ButtonComponent } from './Button.js';
+import { SPACING, FONT_SIZES, STORAGE_KEYS } from '../utils/constants.js';
+import { SyncOutbox } from '../core/sync-outbox.js';
+import { SyncService } from '../core/sync-service.js';
+
+const DATA_TYPE_LABELS = {
+  [STORAGE_KEYS.TRANSACTIONS]: 'Transactions',
+  [STORAGE_KEYS.ACCOUNTS]: 'Accounts',
+  [STORAGE_KEYS.CUSTOM_CATEGORIES]: 'Categories',
+  [STORAGE_KEYS.SETTINGS]: 'Settings',
+  [STORAGE_KEYS.INVESTMENTS]: 'Investments',
+  [STORAGE_KEYS.GOALS]: 'Goals',
+  [STORAGE_KEYS.BUDGETS]: 'Budgets',
+  [STORAGE_KEYS.RECURRING]: 'Recurring transactions',
+  [STORAGE_KEYS.CUSTOM_REPORTS]: 'Custom reports',
+  [STORAGE_KEYS.EXCHANGE_RATES]: 'Exchange rates',
+  [STORAGE_KEYS.TOMBSTONES]: 'Deletions',
+};
+
+const labelFor = dataType => DATA_TYPE_LABELS[dataType] || dataType;
+
+const formatTime = iso => {
+  const date = new Date(iso);
+  return isNaN(date.getTime())
+    ? 'unknown time'
+    : date.toLocaleString(undefined, {
+        dateStyle: 'short',
+        timeStyle: 'short',
+      });
+};
+
+/**
+ * One line describing a queued write
+ * @param {Object} entry - Outbox entry
+ * @returns {string}
+ */
+const describeEntry = entry => {
+  const parts = [];
+  if (Array.isArray(entry.data)) {
+    parts.push(
+      `${entry.data.length} record${entry.data.length === 1 ? '' : 's'}`
+    );
+  }
+  parts.push(`queued ${formatTime(entry.queuedAt)}`);
+  if (entry.status === 'failed') {
+    parts.push(
+      `${entry.attempts} failed attempt${entry.attempts === 1 ? '' : 's'}`
+    );
+  }
+  return parts.join(' · ');
+};
+
+export const SyncQueueSection = () => {
+  const section = document.createElement('div');
+  section.className = 'card mobile-settings-card sync-queue-section';
+  section.style.marginBottom = SPACING.LG;
+
+  const title = document.createElement('h3');
+  title.textContent = 'Sync Queue';
+  title.className = 'mobile-settings-title';
+  Object.assign(title.style, {
+    marginBottom: SPACING.MD,
+    fontSize: FONT_SIZES.XL,
+  });
+  section.appendChild(title);
+
+  const description = document.createElement('p');
+  description.textContent =
+    'Changes waiting to reach the cloud. They are kept across restarts and sent automatically when you are back online.';
+  Object.assign(description.style, {
+    fontSize: FONT_SIZES.SM,
+    color: 'var(--color-text-muted)',
+    marginBottom: SPACING.MD,
+    lineHeight: '1.5',
+  });
+  section.appendChild(description);
+
+  const list = document.createElement('div');
+  list.className = 'sync-queue-list';
+  Object.assign(list.style, {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: SPACING.SM,
+  });
+  section.appendChild(list);
+
+  const createNote = text => {
+    const note = document.createElement('div');
+    note.textContent = text;
+    note.style.fontSize = FONT_SIZES.SM;
+    note.style.color = 'var(--color-text-muted)';
+    return note;
+  };
+
+  const retry = dataType => {
+    if (!navigator.onLine) {
+      import('../utils/toast-notifications.js').then(({ showErrorToast }) => {
+        showErrorToast('Connect to the internet to sync');
+      });
+      return;
+    }
+    SyncService.replayOutbox(dataType).catch(error => {
+      console.error('[SyncQueueSection] Retry failed:', error);
+    });
+  };
+
+  const confirmDiscard = entry => {
+    import('./ConfirmDialog.js')
+      .then(({ ConfirmDialog }) => {
+        ConfirmDialog({
+          message: `Stop syncing the pending ${labelFor(entry.dataType).toLowerCase()} changes? They stay on this device and are uploaded with your next change.`,
+          confirmText: 'Discard',
+          onConfirm: () =>
+            SyncOutbox.discard(entry.dataType).catch(error => {
+              console.error('[SyncQueueSection] Discard failed:', error);
+            }),
+        });
+      })
+      .catch(error => {
+        console.error('Error loading ConfirmDialog:', error);
+      });
+  };
+
+  const createEntryRow = entry => {
+    const row = document.createElement('div');
+    row.className = 'sync-queue-entry';
+    row.dataset.dataType = entry.dataType;
+    Object.assign(row.style, {
+      padding: SPACING.SM,
+      borderRadius: '8px',
+      border: '1px solid var(--color-border)',
+      backgroundColor: 'var(--color-surface)',
+    });
+
+    const heading = document.createElement('div');
+    Object.assign(heading.style, {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: SPACING.SM,
+      fontSize: FONT_SIZES.SM,
+      fontWeight: '600',
+    });
+    const name = document.createElement('span');
+    name.textContent = labelFor(entry.dataType);
+    heading.appendChild(name);
+
+    const status = document.createElement('span');
+    status.className = 'sync-queue-status';
+    const failed = entry.status === 'failed';
+    status.textContent = failed ? '⚠️ Failed' : 'Queued';
+    status.style.color = failed
+      ? 'var(--color-warning)'
+      : 'var(--color-text-muted)';
+    heading.appendChild(status);
+    row.appendChild(heading);
+
+    row.appendChild(createNote(describeEntry(entry)));
+    if (failed && entry.lastError) {
+      const error = createNote(entry.lastError);
+      error.style.wordBreak = 'break-word';
+      row.appendChild(error);
+    }
+
+    const actions = document.createElement('div');
+    Object.assign(actions.style, {
+      display: 'flex',
+      gap: SPACING.SM,
+      marginTop: SPACING.SM,
+    });
+    const retryBtn = ButtonComponent({
+      text: 'Retry',
+      variant: 'secondary',
+      onClick: () => retry(entry.dataType),
+    });
+    const discardBtn = ButtonComponent({
+      text: 'Discard',
+      variant: 'ghost',
+      onClick: () => confirmDiscard(entry),
+    });
+    [retryBtn, discardBtn].forEach(btn => {
+      btn.classList.add('touch-target');
+      btn.style.flex = '1';
+      actions.appendChild(btn);
+    });
+    row.appendChild(actions);
+
+    return row;
+  };
+
+  let loadRequest = 0;
+  const render = async () => {
+    const request = ++loadRequest;
+    let entries;
+    try {
+      entries = await SyncOutbox.list();
+    } catch (error) {
+      console.error('[SyncQueueSection] Failed to read the queue:', error);
+      entries = null;
+    }
+    if (request !== loadRequest) return;
+
+    // Security: Clearing list, no user input involved
+    list.innerHTML = '';
+    if (!SyncOutbox.isSupported()) {
+      list.appendChild(
+        createNote('This browser cannot keep a sync queue; changes sync live.')
+      );
+      return;
+    }
+    if (entries === null) {
+      list.appendChild(createNote('Could not load the sync queue.'));
+      return;
+    }
+    if (entries.length === 0) {
+      list.appendChild(createNote('✓ All changes are synced.'));
+      return;
+    }
+
+    entries.forEach(entry => list.appendChild(createEntryRow(entry)));
+    if (entries.length > 1) {
+      const retryAllBtn = ButtonComponent({
+        text: 'Retry All',
+        variant: 'secondary',
+        onClick: () => retry(null),
+      });
+      retryAllBtn.classList.add('touch-target', 'mobile-form-button');
+      retryAllBtn.style.width = '100%';
+      list.appendChild(retryAllBtn);
+    }
+  };
+
+  render();
+
+  const abortController = new AbortController();
+  ['sync-outbox-changed', 'connection-change'].forEach(eventName => {
+    window.addEventListener(eventName, render, {
+      signal: abortController.signal,
+    });
+  });
+
+  section.cleanup = () => {
+    abortController.abort();
+  };
+
+  return section;
+};
@@ -29,10 +29,13 @@ import {
   applyExpenseTagToTransactionData,
   getTransactionTagName,
 } from '../utils/form-utils/transaction-tags.js';
+import { createRecurrenceSelector } from '../utils/form-utils/recurrence.js';
+import { createAttachmentPicker } from '../utils/form-utils/attachments.js';
 
 export const TransactionForm = ({
   onSubmit,
   initialValues = {},
+  initialRecurrence = null,
   externalDateInput = null,
   showCancelButton = false,
   onCancel = null,
@@ -142,17 +145,42 @@ export const TransactionForm = ({
         initialTag: getTransactionTagName(initialValues),
       })
     : null;
+  const recurrenceSelector = isEditMode
+    ? createRecurrenceSelector({
+        initialRule: initialRecurrence,
+        initialDate: initialValues.timestamp,
+      })
+    : null;
+
+  const attachmentPicker = createAttachmentPicker({
+    initialAttachments: initialValues.attachments || [],
+  });
+
+  // Kept attachments (edit mode) and newly picked files for the view to store
+  const withAttachments = data => {
+    const files = attachmentPicker.getPendingFiles();
+    return {
+      ...data,
+      ...(isEditMode && { attachments: attachmentPicker.getAttachments() }),
+      ...(files.length > 0 && { attachmentFiles: files }),
+    };
+  };
 
   const submitTransactionData = data => {
     const payload = { ...data, description: noteField.value || '' };
     handleFormSubmit(
-      isEditMode
-        ? applyExpenseTagToTransactionData(
-            payload,
-            tagSelector.getSelectedTag(),
-            true
-          )
-        : payload,
+      withAttachments(
+        isEditMode
+          ? {
+              ...applyExpenseTagToTransactionData(
+                payload,
+                tagSelector.getSelectedTag(),
+                true
+              ),
+              recurrence: recurrenceSelector.getRule(),
+            }
+          : payload
+      ),
       onSubmit
     );
   };
@@ -257,8 +285,13 @@ export const TransactionForm = ({
     form.appendChild(tagSelector.container);
   }
 
+  if (isEditMode && recurrenceSelector) {
+    form.appendChild(recurrenceSelector.container);
+  }
+
   // Add note field directly
   form.appendChild(noteField);
+  form.appendChild(attachmentPicker.container);
 
   // 7.5. Cancel Button (for Add mode)
   if (showCancelButton && onCancel) {
@@ -328,7 +361,13 @@ export const TransactionForm = ({
           isEditMode && tagSelector ? tagSelector.getSelectedTag() : null,
       });
 
-      handleFormSubmit(transactionData, onSubmit);
+      handleFormSubmit(
+        withAttachments({
+          ...transactionData,
+          recurrence: recurrenceSelector.getRule(),
+        }),
+        onSubmit
+      );
     };
 
     const okBtn = document.createElement('button');
@@ -14,8 +14,8 @@ import {
   SPACING,
   TOUCH_TARGETS,
   BREAKPOINTS,
-  CURRENCY_SYMBOL,
 } from '../utils/constants.js';
+import { formatMoney } from '../utils/money-format.js';
 import { setSelectedStyle } from '../views/DashboardView.js';
 import { highlightTransactionSuccess } from '../utils/success-feedback.js';
 
@@ -81,7 +81,7 @@ export const TransactionListItem = ({
     card.appendChild(title);
 
     const message = document.createElement('p');
-    message.textContent = `Split this transaction of ${CURRENCY_SYMBOL}${(Number(transaction.amount) || 0).toFixed(2)}?`;
+    message.textContent = `Split this transaction of ${formatMoney(Number(transaction.amount) || 0, { currency: transaction.currency })}?`;
     message.style.margin = '0 0 var(--spacing-md) 0';
     message.style.textAlign = 'center';
     message.style.color = 'var(--color-text-muted)';
@@ -427,6 +427,14 @@ export const TransactionListItem = ({
     date.appendChild(originalSpan);
   }
 
+  if (transaction.attachments?.length) {
+    const attachmentSpan = document.createElement('span');
+    const count = transaction.attachments.length;
+    attachmentSpan.textContent = ` • 📎${count > 1 ? count : ''}`;
+    attachmentSpan.title = `${count} attachment${count > 1 ? 's' : ''}`;
+    date.appendChild(attachmentSpan);
+  }
+
   info.appendChild(catContainer);
   info.appendChild(date);
 
@@ -510,14 +518,20 @@ export const TransactionListItem = ({
   }
 
   // Append sign - use arrow for refunds and transfers
-  let sign = isPositive ? '+' : '-';
+  const absAmount = Math.abs(transaction.amount);
+  const currency = transaction.currency;
   if (transaction.type === 'refund') {
-    sign = '↪ '; // Return arrow for refund (money coming back)
+    // Return arrow for refund (money coming back)
+    val.textContent = `↪ ${formatMoney(absAmount, { currency })}`;
   } else if (transaction.type === 'transfer') {
-    sign = '⇆ '; // Horizontal arrow for transfer
+    // Horizontal arrow for transfer
+    val.textContent = `⇆ ${formatMoney(absAmount, { currency })}`;
+  } else {
+    val.textContent = formatMoney(isPositive ? absAmount : -absAmount, {
+      currency,
+      signed: true,
+    });
   }
-
-  val.textContent = `${sign}${CURRENCY_SYMBOL}${Math.abs(transaction.amount).toFixed(2)}`;
   val.className = 'transaction-item-value';
   Object.assign(val.style, {
     fontWeight: '600',
@@ -0,0 +1,153 @@
+/**
+ * VaultLockScreen Component
+ * Full-screen passphrase prompt shown on launch while the vault is locked.
+ * Nothing behind it reads domain data until the vault is unlocked.
+ */
+
+import { ButtonComponent } from './Button.js';
+import { SPACING, FONT_SIZES, COLORS } from '../utils/constants.js';
+import { VaultService } from '../core/vault-service.js';
+
+/**
+ * @param {Object} options
+ * @param {Function} options.onUnlock - Called once the vault is unlocked or erased
+ * @returns {HTMLElement}
+ */
+export const VaultLockScreen = ({ onUnlock }) => {
+  const container = document.createElement('div');
+  container.className = 'vault-lock-screen';
+  Object.assign(container.style, {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: '100vh',
+    padding: SPACING.LG,
+    backgroundColor: 'var(--color-background)',
+  });
+
+  const form = document.createElement('form');
+  form.className = 'card';
+  Object.assign(form.style, {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: SPACING.MD,
+    width: '100%',
+    maxWidth: '360px',
+  });
+
+  const title = document.createElement('h2');
+  title.textContent = '🔒 BlinkBudget is locked';
+  Object.assign(title.style, {
+    margin: 0,
+    fontSize: FONT_SIZES.XL,
+    textAlign: 'center',
+  });
+  form.appendChild(title);
+
+  const hint = document.createElement('p');
+  hint.textContent = 'Enter your vault passphrase to open your data.';
+  Object.assign(hint.style, {
+    margin: 0,
+    fontSize: FONT_SIZES.SM,
+    color: 'var(--color-text-muted)',
+    textAlign: 'center',
+  });
+  form.appendChild(hint);
+
+  const input = document.createElement('input');
+  input.type = 'password';
+  input.placeholder = 'Passphrase';
+  input.autocomplete = 'current-password';
+  input.required = true;
+  input.setAttribute('aria-label', 'Vault passphrase');
+  Object.assign(input.style, {
+    width: '100%',
+    padding: SPACING.MD,
+    borderRadius: 'var(--radius-md)',
+    border: '1px solid var(--color-border)',
+    background: 'var(--color-surface)',
+    color: 'var(--color-text-main)',
+    fontSize: FONT_SIZES.BASE,
+  });
+  form.appendChild(input);
+
+  const error = document.createElement('p');
+  error.className = 'vault-lock-error';
+  error.setAttribute('role', 'alert');
+  Object.assign(error.style, {
+    margin: 0,
+    minHeight: '1.2em',
+    fontSize: FONT_SIZES.SM,
+    color: COLORS.ERROR,
+    textAlign: 'center',
+  });
+  form.appendChild(error);
+
+  const unlockBtn = ButtonComponent({
+    text: 'Unlock',
+    variant: 'primary',
+    type: 'submit',
+  });
+  unlockBtn.classList.add('touch-target');
+  unlockBtn.style.width = '100%';
+  form.appendChild(unlockBtn);
+
+  const done = () => {
+    container.remove();
+    onUnlock();
+  };
+
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    unlockBtn.disabled = true;
+    unlockBtn.textContent = 'Unlocking...';
+    error.textContent = '';
+    try {
+      await VaultService.unlock(input.value);
+      done();
+    } catch (err) {
+      console.warn('[VaultLockScreen] Unlock failed:', err);
+      error.textContent =
+        err.message === 'Incorrect passphrase'
+          ? 'Incorrect passphrase. Try again.'
+          : 'Could not open the vault.';
+      input.select();
+    } finally {
+      unlockBtn.disabled = false;
+      unlockBtn.textContent = 'Unlock';
+    }
+  });
+
+  const forgotBtn = ButtonComponent({
+    text: 'Forgot passphrase?',
+    variant: 'ghost',
+    onClick: () => {
+      import('./ConfirmDialog.js')
+        .then(({ ConfirmDialog }) => {
+          ConfirmDialog({
+            title: 'Erase Vault',
+            message:
+              'The passphrase cannot be recovered. Erasing the vault permanently deletes all transactions, accounts, budgets and goals on this device so you can start over.',
+            confirmText: 'Erase Everything',
+            onConfirm: () =>
+              VaultService.erase()
+                .then(done)
+                .catch(err => {
+                  console.error('[VaultLockScreen] Erase failed:', err);
+                  error.textContent = 'Could not erase the vault.';
+                }),
+          });
+        })
+        .catch(err => {
+          console.error('Error loading ConfirmDialog:', err);
+        });
+    },
+  });
+  forgotBtn.style.width = '100%';
+  form.appendChild(forgotBtn);
+
+  container.appendChild(form);
+  setTimeout(() => input.focus(), 100);
+
+  return container;
+};
@@ -0,0 +1,286 @@
+/**
+ * VaultSection Component
+ * Settings panel for the encrypted vault in local-only mode: turn it on with
+ * a passphrase, change the passphrase, lock now, pick the auto-lock delay or
+ * turn the vault off again
+ */
+
+import { ButtonComponent } from './Button.js';
+import { SPACING, FONT_SIZES, COLORS } from '../utils/constants.js';
+import {
+  VaultService,
+  AUTO_LOCK_OPTIONS,
+  MIN_PASSPHRASE_LENGTH,
+} from '../core/vault-service.js';
+
+const autoLockLabel = minutes =>
+  minutes === 0 ? 'Never' : `After ${minutes} min of inactivity`;
+
+const showToast = (message, variant = 'success') => {
+  import('./ToastNotification.js').then(({ ToastNotification }) => {
+    ToastNotification({ message, variant, duration: 3000 });
+  });
+};
+
+const createPassphraseInput = (placeholder, autocomplete) => {
+  const input = document.createElement('input');
+  input.type = 'password';
+  input.placeholder = placeholder;
+  input.autocomplete = autocomplete;
+  input.setAttribute('aria-label', placeholder);
+  Object.assign(input.style, {
+    width: '100%',
+    padding: SPACING.SM,
+    borderRadius: 'var(--radius-md)',
+    border: '1px solid var(--color-border)',
+    background: 'var(--color-surface)',
+    color: 'var(--color-text-main)',
+    fontSize: FONT_SIZES.BASE,
+  });
+  return input;
+};
+
+/**
+ * Passphrase fields with one submit button and an inline error
+ * @param {Object} options
+ * @param {Array<Array<string>>} options.fields - [placeholder, autocomplete] pairs
+ * @param {string} options.submitText - Button label
+ * @param {string} options.variant - Button variant
+ * @param {Function} options.onSubmit - Receives the values; throws to show an error
+ * @returns {HTMLElement}
+ */
+const createPassphraseForm = ({ fields, submitText, variant, onSubmit }) => {
+  const form = document.createElement('form');
+  Object.assign(form.style, {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: SPACING.SM,
+    marginBottom: SPACING.MD,
+  });
+
+  const inputs = fields.map(([placeholder, autocomplete]) =>
+    createPassphraseInput(placeholder, autocomplete)
+  );
+  inputs.forEach(input => form.appendChild(input));
+
+  const error = document.createElement('div');
+  error.setAttribute('role', 'alert');
+  Object.assign(error.style, {
+    fontSize: FONT_SIZES.SM,
+    color: COLORS.ERROR,
+  });
+  form.appendChild(error);
+
+  const submitBtn = ButtonComponent({
+    text: submitText,
+    variant,
+    type: 'submit',
+  });
+  submitBtn.classList.add('touch-target');
+  submitBtn.style.width = '100%';
+  form.appendChild(submitBtn);
+
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    error.textContent = '';
+    submitBtn.disabled = true;
+    try {
+      await onSubmit(inputs.map(input => input.value));
+      inputs.forEach(input => {
+        input.value = '';
+      });
+    } catch (err) {
+      error.textContent = err.message;
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+
+  return form;
+};
+
+const checkMatch = (passphrase, confirmation) => {
+  if (passphrase !== confirmation) {
+    throw new Error('Passphrases do not match');
+  }
+};
+
+export const VaultSection = () => {
+  const section = document.createElement('div');
+  section.className = 'card mobile-settings-card vault-section';
+  section.style.marginBottom = SPACING.LG;
+
+  const createHeading = text => {
+    const heading = document.createElement('h4');
+    heading.textContent = text;
+    Object.assign(heading.style, {
+      margin: `${SPACING.MD} 0 ${SPACING.SM}`,
+      fontSize: FONT_SIZES.BASE,
+    });
+    return heading;
+  };
+
+  const createNote = text => {
+    const note = document.createElement('p');
+    note.textContent = text;
+    Object.assign(note.style, {
+      fontSize: FONT_SIZES.SM,
+      color: 'var(--color-text-muted)',
+      marginBottom: SPACING.MD,
+      lineHeight: '1.5',
+    });
+    return note;
+  };
+
+  const confirm = options =>
+    import('./ConfirmDialog.js')
+      .then(({ ConfirmDialog }) => ConfirmDialog(options))
+      .catch(error => {
+        console.error('Error loading ConfirmDialog:', error);
+      });
+
+  const renderDisabled = () => {
+    section.appendChild(
+      createNote(
+        `Encrypt your data on this device with a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters. You will need it every time BlinkBudget opens. If you forget it, your data cannot be recovered.`
+      )
+    );
+    section.appendChild(
+      createPassphraseForm({
+        fields: [
+          ['New passphrase', 'new-password'],
+          ['Confirm passphrase', 'new-password'],
+        ],
+        submitText: 'Enable Vault',
+        variant: 'primary',
+        onSubmit: ([passphrase, confirmation]) => {
+          checkMatch(passphrase, confirmation);
+          if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(
+              `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+            );
+          }
+          confirm({
+            title: 'Enable Vault',
+            message:
+              'Your data will be encrypted with this passphrase. There is no way to reset it: if you forget it, your data is lost. Continue?',
+            confirmText: 'Encrypt My Data',
+            variant: 'primary',
+            onConfirm: () =>
+              VaultService.enable(passphrase)
+                .then(() => {
+                  showToast('Vault enabled. Your data is encrypted.');
+                  render();
+                })
+                .catch(error => {
+                  console.error('[VaultSection] Enable failed:', error);
+                  showToast(error.message, 'error');
+                }),
+          });
+        },
+      })
+    );
+  };
+
+  const renderEnabled = () => {
+    section.appendChild(
+      createNote(
+        '🔒 Your data is encrypted on this device and unlocked with your passphrase.'
+      )
+    );
+
+    const lockBtn = ButtonComponent({
+      text: 'Lock Now',
+      variant: 'secondary',
+      onClick: async () => {
+        if (!(await VaultService.lock())) {
+          showToast('Could not save your latest changes; not locked', 'error');
+        }
+      },
+    });
+    lockBtn.classList.add('touch-target');
+    lockBtn.style.width = '100%';
+    section.appendChild(lockBtn);
+
+    section.appendChild(createHeading('Auto-lock'));
+    const select = document.createElement('select');
+    select.className = 'vault-auto-lock-select';
+    select.setAttribute('aria-label', 'Auto-lock');
+    Object.assign(select.style, {
+      width: '100%',
+      padding: SPACING.SM,
+      borderRadius: 'var(--radius-md)',
+      border: '1px solid var(--color-border)',
+      background: 'var(--color-surface)',
+      color: 'var(--color-text-main)',
+      fontSize: FONT_SIZES.BASE,
+      cursor: 'pointer',
+    });
+    AUTO_LOCK_OPTIONS.forEach(minutes => {
+      const option = document.createElement('option');
+      option.value = String(minutes);
+      option.textContent = autoLockLabel(minutes);
+      select.appendChild(option);
+    });
+    select.value = String(VaultService.getAutoLockMinutes());
+    select.addEventListener('change', () => {
+      VaultService.setAutoLockMinutes(Number(select.value));
+    });
+    section.appendChild(select);
+
+    section.appendChild(createHeading('Change passphrase'));
+    section.appendChild(
+      createPassphraseForm({
+        fields: [
+          ['Current passphrase', 'current-password'],
+          ['New passphrase', 'new-password'],
+          ['Confirm new passphrase', 'new-password'],
+        ],
+        submitText: 'Change Passphrase',
+        variant: 'secondary',
+        onSubmit: async ([current, next, confirmation]) => {
+          checkMatch(next, confirmation);
+          await VaultService.changePassphrase(current, next);
+          showToast('Passphrase changed');
+        },
+      })
+    );
+
+    section.appendChild(createHeading('Turn off vault'));
+    section.appendChild(
+      createNote('Your data is decrypted and stored without a passphrase.')
+    );
+    section.appendChild(
+      createPassphraseForm({
+        fields: [['Current passphrase', 'current-password']],
+        submitText: 'Disable Vault',
+        variant: 'ghost',
+        onSubmit: async ([passphrase]) => {
+          await VaultService.disable(passphrase);
+          showToast('Vault disabled');
+          render();
+        },
+      })
+    );
+  };
+
+  const render = () => {
+    // Security: Clearing section, no user input involved
+    section.innerHTML = '';
+    const title = document.createElement('h3');
+    title.textContent = 'Encrypted Vault';
+    title.className = 'mobile-settings-title';
+    Object.assign(title.style, {
+      marginBottom: SPACING.MD,
+      fontSize: FONT_SIZES.XL,
+    });
+    section.appendChild(title);
+
+    if (VaultService.isEnabled()) renderEnabled();
+    else renderDisabled();
+  };
+
+  render();
+
+  return section;
+};
@@ -8,6 +8,8 @@ import { COLORS, SPACING } from '../../utils/constants.js';
  * @param {Array<Array>} props.rows - Table rows (array of cell values)
  * @param {Array<string>} [props.headerStyles] - Optional styles for headers
  * @param {Array<Array<string>>} [props.cellStyles] - Optional styles for cells
+ * @param {string} [props.gridTemplateColumns] - Optional column sizes
+ * @param {boolean} [props.scrollable=false] - Scroll wide tables sideways instead of squeezing the columns
  * @returns {HTMLElement} The data table element
  */
 export const DataTable = ({
@@ -16,6 +18,8 @@ export const DataTable = ({
   rows,
   headerStyles = [],
   cellStyles = [],
+  gridTemplateColumns,
+  scrollable = false,
 }) => {
   const container = document.createElement('div');
   container.className = 'forecast-table-container';
@@ -38,7 +42,9 @@ export const DataTable = ({
   const table = document.createElement('div');
   table.className = 'forecast-table';
   table.style.display = 'grid';
-  table.style.gridTemplateColumns = `repeat(${headers.length}, ${headers.length === 5 ? '1fr auto auto auto auto' : '1fr'})`;
+  table.style.gridTemplateColumns =
+    gridTemplateColumns ||
+    `repeat(${headers.length}, ${headers.length === 5 ? '1fr auto auto auto auto' : '1fr'})`;
   table.style.gap = `${SPACING.SM} ${SPACING.MD}`;
   table.style.fontSize = '0.875rem';
 
@@ -75,7 +81,16 @@ export const DataTable = ({
     });
   });
 
-  container.appendChild(table);
+  if (scrollable) {
+    table.style.width = 'max-content';
+    table.style.minWidth = '100%';
+    const scroller = document.createElement('div');
+    scroller.style.overflowX = 'auto';
+    scroller.appendChild(table);
+    container.appendChild(scroller);
+  } else {
+    container.appendChild(table);
+  }
 
   return container;
 };
@@ -6,6 +6,7 @@
  */
 
 import { COLORS, SPACING } from '../../utils/constants.js';
+import { formatMoney } from '../../utils/money-format.js';
 
 /**
  * Create an ActionCard with customizable content and actions
@@ -18,7 +19,7 @@ import { COLORS, SPACING } from '../../utils/constants.js';
  * @param {string} [options.actionText] - Action button text
  * @param {Function} [options.onAction] - Action button callback
  * @param {string} [options.icon] - Icon emoji or text
- * @param {string} [options.currency] - Currency code (default: 'EUR')
+ * @param {string} [options.currency] - Currency code (default: base currency)
  * @returns {HTMLElement} ActionCard DOM element
  */
 export const ActionCard = options => {
@@ -31,7 +32,7 @@ export const ActionCard = options => {
     actionText,
     onAction,
     icon,
-    currency = 'EUR',
+    currency,
   } = options;
 
   const card = document.createElement('div');
@@ -176,10 +177,7 @@ export const ActionCard = options => {
     `;
 
     const amountEl = document.createElement('div');
-    amountEl.textContent = new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: currency,
-    }).format(amount);
+    amountEl.textContent = formatMoney(amount, { currency });
     amountEl.style.cssText = `
       font-weight: 600;
       font-size: 0.9375rem;
@@ -308,15 +306,15 @@ export const SavingsGoalCard = (goal, currentProgress, onViewGoal) => {
   } else if (percentage >= 75) {
     type = 'info';
     title = 'Almost There!';
-    descriptionText = `${goal.name}: ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(remaining)} to go`;
+    descriptionText = `${goal.name}: ${formatMoney(remaining)} to go`;
   } else if (percentage >= 50) {
     type = 'default';
     title = 'Good Progress';
-    descriptionText = `${goal.name}: ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(remaining)} to go`;
+    descriptionText = `${goal.name}: ${formatMoney(remaining)} to go`;
   } else {
     type = 'default';
     title = 'Keep Going';
-    descriptionText = `${goal.name}: ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(remaining)} to go`;
+    descriptionText = `${goal.name}: ${formatMoney(remaining)} to go`;
   }
 
   return ActionCard({
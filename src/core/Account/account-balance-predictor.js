@@ -8,6 +8,7 @@
  */
 
 import { ForecastEngine } from '../forecast-engine.js';
+import { formatMoney } from '../../utils/money-format.js';
 
 export class AccountBalancePredictor {
   constructor() {
@@ -134,17 +135,17 @@ export class AccountBalancePredictor {
 
       if (balance <= riskThresholds.critical) {
         riskLevel = 'critical';
-        message = `Account balance projected to reach €${balance.toFixed(2)} in ${projection.period.toLocaleDateString()}`;
+        message = `Account balance projected to reach ${formatMoney(balance)} in ${projection.period.toLocaleDateString()}`;
         recommendation =
           'Immediate action required: Reduce expenses or increase income to avoid overdraft';
       } else if (balance <= riskThresholds.warning) {
         riskLevel = 'warning';
-        message = `Low balance warning: €${balance.toFixed(2)} projected for ${projection.period.toLocaleDateString()}`;
+        message = `Low balance warning: ${formatMoney(balance)} projected for ${projection.period.toLocaleDateString()}`;
         recommendation =
           'Consider reducing non-essential expenses or finding additional income sources';
       } else if (balance <= riskThresholds.caution) {
         riskLevel = 'caution';
-        message = `Balance approaching low levels: €${balance.toFixed(2)} in ${projection.period.toLocaleDateString()}`;
+        message = `Balance approaching low levels: ${formatMoney(balance)} in ${projection.period.toLocaleDateString()}`;
         recommendation =
           'Monitor spending closely and consider building emergency reserves';
       }
@@ -183,7 +184,7 @@ export class AccountBalancePredictor {
           period: projection.period,
           overdraftAmount: Math.round(overdraftAmount * 100) / 100,
           projectedBalance: projection.projectedBalance,
-          message: `Overdraft risk: Account projected to be €${overdraftAmount.toFixed(2)} overdrawn`,
+          message: `Overdraft risk: Account projected to be ${formatMoney(overdraftAmount)} overdrawn`,
           recommendation:
             'Urgent: Adjust spending or arrange additional funds to prevent overdraft fees',
           severity:
@@ -225,7 +226,7 @@ export class AccountBalancePredictor {
 
       if (debtAmount >= criticalThreshold) {
         riskLevel = 'critical';
-        message = `Credit utilization projected at ${(utilizationRate * 100).toFixed(1)}% (€${debtAmount.toFixed(2)} of €${creditLimit})`;
+        message = `Credit utilization projected at ${(utilizationRate * 100).toFixed(1)}% (${formatMoney(debtAmount)} of ${formatMoney(creditLimit, { decimals: 0 })})`;
         recommendation =
           'Critical: Reduce spending immediately to avoid exceeding credit limit';
       } else if (debtAmount >= warningThreshold) {
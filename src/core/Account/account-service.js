@@ -7,7 +7,8 @@
 import { STORAGE_KEYS, DEFAULTS } from '../../utils/constants.js';
 import { SyncService } from '../sync-service.js';
 import { AuthService } from '../auth-service.js';
-import { safeJsonParse } from '../../utils/security-utils.js';
+import { TombstoneService } from '../tombstone-service.js';
+import { DomainStore } from '../domain-store.js';
 
 const ACCOUNTS_KEY = STORAGE_KEYS.ACCOUNTS;
 
@@ -17,8 +18,8 @@ export const AccountService = {
    * @returns {Array} List of accounts
    */
   getAccounts() {
-    const data = localStorage.getItem(ACCOUNTS_KEY);
-    if (!data) {
+    const accounts = DomainStore.read(ACCOUNTS_KEY);
+    if (!accounts) {
       // Initialize default account if none exist
       const defaultAccount = {
         id: DEFAULTS.ACCOUNT_ID,
@@ -28,12 +29,11 @@ export const AccountService = {
         timestamp: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
       };
-      localStorage.setItem(ACCOUNTS_KEY, JSON.stringify([defaultAccount]));
+      DomainStore.write(ACCOUNTS_KEY, [defaultAccount]);
       return [defaultAccount];
     }
 
     try {
-      const accounts = safeJsonParse(data);
       return this._cleanAccounts(accounts);
     } catch (error) {
       console.error('[AccountService] Failed to parse accounts data:', error);
@@ -108,6 +108,7 @@ export const AccountService = {
       accounts[0].isDefault = true;
     }
 
+    TombstoneService.record(ACCOUNTS_KEY, id);
     this._persist(accounts);
 
     return true;
@@ -174,7 +175,7 @@ export const AccountService = {
    * Private helper to persist accounts
    */
   _persist(accounts, sync = true) {
-    localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+    DomainStore.write(ACCOUNTS_KEY, accounts);
     if (sync) {
       SyncService.pushToCloud(ACCOUNTS_KEY, accounts);
     }
@@ -185,7 +186,7 @@ export const AccountService = {
    */
   clear() {
     console.log('[AccountService] Clearing all accounts');
-    localStorage.removeItem(ACCOUNTS_KEY);
+    DomainStore.remove(ACCOUNTS_KEY);
   },
 
   /**
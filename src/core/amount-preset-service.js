@@ -7,7 +7,9 @@
  * Stores in localStorage with key amount_presets
  */
 
-const AMOUNT_PRESETS_KEY = 'amount_presets';
+import { STORAGE_KEYS } from '../utils/constants.js';
+
+const AMOUNT_PRESETS_KEY = STORAGE_KEYS.AMOUNT_PRESETS;
 const MAX_PRESETS = 4;
 const PRESETS_CHANGE_EVENT = 'amount-presets-changed';
 
@@ -37,6 +37,24 @@ export class AnalyticsEngine {
     return MetricsService.calculateCategoryBreakdown(transactions, timePeriod);
   }
 
+  /**
+   * Build a category-by-month spending matrix
+   */
+  calculateCategoryMonthPivot(transactions, timePeriod, options = {}) {
+    return MetricsService.calculateCategoryMonthPivot(
+      transactions,
+      timePeriod,
+      options
+    );
+  }
+
+  /**
+   * Build the income → accounts → spending flow of a period
+   */
+  calculateCashFlow(transactions, timePeriod) {
+    return MetricsService.calculateCashFlow(transactions, timePeriod);
+  }
+
   /**
    * Calculate income vs expense summary
    */
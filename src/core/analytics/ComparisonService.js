@@ -14,6 +14,7 @@ const TREND_THRESHOLD_MONTHLY = 5;
 const TREND_THRESHOLD_PERIOD = 10;
 
 import { MetricsService } from './MetricsService.js';
+import { formatMoney } from '../../utils/money-format.js';
 
 export class ComparisonService {
   /**
@@ -291,7 +292,7 @@ export class ComparisonService {
           {
             id: 'balance',
             type: incomeVsExpenses.netBalance > 0 ? 'positive' : 'negative',
-            message: `Net balance: ${incomeVsExpenses.netBalance.toFixed(2)}`,
+            message: `Net balance: ${formatMoney(incomeVsExpenses.netBalance)}`,
           },
         ],
         summary: {
@@ -10,8 +10,8 @@ export class FilteringService {
    * Filter transactions by time period
    * @param {Array} transactions - Raw transaction data
    * @param {Object} timePeriod - Time period configuration
-   * @param {Date|string} timePeriod.startDate - Start date
-   * @param {Date|string} timePeriod.endDate - End date
+   * @param {Date|string} timePeriod.startDate - Start date (optional when endDate is set)
+   * @param {Date|string} timePeriod.endDate - End date (optional when startDate is set)
    * @returns {Array} Filtered transactions
    */
   static filterByTimePeriod(transactions, timePeriod, includeGhosts = false) {
@@ -19,16 +19,21 @@ export class FilteringService {
       return [];
     }
 
-    if (!timePeriod || !timePeriod.startDate || !timePeriod.endDate) {
+    if (!timePeriod || (!timePeriod.startDate && !timePeriod.endDate)) {
       return transactions;
     }
 
-    const startDate = new Date(timePeriod.startDate);
-    const endDate = new Date(timePeriod.endDate);
+    // A missing bound leaves that side of the range open
+    const startDate = timePeriod.startDate
+      ? new Date(timePeriod.startDate)
+      : new Date(-8640000000000000);
+    const endDate = timePeriod.endDate
+      ? new Date(timePeriod.endDate)
+      : new Date(8640000000000000);
 
     // Set time to start/end of day for accurate filtering
-    startDate.setHours(0, 0, 0, 0);
-    endDate.setHours(23, 59, 59, 999);
+    if (timePeriod.startDate) startDate.setHours(0, 0, 0, 0);
+    if (timePeriod.endDate) endDate.setHours(23, 59, 59, 999);
 
     return transactions.filter(transaction => {
       // Exclude ghost (moved) transactions by default to prevent double counting
@@ -77,6 +82,8 @@ export class FilteringService {
    * @param {Object} amountRange - Amount range configuration
    * @param {number} amountRange.min - Minimum amount (optional)
    * @param {number} amountRange.max - Maximum amount (optional)
+   * @param {boolean} amountRange.minExclusive - Exclude amounts equal to min
+   * @param {boolean} amountRange.maxExclusive - Exclude amounts equal to max
    * @returns {Array} Filtered transactions
    */
   static filterByAmountRange(transactions, amountRange, includeGhosts = false) {
@@ -91,7 +98,7 @@ export class FilteringService {
       return transactions;
     }
 
-    const { min, max } = amountRange;
+    const { min, max, minExclusive, maxExclusive } = amountRange;
 
     return transactions.filter(transaction => {
       // Exclude ghost transactions
@@ -99,8 +106,10 @@ export class FilteringService {
 
       const amount = Math.abs(transaction.amount || 0);
 
-      if (min !== undefined && amount < min) return false;
-      if (max !== undefined && amount > max) return false;
+      if (min !== undefined && (minExclusive ? amount <= min : amount < min))
+        return false;
+      if (max !== undefined && (maxExclusive ? amount >= max : amount > max))
+        return false;
 
       return true;
     });
@@ -157,7 +166,34 @@ export class FilteringService {
   }
 
   /**
-   * Filter transactions by description/notes text
+   * Filter transactions that carry every given tag
+   * @param {Array} transactions - Raw transaction data
+   * @param {Array} tags - Tag names that must all be present
+   * @returns {Array} Filtered transactions
+   */
+  static filterByTags(transactions, tags = [], includeGhosts = false) {
+    if (!transactions || !Array.isArray(transactions)) {
+      return [];
+    }
+
+    if (!tags || tags.length === 0) {
+      return transactions;
+    }
+
+    const wanted = tags.map(tag => tag.toLowerCase());
+
+    return transactions.filter(transaction => {
+      // Exclude ghost transactions
+      if (transaction.isGhost && !includeGhosts) return false;
+
+      const own = (transaction.tags || []).map(tag => tag.toLowerCase());
+      return wanted.every(tag => own.includes(tag));
+    });
+  }
+
+  /**
+   * Filter transactions by description, category, tags and amount.
+   * Every whitespace-separated word has to match.
    * @param {Array} transactions - Raw transaction data
    * @param {string} searchText - Text to search for
    * @param {boolean} caseSensitive - Whether search should be case sensitive
@@ -178,6 +214,7 @@ export class FilteringService {
     }
 
     const search = caseSensitive ? searchText : searchText.toLowerCase();
+    const words = search.split(/\s+/).filter(Boolean);
 
     return transactions.filter(transaction => {
       // Exclude ghost transactions
@@ -185,12 +222,13 @@ export class FilteringService {
 
       const description = transaction.description || '';
       const category = transaction.category || '';
+      const tags = (transaction.tags || []).join(' ');
+      const amount = Math.abs(Number(transaction.amount) || 0).toFixed(2);
 
-      const searchableText = caseSensitive
-        ? `${description} ${category}`
-        : `${description} ${category}`.toLowerCase();
+      const text = `${description} ${category} ${tags} ${amount}`;
+      const searchableText = caseSensitive ? text : text.toLowerCase();
 
-      return searchableText.includes(search);
+      return words.every(word => searchableText.includes(word));
     });
   }
 
@@ -204,6 +242,7 @@ export class FilteringService {
    * @param {Object} filters.amountRange - Amount range filter
    * @param {Array} filters.types - Transaction types filter
    * @param {Array} filters.accounts - Accounts filter
+   * @param {Array} filters.tags - Tags filter (all must match)
    * @param {string} filters.searchText - Text search filter
    * @param {boolean} filters.caseSensitive - Case sensitive search
    * @returns {Array} Filtered transactions
@@ -263,6 +302,14 @@ export class FilteringService {
       );
     }
 
+    if (filters.tags && filters.tags.length > 0) {
+      filteredTransactions = this.filterByTags(
+        filteredTransactions,
+        filters.tags,
+        includeGhosts
+      );
+    }
+
     if (filters.searchText && filters.searchText.trim() !== '') {
       filteredTransactions = this.filterByText(
         filteredTransactions,
@@ -332,6 +379,11 @@ export class FilteringService {
       summary.hasFilters = true;
     }
 
+    if (filters.tags && filters.tags.length > 0) {
+      summary.descriptions.push(`Tags: ${filters.tags.join(', ')}`);
+      summary.hasFilters = true;
+    }
+
     if (filters.searchText && filters.searchText.trim() !== '') {
       summary.descriptions.push(`Search: "${filters.searchText}"`);
       summary.hasFilters = true;
@@ -353,6 +405,7 @@ export class FilteringService {
       amountRange: null,
       types: [],
       accounts: [],
+      tags: [],
       searchText: '',
       caseSensitive: false,
     };
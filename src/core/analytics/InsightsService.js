@@ -153,23 +153,23 @@ export class InsightsService {
       budgetStatuses.forEach(status => {
         if (status.isExceeded) {
           insights.push({
-            id: `budget_exceeded_${status.categoryName}`,
+            id: `budget_exceeded_${status.label}`,
             type: 'warning',
             category: status.categoryName,
-            message: `You've exceeded your budget for "${status.categoryName}" by ${formatCurrency(Math.abs(status.amountLimit - status.actual))}.`,
+            message: `You've exceeded your budget for "${status.label}" by ${formatCurrency(Math.abs(status.available - status.actual))}.`,
             severity: 'high',
             actionable: true,
-            recommendation: `Consider reviewing recent purchases in "${status.categoryName}" to find savings for the rest of the month.`,
+            recommendation: `Consider reviewing recent purchases in "${status.label}" to find savings for the rest of the period.`,
           });
         } else if (status.isWarning) {
           insights.push({
-            id: `budget_warning_${status.categoryName}`,
+            id: `budget_warning_${status.label}`,
             type: 'warning',
             category: status.categoryName,
-            message: `You've used ${status.utilization.toFixed(0)}% of your "${status.categoryName}" budget.`,
+            message: `You've used ${status.utilization.toFixed(0)}% of your "${status.label}" budget.`,
             severity: 'medium',
             actionable: true,
-            recommendation: `You have ${formatCurrency(status.remaining)} remaining in your "${status.categoryName}" budget.`,
+            recommendation: `You have ${formatCurrency(status.remaining)} remaining in your "${status.label}" budget.`,
           });
         }
       });
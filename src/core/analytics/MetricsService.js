@@ -3,9 +3,52 @@
  * Handles financial calculations and metric generation.
  */
 
-import { TRANSACTION_TYPES } from '../../utils/constants.js';
+import { TRANSACTION_TYPES, PIVOT_SPLITS } from '../../utils/constants.js';
 import { FilteringService } from './FilteringService.js';
 import { CustomCategoryService } from '../custom-category-service.js';
+import { CurrencyService } from '../currency-service.js';
+import { AccountService } from '../Account/account-service.js';
+import { monthsBetween, monthLabel } from '../../utils/report-widgets.js';
+import { buildCsv } from '../../utils/csv-export.js';
+import { formatMoneyForExport } from '../../utils/money-format.js';
+import { buildSpreadsheetXml } from '../../utils/spreadsheetml.js';
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Cash flow keeps this many categories per side and folds the rest into "Other"
+const MAX_FLOW_CATEGORIES = 8;
+
+const PIVOT_SPLIT_COLUMNS = {
+  [PIVOT_SPLITS.TYPE]: 'Type',
+  [PIVOT_SPLITS.ACCOUNT]: 'Account',
+  [PIVOT_SPLITS.TAG]: 'Tag',
+};
+
+/**
+ * Split keys a transaction falls under in the category-by-month pivot
+ * @param {string} splitBy - PIVOT_SPLITS value
+ * @returns {Function} transaction => string[]
+ */
+const pivotSplitKeys = splitBy => {
+  switch (splitBy) {
+    case PIVOT_SPLITS.TYPE:
+      return t => [t.type === TRANSACTION_TYPES.REFUND ? 'Refund' : 'Expense'];
+    case PIVOT_SPLITS.ACCOUNT: {
+      const names = new Map(
+        AccountService.getAccounts().map(account => [account.id, account.name])
+      );
+      return t => [names.get(t.accountId) || 'Unknown account'];
+    }
+    case PIVOT_SPLITS.TAG:
+      // A transaction with several tags counts once under each of them
+      return t =>
+        Array.isArray(t.tags) && t.tags.length > 0
+          ? [...new Set(t.tags)]
+          : ['No tag'];
+    default:
+      return () => [''];
+  }
+};
 
 export class MetricsService {
   /**
@@ -28,10 +71,12 @@ export class MetricsService {
     );
 
     const categoryTotals = Object.create(null);
+    // Amounts are reported in the base currency
+    const converter = CurrencyService.createConverter();
 
     relevantTransactions.forEach(transaction => {
       const category = transaction.category || 'Uncategorized';
-      const rawAmount = Math.abs(transaction.amount || 0);
+      const rawAmount = Math.abs(converter.amount(transaction));
       const isRefund = transaction.type === TRANSACTION_TYPES.REFUND;
       const amount = isRefund ? -rawAmount : rawAmount;
 
@@ -130,9 +175,10 @@ export class MetricsService {
     // Build per-category expense totals (same logic as calculateCategoryBreakdown)
     // so that totalExpenses is always identical to the sum shown in the pie chart.
     const categoryTotals = Object.create(null);
+    const converter = CurrencyService.createConverter();
 
     filteredTransactions.forEach(transaction => {
-      const amount = Math.abs(transaction.amount || 0);
+      const amount = Math.abs(converter.amount(transaction));
 
       switch (transaction.type) {
         case TRANSACTION_TYPES.INCOME:
@@ -202,6 +248,7 @@ export class MetricsService {
     const topCategories = rankedCategories.slice(0, topN);
 
     // Calculate additional metrics for top categories
+    const converter = CurrencyService.createConverter();
     const enrichedCategories = topCategories.map(category => {
       const categoryTransactions = FilteringService.filterByTimePeriod(
         transactions,
@@ -213,7 +260,9 @@ export class MetricsService {
           (t.category || 'Uncategorized') === category.name
       );
 
-      const amounts = categoryTransactions.map(t => Math.abs(t.amount || 0));
+      const amounts = categoryTransactions.map(t =>
+        Math.abs(converter.amount(t))
+      );
       const avgTransactionAmount =
         amounts.length > 0
           ? amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length
@@ -246,4 +295,356 @@ export class MetricsService {
       timePeriod,
     };
   }
+
+  /**
+   * Build a category (rows) by month (columns) spending matrix. Every cell
+   * comes from calculateCategoryBreakdown over that month of the range, so
+   * it is spending net of refunds in the base currency.
+   * @param {Array} transactions - Transaction data
+   * @param {Object} timePeriod - { startDate, endDate }; an open bound follows the data
+   * @param {Object} [options]
+   * @param {string} [options.splitBy='none'] - PIVOT_SPLITS value adding a second row dimension
+   * @returns {Object} { months, rows, columnTotals, grandTotal, splitBy }
+   */
+  static calculateCategoryMonthPivot(
+    transactions,
+    timePeriod,
+    { splitBy = PIVOT_SPLITS.NONE } = {}
+  ) {
+    const split = Object.values(PIVOT_SPLITS).includes(splitBy)
+      ? splitBy
+      : PIVOT_SPLITS.NONE;
+    const spending = FilteringService.filterByTimePeriod(
+      transactions,
+      timePeriod
+    ).filter(
+      t =>
+        !t.isGhost &&
+        (t.type === TRANSACTION_TYPES.EXPENSE ||
+          t.type === TRANSACTION_TYPES.REFUND)
+    );
+
+    const dates = spending.map(t => new Date(t.date || t.timestamp));
+    const hasStart = Boolean(timePeriod?.startDate);
+    const hasEnd = Boolean(timePeriod?.endDate);
+    if (dates.length === 0 && !(hasStart && hasEnd)) {
+      return {
+        months: [],
+        rows: [],
+        columnTotals: [],
+        grandTotal: 0,
+        splitBy: split,
+      };
+    }
+    const start = hasStart
+      ? new Date(timePeriod.startDate)
+      : new Date(Math.min(...dates));
+    const end = hasEnd
+      ? new Date(timePeriod.endDate)
+      : new Date(Math.max(...dates));
+
+    // First and last month are clipped to the range
+    const months = monthsBetween(start, end).map(key => {
+      const [year, month] = key.split('-').map(Number);
+      const first = new Date(year, month - 1, 1);
+      const last = new Date(year, month, 0);
+      return {
+        key,
+        label: monthLabel(key),
+        startDate: first < start ? start : first,
+        endDate: last > end ? end : last,
+      };
+    });
+
+    const keysOf = pivotSplitKeys(split);
+    const groups = new Map();
+    spending.forEach(t => {
+      keysOf(t).forEach(key => {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(t);
+      });
+    });
+
+    const rowsByKey = new Map();
+    groups.forEach((groupTransactions, splitKey) => {
+      months.forEach((month, index) => {
+        const { categories } = this.calculateCategoryBreakdown(
+          groupTransactions,
+          month
+        );
+        categories.forEach(({ name, amount }) => {
+          const rowKey = `${name}\u0000${splitKey}`;
+          if (!rowsByKey.has(rowKey)) {
+            rowsByKey.set(rowKey, {
+              category: name,
+              split: splitKey,
+              values: new Array(months.length).fill(0),
+            });
+          }
+          rowsByKey.get(rowKey).values[index] += amount;
+        });
+      });
+    });
+
+    // Rows follow the category order of the whole range, biggest split first
+    const categoryOrder = new Map(
+      this.calculateCategoryBreakdown(spending, timePeriod).categories.map(
+        (category, index) => [category.name, index]
+      )
+    );
+    const rows = [...rowsByKey.values()]
+      .map(row => {
+        const values = row.values.map(round2);
+        return {
+          ...row,
+          values,
+          total: round2(values.reduce((sum, v) => sum + v, 0)),
+        };
+      })
+      .sort(
+        (a, b) =>
+          (categoryOrder.get(a.category) ?? Number.MAX_SAFE_INTEGER) -
+            (categoryOrder.get(b.category) ?? Number.MAX_SAFE_INTEGER) ||
+          b.total - a.total ||
+          a.split.localeCompare(b.split)
+      );
+
+    // Totals come from the transactions, not the rows, so a transaction
+    // listed under several tags is only counted once
+    const columnTotals = months.map(month =>
+      round2(this.calculateCategoryBreakdown(spending, month).totalAmount)
+    );
+
+    return {
+      months: months.map(({ key, label }) => ({ key, label })),
+      rows,
+      columnTotals,
+      grandTotal: round2(columnTotals.reduce((sum, v) => sum + v, 0)),
+      splitBy: split,
+    };
+  }
+
+  /**
+   * Lay a pivot out as a flat table: one line per row, a totals line last
+   * @param {Object} pivot - Result of calculateCategoryMonthPivot()
+   * @returns {Object} { headers, rows, footer } with numeric amounts
+   */
+  static pivotToTable(pivot) {
+    const splitColumn = PIVOT_SPLIT_COLUMNS[pivot.splitBy];
+    const lead = row =>
+      splitColumn ? [row.category, row.split] : [row.category];
+    return {
+      headers: [
+        'Category',
+        ...(splitColumn ? [splitColumn] : []),
+        ...pivot.months.map(month => month.label),
+        'Total',
+      ],
+      rows: pivot.rows.map(row => [...lead(row), ...row.values, row.total]),
+      footer: [
+        ...lead({ category: 'Total', split: '' }),
+        ...pivot.columnTotals,
+        pivot.grandTotal,
+      ],
+    };
+  }
+
+  /**
+   * Serialize a pivot to CSV, totals line included
+   * @param {Object} pivot - Result of calculateCategoryMonthPivot()
+   * @returns {string} CSV content
+   */
+  static pivotToCsv(pivot) {
+    const { headers, rows, footer } = this.pivotToTable(pivot);
+    return buildCsv(
+      headers,
+      [...rows, footer].map(row =>
+        row.map(value =>
+          typeof value === 'number' ? formatMoneyForExport(value) : value
+        )
+      )
+    );
+  }
+
+  /**
+   * Serialize a pivot to a SpreadsheetML workbook (opens in Excel)
+   * @param {Object} pivot - Result of calculateCategoryMonthPivot()
+   * @returns {string} Workbook XML
+   */
+  static pivotToSpreadsheetXml(pivot) {
+    return buildSpreadsheetXml({
+      name: 'Spending by month',
+      ...this.pivotToTable(pivot),
+    });
+  }
+
+  /**
+   * Describe where the money of a period came from and went as Sankey nodes
+   * and links: income categories → accounts → expense categories. What an
+   * account kept flows on to "Savings"; an account that spent more than it
+   * received draws the difference from "Earlier savings". Transfers draw no
+   * flow of their own but move money between the accounts' balances.
+   * @param {Array} transactions - Transaction data
+   * @param {Object} timePeriod - Time period configuration
+   * @returns {Object} { nodes, links, totalIncome, totalExpenses, netBalance }
+   */
+  static calculateCashFlow(transactions, timePeriod) {
+    const { totalIncome, totalExpenses, netBalance } =
+      this.calculateIncomeVsExpenses(transactions, timePeriod);
+    const inPeriod = FilteringService.filterByTimePeriod(
+      transactions,
+      timePeriod
+    ).filter(t => !t.isGhost);
+    const converter = CurrencyService.createConverter();
+    const accountNames = new Map(
+      AccountService.getAccounts().map(account => [account.id, account.name])
+    );
+
+    const flows = new Map();
+    const addFlow = (source, target, value, category = null) => {
+      const key = `${source}>${target}`;
+      const flow = flows.get(key) || { source, target, value: 0, category };
+      flow.value += value;
+      flows.set(key, flow);
+    };
+    const inflow = new Map();
+    const outflow = new Map();
+    const add = (map, key, value) => map.set(key, (map.get(key) || 0) + value);
+
+    // Income side: the biggest sources by name, the rest folded into "Other"
+    const incomeTransactions = inPeriod.filter(
+      t => t.type === TRANSACTION_TYPES.INCOME
+    );
+    const incomeByCategory = new Map();
+    incomeTransactions.forEach(t => {
+      add(
+        incomeByCategory,
+        t.category || 'Uncategorized',
+        Math.abs(converter.amount(t))
+      );
+    });
+    const topIncome = new Set(
+      [...incomeByCategory.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_FLOW_CATEGORIES)
+        .map(([name]) => name)
+    );
+    incomeTransactions.forEach(t => {
+      const category = t.category || 'Uncategorized';
+      const amount = Math.abs(converter.amount(t));
+      const account = `account:${t.accountId}`;
+      if (topIncome.has(category)) {
+        addFlow(`income:${category}`, account, amount, category);
+      } else {
+        addFlow('income:', account, amount);
+      }
+      add(inflow, t.accountId, amount);
+    });
+
+    // Spending side: each account's category breakdown; a category that
+    // refunds cancelled out does not draw a flow
+    const spending = inPeriod.filter(
+      t =>
+        t.type === TRANSACTION_TYPES.EXPENSE ||
+        t.type === TRANSACTION_TYPES.REFUND
+    );
+    const topExpenses = new Set(
+      this.calculateCategoryBreakdown(spending, timePeriod)
+        .categories.filter(category => category.amount > 0)
+        .sort((a, b) => b.amount - a.amount)
+        .slice(0, MAX_FLOW_CATEGORIES)
+        .map(category => category.name)
+    );
+    const spendingByAccount = new Map();
+    spending.forEach(t => {
+      if (!spendingByAccount.has(t.accountId)) {
+        spendingByAccount.set(t.accountId, []);
+      }
+      spendingByAccount.get(t.accountId).push(t);
+    });
+    spendingByAccount.forEach((accountTransactions, accountId) => {
+      this.calculateCategoryBreakdown(accountTransactions, timePeriod)
+        .categories.filter(category => category.amount > 0)
+        .forEach(({ name, amount }) => {
+          if (topExpenses.has(name)) {
+            addFlow(`account:${accountId}`, `expense:${name}`, amount, name);
+          } else {
+            addFlow(`account:${accountId}`, 'expense:', amount);
+          }
+          add(outflow, accountId, amount);
+        });
+    });
+
+    // Transfers leave one account and fund another
+    inPeriod
+      .filter(t => t.type === TRANSACTION_TYPES.TRANSFER && t.toAccountId)
+      .forEach(t => {
+        add(outflow, t.accountId, Math.abs(converter.amount(t)));
+        add(inflow, t.toAccountId, Math.abs(converter.destinationAmount(t)));
+      });
+
+    // Savings is the residual of each account
+    const accountIds = [...new Set([...inflow.keys(), ...outflow.keys()])];
+    accountIds.forEach(accountId => {
+      const residual =
+        (inflow.get(accountId) || 0) - (outflow.get(accountId) || 0);
+      if (residual > 0) addFlow(`account:${accountId}`, 'savings', residual);
+      if (residual < 0) addFlow('deficit', `account:${accountId}`, -residual);
+    });
+
+    const links = [...flows.values()]
+      .map(flow => ({ ...flow, value: round2(flow.value) }))
+      .filter(flow => flow.value > 0);
+
+    const throughput = new Map();
+    links.forEach(link => {
+      add(throughput, link.source, link.value);
+      add(throughput, link.target, link.value);
+    });
+    const describe = id => {
+      const [kind, name] = id.includes(':') ? id.split(/:(.*)/) : [id, ''];
+      switch (kind) {
+        case 'income':
+          return {
+            column: 0,
+            kind,
+            label: name || 'Other',
+            category: name || null,
+          };
+        case 'deficit':
+          return { column: 0, kind, label: 'Earlier savings', category: null };
+        case 'account':
+          return {
+            column: 1,
+            kind,
+            label: accountNames.get(name) || 'Unknown account',
+            category: null,
+          };
+        case 'expense':
+          return {
+            column: 2,
+            kind,
+            label: name || 'Other',
+            category: name || null,
+          };
+        default:
+          return { column: 2, kind, label: 'Savings', category: null };
+      }
+    };
+    // Largest first within a column; "Other", savings and deficit go last
+    const rank = node => {
+      if (node.kind === 'savings' || node.kind === 'deficit') return 2;
+      return node.kind === 'account' || node.category ? 0 : 1;
+    };
+    const nodes = [...throughput.keys()]
+      .map(id => ({ id, ...describe(id) }))
+      .sort(
+        (a, b) =>
+          a.column - b.column ||
+          rank(a) - rank(b) ||
+          throughput.get(b.id) - throughput.get(a.id)
+      );
+
+    return { nodes, links, totalIncome, totalExpenses, netBalance };
+  }
 }
@@ -7,6 +7,7 @@
 import { MetricsService } from './MetricsService.js';
 import { CustomCategoryService } from '../custom-category-service.js';
 import { BudgetService } from '../budget-service.js';
+import { formatMoney } from '../../utils/money-format.js';
 
 const MIN_OPTIMIZATION_THRESHOLD = 50;
 const DEFAULT_CATEGORY_REDUCTION_PERCENT = 0.15;
@@ -550,7 +551,7 @@ export class RecommendationService {
           // Generate preemptive savings suggestion
           if (pattern.isIncrease && pattern.predictable) {
             const monthlySetAside = Math.round(pattern.previousYearAmount / 10); // 10 months to save
-            pattern.suggestion = `Set aside €${monthlySetAside}/month starting ${monthNames[i]} to cover €${Math.round(pattern.previousYearAmount)} in ${monthNames[i]}.`;
+            pattern.suggestion = `Set aside ${formatMoney(monthlySetAside, { decimals: 0 })}/month starting ${monthNames[i]} to cover ${formatMoney(pattern.previousYearAmount, { decimals: 0 })} in ${monthNames[i]}.`;
             pattern.estimatedSavings = monthlySetAside * 10;
           }
 
@@ -638,7 +639,7 @@ export class RecommendationService {
         type: 'preemptive_savings',
         category: _categoryId,
         targetMonth: upcomingPattern.month,
-        suggestion: `Start setting aside €${monthlySetAside}/month now for your ${upcomingPattern.month} expenses (€${Math.round(upcomingPattern.previousYearAmount)} expected).`,
+        suggestion: `Start setting aside ${formatMoney(monthlySetAside, { decimals: 0 })}/month now for your ${upcomingPattern.month} expenses (${formatMoney(upcomingPattern.previousYearAmount, { decimals: 0 })} expected).`,
         monthlyAmount: monthlySetAside,
         totalTarget: Math.round(upcomingPattern.previousYearAmount),
         monthsToSave: 10,
@@ -659,7 +660,7 @@ export class RecommendationService {
         type: 'historical_pattern',
         category: _categoryId,
         targetMonth: biggestPattern.month,
-        suggestion: `Last ${biggestPattern.month} you spent €${Math.round(biggestPattern.previousYearAmount)} on ${_categoryId}. Consider setting aside €${monthlySetAside}/month to prepare.`,
+        suggestion: `Last ${biggestPattern.month} you spent ${formatMoney(biggestPattern.previousYearAmount, { decimals: 0 })} on ${_categoryId}. Consider setting aside ${formatMoney(monthlySetAside, { decimals: 0 })}/month to prepare.`,
         monthlyAmount: monthlySetAside,
         totalTarget: Math.round(biggestPattern.previousYearAmount),
         monthsToSave: 10,
@@ -857,15 +858,15 @@ export class RecommendationService {
         if (statuses && Array.isArray(statuses)) {
           statuses.forEach(status => {
             if (status.isExceeded) {
-              const excess = Math.abs(status.amountLimit - status.actual);
+              const excess = Math.abs(status.available - status.actual);
               insights.push({
-                id: `budget_exceeded_${status.categoryName.toLowerCase().replace(/\s+/g, '_')}`,
+                id: `budget_exceeded_${status.label.toLowerCase().replace(/\s+/g, '_')}`,
                 type: 'budget',
                 category: status.categoryName,
                 currentSpending: status.actual,
                 budgetLimit: status.amountLimit,
                 potentialSavings: excess,
-                message: `Exceeded ${status.categoryName} budget by ${this._formatCurrency(excess)}`,
+                message: `Exceeded ${status.label} budget by ${this._formatCurrency(excess)}`,
                 description: 'Review transactions to find savings',
                 difficulty: 'medium',
                 actionable: true,
@@ -873,13 +874,13 @@ export class RecommendationService {
               });
             } else if (status.isWarning && status.utilization > 80) {
               insights.push({
-                id: `budget_warning_${status.categoryName.toLowerCase().replace(/\s+/g, '_')}`,
+                id: `budget_warning_${status.label.toLowerCase().replace(/\s+/g, '_')}`,
                 type: 'budget',
                 category: status.categoryName,
                 currentSpending: status.actual,
                 budgetLimit: status.amountLimit,
                 potentialSavings: status.remaining,
-                message: `${status.categoryName} at ${status.utilization.toFixed(0)}% - ${this._formatCurrency(status.remaining)} remaining`,
+                message: `${status.label} at ${status.utilization.toFixed(0)}% - ${this._formatCurrency(status.remaining)} remaining`,
                 description: 'Act now to stay within budget',
                 difficulty: 'easy',
                 actionable: true,
@@ -1058,12 +1059,7 @@ export class RecommendationService {
   }
 
   _formatCurrency(amount) {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'EUR',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(amount);
+    return formatMoney(amount, { decimals: 0 });
   }
 }
 
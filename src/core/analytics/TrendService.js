@@ -5,6 +5,7 @@
  */
 
 import { TRANSACTION_TYPES } from '../../utils/constants.js';
+import { formatMoney } from '../../utils/money-format.js';
 
 const STORAGE_KEY = 'blinkbudget_trend_data';
 
@@ -174,9 +175,14 @@ export class TrendService {
    * Calculate personal inflation with per-category breakdown and actionable suggestions
    * @param {Array} transactions - All transactions
    * @param {number} monthsBack - Number of months to look back (default: 6)
+   * @param {Date} referenceDate - End of the analysed window (default: now)
    * @returns {Object} Personal inflation analysis with breakdown and suggestions
    */
-  calculatePersonalInflation(transactions, monthsBack = 6) {
+  calculatePersonalInflation(
+    transactions,
+    monthsBack = 6,
+    referenceDate = new Date()
+  ) {
     const categories = [
       ...new Set(
         transactions
@@ -195,11 +201,11 @@ export class TrendService {
         category,
         monthsBack,
         'average',
-        new Date()
+        referenceDate
       );
 
       // Get category spending in recent period
-      const cutoff = new Date();
+      const cutoff = new Date(referenceDate);
       cutoff.setMonth(cutoff.getMonth() - monthsBack);
       cutoff.setDate(1);
       cutoff.setHours(0, 0, 0, 0);
@@ -210,7 +216,8 @@ export class TrendService {
             t.category === category &&
             !t.isGhost &&
             t.type === TRANSACTION_TYPES.EXPENSE &&
-            new Date(t.timestamp) >= cutoff
+            new Date(t.timestamp) >= cutoff &&
+            new Date(t.timestamp) <= referenceDate
         )
         .reduce((sum, t) => sum + (Math.abs(t.amount) || 0), 0);
 
@@ -284,7 +291,7 @@ export class TrendService {
           category: driver.category,
           message: `Food prices went up ${driver.rate.toFixed(1)}% for you. "${driver.category}" is the main driver.`,
           actionable: true,
-          suggestion: `Consider cooking at home 2-3 more times per week to save approximately €${savingsTip}/month.`,
+          suggestion: `Consider cooking at home 2-3 more times per week to save approximately ${formatMoney(savingsTip, { decimals: 0 })}/month.`,
           estimatedSavings: savingsTip,
           difficulty: 'medium',
         };
@@ -298,7 +305,7 @@ export class TrendService {
           category: driver.category,
           message: `Transportation costs increased ${driver.rate.toFixed(1)}% for you.`,
           actionable: true,
-          suggestion: `Consider consolidating errands or using public transit 1-2 days per week to save €${savingsTip}/month.`,
+          suggestion: `Consider consolidating errands or using public transit 1-2 days per week to save ${formatMoney(savingsTip, { decimals: 0 })}/month.`,
           estimatedSavings: savingsTip,
           difficulty: 'hard',
         };
@@ -312,7 +319,7 @@ export class TrendService {
           category: driver.category,
           message: `Spending on "${driver.category}" rose ${driver.rate.toFixed(1)}%.`,
           actionable: true,
-          suggestion: `Review subscriptions and pause unused services to save €${savingsTip}/month.`,
+          suggestion: `Review subscriptions and pause unused services to save ${formatMoney(savingsTip, { decimals: 0 })}/month.`,
           estimatedSavings: savingsTip,
           difficulty: 'easy',
         };
@@ -324,7 +331,7 @@ export class TrendService {
           category: driver.category,
           message: `Utilities costs up ${driver.rate.toFixed(1)}%.`,
           actionable: true,
-          suggestion: `Review providers and consider switching plans to save €${savingsTip}/month.`,
+          suggestion: `Review providers and consider switching plans to save ${formatMoney(savingsTip, { decimals: 0 })}/month.`,
           estimatedSavings: savingsTip,
           difficulty: 'medium',
         };
@@ -335,7 +342,7 @@ export class TrendService {
           category: driver.category,
           message: `Spending on "${driver.category}" increased ${driver.rate.toFixed(1)}%.`,
           actionable: true,
-          suggestion: `Review your "${driver.category}" spending for potential savings of €${savingsTip}/month.`,
+          suggestion: `Review your "${driver.category}" spending for potential savings of ${formatMoney(savingsTip, { decimals: 0 })}/month.`,
           estimatedSavings: savingsTip,
           difficulty: 'medium',
         };
@@ -0,0 +1,379 @@
+/**
+ * Attachment Service
+ * Receipt photos and PDFs attached to transactions.
+ *
+ * Files live in IndexedDB (localStorage quota is far too small for images)
+ * together with a thumbnail. Transactions only carry light metadata
+ * ({ id, name, type, size, createdAt }) in `transaction.attachments`, which
+ * syncs with the transaction itself. When signed in, files are also uploaded
+ * to Cloud Storage so other devices can download them on first view.
+ *
+ * Uploads go straight to Firebase Storage, so they only run with the Firebase
+ * sync provider and without sync encryption: a self-hosted server has no file
+ * storage, and an encrypted account must not store receipts in the clear.
+ * Files then stay on the device they were attached on, and turning
+ * encryption on deletes the ones uploaded before.
+ */
+
+import { AuthService } from './auth-service.js';
+import { SyncEncryption } from './sync-encryption.js';
+import { getSyncProvider } from './sync-provider.js';
+import { generateId } from '../utils/id-utils.js';
+
+const DB_NAME = 'blinkbudget_attachments';
+const DB_VERSION = 1;
+const STORE = 'files';
+const THUMBNAIL_SIZE = 240;
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against the store and resolve with its result
+const withStore = async (mode, run) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = run(tx.objectStore(STORE));
+    let result;
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const toMetadata = record => ({
+  id: record.id,
+  name: record.name,
+  type: record.type,
+  size: record.size,
+  createdAt: record.createdAt,
+});
+
+/**
+ * Downscale an image into a small JPEG thumbnail
+ * @param {Blob} file - Image file
+ * @returns {Promise<Blob|null>} Thumbnail, or null when the browser can't decode it
+ */
+const createThumbnail = async file => {
+  if (
+    !file.type.startsWith('image/') ||
+    typeof window.createImageBitmap !== 'function'
+  ) {
+    return null;
+  }
+  try {
+    const bitmap = await window.createImageBitmap(file);
+    const scale = Math.min(
+      1,
+      THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height)
+    );
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas
+      .getContext('2d')
+      .drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close?.();
+    return await new Promise(resolve =>
+      canvas.toBlob(resolve, 'image/jpeg', 0.7)
+    );
+  } catch (error) {
+    // HEIC and other formats the browser can't decode get a generic icon
+    console.warn('[AttachmentService] Thumbnail failed:', error);
+    return null;
+  }
+};
+
+// The account's attachments folder, or one file in it
+const getCloudRef = async id => {
+  const userId = AuthService.getUserId();
+  if (!userId) return null;
+  const { firebaseStatus, getStorageInstance } =
+    await import('./firebase-config.js');
+  if (!firebaseStatus.isInitialized) return null;
+  const { ref } = await import('firebase/storage');
+  const folder = `users/${userId}/attachments`;
+  return ref(getStorageInstance(), id ? `${folder}/${id}` : folder);
+};
+
+export const AttachmentService = {
+  _uploading: null, // Promise of the upload run in progress
+  _uploadAgain: false,
+
+  /**
+   * Whether attachments can be stored on this device
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  },
+
+  /**
+   * Check that a file can be attached
+   * @param {File} file - Picked file
+   * @throws {Error} When the type or size is not supported
+   */
+  validate(file) {
+    if (!file) {
+      throw new Error('[AttachmentService] No file selected');
+    }
+    const type = file.type || '';
+    if (!type.startsWith('image/') && type !== 'application/pdf') {
+      throw new Error(
+        '[AttachmentService] Only images and PDFs can be attached'
+      );
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      throw new Error(
+        `[AttachmentService] Files must be smaller than ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB`
+      );
+    }
+  },
+
+  /**
+   * Store a file and return the metadata to keep on the transaction
+   * @param {File} file - Image or PDF
+   * @returns {Promise<Object>} Attachment metadata
+   */
+  async store(file) {
+    this.validate(file);
+    if (!this.isSupported()) {
+      throw new Error('[AttachmentService] This browser cannot store files');
+    }
+
+    const record = {
+      id: generateId(),
+      name: file.name || 'attachment',
+      type: file.type,
+      size: file.size,
+      createdAt: new Date().toISOString(),
+      blob: file,
+      thumbnail: await createThumbnail(file),
+      uploaded: false,
+    };
+    await withStore('readwrite', store => store.put(record));
+
+    // Upload in the background; failures are retried by uploadPending()
+    this.uploadPending().catch(error =>
+      console.warn('[AttachmentService] Upload failed:', error)
+    );
+
+    return toMetadata(record);
+  },
+
+  /**
+   * Get the stored file for an attachment, downloading it from the cloud
+   * (and caching it locally) when it was added on another device
+   * @param {Object} attachment - Attachment metadata
+   * @returns {Promise<Blob|null>}
+   */
+  async getFile(attachment) {
+    const record = await this._getRecord(attachment.id);
+    if (record) return record.blob;
+
+    const cloudRef = await getCloudRef(attachment.id);
+    if (!cloudRef) return null;
+    const { getBlob } = await import('firebase/storage');
+    const blob = await getBlob(cloudRef);
+    await withStore('readwrite', store =>
+      store.put({
+        ...attachment,
+        blob,
+        thumbnail: null,
+        uploaded: true,
+      })
+    );
+    return blob;
+  },
+
+  /**
+   * Get the thumbnail for an attachment when one is stored locally
+   * @param {Object} attachment - Attachment metadata
+   * @returns {Promise<Blob|null>}
+   */
+  async getThumbnail(attachment) {
+    const record = await this._getRecord(attachment.id);
+    if (!record) return null;
+    if (!record.thumbnail && record.blob) {
+      record.thumbnail = await createThumbnail(record.blob);
+      if (record.thumbnail) {
+        await withStore('readwrite', store => store.put(record));
+      }
+    }
+    return record.thumbnail;
+  },
+
+  /**
+   * Delete attachments from this device and from the cloud
+   * @param {Array<string>} ids - Attachment IDs
+   */
+  async remove(ids) {
+    if (!ids || ids.length === 0 || !this.isSupported()) return;
+
+    await withStore('readwrite', store => {
+      ids.forEach(id => store.delete(id));
+    });
+
+    for (const id of ids) {
+      try {
+        const cloudRef = await getCloudRef(id);
+        if (!cloudRef) break;
+        const { deleteObject } = await import('firebase/storage');
+        await deleteObject(cloudRef);
+      } catch (error) {
+        if (error?.code !== 'storage/object-not-found') {
+          console.warn('[AttachmentService] Cloud delete failed:', error);
+        }
+      }
+    }
+  },
+
+  /**
+   * Delete every file the account has in Cloud Storage once sync encryption
+   * is on, so receipts uploaded before it aren't left readable there. Files
+   * this device hasn't downloaded yet are kept locally first.
+   * @returns {Promise<number>} Number of deleted files
+   */
+  async removeCloudCopies() {
+    if (!this.isSupported() || getSyncProvider().name !== 'firebase') return 0;
+
+    // An upload started before encryption was turned on may still be running
+    await this._uploading?.catch(() => {});
+    const folder = await getCloudRef();
+    if (!folder) return 0;
+
+    const { listAll, getBlob, deleteObject } = await import('firebase/storage');
+    const { items } = await listAll(folder);
+    let removed = 0;
+    for (const item of items) {
+      try {
+        if (!(await this._getRecord(item.name))) {
+          const blob = await getBlob(item);
+          await withStore('readwrite', store =>
+            store.put({
+              id: item.name,
+              type: blob.type,
+              size: blob.size,
+              blob,
+              thumbnail: null,
+              uploaded: false,
+            })
+          );
+        }
+        await deleteObject(item);
+        removed++;
+      } catch (error) {
+        console.warn('[AttachmentService] Cloud delete failed:', error);
+      }
+    }
+    return removed;
+  },
+
+  /**
+   * Whether files are uploaded for other devices
+   * @returns {boolean}
+   */
+  canUpload() {
+    return (
+      this.isSupported() &&
+      Boolean(AuthService.getUserId()) &&
+      getSyncProvider().name === 'firebase' &&
+      !SyncEncryption.isEnabled()
+    );
+  },
+
+  /**
+   * Upload files that were stored while signed out or offline. Only one run
+   * is in flight; a call during it makes the run check once more for files
+   * stored meanwhile instead of uploading the same file twice.
+   * @returns {Promise<number>} Number of uploaded files
+   */
+  uploadPending() {
+    if (this._uploading) {
+      this._uploadAgain = true;
+      return this._uploading;
+    }
+
+    this._uploading = (async () => {
+      let uploaded = 0;
+      try {
+        do {
+          this._uploadAgain = false;
+          uploaded += await this._uploadStored();
+        } while (this._uploadAgain);
+      } finally {
+        this._uploading = null;
+      }
+      return uploaded;
+    })();
+    return this._uploading;
+  },
+
+  async _uploadStored() {
+    if (!this.canUpload()) return 0;
+
+    const records =
+      (await withStore('readonly', store => store.getAll())) || [];
+    const pending = records.filter(record => !record.uploaded);
+    if (pending.length === 0) return 0;
+
+    const { uploadBytes } = await import('firebase/storage');
+    let uploaded = 0;
+    for (const record of pending) {
+      const cloudRef = await getCloudRef(record.id);
+      if (!cloudRef) break;
+      await uploadBytes(cloudRef, record.blob, { contentType: record.type });
+      await withStore('readwrite', store =>
+        store.put({ ...record, uploaded: true })
+      );
+      uploaded++;
+    }
+    return uploaded;
+  },
+
+  /**
+   * Collect stored files for an export bundle
+   * @param {Array<Object>} attachments - Attachment metadata to include
+   * @returns {Promise<Array<{attachment: Object, blob: Blob}>>} Files found locally
+   */
+  async collectFiles(attachments) {
+    if (!this.isSupported()) return [];
+    const files = [];
+    for (const attachment of attachments) {
+      const record = await this._getRecord(attachment.id);
+      if (record?.blob) files.push({ attachment, blob: record.blob });
+    }
+    return files;
+  },
+
+  async _getRecord(id) {
+    if (!this.isSupported()) return null;
+    return (await withStore('readonly', store => store.get(id))) || null;
+  },
+};
@@ -1,19 +1,9 @@
-import { auth, firebaseStatus, getDb } from './firebase-config.js';
-import {
-  signInWithEmailAndPassword,
-  createUserWithEmailAndPassword,
-  onAuthStateChanged,
-  signOut,
-  GoogleAuthProvider,
-  signInWithPopup,
-  sendPasswordResetEmail,
-} from 'firebase/auth';
-import { doc, setDoc, serverTimestamp } from 'firebase/firestore';
-
-// Helper function to check if Firebase is available
-const checkFirebaseAvailability = () => {
-  if (!firebaseStatus.isInitialized || !firebaseStatus.canUseAuth) {
-    const error = 'Firebase is not available. Running in local-only mode.';
+import { getSyncProvider } from './sync-provider.js';
+
+// Helper function to check if the sync backend is available
+const checkSyncAvailability = () => {
+  if (!getSyncProvider().isAvailable()) {
+    const error = 'Cloud sync is not available. Running in local-only mode.';
     console.warn(error);
     return { available: false, error };
   }
@@ -60,9 +50,9 @@ export const AuthService = {
   initialized: false,
 
   async init(onAuthStateChange) {
-    // Check Firebase availability first
-    const firebaseCheck = checkFirebaseAvailability();
-    if (!firebaseCheck.available) {
+    // Check sync availability first
+    const syncCheck = checkSyncAvailability();
+    if (!syncCheck.available) {
       console.warn('AuthService initialized in local-only mode');
       this.initialized = true;
       if (onAuthStateChange) await onAuthStateChange(null);
@@ -70,7 +60,7 @@ export const AuthService = {
     }
 
     return new Promise(resolve => {
-      onAuthStateChanged(auth, async user => {
+      getSyncProvider().auth.onAuthStateChanged(async user => {
         // Make user object read-only to prevent manipulation
         this.user = user ? Object.freeze({ ...user }) : null;
 
@@ -84,25 +74,23 @@ export const AuthService = {
   async _updateUserProfile(user) {
     if (!user) return;
 
-    // Check Firebase availability
-    const firebaseCheck = checkFirebaseAvailability();
-    if (!firebaseCheck.available) return;
+    // Check sync availability
+    const syncCheck = checkSyncAvailability();
+    if (!syncCheck.available) return;
 
     try {
-      const userRef = doc(getDb(), 'users', user.uid);
-      await setDoc(
-        userRef,
+      await getSyncProvider().setDocument(
+        `users/${user.uid}`,
         {
           email: user.email,
           displayName: user.displayName,
           photoURL: user.photoURL,
-          lastLogin: serverTimestamp(),
           metadata: {
             creationTime: user.metadata?.creationTime,
             lastSignInTime: user.metadata?.lastSignInTime,
           },
         },
-        { merge: true }
+        { merge: true, serverTimeField: 'lastLogin' }
       );
     } catch (error) {
       console.warn(
@@ -114,12 +102,12 @@ export const AuthService = {
   },
 
   async login(email, password) {
-    // Check Firebase availability first
-    const firebaseCheck = checkFirebaseAvailability();
-    if (!firebaseCheck.available) {
+    // Check sync availability first
+    const syncCheck = checkSyncAvailability();
+    if (!syncCheck.available) {
       return {
         user: null,
-        error: firebaseCheck.error,
+        error: syncCheck.error,
         localMode: true,
       };
     }
@@ -134,13 +122,9 @@ export const AuthService = {
         };
       }
 
-      const userCredential = await signInWithEmailAndPassword(
-        auth,
-        email,
-        password
-      );
+      const user = await getSyncProvider().auth.signIn(email, password);
       // Make user object read-only to prevent manipulation
-      this.user = Object.freeze({ ...userCredential.user });
+      this.user = Object.freeze({ ...user });
       localStorage.setItem('auth_hint', 'true');
 
       // Clear rate limit on successful login
@@ -188,24 +172,20 @@ export const AuthService = {
   },
 
   async signup(email, password) {
-    // Check Firebase availability first
-    const firebaseCheck = checkFirebaseAvailability();
-    if (!firebaseCheck.available) {
+    // Check sync availability first
+    const syncCheck = checkSyncAvailability();
+    if (!syncCheck.available) {
       return {
         user: null,
-        error: firebaseCheck.error,
+        error: syncCheck.error,
         localMode: true,
       };
     }
 
     try {
-      const userCredential = await createUserWithEmailAndPassword(
-        auth,
-        email,
-        password
-      );
+      const user = await getSyncProvider().auth.signUp(email, password);
       // Make user object read-only to prevent manipulation
-      this.user = Object.freeze({ ...userCredential.user });
+      this.user = Object.freeze({ ...user });
       localStorage.setItem('auth_hint', 'true');
 
       // Update profile in background
@@ -250,37 +230,20 @@ export const AuthService = {
   },
 
   async loginWithGoogle() {
-    // Check Firebase availability first
-    const firebaseCheck = checkFirebaseAvailability();
-    if (!firebaseCheck.available) {
+    // Check sync availability first
+    const syncCheck = checkSyncAvailability();
+    if (!syncCheck.available) {
       return {
         user: null,
-        error: firebaseCheck.error,
+        error: syncCheck.error,
         localMode: true,
       };
     }
 
-    // Additional safety check for auth instance
-    if (!auth) {
-      const error =
-        'Firebase Auth instance is not available. Please refresh the page.';
-      console.error('[AuthService] Auth instance is null:', error);
-      localStorage.setItem(
-        'last_auth_error',
-        JSON.stringify({
-          code: 'auth/not-initialized',
-          message: error,
-          timestamp: new Date().toISOString(),
-        })
-      );
-      return { user: null, error };
-    }
-
     try {
-      const provider = new GoogleAuthProvider();
-      const userCredential = await signInWithPopup(auth, provider);
+      const user = await getSyncProvider().auth.signInWithGoogle();
       // Make user object read-only to prevent manipulation
-      this.user = Object.freeze({ ...userCredential.user });
+      this.user = Object.freeze({ ...user });
       localStorage.setItem('auth_hint', 'true');
 
       // Update profile in background
@@ -320,9 +283,9 @@ export const AuthService = {
   },
 
   async logout() {
-    // Check Firebase availability first
-    const firebaseCheck = checkFirebaseAvailability();
-    if (!firebaseCheck.available) {
+    // Check sync availability first
+    const syncCheck = checkSyncAvailability();
+    if (!syncCheck.available) {
       console.warn('Logout called in local-only mode');
       this.user = null;
       localStorage.removeItem('auth_hint');
@@ -330,7 +293,7 @@ export const AuthService = {
     }
 
     try {
-      await signOut(auth);
+      await getSyncProvider().auth.signOut();
       this.user = null;
       localStorage.removeItem('auth_hint');
     } catch (error) {
@@ -338,6 +301,13 @@ export const AuthService = {
     }
   },
 
+  /**
+   * @returns {boolean} Whether the sync backend offers Google sign-in
+   */
+  supportsGoogleSignIn() {
+    return getSyncProvider().auth.supportsGoogle;
+  },
+
   isAuthenticated() {
     return !!this.user;
   },
@@ -355,17 +325,17 @@ export const AuthService = {
   },
 
   async resetPassword(email) {
-    // Check Firebase availability first
-    const firebaseCheck = checkFirebaseAvailability();
-    if (!firebaseCheck.available) {
+    // Check sync availability first
+    const syncCheck = checkSyncAvailability();
+    if (!syncCheck.available) {
       return {
-        error: firebaseCheck.error,
+        error: syncCheck.error,
         localMode: true,
       };
     }
 
     try {
-      await sendPasswordResetEmail(auth, email);
+      await getSyncProvider().auth.sendPasswordReset(email);
 
       return { error: null };
     } catch (error) {
@@ -388,6 +358,9 @@ export const AuthService = {
           'If an account exists with this email, a password reset link has been sent.';
       } else if (error.code === 'auth/too-many-requests') {
         message = 'Too many requests. Please try again later.';
+      } else if (error.code === 'auth/operation-not-allowed') {
+        message =
+          'Password reset by email is not available. Please contact your administrator.';
       } else {
         // Log unexpected errors for security monitoring
         console.warn(
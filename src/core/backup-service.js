@@ -1,9 +1,18 @@
 /**
  * BackupService
- * Handles automatic daily backups and restore operations
+ * Handles automatic daily backups and restore operations.
+ *
+ * Each day's backup is its own `users/{uid}/backups/snapshot_<date>`
+ * document; older snapshots are thinned out by the retention scheme in
+ * utils/backup-utils.js. The pre-retention single `daily_backup` document
+ * is read as one more snapshot until retention drops it.
+ *
+ * Backups are versioned (see BACKUP_SCHEMA_VERSION); older documents are
+ * migrated on read so restore and verification only see the current shape.
+ * With sync encryption on, snapshots are sealed like synced data and only
+ * their dates stay readable for retention.
  */
 
-import { getDb } from './firebase-config.js';
 import { AuthService } from './auth-service.js';
 import { TransactionService } from './transaction-service.js';
 import { AccountService } from './Account/account-service.js';
@@ -14,7 +23,25 @@ import {
   showProgressIndicator,
   hideProgressIndicator,
 } from '../utils/progress-indicators.js';
-import { doc, getDoc, setDoc } from 'firebase/firestore';
+import {
+  BACKUP_SCHEMA_VERSION,
+  BACKUP_SECTIONS,
+  selectBackupsToKeep,
+  sortBackups,
+  diffRecords,
+  migrateBackup,
+  countSectionRecords,
+} from '../utils/backup-utils.js';
+import { SyncService } from './sync-service.js';
+import { DomainStore } from './domain-store.js';
+import { TombstoneService } from './tombstone-service.js';
+import { SyncEncryption } from './sync-encryption.js';
+import { getSyncProvider } from './sync-provider.js';
+
+const SNAPSHOT_PREFIX = 'snapshot_';
+
+// Sections restored through their services; the rest are written to storage
+const SERVICE_SECTIONS = ['transactions', 'accounts', 'goals', 'investments'];
 
 export const BackupService = {
   init() {
@@ -92,6 +119,8 @@ export const BackupService = {
     // Create backup of CURRENT state
     // Represents "yesterday's backup" even though created today
     const backupData = {
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      sections: BACKUP_SECTIONS.map(section => section.name),
       backupDate: this.getTodayISO(), // When backup was created (today)
       dataAsOf: this.getYesterdayISO(), // What this backup represents (yesterday's state)
       transactions: TransactionService.getAll(),
@@ -104,27 +133,98 @@ export const BackupService = {
         : [],
     };
 
-    const backupRef = doc(getDb(), 'users', userId, 'backups', 'daily_backup');
-    await setDoc(backupRef, backupData);
+    // Remaining domains are copied straight from storage
+    BACKUP_SECTIONS.filter(section => !(section.name in backupData)).forEach(
+      section => {
+        backupData[section.name] = this._readSection(section);
+      }
+    );
+
+    const backupPath = this._backupPath(
+      userId,
+      `${SNAPSHOT_PREFIX}${backupData.backupDate}`
+    );
+    const stored = SyncEncryption.isEnabled()
+      ? {
+          backupDate: backupData.backupDate,
+          dataAsOf: backupData.dataAsOf,
+          ...(await SyncEncryption.seal(backupData)),
+        }
+      : backupData;
+    await getSyncProvider().setDocument(backupPath, stored);
+
+    // A failed cleanup only leaves extra snapshots behind
+    try {
+      await this.pruneBackups(userId);
+    } catch (error) {
+      console.warn('[Backup] Failed to prune old backups:', error);
+    }
+  },
+
+  /**
+   * Delete snapshots that fall outside the retention scheme
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of deleted snapshots
+   */
+  async pruneBackups(userId) {
+    const snapshots = await this._fetchSnapshots(userId);
+    const keep = selectBackupsToKeep(snapshots);
+    const expired = snapshots.filter(snapshot => !keep.has(snapshot.id));
+
+    for (const snapshot of expired) {
+      await getSyncProvider().deleteDocument(
+        this._backupPath(userId, snapshot.id)
+      );
+    }
+    if (expired.length > 0) {
+      console.log(`[Backup] Pruned ${expired.length} old backups`);
+    }
+    return expired.length;
+  },
+
+  /**
+   * List the stored snapshots, newest first, each verified with
+   * verifyBackupData() for its counts and health
+   * @returns {Promise<Array<{id: string, backupDate: string, dataAsOf: string, verification: Object, data: Object}>>}
+   */
+  async listBackups() {
+    const userId = AuthService.getUserId();
+    if (!userId) return [];
+
+    const snapshots = await this._fetchSnapshots(userId);
+    return Promise.all(
+      snapshots.map(async ({ id, ...data }) => ({
+        id,
+        backupDate: data.backupDate,
+        dataAsOf: data.dataAsOf || null,
+        verification: await this.verifyBackupData(data),
+        data,
+      }))
+    );
   },
 
-  async fetchBackup() {
+  /**
+   * Fetch a snapshot
+   * @param {string} [backupId] - Snapshot ID, defaults to the newest snapshot
+   * @returns {Promise<Object|null>} Backup data
+   */
+  async fetchBackup(backupId = null) {
     const userId = AuthService.getUserId();
     if (!userId) return null;
 
     try {
-      const backupRef = doc(
-        getDb(),
-        'users',
-        userId,
-        'backups',
-        'daily_backup'
-      );
-      const backupSnap = await getDoc(backupRef);
-
-      if (backupSnap.exists()) {
-        return backupSnap.data();
+      if (!backupId) {
+        const [latest] = await this._fetchSnapshots(userId);
+        if (!latest) return null;
+        const data = { ...latest };
+        delete data.id;
+        return data;
       }
+
+      const data = await getSyncProvider().getDocument(
+        this._backupPath(userId, backupId)
+      );
+      if (data) return this._openSnapshot(data);
     } catch (error) {
       console.error('[Backup] Failed to fetch backup:', error);
       throw error;
@@ -132,7 +232,53 @@ export const BackupService = {
     return null;
   },
 
-  async restoreBackup() {
+  /**
+   * Preview what restoring a snapshot would change on this device
+   * @param {Object} backup - Backup data
+   * @returns {Object} Per data type { added, removed, changed, unchanged }
+   *   where added records would be lost and removed ones brought back
+   */
+  diffBackup(backup) {
+    const storedDiffs = {};
+    // Other list sections are compared with storage when the backup has them
+    BACKUP_SECTIONS.filter(
+      section =>
+        section.type === 'array' &&
+        !SERVICE_SECTIONS.includes(section.name) &&
+        backup?.sections?.includes(section.name)
+    ).forEach(section => {
+      storedDiffs[section.name] = diffRecords(
+        this._readSection(section),
+        backup[section.name]
+      );
+    });
+
+    return {
+      transactions: diffRecords(
+        TransactionService.getAll(),
+        backup?.transactions
+      ),
+      accounts: diffRecords(AccountService.getAccounts(), backup?.accounts),
+      goals: diffRecords(
+        goalPlanner?.getAllGoals ? goalPlanner.getAllGoals() : [],
+        backup?.goals
+      ),
+      investments: diffRecords(
+        investmentTracker?.getAllInvestments
+          ? investmentTracker.getAllInvestments()
+          : [],
+        backup?.investments
+      ),
+      ...storedDiffs,
+    };
+  },
+
+  /**
+   * Replace current data with a snapshot
+   * @param {string} [backupId] - Snapshot ID, defaults to the newest snapshot
+   * @returns {Promise<Object>} Restored record counts
+   */
+  async restoreBackup(backupId = null) {
     if (!navigator.onLine) {
       throw new Error('Restore requires internet connection');
     }
@@ -154,13 +300,14 @@ export const BackupService = {
     );
 
     try {
-      const backup = await this.fetchBackup();
+      const backup = await this.fetchBackup(backupId);
       if (!backup || !backup.transactions) {
         throw new Error('No backup data available');
       }
 
       // Hard Restore Strategy (Replace)
       // User wants state to be exactly like backup.
+      this._restoreTombstones(backup);
 
       // 1. Clear current transactions
       TransactionService.clear();
@@ -194,6 +341,16 @@ export const BackupService = {
         );
       }
 
+      // 6. Restore settings, budgets, categories and the other stored
+      // domains. Sections an older backup never captured are left alone.
+      BACKUP_SECTIONS.filter(
+        section =>
+          !SERVICE_SECTIONS.includes(section.name) &&
+          backup.sections.includes(section.name)
+      ).forEach(section => {
+        this._restoreSection(section, backup[section.name]);
+      });
+
       // Create restore summary
       const restoreSummary = {
         accounts: backup.accounts?.length || 0,
@@ -201,6 +358,11 @@ export const BackupService = {
         investments: backup.investments?.length || 0,
         transactions: backup.transactions?.length || 0,
       };
+      backup.sections
+        .filter(name => !SERVICE_SECTIONS.includes(name))
+        .forEach(name => {
+          restoreSummary[name] = countSectionRecords(backup[name]);
+        });
 
       window.dispatchEvent(
         new CustomEvent('backup-operation', {
@@ -244,12 +406,102 @@ export const BackupService = {
     return yesterday.toISOString().split('T')[0];
   },
 
+  _readSection(section) {
+    return DomainStore.read(section.storageKey) ?? null;
+  },
+
+  _restoreSection(section, value) {
+    let data = value ?? null;
+    // Keep this device's backup bookkeeping rather than the snapshot's
+    if (section.name === 'settings' && data) {
+      data = {
+        ...data,
+        lastBackupDate: SettingsService.getSetting('lastBackupDate'),
+        lastBackupDataAsOf: SettingsService.getSetting('lastBackupDataAsOf'),
+      };
+    }
+
+    if (data === null) {
+      DomainStore.remove(section.storageKey);
+    } else {
+      DomainStore.write(section.storageKey, data);
+      if (section.synced) {
+        SyncService.pushToCloud(section.storageKey, data);
+      }
+    }
+    window.dispatchEvent(
+      new CustomEvent('storage-updated', {
+        detail: { key: section.storageKey },
+      })
+    );
+    console.log(`[Backup] Restored ${section.name}`);
+  },
+
+  /**
+   * Make the restore stick on other devices: records in the backup lose
+   * their tombstones, records the restore drops get one
+   * @param {Object} backup - Migrated backup being restored
+   */
+  _restoreTombstones(backup) {
+    BACKUP_SECTIONS.filter(
+      section =>
+        section.type === 'array' &&
+        backup.sections.includes(section.name) &&
+        Array.isArray(backup[section.name])
+    ).forEach(section => {
+      const restoredIds = new Set(
+        backup[section.name].map(record => record?.id).filter(Boolean)
+      );
+      const current = this._readSection(section);
+      const droppedIds = (Array.isArray(current) ? current : [])
+        .map(record => record?.id)
+        .filter(id => id && !restoredIds.has(id));
+
+      TombstoneService.revive(section.storageKey, [...restoredIds]);
+      TombstoneService.record(section.storageKey, droppedIds);
+    });
+  },
+
+  _backupPath(userId, backupId) {
+    return `users/${userId}/backups/${backupId}`;
+  },
+
+  async _fetchSnapshots(userId) {
+    const backupDocs = await getSyncProvider().listDocuments(
+      `users/${userId}/backups`
+    );
+    const backups = await Promise.all(
+      backupDocs.map(async ({ id, data }) => ({
+        id,
+        ...(await this._openSnapshot(data)),
+      }))
+    );
+    return sortBackups(
+      backups.filter(backup => typeof backup.backupDate === 'string')
+    );
+  },
+
+  // Decrypted and migrated snapshot. One sealed with a key this device lacks
+  // keeps only its dates: retention still sees it, verification fails.
+  async _openSnapshot(data) {
+    const backup = await SyncEncryption.open(data);
+    return migrateBackup(
+      backup ?? {
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        sections: [],
+        backupDate: data.backupDate,
+        dataAsOf: data.dataAsOf,
+      }
+    );
+  },
+
   /**
    * Verify backup integrity and completeness
    * @param {string} userId - User ID to verify backup for
+   * @param {string} [backupId] - Snapshot to verify, defaults to the newest
    * @returns {Object} Verification results
    */
-  async verifyBackup(userId = null) {
+  async verifyBackup(userId = null, backupId = null) {
     const targetUserId = userId || AuthService.getUserId();
     if (!targetUserId) {
       throw new Error('User authentication required for backup verification');
@@ -266,7 +518,7 @@ export const BackupService = {
 
     try {
       // Check 1: Verify backup exists
-      const backupExists = await this.checkBackupExists(targetUserId);
+      const backupExists = await this.checkBackupExists(targetUserId, backupId);
       verificationResult.checks.backupExists = backupExists;
 
       if (!backupExists.exists) {
@@ -274,29 +526,10 @@ export const BackupService = {
         return verificationResult;
       }
 
-      // Check 2: Verify backup integrity
-      const integrityCheck = await this.verifyBackupIntegrity(
-        backupExists.data
-      );
-      verificationResult.checks.integrity = integrityCheck;
-
-      // Check 3: Verify data completeness
-      const completenessCheck = await this.verifyDataCompleteness(
-        backupExists.data
-      );
-      verificationResult.checks.completeness = completenessCheck;
-
-      // Check 4: Verify backup freshness
-      const freshnessCheck = await this.verifyBackupFreshness(
-        backupExists.data
-      );
-      verificationResult.checks.freshness = freshnessCheck;
-
-      // Check 5: Verify data consistency
-      const consistencyCheck = await this.verifyDataConsistency(
-        backupExists.data
-      );
-      verificationResult.checks.consistency = consistencyCheck;
+      // Checks 2-5 run on the snapshot's data
+      const dataVerification = await this.verifyBackupData(backupExists.data);
+      Object.assign(verificationResult.checks, dataVerification.checks);
+      verificationResult.success = dataVerification.valid;
 
       return verificationResult;
     } catch (error) {
@@ -306,28 +539,46 @@ export const BackupService = {
     }
   },
 
+  /**
+   * Run the integrity, completeness, freshness and consistency checks on a
+   * snapshot's data
+   * @param {Object} backupData - Backup data
+   * @returns {Object} { valid, checks } where checks.completeness.summary has the counts
+   */
+  async verifyBackupData(backupData) {
+    const checks = {
+      integrity: await this.verifyBackupIntegrity(backupData),
+      completeness: await this.verifyDataCompleteness(backupData),
+      freshness: await this.verifyBackupFreshness(backupData),
+      consistency: await this.verifyDataConsistency(backupData),
+    };
+    return {
+      valid: checks.integrity.valid && checks.completeness.valid,
+      checks,
+    };
+  },
+
   /**
    * Check if backup exists for user
    * @param {string} userId - User ID
+   * @param {string} [backupId] - Snapshot ID, defaults to the newest snapshot
    * @returns {Object} Backup existence check result
    */
-  async checkBackupExists(userId) {
+  async checkBackupExists(userId, backupId = null) {
     try {
-      const backupRef = doc(
-        getDb(),
-        'users',
-        userId,
-        'backups',
-        'daily_backup'
+      if (!backupId) {
+        const [latest] = await this._fetchSnapshots(userId);
+        if (!latest) return { exists: false, data: null, lastModified: null };
+        backupId = latest.id;
+      }
+      const stored = await getSyncProvider().getDocument(
+        this._backupPath(userId, backupId)
       );
-      const backupSnap = await getDoc(backupRef);
 
       return {
-        exists: backupSnap.exists(),
-        data: backupSnap.exists() ? backupSnap.data() : null,
-        lastModified: backupSnap.exists()
-          ? backupSnap.metadata.hasPendingWrites
-          : null,
+        exists: Boolean(stored),
+        data: stored ? await this._openSnapshot(stored) : null,
+        lastModified: stored ? stored.dataAsOf || stored.backupDate : null,
       };
     } catch (error) {
       return {
@@ -455,6 +706,44 @@ export const BackupService = {
         : 0;
     }
 
+    // Every section the backup's schema version captures
+    result.summary.schemaVersion =
+      backupData.migratedFrom || backupData.schemaVersion || 1;
+    result.summary.sectionCounts = {};
+    const sections = Array.isArray(backupData.sections)
+      ? backupData.sections
+      : [];
+    BACKUP_SECTIONS.forEach(section => {
+      if (!sections.includes(section.name)) {
+        result.issues.push(
+          section.since > result.summary.schemaVersion
+            ? `No ${section.name} in backup (older backup format)`
+            : `No ${section.name} in backup`
+        );
+        return;
+      }
+
+      const value = backupData[section.name];
+      const hasValidType =
+        value === null ||
+        (section.type === 'array'
+          ? Array.isArray(value)
+          : typeof value === 'object' && !Array.isArray(value));
+      if (!hasValidType) {
+        result.valid = false;
+        result.issues.push(`${section.name} must be an ${section.type}`);
+      }
+      result.summary.sectionCounts[section.name] = countSectionRecords(value);
+    });
+
+    if (Array.isArray(backupData.goals)) {
+      result.summary.goalCount = backupData.goals.length;
+    }
+
+    if (Array.isArray(backupData.investments)) {
+      result.summary.investmentCount = backupData.investments.length;
+    }
+
     // Check settings data if present
     if (backupData.settings) {
       result.summary.settingsCount =
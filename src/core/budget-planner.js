@@ -6,40 +6,322 @@
 
 import { MetricsService } from './analytics/MetricsService.js';
 import { BudgetService } from './budget-service.js';
-import { getCurrentMonthPeriod } from '../utils/reports-utils.js';
+import { CurrencyService } from './currency-service.js';
+import {
+  getBudgetWindow,
+  getBudgetWindows,
+  getBudgetPeriodType,
+  getBudgetPeriodMonths,
+} from '../utils/budget-periods.js';
+import { BUDGET_PERIODS, BUDGET_SCOPES } from '../utils/constants.js';
+import {
+  getBudgetScope,
+  getScopeKey,
+  getBudgetLabel,
+  matchesBudgetScope,
+} from '../utils/budget-scopes.js';
+import { toDateKey } from '../utils/recurrence-utils.js';
+import { buildCsv } from '../utils/csv-export.js';
+import { formatMoneyForExport } from '../utils/money-format.js';
+
+const DEFAULT_REPORT_MONTHS = 12;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Spending lookup per budget scope and window. Budgets sharing a period
+ * share the same window, so category breakdowns are computed once per
+ * window (and per transaction subset for tag and account scopes).
+ * @param {Array} transactions - All transactions
+ * @returns {Function} (budget, window) => spending in the base currency
+ */
+const createSpendingLookup = transactions => {
+  const breakdowns = new Map();
+  const subsets = new Map();
+
+  const getBreakdown = (subsetKey, subset, periodWindow) => {
+    const key = `${subsetKey}@${periodWindow.startDate.getTime()}-${periodWindow.endDate.getTime()}`;
+    if (!breakdowns.has(key)) {
+      breakdowns.set(
+        key,
+        MetricsService.calculateCategoryBreakdown(subset, periodWindow)
+      );
+    }
+    return breakdowns.get(key);
+  };
+
+  return (budget, periodWindow) => {
+    const scope = getBudgetScope(budget);
+    const isCategoryScope =
+      scope.type === BUDGET_SCOPES.CATEGORY ||
+      scope.type === BUDGET_SCOPES.CATEGORIES;
+
+    if (isCategoryScope) {
+      return getBreakdown('all', transactions, periodWindow)
+        .categories.filter(c => scope.categories.includes(c.name))
+        .reduce((sum, c) => sum + c.amount, 0);
+    }
+
+    // Tag and account budgets count every category in their subset
+    const scopeKey = getScopeKey(scope);
+    if (!subsets.has(scopeKey)) {
+      subsets.set(
+        scopeKey,
+        transactions.filter(t => matchesBudgetScope(scope, t))
+      );
+    }
+    return getBreakdown(
+      scopeKey,
+      subsets.get(scopeKey),
+      periodWindow
+    ).categories.reduce((sum, c) => sum + c.amount, 0);
+  };
+};
+
+// Limit of the version in effect at the end of a window, in the base
+// currency. Without a rate it stays at face value, as spending does.
+const getWindowLimit = (budget, periodWindow) => {
+  const version = BudgetService.getLimitAt(budget, periodWindow.endDate);
+  return (
+    CurrencyService.toBase(version.amountLimit, version.currency) ??
+    version.amountLimit
+  );
+};
+
+const startOfDayTime = date => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+};
+
+const countDays = (start, end) =>
+  Math.round((startOfDayTime(end) - startOfDayTime(start)) / MS_PER_DAY) + 1;
+
+/**
+ * Convert a budget limit to its share of one calendar month: recurring
+ * periods are scaled by length, one-off ranges by the days they overlap.
+ * @returns {number|null} Null when a one-off range misses the month
+ */
+const toMonthlyLimit = (budget, limit, month) => {
+  if (getBudgetPeriodType(budget) !== BUDGET_PERIODS.CUSTOM) {
+    return limit / getBudgetPeriodMonths(budget);
+  }
+  const range = getBudgetWindow(budget);
+  const start = Math.max(range.startDate.getTime(), month.startDate.getTime());
+  const end = Math.min(range.endDate.getTime(), month.endDate.getTime());
+  if (start > end) return null;
+  return (
+    (limit * countDays(new Date(start), new Date(end))) /
+    countDays(range.startDate, range.endDate)
+  );
+};
 
 export class BudgetPlanner {
   /**
-   * Get utilization for all budgets
-   * @param {Array} transactions - List of transactions
-   * @param {Object} timePeriod - Time period object (optional, defaults to current month)
-   * @returns {Array} List of budget status objects
+   * Get utilization for all budgets. Each budget is measured against its own
+   * period window (week, month, quarter, ...) containing the reference day.
+   * @param {Array} transactions - List of transactions (all, not pre-filtered)
+   * @param {Object} timePeriod - Time period object (optional); its end date,
+   *   capped at today, picks the windows. Defaults to today.
+   * @returns {Array} List of budget status objects. Rollover budgets also get
+   *   `carriedIn` (balance brought from earlier periods), `available`
+   *   (limit + carriedIn) and `history` (one entry per period, oldest first)
    */
   static getBudgetsStatus(transactions, timePeriod = null) {
     const budgets = BudgetService.getAll();
-    const currentPeriod = timePeriod || getCurrentMonthPeriod();
-    const categoryBreakdown = MetricsService.calculateCategoryBreakdown(
-      transactions,
-      currentPeriod
-    );
+    const now = new Date();
+    const referenceDate =
+      timePeriod?.endDate && new Date(timePeriod.endDate) < now
+        ? new Date(timePeriod.endDate)
+        : now;
+
+    const getSpent = createSpendingLookup(transactions);
 
     return budgets.map(budget => {
-      const actual =
-        categoryBreakdown.categories.find(c => c.name === budget.categoryName)
-          ?.amount || 0;
-      const remaining = Math.max(0, budget.amountLimit - actual);
+      const periodWindow = getBudgetWindow(budget, referenceDate);
+      const actual = getSpent(budget, periodWindow);
+      // Actuals are in the base currency, so the limit must be too. Past
+      // periods use the limit version that applied at the time.
+      const amountLimit = getWindowLimit(budget, periodWindow);
+
+      const history = budget.rollover
+        ? this._getRolloverHistory(budget, referenceDate, w =>
+            getSpent(budget, w)
+          )
+        : [];
+      const carriedIn = history.length
+        ? history[history.length - 1].carriedIn
+        : 0;
+      const available = amountLimit + carriedIn;
+
+      const remaining = Math.max(0, available - actual);
+      // A negative envelope (carried overspending) counts as fully used
       const utilization =
-        budget.amountLimit > 0 ? (actual / budget.amountLimit) * 100 : 0;
+        available > 0 ? (actual / available) * 100 : available < 0 ? 100 : 0;
+      const isExceeded = actual > available;
 
       return {
         ...budget,
+        label: getBudgetLabel(budget),
+        scope: getBudgetScope(budget),
+        period: periodWindow.type,
+        periodStart: periodWindow.startDate,
+        periodEnd: periodWindow.endDate,
+        periodLabel: periodWindow.label,
+        isEnded: periodWindow.endDate < now,
+        amountLimit,
+        carriedIn,
+        available,
+        history,
         actual,
         remaining,
         utilization,
-        isExceeded: actual > budget.amountLimit,
-        isWarning: utilization >= 80 && utilization <= 100,
+        isExceeded,
+        isWarning: !isExceeded && utilization >= 80 && utilization <= 100,
+      };
+    });
+  }
+
+  /**
+   * Walk a rollover budget's periods from its rollover start up to the
+   * reference day, carrying each period's balance into the next
+   * @param {Object} budget - Budget record with rollover enabled
+   * @param {Date} referenceDate - Day inside the latest period
+   * @param {Function} getSpent - (window) => spending in that window
+   * @returns {Array} [{ label, startDate, endDate, limit, carriedIn,
+   *   available, spent, balance }]
+   */
+  static _getRolloverHistory(budget, referenceDate, getSpent) {
+    const windows = getBudgetWindows(
+      budget,
+      budget.rolloverStartDate || budget.createdAt || referenceDate,
+      referenceDate
+    );
+    const cap =
+      budget.rolloverCap === null || budget.rolloverCap === undefined
+        ? null
+        : (CurrencyService.toBase(budget.rolloverCap, budget.currency) ??
+          budget.rolloverCap);
+
+    let carry = 0;
+    return windows.map(periodWindow => {
+      const amountLimit = getWindowLimit(budget, periodWindow);
+      const carriedIn = carry;
+      const available = amountLimit + carriedIn;
+      const spent = getSpent(periodWindow);
+      const balance = available - spent;
+      // Only savings are capped; overspending always carries in full
+      carry = cap !== null && balance > cap ? cap : balance;
+
+      return {
+        label: periodWindow.label,
+        startDate: periodWindow.startDate,
+        endDate: periodWindow.endDate,
+        limit: amountLimit,
+        carriedIn,
+        available,
+        spent,
+        balance,
+      };
+    });
+  }
+
+  /**
+   * Budget adherence per category and calendar month: the limit that applied
+   * in each month (from the budget's limit versions) against actual
+   * spending. Limits of other periods are converted to a monthly share.
+   * @param {Array} transactions - All transactions
+   * @param {Object} [options] - { months (default 12), referenceDate (default today) }
+   * @returns {{ months: Array, rows: Array, categories: Array }} rows hold
+   *   { budgetId, categoryName (the budget's display name), month, label,
+   *   limit, actual, variance, utilization, isExceeded }; categories hold
+   *   per-budget totals
+   */
+  static getAdherenceReport(transactions, options = {}) {
+    const monthCount = options.months || DEFAULT_REPORT_MONTHS;
+    const reference = options.referenceDate
+      ? new Date(options.referenceDate)
+      : new Date();
+    const getSpent = createSpendingLookup(transactions);
+
+    const months = [];
+    for (let offset = monthCount - 1; offset >= 0; offset--) {
+      const start = new Date(
+        reference.getFullYear(),
+        reference.getMonth() - offset,
+        1
+      );
+      const monthWindow = getBudgetWindow(
+        { period: BUDGET_PERIODS.MONTHLY },
+        start
+      );
+      months.push({
+        ...monthWindow,
+        key: toDateKey(start).slice(0, 7),
+        isCurrent: offset === 0,
+      });
+    }
+
+    const rows = [];
+    const categories = BudgetService.getAll().map(budget => {
+      const budgetRows = [];
+      months.forEach(month => {
+        if (!BudgetService.isActiveOn(budget, month.endDate)) return;
+        const limit = toMonthlyLimit(
+          budget,
+          getWindowLimit(budget, month),
+          month
+        );
+        if (limit === null) return;
+
+        const actual = getSpent(budget, month);
+        budgetRows.push({
+          budgetId: budget.id,
+          categoryName: getBudgetLabel(budget),
+          month: month.key,
+          label: month.label,
+          limit,
+          actual,
+          variance: limit - actual,
+          utilization: limit > 0 ? (actual / limit) * 100 : 0,
+          isExceeded: actual > limit,
+        });
+      });
+      rows.push(...budgetRows);
+
+      const totalLimit = budgetRows.reduce((sum, r) => sum + r.limit, 0);
+      const totalActual = budgetRows.reduce((sum, r) => sum + r.actual, 0);
+      return {
+        budgetId: budget.id,
+        categoryName: getBudgetLabel(budget),
+        period: getBudgetPeriodType(budget),
+        totalLimit,
+        totalActual,
+        variance: totalLimit - totalActual,
+        exceededMonths: budgetRows.filter(r => r.isExceeded).length,
+        monthsTracked: budgetRows.length,
       };
     });
+
+    return { months, rows, categories };
+  }
+
+  /**
+   * Serialize an adherence report to CSV (one line per category and month)
+   * @param {Object} report - Result of getAdherenceReport()
+   * @returns {string} CSV content
+   */
+  static adherenceReportToCsv(report) {
+    return buildCsv(
+      ['Category', 'Month', 'Limit', 'Actual', 'Variance', 'Utilization %'],
+      report.rows.map(row => [
+        row.categoryName,
+        row.month,
+        formatMoneyForExport(row.limit),
+        formatMoneyForExport(row.actual),
+        formatMoneyForExport(row.variance),
+        row.utilization.toFixed(1),
+      ])
+    );
   }
 
   /**
@@ -56,11 +338,11 @@ export class BudgetPlanner {
     const warningCount = status.filter(b => b.isWarning).length;
 
     const totalOverspent = status.reduce((sum, b) => {
-      return b.isExceeded ? sum + (b.actual - b.amountLimit) : sum;
+      return b.isExceeded ? sum + (b.actual - b.available) : sum;
     }, 0);
 
     const totalAvailable = status.reduce((sum, b) => {
-      return !b.isExceeded ? sum + (b.amountLimit - b.actual) : sum;
+      return !b.isExceeded ? sum + (b.available - b.actual) : sum;
     }, 0);
 
     return {
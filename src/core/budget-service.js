@@ -4,21 +4,32 @@
  * Handles all budget-related operations and persistence.
  */
 
-import { STORAGE_KEYS } from '../utils/constants.js';
+import {
+  STORAGE_KEYS,
+  BUDGET_PERIODS,
+  BUDGET_SCOPES,
+} from '../utils/constants.js';
 import { AuthService } from './auth-service.js';
+import { TombstoneService } from './tombstone-service.js';
 import { generateId } from '../utils/id-utils.js';
-import { safeJsonParse } from '../utils/security-utils.js';
+import { DomainStore } from './domain-store.js';
+import { CurrencyService } from './currency-service.js';
+import { toDateKey } from '../utils/recurrence-utils.js';
+import { getBudgetPeriodMonths } from '../utils/budget-periods.js';
+import { getBudgetLabel, isCategoryBudget } from '../utils/budget-scopes.js';
 
 const BUDGETS_KEY = STORAGE_KEYS.BUDGETS;
 
+// Round to the nearest 5 for cleaner numbers, with a minimum of 5
+const roundSuggestion = amount => Math.max(5, Math.round(amount / 5) * 5);
+
 export const BudgetService = {
   /**
    * Get all budgets
    * @returns {Array} List of budgets
    */
   getAll() {
-    const data = localStorage.getItem(BUDGETS_KEY);
-    const budgets = data ? safeJsonParse(data) : [];
+    const budgets = DomainStore.read(BUDGETS_KEY) || [];
 
     // IDOR Protection: Filter by current userId
     const currentUserId = AuthService.getUserId();
@@ -28,15 +39,40 @@ export const BudgetService = {
   },
 
   /**
-   * Add or update a budget
-   * @param {Object} budgetData - Budget data
+   * Add or update a budget. Category budgets are matched by categoryName;
+   * scoped budgets (several categories, a tag or an account) by id. A
+   * changed amountLimit is recorded as a new limit version so earlier
+   * periods keep the limit they had.
+   * @param {Object} budgetData - Budget data; `effectiveFrom` (date key,
+   *   default today) sets when a new limit starts to apply
    * @returns {Object} Added/updated budget
    */
-  save(budgetData) {
+  save({ effectiveFrom, ...budgetData }) {
+    if (budgetData.scope !== undefined) {
+      budgetData = this._normalizeScope(budgetData);
+    }
+    if (budgetData.period !== undefined) {
+      budgetData = this._normalizePeriod(budgetData);
+    }
+
+    // Limits are entered in the base currency at the time of saving
+    if (budgetData.amountLimit !== undefined && !budgetData.currency) {
+      budgetData = {
+        ...budgetData,
+        currency: CurrencyService.getBaseCurrency(),
+      };
+    }
+
     const budgets = this.getAll();
-    const index = budgets.findIndex(
-      b => b.categoryName === budgetData.categoryName
-    );
+    const index = budgetData.id
+      ? budgets.findIndex(b => b.id === budgetData.id)
+      : budgetData.categoryName
+        ? budgets.findIndex(
+            b =>
+              isCategoryBudget(b) && b.categoryName === budgetData.categoryName
+          )
+        : -1;
+    const previous = index !== -1 ? budgets[index] : null;
 
     let budget;
     if (index !== -1) {
@@ -60,6 +96,18 @@ export const BudgetService = {
       budgets.push(budget);
     }
 
+    if (budgetData.amountLimit !== undefined) {
+      budget = this._versionLimit(
+        budget,
+        previous,
+        toDateKey(effectiveFrom) || toDateKey(new Date())
+      );
+    }
+    if (budgetData.rollover !== undefined) {
+      budget = this._normalizeRollover(budget);
+    }
+    budgets[index !== -1 ? index : budgets.length - 1] = budget;
+
     this._persist(budgets);
     return budget;
   },
@@ -71,6 +119,7 @@ export const BudgetService = {
   delete(id) {
     let budgets = this.getAll();
     budgets = budgets.filter(b => b.id !== id);
+    TombstoneService.record(BUDGETS_KEY, id);
     this._persist(budgets);
   },
 
@@ -81,14 +130,19 @@ export const BudgetService = {
    */
   getByCategory(categoryName) {
     const budgets = this.getAll();
-    return budgets.find(b => b.categoryName === categoryName) || null;
+    return (
+      budgets.find(
+        b => isCategoryBudget(b) && b.categoryName === categoryName
+      ) || null
+    );
   },
 
   /**
    * Suggest budget amounts based on historical spending
    * @param {Array} transactions - Array of transactions
    * @param {number} daysBack - Number of days to analyze (default 90)
-   * @returns {Promise<Array>} Array of suggested budgets with category, amount, and source count
+   * @returns {Promise<Array>} Array of suggested budgets with category, monthly
+   *   amount, per-period amounts (periodAmounts) and source count
    */
   async suggestBudgets(transactions, daysBack = 90) {
     const cutoffDate = new Date();
@@ -113,14 +167,11 @@ export const BudgetService = {
       .map(([category, total]) => {
         const monthsAnalyzed = Math.max(1, daysBack / 30);
         const monthlyAverage = total / monthsAnalyzed;
-        // Round to nearest 5 for cleaner numbers
-        const suggestedAmount = Math.round(monthlyAverage / 5) * 5;
-        // Ensure minimum of 5 for any category with spending
-        const finalAmount = Math.max(5, suggestedAmount);
 
         return {
           category,
-          suggestedAmount: finalAmount,
+          suggestedAmount: roundSuggestion(monthlyAverage),
+          periodAmounts: this.scaleSuggestion(monthlyAverage),
           basedOnTransactions: recentTransactions.filter(
             t => (t.category || 'Uncategorized') === category
           ).length,
@@ -133,10 +184,248 @@ export const BudgetService = {
     return suggestions;
   },
 
+  /**
+   * Scale a monthly spending average to a suggested limit for each
+   * recurring budget period (custom ranges are scaled via scaleToPeriod)
+   * @param {number} monthlyAverage - Average monthly spending
+   * @returns {Object} Map of period -> rounded amount
+   */
+  scaleSuggestion(monthlyAverage) {
+    return Object.fromEntries(
+      Object.values(BUDGET_PERIODS)
+        .filter(period => period !== BUDGET_PERIODS.CUSTOM)
+        .map(period => [period, this.scaleToPeriod(monthlyAverage, { period })])
+    );
+  },
+
+  /**
+   * Scale a monthly amount to a single budget period
+   * @param {number} monthlyAmount - Amount per month
+   * @param {Object} periodConfig - { period, startDate?, endDate? }
+   * @returns {number} Rounded amount for that period
+   */
+  scaleToPeriod(monthlyAmount, periodConfig) {
+    return roundSuggestion(monthlyAmount * getBudgetPeriodMonths(periodConfig));
+  },
+
+  /**
+   * Validate the scope before saving. Single-category scopes are stored the
+   * classic way (categoryName, no scope); other scopes get a display name.
+   * @param {Object} budgetData - Budget data with a scope
+   * @returns {Object} Budget data with a normalized scope
+   */
+  _normalizeScope(budgetData) {
+    const scope = budgetData.scope || { type: BUDGET_SCOPES.CATEGORY };
+    const name =
+      typeof budgetData.name === 'string' ? budgetData.name.trim() : '';
+    let normalized;
+
+    switch (scope.type) {
+      case BUDGET_SCOPES.CATEGORY: {
+        const categoryName = budgetData.categoryName || scope.categories?.[0];
+        if (!categoryName) {
+          throw new Error('[BudgetService] Pick a category');
+        }
+        return { ...budgetData, categoryName, scope: null, name: null };
+      }
+      case BUDGET_SCOPES.CATEGORIES: {
+        const categories = [
+          ...new Set(
+            (scope.categories || []).map(c => String(c).trim()).filter(Boolean)
+          ),
+        ];
+        if (categories.length < 2) {
+          throw new Error('[BudgetService] Pick at least two categories');
+        }
+        normalized = { type: scope.type, categories };
+        break;
+      }
+      case BUDGET_SCOPES.TAG: {
+        const tag = String(scope.tag || '').trim();
+        if (!tag) throw new Error('[BudgetService] Pick a tag');
+        normalized = { type: scope.type, tag };
+        break;
+      }
+      case BUDGET_SCOPES.ACCOUNT:
+        if (!scope.accountId) {
+          throw new Error('[BudgetService] Pick an account');
+        }
+        normalized = { type: scope.type, accountId: scope.accountId };
+        break;
+      default:
+        throw new Error(`[BudgetService] Unknown budget scope: ${scope.type}`);
+    }
+
+    return {
+      ...budgetData,
+      categoryName: null,
+      scope: normalized,
+      name: name || getBudgetLabel({ scope: normalized }),
+    };
+  },
+
+  /**
+   * Validate period fields before saving. Custom budgets need a date range;
+   * bi-weekly budgets are anchored on a start date (default: today).
+   * @param {Object} budgetData - Budget data with a period
+   * @returns {Object} Budget data with normalized period fields
+   */
+  _normalizePeriod(budgetData) {
+    const { period } = budgetData;
+    if (!Object.values(BUDGET_PERIODS).includes(period)) {
+      throw new Error(`[BudgetService] Unknown budget period: ${period}`);
+    }
+
+    if (period === BUDGET_PERIODS.CUSTOM) {
+      const startDate = toDateKey(budgetData.startDate);
+      const endDate = toDateKey(budgetData.endDate);
+      if (!startDate || !endDate) {
+        throw new Error('[BudgetService] A date range needs a start and end');
+      }
+      if (startDate > endDate) {
+        throw new Error('[BudgetService] The end date is before the start');
+      }
+      return { ...budgetData, startDate, endDate };
+    }
+
+    if (period === BUDGET_PERIODS.BIWEEKLY) {
+      return {
+        ...budgetData,
+        startDate: toDateKey(budgetData.startDate) || toDateKey(new Date()),
+        endDate: null,
+      };
+    }
+
+    return { ...budgetData, startDate: null, endDate: null };
+  },
+
+  /**
+   * Get the limit versions of a budget, oldest first. Budgets saved before
+   * versioning get a single version starting on their creation day.
+   * @param {Object} budget - Budget record
+   * @returns {Array<{ effectiveFrom: string|null, amountLimit: number, currency: string }>}
+   */
+  getLimitVersions(budget) {
+    if (Array.isArray(budget?.limitHistory) && budget.limitHistory.length) {
+      return budget.limitHistory;
+    }
+    return [
+      {
+        effectiveFrom: toDateKey(budget?.createdAt),
+        amountLimit: budget?.amountLimit,
+        currency: budget?.currency,
+      },
+    ];
+  },
+
+  /**
+   * Get the limit in effect on a day. Days before the first version use the
+   * first version, so a budget always has a limit; use isActiveOn() to tell
+   * whether the budget existed yet.
+   * @param {Object} budget - Budget record
+   * @param {Date|string} date - Day to look up
+   * @returns {{ effectiveFrom: string|null, amountLimit: number, currency: string }}
+   */
+  getLimitAt(budget, date) {
+    const key = toDateKey(date);
+    const versions = this.getLimitVersions(budget);
+    let current = versions[0];
+    versions.forEach(version => {
+      if (!version.effectiveFrom || version.effectiveFrom <= key) {
+        current = version;
+      }
+    });
+    return current;
+  },
+
+  /**
+   * Whether a budget's first limit had taken effect by a given day
+   * @param {Object} budget - Budget record
+   * @param {Date|string} date - Day to check
+   * @returns {boolean}
+   */
+  isActiveOn(budget, date) {
+    const [first] = this.getLimitVersions(budget);
+    return !first.effectiveFrom || first.effectiveFrom <= toDateKey(date);
+  },
+
+  /**
+   * Record the saved limit as a version starting at effectiveFrom. A version
+   * on the same day is replaced; saving an unchanged limit adds nothing.
+   * The top-level amountLimit always mirrors the version in effect today.
+   * @param {Object} budget - Merged budget record
+   * @param {Object|null} previous - Stored record before this save
+   * @param {string} effectiveFrom - Date key the new limit applies from
+   * @returns {Object} Budget with limitHistory
+   */
+  _versionLimit(budget, previous, effectiveFrom) {
+    const versions = previous ? [...this.getLimitVersions(previous)] : [];
+    const inEffect = previous ? this.getLimitAt(previous, effectiveFrom) : null;
+    const amountLimit = Number(budget.amountLimit);
+
+    if (
+      !inEffect ||
+      inEffect.amountLimit !== amountLimit ||
+      inEffect.currency !== budget.currency
+    ) {
+      const next = versions.filter(v => v.effectiveFrom !== effectiveFrom);
+      next.push({ effectiveFrom, amountLimit, currency: budget.currency });
+      next.sort((a, b) =>
+        (a.effectiveFrom || '').localeCompare(b.effectiveFrom || '')
+      );
+      versions.splice(0, versions.length, ...next);
+    }
+
+    const today = this.getLimitAt({ limitHistory: versions }, new Date());
+    return {
+      ...budget,
+      limitHistory: versions,
+      amountLimit: today.amountLimit,
+      currency: today.currency,
+    };
+  },
+
+  /**
+   * Normalize rollover fields. Carry-over starts with the period containing
+   * the budget's creation day; rolloverCap limits how much unspent money
+   * can accumulate (null = uncapped). Overspending always carries in full.
+   * @param {Object} budget - Merged budget record
+   * @returns {Object} Budget with normalized rollover fields
+   */
+  _normalizeRollover(budget) {
+    if (!budget.rollover) {
+      return {
+        ...budget,
+        rollover: false,
+        rolloverCap: null,
+        rolloverStartDate: null,
+      };
+    }
+
+    const hasCap =
+      budget.rolloverCap !== null &&
+      budget.rolloverCap !== undefined &&
+      budget.rolloverCap !== '';
+    const cap = hasCap ? Number(budget.rolloverCap) : null;
+    if (hasCap && (!Number.isFinite(cap) || cap < 0)) {
+      throw new Error('[BudgetService] The carry-over cap must be 0 or more');
+    }
+
+    return {
+      ...budget,
+      rollover: true,
+      rolloverCap: cap,
+      rolloverStartDate:
+        toDateKey(budget.rolloverStartDate) ||
+        toDateKey(budget.createdAt) ||
+        toDateKey(new Date()),
+    };
+  },
+
   /**
    * Private helper to persist budgets
    */
   _persist(budgets) {
-    localStorage.setItem(BUDGETS_KEY, JSON.stringify(budgets));
+    DomainStore.write(BUDGETS_KEY, budgets);
   },
 };
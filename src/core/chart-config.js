@@ -12,6 +12,7 @@ import {
   isChartJSReady,
   getChartJSModules,
 } from './chart-loader.js';
+import { formatMoney } from '../utils/money-format.js';
 
 // Chart.js modules will be loaded lazily
 
@@ -43,10 +44,7 @@ export function defaultChartOptions() {
         announcementFormatter: function (chart, data) {
           const datasetLabel = data.dataset.label || 'Dataset';
           const value = data.parsed ?? data.raw; // Use nullish coalescing to preserve 0 values
-          const formattedValue = new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'EUR',
-          }).format(value);
+          const formattedValue = formatMoney(value);
           return `${datasetLabel}: ${formattedValue}`;
         },
       },
@@ -494,10 +492,7 @@ export function createThemedChartOptions(chartType, customOptions = {}) {
                       pointStyle: 'circle',
                       index: i,
                       fontColor: 'hsl(0, 0%, 100%)', // Ensure text is visible
-                      ariaLabel: `${label}: ${new Intl.NumberFormat('en-US', {
-                        style: 'currency',
-                        currency: 'EUR',
-                      }).format(value)} (${percentage}% of total)`,
+                      ariaLabel: `${label}: ${formatMoney(value)} (${percentage}% of total)`,
                     };
                   });
                 }
@@ -542,12 +537,7 @@ export function createThemedChartOptions(chartType, customOptions = {}) {
             ticks: {
               ...baseOptions.scales.y.ticks,
               callback: function (value) {
-                return new Intl.NumberFormat('en-US', {
-                  style: 'currency',
-                  currency: 'EUR',
-                  minimumFractionDigits: 0,
-                  maximumFractionDigits: 0,
-                }).format(value);
+                return formatMoney(value, { decimals: 0 });
               },
             },
           },
@@ -590,12 +580,7 @@ export function createThemedChartOptions(chartType, customOptions = {}) {
             ticks: {
               ...baseOptions.scales.y.ticks,
               callback: function (value) {
-                return new Intl.NumberFormat('en-US', {
-                  style: 'currency',
-                  currency: 'EUR',
-                  minimumFractionDigits: 0,
-                  maximumFractionDigits: 0,
-                }).format(value);
+                return formatMoney(value, { decimals: 0 });
               },
             },
           },
@@ -683,10 +668,7 @@ function updateAriaLiveRegion(chart, activeElements) {
     const label = chart.data.labels[index];
     const value = dataset.data[index];
 
-    const formattedValue = new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'EUR',
-    }).format(value);
+    const formattedValue = formatMoney(value);
 
     let announcement = `${label}: ${formattedValue}`;
 
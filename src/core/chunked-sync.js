@@ -0,0 +1,215 @@
+/**
+ * Chunked Sync
+ * Cloud storage for large record collections. Instead of one
+ * `users/{uid}/{dataType}/data` document (capped at 1 MiB), records are
+ * stored per month in `users/{uid}/{dataType}_chunks/{YYYY-MM}`, each
+ * stamped with a server `syncedAt` time so devices only download the
+ * months changed since their last pull.
+ *
+ * Per device bookkeeping (last synced hashes and the pull cursor) lives in
+ * localStorage under `{dataType}_chunk_sync`. SyncService decides when to
+ * push, pull and merge; this module only reads and writes chunks. With sync
+ * encryption on, a chunk's items are sealed and only its month and sync
+ * time stay readable.
+ */
+
+import { getSyncProvider } from './sync-provider.js';
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { safeJsonParse } from '../utils/security-utils.js';
+import { findChangedChunks, hashChunk } from '../utils/sync-chunks.js';
+import { SyncEncryption } from './sync-encryption.js';
+
+// Data types stored as monthly chunks; smaller ones keep a single document
+const CHUNKED_KEYS = [STORAGE_KEYS.TRANSACTIONS];
+
+// null for a chunk sealed with a key this device doesn't have
+const readChunk = async ({ id, data, syncedAt }) => {
+  const payload = await SyncEncryption.open(data);
+  if (!payload) return null;
+  return {
+    id,
+    items: Array.isArray(payload.items) ? payload.items : [],
+    syncedAt,
+    keyId: data.e2e?.keyId || null,
+  };
+};
+
+const readChunks = async chunkDocs =>
+  (await Promise.all(chunkDocs.map(readChunk))).filter(Boolean);
+
+export const ChunkedSync = {
+  /**
+   * Whether a data type is stored as chunks
+   * @param {string} key - Storage key
+   * @returns {boolean}
+   */
+  isChunked(key) {
+    return CHUNKED_KEYS.includes(key);
+  },
+
+  /**
+   * Sync bookkeeping for a data type, reset when another user signs in
+   * @param {string} key - Storage key
+   * @param {string} userId - Current user
+   * @returns {{userId: string, bootstrapped: boolean, cursor: number, hashes: Object}}
+   */
+  getState(key, userId) {
+    const stored = safeJsonParse(
+      localStorage.getItem(`${key}_chunk_sync`) || 'null'
+    );
+    if (stored && stored.userId === userId) {
+      return { cursor: 0, hashes: {}, bootstrapped: false, ...stored };
+    }
+    return { userId, bootstrapped: false, cursor: 0, hashes: {} };
+  },
+
+  saveState(key, state) {
+    try {
+      localStorage.setItem(`${key}_chunk_sync`, JSON.stringify(state));
+    } catch (error) {
+      console.warn('[ChunkedSync] Failed to save sync state:', error);
+    }
+  },
+
+  /**
+   * Whether any chunk exists in the cloud yet
+   * @param {string} key - Storage key
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  async hasChunks(key, userId) {
+    const chunks = await getSyncProvider().listDocuments(
+      this._chunksPath(key, userId),
+      { limit: 1 }
+    );
+    return chunks.length > 0;
+  },
+
+  /**
+   * Read the pre-chunk single document, if any
+   * @param {string} key - Storage key
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Legacy records
+   */
+  async fetchLegacy(key, userId) {
+    const data = await getSyncProvider().getDocument(
+      `users/${userId}/${key}/data`
+    );
+    return Array.isArray(data?.items) ? data.items : [];
+  },
+
+  /**
+   * Upload the months whose content changed since the last sync
+   * @param {string} key - Storage key
+   * @param {Array<Object>} records - All local records (already sanitized)
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of chunks written
+   */
+  async push(key, records, userId) {
+    const state = this.getState(key, userId);
+    // Turning encryption on or changing the key rewrites every month
+    const keyId = SyncEncryption.getKeyId();
+    const synced = (state.keyId ?? null) === keyId ? state.hashes : {};
+    const changed = [...findChangedChunks(records, synced).entries()];
+    if (changed.length === 0) return 0;
+
+    const chunkDocs = await Promise.all(
+      changed.map(async ([chunkId, items]) => ({
+        id: chunkId,
+        data: keyId
+          ? await SyncEncryption.seal({ items })
+          : { items, count: items.length },
+      }))
+    );
+    await getSyncProvider().writeDocuments(
+      this._chunksPath(key, userId),
+      chunkDocs
+    );
+
+    state.hashes = { ...synced };
+    changed.forEach(([chunkId, items]) => {
+      state.hashes[chunkId] = hashChunk(items);
+    });
+    state.keyId = keyId;
+    this.saveState(key, state);
+    return changed.length;
+  },
+
+  /**
+   * Download the chunks changed since the last pull
+   * @param {string} key - Storage key
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<{id: string, items: Array<Object>, syncedAt: number}>>}
+   */
+  async fetchChanged(key, userId) {
+    const chunkDocs = await getSyncProvider().listDocuments(
+      this._chunksPath(key, userId),
+      { changedSince: this.getState(key, userId).cursor }
+    );
+    return readChunks(chunkDocs);
+  },
+
+  /**
+   * Listen for chunks changed by other devices
+   * @param {string} key - Storage key
+   * @param {string} userId - User ID
+   * @param {Function} onChunks - Called with changed chunks
+   * @param {Function} onError - Called on listener errors
+   * @returns {Function} Unsubscribe
+   */
+  listen(key, userId, onChunks, onError) {
+    return getSyncProvider().watchCollection(
+      this._chunksPath(key, userId),
+      { changedSince: this.getState(key, userId).cursor },
+      chunkDocs => {
+        readChunks(chunkDocs)
+          .then(chunks => {
+            if (chunks.length > 0) onChunks(chunks);
+          })
+          .catch(onError);
+      },
+      onError
+    );
+  },
+
+  /**
+   * Record chunks as merged: their hashes become the synced baseline and
+   * the pull cursor moves past them
+   * @param {string} key - Storage key
+   * @param {string} userId - User ID
+   * @param {Array<Object>} chunks - Chunks that were merged
+   */
+  markPulled(key, userId, chunks) {
+    const state = this.getState(key, userId);
+    const keyId = SyncEncryption.getKeyId();
+    chunks.forEach(chunk => {
+      // A chunk stored under another key (or none) is rewritten on next push
+      if ((chunk.keyId ?? null) === keyId) {
+        state.hashes[chunk.id] = hashChunk(chunk.items);
+      } else {
+        delete state.hashes[chunk.id];
+      }
+      state.cursor = Math.max(state.cursor, chunk.syncedAt || 0);
+    });
+    state.bootstrapped = true;
+    this.saveState(key, state);
+  },
+
+  markBootstrapped(key, userId) {
+    this.saveState(key, { ...this.getState(key, userId), bootstrapped: true });
+  },
+
+  /**
+   * Pull every chunk again on the next pull, e.g. ones skipped while the
+   * sync key was missing
+   * @param {string} key - Storage key
+   * @param {string} userId - User ID
+   */
+  resetCursor(key, userId) {
+    this.saveState(key, { ...this.getState(key, userId), cursor: 0 });
+  },
+
+  _chunksPath(key, userId) {
+    return `users/${userId}/${key}_chunks`;
+  },
+};
@@ -117,6 +117,80 @@ class ClickTrackingService {
     };
   }
 
+  /**
+   * Logging streaks for a period: runs of consecutive days with at least one
+   * logged transaction, plus the click and time averages of the entries
+   * tracked in that period
+   * @param {Array} transactions - Transactions
+   * @param {Object} timePeriod - { startDate, endDate }
+   * @returns {Object} { activeDays, longestStreak, longestStreakEnd,
+   *   currentStreak, averageClicks, averageDuration, trackedEntries }
+   */
+  getStreakStats(transactions, timePeriod) {
+    const start = new Date(timePeriod.startDate);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(Math.min(new Date(timePeriod.endDate), Date.now()));
+    end.setHours(0, 0, 0, 0);
+
+    const days = [
+      ...new Set(
+        transactions
+          .filter(t => !t.isGhost)
+          .map(t => {
+            const day = new Date(t.date || t.timestamp);
+            day.setHours(0, 0, 0, 0);
+            return day.getTime();
+          })
+          .filter(day => day >= start.getTime() && day <= end.getTime())
+      ),
+    ].sort((a, b) => a - b);
+
+    // Round so daylight saving days still count as one day apart
+    const daysBetween = (a, b) => Math.round((b - a) / 86400000);
+
+    let longestStreak = 0;
+    let longestStreakEnd = null;
+    let run = 0;
+    days.forEach((day, index) => {
+      run = index > 0 && daysBetween(days[index - 1], day) === 1 ? run + 1 : 1;
+      if (run > longestStreak) {
+        longestStreak = run;
+        longestStreakEnd = new Date(day).toISOString();
+      }
+    });
+
+    // A streak is still alive if its last day is the period's last day or
+    // the one before it (today may not be logged yet)
+    const lastDay = days[days.length - 1];
+    const currentStreak =
+      lastDay !== undefined && daysBetween(lastDay, end.getTime()) <= 1
+        ? run
+        : 0;
+
+    const tracked = this.history.filter(entry => {
+      const time = new Date(entry.timestamp).getTime();
+      return time >= start.getTime() && time < end.getTime() + 86400000;
+    });
+    const average = key =>
+      tracked.length > 0
+        ? Math.round(
+            (tracked.reduce((sum, entry) => sum + entry[key], 0) /
+              tracked.length) *
+              10
+          ) / 10
+        : 0;
+
+    return {
+      activeDays: days.length,
+      longestStreak,
+      longestStreakEnd,
+      currentStreak,
+      averageClicks: average('clicks'),
+      averageDuration: average('duration'),
+      trackedEntries: tracked.length,
+    };
+  }
+
   /**
    * Get recent transactions (last 10) for detailed analysis
    */
@@ -0,0 +1,437 @@
+/**
+ * CurrencyService
+ *
+ * Account currencies, the user-maintained exchange-rate table and conversion
+ * into the reporting (base) currency.
+ *
+ * The rate table stores the value of one unit of each currency in the table's
+ * pivot currency. The pivot follows the base currency whenever the table has
+ * a rate for the new base, so rates read naturally ("1 USD = 0.92 EUR").
+ */
+
+import {
+  STORAGE_KEYS,
+  DEFAULT_CURRENCY,
+  TRANSACTION_TYPES,
+} from '../utils/constants.js';
+import { SyncService } from './sync-service.js';
+import { SettingsService } from './settings-service.js';
+import { AccountService } from './Account/account-service.js';
+import { safeJsonParse } from '../utils/security-utils.js';
+
+const RATES_KEY = STORAGE_KEYS.EXCHANGE_RATES;
+const BASE_CURRENCY_SETTING = 'baseCurrency';
+
+const normalizeCode = code =>
+  typeof code === 'string' && /^[A-Za-z]{3}$/.test(code.trim())
+    ? code.trim().toUpperCase()
+    : null;
+
+const rateOf = (table, code) => (code === table.base ? 1 : table.rates[code]);
+
+/**
+ * Re-express a rate table around a new pivot currency. Returns the same
+ * table when the pivot already matches or the new pivot has no rate.
+ */
+const rebaseTable = (table, pivot) => {
+  const pivotRate = table.rates[pivot];
+  if (table.base === pivot || !pivotRate) return table;
+
+  const rates = { [table.base]: 1 / pivotRate };
+  Object.entries(table.rates).forEach(([currency, rate]) => {
+    if (currency !== pivot) rates[currency] = rate / pivotRate;
+  });
+  return { base: pivot, rates };
+};
+
+/**
+ * Add "1 unit of currency = valueInBase base" to a table (mutates it)
+ */
+const applyRate = (table, currency, valueInBase, base) => {
+  if (Object.keys(table.rates).length === 0) {
+    table.base = base;
+  }
+  const baseRate = rateOf(table, base);
+  if (!baseRate) {
+    throw new Error(
+      `[CurrencyService] Add a rate for ${base} against ${table.base} first`
+    );
+  }
+  table.rates[currency] = valueInBase * baseRate;
+};
+
+export const CurrencyService = {
+  /**
+   * Get the reporting currency all totals are converted into
+   * @returns {string} ISO 4217 code
+   */
+  getBaseCurrency() {
+    return (
+      normalizeCode(SettingsService.getSetting(BASE_CURRENCY_SETTING)) ||
+      DEFAULT_CURRENCY
+    );
+  },
+
+  /**
+   * Change the reporting currency, re-expressing the rate table around it
+   * when the table already knows the new currency
+   * @param {string} code - ISO 4217 code
+   */
+  setBaseCurrency(code) {
+    const base = normalizeCode(code);
+    if (!base) {
+      throw new Error(`[CurrencyService] Invalid currency code: ${code}`);
+    }
+
+    const table = this.getRateTable();
+    const rebased = rebaseTable(table, base);
+    if (rebased !== table) this._persist(rebased);
+
+    SettingsService.saveSetting(BASE_CURRENCY_SETTING, base);
+  },
+
+  /**
+   * Get the currency of an account (falls back to the base currency)
+   * @param {string} accountId - Account ID
+   * @returns {string} ISO 4217 code
+   */
+  getAccountCurrency(accountId) {
+    const account = AccountService.getAccounts().find(a => a.id === accountId);
+    return normalizeCode(account?.currency) || this.getBaseCurrency();
+  },
+
+  /**
+   * Get the exchange-rate table
+   * @returns {{ base: string, rates: Object, updatedAt?: string }}
+   */
+  getRateTable() {
+    const stored = safeJsonParse(localStorage.getItem(RATES_KEY) || 'null');
+    if (!stored || !normalizeCode(stored.base) || !stored.rates) {
+      return { base: this.getBaseCurrency(), rates: {} };
+    }
+    return { base: stored.base, rates: { ...stored.rates } };
+  },
+
+  /**
+   * List rates as the value of one unit in the base currency
+   * @returns {Array<{ currency: string, rate: number }>}
+   */
+  getRates() {
+    const table = this.getRateTable();
+    const base = this.getBaseCurrency();
+    return [table.base, ...Object.keys(table.rates)]
+      .filter(currency => currency !== base)
+      .map(currency => ({
+        currency,
+        rate: this.convert(1, currency, base, table),
+      }))
+      .filter(({ rate }) => rate != null)
+      .sort((a, b) => a.currency.localeCompare(b.currency));
+  },
+
+  /**
+   * Whether a currency can be converted into the base currency
+   * @param {string} code - ISO 4217 code
+   * @param {Object} [table] - Rate table (read from storage when omitted)
+   * @returns {boolean}
+   */
+  hasRate(code, table = this.getRateTable()) {
+    const base = this.getBaseCurrency();
+    if (code === base) return true;
+    return Boolean(rateOf(table, code) && rateOf(table, base));
+  },
+
+  /**
+   * List account currencies that cannot be converted into the base currency
+   * @returns {string[]} ISO 4217 codes
+   */
+  getMissingRates() {
+    const table = this.getRateTable();
+    const currencies = new Set(
+      AccountService.getAccounts().map(
+        a => normalizeCode(a.currency) || this.getBaseCurrency()
+      )
+    );
+    return [...currencies]
+      .filter(currency => !this.hasRate(currency, table))
+      .sort();
+  },
+
+  /**
+   * Set the value of one unit of a currency in the base currency
+   * @param {string} code - ISO 4217 code
+   * @param {number} valueInBase - e.g. 0.92 for "1 USD = 0.92 EUR"
+   */
+  setRate(code, valueInBase) {
+    const currency = normalizeCode(code);
+    const value = Number(valueInBase);
+    const base = this.getBaseCurrency();
+    if (!currency || currency === base) {
+      throw new Error(`[CurrencyService] Invalid currency for rate: ${code}`);
+    }
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error('[CurrencyService] Exchange rate must be positive');
+    }
+
+    const table = this.getRateTable();
+    applyRate(table, currency, value, base);
+    this._persist(table);
+  },
+
+  /**
+   * Remove a currency from the rate table
+   * @param {string} code - ISO 4217 code
+   */
+  removeRate(code) {
+    const table = this.getRateTable();
+    if (!(code in table.rates)) return;
+    delete table.rates[code];
+    this._persist(table);
+  },
+
+  /**
+   * Import rates from a file. Two layouts are accepted:
+   * - JSON as published by rate APIs: { "base": "EUR", "rates": { "USD": 1.08 } }
+   *   (units of each currency per one unit of "base")
+   * - CSV/text lines "USD,0.92": value of one unit in the base currency
+   * @param {string} text - File contents
+   * @returns {number} Number of rates imported
+   */
+  importRates(text) {
+    const trimmed = String(text || '').trim();
+    const base = this.getBaseCurrency();
+    let table = this.getRateTable();
+    let imported = 0;
+
+    if (trimmed.startsWith('{')) {
+      const data = safeJsonParse(trimmed);
+      const fileBase = normalizeCode(data?.base);
+      if (!fileBase || !data.rates || typeof data.rates !== 'object') {
+        throw new Error('[CurrencyService] Unrecognised rates file');
+      }
+      if (Object.keys(table.rates).length === 0) {
+        table.base = fileBase;
+      }
+      const fileBaseRate = rateOf(table, fileBase);
+      if (!fileBaseRate) {
+        throw new Error(
+          `[CurrencyService] Rates file is based on ${fileBase}, which has no rate yet`
+        );
+      }
+      Object.entries(data.rates).forEach(([code, unitsPerBase]) => {
+        const currency = normalizeCode(code);
+        const units = Number(unitsPerBase);
+        if (!currency || currency === table.base || !(units > 0)) return;
+        table.rates[currency] = fileBaseRate / units;
+        imported++;
+      });
+      // Let the table pivot follow the base currency again if possible
+      table = rebaseTable(table, base);
+    } else {
+      trimmed.split(/\r?\n/).forEach(line => {
+        // A semicolon or tab delimiter leaves the comma free as decimal mark
+        const delimiter = /[;\t]/.exec(line)?.[0] || ',';
+        const [code, value] = line.split(delimiter).map(part => part.trim());
+        const currency = normalizeCode(code);
+        const rate = parseFloat(String(value || '').replace(',', '.'));
+        // Header rows and the base currency itself are skipped
+        if (!currency || currency === base || !(rate > 0)) return;
+        applyRate(table, currency, rate, base);
+        imported++;
+      });
+    }
+
+    if (imported > 0) this._persist(table);
+    return imported;
+  },
+
+  /**
+   * Convert an amount between currencies using the rate table
+   * @param {number} amount - Amount in the source currency
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {Object} [table] - Rate table (read from storage when omitted)
+   * @returns {number|null} Converted amount, or null when either currency
+   *   has no rate
+   */
+  convert(amount, from, to, table = null) {
+    if (!from || !to || from === to) return amount;
+    const rates = table || this.getRateTable();
+    const fromRate = rateOf(rates, from);
+    const toRate = rateOf(rates, to);
+    if (!fromRate || !toRate) return null;
+    return (amount * fromRate) / toRate;
+  },
+
+  /**
+   * Convert an amount into the base currency
+   * @param {number} amount - Amount
+   * @param {string} currency - Currency of the amount
+   * @returns {number|null} Amount in the base currency, or null without a rate
+   */
+  toBase(amount, currency) {
+    return this.convert(amount, currency, this.getBaseCurrency());
+  },
+
+  /**
+   * Create a converter bound to a snapshot of accounts, rates and the base
+   * currency. Use it in loops over many transactions. Totals must not drop
+   * amounts, so a currency without a rate is counted at face value and
+   * listed in missingCurrencies for the caller to warn about.
+   * @returns {Object} { base, accountCurrency(id), toBase(amount, currency),
+   *   amount(transaction), destinationAmount(transaction), missingCurrencies }
+   */
+  createConverter() {
+    const base = this.getBaseCurrency();
+    const table = this.getRateTable();
+    const accountCurrencies = new Map(
+      AccountService.getAccounts().map(a => [
+        a.id,
+        normalizeCode(a.currency) || base,
+      ])
+    );
+
+    const missingCurrencies = new Set();
+
+    const accountCurrency = id => accountCurrencies.get(id) || base;
+    const toBase = (amount, currency) => {
+      const converted = this.convert(amount, currency || base, base, table);
+      if (converted != null) return converted;
+      missingCurrencies.add(currency);
+      return amount;
+    };
+    const amount = t =>
+      toBase(t.amount || 0, t.currency || accountCurrency(t.accountId));
+
+    return {
+      base,
+      accountCurrency,
+      toBase,
+      // Source-side amount of a transaction, in the base currency
+      amount,
+      // Amount received by the destination account of a transfer; without a
+      // recorded received amount it is worth what was sent
+      destinationAmount: t =>
+        t.toAmount != null
+          ? toBase(t.toAmount, t.toCurrency || accountCurrency(t.toAccountId))
+          : amount(t),
+      missingCurrencies,
+    };
+  },
+
+  /**
+   * Stamp currency fields on a transaction from its accounts. Transfers
+   * between accounts in different currencies record both amounts; the
+   * received amount is converted at the current rate unless provided, and
+   * left unset when there is no rate.
+   * @param {Object} transaction - Transaction data
+   * @returns {Object} Transaction with currency fields
+   */
+  applyCurrencies(transaction) {
+    const stamped = { ...transaction };
+    stamped.currency = this.getAccountCurrency(transaction.accountId);
+
+    if (
+      transaction.type === TRANSACTION_TYPES.TRANSFER &&
+      transaction.toAccountId
+    ) {
+      const toCurrency = this.getAccountCurrency(transaction.toAccountId);
+      if (toCurrency !== stamped.currency) {
+        stamped.toCurrency = toCurrency;
+        const converted =
+          transaction.toAmount != null && transaction.toCurrency === toCurrency
+            ? transaction.toAmount
+            : this.convert(transaction.amount, stamped.currency, toCurrency);
+        if (converted != null) {
+          stamped.toAmount = Math.round(converted * 100) / 100;
+        } else {
+          delete stamped.toAmount;
+        }
+        return stamped;
+      }
+    }
+
+    delete stamped.toCurrency;
+    delete stamped.toAmount;
+    return stamped;
+  },
+
+  /**
+   * Calculate per-account balances in their own currency and in the base
+   * currency
+   * @param {Array} transactions - Transactions
+   * @returns {Array<{ accountId, currency, balance, baseBalance }>}
+   */
+  getAccountBalances(transactions) {
+    const converter = this.createConverter();
+    const balances = new Map();
+    const entry = id => {
+      if (!balances.has(id)) {
+        balances.set(id, {
+          accountId: id,
+          currency: converter.accountCurrency(id),
+          balance: 0,
+        });
+      }
+      return balances.get(id);
+    };
+
+    AccountService.getAccounts().forEach(a => entry(a.id));
+
+    transactions
+      .filter(t => !t.isGhost)
+      .forEach(t => {
+        const amount = t.amount || 0;
+        switch (t.type) {
+          case TRANSACTION_TYPES.INCOME:
+          case TRANSACTION_TYPES.REFUND:
+            entry(t.accountId).balance += amount;
+            break;
+          case TRANSACTION_TYPES.EXPENSE:
+            entry(t.accountId).balance -= amount;
+            break;
+          case TRANSACTION_TYPES.TRANSFER:
+            entry(t.accountId).balance -= amount;
+            if (t.toAccountId) {
+              entry(t.toAccountId).balance += t.toAmount ?? amount;
+            }
+            break;
+          default:
+            break;
+        }
+      });
+
+    return Array.from(balances.values()).map(b => ({
+      ...b,
+      baseBalance: converter.toBase(b.balance, b.currency),
+    }));
+  },
+
+  /**
+   * Net worth across all accounts in the base currency
+   * @param {Array} transactions - Transactions
+   * @returns {number} Net worth
+   */
+  getNetWorth(transactions) {
+    return this.getAccountBalances(transactions).reduce(
+      (sum, b) => sum + b.baseBalance,
+      0
+    );
+  },
+
+  /**
+   * Private helper to persist the rate table
+   */
+  _persist(table) {
+    const data = {
+      base: table.base,
+      rates: table.rates,
+      updatedAt: new Date().toISOString(),
+    };
+    localStorage.setItem(RATES_KEY, JSON.stringify(data));
+    SyncService.pushToCloud(RATES_KEY, data);
+    window.dispatchEvent(
+      new CustomEvent('storage-updated', { detail: { key: RATES_KEY } })
+    );
+  },
+};
@@ -7,8 +7,9 @@
 import { STORAGE_KEYS } from '../utils/constants.js';
 import { SyncService } from './sync-service.js';
 import { AuthService } from './auth-service.js';
+import { TombstoneService } from './tombstone-service.js';
 import { generateId } from '../utils/id-utils.js';
-import { safeJsonParse } from '../utils/security-utils.js';
+import { DomainStore } from './domain-store.js';
 import { TransactionService } from './transaction-service.js';
 
 const CUSTOM_CATEGORIES_KEY =
@@ -28,8 +29,7 @@ export const CustomCategoryService = {
     const currentUserId = AuthService.getUserId();
 
     // Load ALL categories from storage (not just current user's)
-    const data = localStorage.getItem(CUSTOM_CATEGORIES_KEY);
-    const allCategories = data ? safeJsonParse(data) : [];
+    const allCategories = DomainStore.read(CUSTOM_CATEGORIES_KEY) || [];
 
     // Get only current user's categories for reordering
     const userCategories = allCategories.filter(
@@ -111,8 +111,7 @@ export const CustomCategoryService = {
     const currentUserId = AuthService.getUserId();
 
     // Load ALL categories from storage
-    const data = localStorage.getItem(CUSTOM_CATEGORIES_KEY);
-    const allCategories = data ? safeJsonParse(data) : [];
+    const allCategories = DomainStore.read(CUSTOM_CATEGORIES_KEY) || [];
 
     // Get only current user's categories for moving
     const userCategories = allCategories.filter(
@@ -183,10 +182,10 @@ export const CustomCategoryService = {
     this._persist(mergedCategories);
 
     try {
-      const storageDump = localStorage.getItem(CUSTOM_CATEGORIES_KEY);
+      const stored = DomainStore.read(CUSTOM_CATEGORIES_KEY);
       console.log(
-        '[CustomCategoryService] persisted storage length',
-        storageDump ? storageDump.length : 0
+        '[CustomCategoryService] persisted categories',
+        stored ? stored.length : 0
       );
     } catch (e) {
       console.warn(
@@ -211,8 +210,7 @@ export const CustomCategoryService = {
       this._migrateSystemToCustom();
     }
 
-    const data = localStorage.getItem(CUSTOM_CATEGORIES_KEY);
-    const allCategories = data ? safeJsonParse(data) : [];
+    const allCategories = DomainStore.read(CUSTOM_CATEGORIES_KEY) || [];
 
     const userCategories = allCategories.filter(
       cat => !cat.userId || cat.userId === currentUserId
@@ -274,8 +272,7 @@ export const CustomCategoryService = {
     const currentUserId = AuthService.getUserId();
     console.log('[CategoryService] Initializing default categories...');
 
-    const data = localStorage.getItem(CUSTOM_CATEGORIES_KEY);
-    const existingCategories = data ? safeJsonParse(data) : [];
+    const existingCategories = DomainStore.read(CUSTOM_CATEGORIES_KEY) || [];
     const systemCategories = this.getSystemCategories('all');
 
     const merged = [...existingCategories];
@@ -482,6 +479,7 @@ export const CustomCategoryService = {
     }
 
     const filteredCategories = categories.filter(cat => cat.id !== id);
+    TombstoneService.record(CUSTOM_CATEGORIES_KEY, id);
     this._persist(filteredCategories);
 
     if (category.showAsCheckbox) {
@@ -864,7 +862,7 @@ export const CustomCategoryService = {
    * Private helper to persist categories
    */
   _persist(categories, sync = true) {
-    localStorage.setItem(CUSTOM_CATEGORIES_KEY, JSON.stringify(categories));
+    DomainStore.write(CUSTOM_CATEGORIES_KEY, categories);
     if (sync) {
       SyncService.pushToCloud(CUSTOM_CATEGORIES_KEY, categories);
     }
@@ -0,0 +1,168 @@
+/**
+ * CustomReportService
+ *
+ * Saved report definitions built from widgets (category by month, tag,
+ * account, weekday), each with its own chart type and metric, plus
+ * FilteringService.applyFilters() criteria for the whole report. Definitions
+ * sync like any other collection; the report period comes from the Reports
+ * time period selector when the report is run.
+ */
+
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { SyncService } from './sync-service.js';
+import { AuthService } from './auth-service.js';
+import { TombstoneService } from './tombstone-service.js';
+import { DomainStore } from './domain-store.js';
+import { FilteringService } from './analytics/FilteringService.js';
+import { CurrencyService } from './currency-service.js';
+import { AccountService } from './Account/account-service.js';
+import { generateId } from '../utils/id-utils.js';
+import { normalizeWidget, buildWidgetData } from '../utils/report-widgets.js';
+
+const REPORTS_KEY = STORAGE_KEYS.CUSTOM_REPORTS;
+
+// applyFilters() criteria a report may carry; the period is chosen when run
+const FILTER_FIELDS = [
+  'categories',
+  'categoryFilterType',
+  'amountRange',
+  'types',
+  'accounts',
+  'tags',
+  'searchText',
+];
+
+const pickFilters = filters => {
+  const picked = {};
+  FILTER_FIELDS.forEach(field => {
+    const value = filters?.[field];
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value) && value.length === 0) return;
+    picked[field] = value;
+  });
+  return picked;
+};
+
+export const CustomReportService = {
+  /**
+   * Get all saved reports, sorted by name
+   * @returns {Array} Report definitions
+   */
+  getAll() {
+    const reports = DomainStore.read(REPORTS_KEY) || [];
+    if (!Array.isArray(reports)) return [];
+
+    // IDOR Protection: only expose reports owned by the current user
+    const currentUserId = AuthService.getUserId();
+    return reports
+      .filter(r => !currentUserId || !r.userId || r.userId === currentUserId)
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  },
+
+  /**
+   * Get a report by ID
+   * @param {string} id - Report ID
+   * @returns {Object|null} Report or null
+   */
+  get(id) {
+    if (!id) return null;
+    return this.getAll().find(r => r.id === id) || null;
+  },
+
+  /**
+   * Create or update a report definition
+   * @param {Object} report - { id?, name, query?, filters, widgets }
+   *   `query` is the filter text the builder shows again when editing
+   * @returns {Object|null} Saved report, or null without a name or a valid widget
+   */
+  save(report) {
+    const name = typeof report?.name === 'string' ? report.name.trim() : '';
+    const widgets = (report?.widgets || [])
+      .map(normalizeWidget)
+      .filter(Boolean)
+      .map(widget => ({ ...widget, id: widget.id || generateId() }));
+    if (!name || widgets.length === 0) return null;
+
+    const reports = this.getAll();
+    const index = report.id ? reports.findIndex(r => r.id === report.id) : -1;
+    const current = index === -1 ? null : reports[index];
+    const now = new Date().toISOString();
+
+    const saved = {
+      id: current?.id || generateId(),
+      userId: current?.userId || AuthService.getUserId(),
+      createdAt: current?.createdAt || now,
+      updatedAt: now,
+      name,
+      query: typeof report.query === 'string' ? report.query.trim() : '',
+      filters: pickFilters(report.filters),
+      widgets,
+    };
+
+    if (current) {
+      reports[index] = saved;
+    } else {
+      reports.push(saved);
+    }
+    this._persist(reports);
+    return saved;
+  },
+
+  /**
+   * Delete a report
+   * @param {string} id - Report ID
+   * @returns {boolean} True when a report was removed
+   */
+  delete(id) {
+    const reports = this.getAll();
+    const remaining = reports.filter(r => r.id !== id);
+    if (remaining.length === reports.length) return false;
+    TombstoneService.record(REPORTS_KEY, id);
+    this._persist(remaining);
+    return true;
+  },
+
+  /**
+   * Run a report over a period
+   * @param {Object} report - Report definition
+   * @param {Array} transactions - All transactions
+   * @param {Object} timePeriod - { startDate, endDate }
+   * @returns {{transactionCount: number, currency: string, widgets: Array<{widget: Object, data: Object}>}}
+   *   data is the result of buildWidgetData()
+   */
+  run(report, transactions, timePeriod) {
+    const matching = FilteringService.filterByTimePeriod(
+      FilteringService.applyFilters(transactions, report.filters),
+      timePeriod
+    );
+    const converter = CurrencyService.createConverter();
+    const accountNames = new Map(
+      AccountService.getAccounts().map(a => [a.id, a.name])
+    );
+    const options = {
+      timePeriod,
+      amountOf: converter.amount,
+      accountName: id => accountNames.get(id) || 'Unknown account',
+    };
+
+    return {
+      transactionCount: matching.length,
+      currency: converter.base,
+      widgets: (report.widgets || []).map(widget => ({
+        widget,
+        data: buildWidgetData(widget, matching, options),
+      })),
+    };
+  },
+
+  /**
+   * Private helper to persist reports
+   */
+  _persist(reports) {
+    DomainStore.write(REPORTS_KEY, reports);
+    SyncService.pushToCloud(REPORTS_KEY, reports);
+    window.dispatchEvent(
+      new CustomEvent('storage-updated', { detail: { key: REPORTS_KEY } })
+    );
+  },
+};
@@ -401,6 +401,8 @@ export const DataCleanupService = {
         'blinkbudget_goals',
         'blinkbudget_investments',
         'blinkbudget_budgets',
+        'blinkbudget_recurring',
+        'blinkbudget_exchange_rates',
         'blink_settings', // Settings storage
         'blinkbudget_setting_', // Individual settings
         'blinkbudget_cache_', // Cache entries
@@ -0,0 +1,184 @@
+/**
+ * Domain Store
+ * Storage for the app's domain data (transactions, accounts, categories,
+ * investments, goals, budgets, recurring schedules and custom reports)
+ * behind a swappable adapter. init() moves it to IndexedDB, served from an
+ * in-memory cache so reads no longer parse a JSON blob every time; where
+ * IndexedDB is missing or fails to open, the localStorage adapter stays in
+ * place.
+ *
+ * Every other key, and domain data before init() finishes, goes through the
+ * localStorage adapter, so callers can use this for any JSON value.
+ */
+
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { safeJsonParse } from '../utils/security-utils.js';
+import { LocalStorageAdapter } from './storage-adapters/local-storage-adapter.js';
+import { IndexedDBAdapter } from './storage-adapters/indexeddb-adapter.js';
+
+export const DOMAIN_KEYS = [
+  STORAGE_KEYS.TRANSACTIONS,
+  STORAGE_KEYS.ACCOUNTS,
+  STORAGE_KEYS.CUSTOM_CATEGORIES,
+  STORAGE_KEYS.INVESTMENTS,
+  STORAGE_KEYS.GOALS,
+  STORAGE_KEYS.BUDGETS,
+  STORAGE_KEYS.RECURRING,
+  STORAGE_KEYS.CUSTOM_REPORTS,
+];
+
+const inRange = (value, { equals, from, to } = {}) => {
+  if (value === undefined || value === null) return false;
+  if (equals !== undefined) return value === equals;
+  return (
+    (from === undefined || value >= from) && (to === undefined || value <= to)
+  );
+};
+
+export const DomainStore = {
+  adapter: LocalStorageAdapter,
+  _initPromise: null,
+
+  /**
+   * Switch domain data to IndexedDB, moving over what localStorage holds.
+   * Resolves once domain data can be read; safe to call more than once.
+   * @param {Object|null} adapter - Adapter to use instead of IndexedDB
+   * @returns {Promise<string>} Name of the adapter in use
+   */
+  init(adapter = null) {
+    if (!this._initPromise) {
+      this._initPromise = this._init(adapter);
+    }
+    return this._initPromise;
+  },
+
+  async _init(adapter) {
+    const target =
+      adapter || (IndexedDBAdapter.isSupported() ? IndexedDBAdapter : null);
+    if (!target) return this.adapter.name;
+
+    try {
+      await target.open(DOMAIN_KEYS);
+      await this.useAdapter(target);
+    } catch (error) {
+      console.warn(
+        '[DomainStore] Falling back to localStorage for domain data:',
+        error
+      );
+    }
+    return this.adapter.name;
+  },
+
+  /**
+   * Serve domain data from an opened adapter, moving over what localStorage
+   * still holds. Used by init() and when the vault is unlocked or disabled.
+   * @param {Object} adapter - Adapter whose open() has resolved
+   */
+  async useAdapter(adapter) {
+    if (adapter !== LocalStorageAdapter) {
+      await this._migrateFromLocalStorage(adapter);
+    }
+    this.adapter = adapter;
+    console.log(`[DomainStore] Using ${adapter.name} storage`);
+    window.dispatchEvent(
+      new CustomEvent('domain-store-ready', {
+        detail: { adapter: adapter.name },
+      })
+    );
+  },
+
+  /**
+   * Copy domain data left in localStorage into the adapter and remove it
+   * there once saved. Normally runs once; data written to localStorage by a
+   * tab still on the old version is picked up on the next start.
+   * @param {Object} adapter - Adapter being switched to
+   * @returns {Promise<Array<string>>} Keys moved
+   */
+  async _migrateFromLocalStorage(adapter) {
+    const moved = [];
+    DOMAIN_KEYS.forEach(key => {
+      const raw = localStorage.getItem(key);
+      if (raw === null) return;
+      const value = safeJsonParse(raw);
+      if (value === null) {
+        // Unreadable data stays where recovery tools can find it
+        console.warn(`[DomainStore] Skipping unreadable ${key}`);
+        return;
+      }
+      adapter.write(key, value);
+      moved.push(key);
+    });
+    if (moved.length === 0) return moved;
+
+    await adapter.flush();
+    moved.forEach(key => localStorage.removeItem(key));
+    console.log(`[DomainStore] Moved ${moved.join(', ')} out of localStorage`);
+    return moved;
+  },
+
+  _adapterFor(key) {
+    return DOMAIN_KEYS.includes(key) ? this.adapter : LocalStorageAdapter;
+  },
+
+  /**
+   * @param {string} key - Storage key
+   * @returns {*} Stored value, null when missing
+   */
+  read(key) {
+    return this._adapterFor(key).read(key);
+  },
+
+  /**
+   * @param {string} key - Storage key
+   * @param {*} value - JSON-serializable value
+   */
+  write(key, value) {
+    this._adapterFor(key).write(key, value);
+  },
+
+  /**
+   * @param {string} key - Storage key
+   */
+  remove(key) {
+    this._adapterFor(key).remove(key);
+  },
+
+  /**
+   * Counter that changes whenever the value of a key does, so callers can
+   * skip work on data they already processed
+   * @param {string} key - Storage key
+   * @returns {number|null} null when changes can't be tracked
+   */
+  revision(key) {
+    return this._adapterFor(key).revision(key);
+  },
+
+  /**
+   * Wait until queued writes are saved
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.adapter.flush();
+  },
+
+  /**
+   * Records of a data type whose field falls in a range, using the
+   * adapter's index when it has one
+   * @param {string} key - Storage key
+   * @param {string} field - Indexed field (timestamp, category, accountId)
+   * @param {Object} range - { equals } or inclusive { from, to }
+   * @returns {Promise<Array<Object>>} Matches, ordered by the field
+   */
+  async query(key, field, range) {
+    const adapter = this._adapterFor(key);
+    const indexed = adapter.query
+      ? await adapter.query(key, field, range)
+      : null;
+    if (indexed) return indexed;
+
+    const records = adapter.read(key);
+    return (Array.isArray(records) ? records : [])
+      .filter(record => inRange(record?.[field], range))
+      .sort((a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0));
+  },
+};
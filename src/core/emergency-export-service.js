@@ -10,6 +10,9 @@ import { GoalPlanner } from './goal-planner.js';
 import { InvestmentTracker } from './investment-tracker.js';
 import { BudgetService } from './budget-service.js';
 import { AuthService } from './auth-service.js';
+import { AttachmentService } from './attachment-service.js';
+import { VaultService } from './vault-service.js';
+import { createZip } from '../utils/zip-utils.js';
 
 export const EmergencyExportService = {
   /**
@@ -25,7 +28,10 @@ export const EmergencyExportService = {
       includeGoals = true,
       includeInvestments = true,
       includeBudgets = true,
+      includeAttachments = false,
       format = 'json',
+      // JSON exports open only with the vault passphrase while it's in use
+      encrypt = VaultService.isUnlocked(),
       compress: _compress = false, // Prefix with underscore to indicate intentionally unused
     } = options;
 
@@ -70,20 +76,36 @@ export const EmergencyExportService = {
       // Add data integrity checksums
       exportData.integrity = this.generateIntegrityChecksums(exportData.data);
 
+      const encrypted = encrypt && format === 'json';
+      // Receipt files only fit in a bundle next to a plain JSON export
+      const bundleAttachments =
+        includeAttachments &&
+        includeTransactions &&
+        format === 'json' &&
+        !encrypted;
+      const fileFormat = bundleAttachments ? 'zip' : format;
+      let fileData = exportData;
+      if (bundleAttachments) {
+        fileData = await this.createAttachmentBundle(exportData);
+      } else if (encrypted) {
+        fileData = await VaultService.encryptExport(exportData);
+      }
+
       // Create downloadable file
       const downloadUrl = await this.createDownloadFile(
-        exportData,
-        format,
+        fileData,
+        fileFormat,
         _compress
       );
 
       return {
         success: true,
         downloadUrl,
-        filename: this.generateFilename(format),
+        filename: this.generateFilename(fileFormat),
         size: JSON.stringify(exportData).length,
         dataCount: this.getDataCount(exportData.data),
         integrity: exportData.integrity,
+        encrypted,
       };
     } catch (error) {
       console.error('[EmergencyExport] Export failed:', error);
@@ -112,6 +134,7 @@ export const EmergencyExportService = {
           type: tx.type,
           description: tx.description || '',
           accountId: tx.accountId || null,
+          ...(tx.attachments?.length && { attachments: tx.attachments }),
           createdAt: tx.createdAt || new Date().toISOString(),
           updatedAt: tx.updatedAt || tx.createdAt || new Date().toISOString(),
         })),
@@ -299,6 +322,26 @@ export const EmergencyExportService = {
     }
   },
 
+  /**
+   * Bundle the JSON export with the receipt files stored on this device
+   * @param {Object} exportData - Export built by createEmergencyExport()
+   * @returns {Promise<Blob>} ZIP with export.json and attachments/<id>-<name>
+   */
+  async createAttachmentBundle(exportData) {
+    const attachments = (exportData.data.transactions?.items || []).flatMap(
+      tx => tx.attachments || []
+    );
+    const files = await AttachmentService.collectFiles(attachments);
+
+    return createZip([
+      { name: 'export.json', data: JSON.stringify(exportData, null, 2) },
+      ...files.map(({ attachment, blob }) => ({
+        name: `attachments/${attachment.id}-${String(attachment.name).replace(/[^\w.-]/g, '_')}`,
+        data: blob,
+      })),
+    ]);
+  },
+
   /**
    * Generate integrity checksums for data validation
    */
@@ -356,8 +399,8 @@ export const EmergencyExportService = {
 
   /**
    * Create downloadable file
-   * @param {*} data - Data to export
-   * @param {string} format - Export format ('json' or 'csv')
+   * @param {*} data - Data to export (a ready-made Blob for 'zip')
+   * @param {string} format - Export format ('json', 'csv' or 'zip')
    * @param {boolean} _compress - Compression flag (unused)
    * @returns {string} Blob URL - Caller must revoke with URL.revokeObjectURL() when done
    */
@@ -378,6 +421,11 @@ export const EmergencyExportService = {
           mimeType = 'text/csv';
           fileExtension = 'csv';
           break;
+        case 'zip':
+          content = data;
+          mimeType = 'application/zip';
+          fileExtension = 'zip';
+          break;
         default:
           throw new Error(`Unsupported format: ${format}`);
       }
@@ -67,6 +67,21 @@ export class EnvValidator {
         description: 'Firebase project ID',
       },
 
+      // Sync backend
+      VITE_SYNC_PROVIDER: {
+        type: 'enum',
+        enum: ['firebase', 'self-hosted'],
+        required: false,
+        description: 'Sync backend',
+      },
+
+      VITE_SYNC_SERVER_URL: {
+        type: 'url',
+        required: false,
+        pattern: /^https?:\/\/.+/,
+        description: 'Self-hosted sync server URL',
+      },
+
       // Payments (Stripe)
       NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY: {
         type: 'string',
@@ -268,6 +283,30 @@ export class EnvValidator {
         }
         break;
 
+      case 'VITE_SYNC_PROVIDER':
+        if (
+          value === 'self-hosted' &&
+          !this.getEnvValue('VITE_SYNC_SERVER_URL')
+        ) {
+          this.errors.push({
+            variable: 'VITE_SYNC_SERVER_URL',
+            message: 'Required when VITE_SYNC_PROVIDER is self-hosted',
+          });
+        }
+        break;
+
+      case 'VITE_SYNC_SERVER_URL':
+        if (
+          value.startsWith('http://') &&
+          !/\/\/(localhost|127\.0\.0\.1)\b/.test(value)
+        ) {
+          this.warnings.push({
+            variable: key,
+            message: 'Sync server should use HTTPS outside local development',
+          });
+        }
+        break;
+
       case 'NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY':
         if (value && value.startsWith('sk_')) {
           this.errors.push({
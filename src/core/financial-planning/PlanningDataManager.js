@@ -1,6 +1,7 @@
 import { TransactionService } from '../transaction-service.js';
 import { AccountService } from '../Account/account-service.js';
 import { StorageService } from '../storage.js';
+import { RecurringService } from '../recurring-service.js';
 import { STORAGE_KEYS } from '../../utils/constants.js';
 
 /**
@@ -76,6 +77,7 @@ export class PlanningDataManager {
       const budgets = StorageService.getBudgets
         ? StorageService.getBudgets()
         : [];
+      const recurringSchedules = RecurringService.getAll();
 
       const timestamp = new Date();
 
@@ -85,6 +87,7 @@ export class PlanningDataManager {
         investments,
         goals,
         budgets,
+        recurringSchedules,
         lastUpdated: timestamp,
       };
 
@@ -6,6 +6,7 @@ import {
   persistentLocalCache,
   persistentMultipleTabManager,
 } from 'firebase/firestore';
+import { getStorage } from 'firebase/storage';
 import { config } from '../../config/app.config.js';
 
 // Handle Firebase initialization with graceful fallback
@@ -13,11 +14,15 @@ let app = null;
 let auth = null;
 let initializationError = null;
 
-// Skip Firebase entirely in local mode
+// Skip Firebase entirely in local mode or with a self-hosted sync server
 if (config.localMode) {
   console.info(
     '[Firebase] Local mode active — skipping Firebase initialization.'
   );
+} else if (config.sync.provider !== 'firebase') {
+  console.info(
+    `[Firebase] Using the ${config.sync.provider} sync provider — skipping Firebase initialization.`
+  );
 } else {
   try {
     // Check if Firebase configuration is properly validated
@@ -73,6 +78,18 @@ export const getDb = () => {
   return dbInstance;
 };
 
+// Cloud Storage holds binary files (transaction attachments)
+let storageInstance = null;
+export const getStorageInstance = () => {
+  if (!storageInstance) {
+    if (!app) {
+      throw new Error('Firebase not initialized. Cannot access Storage.');
+    }
+    storageInstance = getStorage(app);
+  }
+  return storageInstance;
+};
+
 // Initialize Analytics conditionally
 let analytics = null;
 
@@ -7,6 +7,9 @@
  * Requirements: 1.1, 1.2, 1.3, 1.4, 1.5, 1.6
  */
 
+import { getOccurrencesBetween, toDateKey } from '../utils/recurrence-utils.js';
+import { formatMoney } from '../utils/money-format.js';
+
 export class ForecastEngine {
   constructor() {
     this.cache = new Map();
@@ -21,10 +24,26 @@ export class ForecastEngine {
    * @param {Object} options - Optional configuration
    * @param {string} options.goalId - Optional goal ID to compare against
    * @param {Object} options.goalTarget - Optional goal target amount and date
+   * @param {Array} options.recurringSchedules - Explicit recurring schedules (RecurringService)
    * @returns {Array} Array of forecast objects with optional goal comparison
    */
   generateIncomeForecasts(transactions, months = 12, options = {}) {
-    const { goalId, goalTarget } = options || {};
+    const { goalId, goalTarget, recurringSchedules } = options || {};
+
+    // Explicit schedules are projected exactly; only the remaining history
+    // goes through the statistical model.
+    const schedules = this._getSchedulesForType(recurringSchedules, 'income');
+    if (schedules.length > 0) {
+      const baseForecasts = this.generateIncomeForecasts(
+        this._excludeScheduledTransactions(transactions, recurringSchedules),
+        months
+      );
+      return this._applyScheduledAmounts(
+        baseForecasts,
+        schedules,
+        goalId && goalTarget ? goalTarget : null
+      );
+    }
 
     try {
       // Validate input
@@ -158,7 +177,7 @@ export class ForecastEngine {
 
     if (isOnTrack) {
       status = 'on_track';
-      statusMessage = `You're on track! You'll have €${balanceAtGoalDate.toFixed(0)} by ${goalDate.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })}.`;
+      statusMessage = `You're on track! You'll have ${formatMoney(balanceAtGoalDate, { decimals: 0 })} by ${goalDate.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })}.`;
     } else {
       if (monthsUntilGoal > 0) {
         requiredMonthlySavings = shortfall / monthsUntilGoal;
@@ -166,14 +185,14 @@ export class ForecastEngine {
         const currentAvgMonthly = this._calculateAverageMonthlySavings();
         if (requiredMonthlySavings > currentAvgMonthly * 1.5) {
           status = 'at_risk';
-          statusMessage = `At current pace, you'll have €${balanceAtGoalDate.toFixed(0)} by ${goalDate.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })}, €${shortfall.toFixed(0)} short. Need €${requiredMonthlySavings.toFixed(0)}/month extra.`;
+          statusMessage = `At current pace, you'll have ${formatMoney(balanceAtGoalDate, { decimals: 0 })} by ${goalDate.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })}, ${formatMoney(shortfall, { decimals: 0 })} short. Need ${formatMoney(requiredMonthlySavings, { decimals: 0 })}/month extra.`;
         } else {
           status = 'needs_attention';
-          statusMessage = `At current pace, you'll have €${balanceAtGoalDate.toFixed(0)} by ${goalDate.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })}, €${shortfall.toFixed(0)} short.`;
+          statusMessage = `At current pace, you'll have ${formatMoney(balanceAtGoalDate, { decimals: 0 })} by ${goalDate.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })}, ${formatMoney(shortfall, { decimals: 0 })} short.`;
         }
       } else {
         status = 'off_track';
-        statusMessage = `Target date has passed. You're €${shortfall.toFixed(0)} short of your €${targetAmount} goal.`;
+        statusMessage = `Target date has passed. You're ${formatMoney(shortfall, { decimals: 0 })} short of your ${formatMoney(targetAmount, { decimals: 0 })} goal.`;
       }
     }
 
@@ -207,9 +226,25 @@ export class ForecastEngine {
    * @param {Array} transactions - Historical transaction data
    * @param {number} months - Number of months to forecast (default: 12)
    * @param {Object} options - Optional configuration
+   * @param {Array} options.recurringSchedules - Explicit recurring schedules (RecurringService)
    * @returns {Array} Array of forecast objects
    */
-  generateExpenseForecasts(transactions, months = 12, _options = {}) {
+  generateExpenseForecasts(transactions, months = 12, options = {}) {
+    const schedules = this._getSchedulesForType(
+      options?.recurringSchedules,
+      'expense'
+    );
+    if (schedules.length > 0) {
+      const baseForecasts = this.generateExpenseForecasts(
+        this._excludeScheduledTransactions(
+          transactions,
+          options.recurringSchedules
+        ),
+        months
+      );
+      return this._applyScheduledAmounts(baseForecasts, schedules);
+    }
+
     try {
       // Validate input
       if (!Array.isArray(transactions) || transactions.length === 0) {
@@ -656,6 +691,124 @@ export class ForecastEngine {
     return totalRecurring;
   }
 
+  /**
+   * Select schedules that contribute to income or expense forecasts
+   * @param {Array} schedules - Recurring schedules
+   * @param {string} kind - 'income' or 'expense' (expense includes refunds)
+   * @returns {Array} Matching schedules
+   */
+  _getSchedulesForType(schedules, kind) {
+    if (!Array.isArray(schedules)) return [];
+    const types = kind === 'income' ? ['income'] : ['expense', 'refund'];
+    return schedules.filter(
+      schedule =>
+        schedule &&
+        schedule.nextDate &&
+        schedule.template &&
+        types.includes(schedule.template.type) &&
+        typeof schedule.template.amount === 'number'
+    );
+  }
+
+  /**
+   * Drop transactions posted by a known schedule so they aren't counted twice
+   * @param {Array} transactions - Transaction data
+   * @param {Array} schedules - Recurring schedules
+   * @returns {Array} Transactions not owned by any schedule
+   */
+  _excludeScheduledTransactions(transactions, schedules) {
+    if (!Array.isArray(transactions)) return [];
+    if (!Array.isArray(schedules) || schedules.length === 0) {
+      return transactions;
+    }
+    const scheduleIds = new Set(schedules.map(s => s && s.id));
+    return transactions.filter(
+      t => !t || !t.recurringId || !scheduleIds.has(t.recurringId)
+    );
+  }
+
+  /**
+   * Get the scheduled amount falling in the calendar month of a date
+   * @param {Array} schedules - Schedules of a single forecast kind
+   * @param {Date} targetDate - Any date within the target month
+   * @returns {number} Scheduled amount (refunds count negative)
+   */
+  _getScheduledAmountForMonth(schedules, targetDate) {
+    const monthStart = new Date(
+      targetDate.getFullYear(),
+      targetDate.getMonth(),
+      1
+    );
+    const monthEnd = new Date(
+      targetDate.getFullYear(),
+      targetDate.getMonth() + 1,
+      0
+    );
+    // Occurrences before the schedule's next due date are already posted
+    return schedules.reduce((total, schedule) => {
+      const from =
+        toDateKey(monthStart) > schedule.nextDate
+          ? monthStart
+          : schedule.nextDate;
+      const count = getOccurrencesBetween(schedule, from, monthEnd).length;
+      const sign = schedule.template.type === 'refund' ? -1 : 1;
+      return total + sign * Math.abs(schedule.template.amount) * count;
+    }, 0);
+  }
+
+  /**
+   * Add known scheduled amounts on top of statistical forecasts
+   * @param {Array} forecasts - Forecasts built from unscheduled history
+   * @param {Array} schedules - Schedules of the same kind
+   * @param {Object|null} goalTarget - Goal to re-evaluate against (income only)
+   * @returns {Array} Forecasts including scheduled amounts
+   */
+  _applyScheduledAmounts(forecasts, schedules, goalTarget = null) {
+    let cumulativeBalance = 0;
+
+    return forecasts.map(forecast => {
+      const scheduledAmount =
+        Math.round(
+          this._getScheduledAmountForMonth(schedules, forecast.period) * 100
+        ) / 100;
+      const predictedAmount = Math.max(
+        0,
+        Math.round((forecast.predictedAmount + scheduledAmount) * 100) / 100
+      );
+      cumulativeBalance += predictedAmount;
+
+      const hasHistory = forecast.method !== 'insufficient_data';
+      const result = {
+        ...forecast,
+        predictedAmount,
+        scheduledAmount,
+        confidenceInterval: {
+          lower: Math.max(
+            0,
+            forecast.confidenceInterval.lower + scheduledAmount
+          ),
+          upper: Math.max(
+            0,
+            forecast.confidenceInterval.upper + scheduledAmount
+          ),
+        },
+        // Scheduled amounts are known in advance, so they carry full confidence
+        confidence: hasHistory ? forecast.confidence : 1,
+        method: hasHistory ? `${forecast.method}+schedules` : 'schedules',
+      };
+
+      if (goalTarget) {
+        result.goalComparison = this._generateGoalComparison(
+          cumulativeBalance,
+          goalTarget,
+          forecast.period
+        );
+      }
+
+      return result;
+    });
+  }
+
   /**
    * Check if transaction is a refund or credit that should be excluded from income forecasts
    * @param {Object} transaction - Transaction object
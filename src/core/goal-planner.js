@@ -8,12 +8,16 @@
  */
 
 import { generateId } from '../utils/id-utils.js';
-import { safeJsonParse } from '../utils/security-utils.js';
+import { DomainStore } from './domain-store.js';
 
 export class GoalPlanner {
   constructor() {
     this.storageKey = 'blinkbudget_goals';
     this.goals = this._loadGoals();
+    // Constructed at import, before IndexedDB data is loaded
+    window.addEventListener('domain-store-ready', () => {
+      this.goals = this._loadGoals();
+    });
 
     // Default assumptions for different goal types
     this.goalDefaults = {
@@ -97,6 +101,7 @@ export class GoalPlanner {
 
       // Calculate required monthly savings
       goal.requiredMonthlySavings = this.calculateRequiredMonthlySavings(goal);
+      this._stampCompletion(goal);
 
       this.goals.push(goal);
       this._saveGoals();
@@ -130,6 +135,7 @@ export class GoalPlanner {
 
       // Recalculate required monthly savings
       goal.requiredMonthlySavings = this.calculateRequiredMonthlySavings(goal);
+      this._stampCompletion(goal);
 
       this._saveGoals();
       return goal;
@@ -197,6 +203,7 @@ export class GoalPlanner {
       // Recalculate derived fields
       goal.requiredMonthlySavings = this.calculateRequiredMonthlySavings(goal);
       goal.updatedDate = new Date();
+      this._stampCompletion(goal);
       this._saveGoals();
       return goal;
     } catch (error) {
@@ -543,15 +550,26 @@ export class GoalPlanner {
   }
 
   /**
-   * Load goals from localStorage
+   * Record when a goal first reached its target; cleared if it falls short
+   * again (e.g. the target was raised)
+   * @param {Object} goal - Goal object, updated in place
+   */
+  _stampCompletion(goal) {
+    if (this.calculateGoalProgress(goal) >= 100) {
+      if (!goal.completedDate) goal.completedDate = new Date();
+    } else {
+      delete goal.completedDate;
+    }
+  }
+
+  /**
+   * Load goals from the domain store
    * @returns {Array} Array of goals
    */
   _loadGoals() {
     try {
-      const stored = localStorage.getItem(this.storageKey);
-      if (!stored) return [];
-
-      const goals = safeJsonParse(stored);
+      const goals = DomainStore.read(this.storageKey);
+      if (!goals) return [];
 
       // Convert date strings back to Date objects
       return goals.map(goal => ({
@@ -559,6 +577,9 @@ export class GoalPlanner {
         targetDate: new Date(goal.targetDate),
         createdDate: new Date(goal.createdDate),
         updatedDate: new Date(goal.updatedDate),
+        ...(goal.completedDate && {
+          completedDate: new Date(goal.completedDate),
+        }),
       }));
     } catch (error) {
       console.error('Error loading goals:', error);
@@ -567,11 +588,11 @@ export class GoalPlanner {
   }
 
   /**
-   * Save goals to localStorage
+   * Save goals to the domain store
    */
   _saveGoals() {
     try {
-      localStorage.setItem(this.storageKey, JSON.stringify(this.goals));
+      DomainStore.write(this.storageKey, this.goals);
 
       // Dispatch storage update event
       window.dispatchEvent(
@@ -625,6 +646,9 @@ export class GoalPlanner {
         targetDate: goal.targetDate ? new Date(goal.targetDate) : new Date(),
         createdDate: goal.createdDate ? new Date(goal.createdDate) : new Date(),
         updatedDate: goal.updatedDate ? new Date(goal.updatedDate) : new Date(),
+        ...(goal.completedDate && {
+          completedDate: new Date(goal.completedDate),
+        }),
       }));
 
     console.log(`[GoalPlanner] Setting ${cleanedGoals.length} validated goals`);
@@ -8,12 +8,16 @@
  */
 
 import { generateId } from '../utils/id-utils.js';
-import { safeJsonParse } from '../utils/security-utils.js';
+import { DomainStore } from './domain-store.js';
 
 export class InvestmentTracker {
   constructor() {
     this.storageKey = 'blinkbudget_investments';
     this.investments = this._loadInvestments();
+    // Constructed at import, before IndexedDB data is loaded
+    window.addEventListener('domain-store-ready', () => {
+      this.investments = this._loadInvestments();
+    });
   }
 
   /**
@@ -248,15 +252,13 @@ export class InvestmentTracker {
   }
 
   /**
-   * Load investments from localStorage
+   * Load investments from the domain store
    * @returns {Array} Array of investments
    */
   _loadInvestments() {
     try {
-      const stored = localStorage.getItem(this.storageKey);
-      if (!stored) return [];
-
-      const investments = safeJsonParse(stored);
+      const investments = DomainStore.read(this.storageKey);
+      if (!investments) return [];
 
       // Convert date strings back to Date objects (with validation)
       return investments
@@ -294,11 +296,11 @@ export class InvestmentTracker {
   }
 
   /**
-   * Save investments to localStorage
+   * Save investments to the domain store
    */
   _saveInvestments() {
     try {
-      localStorage.setItem(this.storageKey, JSON.stringify(this.investments));
+      DomainStore.write(this.storageKey, this.investments);
 
       // Dispatch storage update event
       window.dispatchEvent(
@@ -10,6 +10,7 @@
  */
 
 import { safeJsonParse } from '../utils/security-utils.js';
+import { generateId } from '../utils/id-utils.js';
 
 export const NavigationState = {
   // State storage keys
@@ -23,8 +24,12 @@ export const NavigationState = {
     DASHBOARD_CATEGORY_FILTER: 'navigation_dashboard_category_filter',
     DASHBOARD_TIME_PERIOD: 'navigation_dashboard_time_period',
     DASHBOARD_TYPE_FILTER: 'navigation_dashboard_type_filter',
+    DASHBOARD_SEARCH: 'navigation_dashboard_search',
   },
 
+  // Saved searches outlive the session, so they live in localStorage
+  SAVED_SEARCHES_KEY: 'navigation_dashboard_saved_searches',
+
   /**
    * Save the current time period selection for reports
    * @param {Object} timePeriod - Time period object with startDate, endDate, type, label
@@ -588,6 +593,121 @@ export const NavigationState = {
     }
   },
 
+  /**
+   * Save the dashboard search query
+   * @param {string} query - Search bar text
+   */
+  saveDashboardSearch(query) {
+    try {
+      if (!query || typeof query !== 'string' || query.trim() === '') {
+        this.clearDashboardSearch();
+        return;
+      }
+
+      sessionStorage.setItem(this.STATE_KEYS.DASHBOARD_SEARCH, query);
+    } catch (error) {
+      console.error(
+        '[NavigationState] Failed to save dashboard search:',
+        error
+      );
+    }
+  },
+
+  /**
+   * Restore the dashboard search query
+   * @returns {string} Saved query or an empty string
+   */
+  restoreDashboardSearch() {
+    try {
+      return sessionStorage.getItem(this.STATE_KEYS.DASHBOARD_SEARCH) || '';
+    } catch (error) {
+      console.error(
+        '[NavigationState] Failed to restore dashboard search:',
+        error
+      );
+      return '';
+    }
+  },
+
+  /**
+   * Clear the dashboard search query
+   */
+  clearDashboardSearch() {
+    try {
+      sessionStorage.removeItem(this.STATE_KEYS.DASHBOARD_SEARCH);
+    } catch (error) {
+      console.error(
+        '[NavigationState] Failed to clear dashboard search:',
+        error
+      );
+    }
+  },
+
+  /**
+   * Get saved dashboard searches
+   * @returns {Array} Saved searches ({ id, name, query, savedAt })
+   */
+  getSavedSearches() {
+    try {
+      const savedData = localStorage.getItem(this.SAVED_SEARCHES_KEY);
+      const searches = savedData ? safeJsonParse(savedData) : [];
+      return Array.isArray(searches) ? searches : [];
+    } catch (error) {
+      console.error('[NavigationState] Failed to get saved searches:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Save a dashboard search under a name; an existing search with the same
+   * name is replaced
+   * @param {string} name - Display name
+   * @param {string} query - Search bar text
+   * @returns {Object|null} The saved search or null when invalid
+   */
+  saveSearch(name, query) {
+    try {
+      const trimmedName = typeof name === 'string' ? name.trim() : '';
+      const trimmedQuery = typeof query === 'string' ? query.trim() : '';
+      if (!trimmedName || !trimmedQuery) {
+        console.warn('[NavigationState] Invalid saved search parameters');
+        return null;
+      }
+
+      const searches = this.getSavedSearches().filter(
+        search => search.name.toLowerCase() !== trimmedName.toLowerCase()
+      );
+      const search = {
+        id: generateId(),
+        name: trimmedName,
+        query: trimmedQuery,
+        savedAt: new Date().toISOString(),
+      };
+      searches.push(search);
+
+      localStorage.setItem(this.SAVED_SEARCHES_KEY, JSON.stringify(searches));
+      return search;
+    } catch (error) {
+      console.error('[NavigationState] Failed to save search:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Remove a saved dashboard search
+   * @param {string} id - Saved search ID
+   */
+  removeSavedSearch(id) {
+    try {
+      const searches = this.getSavedSearches().filter(
+        search => search.id !== id
+      );
+      localStorage.setItem(this.SAVED_SEARCHES_KEY, JSON.stringify(searches));
+    } catch (error) {
+      console.error('[NavigationState] Failed to remove saved search:', error);
+    }
+  },
+
   /**
    * Get a summary of current navigation state (for debugging)
    * @returns {Object} Summary of current state
@@ -602,6 +722,7 @@ export const NavigationState = {
       dashboardFilter: this.restoreDashboardFilter(),
       dashboardTimePeriod: this.restoreDashboardTimePeriod(),
       reportsCategoryFilter: this.restoreReportsCategoryFilter(),
+      dashboardSearch: this.restoreDashboardSearch(),
     };
   },
 
@@ -4,9 +4,12 @@
  * Implements GDPR data minimization principles and privacy controls
  */
 
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { DomainStore } from './domain-store.js';
+
 export const PrivacyService = {
   // Privacy settings key
-  PRIVACY_SETTINGS_KEY: 'blinkbudget_privacy_settings',
+  PRIVACY_SETTINGS_KEY: STORAGE_KEYS.PRIVACY_SETTINGS,
 
   // Default privacy settings
   defaultSettings: {
@@ -211,30 +214,23 @@ export const PrivacyService = {
   },
 
   /**
-   * Cleanup old data from localStorage
+   * Cleanup old data from storage
    */
   cleanupOldData(storageKey, cutoffDate) {
     try {
-      const data = localStorage.getItem(storageKey);
-      if (!data) return;
-
-      const parsed = JSON.parse(data);
-      let cleaned;
-
-      if (Array.isArray(parsed)) {
-        cleaned = parsed.filter(item => {
-          const itemDate = new Date(
-            item.timestamp || item.createdAt || item.date
-          );
-          return itemDate >= cutoffDate;
-        });
-      } else {
-        // Handle object data
-        cleaned = parsed;
-      }
+      const parsed = DomainStore.read(storageKey);
+      // Object data has no dates to clean up
+      if (!Array.isArray(parsed)) return;
+
+      const cleaned = parsed.filter(item => {
+        const itemDate = new Date(
+          item.timestamp || item.createdAt || item.date
+        );
+        return itemDate >= cutoffDate;
+      });
 
-      if (JSON.stringify(cleaned) !== data) {
-        localStorage.setItem(storageKey, JSON.stringify(cleaned));
+      if (cleaned.length !== parsed.length) {
+        DomainStore.write(storageKey, cleaned);
       }
     } catch (error) {
       console.warn(`Failed to cleanup ${storageKey}:`, error);
@@ -269,11 +265,12 @@ export const PrivacyService = {
 
     try {
       // Count transactions
-      const transactions = localStorage.getItem('blinkbudget_transactions');
+      const transactions = DomainStore.read(STORAGE_KEYS.TRANSACTIONS);
       if (transactions) {
-        const parsed = JSON.parse(transactions);
-        summary.transactions = Array.isArray(parsed) ? parsed.length : 1;
-        summary.totalSize += transactions.length;
+        summary.transactions = Array.isArray(transactions)
+          ? transactions.length
+          : 1;
+        summary.totalSize += JSON.stringify(transactions).length;
       }
 
       // Count audit logs
@@ -0,0 +1,267 @@
+/**
+ * RecurringService
+ *
+ * Stores explicit recurring transaction schedules (rent, salary, subscriptions)
+ * and materializes due occurrences into real transactions, catching up on any
+ * periods missed while the app was closed or offline.
+ */
+
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { SyncService } from './sync-service.js';
+import { AuthService } from './auth-service.js';
+import { TombstoneService } from './tombstone-service.js';
+import { TransactionService } from './transaction-service.js';
+import { generateId } from '../utils/id-utils.js';
+import { DomainStore } from './domain-store.js';
+import {
+  toDateKey,
+  fromDateKey,
+  normalizeRule,
+  getNextOccurrence,
+} from '../utils/recurrence-utils.js';
+
+const RECURRING_KEY = STORAGE_KEYS.RECURRING;
+
+// Transaction fields copied into (and out of) a schedule template
+const TEMPLATE_FIELDS = [
+  'amount',
+  'type',
+  'category',
+  'accountId',
+  'toAccountId',
+  'description',
+  'tags',
+];
+
+const pickTemplate = source => {
+  const template = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) {
+      template[field] = source[field];
+    }
+  });
+  return template;
+};
+
+export const RecurringService = {
+  _initialized: false,
+  _visibilityHandler: null,
+
+  /**
+   * Materialize due occurrences now and whenever the app becomes visible again
+   */
+  init() {
+    this.materializeDue();
+
+    if (this._initialized) return;
+    this._visibilityHandler = () => {
+      if (!document.hidden) {
+        this.materializeDue();
+      }
+    };
+    document.addEventListener('visibilitychange', this._visibilityHandler);
+    this._initialized = true;
+  },
+
+  /**
+   * Get all recurring schedules
+   * @returns {Array} List of schedules
+   */
+  getAll() {
+    const schedules = DomainStore.read(RECURRING_KEY) || [];
+    if (!Array.isArray(schedules)) return [];
+
+    // IDOR Protection: only expose schedules owned by the current user
+    const currentUserId = AuthService.getUserId();
+    if (!currentUserId) return schedules;
+    return schedules.filter(s => !s.userId || s.userId === currentUserId);
+  },
+
+  /**
+   * Get a schedule by ID
+   * @param {string} id - Schedule ID
+   * @returns {Object|null} Schedule or null
+   */
+  get(id) {
+    if (!id) return null;
+    return this.getAll().find(s => s.id === id) || null;
+  },
+
+  /**
+   * Create a schedule from an existing transaction. The transaction becomes
+   * the first occurrence and is linked to the new schedule.
+   * @param {Object} transaction - Persisted transaction (must have id and timestamp)
+   * @param {Object} rule - { cadence, dayOfMonth?, intervalDays?, endDate? }
+   * @returns {Object|null} Created schedule or null for an invalid rule
+   */
+  createFromTransaction(transaction, rule) {
+    if (!transaction?.id || !transaction.timestamp) return null;
+
+    const startDate = toDateKey(transaction.timestamp);
+    const normalized = normalizeRule(rule, startDate);
+    if (!normalized) return null;
+
+    const now = new Date().toISOString();
+    const schedule = {
+      id: generateId(),
+      userId: AuthService.getUserId(),
+      createdAt: now,
+      updatedAt: now,
+      ...normalized,
+      startDate,
+      endDate: rule.endDate ? toDateKey(rule.endDate) : null,
+      template: pickTemplate(transaction),
+    };
+    schedule.nextDate = getNextOccurrence(schedule, startDate);
+
+    const schedules = this.getAll();
+    schedules.push(schedule);
+    this._persist(schedules);
+
+    TransactionService.update(transaction.id, {
+      recurringId: schedule.id,
+      occurrenceDate: startDate,
+    });
+
+    return schedule;
+  },
+
+  /**
+   * Apply edits to all future occurrences of a schedule ("all future" edit).
+   * The edited occurrence's date becomes the new anchor so cadence and date
+   * changes take effect from that occurrence forward.
+   * @param {string} id - Schedule ID
+   * @param {Object} transactionData - Edited transaction fields
+   * @param {Object} [rule] - Optional new recurrence rule
+   * @returns {Object|null} Updated schedule
+   */
+  updateFromOccurrence(id, transactionData, rule = null) {
+    const schedules = this.getAll();
+    const index = schedules.findIndex(s => s.id === id);
+    if (index === -1) return null;
+
+    const current = schedules[index];
+    const anchor = toDateKey(transactionData.timestamp) || current.startDate;
+    const normalized = normalizeRule(rule || current, anchor) || {
+      cadence: current.cadence,
+    };
+
+    const template = {
+      ...current.template,
+      ...pickTemplate(transactionData),
+    };
+    // Transfers are the only type that keeps a destination account
+    if (template.type !== 'transfer') delete template.toAccountId;
+    if (Array.isArray(template.tags) && template.tags.length === 0) {
+      delete template.tags;
+    }
+
+    const updated = {
+      id: current.id,
+      userId: current.userId,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString(),
+      ...normalized,
+      startDate: anchor,
+      endDate:
+        rule && Object.prototype.hasOwnProperty.call(rule, 'endDate')
+          ? toDateKey(rule.endDate)
+          : current.endDate || null,
+      template,
+    };
+    // Never re-post dates the old series already covered
+    const lastPosted = TransactionService.getAll()
+      .filter(t => t.recurringId === id && t.occurrenceDate)
+      .reduce(
+        (latest, t) => (t.occurrenceDate > latest ? t.occurrenceDate : latest),
+        anchor
+      );
+    updated.nextDate = getNextOccurrence(updated, lastPosted);
+
+    schedules[index] = updated;
+    this._persist(schedules);
+    return updated;
+  },
+
+  /**
+   * Delete a schedule. Already materialized transactions are kept.
+   * @param {string} id - Schedule ID
+   * @returns {boolean} True when a schedule was removed
+   */
+  delete(id) {
+    const schedules = this.getAll();
+    const remaining = schedules.filter(s => s.id !== id);
+    if (remaining.length === schedules.length) return false;
+    TombstoneService.record(RECURRING_KEY, id);
+    this._persist(remaining);
+    return true;
+  },
+
+  /**
+   * Post every occurrence that has come due up to (and including) today,
+   * including catch-up for periods missed while the app was not running.
+   * @param {Date} [today] - Reference date (defaults to now)
+   * @returns {Array} Transactions created
+   */
+  materializeDue(today) {
+    const todayKey = toDateKey(today || new Date());
+    const schedules = this.getAll();
+    if (schedules.length === 0) return [];
+
+    // Occurrences already posted (possibly by another device) are skipped.
+    // Each occurrence gets an ID of its own, so two devices posting it before
+    // they sync produce one record instead of two.
+    const posted = new Set(
+      TransactionService.getAll()
+        .filter(t => t.recurringId && t.occurrenceDate)
+        .map(t => `${t.recurringId}|${t.occurrenceDate}`)
+    );
+
+    const due = [];
+    let changed = false;
+
+    schedules.forEach(schedule => {
+      let next = schedule.nextDate;
+      while (next && next <= todayKey) {
+        if (!posted.has(`${schedule.id}|${next}`)) {
+          due.push({
+            ...schedule.template,
+            id: `${schedule.id}_${next}`,
+            timestamp: fromDateKey(next).toISOString(),
+            recurringId: schedule.id,
+            occurrenceDate: next,
+          });
+        }
+        next = getNextOccurrence(schedule, next);
+      }
+      if (next !== schedule.nextDate) {
+        schedule.nextDate = next;
+        schedule.updatedAt = new Date().toISOString();
+        changed = true;
+      }
+    });
+
+    // One write and one push for the whole catch-up
+    const created = TransactionService.addBatch(due);
+    if (changed) {
+      this._persist(schedules);
+    }
+    if (created.length > 0) {
+      console.log(
+        `[RecurringService] Posted ${created.length} recurring transaction(s)`
+      );
+    }
+    return created;
+  },
+
+  /**
+   * Private helper to persist schedules
+   */
+  _persist(schedules) {
+    DomainStore.write(RECURRING_KEY, schedules);
+    SyncService.pushToCloud(RECURRING_KEY, schedules);
+    window.dispatchEvent(
+      new CustomEvent('storage-updated', { detail: { key: RECURRING_KEY } })
+    );
+  },
+};
@@ -1,3 +1,4 @@
+import { formatMoney } from '../utils/money-format.js';
 /**
  * Savings Goals Service
  *
@@ -173,7 +174,7 @@ export class SavingsGoalsService {
       recommendations.push({
         type: 'emergency_fund',
         title: 'Build Emergency Fund',
-        description: `Save ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(emergencyFundTarget - currentEmergencyFund)} to reach 6 months of expenses`,
+        description: `Save ${formatMoney(emergencyFundTarget - currentEmergencyFund)} to reach 6 months of expenses`,
         target: emergencyFundTarget,
         current: currentEmergencyFund,
         priority: 'high',
@@ -187,7 +188,7 @@ export class SavingsGoalsService {
       recommendations.push({
         type: 'retirement',
         title: 'Retirement Savings',
-        description: `Consider saving ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(retirementMonthlyTarget)} monthly for retirement`,
+        description: `Consider saving ${formatMoney(retirementMonthlyTarget)} monthly for retirement`,
         target: null, // Ongoing goal
         current: 0,
         priority: 'medium',
@@ -0,0 +1,210 @@
+/**
+ * StatementImportService
+ *
+ * Import pipeline for bank statements: parse (CSV, OFX, QIF), preview,
+ * map onto the user's categories, flag likely duplicates and commit the
+ * selected rows as one batch.
+ */
+
+import { TransactionService } from './transaction-service.js';
+import { CustomCategoryService } from './custom-category-service.js';
+import { SettingsService } from './settings-service.js';
+import { AccountService } from './Account/account-service.js';
+import { fromDateKey, toDateKey } from '../utils/recurrence-utils.js';
+import {
+  STATEMENT_FORMATS,
+  detectStatementFormat,
+  parseCsv,
+  guessColumnMapping,
+  detectDateFormat,
+  detectDecimalSeparator,
+  csvRowsToRecords,
+  parseOfx,
+  parseQif,
+} from '../utils/statement-parsers.js';
+
+const MAPPINGS_SETTING = 'importMappings';
+
+/**
+ * Bank exports are recognised by their header row, so a mapping saved for
+ * one statement is reused automatically for the next one from the same bank.
+ */
+const getBankKey = headers =>
+  headers.map(h => h.trim().toLowerCase()).join('|');
+
+/**
+ * Duplicate hash. Same idea as DataIntegrityService.createTransactionHash()
+ * (amount + date + distinguishing fields), but keyed on the calendar day and
+ * type only: imported descriptions and mapped categories rarely match what
+ * the user typed by hand, and descriptions may be stripped by data
+ * minimization.
+ */
+const createImportHash = transaction =>
+  `${Number(transaction.amount).toFixed(2)}_${toDateKey(transaction.timestamp)}_${transaction.type}_${transaction.accountId}`;
+
+export const StatementImportService = {
+  /**
+   * Parse a statement file into normalized records
+   * @param {string} text - File contents
+   * @param {Object} [options]
+   * @param {string} [options.fileName] - Used for format detection
+   * @param {Object} [options.mapping] - CSV column mapping override
+   * @returns {Object} { format, records, headers?, mapping?, bankKey? }
+   */
+  parse(text, { fileName = '', mapping = null } = {}) {
+    const format = detectStatementFormat(fileName, text);
+
+    if (format === STATEMENT_FORMATS.OFX) {
+      return { format, records: parseOfx(text) };
+    }
+    if (format === STATEMENT_FORMATS.QIF) {
+      return { format, records: parseQif(text) };
+    }
+
+    const parsed = parseCsv(text, mapping?.delimiter);
+    const bankKey = getBankKey(parsed.headers);
+    const resolved = mapping || this.getSavedMapping(bankKey) || null;
+    const columns = resolved || guessColumnMapping(parsed.headers);
+
+    const columnValues = header => {
+      const index = parsed.headers.indexOf(header);
+      return index >= 0 ? parsed.rows.map(row => row[index]) : [];
+    };
+    const amountSamples = [
+      ...columnValues(columns.amount),
+      ...columnValues(columns.debit),
+      ...columnValues(columns.credit),
+    ];
+
+    const fullMapping = {
+      ...columns,
+      delimiter: parsed.delimiter,
+      dateFormat:
+        resolved?.dateFormat || detectDateFormat(columnValues(columns.date)),
+      decimalSeparator:
+        resolved?.decimalSeparator || detectDecimalSeparator(amountSamples),
+    };
+
+    return {
+      format,
+      headers: parsed.headers,
+      bankKey,
+      mapping: fullMapping,
+      records: csvRowsToRecords(parsed, fullMapping),
+    };
+  },
+
+  /**
+   * Get the column mapping saved for a bank export layout
+   * @param {string} bankKey - Header signature
+   * @returns {Object|null} Saved mapping
+   */
+  getSavedMapping(bankKey) {
+    const mappings = SettingsService.getSetting(MAPPINGS_SETTING) || {};
+    return mappings[bankKey] || null;
+  },
+
+  /**
+   * Remember a column mapping for a bank export layout
+   * @param {string} bankKey - Header signature
+   * @param {Object} mapping - Column mapping
+   */
+  saveMapping(bankKey, mapping) {
+    if (!bankKey) return;
+    const mappings = SettingsService.getSetting(MAPPINGS_SETTING) || {};
+    SettingsService.saveSetting(MAPPINGS_SETTING, {
+      ...mappings,
+      [bankKey]: mapping,
+    });
+  },
+
+  /**
+   * Map a statement category or description onto the user's category list
+   * @param {Object} record - Normalized record
+   * @param {string} type - 'expense' or 'income'
+   * @param {Array} categories - Categories from CustomCategoryService
+   * @returns {string|null} Category name
+   */
+  matchCategory(record, type, categories) {
+    const ofType = categories.filter(c => c.type === type);
+    const byName = name =>
+      ofType.find(c => c.name.toLowerCase() === name.toLowerCase());
+
+    if (record.category && byName(record.category)) {
+      return byName(record.category).name;
+    }
+
+    const description = (record.description || '').toLowerCase();
+    if (description) {
+      const mentioned = ofType.find(c =>
+        description.includes(c.name.toLowerCase())
+      );
+      if (mentioned) return mentioned.name;
+    }
+
+    // Fall back to the catch-all category, then to the first one available
+    const fallback = byName('Други') || ofType[0];
+    return fallback ? fallback.name : null;
+  },
+
+  /**
+   * Build preview rows for the records of a parsed statement
+   * @param {Array} records - Normalized records
+   * @param {Object} [options]
+   * @param {string} [options.accountId] - Target account (defaults to the default account)
+   * @returns {Array} Rows of { transaction, duplicate, selected }
+   */
+  buildPreview(records, { accountId } = {}) {
+    const targetAccountId = accountId || AccountService.getDefaultAccount().id;
+    const categories = CustomCategoryService.getAll();
+    const existing = TransactionService.getAll();
+
+    const importIds = new Set(
+      existing.filter(t => t.importId).map(t => t.importId)
+    );
+    // Counting hashes lets two identical coffees on the same day both import
+    // when only one of them is already recorded
+    const hashCounts = new Map();
+    existing.forEach(t => {
+      const hash = createImportHash(t);
+      hashCounts.set(hash, (hashCounts.get(hash) || 0) + 1);
+    });
+
+    return records.map(record => {
+      const type = record.amount < 0 ? 'expense' : 'income';
+      const transaction = {
+        amount: Math.abs(record.amount),
+        type,
+        category: this.matchCategory(record, type, categories),
+        description: record.description || '',
+        timestamp: fromDateKey(record.date).toISOString(),
+        accountId: targetAccountId,
+        ...(record.externalId && { importId: record.externalId }),
+      };
+
+      let duplicate = false;
+      if (record.externalId && importIds.has(record.externalId)) {
+        duplicate = true;
+      } else {
+        const hash = createImportHash(transaction);
+        const count = hashCounts.get(hash) || 0;
+        if (count > 0) {
+          duplicate = true;
+          hashCounts.set(hash, count - 1);
+        }
+      }
+
+      return { transaction, duplicate, selected: !duplicate };
+    });
+  },
+
+  /**
+   * Commit the selected preview rows in a single persist/sync
+   * @param {Array} rows - Preview rows
+   * @returns {Array} Added transactions
+   */
+  commit(rows) {
+    const selected = rows.filter(row => row.selected);
+    return TransactionService.addBatch(selected.map(row => row.transaction));
+  },
+};
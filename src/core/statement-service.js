@@ -0,0 +1,109 @@
+/**
+ * Statement Service
+ * Gathers everything a printable statement shows for one time period:
+ * income vs expenses, category breakdown, budget adherence, account balances
+ * at the end of the period and the largest transactions. Amounts are in the
+ * base currency unless a row says otherwise.
+ */
+
+import { MetricsService } from './analytics/MetricsService.js';
+import { FilteringService } from './analytics/FilteringService.js';
+import { BudgetPlanner } from './budget-planner.js';
+import { CurrencyService } from './currency-service.js';
+import { AccountService } from './Account/account-service.js';
+import { TRANSACTION_TYPES } from '../utils/constants.js';
+import { formatTimePeriod } from '../utils/reports-utils.js';
+
+const DEFAULT_TOP_COUNT = 10;
+
+const endOfDay = value => {
+  const date = new Date(value);
+  date.setHours(23, 59, 59, 999);
+  return date;
+};
+
+export const StatementService = {
+  /**
+   * Build the statement for a period
+   * @param {Array} transactions - All transactions (not pre-filtered)
+   * @param {Object} timePeriod - { startDate, endDate } from TimePeriodSelector
+   * @param {Object} [options]
+   * @param {number} [options.topCount] - Number of largest transactions
+   * @returns {Object} { title, periodLabel, generatedAt, currency, summary,
+   *   categories, budgets, budgetSummary, accounts, netWorth,
+   *   topTransactions }
+   */
+  build(transactions, timePeriod, options = {}) {
+    const topCount = options.topCount ?? DEFAULT_TOP_COUNT;
+    const converter = CurrencyService.createConverter();
+    const accountNames = new Map(
+      AccountService.getAccounts().map(a => [a.id, a.name])
+    );
+
+    const breakdown = MetricsService.calculateCategoryBreakdown(
+      transactions,
+      timePeriod
+    );
+    const categories = [...breakdown.categories].sort(
+      (a, b) => b.amount - a.amount
+    );
+
+    const budgets = BudgetPlanner.getBudgetsStatus(
+      transactions,
+      timePeriod
+    ).map(b => ({
+      label: b.label,
+      periodLabel: b.periodLabel,
+      available: b.available,
+      actual: b.actual,
+      utilization: b.utilization,
+      isExceeded: b.isExceeded,
+      isWarning: b.isWarning,
+    }));
+
+    // Balances include everything up to the end of the period
+    const periodEnd = endOfDay(timePeriod.endDate);
+    const accounts = CurrencyService.getAccountBalances(
+      transactions.filter(t => new Date(t.date || t.timestamp) <= periodEnd)
+    ).map(b => ({
+      ...b,
+      name: accountNames.get(b.accountId) || b.accountId,
+    }));
+
+    const topTransactions = FilteringService.filterByTimePeriod(
+      transactions,
+      timePeriod
+    )
+      .filter(t => t.type !== TRANSACTION_TYPES.TRANSFER)
+      .map(t => ({
+        id: t.id,
+        date: t.date || t.timestamp,
+        type: t.type,
+        category: t.category || 'Uncategorized',
+        description: t.description || '',
+        account: accountNames.get(t.accountId) || '',
+        amount: t.amount || 0,
+        currency: t.currency || converter.accountCurrency(t.accountId),
+        baseAmount: Math.abs(converter.amount(t)),
+      }))
+      .sort((a, b) => b.baseAmount - a.baseAmount)
+      .slice(0, topCount);
+
+    return {
+      title: 'Financial Statement',
+      periodLabel: formatTimePeriod(timePeriod),
+      generatedAt: new Date().toISOString(),
+      currency: converter.base,
+      summary: MetricsService.calculateIncomeVsExpenses(
+        transactions,
+        timePeriod
+      ),
+      categories,
+      budgets,
+      budgetSummary: BudgetPlanner.getSummary(transactions, timePeriod),
+      accounts,
+      netWorth: accounts.reduce((sum, a) => sum + a.baseBalance, 0),
+      topTransactions,
+    };
+  },
+};
@@ -0,0 +1,337 @@
+/**
+ * IndexedDB Adapter
+ * Domain data in IndexedDB behind an in-memory cache. open() loads every
+ * data type once; reads are then served from memory, and writes update the
+ * cache right away and persist in the background, in write order.
+ *
+ * Transactions are stored one row per record in their own object store,
+ * indexed by timestamp, category and accountId, so a write only touches the
+ * records that changed. Their order, and any record without an id, is kept
+ * in the `values` store next to the other data types, which are small and
+ * stored whole as { key, value }.
+ *
+ * Committed writes are announced to other tabs over a BroadcastChannel, and
+ * those tabs reload the changed data type.
+ */
+
+import { STORAGE_KEYS } from '../../utils/constants.js';
+
+const DB_NAME = 'blinkbudget_data';
+const DB_VERSION = 1;
+const VALUES_STORE = 'values';
+const CHANNEL_NAME = 'blinkbudget_data';
+
+// Data types stored one row per record, with their object store and indexes
+const RECORD_STORES = {
+  [STORAGE_KEYS.TRANSACTIONS]: {
+    store: 'transactions',
+    indexes: ['timestamp', 'category', 'accountId'],
+  },
+};
+
+const orderKey = key => `${key}:order`;
+const unindexedKey = key => `${key}:unindexed`;
+
+const isRecordId = id =>
+  (typeof id === 'string' && id !== '') || typeof id === 'number';
+
+// Stored values look exactly like a localStorage round trip would
+const toJsonValue = value => JSON.parse(JSON.stringify(value ?? null));
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(VALUES_STORE)) {
+          db.createObjectStore(VALUES_STORE, { keyPath: 'key' });
+        }
+        Object.values(RECORD_STORES).forEach(({ store, indexes }) => {
+          if (db.objectStoreNames.contains(store)) return;
+          const records = db.createObjectStore(store, { keyPath: 'id' });
+          indexes.forEach(index => records.createIndex(index, index));
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const requestResult = request =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = tx =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+/**
+ * Key range for an index query
+ * @param {Object} range - { equals } or inclusive { from, to }
+ * @returns {IDBKeyRange|undefined}
+ */
+const toKeyRange = ({ equals, from, to } = {}) => {
+  if (equals !== undefined) return IDBKeyRange.only(equals);
+  if (from !== undefined && to !== undefined) {
+    return IDBKeyRange.bound(from, to);
+  }
+  if (from !== undefined) return IDBKeyRange.lowerBound(from);
+  if (to !== undefined) return IDBKeyRange.upperBound(to);
+  return undefined;
+};
+
+export const IndexedDBAdapter = {
+  name: 'indexedDB',
+  _keys: [],
+  _cache: new Map(), // key -> stored value
+  _rows: new Map(), // record data types: key -> Map(id -> { json, record })
+  _revisions: new Map(),
+  _pending: Promise.resolve(),
+  _error: null,
+  _channel: null,
+
+  /**
+   * Whether this browser has IndexedDB
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  },
+
+  /**
+   * Load the given data types into memory
+   * @param {Array<string>} keys - Storage keys served by this adapter
+   */
+  async open(keys) {
+    this._keys = [...new Set([...this._keys, ...keys])];
+    const stored = await this._readStored(keys);
+    keys.forEach(key => this._applyStored(key, stored));
+    this._listen();
+  },
+
+  /**
+   * @param {string} key - Storage key
+   * @returns {*} Cached value, null when missing. Arrays are shallow copies;
+   *   replace records instead of mutating them in place.
+   */
+  read(key) {
+    const value = this._cache.get(key);
+    if (value === undefined) return null;
+    if (Array.isArray(value)) return [...value];
+    return value && typeof value === 'object' ? { ...value } : value;
+  },
+
+  /**
+   * Update the cache and persist the change in the background
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store
+   */
+  write(key, value) {
+    const config = RECORD_STORES[key];
+    if (!config) {
+      const stored = toJsonValue(value);
+      this._cache.set(key, stored);
+      this._bump(key);
+      this._enqueue(key, [VALUES_STORE], tx => {
+        tx.objectStore(VALUES_STORE).put({ key, value: stored });
+      });
+      return;
+    }
+
+    const previous = this._rows.get(key) || new Map();
+    const next = new Map();
+    const records = [];
+    const order = [];
+    const unindexed = [];
+    const puts = [];
+    (Array.isArray(value) ? value : []).forEach(item => {
+      const json = JSON.stringify(item ?? null);
+      const id = item?.id;
+      if (isRecordId(id) && !next.has(id)) {
+        // Unchanged records are neither parsed nor written again
+        const known = previous.get(id);
+        const record =
+          known && known.json === json ? known.record : JSON.parse(json);
+        if (record !== known?.record) puts.push(record);
+        next.set(id, { json, record });
+        order.push(id);
+        records.push(record);
+      } else {
+        const record = JSON.parse(json);
+        unindexed.push(record);
+        records.push(record);
+      }
+    });
+    const deletes = [...previous.keys()].filter(id => !next.has(id));
+
+    this._rows.set(key, next);
+    this._cache.set(key, records);
+    this._bump(key);
+    this._enqueue(key, [VALUES_STORE, config.store], tx => {
+      const store = tx.objectStore(config.store);
+      puts.forEach(record => store.put(record));
+      deletes.forEach(id => store.delete(id));
+      const values = tx.objectStore(VALUES_STORE);
+      values.put({ key: orderKey(key), value: order });
+      values.put({ key: unindexedKey(key), value: unindexed });
+    });
+  },
+
+  /**
+   * @param {string} key - Storage key
+   */
+  remove(key) {
+    const config = RECORD_STORES[key];
+    this._cache.delete(key);
+    this._rows.delete(key);
+    this._bump(key);
+    const stores = config ? [VALUES_STORE, config.store] : [VALUES_STORE];
+    this._enqueue(key, stores, tx => {
+      const values = tx.objectStore(VALUES_STORE);
+      values.delete(key);
+      if (!config) return;
+      values.delete(orderKey(key));
+      values.delete(unindexedKey(key));
+      tx.objectStore(config.store).clear();
+    });
+  },
+
+  /**
+   * Wait for queued writes
+   * @throws {Error} The first write that failed since the last flush
+   */
+  async flush() {
+    await this._pending;
+    const error = this._error;
+    this._error = null;
+    if (error) throw error;
+  },
+
+  /**
+   * Counter that changes whenever the cached value of a key does
+   * @param {string} key - Storage key
+   * @returns {number}
+   */
+  revision(key) {
+    return this._revisions.get(key) || 0;
+  },
+
+  /**
+   * Records of a data type by index, in index order
+   * @param {string} key - Storage key
+   * @param {string} index - Index name
+   * @param {Object} range - { equals } or inclusive { from, to }
+   * @returns {Promise<Array<Object>|null>} null when the key has no such index
+   */
+  async query(key, index, range) {
+    const config = RECORD_STORES[key];
+    if (!config || !config.indexes.includes(index)) return null;
+    await this._pending;
+    const db = await openDb();
+    const tx = db.transaction(config.store, 'readonly');
+    return requestResult(
+      tx.objectStore(config.store).index(index).getAll(toKeyRange(range))
+    );
+  },
+
+  _bump(key) {
+    this._revisions.set(key, this.revision(key) + 1);
+  },
+
+  // Persist in write order; a failure is kept for the next flush()
+  _enqueue(key, stores, apply) {
+    const run = this._pending.then(async () => {
+      const db = await openDb();
+      const tx = db.transaction(stores, 'readwrite');
+      apply(tx);
+      await transactionDone(tx);
+      this._channel?.postMessage({ key });
+    });
+    this._pending = run.catch(error => {
+      this._error = this._error || error;
+      console.error(`[IndexedDBAdapter] Failed to save ${key}:`, error);
+    });
+  },
+
+  async _readStored(keys) {
+    const db = await openDb();
+    const recordKeys = keys.filter(key => RECORD_STORES[key]);
+    const tx = db.transaction(
+      [VALUES_STORE, ...recordKeys.map(key => RECORD_STORES[key].store)],
+      'readonly'
+    );
+    const [values, ...rows] = await Promise.all([
+      requestResult(tx.objectStore(VALUES_STORE).getAll()),
+      ...recordKeys.map(key =>
+        requestResult(tx.objectStore(RECORD_STORES[key].store).getAll())
+      ),
+    ]);
+    return {
+      values: new Map(values.map(entry => [entry.key, entry.value])),
+      rows: new Map(recordKeys.map((key, i) => [key, rows[i]])),
+    };
+  },
+
+  _applyStored(key, { values, rows }) {
+    this._bump(key);
+    if (!RECORD_STORES[key]) {
+      if (values.has(key)) this._cache.set(key, values.get(key));
+      else this._cache.delete(key);
+      return;
+    }
+
+    const order = values.get(orderKey(key));
+    if (!order) {
+      this._cache.delete(key);
+      this._rows.delete(key);
+      return;
+    }
+    const byId = new Map((rows.get(key) || []).map(row => [row.id, row]));
+    const records = order.filter(id => byId.has(id)).map(id => byId.get(id));
+    // Records without an id lose their position and go last
+    records.push(...(values.get(unindexedKey(key)) || []));
+    this._cache.set(key, records);
+    this._rows.set(
+      key,
+      new Map(
+        records
+          .filter(record => isRecordId(record?.id))
+          .map(record => [record.id, { json: JSON.stringify(record), record }])
+      )
+    );
+  },
+
+  _listen() {
+    if (this._channel || !window.BroadcastChannel) return;
+    this._channel = new window.BroadcastChannel(CHANNEL_NAME);
+    this._channel.onmessage = event => {
+      const key = event.data?.key;
+      if (!this._keys.includes(key)) return;
+      this._reload(key).catch(error =>
+        console.warn(`[IndexedDBAdapter] Failed to reload ${key}:`, error)
+      );
+    };
+  },
+
+  // Another tab saved this data type
+  async _reload(key) {
+    await this._pending;
+    this._applyStored(key, await this._readStored([key]));
+    window.dispatchEvent(
+      new CustomEvent('storage-updated', { detail: { key } })
+    );
+  },
+};
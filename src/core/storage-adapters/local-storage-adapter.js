@@ -0,0 +1,55 @@
+/**
+ * LocalStorage Adapter
+ * Keeps each data type as one JSON string in localStorage, the way the app
+ * always stored it. Used when IndexedDB is unavailable, and by tests. Reads
+ * go straight to localStorage so direct writes to it stay visible.
+ */
+
+import { safeJsonParse } from '../../utils/security-utils.js';
+
+export const LocalStorageAdapter = {
+  name: 'localStorage',
+
+  /**
+   * Nothing to load, localStorage is read on demand
+   */
+  async open() {},
+
+  /**
+   * @param {string} key - Storage key
+   * @returns {*} Stored value, null when missing
+   */
+  read(key) {
+    const data = localStorage.getItem(key);
+    return data ? safeJsonParse(data) : null;
+  },
+
+  /**
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store
+   */
+  write(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  },
+
+  /**
+   * @param {string} key - Storage key
+   */
+  remove(key) {
+    localStorage.removeItem(key);
+  },
+
+  /**
+   * Writes are synchronous, so there is never anything pending
+   */
+  async flush() {},
+
+  /**
+   * localStorage can change behind the adapter's back, so there is no
+   * revision to compare against
+   * @returns {null}
+   */
+  revision() {
+    return null;
+  },
+};
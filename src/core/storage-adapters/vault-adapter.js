@@ -0,0 +1,154 @@
+/**
+ * Vault Adapter
+ * Domain data encrypted at rest. Decrypted values only live in memory while
+ * the vault is unlocked; each data type is saved as one AES-GCM envelope
+ * under `{key}_vault`, in IndexedDB when available and localStorage
+ * otherwise. Writes update memory right away and are encrypted and saved in
+ * the background, only the latest value per key.
+ */
+
+import { decryptJson, encryptJson } from '../../utils/vault-crypto.js';
+import { IndexedDBAdapter } from './indexeddb-adapter.js';
+import { LocalStorageAdapter } from './local-storage-adapter.js';
+
+const REMOVED = Symbol('removed');
+
+const vaultKey = key => `${key}_vault`;
+
+// Stored values look exactly like a localStorage round trip would
+const toJsonValue = value => JSON.parse(JSON.stringify(value ?? null));
+
+const backing = () =>
+  IndexedDBAdapter.isSupported() ? IndexedDBAdapter : LocalStorageAdapter;
+
+export const VaultAdapter = {
+  name: 'vault',
+  _key: null,
+  _cache: new Map(),
+  _revisions: new Map(),
+  _dirty: new Map(), // key -> value waiting to be encrypted, or REMOVED
+  _pending: Promise.resolve(),
+  _error: null,
+
+  /**
+   * @param {CryptoKey} dataKey - Unwrapped vault data key
+   */
+  setKey(dataKey) {
+    this._key = dataKey;
+  },
+
+  /**
+   * Decrypt the given data types into memory
+   * @param {Array<string>} keys - Storage keys served by this adapter
+   * @throws {Error} When locked or an envelope can't be decrypted
+   */
+  async open(keys) {
+    if (!this._key) throw new Error('The vault is locked');
+    const store = backing();
+    await store.open(keys.map(vaultKey));
+    for (const key of keys) {
+      const envelope = store.read(vaultKey(key));
+      if (envelope)
+        this._cache.set(key, await decryptJson(this._key, envelope));
+      else this._cache.delete(key);
+      this._bump(key);
+    }
+  },
+
+  /**
+   * @param {string} key - Storage key
+   * @returns {*} Decrypted value, null when missing. Arrays are shallow
+   *   copies; replace records instead of mutating them in place.
+   */
+  read(key) {
+    const value = this._cache.get(key);
+    if (value === undefined) return null;
+    if (Array.isArray(value)) return [...value];
+    return value && typeof value === 'object' ? { ...value } : value;
+  },
+
+  /**
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store
+   */
+  write(key, value) {
+    const stored = toJsonValue(value);
+    this._cache.set(key, stored);
+    this._bump(key);
+    this._schedule(key, stored);
+  },
+
+  /**
+   * @param {string} key - Storage key
+   */
+  remove(key) {
+    this._cache.delete(key);
+    this._bump(key);
+    this._schedule(key, REMOVED);
+  },
+
+  /**
+   * Wait for queued writes
+   * @throws {Error} The first write that failed since the last flush
+   */
+  async flush() {
+    await this._pending;
+    const error = this._error;
+    this._error = null;
+    if (error) throw error;
+  },
+
+  /**
+   * @param {string} key - Storage key
+   * @returns {number}
+   */
+  revision(key) {
+    return this._revisions.get(key) || 0;
+  },
+
+  /**
+   * Forget the key and every decrypted value
+   */
+  close() {
+    this._key = null;
+    this._cache.clear();
+    this._dirty.clear();
+  },
+
+  /**
+   * Delete the encrypted envelopes of the given data types
+   * @param {Array<string>} keys - Storage keys
+   */
+  async destroy(keys) {
+    const store = backing();
+    keys.forEach(key => store.remove(vaultKey(key)));
+    await store.flush();
+  },
+
+  _bump(key) {
+    this._revisions.set(key, this.revision(key) + 1);
+  },
+
+  _schedule(key, value) {
+    const queued = this._dirty.size > 0;
+    this._dirty.set(key, value);
+    // A queued save picks up the latest values when it runs
+    if (queued) return;
+    const run = this._pending.then(() => this._save());
+    this._pending = run.catch(error => {
+      this._error = this._error || error;
+      console.error('[VaultAdapter] Failed to save encrypted data:', error);
+    });
+  },
+
+  async _save() {
+    const batch = [...this._dirty];
+    this._dirty.clear();
+    const store = backing();
+    for (const [key, value] of batch) {
+      if (value === REMOVED) store.remove(vaultKey(key));
+      else store.write(vaultKey(key), await encryptJson(this._key, value));
+    }
+    await store.flush();
+  },
+};
@@ -4,6 +4,7 @@ import { SettingsService } from './settings-service.js';
 import { InvestmentTracker } from './investment-tracker.js';
 import { GoalPlanner } from './goal-planner.js';
 import { SyncService } from './sync-service.js';
+import { TombstoneService } from './tombstone-service.js';
 import { BudgetService } from './budget-service.js';
 import { STORAGE_KEYS } from '../utils/constants.js';
 import { CacheService } from './cache-service.js';
@@ -34,6 +35,7 @@ export const StorageService = {
         } catch (err) {
           attempt += 1;
           if (attempt > retries) {
+            // The write stays in the sync outbox and is replayed later
             console.error(`[Storage] pushToCloud failed for ${key}:`, err);
             window.dispatchEvent(
               new CustomEvent('sync-error', {
@@ -124,7 +126,11 @@ export const StorageService = {
     return res;
   },
   removeInvestment: function (symbol) {
+    const investment = this._investmentTracker.getInvestment(symbol);
     const res = this._investmentTracker.removeInvestment(symbol);
+    if (res && investment?.id) {
+      TombstoneService.record(STORAGE_KEYS.INVESTMENTS, investment.id);
+    }
     CacheService.del('portfolioSummary');
     this._pushToCloudSafe(
       STORAGE_KEYS.INVESTMENTS,
@@ -201,6 +207,7 @@ export const StorageService = {
   },
   deleteGoal: function (goalId) {
     const res = this._goalPlanner.deleteGoal(goalId);
+    if (res) TombstoneService.record(STORAGE_KEYS.GOALS, goalId);
     CacheService.del('goalsSummary');
     this._pushToCloudSafe(STORAGE_KEYS.GOALS, this._goalPlanner.getAllGoals());
     return res;
@@ -0,0 +1,72 @@
+/**
+ * Sync Base
+ * The last synced version of each record's merge fields, the common
+ * ancestor SyncService uses for three-way merges. Kept per data type in
+ * localStorage under `{dataType}_sync_base` as { [recordId]: fingerprint },
+ * and only for data types listed in MERGE_FIELDS. Fingerprints are field
+ * hashes, so no financial data is copied out of DomainStore.
+ */
+
+import { safeJsonParse } from '../utils/security-utils.js';
+import {
+  MERGE_FIELDS,
+  fingerprintMergeFields,
+} from '../utils/three-way-merge.js';
+
+const baseKey = key => `${key}_sync_base`;
+
+export const SyncBase = {
+  /**
+   * Base versions of a data type
+   * @param {string} key - Storage key
+   * @returns {Object} Record ID to fingerprint
+   */
+  get(key) {
+    if (!MERGE_FIELDS[key]) return {};
+    const stored = safeJsonParse(localStorage.getItem(baseKey(key)) || '{}');
+    if (!stored || typeof stored !== 'object') return {};
+    // Entries saved as field values by earlier versions are dropped
+    return Object.fromEntries(
+      Object.entries(stored).filter(([, value]) => typeof value === 'string')
+    );
+  },
+
+  /**
+   * After a push the cloud holds exactly these records
+   * @param {string} key - Storage key
+   * @param {Array<Object>} records - Pushed records
+   */
+  recordPushed(key, records) {
+    const fields = MERGE_FIELDS[key];
+    if (!fields || !Array.isArray(records)) return;
+    const base = {};
+    records.forEach(record => {
+      if (record?.id) base[record.id] = fingerprintMergeFields(record, fields);
+    });
+    this._save(key, base);
+  },
+
+  /**
+   * After a merge these records match the cloud; other entries stay
+   * @param {string} key - Storage key
+   * @param {Array<Object>} records - Records taken over from the cloud
+   */
+  recordMerged(key, records) {
+    const fields = MERGE_FIELDS[key];
+    if (!fields || records.length === 0) return;
+    const base = this.get(key);
+    records.forEach(record => {
+      if (record?.id) base[record.id] = fingerprintMergeFields(record, fields);
+    });
+    this._save(key, base);
+  },
+
+  _save(key, base) {
+    try {
+      localStorage.setItem(baseKey(key), JSON.stringify(base));
+    } catch (error) {
+      // Without a base, merges fall back to last-write-wins
+      console.warn('[SyncBase] Failed to save base versions:', error);
+    }
+  },
+};
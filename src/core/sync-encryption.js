@@ -0,0 +1,191 @@
+/**
+ * Sync Encryption
+ * Optional end-to-end encryption of what SyncService and BackupService store
+ * in Firestore. Payloads are encrypted on the device with a random AES-GCM
+ * key that only the user's devices hold, so the server sees ciphertext plus
+ * the metadata syncing needs: document and chunk ids, sync times and backup
+ * dates.
+ *
+ * The key is kept per user in localStorage under STORAGE_KEYS.SYNC_ENCRYPTION
+ * as { userId, keyId, key (base64), createdAt } and reaches other devices as
+ * a recovery code. A device that finds data encrypted with a key it doesn't
+ * hold records it as missingKeyId and holds back its writes until the code
+ * is entered, so it never overwrites ciphertext with plaintext.
+ */
+
+import { AuthService } from './auth-service.js';
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { safeJsonParse } from '../utils/security-utils.js';
+import {
+  decryptJson,
+  encryptJson,
+  exportRawKey,
+  fromBase64,
+  generateDataKey,
+  importRawKey,
+  keyFingerprint,
+  toBase64,
+} from '../utils/vault-crypto.js';
+import {
+  decodeRecoveryCode,
+  encodeRecoveryCode,
+} from '../utils/recovery-code.js';
+
+const SETTINGS_KEY = STORAGE_KEYS.SYNC_ENCRYPTION;
+const KEY_BYTES = 32;
+
+export const SyncEncryption = {
+  _key: null, // { keyId, cryptoKey } of the stored key, once imported
+
+  /**
+   * @returns {boolean} Whether this device encrypts what it syncs
+   */
+  isEnabled() {
+    return Boolean(this._getSettings()?.key);
+  },
+
+  /**
+   * @returns {string|null} Fingerprint of the key in use, null when off
+   */
+  getKeyId() {
+    const settings = this._getSettings();
+    return settings?.key ? settings.keyId : null;
+  },
+
+  /**
+   * @returns {boolean} Whether synced data uses a key this device lacks
+   */
+  isKeyMissing() {
+    return Boolean(this._getSettings()?.missingKeyId);
+  },
+
+  /**
+   * Create the sync key for the signed-in user
+   * @returns {Promise<string>} Recovery code for adding other devices
+   * @throws {Error} When already enabled or nobody is signed in
+   */
+  async enable() {
+    if (!AuthService.getUserId()) throw new Error('Sign in to sync first');
+    if (this.isEnabled()) throw new Error('Sync encryption is already on');
+    const bytes = await exportRawKey(await generateDataKey());
+    await this._storeKey(bytes);
+    console.log('[SyncEncryption] Sync encryption enabled');
+    return encodeRecoveryCode(bytes);
+  },
+
+  /**
+   * @returns {string|null} Recovery code of the key in use, null when off
+   */
+  getRecoveryCode() {
+    const settings = this._getSettings();
+    return settings?.key ? encodeRecoveryCode(fromBase64(settings.key)) : null;
+  },
+
+  /**
+   * Use the key from another device
+   * @param {string} code - Recovery code shown on that device
+   * @throws {Error} 'Invalid recovery code', or a code for another key than
+   *   the one synced data is encrypted with
+   */
+  async importRecoveryCode(code) {
+    if (!AuthService.getUserId()) throw new Error('Sign in to sync first');
+    const bytes = decodeRecoveryCode(code, KEY_BYTES);
+    const missingKeyId = this._getSettings()?.missingKeyId;
+    if (missingKeyId && missingKeyId !== (await keyFingerprint(bytes))) {
+      throw new Error('This recovery code is for a different key');
+    }
+    await this._storeKey(bytes);
+    console.log('[SyncEncryption] Sync key imported');
+  },
+
+  /**
+   * Encrypt a payload for Firestore
+   * @param {*} value - JSON-serializable payload
+   * @returns {Promise<{e2e: Object}>} Document holding only ciphertext
+   * @throws {Error} When sync encryption is off
+   */
+  async seal(value) {
+    const key = await this._loadKey();
+    if (!key) throw new Error('Sync encryption is off');
+    return {
+      e2e: {
+        version: 1,
+        keyId: key.keyId,
+        ...(await encryptJson(key.cryptoKey, value)),
+      },
+    };
+  },
+
+  /**
+   * @param {Object} data - Firestore document data
+   * @returns {boolean} Whether it came from seal()
+   */
+  isSealed(data) {
+    return Boolean(data?.e2e?.data);
+  },
+
+  /**
+   * Payload of a Firestore document, decrypting sealed ones
+   * @param {Object} data - Firestore document data
+   * @returns {Promise<*>} Payload, or null when sealed with a key this
+   *   device doesn't hold (recorded so writes wait for the recovery code)
+   */
+  async open(data) {
+    if (!this.isSealed(data)) return data;
+    const key = await this._loadKey();
+    if (!key || key.keyId !== data.e2e.keyId) {
+      this._markKeyMissing(data.e2e.keyId);
+      return null;
+    }
+    return decryptJson(key.cryptoKey, data.e2e);
+  },
+
+  _getSettings() {
+    const settings = safeJsonParse(
+      localStorage.getItem(SETTINGS_KEY) || 'null'
+    );
+    const userId = AuthService.getUserId();
+    return settings && userId && settings.userId === userId ? settings : null;
+  },
+
+  _saveSettings(settings) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    window.dispatchEvent(new CustomEvent('sync-encryption-changed'));
+  },
+
+  async _storeKey(bytes) {
+    this._key = null;
+    this._saveSettings({
+      userId: AuthService.getUserId(),
+      keyId: await keyFingerprint(bytes),
+      key: toBase64(bytes),
+      createdAt: new Date().toISOString(),
+    });
+  },
+
+  async _loadKey() {
+    const settings = this._getSettings();
+    if (!settings?.key) return null;
+    if (this._key?.keyId !== settings.keyId) {
+      this._key = {
+        keyId: settings.keyId,
+        cryptoKey: await importRawKey(fromBase64(settings.key)),
+      };
+    }
+    return this._key;
+  },
+
+  _markKeyMissing(keyId) {
+    const settings = this._getSettings() || {
+      userId: AuthService.getUserId(),
+    };
+    if (settings.missingKeyId === keyId) return;
+    console.warn(
+      '[SyncEncryption] Synced data is encrypted with a key this device does not have'
+    );
+    this._saveSettings({ ...settings, missingKeyId: keyId });
+    window.dispatchEvent(
+      new CustomEvent('sync-encryption-key-needed', { detail: { keyId } })
+    );
+  },
+};
@@ -0,0 +1,181 @@
+/**
+ * Sync Outbox
+ * Durable queue of cloud writes. SyncService records every push here before
+ * sending it and removes it once Firestore accepts it, so writes made offline
+ * or lost to a failed push or a reload are replayed later instead of
+ * silently dropped.
+ *
+ * Pushes send a whole data type at a time, so the outbox keeps one entry per
+ * data type: a newer write replaces the older one and moves to the back of
+ * the queue. Entries live in IndexedDB:
+ * { dataType, userId, data, seq, status: 'queued'|'failed', attempts,
+ *   lastError, queuedAt, updatedAt }.
+ */
+
+const DB_NAME = 'blinkbudget_sync_outbox';
+const DB_VERSION = 1;
+const STORE = 'operations';
+
+let dbPromise = null;
+let lastSeq = 0;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'dataType' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against the store and resolve with its result
+const withStore = async (mode, run) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = run(tx.objectStore(STORE));
+    let result;
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Change an entry only while it still holds the given write. Reading and
+// writing in one transaction keeps a newer write queued meanwhile intact.
+const updateEntry = async (dataType, seq, change) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    let changed = false;
+    const request = store.get(dataType);
+    request.onsuccess = () => {
+      const entry = request.result;
+      if (!entry || entry.seq !== seq) return;
+      const next = change(entry);
+      if (next) store.put(next);
+      else store.delete(dataType);
+      changed = true;
+    };
+    tx.oncomplete = () => resolve(changed);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Increasing across reloads, so queue order survives them
+const nextSeq = () => {
+  lastSeq = Math.max(lastSeq + 1, Date.now());
+  return lastSeq;
+};
+
+const notifyChanged = () => {
+  window.dispatchEvent(new CustomEvent('sync-outbox-changed'));
+};
+
+export const SyncOutbox = {
+  /**
+   * Whether writes can be queued on this device
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  },
+
+  /**
+   * Queue a write, replacing any queued write of the same data type
+   * @param {string} dataType - Storage key
+   * @param {*} data - Data being pushed
+   * @param {string} userId - Owner of the data
+   * @returns {Promise<number|null>} Sequence number of the entry, null when unsupported
+   */
+  async enqueue(dataType, data, userId) {
+    if (!this.isSupported()) return null;
+
+    const now = new Date().toISOString();
+    const entry = {
+      dataType,
+      userId,
+      // Structured clone keeps Dates but rejects functions; JSON matches
+      // what localStorage and Firestore see anyway
+      data: JSON.parse(JSON.stringify(data ?? null)),
+      seq: nextSeq(),
+      status: 'queued',
+      attempts: 0,
+      lastError: null,
+      queuedAt: now,
+      updatedAt: now,
+    };
+    await withStore('readwrite', store => store.put(entry));
+    notifyChanged();
+    return entry.seq;
+  },
+
+  /**
+   * Remove a write once it reached the cloud. A newer write queued for the
+   * same data type in the meantime stays.
+   * @param {string} dataType - Storage key
+   * @param {number} seq - Sequence number returned by enqueue()
+   */
+  async complete(dataType, seq) {
+    if (!this.isSupported() || !seq) return;
+    if (await updateEntry(dataType, seq, () => null)) notifyChanged();
+  },
+
+  /**
+   * Mark a write as failed; it stays queued for replay
+   * @param {string} dataType - Storage key
+   * @param {number} seq - Sequence number returned by enqueue()
+   * @param {*} error - Push error
+   */
+  async fail(dataType, seq, error) {
+    if (!this.isSupported() || !seq) return;
+    const changed = await updateEntry(dataType, seq, entry => ({
+      ...entry,
+      status: 'failed',
+      attempts: entry.attempts + 1,
+      lastError: String(error?.message || error),
+      updatedAt: new Date().toISOString(),
+    }));
+    if (changed) notifyChanged();
+  },
+
+  /**
+   * Queued writes, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    if (!this.isSupported()) return [];
+    const entries =
+      (await withStore('readonly', store => store.getAll())) || [];
+    return entries.sort((a, b) => a.seq - b.seq);
+  },
+
+  /**
+   * Drop a queued write. Local data is kept; it is uploaded with the next
+   * change to the data type.
+   * @param {string} dataType - Storage key
+   */
+  async discard(dataType) {
+    if (!this.isSupported()) return;
+    await withStore('readwrite', store => store.delete(dataType));
+    notifyChanged();
+  },
+};
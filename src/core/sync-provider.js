@@ -0,0 +1,39 @@
+/**
+ * Sync Provider
+ * The backend behind cloud sync, backups and sign-in, chosen by
+ * VITE_SYNC_PROVIDER: 'firebase' (default) or 'self-hosted' for a server at
+ * VITE_SYNC_SERVER_URL such as the reference one in server/sync-server.js.
+ *
+ * Providers address data with Firestore-style paths
+ * (`users/{uid}/{collection}/{document}`) and share one contract:
+ *
+ * - getDocument(path) → data, or null when missing
+ * - setDocument(path, data, { merge, serverTimeField }) replaces the
+ *   document, or merges into it with nested objects merged and arrays
+ *   replaced; serverTimeField names a field stamped with the server time
+ * - deleteDocument(path)
+ * - listDocuments(collectionPath, { changedSince, limit }) →
+ *   [{ id, data, syncedAt }], with times in server milliseconds
+ * - writeDocuments(collectionPath, [{ id, data }]) stamps each `syncedAt`
+ * - watchDocument(path, onData, onError) and watchCollection(collectionPath,
+ *   { changedSince }, onDocuments, onError) return an unsubscribe function;
+ *   watchCollection skips this device's own writes
+ * - auth: onAuthStateChanged, signIn, signUp, signInWithGoogle, signOut and
+ *   sendPasswordReset, failing with Firebase-style `auth/...` error codes;
+ *   supportsGoogle tells whether Google sign-in is offered
+ */
+
+import { config } from '../../config/app.config.js';
+import { FirebaseSyncProvider } from './sync-providers/firebase-provider.js';
+import { SelfHostedSyncProvider } from './sync-providers/self-hosted-provider.js';
+
+const PROVIDERS = {
+  firebase: FirebaseSyncProvider,
+  'self-hosted': SelfHostedSyncProvider,
+};
+
+/**
+ * @returns {Object} The configured sync provider
+ */
+export const getSyncProvider = () =>
+  PROVIDERS[config.sync?.provider] || FirebaseSyncProvider;
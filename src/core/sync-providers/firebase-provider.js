@@ -0,0 +1,182 @@
+/**
+ * Firebase Sync Provider
+ * Cloud Firestore for documents and Firebase Auth for accounts. Provider
+ * paths map one-to-one onto Firestore paths, and `syncedAt` is a Firestore
+ * server timestamp so change queries don't depend on device clocks.
+ */
+
+import * as firebaseConfig from '../firebase-config.js';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  onSnapshot,
+  query,
+  where,
+  limit,
+  serverTimestamp,
+  Timestamp,
+  writeBatch,
+} from 'firebase/firestore';
+import {
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  onAuthStateChanged,
+  signOut,
+  GoogleAuthProvider,
+  signInWithPopup,
+  sendPasswordResetEmail,
+} from 'firebase/auth';
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 400;
+
+const docRef = path => doc(firebaseConfig.getDb(), ...path.split('/'));
+const collectionRef = path =>
+  collection(firebaseConfig.getDb(), ...path.split('/'));
+
+const toDocument = snapshot => {
+  const data = snapshot.data({ serverTimestamps: 'estimate' });
+  return {
+    id: snapshot.id,
+    data,
+    syncedAt: data.syncedAt?.toMillis ? data.syncedAt.toMillis() : 0,
+  };
+};
+
+const changedQuery = (path, { changedSince = null, limit: count } = {}) => {
+  const constraints = [];
+  if (changedSince !== null) {
+    constraints.push(
+      where('syncedAt', '>', Timestamp.fromMillis(changedSince))
+    );
+  }
+  if (count) constraints.push(limit(count));
+  return constraints.length > 0
+    ? query(collectionRef(path), ...constraints)
+    : collectionRef(path);
+};
+
+export const FirebaseSyncProvider = {
+  name: 'firebase',
+
+  isAvailable() {
+    const { firebaseStatus } = firebaseConfig;
+    return firebaseStatus.isInitialized && firebaseStatus.canUseAuth;
+  },
+
+  async getDocument(path) {
+    const snapshot = await getDoc(docRef(path));
+    return snapshot.exists() ? snapshot.data() : null;
+  },
+
+  async setDocument(path, data, { merge = false, serverTimeField } = {}) {
+    const stored = serverTimeField
+      ? { ...data, [serverTimeField]: serverTimestamp() }
+      : data;
+    if (merge) {
+      await setDoc(docRef(path), stored, { merge: true });
+    } else {
+      await setDoc(docRef(path), stored);
+    }
+  },
+
+  async deleteDocument(path) {
+    await deleteDoc(docRef(path));
+  },
+
+  async listDocuments(path, options) {
+    const snapshot = await getDocs(changedQuery(path, options));
+    return snapshot.docs.map(toDocument);
+  },
+
+  async writeDocuments(path, documents) {
+    for (let i = 0; i < documents.length; i += BATCH_SIZE) {
+      const batch = writeBatch(firebaseConfig.getDb());
+      documents.slice(i, i + BATCH_SIZE).forEach(({ id, data }) => {
+        batch.set(docRef(`${path}/${id}`), {
+          ...data,
+          syncedAt: serverTimestamp(),
+        });
+      });
+      await batch.commit();
+    }
+  },
+
+  watchDocument(path, onData, onError) {
+    return onSnapshot(
+      docRef(path),
+      // Metadata changes tell cache loads apart from server updates
+      { includeMetadataChanges: true },
+      snapshot => {
+        onData(snapshot.exists() ? snapshot.data() : null, {
+          fromServer: !snapshot.metadata.fromCache,
+        });
+      },
+      onError
+    );
+  },
+
+  watchCollection(path, options, onDocuments, onError) {
+    return onSnapshot(
+      changedQuery(path, options),
+      snapshot => {
+        // Skip removals and this device's own writes
+        const changed = snapshot
+          .docChanges()
+          .filter(
+            change =>
+              change.type !== 'removed' && !change.doc.metadata.hasPendingWrites
+          )
+          .map(change => toDocument(change.doc));
+        if (changed.length > 0) onDocuments(changed);
+      },
+      onError
+    );
+  },
+
+  auth: {
+    supportsGoogle: true,
+
+    onAuthStateChanged(callback) {
+      return onAuthStateChanged(firebaseConfig.auth, callback);
+    },
+
+    async signIn(email, password) {
+      const credential = await signInWithEmailAndPassword(
+        firebaseConfig.auth,
+        email,
+        password
+      );
+      return credential.user;
+    },
+
+    async signUp(email, password) {
+      const credential = await createUserWithEmailAndPassword(
+        firebaseConfig.auth,
+        email,
+        password
+      );
+      return credential.user;
+    },
+
+    async signInWithGoogle() {
+      const credential = await signInWithPopup(
+        firebaseConfig.auth,
+        new GoogleAuthProvider()
+      );
+      return credential.user;
+    },
+
+    async signOut() {
+      await signOut(firebaseConfig.auth);
+    },
+
+    async sendPasswordReset(email) {
+      await sendPasswordResetEmail(firebaseConfig.auth, email);
+    },
+  },
+};
@@ -0,0 +1,286 @@
+/**
+ * Self-hosted Sync Provider
+ * Talks to a BlinkBudget sync server (reference implementation in
+ * server/sync-server.js): REST for documents and accounts, a WebSocket for
+ * change notifications. Documents use the same paths as Firestore, and the
+ * server stamps `syncedAt` with its own clock.
+ *
+ * The session { token, user } is kept in localStorage under
+ * STORAGE_KEYS.SYNC_SESSION so the app starts signed in while offline.
+ */
+
+import { config } from '../../../config/app.config.js';
+import { STORAGE_KEYS } from '../../utils/constants.js';
+import { safeJsonParse } from '../../utils/security-utils.js';
+import { generateId } from '../../utils/id-utils.js';
+
+const SESSION_KEY = STORAGE_KEYS.SYNC_SESSION;
+const RECONNECT_DELAY_MS = 5000;
+
+// Marks this tab's writes so their change notifications are skipped
+const CLIENT_ID = generateId();
+
+const baseUrl = () => String(config.sync?.serverUrl || '').replace(/\/+$/, '');
+
+const encodePath = path => path.split('/').map(encodeURIComponent).join('/');
+
+const parentOf = path => path.slice(0, path.lastIndexOf('/'));
+
+const readSession = () =>
+  safeJsonParse(localStorage.getItem(SESSION_KEY) || 'null');
+
+const authError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+/**
+ * Call the sync server
+ * @throws {Error} With the server's error `code` and the HTTP `status`
+ */
+const request = async (method, route, body) => {
+  const headers = { 'X-Sync-Client': CLIENT_ID };
+  const token = readSession()?.token;
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(`${baseUrl()}${route}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const result =
+    response.status === 204 ? null : await response.json().catch(() => null);
+  if (!response.ok) {
+    const error = new Error(
+      result?.error?.message || `Sync server responded with ${response.status}`
+    );
+    error.code = result?.error?.code || `sync/http-${response.status}`;
+    error.status = response.status;
+    throw error;
+  }
+  return result;
+};
+
+// Change notifications: one socket shared by every watcher
+const watchers = new Set();
+let socket = null;
+let reconnectTimer = null;
+
+const connect = () => {
+  const token = readSession()?.token;
+  if (socket || reconnectTimer || watchers.size === 0 || !token) return;
+  if (typeof window.WebSocket !== 'function') return;
+
+  const ws = new window.WebSocket(
+    `${baseUrl().replace(/^http/, 'ws')}/v1/watch`
+  );
+  socket = ws;
+  ws.addEventListener('open', () => {
+    ws.send(JSON.stringify({ type: 'auth', token }));
+    // Catch up on what changed while disconnected
+    watchers.forEach(watcher => {
+      if (watcher.stale) {
+        watcher.stale = false;
+        watcher.refresh();
+      }
+    });
+  });
+  ws.addEventListener('message', event => {
+    const message = safeJsonParse(event.data);
+    if (message?.type !== 'change' || message.origin === CLIENT_ID) return;
+    watchers.forEach(watcher => {
+      if (watcher.matches(message.path)) watcher.refresh();
+    });
+  });
+  ws.addEventListener('close', () => {
+    if (socket !== ws) return;
+    socket = null;
+    if (watchers.size === 0) return;
+    watchers.forEach(watcher => {
+      watcher.stale = true;
+    });
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, RECONNECT_DELAY_MS);
+  });
+};
+
+const disconnect = () => {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  const ws = socket;
+  socket = null;
+  ws?.close();
+};
+
+const addWatcher = watcher => {
+  watchers.add(watcher);
+  watcher.refresh();
+  connect();
+  return () => {
+    watchers.delete(watcher);
+    if (watchers.size === 0) disconnect();
+  };
+};
+
+// Accounts
+const authListeners = new Set();
+
+const notifyAuth = user => {
+  authListeners.forEach(listener => listener(user));
+};
+
+const startSession = ({ token, user }) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ token, user }));
+  notifyAuth(user);
+  return user;
+};
+
+const endSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+  disconnect();
+  notifyAuth(null);
+};
+
+export const SelfHostedSyncProvider = {
+  name: 'self-hosted',
+
+  isAvailable() {
+    return Boolean(baseUrl());
+  },
+
+  async getDocument(path) {
+    try {
+      const { data } = await request(
+        'GET',
+        `/v1/documents/${encodePath(path)}`
+      );
+      return data;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  },
+
+  async setDocument(path, data, { merge = false, serverTimeField } = {}) {
+    await request('PUT', `/v1/documents/${encodePath(path)}`, {
+      data,
+      merge,
+      serverTimeField,
+    });
+  },
+
+  async deleteDocument(path) {
+    await request('DELETE', `/v1/documents/${encodePath(path)}`);
+  },
+
+  async listDocuments(path, { changedSince = null, limit } = {}) {
+    const params = new URLSearchParams();
+    if (changedSince !== null) params.set('changedSince', changedSince);
+    if (limit) params.set('limit', limit);
+    const query = params.toString() ? `?${params}` : '';
+    const { documents } = await request(
+      'GET',
+      `/v1/collections/${encodePath(path)}${query}`
+    );
+    return documents;
+  },
+
+  async writeDocuments(path, documents) {
+    await request('POST', `/v1/collections/${encodePath(path)}`, {
+      documents,
+    });
+  },
+
+  watchDocument(path, onData, onError) {
+    return addWatcher({
+      matches: changedPath => changedPath === path,
+      refresh: () =>
+        this.getDocument(path)
+          .then(data => onData(data, { fromServer: true }))
+          .catch(onError),
+    });
+  },
+
+  watchCollection(path, { changedSince = null } = {}, onDocuments, onError) {
+    let cursor = changedSince;
+    return addWatcher({
+      matches: changedPath => parentOf(changedPath) === path,
+      refresh: () =>
+        this.listDocuments(path, { changedSince: cursor })
+          .then(documents => {
+            documents.forEach(entry => {
+              cursor = Math.max(cursor ?? 0, entry.syncedAt);
+            });
+            if (documents.length > 0) onDocuments(documents);
+          })
+          .catch(onError),
+    });
+  },
+
+  auth: {
+    supportsGoogle: false,
+
+    onAuthStateChanged(callback) {
+      authListeners.add(callback);
+      const session = readSession();
+      if (!session?.token) {
+        callback(null);
+      } else {
+        request('GET', '/v1/auth/session')
+          .then(({ user }) => {
+            localStorage.setItem(
+              SESSION_KEY,
+              JSON.stringify({ ...session, user })
+            );
+            callback(user);
+          })
+          .catch(error => {
+            if (error.status === 401) {
+              localStorage.removeItem(SESSION_KEY);
+              callback(null);
+            } else {
+              // Server unreachable: stay signed in and sync once it's back
+              console.warn('[SelfHostedSync] Session check failed:', error);
+              callback(session.user);
+            }
+          });
+      }
+      return () => authListeners.delete(callback);
+    },
+
+    async signIn(email, password) {
+      return startSession(
+        await request('POST', '/v1/auth/login', { email, password })
+      );
+    },
+
+    async signUp(email, password) {
+      return startSession(
+        await request('POST', '/v1/auth/signup', { email, password })
+      );
+    },
+
+    async signInWithGoogle() {
+      throw authError(
+        'auth/operation-not-allowed',
+        'Google sign-in is not available with a self-hosted sync server.'
+      );
+    },
+
+    async signOut() {
+      // Signing out locally must not depend on reaching the server
+      await request('POST', '/v1/auth/logout').catch(error => {
+        console.warn('[SelfHostedSync] Server logout failed:', error);
+      });
+      endSession();
+    },
+
+    async sendPasswordReset() {
+      throw authError(
+        'auth/operation-not-allowed',
+        'Password reset emails are not available with a self-hosted sync server.'
+      );
+    },
+  },
+};
@@ -1,14 +1,45 @@
-import { getDb } from './firebase-config.js';
 import { AuthService } from './auth-service.js';
-import {
-  doc,
-  setDoc,
-  onSnapshot,
-  collection,
-  getDocs,
-} from 'firebase/firestore';
+import { getSyncProvider } from './sync-provider.js';
 import { STORAGE_KEYS } from '../utils/constants.js';
-import { safeJsonParse } from '../utils/security-utils.js';
+import { ChunkedSync } from './chunked-sync.js';
+import { TombstoneService } from './tombstone-service.js';
+import { SyncOutbox } from './sync-outbox.js';
+import { SyncBase } from './sync-base.js';
+import { DomainStore } from './domain-store.js';
+import { SyncEncryption } from './sync-encryption.js';
+import { AttachmentService } from './attachment-service.js';
+import {
+  MERGE_FIELDS,
+  applyFieldValues,
+  mergeRecordFields,
+} from '../utils/three-way-merge.js';
+import { stableStringify } from '../utils/backup-utils.js';
+import { getRecordTime, isTombstoned } from '../utils/tombstones.js';
+import {
+  applyChunks,
+  findChangedChunks,
+  unionRecordsById,
+} from '../utils/sync-chunks.js';
+
+// Synced data types. Tombstones first, so deletions are known before
+// records are merged.
+const SYNC_KEYS = [
+  STORAGE_KEYS.TOMBSTONES,
+  STORAGE_KEYS.TRANSACTIONS,
+  STORAGE_KEYS.ACCOUNTS,
+  STORAGE_KEYS.CUSTOM_CATEGORIES,
+  STORAGE_KEYS.SETTINGS,
+  STORAGE_KEYS.INVESTMENTS,
+  STORAGE_KEYS.GOALS,
+  STORAGE_KEYS.BUDGETS,
+  STORAGE_KEYS.RECURRING,
+  STORAGE_KEYS.CUSTOM_REPORTS,
+  STORAGE_KEYS.EXCHANGE_RATES,
+];
+
+// Objects replaced as a whole instead of merged key by key, so a removed key
+// does not come back from the cloud copy. The newer copy wins on pull.
+const WHOLE_DOCUMENT_KEYS = new Set([STORAGE_KEYS.EXCHANGE_RATES]);
 
 // Sanitize helper: convert Dates to ISO, recursively sanitize objects/arrays,
 // and protect against circular references using a WeakSet.
@@ -38,11 +69,21 @@ export const SyncService = {
   _conflictResolutionHandler: null,
   isOnline: navigator.onLine, // NEW: Track connection status
   _pendingPullPromise: null, // Track pending pull to prevent duplicates
+  _replayPromise: null, // Track outbox replay to prevent overlapping runs
+  _reportedConflicts: new Map(), // Last conflict shown per record, to avoid repeats
 
   async init() {
     this.setupConnectionMonitoring(); // NEW: Setup connection monitoring
+    this.listenForConflictResolutions();
 
-    // Remove existing listener if any to avoid duplicates when `init()` is called multiple times
+    // handle visibility change to pause/resume sync
+    document.addEventListener('visibilitychange', () => {
+      this.handleVisibilityChange();
+    });
+  },
+
+  listenForConflictResolutions() {
+    // Remove existing listener if any to avoid duplicates when called multiple times
     if (this._conflictResolutionHandler) {
       window.removeEventListener(
         'sync-conflict-resolution',
@@ -63,11 +104,6 @@ export const SyncService = {
       'sync-conflict-resolution',
       this._conflictResolutionHandler
     );
-
-    // handle visibility change to pause/resume sync
-    document.addEventListener('visibilitychange', () => {
-      this.handleVisibilityChange();
-    });
   },
 
   handleVisibilityChange() {
@@ -94,6 +130,12 @@ export const SyncService = {
     const userId = AuthService.getUserId();
     if (!userId) return;
 
+    // Queue the write durably first so a failed push or a reload can't lose it
+    const queued = SyncOutbox.enqueue(dataType, data, userId).catch(error => {
+      console.warn(`[Sync] Failed to queue ${dataType} write:`, error);
+      return null;
+    });
+
     // Clear any existing debounce for this dataType
     if (this._debounceTimeouts.has(dataType)) {
       clearTimeout(this._debounceTimeouts.get(dataType));
@@ -102,7 +144,7 @@ export const SyncService = {
     // Schedule a new push (300ms debounce ensures rapid changes are batched)
     const timeout = setTimeout(async () => {
       this._debounceTimeouts.delete(dataType);
-      await this._executePush(dataType, data, userId);
+      await this._executePush(dataType, data, userId, await queued);
     }, 300);
 
     this._debounceTimeouts.set(dataType, timeout);
@@ -110,8 +152,23 @@ export const SyncService = {
 
   /**
    * Internal method to execute the actual push to Firestore
+   * @param {string} dataType - Storage key
+   * @param {*} data - Data to push
+   * @param {string} userId - User ID
+   * @param {number|null} seq - Outbox entry of this write, settled with the push
    */
-  async _executePush(dataType, data, userId) {
+  async _executePush(dataType, data, userId, seq = null) {
+    // Offline writes wait in the outbox until the connection is back
+    if (!this.isOnline) {
+      console.log(`[Sync] Offline, ${dataType} stays queued`);
+      return;
+    }
+    // Writing without the sync key would replace encrypted data
+    if (SyncEncryption.isKeyMissing()) {
+      console.log(`[Sync] Sync key missing, ${dataType} stays queued`);
+      return;
+    }
+
     // Rate limiting: Ensure at least 1 second between actual network calls
     const now = Date.now();
     const lastPush = this.lastPushTimes.get(dataType) || 0;
@@ -135,7 +192,7 @@ export const SyncService = {
       const writeId = Date.now();
       this.pendingWrites.set(dataType, writeId);
 
-      const userDocRef = doc(getDb(), 'users', userId);
+      const documentPath = `users/${userId}/${dataType}/data`;
       // Wrap arrays in { items: data } for consistent storage, objects stay as they are
       const payload = Array.isArray(data) ? { items: data } : data;
 
@@ -149,9 +206,23 @@ export const SyncService = {
           detail: { dataType, state: 'syncing', timestamp: Date.now() },
         })
       );
-      await setDoc(doc(userDocRef, dataType, 'data'), safePayload, {
-        merge: true,
-      });
+      if (ChunkedSync.isChunked(dataType)) {
+        await this._pushChunked(dataType, safePayload.items || [], userId);
+      } else if (SyncEncryption.isEnabled()) {
+        // Replaces the whole document so no plaintext fields remain
+        await getSyncProvider().setDocument(
+          documentPath,
+          await SyncEncryption.seal(safePayload)
+        );
+      } else {
+        await getSyncProvider().setDocument(documentPath, safePayload, {
+          merge: !WHOLE_DOCUMENT_KEYS.has(dataType),
+        });
+      }
+      SyncBase.recordPushed(dataType, safePayload.items);
+      SyncOutbox.complete(dataType, seq).catch(error =>
+        console.warn(`[Sync] Failed to clear queued ${dataType} write:`, error)
+      );
       // Notify UI that push completed
       window.dispatchEvent(
         new CustomEvent('sync-state', {
@@ -192,6 +263,13 @@ export const SyncService = {
         );
       }
 
+      SyncOutbox.fail(dataType, seq, error).catch(outboxError =>
+        console.warn(
+          `[Sync] Failed to mark queued ${dataType} write:`,
+          outboxError
+        )
+      );
+
       // Emit sync error for UI
       window.dispatchEvent(
         new CustomEvent('sync-state', {
@@ -222,27 +300,23 @@ export const SyncService = {
     }
 
     console.log('[Sync] Pulling data from cloud for user:', userId);
-    const userDocRef = doc(getDb(), 'users', userId);
-    const keys = [
-      STORAGE_KEYS.TRANSACTIONS,
-      STORAGE_KEYS.ACCOUNTS,
-      STORAGE_KEYS.CUSTOM_CATEGORIES,
-      STORAGE_KEYS.SETTINGS,
-      STORAGE_KEYS.INVESTMENTS,
-      STORAGE_KEYS.GOALS,
-      STORAGE_KEYS.BUDGETS,
-    ];
 
     // Create and store the pull promise
     this._pendingPullPromise = (async () => {
       try {
-        for (const key of keys) {
+        for (const key of SYNC_KEYS) {
           try {
-            const snap = await getDocs(collection(userDocRef, key));
-            const dataDoc = snap.docs.find(d => d.id === 'data');
-            if (dataDoc) {
-              const rawData = dataDoc.data();
-              const processedData = rawData.items || rawData;
+            if (ChunkedSync.isChunked(key)) {
+              await this._pullChunked(key, userId);
+              continue;
+            }
+            const rawData = await getSyncProvider().getDocument(
+              `users/${userId}/${key}/data`
+            );
+            const processedData = rawData
+              ? await this._openDocument(rawData)
+              : null;
+            if (processedData) {
               console.log(`[Sync] Found ${key} in cloud.`);
               this.mergeLocalWithCloud(key, processedData);
             }
@@ -266,35 +340,27 @@ export const SyncService = {
       userId
     );
 
-    const keys = [
-      STORAGE_KEYS.TRANSACTIONS,
-      STORAGE_KEYS.ACCOUNTS,
-      STORAGE_KEYS.CUSTOM_CATEGORIES,
-      STORAGE_KEYS.SETTINGS,
-      STORAGE_KEYS.INVESTMENTS,
-      STORAGE_KEYS.GOALS,
-      STORAGE_KEYS.BUDGETS,
-    ];
-
-    keys.forEach(key => {
-      const unsub = onSnapshot(
-        doc(getDb(), 'users', userId, key, 'data'),
-        {
-          // includeMetadataChanges to know if data is from cache or server
-          includeMetadataChanges: true,
-        },
-        doc => {
-          if (doc.exists()) {
-            const rawData = doc.data();
-            const processedData = rawData.items || rawData;
-
+    SYNC_KEYS.forEach(key => {
+      if (ChunkedSync.isChunked(key)) {
+        this.unsubscribes.push(this._listenChunked(key, userId));
+        return;
+      }
+      const unsub = getSyncProvider().watchDocument(
+        `users/${userId}/${key}/data`,
+        (rawData, { fromServer }) => {
+          if (rawData) {
             // Only log if data is from server (cache loads are silent)
-            const source = doc.metadata.fromCache ? 'cache' : 'server';
-            if (source === 'server') {
+            if (fromServer) {
               console.log(`[Sync] ${key} updated from server`);
             }
 
-            this.mergeLocalWithCloud(key, processedData);
+            this._openDocument(rawData)
+              .then(processedData => {
+                if (processedData) this.mergeLocalWithCloud(key, processedData);
+              })
+              .catch(error => {
+                console.error(`[Sync] Failed to decrypt ${key}:`, error);
+              });
           }
         },
         error => {
@@ -305,13 +371,190 @@ export const SyncService = {
     });
   },
 
-  mergeLocalWithCloud(key, cloudData) {
-    if (!cloudData) return;
+  /**
+   * Payload of a synced document, unwrapped from { items } and decrypted
+   * @param {Object} rawData - Firestore document data
+   * @returns {Promise<*>} null when sealed with a key this device lacks
+   */
+  async _openDocument(rawData) {
+    const data = await SyncEncryption.open(rawData);
+    return data ? data.items || data : null;
+  },
+
+  /**
+   * Turn on end-to-end encryption: cloud data is pulled first, then every
+   * data type is pushed again encrypted and uploaded receipts are deleted
+   * @returns {Promise<string>} Recovery code for adding other devices
+   * @throws {Error} When synced data already uses a key from another device
+   */
+  async enableEncryption() {
+    const userId = AuthService.getUserId();
+    if (!userId) throw new Error('Sign in to sync first');
+    await this.pullFromCloud(userId);
+    if (SyncEncryption.isKeyMissing()) {
+      throw new Error(
+        'Your synced data is already encrypted. Enter the recovery code from your other device.'
+      );
+    }
+    const code = await SyncEncryption.enable();
+    await this.resync(userId);
+    // Receipts uploaded before would otherwise stay readable in Cloud Storage
+    await AttachmentService.removeCloudCopies().catch(error =>
+      console.warn('[Sync] Could not delete uploaded receipts:', error)
+    );
+    return code;
+  },
+
+  /**
+   * Add this device with the recovery code from another one, then merge the
+   * data that couldn't be read and send the writes held back meanwhile
+   * @param {string} code - Recovery code
+   */
+  async importEncryptionKey(code) {
+    const userId = AuthService.getUserId();
+    if (!userId) throw new Error('Sign in to sync first');
+    await SyncEncryption.importRecoveryCode(code);
+    await this.resync(userId);
+  },
+
+  /**
+   * Pull everything again and push every data type, after the sync key
+   * changed
+   * @param {string} userId - User ID
+   */
+  async resync(userId) {
+    SYNC_KEYS.filter(key => ChunkedSync.isChunked(key)).forEach(key =>
+      ChunkedSync.resetCursor(key, userId)
+    );
+    await this.pullFromCloud(userId);
+    SYNC_KEYS.forEach(key => {
+      const data = DomainStore.read(key);
+      if (data !== null) this.pushToCloud(key, data);
+    });
+  },
+
+  /**
+   * Upload changed monthly chunks. A device new to the chunked format pulls
+   * first so its stale months don't overwrite newer cloud data.
+   */
+  async _pushChunked(key, records, userId) {
+    let toPush = records;
+    if (!ChunkedSync.getState(key, userId).bootstrapped) {
+      await this._pullChunked(key, userId, { force: true });
+      toPush = sanitize(DomainStore.read(key) || []);
+    }
+    const written = await ChunkedSync.push(key, toPush || [], userId);
+    console.log(`[Sync] Pushed ${written} changed ${key} chunks`);
+  },
+
+  /**
+   * Pull monthly chunks changed since the last pull. The first device to
+   * use chunks moves the legacy single document over, keeping records that
+   * only exist locally.
+   */
+  async _pullChunked(key, userId, { force = false } = {}) {
+    const state = ChunkedSync.getState(key, userId);
+    if (!state.bootstrapped && !(await ChunkedSync.hasChunks(key, userId))) {
+      const legacy = await ChunkedSync.fetchLegacy(key, userId);
+      const localData = DomainStore.read(key) || [];
+      const merged = unionRecordsById(localData, legacy);
+      if (JSON.stringify(merged) !== JSON.stringify(localData)) {
+        DomainStore.write(key, merged);
+        window.dispatchEvent(
+          new CustomEvent('storage-updated', { detail: { key } })
+        );
+      }
+      const written = await ChunkedSync.push(key, sanitize(merged), userId);
+      ChunkedSync.markBootstrapped(key, userId);
+      console.log(`[Sync] Migrated ${key} to ${written} monthly chunks`);
+      return;
+    }
+
+    const chunks = await ChunkedSync.fetchChanged(key, userId);
+    if (chunks.length === 0) {
+      ChunkedSync.markBootstrapped(key, userId);
+      return;
+    }
+    this.mergeChunksFromCloud(key, userId, chunks, {
+      force: force || !state.bootstrapped,
+    });
+  },
+
+  _listenChunked(key, userId) {
+    let unsubscribe = null;
+    let stopped = false;
+
+    // Catch up (and migrate if needed) before listening from the new cursor
+    this._pullChunked(key, userId)
+      .catch(error => {
+        console.error(`[Sync] Failed to pull ${key} chunks:`, error);
+      })
+      .finally(() => {
+        if (stopped) return;
+        unsubscribe = ChunkedSync.listen(
+          key,
+          userId,
+          chunks => this.mergeChunksFromCloud(key, userId, chunks),
+          error => {
+            console.error(`[Sync] Error in chunk listener for ${key}:`, error);
+          }
+        );
+      });
 
+    return () => {
+      stopped = true;
+      if (unsubscribe) unsubscribe();
+    };
+  },
+
+  /**
+   * Merge cloud chunks into local records month by month
+   * @param {string} key - Storage key
+   * @param {string} userId - User ID
+   * @param {Array<Object>} chunks - Chunks from ChunkedSync
+   * @param {Object} options - { force } merges even while a local write is pending
+   */
+  mergeChunksFromCloud(key, userId, chunks, { force = false } = {}) {
+    // Skipped chunks are fetched again next pull since the cursor stays put
+    if (!force && this._shouldSkipMerge(key)) return;
+
+    const localData = DomainStore.read(key) || [];
+    const deleted = TombstoneService.getDeleted(key);
+    const base = SyncBase.get(key);
+    const merged = applyChunks(localData, chunks, (localItems, cloudItems) =>
+      this.mergeArraysById(localItems, this.uniqueById(cloudItems, key), {
+        key,
+        deleted,
+        base,
+      })
+    );
+    const cloudItems = new Set(chunks.flatMap(chunk => chunk.items || []));
+    SyncBase.recordMerged(
+      key,
+      merged.filter(item => cloudItems.has(item))
+    );
+
+    if (JSON.stringify(merged) !== JSON.stringify(localData)) {
+      console.log(`[Sync] Merging ${chunks.length} ${key} chunks from cloud.`);
+      DomainStore.write(key, merged);
+      window.dispatchEvent(
+        new CustomEvent('storage-updated', { detail: { key } })
+      );
+    }
+    ChunkedSync.markPulled(key, userId, chunks);
+
+    // Months where local edits won go back up
+    const { hashes } = ChunkedSync.getState(key, userId);
+    if (findChangedChunks(merged, hashes).size > 0) {
+      this.pushToCloud(key, merged);
+    }
+  },
+
+  _shouldSkipMerge(key) {
     // If we're currently writing to this key, skip the merge to prevent race conditions
     if (this.pendingWrites.has(key)) {
       console.log(`[Sync] Skipping merge for ${key} - write in progress`);
-      return;
+      return true;
     }
 
     // If there was a very recent local update to this key, prefer the local state
@@ -323,7 +566,7 @@ export const SyncService = {
         console.log(
           `[Sync] Local update for ${key} is pending cloud push, skipping cloud merge`
         );
-        return;
+        return true;
       }
       const lastLocal = Number(raw || '0');
       // If local update timestamp within last 5 seconds, skip merging to avoid overwriting user's immediate edits
@@ -331,39 +574,78 @@ export const SyncService = {
         console.log(
           `[Sync] Recent local update for ${key} (within 5s), skipping cloud merge`
         );
-        return;
+        return true;
       }
     } catch {
       // ignore storage access errors
     }
+    return false;
+  },
 
-    const localRaw = localStorage.getItem(key);
+  mergeLocalWithCloud(key, cloudData) {
+    if (!cloudData) return;
+    // Tombstones only ever grow by union, so they merge even mid-write
+    if (key === STORAGE_KEYS.TOMBSTONES) {
+      TombstoneService.mergeFromCloud(cloudData);
+      return;
+    }
+    if (this._shouldSkipMerge(key)) return;
+
+    const stored = DomainStore.read(key);
     if (Array.isArray(cloudData)) {
-      const localData = safeJsonParse(localRaw || '[]');
+      const localData = stored || [];
 
       // Deduplicate cloud data
       const cleanedCloudData = this.uniqueById(cloudData, key);
 
+      // Duplicates dropped from the cloud copy go locally as well, they
+      // aren't offline additions
+      const cloudIds = new Set(cloudData.map(item => item?.id));
+      const keptIds = new Set(cleanedCloudData.map(item => item.id));
+      const localItems = (localData || []).filter(
+        item => !cloudIds.has(item?.id) || keptIds.has(item.id)
+      );
+
       // Merge per-item using Last-Write-Wins strategy and emit conflicts when near-simultaneous edits occur
-      const merged = this.mergeArraysById(localData, cleanedCloudData, { key });
+      const merged = this.mergeArraysById(localItems, cleanedCloudData, {
+        key,
+      });
+      const cloudItems = new Set(cleanedCloudData);
+      SyncBase.recordMerged(
+        key,
+        merged.filter(item => cloudItems.has(item))
+      );
 
       if (JSON.stringify(merged) !== JSON.stringify(localData)) {
         console.log(
           `[Sync] Merging local ${key} with cloud data (per-item LWW).`
         );
-        localStorage.setItem(key, JSON.stringify(merged));
+        DomainStore.write(key, merged);
         window.dispatchEvent(
           new CustomEvent('storage-updated', { detail: { key } })
         );
       }
+
+      // Records added offline or merged here go up to the cloud
+      if (
+        merged.some(
+          item => item?.id && (!cloudIds.has(item.id) || !cloudItems.has(item))
+        )
+      ) {
+        this.pushToCloud(key, merged);
+      }
     } else if (typeof cloudData === 'object' && cloudData !== null) {
       // For settings objects, we still perform a shallow merge to preserve local settings not yet in cloud
-      const localData = safeJsonParse(localRaw || '{}');
-      const merged = { ...localData, ...cloudData };
+      const localData = stored || {};
+      const merged = WHOLE_DOCUMENT_KEYS.has(key)
+        ? (localData.updatedAt || '') > (cloudData.updatedAt || '')
+          ? localData
+          : cloudData
+        : { ...localData, ...cloudData };
 
       if (JSON.stringify(merged) !== JSON.stringify(localData)) {
         console.log(`[Sync] Merging local ${key} with cloud data.`);
-        localStorage.setItem(key, JSON.stringify(merged));
+        DomainStore.write(key, merged);
         window.dispatchEvent(
           new CustomEvent('storage-updated', { detail: { key } })
         );
@@ -373,11 +655,24 @@ export const SyncService = {
 
   /**
    * Merge two arrays of objects by `id` using Last-Write-Wins (LWW).
-   * Emits `sync-conflict` events when timestamps are nearly equal and payloads differ.
-   * Cloud-authoritative deletion: items missing from cloud are removed locally.
+   * Data types with MERGE_FIELDS are merged per field against the last
+   * synced base version instead, and only fields changed differently on both
+   * sides emit `sync-conflict`. Without a base, a conflict is emitted when
+   * timestamps are nearly equal and payloads differ.
+   * Deletions come from tombstones: records with one are dropped from both
+   * sides, and local records missing from the cloud are kept (they were
+   * added offline, not deleted elsewhere).
+   * @param {Array<Object>} localArray - Records on this device
+   * @param {Array<Object>} cloudArray - Records from the cloud
+   * @param {Object} opts - { key, deleted, base } where `deleted` defaults to
+   *   TombstoneService.getDeleted() and `base` to SyncBase.get()
+   * @returns {Array<Object>} Merged records
    */
   mergeArraysById(localArray = [], cloudArray = [], opts = {}) {
     const key = opts.key || 'unknown';
+    const deleted = opts.deleted || TombstoneService.getDeleted(key);
+    const fields = MERGE_FIELDS[key];
+    const base = fields ? opts.base || SyncBase.get(key) : {};
     const localById = new Map();
     (localArray || []).forEach(item => {
       if (item && item.id) localById.set(item.id, item);
@@ -388,63 +683,64 @@ export const SyncService = {
     });
 
     const merged = [];
-
-    // Normalize helper for timestamp (ms)
-    const ts = item => {
-      if (!item) return 0;
-      const v =
-        item.updatedAt ||
-        item.updatedDate ||
-        item.updated ||
-        item.ts ||
-        item.lastModified;
-      const n = v ? (typeof v === 'number' ? v : Date.parse(v)) : 0;
-      return isNaN(n) ? 0 : n;
+    const keep = item => {
+      if (!isTombstoned(deleted, item)) merged.push(item);
     };
 
-    // Include items present in cloud (authoritative for existing items)
+    // Include items present in cloud, newest version wins
     cloudById.forEach((cloudItem, id) => {
       const localItem = localById.get(id);
       if (!localItem) {
         // New item from cloud
-        merged.push(cloudItem);
+        keep(cloudItem);
+        return;
+      }
+      // Remove processed local item from the map
+      localById.delete(id);
+
+      const localTs = getRecordTime(localItem);
+      const cloudTs = getRecordTime(cloudItem);
+      const localJson = JSON.stringify(localItem);
+      const cloudJson = JSON.stringify(cloudItem);
+      if (localJson === cloudJson) {
+        keep(cloudItem);
         return;
       }
 
-      const localTs = ts(localItem);
-      const cloudTs = ts(cloudItem);
+      // Both sides changed since the last sync: merge field by field
+      if (fields && base[id]) {
+        keep(this._mergeRecord(key, localItem, cloudItem, base[id], fields));
+        return;
+      }
 
       // If timestamps are very close (but not identical) and payload differs, emit conflict for UI resolution
       const timeDiff = Math.abs(localTs - cloudTs);
-      const localJson = JSON.stringify(localItem);
-      const cloudJson = JSON.stringify(cloudItem);
 
-      if (timeDiff > 0 && timeDiff <= 2000 && localJson !== cloudJson) {
+      if (timeDiff > 0 && timeDiff <= 2000) {
         console.log(
           `[Sync] Detected near-simultaneous edit for id=${id} on ${key}`
         );
-        window.dispatchEvent(
-          new CustomEvent('sync-conflict', {
-            detail: { key, id, localItem, cloudItem },
-          })
-        );
+        this._reportConflict({
+          key,
+          id,
+          localItem,
+          cloudItem,
+          kept: 'cloud',
+          fields: fields
+            ? mergeRecordFields(null, localItem, cloudItem, fields).collisions
+            : [],
+        });
         // Prefer cloud version (cloud-authoritative) but UI may later request resolution
-        merged.push(cloudItem);
+        keep(cloudItem);
         return;
       }
 
       // Last write wins
-      if (cloudTs >= localTs) {
-        merged.push(cloudItem);
-      } else {
-        merged.push(localItem);
-      }
-      // Remove processed local item from the map
-      localById.delete(id);
+      keep(cloudTs >= localTs ? cloudItem : localItem);
     });
 
-    // Items still in localById but not in cloud => cloud deletion (authoritative), so skip them
-    // If you want to resurrect local items, change behavior here.
+    // Items only on this device: added offline unless a tombstone says otherwise
+    localById.forEach(keep);
 
     // For items without id, use cloud-authoritative approach (only include cloud items)
     const cloudNoId = (cloudArray || []).filter(i => i && !i.id);
@@ -452,9 +748,65 @@ export const SyncService = {
     return merged;
   },
 
+  /**
+   * Three-way merge of one record. Fields changed on one side only take
+   * that change; other fields follow the newer record. Fields changed
+   * differently on both sides keep the newer value for now and are reported
+   * for the user to pick.
+   * @returns {Object} Merged record (the cloud or local object when unchanged)
+   */
+  _mergeRecord(key, localItem, cloudItem, baseFingerprint, fields) {
+    const cloudNewer = getRecordTime(cloudItem) >= getRecordTime(localItem);
+    const newer = cloudNewer ? cloudItem : localItem;
+    const { values, collisions } = mergeRecordFields(
+      baseFingerprint,
+      localItem,
+      cloudItem,
+      fields
+    );
+    const merged = applyFieldValues(newer, values);
+
+    if (collisions.length > 0) {
+      console.log(
+        `[Sync] Conflicting edits to ${collisions.map(c => c.field).join(', ')} for id=${cloudItem.id} on ${key}`
+      );
+      this._reportConflict({
+        key,
+        id: cloudItem.id,
+        localItem,
+        cloudItem,
+        kept: cloudNewer ? 'cloud' : 'local',
+        fields: collisions,
+      });
+    }
+
+    // Hand back the original objects when nothing was combined
+    const mergedJson = stableStringify(merged);
+    if (mergedJson === stableStringify(cloudItem)) return cloudItem;
+    if (mergedJson === stableStringify(localItem)) return localItem;
+    return merged;
+  },
+
+  /**
+   * Emit `sync-conflict` unless the same conflict was already reported
+   * @param {Object} detail - { key, id, localItem, cloudItem, kept, fields }
+   */
+  _reportConflict(detail) {
+    const recordKey = `${detail.key}:${detail.id}`;
+    const signature = stableStringify(
+      detail.fields.length
+        ? detail.fields
+        : [detail.localItem, detail.cloudItem]
+    );
+    if (this._reportedConflicts.get(recordKey) === signature) return;
+    this._reportedConflicts.set(recordKey, signature);
+    window.dispatchEvent(new CustomEvent('sync-conflict', { detail }));
+  },
+
   /**
    * Handle conflict resolution choices from the UI.
-   * detail: { resolution: 'local'|'cloud', conflict: { key, id, localItem, cloudItem } }
+   * detail: { resolution: 'local'|'cloud'|'fields', conflict: { key, id, localItem, cloudItem, fields },
+   *   choices: { [field]: 'local'|'cloud' } } where `choices` applies to 'fields'
    */
   async handleConflictResolution(detail = {}) {
     try {
@@ -463,8 +815,7 @@ export const SyncService = {
       const key = conflict.key;
 
       // Load current local array
-      const localRaw = localStorage.getItem(key) || '[]';
-      const localArray = safeJsonParse(localRaw);
+      const localArray = DomainStore.read(key) || [];
 
       if (resolution === 'local') {
         // Push local state to cloud (authoritative single-doc pattern)
@@ -475,6 +826,31 @@ export const SyncService = {
         return;
       }
 
+      if (resolution === 'fields') {
+        // Apply the picked side of each colliding field to the merged record
+        const idx = (localArray || []).findIndex(
+          item => item && item.id === conflict.id
+        );
+        if (idx < 0) return;
+        const values = {};
+        (conflict.fields || []).forEach(({ field, local, cloud }) => {
+          values[field] = detail.choices?.[field] === 'local' ? local : cloud;
+        });
+        localArray[idx] = {
+          ...applyFieldValues(localArray[idx], values),
+          updatedAt: new Date().toISOString(),
+        };
+        DomainStore.write(key, localArray);
+        window.dispatchEvent(
+          new CustomEvent('storage-updated', { detail: { key } })
+        );
+        await this.pushToCloud(key, localArray);
+        console.log(
+          `[Sync] Conflict resolved field by field for ${key}/${conflict.id}`
+        );
+        return;
+      }
+
       if (resolution === 'cloud') {
         // Replace local item with cloud item
         const cloudItem = conflict.cloudItem;
@@ -487,7 +863,7 @@ export const SyncService = {
         } else {
           localArray.push(cloudItem); // Item was deleted locally, restore from cloud
         }
-        localStorage.setItem(key, JSON.stringify(localArray));
+        DomainStore.write(key, localArray);
         window.dispatchEvent(
           new CustomEvent('storage-updated', { detail: { key } })
         );
@@ -541,9 +917,11 @@ export const SyncService = {
   },
 
   resumeSync() {
-    // Trigger background sync when connection is restored
-    console.log('[Sync] Triggering background sync...');
-    this.triggerBackgroundSync();
+    // Send the writes queued while offline
+    console.log('[Sync] Replaying queued writes...');
+    this.replayOutbox().catch(error => {
+      console.error('[Sync] Failed to replay queued writes:', error);
+    });
 
     // Notify UI about connection change
     window.dispatchEvent(
@@ -562,9 +940,64 @@ export const SyncService = {
     );
   },
 
+  /**
+   * Push the writes left in the outbox, oldest first. Cloud changes are
+   * pulled first, and each write sends the current local copy of its data
+   * type, so nothing merged since it was queued is overwritten.
+   * @param {string|null} dataType - Replay only this data type
+   * @returns {Promise<number>} Number of writes replayed
+   */
+  async replayOutbox(dataType = null) {
+    const userId = AuthService.getUserId();
+    if (!userId || !this.isOnline) return 0;
+
+    // Without IndexedDB nothing was queued; push everything instead
+    if (!SyncOutbox.isSupported()) {
+      this.triggerBackgroundSync();
+      return 0;
+    }
+
+    // Let a running replay finish rather than pushing twice. Several callers
+    // may wait on the same one, so check again until none is running.
+    while (this._replayPromise) {
+      await this._replayPromise.catch(() => {});
+    }
+
+    const replay = (async () => {
+      const entries = (await SyncOutbox.list()).filter(
+        entry =>
+          entry.userId === userId && (!dataType || entry.dataType === dataType)
+      );
+      if (entries.length === 0) return 0;
+
+      await this.pullFromCloud(userId);
+      for (const entry of entries) {
+        const data = DomainStore.read(entry.dataType) ?? entry.data;
+        // Replays aren't rapid edits, skip the per-type throttle
+        this.lastPushTimes.delete(entry.dataType);
+        await this._executePush(
+          entry.dataType,
+          data ?? entry.data,
+          userId,
+          entry.seq
+        );
+      }
+      console.log(`[Sync] Replayed ${entries.length} queued writes`);
+      return entries.length;
+    })();
+    this._replayPromise = replay;
+
+    try {
+      return await replay;
+    } finally {
+      if (this._replayPromise === replay) this._replayPromise = null;
+    }
+  },
+
   triggerBackgroundSync() {
     // Sync all data types that might have pending changes
     const dataTypes = [
+      STORAGE_KEYS.TOMBSTONES,
       STORAGE_KEYS.TRANSACTIONS,
       STORAGE_KEYS.ACCOUNTS,
       STORAGE_KEYS.CUSTOM_CATEGORIES,
@@ -572,13 +1005,16 @@ export const SyncService = {
       STORAGE_KEYS.GOALS,
       STORAGE_KEYS.INVESTMENTS,
       STORAGE_KEYS.BUDGETS,
+      STORAGE_KEYS.RECURRING,
+      STORAGE_KEYS.CUSTOM_REPORTS,
+      STORAGE_KEYS.EXCHANGE_RATES,
     ];
 
     dataTypes.forEach(dataType => {
       try {
-        const data = localStorage.getItem(dataType);
+        const data = DomainStore.read(dataType);
         if (data) {
-          this.pushToCloud(dataType, safeJsonParse(data));
+          this.pushToCloud(dataType, data);
         }
       } catch (error) {
         console.error(`[Sync] Background sync failed for ${dataType}:`, error);
@@ -0,0 +1,172 @@
+/**
+ * Tombstone Service
+ * Remembers deleted records so deletions reach every device. Without them a
+ * record missing from the cloud could mean "deleted elsewhere" as well as
+ * "added offline here"; with them, merges keep records that only exist
+ * locally and drop the ones that carry a tombstone.
+ *
+ * Tombstones sync as their own data type (a union on every device) and are
+ * garbage-collected after TOMBSTONE_RETENTION_DAYS.
+ */
+
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { generateId } from '../utils/id-utils.js';
+import { safeJsonParse } from '../utils/security-utils.js';
+import { stableStringify } from '../utils/backup-utils.js';
+import {
+  dropTombstoned,
+  indexTombstones,
+  isActiveTombstone,
+  mergeTombstones,
+  pruneTombstones,
+} from '../utils/tombstones.js';
+import { SyncService } from './sync-service.js';
+import { DomainStore } from './domain-store.js';
+
+const TOMBSTONES_KEY = STORAGE_KEYS.TOMBSTONES;
+
+// Collections whose deletions are tracked
+const TRACKED_TYPES = [
+  STORAGE_KEYS.TRANSACTIONS,
+  STORAGE_KEYS.ACCOUNTS,
+  STORAGE_KEYS.CUSTOM_CATEGORIES,
+  STORAGE_KEYS.GOALS,
+  STORAGE_KEYS.INVESTMENTS,
+  STORAGE_KEYS.BUDGETS,
+  STORAGE_KEYS.RECURRING,
+  STORAGE_KEYS.CUSTOM_REPORTS,
+];
+
+const toIdList = ids => [].concat(ids || []).filter(Boolean);
+
+export const TombstoneService = {
+  /**
+   * Stable ID of this browser, stamped on the tombstones it writes
+   * @returns {string}
+   */
+  getDeviceId() {
+    let deviceId = localStorage.getItem(STORAGE_KEYS.DEVICE_ID);
+    if (!deviceId) {
+      deviceId = generateId();
+      try {
+        localStorage.setItem(STORAGE_KEYS.DEVICE_ID, deviceId);
+      } catch {
+        // A new ID per session is still correct, only less informative
+      }
+    }
+    return deviceId;
+  },
+
+  /**
+   * All tombstones on this device, including revived ones
+   * @returns {Array<Object>}
+   */
+  getAll() {
+    const stored = safeJsonParse(localStorage.getItem(TOMBSTONES_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  },
+
+  /**
+   * Active deletions of one collection, for merges
+   * @param {string} dataType - Storage key of the collection
+   * @returns {Map<string, number>} Record ID to deletion time in milliseconds
+   */
+  getDeleted(dataType) {
+    return indexTombstones(this.getAll(), dataType);
+  },
+
+  /**
+   * Record deleted records
+   * @param {string} dataType - Storage key of the collection
+   * @param {string|Array<string>} ids - Deleted record IDs
+   */
+  record(dataType, ids) {
+    const list = toIdList(ids);
+    if (!TRACKED_TYPES.includes(dataType) || list.length === 0) return;
+
+    const deletedAt = new Date().toISOString();
+    const deviceId = this.getDeviceId();
+    const tombstones = mergeTombstones(
+      this.getAll(),
+      list.map(id => ({ dataType, id, deletedAt, deviceId }))
+    );
+    this._save(pruneTombstones(tombstones, Date.now()));
+  },
+
+  /**
+   * Disarm the tombstones of records that were brought back (backup restore)
+   * @param {string} dataType - Storage key of the collection
+   * @param {string|Array<string>} ids - Restored record IDs
+   */
+  revive(dataType, ids) {
+    const wanted = new Set(toIdList(ids));
+    const revivedAt = new Date().toISOString();
+    let changed = false;
+
+    const tombstones = this.getAll().map(tombstone => {
+      if (
+        tombstone.dataType !== dataType ||
+        !wanted.has(tombstone.id) ||
+        !isActiveTombstone(tombstone)
+      ) {
+        return tombstone;
+      }
+      changed = true;
+      return { ...tombstone, revivedAt };
+    });
+
+    if (changed) this._save(mergeTombstones(tombstones));
+  },
+
+  /**
+   * Merge tombstones from the cloud, delete the records they cover on this
+   * device, and push back the ones the cloud was missing
+   * @param {Array<Object>} cloudTombstones - Tombstones from the cloud
+   */
+  mergeFromCloud(cloudTombstones) {
+    const cloud = mergeTombstones(
+      Array.isArray(cloudTombstones) ? cloudTombstones : []
+    );
+    const local = this.getAll();
+    const merged = pruneTombstones(mergeTombstones(local, cloud), Date.now());
+
+    if (stableStringify(merged) !== stableStringify(local)) {
+      this._save(merged, false);
+      this._applyToLocal(merged);
+    }
+    if (stableStringify(merged) !== stableStringify(cloud)) {
+      SyncService.pushToCloud(TOMBSTONES_KEY, merged);
+    }
+  },
+
+  _applyToLocal(tombstones) {
+    TRACKED_TYPES.forEach(dataType => {
+      const records = DomainStore.read(dataType);
+      if (!Array.isArray(records)) return;
+
+      const kept = dropTombstoned(
+        records,
+        indexTombstones(tombstones, dataType)
+      );
+      if (kept.length === records.length) return;
+
+      DomainStore.write(dataType, kept);
+      SyncService.pushToCloud(dataType, kept);
+      window.dispatchEvent(
+        new CustomEvent('storage-updated', { detail: { key: dataType } })
+      );
+    });
+  },
+
+  _save(tombstones, sync = true) {
+    try {
+      localStorage.setItem(TOMBSTONES_KEY, JSON.stringify(tombstones));
+    } catch (error) {
+      console.warn('[TombstoneService] Failed to save tombstones:', error);
+      return;
+    }
+    if (sync) {
+      SyncService.pushToCloud(TOMBSTONES_KEY, tombstones);
+    }
+  },
+};
@@ -9,20 +9,30 @@ import { SyncService } from './sync-service.js';
 import { AuthService } from './auth-service.js';
 import { AccountService } from './Account/account-service.js';
 import { generateId } from '../utils/id-utils.js';
-import { safeJsonParse } from '../utils/security-utils.js';
+import { DomainStore } from './domain-store.js';
 import { PrivacyService } from './privacy-service.js';
+import { CurrencyService } from './currency-service.js';
 import { getAnalyticsEngine } from './analytics/AnalyticsInstance.js';
+import { AttachmentService } from './attachment-service.js';
+import { TombstoneService } from './tombstone-service.js';
 
 const TRANSACTIONS_KEY = STORAGE_KEYS.TRANSACTIONS;
 
 export const TransactionService = {
+  _migratedRevision: null, // DomainStore revision last checked by getAll()
+
   /**
    * Get all transactions
    * @returns {Array} List of transactions
    */
   getAll() {
-    const data = localStorage.getItem(TRANSACTIONS_KEY);
-    let transactions = data ? safeJsonParse(data) : [];
+    let transactions = DomainStore.read(TRANSACTIONS_KEY) || [];
+
+    // Already checked since the data last changed
+    const revision = DomainStore.revision(TRANSACTIONS_KEY);
+    if (revision !== null && revision === this._migratedRevision) {
+      return transactions;
+    }
 
     // Migration: Ensure all transactions have an accountId
     const defaultAccount = AccountService.getDefaultAccount();
@@ -39,6 +49,7 @@ export const TransactionService = {
     if (hasChanges) {
       this._persist(transactions, true); // Push migration changes to cloud
     }
+    this._migratedRevision = DomainStore.revision(TRANSACTIONS_KEY);
 
     return transactions;
   },
@@ -79,14 +90,14 @@ export const TransactionService = {
       transaction.accountId = AccountService.getDefaultAccount().id;
     }
 
-    const newTransaction = {
+    const newTransaction = CurrencyService.applyCurrencies({
       id: generateId(),
       timestamp: transaction.timestamp || new Date().toISOString(),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       userId: AuthService.getUserId(),
       ...transaction,
-    };
+    });
 
     // Apply data minimization
     const sanitizedTransaction = PrivacyService.sanitizeDataForStorage(
@@ -113,6 +124,45 @@ export const TransactionService = {
     return sanitizedTransaction;
   },
 
+  /**
+   * Add many transactions at once (e.g. a bank statement import)
+   * Persists and syncs once for the whole batch instead of once per row.
+   * @param {Array} batch - Transaction data objects
+   * @returns {Array} Added transactions
+   */
+  addBatch(batch) {
+    if (!Array.isArray(batch) || batch.length === 0) return [];
+
+    const transactions = this.getAll();
+    const defaultAccountId = AccountService.getDefaultAccount().id;
+    const now = new Date().toISOString();
+    const userId = AuthService.getUserId();
+
+    const added = batch.map(transaction =>
+      PrivacyService.sanitizeDataForStorage(
+        CurrencyService.applyCurrencies({
+          id: generateId(),
+          timestamp: transaction.timestamp || now,
+          createdAt: now,
+          updatedAt: now,
+          userId,
+          ...transaction,
+          accountId: transaction.accountId || defaultAccountId,
+        }),
+        'transaction'
+      )
+    );
+
+    // Keep the newest-first order that add() produces
+    const sorted = [...added].sort(
+      (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
+    );
+    this._persist([...sorted, ...transactions]);
+
+    // Imported history is deliberately not fed into quick amount presets
+    return added;
+  },
+
   /**
    * Get a specific transaction by ID
    * @param {string} id - Transaction ID
@@ -146,7 +196,7 @@ export const TransactionService = {
     const index = transactions.findIndex(t => t.id === id);
     if (index === -1) return null;
 
-    const merged = {
+    let merged = {
       ...transactions[index],
       ...updates,
       timestamp:
@@ -156,6 +206,16 @@ export const TransactionService = {
       updatedAt: new Date().toISOString(),
     };
 
+    // Re-derive currencies when the accounts or the transferred amount change;
+    // an unchanged transfer keeps the received amount it was recorded with
+    const changed = field =>
+      Object.prototype.hasOwnProperty.call(updates, field) &&
+      updates[field] !== transactions[index][field];
+    if (['accountId', 'toAccountId', 'amount', 'type'].some(changed)) {
+      if (!changed('toAmount')) delete merged.toAmount;
+      merged = CurrencyService.applyCurrencies(merged);
+    }
+
     // Explicit empty tags removes the label (omit would keep the old value)
     if (Object.prototype.hasOwnProperty.call(updates, 'tags')) {
       if (!Array.isArray(updates.tags) || updates.tags.length === 0) {
@@ -163,12 +223,45 @@ export const TransactionService = {
       }
     }
 
+    if (Object.prototype.hasOwnProperty.call(updates, 'attachments')) {
+      if (!Array.isArray(updates.attachments) || !updates.attachments.length) {
+        delete merged.attachments;
+      }
+    }
+
+    const previous = transactions[index];
     transactions[index] = merged;
     this._persist(transactions);
+    this._releaseAttachments(previous, transactions);
 
     return transactions[index];
   },
 
+  /**
+   * Store files and attach them to a transaction
+   * @param {string} id - Transaction ID
+   * @param {Array<File>} files - Images or PDFs
+   * @returns {Promise<Object|null>} Updated transaction
+   */
+  async addAttachments(id, files) {
+    if (!files || files.length === 0) return this.get(id);
+
+    const added = [];
+    for (const file of files) {
+      added.push(await AttachmentService.store(file));
+    }
+
+    // Re-read after the async work so concurrent edits are kept
+    const current = this.get(id);
+    if (!current) {
+      AttachmentService.remove(added.map(a => a.id));
+      return null;
+    }
+    return this.update(id, {
+      attachments: [...(current.attachments || []), ...added],
+    });
+  },
+
   /**
    * Remove a transaction
    * @param {string} id - Transaction ID
@@ -184,7 +277,9 @@ export const TransactionService = {
 
     let transactions = this.getAll();
     transactions = transactions.filter(t => t.id !== id);
+    TombstoneService.record(TRANSACTIONS_KEY, id);
     this._persist(transactions);
+    this._releaseAttachments(transaction, transactions);
 
     return true;
   },
@@ -246,6 +341,8 @@ export const TransactionService = {
     delete copyData.movedToDate;
     delete copyData.originalDate;
     delete copyData.ghostId;
+    // Receipts belong to the original purchase
+    delete copyData.attachments;
     copyData.timestamp = new Date().toISOString();
 
     return this.add(copyData);
@@ -314,18 +411,41 @@ export const TransactionService = {
   clear() {
     const transactions = this.getAll();
     const transactionCount = transactions.length;
-    localStorage.removeItem(TRANSACTIONS_KEY);
+    DomainStore.remove(TRANSACTIONS_KEY);
 
     this._persist([]);
 
     return transactionCount;
   },
 
+  /**
+   * Delete stored files the transaction no longer references. Ghosts and
+   * split halves can share attachments, so files still referenced by any
+   * remaining transaction are kept.
+   * @param {Object} previous - Transaction before the change
+   * @param {Array} transactions - Transactions after the change
+   */
+  _releaseAttachments(previous, transactions) {
+    if (!previous?.attachments?.length) return;
+
+    const inUse = new Set(
+      transactions.flatMap(t => (t.attachments || []).map(a => a.id))
+    );
+    const released = previous.attachments
+      .map(a => a.id)
+      .filter(attachmentId => !inUse.has(attachmentId));
+    if (released.length === 0) return;
+
+    AttachmentService.remove(released).catch(error =>
+      console.warn('[TransactionService] Failed to delete attachments:', error)
+    );
+  },
+
   /**
    * Private helper to persist transactions
    */
   _persist(transactions, sync = true) {
-    localStorage.setItem(TRANSACTIONS_KEY, JSON.stringify(transactions));
+    DomainStore.write(TRANSACTIONS_KEY, transactions);
     if (sync) {
       SyncService.pushToCloud(TRANSACTIONS_KEY, transactions);
     }
@@ -1,3 +1,4 @@
+import { formatMoney } from '../utils/money-format.js';
 /**
  * Unusual Spending Detector
  *
@@ -192,7 +193,7 @@ export class UnusualSpendingDetector {
           category,
           priority: 'high',
           title: `Budget Exceeded in ${category}`,
-          description: `Spent ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(overBudget)} over budget`,
+          description: `Spent ${formatMoney(overBudget)} over budget`,
           suggestion: `Consider increasing budget or reducing spending in ${category}`,
           data: {
             ...analysis,
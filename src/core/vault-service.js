@@ -0,0 +1,317 @@
+/**
+ * Vault Service
+ * Opt-in encryption of domain data for local-only mode, where nothing
+ * leaves the device and the data would otherwise sit in plaintext. The
+ * passphrase is never stored: it unwraps the vault's data key on launch,
+ * and the vault locks again after a period of inactivity.
+ *
+ * Vault settings are kept in localStorage under STORAGE_KEYS.VAULT as
+ * { version, kdf, wrappedKey, autoLockMinutes, createdAt, updatedAt }.
+ */
+
+import { STORAGE_KEYS } from '../utils/constants.js';
+import { safeJsonParse } from '../utils/security-utils.js';
+import {
+  decryptJson,
+  encryptJson,
+  generateDataKey,
+  isVaultCryptoSupported,
+  unwrapDataKey,
+  wrapDataKey,
+} from '../utils/vault-crypto.js';
+import { DomainStore, DOMAIN_KEYS } from './domain-store.js';
+import { VaultAdapter } from './storage-adapters/vault-adapter.js';
+import { IndexedDBAdapter } from './storage-adapters/indexeddb-adapter.js';
+import { LocalStorageAdapter } from './storage-adapters/local-storage-adapter.js';
+import { config } from '../../config/app.config.js';
+
+const VAULT_KEY = STORAGE_KEYS.VAULT;
+const EXPORT_FORMAT = 'blinkbudget-vault-export';
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'wheel'];
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+export const AUTO_LOCK_OPTIONS = [1, 5, 15, 30, 0]; // minutes, 0 = never
+const DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+export const VaultService = {
+  _dataKey: null,
+  _lockTimer: null,
+  _activityController: null,
+
+  /**
+   * The vault is offered in local-only mode on browsers with WebCrypto
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(config.localMode) && isVaultCryptoSupported();
+  },
+
+  /**
+   * @returns {boolean} Whether domain data is stored encrypted
+   */
+  isEnabled() {
+    return this._getSettings() !== null;
+  },
+
+  /**
+   * @returns {boolean} Whether the data key is in memory
+   */
+  isUnlocked() {
+    return this._dataKey !== null;
+  },
+
+  /**
+   * @returns {number} Minutes of inactivity before locking, 0 for never
+   */
+  getAutoLockMinutes() {
+    return this._getSettings()?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES;
+  },
+
+  /**
+   * Encrypt all domain data under a new passphrase and remove the plaintext
+   * @param {string} passphrase - New passphrase
+   * @throws {Error} When unavailable, already enabled or the passphrase is too short
+   */
+  async enable(passphrase) {
+    if (!this.isAvailable()) {
+      throw new Error('The vault is only available in local-only mode');
+    }
+    if (this.isEnabled()) throw new Error('The vault is already enabled');
+    this._checkPassphrase(passphrase);
+
+    const dataKey = await generateDataKey();
+    const wrapped = await wrapDataKey(dataKey, passphrase);
+    const previous = DomainStore.adapter;
+    await previous.flush();
+
+    VaultAdapter.setKey(dataKey);
+    // Envelopes left by an erased vault are overwritten, never read
+    await VaultAdapter.open([]);
+    DOMAIN_KEYS.forEach(key => {
+      const value = DomainStore.read(key);
+      if (value !== null) VaultAdapter.write(key, value);
+    });
+    await VaultAdapter.flush();
+
+    const now = new Date().toISOString();
+    this._saveSettings({
+      version: 1,
+      ...wrapped,
+      autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES,
+      createdAt: now,
+      updatedAt: now,
+    });
+    this._dataKey = dataKey;
+    await DomainStore.useAdapter(VaultAdapter);
+
+    // Plaintext copies go only once the encrypted ones are saved
+    DOMAIN_KEYS.forEach(key => previous.remove(key));
+    await previous.flush();
+    this._startAutoLock();
+    console.log('[VaultService] Vault enabled');
+  },
+
+  /**
+   * Unwrap the data key and decrypt domain data into memory
+   * @param {string} passphrase - Vault passphrase
+   * @throws {Error} 'Incorrect passphrase' when it doesn't match
+   */
+  async unlock(passphrase) {
+    const settings = this._getSettings();
+    if (!settings) throw new Error('The vault is not enabled');
+    if (this.isUnlocked()) return;
+
+    const dataKey = await unwrapDataKey(settings, passphrase);
+    VaultAdapter.setKey(dataKey);
+    await VaultAdapter.open(DOMAIN_KEYS);
+    this._dataKey = dataKey;
+    await DomainStore.useAdapter(VaultAdapter);
+    this._startAutoLock();
+  },
+
+  /**
+   * Save pending writes, then forget the key and decrypted data. Fires
+   * `vault-locked`; the app reloads to show the lock screen.
+   * @returns {Promise<boolean>} false when pending writes couldn't be saved
+   */
+  async lock() {
+    if (!this.isUnlocked()) return true;
+    try {
+      await DomainStore.flush();
+    } catch (error) {
+      // Locking now would lose the unsaved changes
+      console.error('[VaultService] Not locking, saving failed:', error);
+      return false;
+    }
+    this._stopAutoLock();
+    VaultAdapter.close();
+    this._dataKey = null;
+    window.dispatchEvent(new CustomEvent('vault-locked'));
+    return true;
+  },
+
+  /**
+   * Re-wrap the data key under a new passphrase. Data stays as it is.
+   * @param {string} currentPassphrase - Passphrase in use
+   * @param {string} newPassphrase - Replacement
+   * @throws {Error} 'Incorrect passphrase' or a too-short new passphrase
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    const settings = this._getSettings();
+    if (!settings) throw new Error('The vault is not enabled');
+    this._checkPassphrase(newPassphrase);
+
+    const dataKey = await unwrapDataKey(settings, currentPassphrase);
+    const wrapped = await wrapDataKey(dataKey, newPassphrase);
+    this._saveSettings({
+      ...settings,
+      ...wrapped,
+      updatedAt: new Date().toISOString(),
+    });
+    console.log('[VaultService] Passphrase changed');
+  },
+
+  /**
+   * @param {number} minutes - Minutes of inactivity before locking, 0 for never
+   */
+  setAutoLockMinutes(minutes) {
+    const settings = this._getSettings();
+    if (!settings || !AUTO_LOCK_OPTIONS.includes(minutes)) return;
+    this._saveSettings({ ...settings, autoLockMinutes: minutes });
+    if (this.isUnlocked()) this._startAutoLock();
+  },
+
+  /**
+   * Store domain data in plaintext again and delete the vault
+   * @param {string} passphrase - Vault passphrase
+   * @throws {Error} 'Incorrect passphrase' when it doesn't match
+   */
+  async disable(passphrase) {
+    const settings = this._getSettings();
+    if (!settings || !this.isUnlocked()) {
+      throw new Error('Unlock the vault first');
+    }
+    await unwrapDataKey(settings, passphrase);
+    await VaultAdapter.flush();
+
+    const target = IndexedDBAdapter.isSupported()
+      ? IndexedDBAdapter
+      : LocalStorageAdapter;
+    await target.open(DOMAIN_KEYS);
+    DOMAIN_KEYS.forEach(key => {
+      const value = VaultAdapter.read(key);
+      if (value !== null) target.write(key, value);
+    });
+    await target.flush();
+    await DomainStore.useAdapter(target);
+
+    localStorage.removeItem(VAULT_KEY);
+    this._stopAutoLock();
+    this._dataKey = null;
+    VaultAdapter.close();
+    await VaultAdapter.destroy(DOMAIN_KEYS);
+    console.log('[VaultService] Vault disabled');
+  },
+
+  /**
+   * Delete the vault and everything in it, for a forgotten passphrase
+   */
+  async erase() {
+    this._stopAutoLock();
+    this._dataKey = null;
+    VaultAdapter.close();
+    localStorage.removeItem(VAULT_KEY);
+    await VaultAdapter.destroy(DOMAIN_KEYS);
+    console.warn('[VaultService] Vault erased');
+  },
+
+  /**
+   * Encrypt an export so it opens with the current vault passphrase
+   * @param {Object} data - Export data
+   * @returns {Promise<Object>} Encrypted export file contents
+   */
+  async encryptExport(data) {
+    const settings = this._getSettings();
+    if (!settings || !this.isUnlocked()) {
+      throw new Error('Unlock the vault first');
+    }
+    return {
+      format: EXPORT_FORMAT,
+      version: 1,
+      createdAt: new Date().toISOString(),
+      kdf: settings.kdf,
+      wrappedKey: settings.wrappedKey,
+      payload: await encryptJson(this._dataKey, data),
+    };
+  },
+
+  /**
+   * @param {Object} file - Parsed export file
+   * @returns {boolean} Whether it came from encryptExport()
+   */
+  isEncryptedExport(file) {
+    return file?.format === EXPORT_FORMAT && Boolean(file.payload);
+  },
+
+  /**
+   * Decrypt an export made by encryptExport()
+   * @param {Object} file - Parsed export file
+   * @param {string} passphrase - Vault passphrase when the file was exported
+   * @returns {Promise<Object>} Export data
+   * @throws {Error} 'Incorrect passphrase' when it doesn't match
+   */
+  async decryptExport(file, passphrase) {
+    if (!this.isEncryptedExport(file)) {
+      throw new Error('Not an encrypted BlinkBudget export');
+    }
+    const dataKey = await unwrapDataKey(file, passphrase);
+    return decryptJson(dataKey, file.payload);
+  },
+
+  _checkPassphrase(passphrase) {
+    if (
+      typeof passphrase !== 'string' ||
+      passphrase.length < MIN_PASSPHRASE_LENGTH
+    ) {
+      throw new Error(
+        `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+      );
+    }
+  },
+
+  _getSettings() {
+    const settings = safeJsonParse(localStorage.getItem(VAULT_KEY) || 'null');
+    return settings?.kdf && settings?.wrappedKey ? settings : null;
+  },
+
+  _saveSettings(settings) {
+    localStorage.setItem(VAULT_KEY, JSON.stringify(settings));
+  },
+
+  // Lock after the configured minutes without pointer or keyboard input
+  _startAutoLock() {
+    this._stopAutoLock();
+    const minutes = this.getAutoLockMinutes();
+    if (!minutes) return;
+
+    const schedule = () => {
+      clearTimeout(this._lockTimer);
+      this._lockTimer = setTimeout(() => this.lock(), minutes * 60 * 1000);
+    };
+    this._activityController = new AbortController();
+    ACTIVITY_EVENTS.forEach(eventName => {
+      window.addEventListener(eventName, schedule, {
+        passive: true,
+        signal: this._activityController.signal,
+      });
+    });
+    schedule();
+  },
+
+  _stopAutoLock() {
+    clearTimeout(this._lockTimer);
+    this._lockTimer = null;
+    this._activityController?.abort();
+    this._activityController = null;
+  },
+};
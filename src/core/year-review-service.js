@@ -0,0 +1,153 @@
+/**
+ * Year in Review Service
+ * Aggregates one calendar year for the annual recap: month-by-month income,
+ * expenses and net, the biggest categories against the year before,
+ * personal inflation, goals reached, the largest purchases and logging
+ * streaks. Amounts are in the base currency.
+ */
+
+import { MetricsService } from './analytics/MetricsService.js';
+import { FilteringService } from './analytics/FilteringService.js';
+import { ComparisonService } from './analytics/ComparisonService.js';
+import { trendService } from './analytics/TrendService.js';
+import { ClickTracker } from './click-tracking-service.js';
+import { CurrencyService } from './currency-service.js';
+import { StorageService } from './storage.js';
+import { TRANSACTION_TYPES } from '../utils/constants.js';
+
+const TOP_CATEGORIES = 8;
+const TOP_PURCHASES = 10;
+
+const yearPeriod = year => ({
+  startDate: new Date(year, 0, 1),
+  endDate: new Date(year, 11, 31, 23, 59, 59, 999),
+});
+
+export const YearReviewService = {
+  /**
+   * Years that have transactions, newest first
+   * @param {Array} transactions - All transactions
+   * @returns {number[]}
+   */
+  getAvailableYears(transactions) {
+    const years = new Set(
+      transactions
+        .filter(t => !t.isGhost)
+        .map(t => new Date(t.date || t.timestamp).getFullYear())
+        .filter(year => !Number.isNaN(year))
+    );
+    return [...years].sort((a, b) => b - a);
+  },
+
+  /**
+   * Build the recap for a calendar year
+   * @param {Array} transactions - All transactions (not pre-filtered)
+   * @param {number} year - Calendar year, e.g. 2026
+   * @returns {Object} { year, currency, totals, months, bestMonth,
+   *   categories, expenseChange, inflation, goalsReached, largestPurchases,
+   *   streaks }
+   */
+  build(transactions, year) {
+    const period = yearPeriod(year);
+    const previousPeriod = yearPeriod(year - 1);
+    const converter = CurrencyService.createConverter();
+
+    const totals = MetricsService.calculateIncomeVsExpenses(
+      transactions,
+      period
+    );
+    const savingsRate =
+      totals.totalIncome > 0
+        ? (totals.netBalance / totals.totalIncome) * 100
+        : 0;
+
+    const months = Array.from({ length: 12 }, (_, month) => {
+      const result = MetricsService.calculateIncomeVsExpenses(transactions, {
+        startDate: new Date(year, month, 1),
+        endDate: new Date(year, month + 1, 0, 23, 59, 59, 999),
+      });
+      return {
+        month,
+        label: new Date(year, month, 1).toLocaleDateString('en-US', {
+          month: 'short',
+        }),
+        income: result.totalIncome,
+        expenses: result.totalExpenses,
+        net: result.netBalance,
+      };
+    });
+    const activeMonths = months.filter(m => m.income > 0 || m.expenses > 0);
+    const bestMonth = activeMonths.length
+      ? activeMonths.reduce((best, m) => (m.net > best.net ? m : best))
+      : null;
+
+    const comparison = ComparisonService.comparePeriodsSpending(
+      transactions,
+      period,
+      previousPeriod
+    );
+    const categories = comparison.categoryComparison
+      .filter(c => c.current > 0)
+      .sort((a, b) => b.current - a.current)
+      .slice(0, TOP_CATEGORIES);
+
+    // Inflation over the twelve months up to the end of the year (or today)
+    const inflationEnd = new Date(Math.min(period.endDate, Date.now()));
+    const inflation = trendService.calculatePersonalInflation(
+      transactions.filter(t => new Date(t.date || t.timestamp) <= inflationEnd),
+      12,
+      inflationEnd
+    );
+
+    const goalsReached = (StorageService.getGoals() || [])
+      .filter(goal => {
+        if (goal.targetAmount <= 0 || goal.currentSavings < goal.targetAmount) {
+          return false;
+        }
+        // Goals completed before completion dates were recorded fall back
+        // to their last update
+        const reached = new Date(goal.completedDate || goal.updatedDate);
+        return reached >= period.startDate && reached <= period.endDate;
+      })
+      .map(goal => ({
+        id: goal.id,
+        name: goal.name,
+        targetAmount: goal.targetAmount,
+        completedDate: new Date(
+          goal.completedDate || goal.updatedDate
+        ).toISOString(),
+      }));
+
+    const largestPurchases = FilteringService.filterByTimePeriod(
+      transactions,
+      period
+    )
+      .filter(t => t.type === TRANSACTION_TYPES.EXPENSE)
+      .map(t => ({
+        id: t.id,
+        date: t.date || t.timestamp,
+        category: t.category || 'Uncategorized',
+        description: t.description || '',
+        amount: Math.abs(converter.amount(t)),
+      }))
+      .sort((a, b) => b.amount - a.amount)
+      .slice(0, TOP_PURCHASES);
+
+    return {
+      year,
+      currency: converter.base,
+      totals: { ...totals, savingsRate },
+      months,
+      bestMonth,
+      categories,
+      expenseChange: comparison.overallComparison.expenses,
+      inflation: {
+        overallRate: inflation.overallRate,
+        topDrivers: inflation.topDrivers,
+      },
+      goalsReached,
+      largestPurchases,
+      streaks: ClickTracker.getStreakStats(transactions, period),
+    };
+  },
+};
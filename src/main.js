@@ -1,16 +1,21 @@
 import { Router } from './core/router.js';
 import { AuthService } from './core/auth-service.js';
 import { SyncService } from './core/sync-service.js';
+import { DomainStore } from './core/domain-store.js';
+import { VaultService } from './core/vault-service.js';
 import { NavigationState } from './core/navigation-state.js';
 import { ViewManager } from './core/view-manager.js';
 import { routes } from './router/routes.js';
 import { routeGuard } from './router/guard.js';
 import { MobileNavigation } from './components/MobileNavigation.js';
 import { NetworkStatus } from './components/NetworkStatus.js';
+import { ConflictDialog } from './components/ConflictDialog.js';
 import { LoadingView } from './components/LoadingView.js';
+import { VaultLockScreen } from './components/VaultLockScreen.js';
 import { InstallService } from './core/install.js';
 import { CacheInvalidator } from './core/cache-invalidator.js';
 import { PrivacyService } from './core/privacy-service.js';
+import { RecurringService } from './core/recurring-service.js';
 import { config } from '../config/app.config.js';
 import './core/mobile-utils.js'; // Initialize consolidated mobile utilities
 import './pwa.js'; // Register PWA service worker
@@ -41,6 +46,15 @@ const initApp = () => {
     }
   };
 
+  // Post recurring transactions that came due while the app was closed
+  const initRecurring = () => {
+    try {
+      RecurringService.init();
+    } catch (error) {
+      console.warn('[Main] Failed to initialize RecurringService:', error);
+    }
+  };
+
   // Register Routes
   Object.entries(routes).forEach(([path, handler]) => {
     Router.on(path, handler);
@@ -81,6 +95,13 @@ const initApp = () => {
     document.body.appendChild(earlyNav);
   }
 
+  // Connection monitoring (replays queued writes on reconnect) and
+  // conflict resolution events. Realtime sync keeps running while the tab
+  // is hidden, so the visibility handler from init() is left out.
+  SyncService.setupConnectionMonitoring();
+  SyncService.listenForConflictResolutions();
+  ConflictDialog();
+
   // Auth Initialization
   AuthService.init(async user => {
     const currentRoute = Router.getCurrentRoute();
@@ -90,13 +111,31 @@ const initApp = () => {
       localStorage.setItem('auth_hint', 'true');
 
       SyncService.startRealtimeSync(user.uid);
+      // Post due recurring transactions only once the cloud copy is in, so
+      // occurrences another device already posted are not posted again
+      SyncService.pullFromCloud(user.uid)
+        .catch(error =>
+          console.warn('[Main] Initial pull before recurring failed:', error)
+        )
+        .finally(initRecurring);
+      // Send writes still queued from an earlier session
+      SyncService.replayOutbox().catch(error =>
+        console.warn('[Main] Replaying queued writes failed:', error)
+      );
       // Initialize backup service after sync service
       import('./core/backup-service.js').then(({ BackupService }) => {
         BackupService.init();
       });
+      // Upload receipts attached while signed out or offline
+      import('./core/attachment-service.js').then(({ AttachmentService }) => {
+        AttachmentService.uploadPending().catch(error =>
+          console.warn('[Main] Attachment upload failed:', error)
+        );
+      });
     } else if (config.localMode) {
       // Local mode: auto-navigate to dashboard, skip sync
       console.log('[Main] Local mode — navigating to dashboard directly.');
+      initRecurring();
     } else {
       console.log('[Main] No user, stopping sync.');
 
@@ -152,4 +191,35 @@ const initApp = () => {
   Router.init();
 };
 
-initApp();
+// Domain data moves to IndexedDB and is loaded before anything reads it
+const openDomainStore = () =>
+  DomainStore.init()
+    .catch(error =>
+      console.warn('[Main] Failed to open domain storage:', error)
+    )
+    .finally(initApp);
+
+if (VaultService.isEnabled()) {
+  // Encrypted data is only readable once the passphrase unlocks the vault
+  document.querySelector('#app').appendChild(
+    VaultLockScreen({
+      onUnlock: () =>
+        VaultService.isUnlocked() ? initApp() : openDomainStore(),
+    })
+  );
+} else {
+  openDomainStore();
+}
+
+// Another device encrypts synced data; this one holds its writes until the
+// recovery code is entered in settings
+window.addEventListener('sync-encryption-key-needed', () => {
+  import('./utils/toast-notifications.js').then(({ showWarningToast }) => {
+    showWarningToast(
+      'Your synced data is encrypted. Enter your recovery code in Settings to keep syncing.'
+    );
+  });
+});
+
+// Locking forgets the decrypted data; start over at the lock screen
+window.addEventListener('vault-locked', () => window.location.reload());
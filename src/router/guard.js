@@ -39,6 +39,7 @@ export const routeGuard = route => {
     'settings',
     'reports',
     'financial-planning',
+    'year-review',
   ];
   if (protectedRoutes.includes(route)) {
     if (!AuthService.isAuthenticated() && !AuthService.hasAuthHint()) {
@@ -92,6 +92,15 @@ export const routes = {
     ViewManager.setView(FinancialPlanningView(params));
     updateMobileNavigation('financial-planning');
   },
+  'year-review': async (params = {}) => {
+    const { YearReviewView } = await loadCachedOrImport(
+      'YearReviewView',
+      () => import('../views/YearReviewView.js')
+    );
+    NavigationState.setLastActiveView('year-review');
+    ViewManager.setView(YearReviewView(params));
+    updateMobileNavigation('reports');
+  },
   login: async () => {
     const { LoginView } = await loadCachedOrImport(
       'LoginView',
@@ -0,0 +1,251 @@
+/**
+ * Backup utilities
+ * Pure helpers for cloud backup snapshots: the versioned backup schema,
+ * which snapshots the retention scheme keeps, and what restoring a snapshot
+ * would change.
+ */
+
+import { STORAGE_KEYS } from './constants.js';
+import { fromDateKey, addDays } from './recurrence-utils.js';
+
+/**
+ * Current backup schema.
+ * v1: transactions, accounts, settings, goals and investments only.
+ * v2: every persisted domain below, listed in `backup.sections`.
+ * v3: custom report definitions and exchange rates.
+ */
+export const BACKUP_SCHEMA_VERSION = 3;
+
+/**
+ * Persisted domains captured by a backup. Dashboard filters (session UI
+ * state) and click tracking (analytics) are left out on purpose. Exchange
+ * rates are kept: the user enters or imports them and nothing can refetch
+ * them.
+ * `since` is the schema version that started capturing the section; `synced`
+ * sections are pushed back to the cloud on restore.
+ */
+export const BACKUP_SECTIONS = [
+  {
+    name: 'transactions',
+    storageKey: STORAGE_KEYS.TRANSACTIONS,
+    type: 'array',
+    since: 1,
+    synced: true,
+  },
+  {
+    name: 'accounts',
+    storageKey: STORAGE_KEYS.ACCOUNTS,
+    type: 'array',
+    since: 1,
+    synced: true,
+  },
+  {
+    name: 'settings',
+    storageKey: STORAGE_KEYS.SETTINGS,
+    type: 'object',
+    since: 1,
+    synced: true,
+  },
+  {
+    name: 'goals',
+    storageKey: STORAGE_KEYS.GOALS,
+    type: 'array',
+    since: 1,
+    synced: true,
+  },
+  {
+    name: 'investments',
+    storageKey: STORAGE_KEYS.INVESTMENTS,
+    type: 'array',
+    since: 1,
+    synced: true,
+  },
+  {
+    name: 'budgets',
+    storageKey: STORAGE_KEYS.BUDGETS,
+    type: 'array',
+    since: 2,
+    synced: true,
+  },
+  {
+    name: 'customCategories',
+    storageKey: STORAGE_KEYS.CUSTOM_CATEGORIES,
+    type: 'array',
+    since: 2,
+    synced: true,
+  },
+  {
+    name: 'recurring',
+    storageKey: STORAGE_KEYS.RECURRING,
+    type: 'array',
+    since: 2,
+    synced: true,
+  },
+  {
+    name: 'customReports',
+    storageKey: STORAGE_KEYS.CUSTOM_REPORTS,
+    type: 'array',
+    since: 3,
+    synced: true,
+  },
+  {
+    name: 'exchangeRates',
+    storageKey: STORAGE_KEYS.EXCHANGE_RATES,
+    type: 'object',
+    since: 3,
+    synced: true,
+  },
+  {
+    name: 'amountPresets',
+    storageKey: STORAGE_KEYS.AMOUNT_PRESETS,
+    type: 'object',
+    since: 2,
+    synced: false,
+  },
+  {
+    name: 'privacySettings',
+    storageKey: STORAGE_KEYS.PRIVACY_SETTINGS,
+    type: 'object',
+    since: 2,
+    synced: false,
+  },
+];
+
+/**
+ * Bring a backup of any schema version to the current shape. Old backups
+ * only list the sections they actually contain, so restoring them leaves
+ * newer domains (budgets, categories, ...) untouched instead of wiping them.
+ * @param {Object} backup - Backup document
+ * @returns {Object|null} Backup with schemaVersion and sections set
+ */
+export const migrateBackup = backup => {
+  if (!backup || typeof backup !== 'object') return null;
+
+  const version = Number(backup.schemaVersion) || 1;
+  if (version >= BACKUP_SCHEMA_VERSION && Array.isArray(backup.sections)) {
+    return backup;
+  }
+
+  return {
+    ...backup,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    migratedFrom: version,
+    sections: BACKUP_SECTIONS.filter(
+      section => section.since <= version && backup[section.name] != null
+    ).map(section => section.name),
+  };
+};
+
+/**
+ * Number of records in a backup section
+ * @param {*} value - Section data
+ * @returns {number} Array length, object key count, or 0
+ */
+export const countSectionRecords = value => {
+  if (Array.isArray(value)) return value.length;
+  if (value && typeof value === 'object') return Object.keys(value).length;
+  return 0;
+};
+
+/**
+ * Default retention: the newest snapshot of each of the last 7 days,
+ * 4 weeks and 12 months is kept.
+ */
+export const BACKUP_RETENTION = { daily: 7, weekly: 4, monthly: 12 };
+
+// Monday of the snapshot's week, so a week has a single key
+const weekKey = dateKey => {
+  const offset = (fromDateKey(dateKey).getDay() + 6) % 7;
+  return addDays(dateKey, -offset);
+};
+
+const BUCKETS = {
+  daily: dateKey => dateKey,
+  weekly: weekKey,
+  monthly: dateKey => dateKey.slice(0, 7),
+};
+
+/**
+ * Sort snapshots newest first. On the same day a dated snapshot wins over
+ * the legacy single `daily_backup` document.
+ * @param {Array<{id: string, backupDate: string}>} snapshots - Snapshots
+ * @returns {Array} Sorted copy
+ */
+export const sortBackups = snapshots =>
+  [...snapshots].sort(
+    (a, b) =>
+      b.backupDate.localeCompare(a.backupDate) || b.id.localeCompare(a.id)
+  );
+
+/**
+ * Pick the snapshots to keep under a daily/weekly/monthly retention scheme
+ * @param {Array<{id: string, backupDate: string}>} snapshots - Existing snapshots (backupDate is YYYY-MM-DD)
+ * @param {Object} [retention] - Counts per tier, defaults to BACKUP_RETENTION
+ * @returns {Set<string>} IDs of the snapshots to keep
+ */
+export const selectBackupsToKeep = (snapshots, retention) => {
+  const counts = { ...BACKUP_RETENTION, ...retention };
+  const sorted = sortBackups(snapshots.filter(s => s?.backupDate));
+  const keep = new Set();
+
+  Object.entries(BUCKETS).forEach(([tier, toBucket]) => {
+    const seen = new Set();
+    for (const snapshot of sorted) {
+      if (seen.size >= counts[tier]) break;
+      const bucket = toBucket(snapshot.backupDate);
+      if (seen.has(bucket)) continue;
+      seen.add(bucket);
+      keep.add(snapshot.id);
+    }
+  });
+
+  return keep;
+};
+
+/**
+ * JSON with object keys sorted, so records compare equal regardless of key
+ * order (Firestore returns map fields sorted)
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+export const stableStringify = value => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Compare current records with a snapshot by ID
+ * @param {Array<Object>} current - Records on this device
+ * @param {Array<Object>} snapshot - Records in the backup
+ * @returns {{added: number, removed: number, changed: number, unchanged: number}}
+ *   added: only on this device (lost by a restore); removed: only in the
+ *   backup (brought back); changed: in both with different content
+ */
+export const diffRecords = (current, snapshot) => {
+  const currentById = new Map(
+    (current || []).filter(r => r?.id).map(r => [r.id, r])
+  );
+  const result = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+  (snapshot || []).forEach(record => {
+    if (!record?.id) return;
+    const mine = currentById.get(record.id);
+    if (!mine) {
+      result.removed++;
+    } else if (stableStringify(mine) === stableStringify(record)) {
+      result.unchanged++;
+    } else {
+      result.changed++;
+    }
+    currentById.delete(record.id);
+  });
+  result.added = currentById.size;
+
+  return result;
+};
@@ -0,0 +1,183 @@
+/**
+ * Budget period utilities
+ * Pure date math for the window a budget is measured against, shared by
+ * BudgetPlanner (utilization), BudgetService (suggestions) and the budget UI.
+ */
+
+import { BUDGET_PERIODS } from './constants.js';
+import { toDateKey, fromDateKey, addDays } from './recurrence-utils.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 365.25 / 12;
+
+// Length of each recurring period in months, used to scale amounts
+const PERIOD_MONTHS = {
+  [BUDGET_PERIODS.WEEKLY]: 12 / 52,
+  [BUDGET_PERIODS.BIWEEKLY]: 12 / 26,
+  [BUDGET_PERIODS.MONTHLY]: 1,
+  [BUDGET_PERIODS.QUARTERLY]: 3,
+  [BUDGET_PERIODS.YEARLY]: 12,
+};
+
+const startOfDay = date => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const endOfDay = date => {
+  const d = new Date(date);
+  d.setHours(23, 59, 59, 999);
+  return d;
+};
+
+const shortDate = date =>
+  date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const rangeLabel = (start, end) => {
+  const endText =
+    start.getFullYear() === end.getFullYear()
+      ? shortDate(end)
+      : `${shortDate(end)}, ${end.getFullYear()}`;
+  return `${shortDate(start)} – ${endText}`;
+};
+
+const hasCustomRange = budget =>
+  Boolean(
+    toDateKey(budget?.startDate) &&
+    toDateKey(budget?.endDate) &&
+    toDateKey(budget.startDate) <= toDateKey(budget.endDate)
+  );
+
+/**
+ * Resolve the period type of a budget. Unknown values and custom budgets
+ * without a valid range fall back to monthly, the historical default.
+ * @param {Object} budget - Budget record
+ * @returns {string} One of BUDGET_PERIODS
+ */
+export const getBudgetPeriodType = budget => {
+  const period = budget?.period;
+  if (period === BUDGET_PERIODS.CUSTOM) {
+    return hasCustomRange(budget) ? period : BUDGET_PERIODS.MONTHLY;
+  }
+  return Object.values(BUDGET_PERIODS).includes(period)
+    ? period
+    : BUDGET_PERIODS.MONTHLY;
+};
+
+/**
+ * Get the window a budget is measured against on a given day. Weeks start
+ * on Monday; bi-weekly windows repeat every 14 days from the budget's
+ * startDate (or creation date); custom budgets always use their own range.
+ * @param {Object} budget - Budget record ({ period, startDate?, endDate? })
+ * @param {Date|string} [referenceDate] - Day inside the window (default: today)
+ * @returns {{ type: string, startDate: Date, endDate: Date, label: string }}
+ */
+export const getBudgetWindow = (budget, referenceDate) => {
+  const type = getBudgetPeriodType(budget);
+  // Work on the local calendar day so date keys are not shifted by UTC parsing
+  const ref = fromDateKey(toDateKey(referenceDate || new Date()));
+  const year = ref.getFullYear();
+  const month = ref.getMonth();
+
+  let start;
+  let end;
+  let label;
+
+  switch (type) {
+    case BUDGET_PERIODS.WEEKLY: {
+      const day = ref.getDay();
+      start = new Date(year, month, ref.getDate() - (day === 0 ? 6 : day - 1));
+      end = new Date(
+        start.getFullYear(),
+        start.getMonth(),
+        start.getDate() + 6
+      );
+      label = rangeLabel(start, end);
+      break;
+    }
+    case BUDGET_PERIODS.BIWEEKLY: {
+      const anchorKey =
+        toDateKey(budget.startDate) ||
+        toDateKey(budget.createdAt) ||
+        toDateKey(ref);
+      const days = Math.round((ref - fromDateKey(anchorKey)) / MS_PER_DAY);
+      const startKey = addDays(anchorKey, Math.floor(days / 14) * 14);
+      start = fromDateKey(startKey);
+      end = fromDateKey(addDays(startKey, 13));
+      label = rangeLabel(start, end);
+      break;
+    }
+    case BUDGET_PERIODS.QUARTERLY: {
+      const quarter = Math.floor(month / 3);
+      start = new Date(year, quarter * 3, 1);
+      end = new Date(year, quarter * 3 + 3, 0);
+      label = `Q${quarter + 1} ${year}`;
+      break;
+    }
+    case BUDGET_PERIODS.YEARLY:
+      start = new Date(year, 0, 1);
+      end = new Date(year, 11, 31);
+      label = String(year);
+      break;
+    case BUDGET_PERIODS.CUSTOM:
+      start = fromDateKey(toDateKey(budget.startDate));
+      end = fromDateKey(toDateKey(budget.endDate));
+      label = rangeLabel(start, end);
+      break;
+    default:
+      start = new Date(year, month, 1);
+      end = new Date(year, month + 1, 0);
+      label = start.toLocaleDateString('en-US', {
+        month: 'long',
+        year: 'numeric',
+      });
+  }
+
+  return {
+    type,
+    startDate: startOfDay(start),
+    endDate: endOfDay(end),
+    label,
+  };
+};
+
+/**
+ * Length of a budget's period in months (custom ranges use their day count)
+ * @param {Object} budget - Budget record
+ * @returns {number} Months, e.g. 3 for quarterly or ~0.23 for weekly
+ */
+export const getBudgetPeriodMonths = budget => {
+  const type = getBudgetPeriodType(budget);
+  if (type !== BUDGET_PERIODS.CUSTOM) return PERIOD_MONTHS[type];
+
+  const days =
+    Math.round(
+      (fromDateKey(toDateKey(budget.endDate)) -
+        fromDateKey(toDateKey(budget.startDate))) /
+        MS_PER_DAY
+    ) + 1;
+  return days / DAYS_PER_MONTH;
+};
+
+/**
+ * List consecutive budget windows from the one containing `fromDate`
+ * through the one containing `toDate` (oldest first). Custom budgets have
+ * a single window.
+ * @param {Object} budget - Budget record
+ * @param {Date|string} fromDate - First day to cover
+ * @param {Date|string} toDate - Last day to cover
+ * @returns {Array<{ type: string, startDate: Date, endDate: Date, label: string }>}
+ */
+export const getBudgetWindows = (budget, fromDate, toDate) => {
+  const lastKey = toDateKey(toDate);
+  const windows = [];
+  let current = getBudgetWindow(budget, fromDate);
+
+  while (toDateKey(current.startDate) <= lastKey) {
+    windows.push(current);
+    if (current.type === BUDGET_PERIODS.CUSTOM) break;
+    current = getBudgetWindow(budget, addDays(toDateKey(current.endDate), 1));
+  }
+  return windows;
+};
@@ -0,0 +1,90 @@
+/**
+ * Budget scope utilities
+ * Which transactions a budget tracks: one category (the classic budget),
+ * a set of categories, a transaction tag or an account.
+ */
+
+import { BUDGET_SCOPES } from './constants.js';
+
+/**
+ * Resolve the scope of a budget. Budgets saved before scopes existed track
+ * their categoryName.
+ * @param {Object} budget - Budget record
+ * @returns {{ type: string, categories?: Array<string>, tag?: string, accountId?: string }}
+ */
+export const getBudgetScope = budget => {
+  const scope = budget?.scope;
+  switch (scope?.type) {
+    case BUDGET_SCOPES.CATEGORIES:
+      return { type: scope.type, categories: [...(scope.categories || [])] };
+    case BUDGET_SCOPES.TAG:
+      return { type: scope.type, tag: scope.tag };
+    case BUDGET_SCOPES.ACCOUNT:
+      return { type: scope.type, accountId: scope.accountId };
+    default:
+      return {
+        type: BUDGET_SCOPES.CATEGORY,
+        categories: budget?.categoryName ? [budget.categoryName] : [],
+      };
+  }
+};
+
+/**
+ * Whether a budget is a classic single-category budget
+ * @param {Object} budget - Budget record
+ * @returns {boolean}
+ */
+export const isCategoryBudget = budget =>
+  getBudgetScope(budget).type === BUDGET_SCOPES.CATEGORY;
+
+/**
+ * Stable key for a scope, used to share spending calculations
+ * @param {Object} scope - Result of getBudgetScope()
+ * @returns {string}
+ */
+export const getScopeKey = scope => {
+  switch (scope.type) {
+    case BUDGET_SCOPES.TAG:
+      return `tag:${scope.tag}`;
+    case BUDGET_SCOPES.ACCOUNT:
+      return `account:${scope.accountId}`;
+    default:
+      return `categories:${[...scope.categories].sort().join('|')}`;
+  }
+};
+
+/**
+ * Whether a transaction counts towards a tag or account scope. Category
+ * scopes are matched on the category breakdown instead.
+ * @param {Object} scope - Result of getBudgetScope()
+ * @param {Object} transaction - Transaction
+ * @returns {boolean}
+ */
+export const matchesBudgetScope = (scope, transaction) => {
+  switch (scope.type) {
+    case BUDGET_SCOPES.TAG:
+      return Boolean(transaction.tags?.includes(scope.tag));
+    case BUDGET_SCOPES.ACCOUNT:
+      return transaction.accountId === scope.accountId;
+    default:
+      return scope.categories.includes(transaction.category || 'Uncategorized');
+  }
+};
+
+/**
+ * Display name of a budget: its own name, or one derived from the scope
+ * @param {Object} budget - Budget record
+ * @returns {string} e.g. "Храна", "Храна + Заведения", "#Vacation 2026"
+ */
+export const getBudgetLabel = budget => {
+  if (budget?.name) return budget.name;
+  const scope = getBudgetScope(budget);
+  switch (scope.type) {
+    case BUDGET_SCOPES.TAG:
+      return `#${scope.tag}`;
+    case BUDGET_SCOPES.ACCOUNT:
+      return `Account ${scope.accountId}`;
+    default:
+      return scope.categories.join(' + ');
+  }
+};
@@ -10,8 +10,7 @@ export const BREAKPOINTS = {
   DESKTOP: 1024,
 };
 
-// Global colors and Currency
-export const CURRENCY_SYMBOL = '€';
+// Global colors
 export const COLORS = {
   // Semantic colors — now all CSS variable references for full theming support
   ERROR: 'var(--color-error)',
@@ -266,6 +265,126 @@ export const TRANSACTION_TYPES = {
   REFUND: 'refund',
 };
 
+// Recurring transaction cadences
+export const RECURRENCE_CADENCES = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly',
+  INTERVAL: 'interval', // every N days
+};
+
+// Budget periods; "custom" is a one-off date range (startDate..endDate)
+export const BUDGET_PERIODS = {
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
+  MONTHLY: 'monthly',
+  QUARTERLY: 'quarterly',
+  YEARLY: 'yearly',
+  CUSTOM: 'custom',
+};
+
+// What a budget tracks; legacy budgets without a scope track one category
+export const BUDGET_SCOPES = {
+  CATEGORY: 'category',
+  CATEGORIES: 'categories',
+  TAG: 'tag',
+  ACCOUNT: 'account',
+};
+
+export const BUDGET_PERIOD_LABELS = {
+  weekly: 'Weekly',
+  biweekly: 'Every 2 weeks',
+  monthly: 'Monthly',
+  quarterly: 'Quarterly',
+  yearly: 'Yearly',
+  custom: 'Date range',
+};
+
+// How a custom report widget groups transactions
+export const REPORT_GROUPINGS = {
+  CATEGORY_MONTH: 'category-month',
+  TAG: 'tag',
+  ACCOUNT: 'account',
+  WEEKDAY: 'weekday',
+};
+
+export const REPORT_GROUPING_LABELS = {
+  'category-month': 'Category by month',
+  tag: 'By tag',
+  account: 'By account',
+  weekday: 'By weekday',
+};
+
+// Chart types a widget can use (ChartRenderer create*Chart)
+export const REPORT_CHART_TYPES = ['bar', 'line', 'pie'];
+
+// What a widget adds up: spending (net of refunds), income, or income minus spending
+export const REPORT_METRICS = {
+  EXPENSES: 'expenses',
+  INCOME: 'income',
+  NET: 'net',
+};
+
+// Second dimension of the category-by-month pivot table
+export const PIVOT_SPLITS = {
+  NONE: 'none',
+  TYPE: 'type',
+  ACCOUNT: 'account',
+  TAG: 'tag',
+};
+
+export const PIVOT_SPLIT_LABELS = {
+  none: 'No split',
+  type: 'By type',
+  account: 'By account',
+  tag: 'By tag',
+};
+
+// Currencies offered for accounts and the reporting base currency
+export const DEFAULT_CURRENCY = 'EUR';
+export const CURRENCIES = [
+  'EUR',
+  'USD',
+  'GBP',
+  'BGN',
+  'CHF',
+  'RON',
+  'PLN',
+  'CZK',
+  'HUF',
+  'SEK',
+  'NOK',
+  'DKK',
+  'TRY',
+  'JPY',
+  'CAD',
+  'AUD',
+];
+
+// Money display settings (see utils/money-format.js)
+export const NEGATIVE_STYLES = {
+  MINUS: 'minus', // -€12.50
+  PARENTHESES: 'parentheses', // (€12.50)
+};
+
+export const MONEY_FORMAT_DEFAULTS = {
+  locale: 'en-US',
+  showSymbol: true,
+  decimals: 2,
+  negativeStyle: NEGATIVE_STYLES.MINUS,
+};
+
+export const MONEY_LOCALES = [
+  { value: 'en-US', label: 'English (US)' },
+  { value: 'en-GB', label: 'English (UK)' },
+  { value: 'de-DE', label: 'Deutsch' },
+  { value: 'fr-FR', label: 'Français' },
+  { value: 'es-ES', label: 'Español' },
+  { value: 'it-IT', label: 'Italiano' },
+  { value: 'bg-BG', label: 'Български' },
+  { value: 'de-CH', label: 'Deutsch (Schweiz)' },
+];
+
 // Storage keys
 export const STORAGE_KEYS = {
   TRANSACTIONS: 'blinkbudget_transactions',
@@ -281,6 +400,16 @@ export const STORAGE_KEYS = {
   DASHBOARD_MONTH_FILTER: 'dashboard_month_filter',
   CLICK_TRACKING: 'blinkbudget_click_tracking',
   BUDGETS: 'blinkbudget_budgets',
+  RECURRING: 'blinkbudget_recurring',
+  CUSTOM_REPORTS: 'blinkbudget_custom_reports',
+  EXCHANGE_RATES: 'blinkbudget_exchange_rates',
+  AMOUNT_PRESETS: 'amount_presets',
+  PRIVACY_SETTINGS: 'blinkbudget_privacy_settings',
+  TOMBSTONES: 'blinkbudget_tombstones',
+  DEVICE_ID: 'blinkbudget_device_id',
+  VAULT: 'blinkbudget_vault',
+  SYNC_ENCRYPTION: 'blinkbudget_sync_encryption',
+  SYNC_SESSION: 'blinkbudget_sync_session',
 };
 
 // Default values
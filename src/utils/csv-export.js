@@ -0,0 +1,43 @@
+/**
+ * CSV export utilities
+ * Shared by report exports; amounts should already be formatted with
+ * formatMoneyForExport so files stay machine-readable.
+ */
+
+/**
+ * Quote a field when it contains a delimiter, quote or line break
+ * @param {*} field - Cell value
+ * @returns {string} CSV-safe cell
+ */
+export const escapeCsvField = field => {
+  if (field === null || field === undefined) return '';
+  const str = String(field);
+  if (/[",\n\r]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+};
+
+/**
+ * Build CSV text from a header row and data rows
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Array>} rows - Cell values per row
+ * @returns {string} CSV content
+ */
+export const buildCsv = (headers, rows) =>
+  [headers, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\n');
+
+/**
+ * Offer CSV content as a file download
+ * @param {string} content - CSV text
+ * @param {string} filename - Suggested file name
+ */
+export const downloadCsv = (content, filename) => {
+  const blob = new Blob([content], { type: 'text/csv' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  window.URL.revokeObjectURL(url);
+};
@@ -9,6 +9,7 @@
 // Chart.js renders on HTML Canvas, which doesn't understand CSS variables like `var(--color-success)`. When these variables were passed as chart colors, Canvas couldn't resolve them and defaulted to black.
 import { COLORS, SPACING } from './constants.js';
 import { formatDateForDisplay } from './date-utils.js';
+import { formatMoney } from './money-format.js';
 
 /**
  * Create projected balance line chart showing future account balances
@@ -131,10 +132,7 @@ export async function createProjectedBalanceChart(
         callbacks: {
           label: function (context) {
             const value = context.parsed.y;
-            const formattedValue = new Intl.NumberFormat('en-US', {
-              style: 'currency',
-              currency: 'EUR',
-            }).format(value);
+            const formattedValue = formatMoney(value);
             return `${context.dataset.label}: ${formattedValue}`;
           },
         },
@@ -148,12 +146,7 @@ export async function createProjectedBalanceChart(
         },
         ticks: {
           callback: function (value) {
-            return new Intl.NumberFormat('en-US', {
-              style: 'currency',
-              currency: 'EUR',
-              minimumFractionDigits: 0,
-              maximumFractionDigits: 0,
-            }).format(value);
+            return formatMoney(value, { decimals: 0 });
           },
         },
       },
@@ -279,14 +272,8 @@ export async function createGoalProgressChart(
             const goalIndex = context.dataIndex;
             const goal = goals[goalIndex];
             const progress = context.parsed.x;
-            const currentAmount = new Intl.NumberFormat('en-US', {
-              style: 'currency',
-              currency: 'EUR',
-            }).format(goal.currentSavings);
-            const targetAmount = new Intl.NumberFormat('en-US', {
-              style: 'currency',
-              currency: 'EUR',
-            }).format(goal.targetAmount);
+            const currentAmount = formatMoney(goal.currentSavings);
+            const targetAmount = formatMoney(goal.targetAmount);
 
             return [
               `Progress: ${progress.toFixed(1)}%`,
@@ -442,10 +429,7 @@ export async function createForecastComparisonChart(
         callbacks: {
           label: function (context) {
             const value = context.parsed.y;
-            const formattedValue = new Intl.NumberFormat('en-US', {
-              style: 'currency',
-              currency: 'EUR',
-            }).format(value);
+            const formattedValue = formatMoney(value);
             return `${context.dataset.label}: ${formattedValue}`;
           },
         },
@@ -459,12 +443,7 @@ export async function createForecastComparisonChart(
         },
         ticks: {
           callback: function (value) {
-            return new Intl.NumberFormat('en-US', {
-              style: 'currency',
-              currency: 'EUR',
-              minimumFractionDigits: 0,
-              maximumFractionDigits: 0,
-            }).format(value);
+            return formatMoney(value, { decimals: 0 });
           },
         },
       },
@@ -510,26 +489,17 @@ function createBalanceSummary(balanceProjections) {
   const stats = [
     {
       label: 'Current Balance',
-      value: new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'EUR',
-      }).format(currentBalance),
+      value: formatMoney(currentBalance),
       color: currentBalance >= 0 ? 'hsl(150, 70%, 45%)' : 'hsl(0, 75%, 60%)',
     },
     {
       label: 'Projected Change',
-      value: new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'EUR',
-      }).format(change),
+      value: formatMoney(change),
       color: change >= 0 ? 'hsl(150, 70%, 45%)' : 'hsl(0, 75%, 60%)',
     },
     {
       label: 'Lowest Point',
-      value: new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'EUR',
-      }).format(lowestBalance),
+      value: formatMoney(lowestBalance),
       color: lowestBalance >= 0 ? 'hsl(150, 70%, 45%)' : 'hsl(0, 75%, 60%)',
     },
   ];
@@ -618,14 +588,8 @@ function createGoalDetails(goals) {
     progressText.style.marginBottom = '2px';
 
     const amounts = document.createElement('div');
-    const currentFormatted = new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'EUR',
-    }).format(goal.currentSavings);
-    const targetFormatted = new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'EUR',
-    }).format(goal.targetAmount);
+    const currentFormatted = formatMoney(goal.currentSavings);
+    const targetFormatted = formatMoney(goal.targetAmount);
     amounts.textContent = `${currentFormatted} / ${targetFormatted}`;
     amounts.style.fontSize = '0.75rem';
     amounts.style.color = 'hsl(220, 10%, 75%)';
@@ -6,6 +6,7 @@
  */
 
 import { COLORS, SPACING } from './constants.js';
+import { formatMoney } from './money-format.js';
 
 /**
  * Create a section usage note element
@@ -167,16 +168,13 @@ export function calculateSavingsRate(totalIncome, totalExpenses) {
 }
 
 /**
- * Format currency value
+ * Format currency value with the user's money format settings
  * @param {number} value - The value to format
- * @param {string} currency - The currency code (default: 'EUR')
+ * @param {string} [currency] - The currency code (default: base currency)
  * @returns {string} The formatted currency string
  */
-export function formatCurrency(value, currency = 'EUR') {
-  return new Intl.NumberFormat('en-EU', {
-    style: 'currency',
-    currency: currency,
-  }).format(value);
+export function formatCurrency(value, currency) {
+  return formatMoney(value, { currency });
 }
 
 /**
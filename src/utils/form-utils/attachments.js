@@ -0,0 +1,179 @@
+/**
+ * Receipt attachments on the transaction form
+ * Keeps the attachments already on a transaction (edit mode) and the files
+ * picked in this form; picked files are stored once the transaction is saved.
+ */
+
+import { AttachmentService } from '../../core/attachment-service.js';
+import { TransactionService } from '../../core/transaction-service.js';
+import { createInput } from '../dom-factory.js';
+
+const openBlob = blob => {
+  const url = URL.createObjectURL(blob);
+  window.open(url, '_blank', 'noopener');
+  // Give the new tab time to load before releasing the file
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+};
+
+const showError = message => {
+  import('../toast-notifications.js').then(({ showErrorToast }) => {
+    showErrorToast(message.replace('[AttachmentService] ', ''));
+  });
+};
+
+/**
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.initialAttachments] - Metadata already on the transaction
+ * @returns {{ container: HTMLElement, getAttachments: () => Array<Object>, getPendingFiles: () => Array<File> }}
+ */
+export const createAttachmentPicker = ({ initialAttachments = [] } = {}) => {
+  let attachments = [...initialAttachments];
+  let pendingFiles = [];
+
+  const container = document.createElement('div');
+  container.className = 'transaction-attachments';
+
+  const list = document.createElement('div');
+  list.className = 'transaction-attachments-list';
+
+  const fileInput = createInput({
+    type: 'file',
+    id: 'transaction-attachment-input',
+    name: 'attachments',
+    className: 'visually-hidden',
+    attributes: { accept: 'image/*,application/pdf', multiple: true },
+  });
+
+  const addLabel = document.createElement('label');
+  addLabel.className = 'btn btn-ghost transaction-attachments-add';
+  addLabel.setAttribute('for', 'transaction-attachment-input');
+  addLabel.textContent = '📎 Attach receipt';
+
+  const createChip = ({ name, type, loadThumbnail, onOpen, onRemove }) => {
+    const chip = document.createElement('div');
+    chip.className = 'transaction-attachment';
+    chip.title = name;
+
+    const preview = document.createElement('button');
+    preview.type = 'button';
+    preview.className = 'transaction-attachment-preview';
+    preview.setAttribute('aria-label', `Open ${name}`);
+    preview.textContent = type === 'application/pdf' ? 'PDF' : '🖼';
+    preview.addEventListener('click', onOpen);
+    chip.appendChild(preview);
+
+    loadThumbnail()
+      .then(thumbnail => {
+        if (!thumbnail) return;
+        const img = document.createElement('img');
+        img.alt = '';
+        img.src = URL.createObjectURL(thumbnail);
+        img.onload = () => URL.revokeObjectURL(img.src);
+        preview.textContent = '';
+        preview.appendChild(img);
+      })
+      .catch(() => {
+        // Keep the generic icon
+      });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'transaction-attachment-remove';
+    removeBtn.setAttribute('aria-label', `Remove ${name}`);
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', onRemove);
+    chip.appendChild(removeBtn);
+
+    return chip;
+  };
+
+  const render = () => {
+    // Security: Clearing list, no user input involved
+    list.innerHTML = '';
+
+    attachments.forEach(attachment => {
+      list.appendChild(
+        createChip({
+          name: attachment.name,
+          type: attachment.type,
+          loadThumbnail: () => AttachmentService.getThumbnail(attachment),
+          onOpen: async () => {
+            try {
+              const blob = await AttachmentService.getFile(attachment);
+              if (blob) openBlob(blob);
+              else showError('This file is not available on this device');
+            } catch (error) {
+              console.error('[Attachments] Failed to open file:', error);
+              showError('Could not load the file');
+            }
+          },
+          onRemove: () => {
+            attachments = attachments.filter(a => a.id !== attachment.id);
+            render();
+          },
+        })
+      );
+    });
+
+    pendingFiles.forEach(file => {
+      list.appendChild(
+        createChip({
+          name: file.name,
+          type: file.type,
+          loadThumbnail: async () =>
+            file.type.startsWith('image/') ? file : null,
+          onOpen: () => openBlob(file),
+          onRemove: () => {
+            pendingFiles = pendingFiles.filter(f => f !== file);
+            render();
+          },
+        })
+      );
+    });
+  };
+
+  fileInput.addEventListener('change', () => {
+    Array.from(fileInput.files || []).forEach(file => {
+      try {
+        AttachmentService.validate(file);
+        pendingFiles.push(file);
+      } catch (error) {
+        showError(error.message);
+      }
+    });
+    // Allow picking the same file again after removing it
+    fileInput.value = '';
+    render();
+  });
+
+  container.appendChild(fileInput);
+  container.appendChild(addLabel);
+  container.appendChild(list);
+
+  if (!AttachmentService.isSupported()) {
+    container.hidden = true;
+  }
+
+  render();
+
+  return {
+    container,
+    getAttachments: () => [...attachments],
+    getPendingFiles: () => [...pendingFiles],
+  };
+};
+
+/**
+ * Store files picked on the form once their transaction has been saved.
+ * Runs in the background so navigation isn't held up by large files.
+ * @param {string} transactionId - Saved transaction ID
+ * @param {Array<File>} files - Files from getPendingFiles()
+ */
+export const saveAttachmentFiles = (transactionId, files) => {
+  if (!transactionId || !files || files.length === 0) return;
+
+  TransactionService.addAttachments(transactionId, files).catch(error => {
+    console.error('[Attachments] Failed to save files:', error);
+    showError(error.message);
+  });
+};
@@ -0,0 +1,98 @@
+/**
+ * Recurrence selector on the transaction form (edit mode)
+ * Lets a transaction be marked as recurring with a cadence.
+ */
+
+import { createSelect, createInput } from '../dom-factory.js';
+import { RECURRENCE_CADENCES } from '../constants.js';
+
+const NONE = 'none';
+
+const CADENCE_OPTIONS = [
+  { value: NONE, text: 'Does not repeat' },
+  { value: RECURRENCE_CADENCES.WEEKLY, text: 'Weekly' },
+  { value: RECURRENCE_CADENCES.MONTHLY, text: 'Monthly' },
+  { value: RECURRENCE_CADENCES.YEARLY, text: 'Yearly' },
+  { value: RECURRENCE_CADENCES.INTERVAL, text: 'Every N days' },
+];
+
+/**
+ * @param {Object} [options]
+ * @param {Object|null} [options.initialRule] - Existing schedule (edit mode)
+ * @param {string|null} [options.initialDate] - Transaction timestamp, used for the default day of month
+ * @returns {{ container: HTMLElement, getRule: () => Object|null }}
+ */
+export const createRecurrenceSelector = ({
+  initialRule = null,
+  initialDate = null,
+} = {}) => {
+  const parsedDate = initialDate ? new Date(initialDate) : new Date();
+  const defaultDay = isNaN(parsedDate.getTime()) ? 1 : parsedDate.getDate();
+
+  const container = document.createElement('div');
+  container.className = 'transaction-recurrence-selector';
+
+  const label = document.createElement('label');
+  label.textContent = 'Repeat';
+  label.setAttribute('for', 'transaction-recurrence-select');
+  label.className = 'visually-hidden';
+  container.appendChild(label);
+
+  const select = createSelect({
+    id: 'transaction-recurrence-select',
+    name: 'recurrence',
+    className: 'mobile-form-select',
+    options: CADENCE_OPTIONS.map(opt => ({
+      ...opt,
+      selected: opt.value === (initialRule?.cadence || NONE),
+    })),
+  });
+
+  const dayInput = createInput({
+    type: 'number',
+    id: 'transaction-recurrence-day',
+    className: 'form-input',
+    value: String(initialRule?.dayOfMonth || defaultDay),
+    attributes: { min: '1', max: '31', 'aria-label': 'Day of month' },
+  });
+
+  const intervalInput = createInput({
+    type: 'number',
+    id: 'transaction-recurrence-interval',
+    className: 'form-input',
+    value: String(initialRule?.intervalDays || 30),
+    attributes: { min: '1', 'aria-label': 'Repeat every N days' },
+  });
+
+  const syncVisibility = () => {
+    dayInput.hidden = select.value !== RECURRENCE_CADENCES.MONTHLY;
+    intervalInput.hidden = select.value !== RECURRENCE_CADENCES.INTERVAL;
+  };
+  select.addEventListener('change', syncVisibility);
+  syncVisibility();
+
+  container.appendChild(select);
+  container.appendChild(dayInput);
+  container.appendChild(intervalInput);
+
+  const getRule = () => {
+    const cadence = select.value;
+    if (cadence === NONE) return null;
+
+    const rule = { cadence };
+    if (cadence === RECURRENCE_CADENCES.MONTHLY) {
+      const day = parseInt(dayInput.value, 10);
+      rule.dayOfMonth = Number.isFinite(day)
+        ? Math.min(31, Math.max(1, day))
+        : defaultDay;
+    }
+    if (cadence === RECURRENCE_CADENCES.INTERVAL) {
+      const interval = parseInt(intervalInput.value, 10);
+      rule.intervalDays =
+        Number.isFinite(interval) && interval > 0 ? interval : 30;
+    }
+    return rule;
+  };
+
+  return { container, getRule };
+};
@@ -7,6 +7,7 @@
 
 import { trendService } from '../core/analytics/TrendService.js';
 import { getChartColors } from '../core/chart-config.js';
+import { formatMoney } from './money-format.js';
 
 /**
  * Prepare chart data for inflation trends visualization
@@ -216,10 +217,7 @@ export const getChartOptions = (chartType = 'line') => {
                 : null;
 
             // Format currency value
-            const currencyValue = new Intl.NumberFormat('en-US', {
-              style: 'currency',
-              currency: 'EUR',
-            }).format(value);
+            const currencyValue = formatMoney(value);
 
             // Build tooltip line
             let tooltipText = `${dataset.category || dataset.label}: ${currencyValue}`;
@@ -260,12 +258,7 @@ export const getChartOptions = (chartType = 'line') => {
         beginAtZero: true,
         ticks: {
           callback: function (value) {
-            return new Intl.NumberFormat('en-US', {
-              style: 'currency',
-              currency: 'EUR',
-              minimumFractionDigits: 0,
-              maximumFractionDigits: 0,
-            }).format(value);
+            return formatMoney(value, { decimals: 0 });
           },
           color: 'hsl(220, 10%, 75%)', // --color-text-muted
         },
@@ -0,0 +1,164 @@
+/**
+ * Money formatting utilities
+ * Single place where amounts are turned into text, configured from the
+ * user's "moneyFormat" setting and the reporting currency.
+ */
+
+import { SettingsService } from '../core/settings-service.js';
+import { CurrencyService } from '../core/currency-service.js';
+import { MONEY_FORMAT_DEFAULTS, NEGATIVE_STYLES } from './constants.js';
+
+const MONEY_FORMAT_SETTING = 'moneyFormat';
+
+// Intl.NumberFormat construction is slow; formatters are reused per option set
+const formatterCache = new Map();
+
+const getFormatter = (locale, currency, showSymbol, decimals, signDisplay) => {
+  const cacheKey = [locale, currency, showSymbol, decimals, signDisplay].join(
+    '|'
+  );
+  if (!formatterCache.has(cacheKey)) {
+    const options = {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+      signDisplay,
+    };
+    if (showSymbol) {
+      options.style = 'currency';
+      options.currency = currency;
+    }
+
+    // Unknown locales or currency codes (e.g. from a newer synced client)
+    // fall back to the default locale, then to a plain number
+    const candidates = [
+      [locale, options],
+      [MONEY_FORMAT_DEFAULTS.locale, options],
+      [MONEY_FORMAT_DEFAULTS.locale, { ...options, style: 'decimal' }],
+    ];
+    for (const [candidateLocale, candidateOptions] of candidates) {
+      try {
+        formatterCache.set(
+          cacheKey,
+          new Intl.NumberFormat(candidateLocale, candidateOptions)
+        );
+        break;
+      } catch {
+        // try the next candidate
+      }
+    }
+  }
+  return formatterCache.get(cacheKey);
+};
+
+// Round half away from zero like Intl does, so -1234.5 and 1234.5 match
+const roundTo = (value, decimals) => {
+  const factor = 10 ** decimals;
+  const rounded =
+    (Math.sign(value) * Math.round(Math.abs(value) * factor)) / factor;
+  return rounded || 0; // normalise -0
+};
+
+const normalizeDecimals = value => {
+  const decimals = Number(value);
+  return Number.isInteger(decimals) && decimals >= 0 && decimals <= 4
+    ? decimals
+    : MONEY_FORMAT_DEFAULTS.decimals;
+};
+
+/**
+ * Get the effective money format settings
+ * @returns {{ locale: string, currency: string, showSymbol: boolean,
+ *   decimals: number, negativeStyle: string }}
+ */
+export const getMoneyFormatSettings = () => {
+  const stored = SettingsService.getSetting(MONEY_FORMAT_SETTING) || {};
+  return {
+    ...MONEY_FORMAT_DEFAULTS,
+    ...stored,
+    decimals: normalizeDecimals(stored.decimals),
+    currency: CurrencyService.getBaseCurrency(),
+  };
+};
+
+/**
+ * Save money format settings (partial updates are merged)
+ * @param {Object} updates - Any of locale, showSymbol, decimals, negativeStyle
+ */
+export const saveMoneyFormatSettings = updates => {
+  const stored = SettingsService.getSetting(MONEY_FORMAT_SETTING) || {};
+  SettingsService.saveSetting(MONEY_FORMAT_SETTING, { ...stored, ...updates });
+};
+
+/**
+ * Format an amount for display
+ * @param {number} amount - Amount (negative values use the negative style)
+ * @param {Object} [options] - Per-call overrides
+ * @param {string} [options.currency] - Currency code (default: base currency)
+ * @param {number} [options.decimals] - Fraction digits, e.g. 0 for chart axes
+ * @param {boolean} [options.showSymbol] - Include the currency symbol
+ * @param {boolean} [options.signed] - Prefix positive amounts with "+"
+ * @returns {string} Formatted amount
+ */
+export const formatMoney = (amount, options = {}) => {
+  const settings = getMoneyFormatSettings();
+  const currency = options.currency || settings.currency;
+  const showSymbol = options.showSymbol ?? settings.showSymbol;
+  const decimals =
+    options.decimals === undefined
+      ? settings.decimals
+      : normalizeDecimals(options.decimals);
+
+  // Round first so -0.001 is shown as 0.00 rather than -0.00
+  const rounded = roundTo(Number(amount) || 0, decimals);
+  const signDisplay = options.signed ? 'exceptZero' : 'auto';
+
+  if (rounded < 0 && settings.negativeStyle === NEGATIVE_STYLES.PARENTHESES) {
+    const formatter = getFormatter(
+      settings.locale,
+      currency,
+      showSymbol,
+      decimals,
+      'never'
+    );
+    return `(${formatter.format(rounded)})`;
+  }
+
+  return getFormatter(
+    settings.locale,
+    currency,
+    showSymbol,
+    decimals,
+    signDisplay
+  ).format(rounded);
+};
+
+/**
+ * Format an amount for file exports (CSV). Uses the configured number of
+ * decimals but no symbol, grouping or locale decimal comma so the file
+ * stays machine-readable.
+ * @param {number} amount - Amount
+ * @returns {string} e.g. "-1234.50"
+ */
+export const formatMoneyForExport = amount => {
+  const { decimals } = getMoneyFormatSettings();
+  return roundTo(Number(amount) || 0, decimals).toFixed(decimals);
+};
+
+/**
+ * Get the symbol of a currency in the configured locale
+ * @param {string} [currency] - Currency code (default: base currency)
+ * @returns {string} e.g. "€"
+ */
+export const getCurrencySymbol = currency => {
+  const settings = getMoneyFormatSettings();
+  const part = getFormatter(
+    settings.locale,
+    currency || settings.currency,
+    true,
+    0,
+    'auto'
+  )
+    .formatToParts(0)
+    .find(p => p.type === 'currency');
+  return part ? part.value : currency || settings.currency;
+};
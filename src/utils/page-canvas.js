@@ -0,0 +1,330 @@
+/**
+ * Page canvas
+ * A4-sized canvases for printable reports (statements, year in review):
+ * a PageWriter that lays out text, tables, stat boxes and chart images with
+ * automatic page breaks, and helpers to export the pages as JPEG (for
+ * createImagePdf()) or as one tall image.
+ */
+
+// A4 at 150 dpi
+export const PAGE_WIDTH = 1240;
+export const PAGE_HEIGHT = 1754;
+export const MARGIN = 96;
+export const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const FOOTER_HEIGHT = 56;
+const ROW_HEIGHT = 40;
+const CHART_MAX_HEIGHT = 560;
+const FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+
+// Print colors: dark text on white paper
+export const PRINT_COLORS = {
+  INK: '#111827',
+  MUTED: '#6b7280',
+  RULE: '#e5e7eb',
+  INCOME: '#15803d',
+  EXPENSE: '#b91c1c',
+  WARNING: '#b45309',
+};
+
+const { INK, MUTED, RULE } = PRINT_COLORS;
+
+// Charts are styled for the dark app theme, so they sit on a dark panel
+const chartPanelColor = () =>
+  getComputedStyle(document.documentElement)
+    .getPropertyValue('--color-surface')
+    .trim() || '#18181b';
+
+/**
+ * Load an image, e.g. a chart from Chart.js toBase64Image()
+ * @param {string} src - Image URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadImage = src =>
+  new Promise((resolve, reject) => {
+    const image = new window.Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Chart image failed to load'));
+    image.src = src;
+  });
+
+/**
+ * Load chart images, skipping any that fail
+ * @param {Array<{title: string, src: string}>} charts - Chart data URLs
+ * @returns {Promise<Array<{title: string, image: HTMLImageElement}>>}
+ */
+export const loadChartImages = async charts => {
+  const images = await Promise.all(
+    charts.map(chart =>
+      loadImage(chart.src)
+        .then(image => ({ title: chart.title, image }))
+        .catch(error => {
+          console.warn('[PageCanvas] Skipping chart:', error);
+          return null;
+        })
+    )
+  );
+  return images.filter(Boolean);
+};
+
+/**
+ * Save a file produced in the browser
+ * @param {Blob} blob - File content
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  window.URL.revokeObjectURL(url);
+};
+
+const fitText = (ctx, text, width) => {
+  const value = String(text ?? '');
+  if (ctx.measureText(value).width <= width) return value;
+  let end = value.length;
+  while (end > 0 && ctx.measureText(`${value.slice(0, end)}…`).width > width) {
+    end--;
+  }
+  return `${value.slice(0, end)}…`;
+};
+
+const createPage = () => {
+  const canvas = document.createElement('canvas');
+  canvas.width = PAGE_WIDTH;
+  canvas.height = PAGE_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, PAGE_WIDTH, PAGE_HEIGHT);
+  ctx.textBaseline = 'alphabetic';
+  return { canvas, ctx };
+};
+
+/**
+ * Cursor over a growing list of pages
+ */
+export class PageWriter {
+  constructor(footerText) {
+    this.footerText = footerText;
+    this.pages = [];
+    this.newPage();
+  }
+
+  newPage() {
+    const page = createPage();
+    this.pages.push(page);
+    this.ctx = page.ctx;
+    this.y = MARGIN;
+  }
+
+  get bottom() {
+    return PAGE_HEIGHT - MARGIN - FOOTER_HEIGHT;
+  }
+
+  ensure(height) {
+    if (this.y + height > this.bottom) this.newPage();
+  }
+
+  text(value, x, { size = 24, weight = 400, color = INK, align = 'left' }) {
+    this.ctx.font = `${weight} ${size}px ${FONT}`;
+    this.ctx.fillStyle = color;
+    this.ctx.textAlign = align;
+    this.ctx.fillText(value, x, this.y);
+  }
+
+  rule(color = RULE) {
+    this.ctx.fillStyle = color;
+    this.ctx.fillRect(MARGIN, this.y, CONTENT_WIDTH, 2);
+  }
+
+  /**
+   * Document title with muted lines below it
+   * @param {string} title
+   * @param {string[]} lines - e.g. period and generation date
+   */
+  titleBlock(title, lines) {
+    this.y += 40;
+    this.text(title, MARGIN, { size: 48, weight: 700 });
+    lines.forEach((line, index) => {
+      this.y += index === 0 ? 48 : 36;
+      this.text(line, MARGIN, {
+        size: index === 0 ? 28 : 20,
+        color: MUTED,
+      });
+    });
+  }
+
+  heading(title) {
+    // Keep a heading together with at least two rows below it
+    this.ensure(64 + ROW_HEIGHT * 3);
+    this.y += 48;
+    this.text(title, MARGIN, { size: 32, weight: 700 });
+    this.y += 16;
+    this.rule(INK);
+    this.y += 8;
+  }
+
+  note(value) {
+    this.ensure(ROW_HEIGHT);
+    this.y += 32;
+    this.text(value, MARGIN, { size: 22, color: MUTED });
+  }
+
+  /**
+   * @param {Array<{label, width, align}>} columns - Widths are fractions of
+   *   the content width
+   * @param {Array<Array<string|{text, color, weight}>>} rows - Cell values
+   */
+  table(columns, rows) {
+    const drawRow = (cells, { header = false } = {}) => {
+      this.y += ROW_HEIGHT;
+      let x = MARGIN;
+      cells.forEach((cell, index) => {
+        const column = columns[index];
+        const width = column.width * CONTENT_WIDTH;
+        const { text, color, weight } =
+          typeof cell === 'object' && cell !== null ? cell : { text: cell };
+        const align = column.align || 'left';
+        this.ctx.font = `${header ? 600 : weight || 400} ${header ? 20 : 22}px ${FONT}`;
+        this.ctx.fillStyle = header ? MUTED : color || INK;
+        this.ctx.textAlign = align;
+        this.ctx.fillText(
+          fitText(this.ctx, text, width - 16),
+          align === 'right' ? x + width - 8 : x + 8,
+          this.y - 12
+        );
+        x += width;
+      });
+      this.ctx.fillStyle = RULE;
+      this.ctx.fillRect(MARGIN, this.y, CONTENT_WIDTH, 1);
+    };
+
+    const headerCells = columns.map(column => column.label);
+    drawRow(headerCells, { header: true });
+    rows.forEach(cells => {
+      if (this.y + ROW_HEIGHT > this.bottom) {
+        this.newPage();
+        drawRow(headerCells, { header: true });
+      }
+      drawRow(cells);
+    });
+  }
+
+  image(image, title) {
+    const scale = Math.min(
+      (CONTENT_WIDTH - 48) / image.width,
+      CHART_MAX_HEIGHT / image.height
+    );
+    const width = image.width * scale;
+    const height = image.height * scale;
+    this.ensure(height + 120);
+    this.y += 48;
+    this.text(title, MARGIN, { size: 26, weight: 600 });
+    this.y += 20;
+    this.ctx.fillStyle = chartPanelColor();
+    this.ctx.fillRect(MARGIN, this.y, CONTENT_WIDTH, height + 48);
+    this.ctx.drawImage(
+      image,
+      MARGIN + (CONTENT_WIDTH - width) / 2,
+      this.y + 24,
+      width,
+      height
+    );
+    this.y += height + 48;
+  }
+
+  /**
+   * Row of boxed figures
+   * @param {Array<{label, value, color}>} boxes
+   */
+  statBoxes(boxes) {
+    const gap = 24;
+    const width = (CONTENT_WIDTH - gap * (boxes.length - 1)) / boxes.length;
+    this.ensure(144);
+    this.y += 24;
+    const top = this.y;
+    boxes.forEach((box, index) => {
+      const x = MARGIN + index * (width + gap);
+      this.ctx.strokeStyle = RULE;
+      this.ctx.lineWidth = 2;
+      this.ctx.strokeRect(x, top, width, 120);
+      this.y = top + 44;
+      this.text(box.label, x + 20, { size: 20, color: MUTED });
+      this.y = top + 96;
+      this.text(fitText(this.ctx, box.value, width - 40), x + 20, {
+        size: boxes.length > 3 ? 28 : 34,
+        weight: 700,
+        color: box.color || INK,
+      });
+    });
+    this.y = top + 120;
+  }
+
+  finish() {
+    const total = this.pages.length;
+    this.pages.forEach(({ ctx }, index) => {
+      ctx.font = `400 20px ${FONT}`;
+      ctx.fillStyle = MUTED;
+      ctx.textAlign = 'left';
+      ctx.fillText(this.footerText, MARGIN, PAGE_HEIGHT - MARGIN);
+      ctx.textAlign = 'right';
+      ctx.fillText(
+        `Page ${index + 1} of ${total}`,
+        PAGE_WIDTH - MARGIN,
+        PAGE_HEIGHT - MARGIN
+      );
+    });
+    return this.pages.map(page => page.canvas);
+  }
+}
+
+/**
+ * Encode pages as JPEG for createImagePdf()
+ * @param {HTMLCanvasElement[]} canvases - Pages
+ * @returns {Promise<Array<{jpeg: Uint8Array, width: number, height: number}>>}
+ */
+export const encodePagesAsJpeg = canvases =>
+  Promise.all(
+    canvases.map(
+      canvas =>
+        new Promise((resolve, reject) => {
+          canvas.toBlob(
+            blob => {
+              if (!blob) {
+                reject(new Error('Page could not be encoded'));
+                return;
+              }
+              blob.arrayBuffer().then(
+                buffer =>
+                  resolve({
+                    jpeg: new Uint8Array(buffer),
+                    width: canvas.width,
+                    height: canvas.height,
+                  }),
+                reject
+              );
+            },
+            'image/jpeg',
+            0.92
+          );
+        })
+    )
+  );
+
+/**
+ * Stack pages into one tall canvas for image exports
+ * @param {HTMLCanvasElement[]} canvases - Pages
+ * @returns {HTMLCanvasElement}
+ */
+export const stackPages = canvases => {
+  const canvas = document.createElement('canvas');
+  canvas.width = PAGE_WIDTH;
+  canvas.height = PAGE_HEIGHT * canvases.length;
+  const ctx = canvas.getContext('2d');
+  canvases.forEach((page, index) => {
+    ctx.drawImage(page, 0, index * PAGE_HEIGHT);
+  });
+  return canvas;
+};
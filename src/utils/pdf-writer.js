@@ -0,0 +1,121 @@
+/**
+ * PDF writer
+ * Minimal PDF 1.4 writer for client-side exports. Every page is one JPEG
+ * image stretched over an A4 sheet: pages are drawn on a canvas first, so
+ * any script the browser can render (Cyrillic included) ends up in the file
+ * without embedding fonts.
+ */
+
+// A4 in PDF points (1/72 inch)
+export const A4_WIDTH_PT = 595.28;
+export const A4_HEIGHT_PT = 841.89;
+
+// Text strings as UTF-16BE hex with a byte order mark
+const toPdfText = text => {
+  const units = [];
+  for (let i = 0; i < String(text).length; i++) {
+    units.push(String(text).charCodeAt(i));
+  }
+  const hex = units
+    .map(unit => unit.toString(16).toUpperCase().padStart(4, '0'))
+    .join('');
+  return `<FEFF${hex}>`;
+};
+
+const toPdfDate = date => {
+  const pad = n => String(n).padStart(2, '0');
+  return `(D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(
+    date.getUTCDate()
+  )}${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(
+    date.getUTCSeconds()
+  )}Z)`;
+};
+
+/**
+ * Build a PDF with one JPEG image per A4 page
+ * @param {Array<{jpeg: Uint8Array, width: number, height: number}>} pages -
+ *   JPEG bytes and their pixel size, in page order
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title shown by PDF viewers
+ * @param {Date} [options.created] - Creation time (default: now)
+ * @returns {Blob} PDF file
+ */
+export const createImagePdf = (pages, options = {}) => {
+  if (!pages.length) throw new Error('A PDF needs at least one page');
+
+  const encoder = new TextEncoder();
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = chunk => {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  const writeObject = (id, body, stream = null) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      write('stream\n');
+      write(stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  };
+
+  // 1 catalog, 2 page tree, then page, content and image per page, then info
+  const pageId = index => 3 + index * 3;
+  const infoId = 3 + pages.length * 3;
+
+  write('%PDF-1.4\n');
+  // Binary marker comment tells transfer tools the file is not plain text
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+
+  writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  writeObject(
+    2,
+    `<< /Type /Pages /Kids [${pages
+      .map((_, index) => `${pageId(index)} 0 R`)
+      .join(' ')}] /Count ${pages.length} >>`
+  );
+
+  pages.forEach((page, index) => {
+    const id = pageId(index);
+    const content = encoder.encode(
+      `q ${A4_WIDTH_PT} 0 0 ${A4_HEIGHT_PT} 0 0 cm /Im0 Do Q`
+    );
+    writeObject(
+      id,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4_WIDTH_PT} ${A4_HEIGHT_PT}] ` +
+        `/Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${
+          id + 1
+        } 0 R >>`
+    );
+    writeObject(id + 1, `<< /Length ${content.length} >>`, content);
+    writeObject(
+      id + 2,
+      `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`,
+      page.jpeg
+    );
+  });
+
+  const info = [`/Producer ${toPdfText('BlinkBudget')}`];
+  if (options.title) info.push(`/Title ${toPdfText(options.title)}`);
+  info.push(`/CreationDate ${toPdfDate(options.created || new Date())}`);
+  writeObject(infoId, `<< ${info.join(' ')} >>`);
+
+  const xrefOffset = length;
+  const objectCount = infoId + 1;
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+  for (let id = 1; id < objectCount; id++) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(
+    `trailer\n<< /Size ${objectCount} /Root 1 0 R /Info ${infoId} 0 R >>\n` +
+      `startxref\n${xrefOffset}\n%%EOF\n`
+  );
+
+  return new Blob(parts, { type: 'application/pdf' });
+};
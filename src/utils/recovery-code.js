@@ -0,0 +1,82 @@
+/**
+ * Recovery code utilities
+ * Readable encoding of a secret key for typing it on another device:
+ * Crockford base32 (no I, L, O or U, case-insensitive) in dash-separated
+ * groups of four, with a two-byte checksum that catches typos.
+ */
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const GROUP_SIZE = 4;
+
+// Fletcher-16 over the key bytes
+const checksum = bytes => {
+  let sum1 = 0;
+  let sum2 = 0;
+  bytes.forEach(byte => {
+    sum1 = (sum1 + byte) % 255;
+    sum2 = (sum2 + sum1) % 255;
+  });
+  return [sum2, sum1];
+};
+
+const encodedLength = byteLength => Math.ceil(((byteLength + 2) * 8) / 5);
+
+/**
+ * @param {Uint8Array} bytes - Secret to encode
+ * @returns {string} e.g. "7K2M-QX9D-..."
+ */
+export const encodeRecoveryCode = bytes => {
+  const data = [...bytes, ...checksum(bytes)];
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  data.forEach(byte => {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  });
+  if (bits > 0) output += ALPHABET[(value << (5 - bits)) & 31];
+
+  return output.match(new RegExp(`.{1,${GROUP_SIZE}}`, 'g')).join('-');
+};
+
+/**
+ * @param {string} code - Code as typed, any case, dashes and spaces optional
+ * @param {number} byteLength - Expected secret length in bytes
+ * @returns {Uint8Array} Secret bytes
+ * @throws {Error} 'Invalid recovery code' on a wrong length, character or checksum
+ */
+export const decodeRecoveryCode = (code, byteLength) => {
+  const invalid = () => new Error('Invalid recovery code');
+  // Letters commonly mistaken for digits
+  const chars = String(code ?? '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+  if (chars.length !== encodedLength(byteLength)) throw invalid();
+
+  const data = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of chars) {
+    const index = ALPHABET.indexOf(char);
+    if (index === -1) throw invalid();
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      data.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  const bytes = Uint8Array.from(data.slice(0, byteLength));
+  const [high, low] = checksum(bytes);
+  if (data[byteLength] !== high || data[byteLength + 1] !== low) {
+    throw invalid();
+  }
+  return bytes;
+};
@@ -0,0 +1,201 @@
+/**
+ * Recurrence utilities
+ * Pure date math for recurring transaction schedules, shared by
+ * RecurringService (materialization) and ForecastEngine (projection).
+ */
+
+import { RECURRENCE_CADENCES } from './constants.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a Date or ISO string into a local calendar key (YYYY-MM-DD)
+ * @param {Date|string} value - Date object, ISO timestamp or date key
+ * @returns {string|null} Date key or null when the input is invalid
+ */
+export const toDateKey = value => {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Parse a date key into a local Date at midday (avoids DST edge cases)
+ * @param {string} key - Date key (YYYY-MM-DD)
+ * @returns {Date} Local date
+ */
+export const fromDateKey = key => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day, 12, 0, 0, 0);
+};
+
+/**
+ * Shift a date key by a number of calendar days
+ * @param {string} key - Date key (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Shifted date key
+ */
+export const addDays = (key, days) =>
+  toDateKey(new Date(fromDateKey(key).getTime() + days * MS_PER_DAY));
+
+const daysInMonth = (year, monthIndex) =>
+  new Date(year, monthIndex + 1, 0).getDate();
+
+/**
+ * Build a date in the given month, clamping the day to the month length
+ * so "monthly on day 31" lands on Feb 28/29, Apr 30, etc.
+ */
+const clampedDate = (year, monthIndex, day) => {
+  const normalized = new Date(year, monthIndex, 1, 12);
+  const y = normalized.getFullYear();
+  const m = normalized.getMonth();
+  return new Date(y, m, Math.min(day, daysInMonth(y, m)), 12);
+};
+
+/**
+ * Normalize a recurrence rule so downstream math can rely on its fields
+ * @param {Object} rule - { cadence, dayOfMonth?, intervalDays? }
+ * @param {string} startDate - Schedule anchor date key
+ * @returns {Object|null} Normalized rule or null when the cadence is unknown
+ */
+export const normalizeRule = (rule, startDate) => {
+  if (!rule || !Object.values(RECURRENCE_CADENCES).includes(rule.cadence)) {
+    return null;
+  }
+  const anchor = fromDateKey(startDate);
+  const normalized = { cadence: rule.cadence };
+
+  if (rule.cadence === RECURRENCE_CADENCES.MONTHLY) {
+    const day = Number(rule.dayOfMonth) || anchor.getDate();
+    normalized.dayOfMonth = Math.min(31, Math.max(1, Math.round(day)));
+  }
+  if (rule.cadence === RECURRENCE_CADENCES.INTERVAL) {
+    const interval = Math.round(Number(rule.intervalDays));
+    if (!Number.isFinite(interval) || interval < 1) return null;
+    normalized.intervalDays = interval;
+  }
+  return normalized;
+};
+
+/**
+ * Get the n-th occurrence (0-based) of a schedule counted from its start date
+ * @param {Object} schedule - Schedule with startDate and rule fields
+ * @param {number} index - Occurrence index
+ * @returns {string} Date key of the occurrence
+ */
+const occurrenceAt = (schedule, index) => {
+  const start = fromDateKey(schedule.startDate);
+
+  switch (schedule.cadence) {
+    case RECURRENCE_CADENCES.WEEKLY:
+      return toDateKey(new Date(start.getTime() + index * 7 * MS_PER_DAY));
+    case RECURRENCE_CADENCES.INTERVAL:
+      return toDateKey(
+        new Date(start.getTime() + index * schedule.intervalDays * MS_PER_DAY)
+      );
+    case RECURRENCE_CADENCES.YEARLY:
+      return toDateKey(
+        clampedDate(
+          start.getFullYear() + index,
+          start.getMonth(),
+          start.getDate()
+        )
+      );
+    case RECURRENCE_CADENCES.MONTHLY:
+    default: {
+      const day = schedule.dayOfMonth || start.getDate();
+      // If the anchor day is already past the target day, the series starts next month
+      const offset = start.getDate() > day ? 1 : 0;
+      return toDateKey(
+        clampedDate(start.getFullYear(), start.getMonth() + index + offset, day)
+      );
+    }
+  }
+};
+
+/**
+ * Get the first occurrence strictly after a given date
+ * @param {Object} schedule - Schedule with startDate and rule fields
+ * @param {string|Date} after - Exclusive lower bound
+ * @returns {string|null} Date key, or null once the schedule has ended
+ */
+export const getNextOccurrence = (schedule, after) => {
+  const afterKey = toDateKey(after);
+  if (!schedule?.startDate || !afterKey) return null;
+
+  // Jump close to the target for long-running schedules instead of walking
+  // from the very first occurrence every time.
+  let index = 0;
+  const elapsedDays = Math.floor(
+    (fromDateKey(afterKey) - fromDateKey(schedule.startDate)) / MS_PER_DAY
+  );
+  if (elapsedDays > 0) {
+    const approxSpan =
+      schedule.cadence === RECURRENCE_CADENCES.WEEKLY
+        ? 7
+        : schedule.cadence === RECURRENCE_CADENCES.INTERVAL
+          ? schedule.intervalDays
+          : schedule.cadence === RECURRENCE_CADENCES.YEARLY
+            ? 366
+            : 31;
+    index = Math.max(0, Math.floor(elapsedDays / approxSpan) - 1);
+  }
+
+  let candidate = occurrenceAt(schedule, index);
+  while (candidate <= afterKey) {
+    index += 1;
+    candidate = occurrenceAt(schedule, index);
+  }
+
+  if (schedule.endDate && candidate > schedule.endDate) return null;
+  return candidate;
+};
+
+/**
+ * List every occurrence within an inclusive date range
+ * @param {Object} schedule - Schedule with startDate and rule fields
+ * @param {string|Date} from - Inclusive start
+ * @param {string|Date} to - Inclusive end
+ * @returns {Array<string>} Date keys in chronological order
+ */
+export const getOccurrencesBetween = (schedule, from, to) => {
+  const fromKey = toDateKey(from);
+  const toKey = toDateKey(to);
+  if (!fromKey || !toKey || fromKey > toKey) return [];
+
+  const occurrences = [];
+  let next = getNextOccurrence(schedule, addDays(fromKey, -1));
+  while (next && next <= toKey) {
+    occurrences.push(next);
+    next = getNextOccurrence(schedule, next);
+  }
+  return occurrences;
+};
+
+/**
+ * Human-readable summary of a schedule's cadence (e.g. "Monthly on day 5")
+ * @param {Object} schedule - Schedule or rule object
+ * @returns {string} Description
+ */
+export const describeRecurrence = schedule => {
+  if (!schedule) return 'Does not repeat';
+  switch (schedule.cadence) {
+    case RECURRENCE_CADENCES.WEEKLY:
+      return 'Weekly';
+    case RECURRENCE_CADENCES.MONTHLY:
+      return `Monthly on day ${schedule.dayOfMonth}`;
+    case RECURRENCE_CADENCES.YEARLY:
+      return 'Yearly';
+    case RECURRENCE_CADENCES.INTERVAL:
+      return `Every ${schedule.intervalDays} days`;
+    default:
+      return 'Does not repeat';
+  }
+};
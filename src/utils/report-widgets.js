@@ -0,0 +1,256 @@
+/**
+ * Report widget utilities
+ * Pure helpers for custom report widgets: validating a widget definition
+ * and grouping transactions into the labels and series a chart draws.
+ */
+
+import {
+  REPORT_GROUPINGS,
+  REPORT_CHART_TYPES,
+  REPORT_METRICS,
+  TRANSACTION_TYPES,
+} from './constants.js';
+
+// Category by month keeps this many categories and folds the rest into "Other"
+export const MAX_CATEGORY_SERIES = 5;
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const METRIC_LABELS = {
+  expenses: 'Spending',
+  income: 'Income',
+  net: 'Net',
+};
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const transactionDate = t => new Date(t.date || t.timestamp);
+
+/**
+ * Month key of a date
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM
+ */
+export const monthKey = date =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Bring a widget definition to a valid shape
+ * @param {Object} widget - { id, title, groupBy, chartType, metric }
+ * @returns {Object|null} Normalized widget or null for an unknown grouping
+ */
+export const normalizeWidget = widget => {
+  if (!Object.values(REPORT_GROUPINGS).includes(widget?.groupBy)) return null;
+  return {
+    id: widget.id,
+    title: typeof widget.title === 'string' ? widget.title.trim() : '',
+    groupBy: widget.groupBy,
+    chartType: REPORT_CHART_TYPES.includes(widget.chartType)
+      ? widget.chartType
+      : 'bar',
+    metric: Object.values(REPORT_METRICS).includes(widget.metric)
+      ? widget.metric
+      : REPORT_METRICS.EXPENSES,
+  };
+};
+
+/**
+ * Signed contribution of a transaction to a metric
+ * @param {Object} transaction - Transaction
+ * @param {string} metric - REPORT_METRICS value
+ * @param {number} amount - Absolute amount in the base currency
+ * @returns {number|null} Contribution, or null when the metric ignores it
+ */
+const contribution = (transaction, metric, amount) => {
+  switch (transaction.type) {
+    case TRANSACTION_TYPES.EXPENSE:
+      if (metric === REPORT_METRICS.INCOME) return null;
+      return metric === REPORT_METRICS.NET ? -amount : amount;
+    case TRANSACTION_TYPES.REFUND:
+      if (metric === REPORT_METRICS.INCOME) return null;
+      return metric === REPORT_METRICS.NET ? amount : -amount;
+    case TRANSACTION_TYPES.INCOME:
+      return metric === REPORT_METRICS.EXPENSES ? null : amount;
+    default:
+      // Transfers move money between accounts and count for no metric
+      return null;
+  }
+};
+
+/**
+ * Month keys from the first to the last month of a range
+ * @param {Date} start - First day
+ * @param {Date} end - Last day
+ * @returns {string[]} YYYY-MM keys
+ */
+export const monthsBetween = (start, end) => {
+  const keys = [];
+  const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+  while (cursor <= end) {
+    keys.push(monthKey(cursor));
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  return keys;
+};
+
+/**
+ * Short label for a month key
+ * @param {string} key - YYYY-MM
+ * @returns {string} e.g. "Jan 2026"
+ */
+export const monthLabel = key => {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('en-US', {
+    month: 'short',
+    year: 'numeric',
+  });
+};
+
+const groupCategoryByMonth = (entries, timePeriod) => {
+  const dates = entries.map(e => e.date);
+  const start = timePeriod?.startDate
+    ? new Date(timePeriod.startDate)
+    : new Date(Math.min(...dates));
+  const end = timePeriod?.endDate
+    ? new Date(timePeriod.endDate)
+    : new Date(Math.max(...dates));
+  const months = monthsBetween(start, end);
+  const monthIndex = new Map(months.map((key, index) => [key, index]));
+
+  const byCategory = new Map();
+  entries.forEach(({ transaction, date, value }) => {
+    const index = monthIndex.get(monthKey(date));
+    if (index === undefined) return;
+    const category = transaction.category || 'Uncategorized';
+    if (!byCategory.has(category)) {
+      byCategory.set(category, new Array(months.length).fill(0));
+    }
+    byCategory.get(category)[index] += value;
+  });
+
+  const total = values => values.reduce((sum, v) => sum + v, 0);
+  const ranked = [...byCategory.entries()].sort(
+    (a, b) => Math.abs(total(b[1])) - Math.abs(total(a[1]))
+  );
+  const series = ranked
+    .slice(0, MAX_CATEGORY_SERIES)
+    .map(([label, values]) => ({ label, values }));
+
+  const rest = ranked.slice(MAX_CATEGORY_SERIES);
+  if (rest.length > 0) {
+    series.push({
+      label: 'Other',
+      values: months.map((_, i) =>
+        rest.reduce((sum, [, values]) => sum + values[i], 0)
+      ),
+    });
+  }
+
+  return { labels: months.map(monthLabel), series };
+};
+
+const groupSingle = (entries, keysOf, order) => {
+  const totals = new Map(order ? order.map(key => [key, 0]) : []);
+  entries.forEach(entry => {
+    keysOf(entry).forEach(key => {
+      totals.set(key, (totals.get(key) || 0) + entry.value);
+    });
+  });
+  const rows = [...totals.entries()];
+  if (!order) rows.sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]));
+  return {
+    labels: rows.map(([key]) => key),
+    values: rows.map(([, value]) => value),
+  };
+};
+
+/**
+ * Group transactions for one widget
+ * @param {Object} widget - Normalized widget
+ * @param {Array} transactions - Transactions already filtered for the report
+ * @param {Object} options
+ * @param {Object} [options.timePeriod] - Report period, for the month axis
+ * @param {Function} options.amountOf - Transaction to base-currency amount
+ * @param {Function} [options.accountName] - Account id to display name
+ * @returns {{labels: string[], series: Array<{label: string, values: number[]}>, total: number}}
+ *   Tags count once per tag, so a transaction with two tags appears twice
+ */
+export const buildWidgetData = (widget, transactions, options) => {
+  const { timePeriod, amountOf, accountName = id => id } = options;
+
+  const entries = [];
+  transactions.forEach(transaction => {
+    const date = transactionDate(transaction);
+    if (Number.isNaN(date.getTime())) return;
+    const value = contribution(
+      transaction,
+      widget.metric,
+      Math.abs(amountOf(transaction))
+    );
+    if (value !== null) entries.push({ transaction, date, value });
+  });
+
+  const total = round2(entries.reduce((sum, e) => sum + e.value, 0));
+  if (entries.length === 0) return { labels: [], series: [], total };
+
+  let grouped;
+  switch (widget.groupBy) {
+    case REPORT_GROUPINGS.CATEGORY_MONTH: {
+      const { labels, series } = groupCategoryByMonth(entries, timePeriod);
+      return {
+        labels,
+        series: series.map(s => ({ ...s, values: s.values.map(round2) })),
+        total,
+      };
+    }
+    case REPORT_GROUPINGS.TAG:
+      grouped = groupSingle(entries, ({ transaction: t }) =>
+        Array.isArray(t.tags) && t.tags.length > 0 ? t.tags : ['No tag']
+      );
+      break;
+    case REPORT_GROUPINGS.ACCOUNT:
+      grouped = groupSingle(entries, ({ transaction: t }) => [
+        accountName(t.accountId),
+      ]);
+      break;
+    default:
+      // Weeks start on Monday
+      grouped = groupSingle(
+        entries,
+        ({ date }) => [WEEKDAYS[(date.getDay() + 6) % 7]],
+        WEEKDAYS
+      );
+  }
+
+  return {
+    labels: grouped.labels,
+    series: [
+      {
+        label: METRIC_LABELS[widget.metric],
+        values: grouped.values.map(round2),
+      },
+    ],
+    total,
+  };
+};
+
+/**
+ * Slices for a pie chart. Several series (category by month) become one
+ * slice per series; slices that are not positive are left out.
+ * @param {{labels: string[], series: Array}} data - Result of buildWidgetData()
+ * @returns {{labels: string[], values: number[]}}
+ */
+export const toPieSlices = data => {
+  const slices =
+    data.series.length === 1
+      ? data.labels.map((label, i) => [label, data.series[0].values[i]])
+      : data.series.map(s => [
+          s.label,
+          round2(s.values.reduce((sum, v) => sum + v, 0)),
+        ]);
+  const positive = slices.filter(([, value]) => value > 0);
+  return {
+    labels: positive.map(([label]) => label),
+    values: positive.map(([, value]) => value),
+  };
+};
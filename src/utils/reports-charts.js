@@ -4,13 +4,20 @@
  * Chart creation and rendering functions for reports view.
  */
 
-import { COLORS, SPACING, CATEGORY_COLORS } from './constants.js';
+import {
+  COLORS,
+  SPACING,
+  CATEGORY_COLORS,
+  REPORT_GROUPING_LABELS,
+} from './constants.js';
 import { getChartColors } from '../core/chart-config.js';
 import { TransactionService } from '../core/transaction-service.js';
 import { generateMonthlyTrendData } from './reports-utils.js';
 import { escapeHtml } from './security-utils.js';
 import { Router } from '../core/router.js';
 import { NavigationState } from '../core/navigation-state.js';
+import { formatMoney, getCurrencySymbol } from './money-format.js';
+import { toPieSlices } from './report-widgets.js';
 
 // Resolve CSS custom properties to computed color strings usable by Canvas/Chart.js
 function resolveCssVarColor(varName, alpha) {
@@ -79,10 +86,7 @@ function createCategoryTooltipConfig(detailsContainer) {
         const percentage =
           total > 0 ? ((value / total) * 100).toFixed(1) : '0.0';
 
-        const formattedValue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'EUR',
-        }).format(value);
+        const formattedValue = formatMoney(value);
 
         // Create structured HTML for the details container
         // Security: All dynamic values are escaped using escapeHtml()
@@ -107,10 +111,7 @@ function createCategoryTooltipConfig(detailsContainer) {
         const total = context.dataset.data.reduce((sum, val) => sum + val, 0);
         const percentage =
           total > 0 ? ((value / total) * 100).toFixed(1) : '0.0';
-        const formattedValue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'EUR',
-        }).format(value);
+        const formattedValue = formatMoney(value);
 
         return `${label}: ${formattedValue} (${percentage}%)`;
       },
@@ -194,10 +195,7 @@ export async function createCategoryBreakdownChart(
 
   const totalIncomeValue = document.createElement('span');
   const totalIncome = currentData.incomeVsExpenses?.totalIncome || 0;
-  totalIncomeValue.textContent = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'EUR',
-  }).format(totalIncome);
+  totalIncomeValue.textContent = formatMoney(totalIncome);
   totalIncomeValue.style.fontSize = '1.25rem';
   totalIncomeValue.style.fontWeight = 'bold';
   totalIncomeValue.style.color = COLORS.INCOME_COLOR; // Green color for income
@@ -247,10 +245,7 @@ export async function createCategoryBreakdownChart(
 
   const totalSpentValue = document.createElement('span');
   const totalSpent = sortedCategories.reduce((sum, cat) => sum + cat.amount, 0);
-  totalSpentValue.textContent = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'EUR',
-  }).format(totalSpent);
+  totalSpentValue.textContent = formatMoney(totalSpent);
   totalSpentValue.style.fontSize = '1.25rem';
   totalSpentValue.style.fontWeight = 'bold';
   totalSpentValue.style.color = COLORS.PRIMARY;
@@ -474,13 +469,6 @@ export async function createIncomeExpenseChart(chartRenderer, currentData) {
   const incomeExpenseData = currentData.incomeVsExpenses;
 
   // Format currency values
-  const formatCurrency = amount => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'EUR',
-    }).format(amount);
-  };
-
   // Create details content as part of the section
   const detailsContent = document.createElement('div');
   detailsContent.style.display = 'grid';
@@ -510,7 +498,7 @@ export async function createIncomeExpenseChart(chartRenderer, currentData) {
   incomeDiv.appendChild(incomeLabel);
 
   const incomeValue = document.createElement('div');
-  incomeValue.textContent = formatCurrency(incomeExpenseData.totalIncome);
+  incomeValue.textContent = formatMoney(incomeExpenseData.totalIncome);
   incomeValue.style.fontSize = '1.125rem';
   incomeValue.style.fontWeight = 'bold';
   incomeValue.style.color = COLORS.INCOME_COLOR;
@@ -565,7 +553,7 @@ export async function createIncomeExpenseChart(chartRenderer, currentData) {
   expensesDiv.appendChild(expensesLabel);
 
   const expensesValue = document.createElement('div');
-  expensesValue.textContent = formatCurrency(incomeExpenseData.totalExpenses);
+  expensesValue.textContent = formatMoney(incomeExpenseData.totalExpenses);
   expensesValue.style.fontSize = '1.125rem';
   expensesValue.style.fontWeight = 'bold';
   expensesValue.style.color = 'var(--color-error)';
@@ -611,7 +599,7 @@ export async function createIncomeExpenseChart(chartRenderer, currentData) {
   netBalanceDiv.appendChild(netBalanceLabel);
 
   const netBalanceValue = document.createElement('div');
-  netBalanceValue.textContent = formatCurrency(incomeExpenseData.netBalance);
+  netBalanceValue.textContent = formatMoney(incomeExpenseData.netBalance);
   netBalanceValue.style.fontSize = '1.125rem';
   netBalanceValue.style.fontWeight = 'bold';
   netBalanceValue.style.color =
@@ -663,7 +651,7 @@ export async function createIncomeExpenseChart(chartRenderer, currentData) {
     labels: ['Income', 'Expenses', 'Net Balance'],
     datasets: [
       {
-        label: 'Amount (€)',
+        label: `Amount (${getCurrencySymbol()})`,
         data: [
           incomeExpenseData.totalIncome,
           incomeExpenseData.totalExpenses,
@@ -707,6 +695,181 @@ export async function createIncomeExpenseChart(chartRenderer, currentData) {
   return { section, chart };
 }
 
+/**
+ * Create the month-by-month income vs expenses chart for a year in review
+ * @param {ChartRenderer} chartRenderer - Renderer owning the chart
+ * @param {Object} review - Result of YearReviewService.build()
+ * @returns {Promise<{section: HTMLElement, chart: Object|null}>}
+ */
+export async function createYearMonthlyChart(chartRenderer, review) {
+  const section = document.createElement('div');
+  section.className = 'chart-section';
+  section.style.background = COLORS.SURFACE;
+  section.style.borderRadius = 'var(--radius-lg)';
+  section.style.padding = SPACING.MD;
+  section.style.width = '100%';
+  section.style.boxSizing = 'border-box';
+
+  const title = document.createElement('h3');
+  title.textContent = 'Month by Month';
+  title.style.margin = `0 0 ${SPACING.MD} 0`;
+  title.style.color = COLORS.TEXT_MAIN;
+  section.appendChild(title);
+
+  const canvas = document.createElement('canvas');
+  canvas.id = 'year-review-monthly-chart';
+  canvas.style.width = '100%';
+  canvas.style.height = '320px';
+  canvas.style.display = 'block';
+  section.appendChild(canvas);
+
+  const chartData = {
+    labels: review.months.map(m => m.label),
+    datasets: [
+      {
+        label: 'Income',
+        data: review.months.map(m => m.income),
+        backgroundColor:
+          resolveCssVarColor('--color-success-rgb', 0.8) ||
+          'rgba(0,179,89,0.8)',
+        borderWidth: 0,
+      },
+      {
+        label: 'Expenses',
+        data: review.months.map(m => m.expenses),
+        backgroundColor:
+          resolveCssVarColor('--color-error-rgb', 0.8) || 'rgba(255,0,0,0.8)',
+        borderWidth: 0,
+      },
+    ],
+  };
+
+  const chart = await chartRenderer.createBarChart(canvas, chartData, {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: true,
+      },
+      tooltip: {
+        callbacks: {
+          label: context =>
+            `${context.dataset.label}: ${formatMoney(context.parsed.y)}`,
+        },
+      },
+    },
+  });
+
+  return { section, chart };
+}
+
+/**
+ * Create the chart for one custom report widget
+ * @param {ChartRenderer} chartRenderer - Renderer owning the chart
+ * @param {Object} widget - Widget definition ({ title, chartType, ... })
+ * @param {Object} data - Result of buildWidgetData()
+ * @param {string} canvasId - Unique canvas id
+ * @returns {Promise<{section: HTMLElement, chart: Object|null}>}
+ */
+export async function createReportWidgetChart(
+  chartRenderer,
+  widget,
+  data,
+  canvasId
+) {
+  const section = document.createElement('div');
+  section.className = 'chart-section';
+  section.style.background = COLORS.SURFACE;
+  section.style.borderRadius = 'var(--radius-lg)';
+  section.style.padding = SPACING.MD;
+  section.style.width = '100%';
+  section.style.boxSizing = 'border-box';
+
+  const title = document.createElement('h3');
+  title.textContent = widget.title || REPORT_GROUPING_LABELS[widget.groupBy];
+  title.style.margin = `0 0 ${SPACING.XS} 0`;
+  title.style.color = COLORS.TEXT_MAIN;
+  section.appendChild(title);
+
+  const total = document.createElement('p');
+  total.textContent = `Total: ${formatMoney(data.total)}`;
+  total.style.margin = `0 0 ${SPACING.MD} 0`;
+  total.style.color = COLORS.TEXT_MUTED;
+  total.style.fontSize = 'var(--font-size-sm)';
+  section.appendChild(total);
+
+  const slices = widget.chartType === 'pie' ? toPieSlices(data) : null;
+  if (data.labels.length === 0 || (slices && slices.labels.length === 0)) {
+    const empty = document.createElement('p');
+    empty.textContent = 'No matching transactions in this period.';
+    empty.style.margin = '0';
+    empty.style.color = COLORS.TEXT_MUTED;
+    section.appendChild(empty);
+    return { section, chart: null };
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.id = canvasId;
+  canvas.style.width = '100%';
+  canvas.style.height = '300px';
+  canvas.style.display = 'block';
+  section.appendChild(canvas);
+
+  const tooltipLabel = context => {
+    const value =
+      widget.chartType === 'pie' ? context.parsed : context.parsed.y;
+    return `${context.dataset.label || context.label}: ${formatMoney(value)}`;
+  };
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: widget.chartType === 'pie' || data.series.length > 1,
+      },
+      tooltip: {
+        callbacks: { label: tooltipLabel },
+      },
+    },
+  };
+
+  if (slices) {
+    const chart = await chartRenderer.createPieChart(
+      canvas,
+      {
+        labels: slices.labels,
+        datasets: [{ data: slices.values }],
+      },
+      { ...options, title: title.textContent }
+    );
+    return { section, chart };
+  }
+
+  // Several series get one color each; a single series is colored per bar
+  const colors =
+    data.series.length > 1 ? getChartColors(data.series.length) : [];
+  const chartData = {
+    labels: data.labels,
+    datasets: data.series.map((series, index) => ({
+      label: series.label,
+      data: series.values,
+      ...(colors[index] && {
+        backgroundColor: colors[index],
+        borderColor: colors[index],
+        borderWidth: widget.chartType === 'line' ? 3 : 0,
+        fill: false,
+      }),
+    })),
+  };
+
+  const chart =
+    widget.chartType === 'line'
+      ? await chartRenderer.createLineChart(canvas, chartData, options)
+      : await chartRenderer.createBarChart(canvas, chartData, options);
+
+  return { section, chart };
+}
+
 /**
  * Create category trends over time chart
  */
@@ -0,0 +1,108 @@
+/**
+ * Sankey layout
+ * Places the nodes of a column-based flow diagram and turns each link into
+ * a curved band whose thickness is proportional to its value. Pure geometry:
+ * the caller draws the result (SVG paths with a stroke width).
+ */
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Lay out nodes in columns and route links between them
+ * @param {Object} graph - { nodes: [{ id, column }], links: [{ source, target, value }] }
+ * @param {Object} size
+ * @param {number} size.width - Drawing width
+ * @param {number} size.height - Drawing height
+ * @param {number} [size.nodeWidth=12] - Width of a node bar
+ * @param {number} [size.nodePadding=12] - Vertical gap between nodes
+ * @param {number} [size.margin=0] - Horizontal space kept free for labels
+ * @returns {Object} { nodes: [{ ...node, x, y, height, value }], links: [{ ...link, width, sourceY, targetY, path }] }
+ */
+export const layoutSankey = (
+  { nodes, links },
+  { width, height, nodeWidth = 12, nodePadding = 12, margin = 0 }
+) => {
+  const placed = new Map(
+    nodes.map(node => [node.id, { ...node, incoming: 0, outgoing: 0 }])
+  );
+  const routable = links.filter(
+    link => link.value > 0 && placed.has(link.source) && placed.has(link.target)
+  );
+  routable.forEach(link => {
+    placed.get(link.source).outgoing += link.value;
+    placed.get(link.target).incoming += link.value;
+  });
+
+  const columns = [];
+  placed.forEach(node => {
+    node.value = Math.max(node.incoming, node.outgoing);
+    (columns[node.column] ||= []).push(node);
+  });
+  const filled = columns.filter(Boolean);
+  if (filled.length === 0) return { nodes: [], links: [] };
+
+  // One scale for every column so equal values get equal thickness
+  const scale = Math.min(
+    ...filled.map(column => {
+      const total = column.reduce((sum, node) => sum + node.value, 0);
+      const space = height - nodePadding * (column.length - 1);
+      return total > 0 ? space / total : Infinity;
+    })
+  );
+  const unit = Number.isFinite(scale) ? Math.max(scale, 0) : 0;
+
+  const lastColumn = columns.length - 1;
+  const step =
+    lastColumn > 0 ? (width - margin * 2 - nodeWidth) / lastColumn : 0;
+  filled.forEach(column => {
+    const used =
+      column.reduce((sum, node) => sum + node.value * unit, 0) +
+      nodePadding * (column.length - 1);
+    // Shorter columns are centred vertically
+    let y = (height - used) / 2;
+    column.forEach(node => {
+      node.x = margin + node.column * step;
+      node.y = y;
+      node.height = node.value * unit;
+      y += node.height + nodePadding;
+    });
+  });
+
+  // Bands leave a node in the vertical order of their targets and enter
+  // it in the order of their sources, which keeps them from crossing there
+  const routed = routable.map(link => ({
+    ...link,
+    width: link.value * unit,
+  }));
+  const stack = (key, ownEnd, otherEnd) => {
+    const offsets = new Map();
+    [...routed]
+      .sort(
+        (a, b) =>
+          placed.get(a[ownEnd]).y - placed.get(b[ownEnd]).y ||
+          placed.get(a[otherEnd]).y - placed.get(b[otherEnd]).y
+      )
+      .forEach(link => {
+        const node = placed.get(link[ownEnd]);
+        const offset = offsets.get(node.id) || 0;
+        link[key] = node.y + offset + link.width / 2;
+        offsets.set(node.id, offset + link.width);
+      });
+  };
+  stack('sourceY', 'source', 'target');
+  stack('targetY', 'target', 'source');
+  routed.forEach(link => {
+    const x0 = placed.get(link.source).x + nodeWidth;
+    const x1 = placed.get(link.target).x;
+    const xm = (x0 + x1) / 2;
+    const [sy, ty] = [link.sourceY, link.targetY].map(round2);
+    link.path = `M${round2(x0)},${sy}C${round2(xm)},${sy} ${round2(xm)},${ty} ${round2(x1)},${ty}`;
+  });
+
+  return {
+    nodes: [...placed.values()].map(
+      ({ incoming: _incoming, outgoing: _outgoing, ...node }) => node
+    ),
+    links: routed,
+  };
+};
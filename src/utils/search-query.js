@@ -0,0 +1,140 @@
+/**
+ * Search query utilities
+ * Parses the Dashboard search bar into the filter shape used by
+ * FilteringService.applyFilters().
+ *
+ * Syntax (terms combine with AND; repeated acct:, cat: and type: terms match
+ * any of their values):
+ *   coffee            free text: description, category, tags or amount
+ *   >50  <=20  =12.5  amount bounds (absolute amount)
+ *   tag:trip          has the tag (quote values with spaces: tag:"Summer 2026")
+ *   acct:Cash         account by name or id (also account:)
+ *   cat:Храна         category (also category:)
+ *   type:refund       expense, income, transfer or refund
+ *   before:2026-03-01 strictly before the day (also after:, on:)
+ */
+
+import { toDateKey, fromDateKey, addDays } from './recurrence-utils.js';
+
+const TOKEN_PATTERN = /(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+const AMOUNT_PATTERN = /^(>=|<=|>|<|=)(\d+(?:[.,]\d+)?)$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_KEYS = ['before', 'after', 'on'];
+
+const KEY_ALIASES = {
+  tag: 'tag',
+  acct: 'account',
+  account: 'account',
+  cat: 'category',
+  category: 'category',
+  type: 'type',
+  before: 'before',
+  after: 'after',
+  on: 'on',
+};
+
+const parseDateKey = value => {
+  if (!DATE_KEY_PATTERN.test(value)) return null;
+  // Rejects rolled-over dates such as 2026-02-30
+  return toDateKey(fromDateKey(value)) === value ? value : null;
+};
+
+const findAccountId = (value, accounts) => {
+  const needle = value.toLowerCase();
+  const account =
+    accounts.find(a => a.name?.toLowerCase() === needle) ||
+    accounts.find(a => a.id === value) ||
+    accounts.find(a => a.name?.toLowerCase().startsWith(needle));
+  // Unknown accounts keep the raw value so the search matches nothing
+  return account ? account.id : value;
+};
+
+const applyAmount = (filters, operator, amount) => {
+  const range = filters.amountRange || {};
+  if (operator.startsWith('>') || operator === '=') {
+    range.min = amount;
+    range.minExclusive = operator === '>';
+  }
+  if (operator.startsWith('<') || operator === '=') {
+    range.max = amount;
+    range.maxExclusive = operator === '<';
+  }
+  filters.amountRange = range;
+};
+
+const applyDate = (filters, key, dateKey) => {
+  const range = filters.dateRange || {};
+  if (key === 'before' || key === 'on') {
+    range.endDate = fromDateKey(
+      key === 'before' ? addDays(dateKey, -1) : dateKey
+    );
+  }
+  if (key === 'after' || key === 'on') {
+    range.startDate = fromDateKey(
+      key === 'after' ? addDays(dateKey, 1) : dateKey
+    );
+  }
+  filters.dateRange = range;
+};
+
+const pushUnique = (filters, field, value) => {
+  filters[field] = filters[field] || [];
+  if (!filters[field].includes(value)) filters[field].push(value);
+};
+
+/**
+ * Parse a search query into FilteringService.applyFilters() filters
+ * @param {string} query - Raw search bar text
+ * @param {Object} options - Parsing context
+ * @param {Array} options.accounts - Accounts used to resolve acct: names
+ * @returns {Object} Filters ({ searchText, amountRange, tags, accounts, ... })
+ */
+export const parseSearchQuery = (query, options = {}) => {
+  const accounts = options.accounts || [];
+  const filters = {};
+  const text = [];
+
+  for (const match of String(query || '').matchAll(TOKEN_PATTERN)) {
+    const [raw, rawKey] = match;
+    const value = (match[2] ?? match[3]).trim();
+    const key = rawKey ? KEY_ALIASES[rawKey.toLowerCase()] : null;
+
+    if (!rawKey) {
+      const amount = value.match(AMOUNT_PATTERN);
+      if (amount) {
+        applyAmount(filters, amount[1], Number(amount[2].replace(',', '.')));
+      } else if (value) {
+        text.push(value);
+      }
+      continue;
+    }
+
+    // Unknown keys and empty or invalid values are searched as plain text
+    const isDate = DATE_KEYS.includes(key);
+    const dateKey = isDate ? parseDateKey(value) : null;
+    if (!key || !value || (isDate && !dateKey)) {
+      text.push(raw.replace(/"/g, ''));
+      continue;
+    }
+
+    switch (key) {
+      case 'tag':
+        pushUnique(filters, 'tags', value);
+        break;
+      case 'account':
+        pushUnique(filters, 'accounts', findAccountId(value, accounts));
+        break;
+      case 'category':
+        pushUnique(filters, 'categories', value);
+        break;
+      case 'type':
+        pushUnique(filters, 'types', value.toLowerCase());
+        break;
+      default:
+        applyDate(filters, key, dateKey);
+    }
+  }
+
+  if (text.length > 0) filters.searchText = text.join(' ');
+  return filters;
+};
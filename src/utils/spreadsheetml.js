@@ -0,0 +1,73 @@
+/**
+ * SpreadsheetML export utilities
+ * Writes an Excel 2003 XML workbook in the browser. Excel, LibreOffice and
+ * Numbers open it as a spreadsheet with real number cells, without a zip
+ * container or any library.
+ */
+
+export const SPREADSHEET_MIME_TYPE = 'application/vnd.ms-excel';
+
+/**
+ * Escape text for an XML attribute or element. Control characters are not
+ * allowed in XML 1.0 (Excel rejects the whole file), so they are dropped.
+ * @param {*} value - Raw value
+ * @returns {string} XML-safe text
+ */
+export const escapeXml = value =>
+  String(value ?? '')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\r?\n/g, '&#10;');
+
+// Excel caps sheet names at 31 characters and rejects []:*?/\
+const toSheetName = name =>
+  String(name || 'Sheet1')
+    .replace(/[[\]:*?/\\]/g, ' ')
+    .slice(0, 31)
+    .trim() || 'Sheet1';
+
+const cell = (value, styleId) => {
+  const isNumber = typeof value === 'number' && Number.isFinite(value);
+  // Plain numbers keep two decimals; header and total rows bring their own style
+  const style = styleId || (isNumber ? 'amount' : null);
+  const attr = style ? ` ss:StyleID="${style}"` : '';
+  return isNumber
+    ? `<Cell${attr}><Data ss:Type="Number">${value}</Data></Cell>`
+    : `<Cell${attr}><Data ss:Type="String">${escapeXml(value)}</Data></Cell>`;
+};
+
+const row = (values, styleId) =>
+  `<Row>${values.map(value => cell(value, styleId)).join('')}</Row>`;
+
+/**
+ * Build a single-sheet SpreadsheetML workbook
+ * @param {Object} sheet
+ * @param {string} sheet.name - Worksheet name
+ * @param {Array<string>} sheet.headers - Column names (bold)
+ * @param {Array<Array>} sheet.rows - Cell values; numbers become number cells
+ * @param {Array} [sheet.footer] - Optional totals row (bold)
+ * @returns {string} Workbook XML
+ */
+export const buildSpreadsheetXml = ({ name, headers, rows, footer }) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    '<Styles>',
+    '<Style ss:ID="header"><Font ss:Bold="1"/></Style>',
+    '<Style ss:ID="amount"><NumberFormat ss:Format="0.00"/></Style>',
+    '<Style ss:ID="total"><Font ss:Bold="1"/><NumberFormat ss:Format="0.00"/></Style>',
+    '</Styles>',
+    `<Worksheet ss:Name="${escapeXml(toSheetName(name))}">`,
+    '<Table>',
+    row(headers, 'header'),
+    ...rows.map(values => row(values)),
+    ...(footer ? [row(footer, 'total')] : []),
+    '</Table>',
+    '</Worksheet>',
+    '</Workbook>',
+  ].join('\n');
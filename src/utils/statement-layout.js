@@ -0,0 +1,182 @@
+/**
+ * Statement layout
+ * Draws a statement from StatementService.build() onto A4 pages, breaking
+ * tables across pages with repeated header rows. The same pages back the
+ * print preview and the PDF download.
+ */
+
+import { formatMoney } from './money-format.js';
+import { formatDateForDisplay } from './date-utils.js';
+import { TRANSACTION_TYPES } from './constants.js';
+import { PageWriter, PRINT_COLORS, loadChartImages } from './page-canvas.js';
+
+const { INK, INCOME, EXPENSE, WARNING } = PRINT_COLORS;
+
+const money = (amount, currency) => formatMoney(amount, { currency });
+
+const percent = value => `${Math.round(value || 0)}%`;
+
+const drawSummary = (writer, statement) => {
+  const { summary, currency } = statement;
+  writer.heading('Income vs Expenses');
+  writer.statBoxes([
+    {
+      label: `Income (${summary.incomeCount})`,
+      value: money(summary.totalIncome, currency),
+      color: INCOME,
+    },
+    {
+      label: `Expenses (${summary.expenseCount})`,
+      value: money(summary.totalExpenses, currency),
+      color: EXPENSE,
+    },
+    {
+      label: 'Net balance',
+      value: money(summary.netBalance, currency),
+      color: summary.netBalance < 0 ? EXPENSE : INK,
+    },
+  ]);
+};
+
+const drawCategories = (writer, statement) => {
+  writer.heading('Spending by Category');
+  if (statement.categories.length === 0) {
+    writer.note('No expenses in this period.');
+    return;
+  }
+  writer.table(
+    [
+      { label: 'Category', width: 0.46 },
+      { label: 'Transactions', width: 0.18, align: 'right' },
+      { label: 'Share', width: 0.14, align: 'right' },
+      { label: 'Amount', width: 0.22, align: 'right' },
+    ],
+    statement.categories.map(c => [
+      c.name,
+      String(c.transactionCount),
+      percent(c.percentage),
+      money(c.amount, statement.currency),
+    ])
+  );
+};
+
+const drawBudgets = (writer, statement) => {
+  writer.heading('Budget Adherence');
+  if (statement.budgets.length === 0) {
+    writer.note('No budgets set.');
+    return;
+  }
+  const { budgetSummary } = statement;
+  writer.table(
+    [
+      { label: 'Budget', width: 0.3 },
+      { label: 'Period', width: 0.2 },
+      { label: 'Limit', width: 0.16, align: 'right' },
+      { label: 'Spent', width: 0.16, align: 'right' },
+      { label: 'Used', width: 0.18, align: 'right' },
+    ],
+    statement.budgets.map(b => [
+      b.label,
+      b.periodLabel || '',
+      money(b.available, statement.currency),
+      money(b.actual, statement.currency),
+      {
+        text: b.isExceeded
+          ? `${percent(b.utilization)} · over`
+          : percent(b.utilization),
+        color: b.isExceeded ? EXPENSE : b.isWarning ? WARNING : INCOME,
+        weight: 600,
+      },
+    ])
+  );
+  writer.note(
+    `${budgetSummary.onTrackCount} of ${budgetSummary.totalBudgets} budgets on track, ` +
+      `${budgetSummary.warningCount} near the limit, ${budgetSummary.exceededCount} exceeded.`
+  );
+};
+
+const drawAccounts = (writer, statement) => {
+  writer.heading('Account Balances');
+  writer.table(
+    [
+      { label: 'Account', width: 0.42 },
+      { label: 'Currency', width: 0.14 },
+      { label: 'Balance', width: 0.22, align: 'right' },
+      { label: `In ${statement.currency}`, width: 0.22, align: 'right' },
+    ],
+    [
+      ...statement.accounts.map(a => [
+        a.name,
+        a.currency,
+        money(a.balance, a.currency),
+        money(a.baseBalance, statement.currency),
+      ]),
+      [
+        { text: 'Net worth', weight: 700 },
+        '',
+        '',
+        { text: money(statement.netWorth, statement.currency), weight: 700 },
+      ],
+    ]
+  );
+};
+
+const drawTopTransactions = (writer, statement) => {
+  writer.heading('Top Transactions');
+  if (statement.topTransactions.length === 0) {
+    writer.note('No transactions in this period.');
+    return;
+  }
+  writer.table(
+    [
+      { label: 'Date', width: 0.16 },
+      { label: 'Category', width: 0.22 },
+      { label: 'Description', width: 0.28 },
+      { label: 'Account', width: 0.14 },
+      { label: 'Amount', width: 0.2, align: 'right' },
+    ],
+    statement.topTransactions.map(t => {
+      const isIncome =
+        t.type === TRANSACTION_TYPES.INCOME ||
+        t.type === TRANSACTION_TYPES.REFUND;
+      return [
+        formatDateForDisplay(t.date),
+        t.category,
+        t.description,
+        t.account,
+        {
+          text: money(isIncome ? t.amount : -t.amount, t.currency),
+          color: isIncome ? INCOME : INK,
+        },
+      ];
+    })
+  );
+};
+
+/**
+ * Render a statement onto A4 canvases
+ * @param {Object} statement - Result of StatementService.build()
+ * @param {Array<{title: string, src: string}>} charts - Chart images as
+ *   data URLs, e.g. from Chart.js toBase64Image()
+ * @returns {Promise<HTMLCanvasElement[]>} One canvas per page
+ */
+export const renderStatementPages = async (statement, charts) => {
+  const images = await loadChartImages(charts);
+
+  const writer = new PageWriter(
+    `BlinkBudget · ${statement.title} · ${statement.periodLabel}`
+  );
+  writer.titleBlock(statement.title, [
+    statement.periodLabel,
+    `Generated ${formatDateForDisplay(statement.generatedAt)} · Amounts in ${statement.currency}`,
+  ]);
+
+  drawSummary(writer, statement);
+  images.forEach(({ title, image }) => writer.image(image, title));
+  drawCategories(writer, statement);
+  drawBudgets(writer, statement);
+  drawAccounts(writer, statement);
+  drawTopTransactions(writer, statement);
+
+  return writer.finish();
+};
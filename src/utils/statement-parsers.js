@@ -0,0 +1,440 @@
+/**
+ * Statement parsers
+ * Pure parsing helpers for bank statement files (CSV, OFX, QIF). Every parser
+ * produces the same normalized record shape so the import pipeline does not
+ * care where a row came from:
+ *   { date: 'YYYY-MM-DD', amount: signed number, description, category?, externalId? }
+ */
+
+export const STATEMENT_FORMATS = {
+  CSV: 'csv',
+  OFX: 'ofx',
+  QIF: 'qif',
+};
+
+export const DATE_PATTERNS = {
+  ISO: 'YYYY-MM-DD',
+  DMY_DOT: 'DD.MM.YYYY',
+  DMY_SLASH: 'DD/MM/YYYY',
+  MDY_SLASH: 'MM/DD/YYYY',
+  COMPACT: 'YYYYMMDD',
+};
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+// Header keywords used to guess the column mapping of an unknown bank export
+const COLUMN_KEYWORDS = {
+  date: ['date', 'posted', 'booking', 'value date', 'дата'],
+  amount: ['amount', 'sum', 'value', 'сума'],
+  debit: ['debit', 'withdrawal', 'paid out', 'дебит'],
+  credit: ['credit', 'deposit', 'paid in', 'кредит'],
+  description: [
+    'description',
+    'details',
+    'payee',
+    'merchant',
+    'narrative',
+    'memo',
+    'описание',
+    'основание',
+  ],
+  category: ['category', 'категория'],
+};
+
+const pad = value => String(value).padStart(2, '0');
+
+const buildDateKey = (year, month, day) => {
+  const y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  if (!y || m < 1 || m > 12 || d < 1 || d > 31) return null;
+  const fullYear = y < 100 ? 2000 + y : y;
+  // Reject impossible dates such as 31 February
+  const check = new Date(fullYear, m - 1, d);
+  if (check.getMonth() !== m - 1) return null;
+  return `${fullYear}-${pad(m)}-${pad(d)}`;
+};
+
+/**
+ * Detect the format of a statement file from its name and contents
+ * @param {string} fileName - Original file name
+ * @param {string} text - File contents
+ * @returns {string} One of STATEMENT_FORMATS
+ */
+export const detectStatementFormat = (fileName = '', text = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'ofx' || extension === 'qfx') return STATEMENT_FORMATS.OFX;
+  if (extension === 'qif') return STATEMENT_FORMATS.QIF;
+
+  const head = text.slice(0, 500).trim();
+  if (/<OFX>|OFXHEADER/i.test(head)) return STATEMENT_FORMATS.OFX;
+  if (/^!Type:/i.test(head)) return STATEMENT_FORMATS.QIF;
+  return STATEMENT_FORMATS.CSV;
+};
+
+/**
+ * Pick the delimiter that splits the header line into the most columns
+ * @param {string} text - CSV contents
+ * @returns {string} Delimiter character
+ */
+export const detectDelimiter = text => {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+  let best = ',';
+  let bestCount = 0;
+  CSV_DELIMITERS.forEach(delimiter => {
+    const count = splitCsvLine(firstLine, delimiter).length;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+const splitCsvLine = (line, delimiter) => {
+  const cells = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+/**
+ * Parse CSV text into a header row and data rows
+ * @param {string} text - CSV contents
+ * @param {string} [delimiter] - Delimiter (detected when omitted)
+ * @returns {{ delimiter: string, headers: Array<string>, rows: Array<Array<string>> }}
+ */
+export const parseCsv = (text, delimiter) => {
+  const clean = text.replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(clean);
+
+  // Join physical lines that belong to a quoted multi-line cell
+  const lines = [];
+  let buffer = '';
+  clean.split(/\r?\n/).forEach(line => {
+    buffer = buffer ? `${buffer}\n${line}` : line;
+    const quotes = (buffer.match(/"/g) || []).length;
+    if (quotes % 2 === 0) {
+      lines.push(buffer);
+      buffer = '';
+    }
+  });
+  if (buffer) lines.push(buffer);
+
+  const [headerLine, ...dataLines] = lines.filter(line => line.trim());
+  if (!headerLine) return { delimiter: separator, headers: [], rows: [] };
+
+  return {
+    delimiter: separator,
+    headers: splitCsvLine(headerLine, separator),
+    rows: dataLines.map(line => splitCsvLine(line, separator)),
+  };
+};
+
+/**
+ * Guess which CSV column holds which field based on header names
+ * @param {Array<string>} headers - CSV header row
+ * @returns {Object} Mapping of field name to header name (or null)
+ */
+export const guessColumnMapping = headers => {
+  const mapping = {
+    date: null,
+    amount: null,
+    debit: null,
+    credit: null,
+    description: null,
+    category: null,
+  };
+  const used = new Set();
+
+  Object.keys(mapping).forEach(field => {
+    const match = headers.find(
+      header =>
+        !used.has(header) &&
+        COLUMN_KEYWORDS[field].some(keyword =>
+          header.toLowerCase().includes(keyword)
+        )
+    );
+    if (match) {
+      mapping[field] = match;
+      used.add(match);
+    }
+  });
+
+  // A single signed amount column wins over separate debit/credit columns
+  if (mapping.amount) {
+    mapping.debit = null;
+    mapping.credit = null;
+  }
+  return mapping;
+};
+
+/**
+ * Detect the date layout used by a set of sample values
+ * @param {Array<string>} values - Raw date strings
+ * @returns {string} One of DATE_PATTERNS
+ */
+export const detectDateFormat = values => {
+  // QIF pads day and month with spaces (D1/ 5'26)
+  const samples = values
+    .map(v => String(v || '').replace(/\s+/g, ''))
+    .filter(Boolean);
+  if (samples.length === 0) return DATE_PATTERNS.ISO;
+
+  if (samples.every(v => /^\d{4}-\d{1,2}-\d{1,2}/.test(v))) {
+    return DATE_PATTERNS.ISO;
+  }
+  if (samples.every(v => /^\d{8}/.test(v))) return DATE_PATTERNS.COMPACT;
+  if (samples.every(v => /^\d{1,2}\.\d{1,2}\.\d{2,4}/.test(v))) {
+    return DATE_PATTERNS.DMY_DOT;
+  }
+
+  // Slash dates are ambiguous; any part above 12 settles the order
+  const parts = samples
+    .map(v => v.split(/[/']/))
+    .filter(p => p.length >= 3)
+    .map(p => [Number(p[0]), Number(p[1])]);
+  if (parts.some(([, second]) => second > 12)) return DATE_PATTERNS.MDY_SLASH;
+  return DATE_PATTERNS.DMY_SLASH;
+};
+
+/**
+ * Parse a raw date string with a known layout
+ * @param {string} value - Raw date string
+ * @param {string} format - One of DATE_PATTERNS
+ * @returns {string|null} Date key (YYYY-MM-DD) or null when invalid
+ */
+export const parseStatementDate = (value, format) => {
+  const raw = String(value || '').replace(/\s+/g, '');
+  if (!raw) return null;
+
+  if (format === DATE_PATTERNS.COMPACT) {
+    return buildDateKey(raw.slice(0, 4), raw.slice(4, 6), raw.slice(6, 8));
+  }
+  if (format === DATE_PATTERNS.ISO) {
+    const [y, m, d] = raw.slice(0, 10).split('-');
+    return buildDateKey(y, m, d);
+  }
+
+  const [first, second, third] = raw.split(/[./'-]/);
+  if (!third) return null;
+  const year = third.slice(0, 4);
+  return format === DATE_PATTERNS.MDY_SLASH
+    ? buildDateKey(year, first, second)
+    : buildDateKey(year, second, first);
+};
+
+/**
+ * Detect whether amounts use a comma or a dot as the decimal separator
+ * @param {Array<string>} values - Raw amount strings
+ * @returns {string} '.' or ','
+ */
+export const detectDecimalSeparator = values => {
+  let commaVotes = 0;
+  let dotVotes = 0;
+  values.forEach(value => {
+    const raw = String(value || '').replace(/[^\d.,]/g, '');
+    const lastComma = raw.lastIndexOf(',');
+    const lastDot = raw.lastIndexOf('.');
+    if (lastComma === -1 && lastDot === -1) return;
+    // The right-most separator followed by 1-2 digits is the decimal mark
+    if (lastComma > lastDot && raw.length - lastComma - 1 <= 2) commaVotes++;
+    else if (lastDot > lastComma && raw.length - lastDot - 1 <= 2) dotVotes++;
+  });
+  return commaVotes > dotVotes ? ',' : '.';
+};
+
+/**
+ * Parse a raw amount string into a signed number
+ * Handles currency symbols, thousands separators, trailing minus signs and
+ * accounting-style parentheses for negatives.
+ * @param {string|number} value - Raw amount
+ * @param {string} [decimalSeparator='.'] - '.' or ','
+ * @returns {number} Parsed amount (NaN when unparseable)
+ */
+export const parseStatementAmount = (value, decimalSeparator = '.') => {
+  if (typeof value === 'number') return value;
+  let raw = String(value || '').trim();
+  if (!raw) return NaN;
+
+  // Drop currency codes, symbols and spaces first so 'EUR -12.50' and
+  // '12.50 EUR-' keep their sign
+  raw = raw.replace(/[^\d.,()\-\u2212]/g, '');
+  const negative =
+    /^\(.*\)$/.test(raw) || /^\D*[-\u2212]|[-\u2212]\D*$/.test(raw);
+  raw = raw.replace(/[^\d.,]/g, '');
+
+  const thousands = decimalSeparator === ',' ? '.' : ',';
+  raw = raw.split(thousands).join('').replace(decimalSeparator, '.');
+
+  const amount = parseFloat(raw);
+  if (Number.isNaN(amount)) return NaN;
+  return negative ? -amount : amount;
+};
+
+/**
+ * Convert CSV rows into normalized records using a column mapping
+ * @param {Object} parsed - Result of parseCsv()
+ * @param {Object} mapping - Column mapping plus dateFormat and decimalSeparator
+ * @returns {Array<Object>} Normalized records (invalid rows are skipped)
+ */
+export const csvRowsToRecords = (parsed, mapping) => {
+  const indexOf = header => (header ? parsed.headers.indexOf(header) : -1);
+  const columns = {
+    date: indexOf(mapping.date),
+    amount: indexOf(mapping.amount),
+    debit: indexOf(mapping.debit),
+    credit: indexOf(mapping.credit),
+    description: indexOf(mapping.description),
+    category: indexOf(mapping.category),
+  };
+  const cell = (row, field) => (columns[field] >= 0 ? row[columns[field]] : '');
+
+  return parsed.rows
+    .map(row => {
+      const date = parseStatementDate(cell(row, 'date'), mapping.dateFormat);
+      let amount;
+      if (columns.amount >= 0) {
+        amount = parseStatementAmount(
+          cell(row, 'amount'),
+          mapping.decimalSeparator
+        );
+      } else {
+        const debit = parseStatementAmount(
+          cell(row, 'debit'),
+          mapping.decimalSeparator
+        );
+        const credit = parseStatementAmount(
+          cell(row, 'credit'),
+          mapping.decimalSeparator
+        );
+        amount =
+          (Number.isNaN(credit) ? 0 : Math.abs(credit)) -
+          (Number.isNaN(debit) ? 0 : Math.abs(debit));
+      }
+
+      if (!date || Number.isNaN(amount) || amount === 0) return null;
+      return {
+        date,
+        amount,
+        description: cell(row, 'description') || '',
+        category: cell(row, 'category') || null,
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Parse an OFX/QFX statement (SGML 1.x or XML 2.x)
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Normalized records
+ */
+export const parseOfx = text => {
+  const blocks = text.match(
+    /<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi
+  );
+  if (!blocks) return [];
+
+  const field = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+  };
+
+  return blocks
+    .map(block => {
+      const date = parseStatementDate(
+        field(block, 'DTPOSTED'),
+        DATE_PATTERNS.COMPACT
+      );
+      const amount = parseStatementAmount(field(block, 'TRNAMT'), '.');
+      if (!date || Number.isNaN(amount) || amount === 0) return null;
+
+      const name = field(block, 'NAME');
+      const memo = field(block, 'MEMO');
+      return {
+        date,
+        amount,
+        description: [name, memo].filter(Boolean).join(' - '),
+        category: null,
+        externalId: field(block, 'FITID') || null,
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Parse a QIF statement
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Normalized records
+ */
+export const parseQif = text => {
+  const entries = [];
+  let current = {};
+
+  text.split(/\r?\n/).forEach(line => {
+    const code = line.charAt(0);
+    const value = line.slice(1).trim();
+    switch (code) {
+      case 'D':
+        current.rawDate = value;
+        break;
+      case 'T':
+      case 'U':
+        current.rawAmount = value;
+        break;
+      case 'P':
+        current.payee = value;
+        break;
+      case 'M':
+        current.memo = value;
+        break;
+      case 'L':
+        // Transfers are written as [Account Name]; those are not categories
+        if (!value.startsWith('[')) current.category = value.split(':')[0];
+        break;
+      case '^':
+        entries.push(current);
+        current = {};
+        break;
+      default:
+        break;
+    }
+  });
+
+  const dateFormat = detectDateFormat(entries.map(e => e.rawDate));
+  return entries
+    .map(entry => {
+      const date = parseStatementDate(entry.rawDate, dateFormat);
+      const amount = parseStatementAmount(entry.rawAmount, '.');
+      if (!date || Number.isNaN(amount) || amount === 0) return null;
+      return {
+        date,
+        amount,
+        description: [entry.payee, entry.memo].filter(Boolean).join(' - '),
+        category: entry.category || null,
+      };
+    })
+    .filter(Boolean);
+};
@@ -0,0 +1,162 @@
+/**
+ * Sync chunk utilities
+ * Pure helpers for the chunked cloud format: large record collections
+ * (transactions) are stored as one document per month instead of a single
+ * document, so only the months that changed are uploaded.
+ */
+
+import { stableStringify } from './backup-utils.js';
+import { crc32 } from './zip-utils.js';
+
+export const UNDATED_CHUNK = 'undated';
+
+const MONTH_PATTERN = /^\d{4}-\d{2}/;
+
+/**
+ * Chunk (month) a record is stored in
+ * @param {Object} record - Record with timestamp, date or createdAt
+ * @returns {string} YYYY-MM, or UNDATED_CHUNK
+ */
+export const getChunkId = record => {
+  const value = String(
+    record?.timestamp || record?.date || record?.createdAt || ''
+  );
+  return MONTH_PATTERN.test(value) ? value.slice(0, 7) : UNDATED_CHUNK;
+};
+
+/**
+ * Group records by chunk
+ * @param {Array<Object>} records - Records
+ * @returns {Map<string, Array<Object>>} Chunk ID to records
+ */
+export const groupIntoChunks = records => {
+  const chunks = new Map();
+  (records || []).forEach(record => {
+    if (!record?.id) return;
+    const chunkId = getChunkId(record);
+    if (!chunks.has(chunkId)) chunks.set(chunkId, []);
+    chunks.get(chunkId).push(record);
+  });
+  return chunks;
+};
+
+/**
+ * Content hash of a chunk, independent of record and key order
+ * @param {Array<Object>} records - Records in the chunk
+ * @returns {string} Hash
+ */
+export const hashChunk = records => {
+  const sorted = [...(records || [])].sort((a, b) =>
+    String(a.id).localeCompare(String(b.id))
+  );
+  const bytes = new TextEncoder().encode(stableStringify(sorted));
+  return `${sorted.length}:${crc32(bytes).toString(16)}`;
+};
+
+/**
+ * Find the chunks whose content differs from the last synced hashes.
+ * Chunks that became empty are included so their cloud copy is cleared.
+ * @param {Array<Object>} records - All local records
+ * @param {Object} syncedHashes - Chunk ID to hash from the last sync
+ * @returns {Map<string, Array<Object>>} Changed chunk ID to records
+ */
+export const findChangedChunks = (records, syncedHashes) => {
+  const chunks = groupIntoChunks(records);
+  Object.keys(syncedHashes || {}).forEach(chunkId => {
+    if (!chunks.has(chunkId)) chunks.set(chunkId, []);
+  });
+
+  const changed = new Map();
+  chunks.forEach((items, chunkId) => {
+    if (hashChunk(items) !== syncedHashes?.[chunkId]) {
+      changed.set(chunkId, items);
+    }
+  });
+  return changed;
+};
+
+const updatedAtMs = record => {
+  const time = Date.parse(record?.updatedAt || record?.createdAt || '');
+  return isNaN(time) ? 0 : time;
+};
+
+/**
+ * Apply cloud chunks to local records. Each chunk replaces the local records
+ * of its month through `merge`; other months are left as they are. Local
+ * records updated after a chunk was written are kept even when the chunk
+ * lacks them: the device that wrote it can't have deleted them.
+ * @param {Array<Object>} localRecords - Local records
+ * @param {Array<{id: string, items: Array<Object>, syncedAt: number}>} chunks - Cloud chunks
+ * @param {Function} merge - (localItems, cloudItems) => merged items
+ * @returns {Array<Object>} Merged records
+ */
+export const applyChunks = (localRecords, chunks, merge) => {
+  const local = localRecords || [];
+  const incoming = new Map(chunks.map(chunk => [chunk.id, chunk]));
+  const kept = local.filter(record => !incoming.has(getChunkId(record)));
+
+  const merged = [];
+  incoming.forEach((chunk, chunkId) => {
+    const localItems = local.filter(record => getChunkId(record) === chunkId);
+    const mergedItems = merge(localItems, chunk.items || []);
+    const mergedIds = new Set(mergedItems.map(record => record?.id));
+    const unseen = localItems.filter(
+      record =>
+        record?.id &&
+        !mergedIds.has(record.id) &&
+        updatedAtMs(record) > (chunk.syncedAt || 0)
+    );
+    merged.push(...mergedItems, ...unseen);
+  });
+
+  // A record moved to another month can briefly exist in two chunks;
+  // the most recently updated copy wins, the cloud one on a tie
+  const mergedById = new Map();
+  merged.forEach(record => {
+    const other = mergedById.get(record?.id);
+    if (!other || updatedAtMs(record) > updatedAtMs(other)) {
+      mergedById.set(record?.id, record);
+    }
+  });
+  const movedHere = new Set();
+  kept.forEach(record => {
+    const other = record?.id && mergedById.get(record.id);
+    if (other && updatedAtMs(record) > updatedAtMs(other)) {
+      movedHere.add(other);
+    }
+  });
+
+  return [
+    ...kept.filter(
+      record =>
+        !record?.id ||
+        !mergedById.has(record.id) ||
+        movedHere.has(mergedById.get(record.id))
+    ),
+    ...merged.filter(
+      record =>
+        (!record?.id || mergedById.get(record.id) === record) &&
+        !movedHere.has(record)
+    ),
+  ];
+};
+
+/**
+ * Union of two record lists by ID; the most recently updated copy wins.
+ * Used once when moving a legacy single document to chunks, so records
+ * that only exist on this device are kept.
+ * @param {Array<Object>} localRecords - Records on this device
+ * @param {Array<Object>} cloudRecords - Records from the legacy document
+ * @returns {Array<Object>} Combined records
+ */
+export const unionRecordsById = (localRecords, cloudRecords) => {
+  const byId = new Map();
+  [...(cloudRecords || []), ...(localRecords || [])].forEach(record => {
+    if (!record?.id) return;
+    const existing = byId.get(record.id);
+    if (!existing || updatedAtMs(record) >= updatedAtMs(existing)) {
+      byId.set(record.id, record);
+    }
+  });
+  return [...byId.values()];
+};
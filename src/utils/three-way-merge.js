@@ -0,0 +1,96 @@
+/**
+ * Three-way merge utilities
+ * Field-level merging of a record edited on two devices. The last version
+ * both sides agreed on (the "base") tells which side changed a field: edits
+ * to different fields are combined, and only a field changed differently on
+ * both sides is a real collision that needs the user.
+ */
+
+import { STORAGE_KEYS } from './constants.js';
+import { stableStringify } from './backup-utils.js';
+import { crc32 } from './zip-utils.js';
+
+/**
+ * Fields merged individually per data type. Other fields of these records,
+ * and records of other data types, keep last-write-wins.
+ */
+export const MERGE_FIELDS = {
+  [STORAGE_KEYS.TRANSACTIONS]: [
+    'amount',
+    'category',
+    'description',
+    'tags',
+    'accountId',
+  ],
+};
+
+const sameValue = (a, b) => stableStringify(a) === stableStringify(b);
+
+const hashValue = value =>
+  crc32(new TextEncoder().encode(stableStringify(value) ?? '')).toString(36);
+
+/**
+ * Fingerprint of a record's merge fields, stored as its base version. It
+ * holds one hash per field, enough to tell which field changed without
+ * keeping a second copy of the values.
+ * @param {Object} record - Record
+ * @param {Array<string>} fields - Field names
+ * @returns {string} Field hashes joined with '.'
+ */
+export const fingerprintMergeFields = (record, fields) =>
+  fields.map(field => hashValue(record?.[field])).join('.');
+
+/**
+ * Merge the fields of two versions of a record against their base
+ * @param {string|null} base - fingerprintMergeFields() at the last sync,
+ *   null when unknown
+ * @param {Object} local - Version on this device
+ * @param {Object} cloud - Version in the cloud
+ * @param {Array<string>} fields - Fields to merge
+ * @returns {{values: Object, collisions: Array<{field: string, local: *, cloud: *}>}}
+ *   values: merged value per field without a collision
+ */
+export const mergeRecordFields = (base, local, cloud, fields) => {
+  const values = {};
+  const collisions = [];
+  // A fingerprint taken with another field list can't be matched up
+  const baseHashes = typeof base === 'string' ? base.split('.') : null;
+  const hasBase = baseHashes?.length === fields.length;
+
+  fields.forEach((field, index) => {
+    const localValue = local?.[field];
+    const cloudValue = cloud?.[field];
+    if (sameValue(localValue, cloudValue)) {
+      values[field] = localValue;
+      return;
+    }
+    if (hasBase) {
+      if (hashValue(localValue) === baseHashes[index]) {
+        values[field] = cloudValue;
+        return;
+      }
+      if (hashValue(cloudValue) === baseHashes[index]) {
+        values[field] = localValue;
+        return;
+      }
+    }
+    collisions.push({ field, local: localValue, cloud: cloudValue });
+  });
+
+  return { values, collisions };
+};
+
+/**
+ * Write field values onto a record, removing fields whose value is undefined
+ * @param {Object} record - Record to start from
+ * @param {Object} values - Field values
+ * @returns {Object} New record
+ */
+export const applyFieldValues = (record, values) => {
+  const next = { ...record };
+  Object.entries(values).forEach(([field, value]) => {
+    if (value === undefined) delete next[field];
+    else next[field] = value;
+  });
+  return next;
+};
@@ -0,0 +1,124 @@
+/**
+ * Tombstone utilities
+ * Pure helpers for deletion tombstones. A tombstone ({ dataType, id,
+ * deletedAt, deviceId }) records that a record was deleted, so a device that
+ * still has the record removes it instead of treating it as an offline
+ * addition. Restoring a record from a backup stamps its tombstone with
+ * `revivedAt`, which disarms it without losing track of the deletion.
+ */
+
+/**
+ * Days a tombstone is kept. A device offline for longer than this may bring
+ * a deleted record back.
+ */
+export const TOMBSTONE_RETENTION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toMillis = value => {
+  if (value === null || value === undefined) return 0;
+  const n = typeof value === 'number' ? value : Date.parse(value);
+  return isNaN(n) ? 0 : n;
+};
+
+const lastChange = tombstone =>
+  Math.max(toMillis(tombstone.deletedAt), toMillis(tombstone.revivedAt));
+
+const tombstoneKey = tombstone => `${tombstone.dataType}:${tombstone.id}`;
+
+/**
+ * Last modification time of a record, whichever timestamp field it uses
+ * @param {Object} record - Synced record
+ * @returns {number} Milliseconds, 0 when the record has no timestamp
+ */
+export const getRecordTime = record => {
+  if (!record) return 0;
+  return toMillis(
+    record.updatedAt ||
+      record.updatedDate ||
+      record.updated ||
+      record.ts ||
+      record.lastModified
+  );
+};
+
+/**
+ * Whether a tombstone still deletes its record (it was not revived since)
+ * @param {Object} tombstone - Tombstone
+ * @returns {boolean}
+ */
+export const isActiveTombstone = tombstone =>
+  toMillis(tombstone?.deletedAt) > toMillis(tombstone?.revivedAt);
+
+/**
+ * Union of tombstone lists; per record the most recent deletion or revival
+ * wins, later lists on a tie. Sorted oldest first so lists from different
+ * devices compare equal.
+ * @param {...Array<Object>} lists - Tombstone lists
+ * @returns {Array<Object>} Merged tombstones
+ */
+export const mergeTombstones = (...lists) => {
+  const byKey = new Map();
+  lists.flat().forEach(tombstone => {
+    if (!tombstone?.dataType || !tombstone.id) return;
+    const key = tombstoneKey(tombstone);
+    const current = byKey.get(key);
+    if (!current || lastChange(tombstone) >= lastChange(current)) {
+      byKey.set(key, tombstone);
+    }
+  });
+  return [...byKey.values()].sort(
+    (a, b) =>
+      lastChange(a) - lastChange(b) ||
+      tombstoneKey(a).localeCompare(tombstoneKey(b))
+  );
+};
+
+/**
+ * Drop tombstones older than the retention window
+ * @param {Array<Object>} tombstones - Tombstones
+ * @param {number} now - Current time in milliseconds
+ * @param {number} [retentionDays] - Defaults to TOMBSTONE_RETENTION_DAYS
+ * @returns {Array<Object>} Tombstones still within the window
+ */
+export const pruneTombstones = (tombstones, now, retentionDays) => {
+  const maxAge = (retentionDays ?? TOMBSTONE_RETENTION_DAYS) * DAY_MS;
+  return tombstones.filter(tombstone => now - lastChange(tombstone) < maxAge);
+};
+
+/**
+ * Active deletions of one data type
+ * @param {Array<Object>} tombstones - Tombstones
+ * @param {string} dataType - Storage key of the collection
+ * @returns {Map<string, number>} Record ID to deletion time in milliseconds
+ */
+export const indexTombstones = (tombstones, dataType) => {
+  const deleted = new Map();
+  (tombstones || []).forEach(tombstone => {
+    if (tombstone?.dataType === dataType && isActiveTombstone(tombstone)) {
+      deleted.set(tombstone.id, toMillis(tombstone.deletedAt));
+    }
+  });
+  return deleted;
+};
+
+/**
+ * Whether a record is deleted. A record edited after its deletion (on a
+ * device that hadn't seen it yet) survives: the edit is the newer write.
+ * @param {Map<string, number>} deleted - From indexTombstones()
+ * @param {Object} record - Record to check
+ * @returns {boolean}
+ */
+export const isTombstoned = (deleted, record) => {
+  if (!record?.id || !deleted?.has(record.id)) return false;
+  return deleted.get(record.id) >= getRecordTime(record);
+};
+
+/**
+ * Remove deleted records
+ * @param {Array<Object>} records - Records
+ * @param {Map<string, number>} deleted - From indexTombstones()
+ * @returns {Array<Object>} Records without a tombstone
+ */
+export const dropTombstoned = (records, deleted) =>
+  (records || []).filter(record => !isTombstoned(deleted, record));
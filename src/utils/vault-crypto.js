@@ -0,0 +1,178 @@
+/**
+ * Vault crypto utilities
+ * WebCrypto helpers for the encrypted vault and end-to-end encrypted sync.
+ * Data is encrypted with a random AES-GCM data key; the vault stores it
+ * wrapped (AES-GCM) under a key derived from the passphrase with PBKDF2, so
+ * changing the passphrase only re-wraps the data key. Binary values are
+ * stored as base64 strings.
+ */
+
+export const VAULT_KDF = {
+  name: 'PBKDF2',
+  hash: 'SHA-256',
+  iterations: 310000,
+};
+
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+
+export const toBase64 = bytes => {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+export const fromBase64 = text =>
+  Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const randomBytes = length => crypto.getRandomValues(new Uint8Array(length));
+
+/**
+ * Whether this browser can run the vault
+ * @returns {boolean}
+ */
+export const isVaultCryptoSupported = () =>
+  typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+
+/**
+ * Key-encryption key for a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Object} kdf - { salt (base64), iterations, hash }
+ * @returns {Promise<CryptoKey>}
+ */
+const deriveWrappingKey = async (passphrase, kdf) => {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      salt: fromBase64(kdf.salt),
+      iterations: kdf.iterations,
+      hash: kdf.hash,
+    },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+};
+
+/**
+ * New random data key. Extractable so it can be wrapped again.
+ * @returns {Promise<CryptoKey>}
+ */
+export const generateDataKey = () =>
+  crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, [
+    'encrypt',
+    'decrypt',
+  ]);
+
+/**
+ * @param {CryptoKey} dataKey - Extractable data key
+ * @returns {Promise<Uint8Array>} Raw key bytes
+ */
+export const exportRawKey = async dataKey =>
+  new Uint8Array(await crypto.subtle.exportKey('raw', dataKey));
+
+/**
+ * @param {Uint8Array} bytes - Raw AES-256 key bytes
+ * @returns {Promise<CryptoKey>} Extractable data key
+ */
+export const importRawKey = bytes =>
+  crypto.subtle.importKey('raw', bytes, { name: 'AES-GCM' }, true, [
+    'encrypt',
+    'decrypt',
+  ]);
+
+/**
+ * Short public identifier of a key, to tell which key encrypted a payload
+ * @param {Uint8Array} bytes - Raw key bytes
+ * @returns {Promise<string>} First 8 bytes of its SHA-256, as hex
+ */
+export const keyFingerprint = async bytes => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return [...digest.slice(0, 8)]
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Wrap a data key under a passphrase, with a fresh salt
+ * @param {CryptoKey} dataKey - Data key
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<{kdf: Object, wrappedKey: {iv: string, data: string}}>}
+ */
+export const wrapDataKey = async (dataKey, passphrase) => {
+  const kdf = { ...VAULT_KDF, salt: toBase64(randomBytes(SALT_BYTES)) };
+  const wrappingKey = await deriveWrappingKey(passphrase, kdf);
+  const iv = randomBytes(IV_BYTES);
+  const wrapped = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, {
+    name: 'AES-GCM',
+    iv,
+  });
+  return {
+    kdf,
+    wrappedKey: { iv: toBase64(iv), data: toBase64(wrapped) },
+  };
+};
+
+/**
+ * Recover the data key; fails when the passphrase is wrong
+ * @param {Object} vault - { kdf, wrappedKey } from wrapDataKey()
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<CryptoKey>}
+ * @throws {Error} 'Incorrect passphrase'
+ */
+export const unwrapDataKey = async ({ kdf, wrappedKey }, passphrase) => {
+  const wrappingKey = await deriveWrappingKey(passphrase, kdf);
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      fromBase64(wrappedKey.data),
+      wrappingKey,
+      { name: 'AES-GCM', iv: fromBase64(wrappedKey.iv) },
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  } catch {
+    // AES-GCM authentication fails on a key derived from the wrong passphrase
+    throw new Error('Incorrect passphrase');
+  }
+};
+
+/**
+ * @param {CryptoKey} key - Data key
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<{iv: string, data: string}>}
+ */
+export const encryptJson = async (key, value) => {
+  const iv = randomBytes(IV_BYTES);
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value ?? null))
+  );
+  return { iv: toBase64(iv), data: toBase64(data) };
+};
+
+/**
+ * @param {CryptoKey} key - Data key
+ * @param {{iv: string, data: string}} envelope - From encryptJson()
+ * @returns {Promise<*>} Decrypted value
+ */
+export const decryptJson = async (key, envelope) => {
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+    key,
+    fromBase64(envelope.data)
+  );
+  return JSON.parse(new TextDecoder().decode(plain));
+};
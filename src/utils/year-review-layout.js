@@ -0,0 +1,195 @@
+/**
+ * Year in review layout
+ * Draws a recap from YearReviewService.build() onto A4 pages for the image
+ * and PDF exports.
+ */
+
+import { formatMoney } from './money-format.js';
+import { formatDateForDisplay } from './date-utils.js';
+import { PageWriter, PRINT_COLORS, loadChartImages } from './page-canvas.js';
+
+const { INK, INCOME, EXPENSE } = PRINT_COLORS;
+
+const percent = value => `${Math.round(value || 0)}%`;
+
+const signedPercent = value =>
+  value === null ? 'new' : `${value > 0 ? '+' : ''}${Math.round(value)}%`;
+
+const days = count => `${count} ${count === 1 ? 'day' : 'days'}`;
+
+const drawTotals = (writer, review, money) => {
+  const { totals } = review;
+  writer.heading('The Year in Numbers');
+  writer.statBoxes([
+    { label: 'Income', value: money(totals.totalIncome), color: INCOME },
+    { label: 'Expenses', value: money(totals.totalExpenses), color: EXPENSE },
+    {
+      label: 'Net',
+      value: money(totals.netBalance),
+      color: totals.netBalance < 0 ? EXPENSE : INK,
+    },
+    { label: 'Saved', value: percent(totals.savingsRate) },
+  ]);
+  if (review.expenseChange.comparison > 0) {
+    writer.note(
+      `Spending ${signedPercent(review.expenseChange.changePercent)} compared with ${review.year - 1}.`
+    );
+  }
+};
+
+const drawMonths = (writer, review, money) => {
+  writer.heading('Month by Month');
+  writer.table(
+    [
+      { label: 'Month', width: 0.25 },
+      { label: 'Income', width: 0.25, align: 'right' },
+      { label: 'Expenses', width: 0.25, align: 'right' },
+      { label: 'Net', width: 0.25, align: 'right' },
+    ],
+    review.months.map(m => [
+      m.label,
+      money(m.income),
+      money(m.expenses),
+      { text: money(m.net), color: m.net < 0 ? EXPENSE : INK },
+    ])
+  );
+  if (review.bestMonth) {
+    writer.note(
+      `Best month: ${review.bestMonth.label}, with ${money(review.bestMonth.net)} left over.`
+    );
+  }
+};
+
+const drawCategories = (writer, review, money) => {
+  writer.heading('Biggest Categories');
+  if (review.categories.length === 0) {
+    writer.note('No spending recorded this year.');
+    return;
+  }
+  writer.table(
+    [
+      { label: 'Category', width: 0.4 },
+      { label: String(review.year), width: 0.2, align: 'right' },
+      { label: String(review.year - 1), width: 0.2, align: 'right' },
+      { label: 'Change', width: 0.2, align: 'right' },
+    ],
+    review.categories.map(c => [
+      c.category,
+      money(c.current),
+      c.comparison > 0 ? money(c.comparison) : '—',
+      {
+        text: signedPercent(c.changePercent),
+        color: c.change > 0 ? EXPENSE : INCOME,
+      },
+    ])
+  );
+};
+
+const drawInflation = (writer, review) => {
+  const { inflation } = review;
+  writer.heading('Personal Inflation');
+  if (!inflation.overallRate) {
+    writer.note('Not enough repeat spending to measure price changes.');
+    return;
+  }
+  writer.note(
+    `Your personal inflation rate was ${inflation.overallRate}% over the year.`
+  );
+  if (inflation.topDrivers.length > 0) {
+    writer.table(
+      [
+        { label: 'Main driver', width: 0.6 },
+        { label: 'Price change', width: 0.4, align: 'right' },
+      ],
+      inflation.topDrivers.map(d => [d.category, `+${d.rate}%`])
+    );
+  }
+};
+
+const drawGoals = (writer, review, money) => {
+  writer.heading('Goals Reached');
+  if (review.goalsReached.length === 0) {
+    writer.note('No goals reached this year.');
+    return;
+  }
+  writer.table(
+    [
+      { label: 'Goal', width: 0.5 },
+      { label: 'Target', width: 0.25, align: 'right' },
+      { label: 'Reached', width: 0.25, align: 'right' },
+    ],
+    review.goalsReached.map(g => [
+      g.name,
+      money(g.targetAmount),
+      formatDateForDisplay(g.completedDate),
+    ])
+  );
+};
+
+const drawPurchases = (writer, review, money) => {
+  writer.heading('Largest Purchases');
+  if (review.largestPurchases.length === 0) {
+    writer.note('No purchases recorded this year.');
+    return;
+  }
+  writer.table(
+    [
+      { label: 'Date', width: 0.18 },
+      { label: 'Category', width: 0.24 },
+      { label: 'Description', width: 0.36 },
+      { label: 'Amount', width: 0.22, align: 'right' },
+    ],
+    review.largestPurchases.map(p => [
+      formatDateForDisplay(p.date),
+      p.category,
+      p.description,
+      money(p.amount),
+    ])
+  );
+};
+
+const drawStreaks = (writer, review) => {
+  const { streaks } = review;
+  writer.heading('Logging Habit');
+  writer.statBoxes([
+    { label: 'Days logged', value: String(streaks.activeDays) },
+    { label: 'Longest streak', value: days(streaks.longestStreak) },
+    { label: 'Current streak', value: days(streaks.currentStreak) },
+    {
+      label: 'Clicks per entry',
+      value: streaks.trackedEntries ? String(streaks.averageClicks) : '—',
+    },
+  ]);
+};
+
+/**
+ * Render a year in review onto A4 canvases
+ * @param {Object} review - Result of YearReviewService.build()
+ * @param {Array<{title: string, src: string}>} charts - Chart images as
+ *   data URLs
+ * @returns {Promise<HTMLCanvasElement[]>} One canvas per page
+ */
+export const renderYearReviewPages = async (review, charts) => {
+  const images = await loadChartImages(charts);
+  const money = amount => formatMoney(amount, { currency: review.currency });
+  const title = `${review.year} in Review`;
+
+  const writer = new PageWriter(`BlinkBudget · ${title}`);
+  writer.titleBlock(title, [
+    `January – December ${review.year}`,
+    `Generated ${formatDateForDisplay(new Date())} · Amounts in ${review.currency}`,
+  ]);
+
+  drawTotals(writer, review, money);
+  images.forEach(({ title: chartTitle, image }) =>
+    writer.image(image, chartTitle)
+  );
+  drawMonths(writer, review, money);
+  drawCategories(writer, review, money);
+  drawInflation(writer, review);
+  drawGoals(writer, review, money);
+  drawPurchases(writer, review, money);
+  drawStreaks(writer, review);
+
+  return writer.finish();
+};
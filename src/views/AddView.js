@@ -11,6 +11,7 @@ import {
 } from '../utils/constants.js';
 import { createButton } from '../utils/dom-factory.js';
 import { markTransactionForHighlight } from '../utils/success-feedback.js';
+import { saveAttachmentFiles } from '../utils/form-utils/attachments.js';
 
 export const AddView = ({ accountId, amount } = {}) => {
   // Start tracking the transaction flow
@@ -74,7 +75,7 @@ export const AddView = ({ accountId, amount } = {}) => {
     initialValues: { accountId, amount },
     externalDateInput: dateInput,
     showCancelButton: true, // Add cancel button to the form
-    onSubmit: data => {
+    onSubmit: ({ attachmentFiles = [], ...data }) => {
       // Record the final click (submit action)
       ClickTracker.recordClick();
 
@@ -95,6 +96,7 @@ export const AddView = ({ accountId, amount } = {}) => {
 
       // Add the transaction and get the full transaction object
       const newTransaction = TransactionService.add(data);
+      saveAttachmentFiles(newTransaction.id, attachmentFiles);
 
       // Mark transaction for highlighting in dashboard
       markTransactionForHighlight(newTransaction.id);
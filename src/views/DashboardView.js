@@ -8,14 +8,13 @@ import { AuthService } from '../core/auth-service.js';
 import { Router } from '../core/router.js';
 import { NavigationState } from '../core/navigation-state.js';
 import { SettingsService } from '../core/settings-service.js';
-import {
-  COLORS,
-  CURRENCY_SYMBOL,
-  SPACING,
-  STORAGE_KEYS,
-} from '../utils/constants.js';
+import { CurrencyService } from '../core/currency-service.js';
+import { COLORS, SPACING, STORAGE_KEYS } from '../utils/constants.js';
+import { formatMoney } from '../utils/money-format.js';
 import { getAnalyticsEngine } from '../core/analytics/AnalyticsInstance.js';
 import { AnomalyService } from '../core/analytics/AnomalyService.js';
+import { FilteringService } from '../core/analytics/FilteringService.js';
+import { parseSearchQuery } from '../utils/search-query.js';
 import { getCurrentMonthPeriod } from '../utils/reports-utils.js';
 
 import { getTransactionToHighlight } from '../utils/success-feedback.js';
@@ -35,6 +34,7 @@ export const setSelectedStyle = (item, isSelected) => {
 };
 import { createNavigationButtons } from '../utils/navigation-helper.js';
 import { BulkEditDialog } from '../components/BulkEditDialog.js';
+import { DashboardSearchBar } from '../components/DashboardSearchBar.js';
 
 // Track if we've already preloaded reports in this session
 let hasPreloadedReports = false;
@@ -237,6 +237,7 @@ export const DashboardView = (params = {}) => {
   let currentMonthFilter =
     sessionStorage.getItem(STORAGE_KEYS.DASHBOARD_MONTH_FILTER) || null;
   let currentTypeFilter = NavigationState.restoreDashboardTypeFilter() || null;
+  let currentSearchQuery = NavigationState.restoreDashboardSearch();
 
   let currentDateRangeFilter = null;
   const savedDateRange = sessionStorage.getItem('dashboard_date_range_filter');
@@ -326,10 +327,9 @@ export const DashboardView = (params = {}) => {
         if (t.type === 'income') return sum + amount;
         return sum;
       }, 0);
-      const sign = selectedSum > 0 ? '+' : selectedSum < 0 ? '-' : '';
       sumLabel.textContent =
         selectedTransactionIds.size > 0
-          ? `${sign}${CURRENCY_SYMBOL}${Math.abs(selectedSum).toFixed(2)}`
+          ? formatMoney(selectedSum, { signed: true })
           : '';
       sumLabel.style.color =
         selectedSum < 0
@@ -474,6 +474,15 @@ export const DashboardView = (params = {}) => {
 
   filterRow.appendChild(accountSelect);
   leftHeader.appendChild(filterRow);
+
+  const searchBar = DashboardSearchBar({
+    initialQuery: currentSearchQuery,
+    onSearch: query => {
+      currentSearchQuery = query;
+      renderDashboard();
+    },
+  });
+  leftHeader.appendChild(searchBar);
   header.appendChild(leftHeader);
   container.appendChild(header);
 
@@ -513,7 +522,7 @@ export const DashboardView = (params = {}) => {
     const currentAccounts = AccountService.getAccounts();
 
     // Apply filters (Account, Quick Date, Quick Month, Quick Category, Type)
-    const transactions = allTransactions
+    const quickFilteredTransactions = allTransactions
       .filter(t => {
         // Account Filter
         if (
@@ -572,6 +581,15 @@ export const DashboardView = (params = {}) => {
       })
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
+    // Search bar terms narrow the list further; ghosts stay visible as above
+    const transactions = FilteringService.applyFilters(
+      quickFilteredTransactions,
+      {
+        ...parseSearchQuery(currentSearchQuery, { accounts: currentAccounts }),
+        includeGhosts: true,
+      }
+    );
+
     const visibleTransactionIds = new Set(transactions.map(t => t.id));
     selectedTransactionIds = new Set(
       [...selectedTransactionIds].filter(id => visibleTransactionIds.has(id))
@@ -591,28 +609,33 @@ export const DashboardView = (params = {}) => {
       currentTagFilter !== null ||
       currentMonthFilter !== null ||
       currentDateRangeFilter !== null ||
-      currentTypeFilter !== null;
+      currentTypeFilter !== null ||
+      currentSearchQuery.trim() !== '';
 
-    // Calculate ALL TIME net worth for Total Available
+    // Calculate ALL TIME net worth for Total Available (in the base currency)
+    const converter = CurrencyService.createConverter();
     let allTimeIncome = 0;
     let allTimeExpense = 0;
 
     validTransactionsForStats.forEach(t => {
       if (currentAccountFilter === 'all') {
-        if (t.type === 'income') allTimeIncome += t.amount;
-        if (t.type === 'expense') allTimeExpense += t.amount;
-        if (t.type === 'refund') allTimeExpense -= t.amount;
+        if (t.type === 'income') allTimeIncome += converter.amount(t);
+        if (t.type === 'expense') allTimeExpense += converter.amount(t);
+        if (t.type === 'refund') allTimeExpense -= converter.amount(t);
       } else {
         const isSource = t.accountId === currentAccountFilter;
         const isDest = t.toAccountId === currentAccountFilter;
 
-        if (t.type === 'income' && isSource) allTimeIncome += t.amount;
-        if (t.type === 'expense' && isSource) allTimeExpense += t.amount;
-        if (t.type === 'refund' && isSource) allTimeExpense -= t.amount;
+        if (t.type === 'income' && isSource)
+          allTimeIncome += converter.amount(t);
+        if (t.type === 'expense' && isSource)
+          allTimeExpense += converter.amount(t);
+        if (t.type === 'refund' && isSource)
+          allTimeExpense -= converter.amount(t);
 
         if (t.type === 'transfer') {
-          if (isSource) allTimeExpense += t.amount;
-          if (isDest) allTimeIncome += t.amount;
+          if (isSource) allTimeExpense += converter.amount(t);
+          if (isDest) allTimeIncome += converter.destinationAmount(t);
         }
       }
     });
@@ -630,22 +653,25 @@ export const DashboardView = (params = {}) => {
           currentAccountFilter === 'all' ||
           t.accountId === currentAccountFilter;
 
-        if (t.type === 'income' && isSource) filteredIncome += t.amount;
-        if (t.type === 'expense' && isSource) filteredExpense += t.amount;
-        if (t.type === 'refund' && isSource) filteredExpense -= t.amount;
+        if (t.type === 'income' && isSource)
+          filteredIncome += converter.amount(t);
+        if (t.type === 'expense' && isSource)
+          filteredExpense += converter.amount(t);
+        if (t.type === 'refund' && isSource)
+          filteredExpense -= converter.amount(t);
 
         if (t.type === 'transfer') {
           if (
             t.accountId === currentAccountFilter ||
             currentAccountFilter === 'all'
           ) {
-            filteredExpense += t.amount;
+            filteredExpense += converter.amount(t);
           }
           if (
             t.toAccountId === currentAccountFilter ||
             currentAccountFilter === 'all'
           ) {
-            filteredIncome += t.amount;
+            filteredIncome += converter.destinationAmount(t);
           }
         }
       });
@@ -705,16 +731,18 @@ export const DashboardView = (params = {}) => {
 
     periodTransactions.forEach(t => {
       if (currentAccountFilter === 'all') {
-        if (t.type === 'expense') totalExpense += t.amount;
-        if (t.type === 'refund') totalExpense -= t.amount;
+        if (t.type === 'expense') totalExpense += converter.amount(t);
+        if (t.type === 'refund') totalExpense -= converter.amount(t);
       } else {
         const isSource = t.accountId === currentAccountFilter;
 
-        if (t.type === 'expense' && isSource) totalExpense += t.amount;
-        if (t.type === 'refund' && isSource) totalExpense -= t.amount;
+        if (t.type === 'expense' && isSource)
+          totalExpense += converter.amount(t);
+        if (t.type === 'refund' && isSource)
+          totalExpense -= converter.amount(t);
 
         if (t.type === 'transfer') {
-          if (isSource) totalExpense += t.amount;
+          if (isSource) totalExpense += converter.amount(t);
         }
       }
     });
@@ -1070,6 +1098,8 @@ export const DashboardView = (params = {}) => {
         currentTagFilter = null;
         currentMonthFilter = null;
         currentTypeFilter = null;
+        currentSearchQuery = '';
+        searchBar.setQuery('');
         sessionStorage.removeItem(STORAGE_KEYS.DASHBOARD_FILTER);
         sessionStorage.removeItem(STORAGE_KEYS.DASHBOARD_DATE_FILTER);
         sessionStorage.removeItem(STORAGE_KEYS.DASHBOARD_CATEGORY_FILTER);
@@ -1115,11 +1145,10 @@ export const DashboardView = (params = {}) => {
           return sum; // transfers don't contribute to the net
         }, 0);
         const sumLabel = document.createElement('span');
-        const sign = selectedSum > 0 ? '+' : selectedSum < 0 ? '-' : '';
         sumLabel.className = 'bulk-sum-label';
         sumLabel.textContent =
           selectedTransactionIds.size > 0
-            ? `${sign}${CURRENCY_SYMBOL}${Math.abs(selectedSum).toFixed(2)}`
+            ? formatMoney(selectedSum, { signed: true })
             : '';
         sumLabel.style.fontSize = 'var(--font-size-xs, 0.75rem)';
         sumLabel.style.color =
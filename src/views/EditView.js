@@ -1,6 +1,7 @@
 import { TransactionForm } from '../components/TransactionForm.js';
 import { DateInput } from '../components/DateInput.js';
 import { TransactionService } from '../core/transaction-service.js';
+import { RecurringService } from '../core/recurring-service.js';
 import { AuthService } from '../core/auth-service.js';
 import { Router } from '../core/router.js';
 import {
@@ -13,6 +14,7 @@ import {
 } from '../utils/constants.js';
 import { createButton } from '../utils/dom-factory.js';
 import { markTransactionForHighlight } from '../utils/success-feedback.js';
+import { saveAttachmentFiles } from '../utils/form-utils/attachments.js';
 
 export const EditView = ({ id }) => {
   const container = document.createElement('div');
@@ -91,10 +93,49 @@ export const EditView = ({ id }) => {
   header.appendChild(topRow);
   container.appendChild(header);
 
+  const schedule = RecurringService.get(transaction.recurringId);
+
+  // Fields that, when edited, may be applied to the rest of a recurring series
+  const hasSeriesChanges = (data, rule) => {
+    const fieldsChanged = [
+      'amount',
+      'type',
+      'category',
+      'accountId',
+      'toAccountId',
+      'description',
+    ].some(field => (data[field] ?? null) !== (transaction[field] ?? null));
+    const tagsChanged =
+      JSON.stringify(data.tags || []) !==
+      JSON.stringify(transaction.tags || []);
+    const ruleChanged =
+      rule.cadence !== schedule.cadence ||
+      (rule.dayOfMonth || null) !== (schedule.dayOfMonth || null) ||
+      (rule.intervalDays || null) !== (schedule.intervalDays || null);
+    return fieldsChanged || tagsChanged || ruleChanged;
+  };
+
+  // Files picked on the form, stored once the edit itself has been saved
+  let pendingAttachmentFiles = [];
+
+  const finishEdit = () => {
+    saveAttachmentFiles(id, pendingAttachmentFiles);
+
+    // Mark transaction for highlighting in dashboard
+    markTransactionForHighlight(id);
+
+    // Navigate to dashboard immediately
+    Router.navigate('dashboard');
+  };
+
   const form = TransactionForm({
     initialValues: transaction,
+    initialRecurrence: schedule,
     externalDateInput: dateInput,
-    onSubmit: data => {
+    onSubmit: submitted => {
+      const { recurrence = null, attachmentFiles = [], ...data } = submitted;
+      pendingAttachmentFiles = attachmentFiles;
+
       // Check for date change to create a "ghost" of the original transaction
       const originalDate = transaction.timestamp.split('T')[0];
       const newDate = data.timestamp.split('T')[0];
@@ -145,6 +186,8 @@ export const EditView = ({ id }) => {
             delete ghostTransaction.id;
             delete ghostTransaction.ghostId;
             delete ghostTransaction.originalDate;
+            delete ghostTransaction.recurringId;
+            delete ghostTransaction.occurrenceDate;
 
             const addedGhost = TransactionService.add(ghostTransaction);
 
@@ -160,23 +203,72 @@ export const EditView = ({ id }) => {
         sessionStorage.setItem(STORAGE_KEYS.DASHBOARD_FILTER, data.accountId);
       }
 
-      TransactionService.update(id, data);
+      if (!schedule) {
+        const updated = TransactionService.update(id, data);
+        if (recurrence && updated) {
+          RecurringService.createFromTransaction(updated, recurrence);
+        }
+        finishEdit();
+        return;
+      }
+
+      if (!recurrence) {
+        // "Does not repeat" on a recurring transaction stops the series
+        RecurringService.delete(schedule.id);
+        TransactionService.update(id, { ...data, recurringId: null });
+        finishEdit();
+        return;
+      }
 
-      // Mark transaction for highlighting in dashboard
-      markTransactionForHighlight(id);
+      if (!hasSeriesChanges(data, recurrence)) {
+        TransactionService.update(id, data);
+        finishEdit();
+        return;
+      }
 
-      // Navigate to dashboard immediately
-      Router.navigate('dashboard');
+      import('../components/ConfirmDialog.js').then(({ ConfirmDialog }) => {
+        ConfirmDialog({
+          title: 'Edit Recurring Transaction',
+          message:
+            'Apply these changes to this occurrence only, or to all future occurrences as well?',
+          confirmText: 'All future',
+          variant: 'primary',
+          showSecondary: true,
+          secondaryText: 'This occurrence',
+          onSecondary: () => {
+            TransactionService.update(id, data);
+            finishEdit();
+          },
+          onConfirm: () => {
+            const updated = TransactionService.update(id, data);
+            RecurringService.updateFromOccurrence(
+              schedule.id,
+              updated,
+              recurrence
+            );
+            finishEdit();
+          },
+        });
+      });
     },
     onCancel: () => Router.navigate('dashboard'),
     onDelete: () => {
       import('../components/ConfirmDialog.js').then(({ ConfirmDialog }) => {
         ConfirmDialog({
-          message: 'Are you sure you want to delete this transaction?',
+          message: schedule
+            ? 'Delete this occurrence, or delete it and stop the series from repeating?'
+            : 'Are you sure you want to delete this transaction?',
           onConfirm: () => {
             TransactionService.remove(id);
             Router.navigate('dashboard');
           },
+          showSecondary: !!schedule,
+          secondaryText: 'Delete & stop repeating',
+          onSecondary: () => {
+            RecurringService.delete(schedule.id);
+            TransactionService.remove(id);
+            Router.navigate('dashboard');
+          },
         });
       });
     },
@@ -521,7 +521,9 @@ export const FinancialPlanningView = (params = {}) => {
       e.detail.key === STORAGE_KEYS.ACCOUNTS ||
       e.detail.key === STORAGE_KEYS.INVESTMENTS ||
       e.detail.key === STORAGE_KEYS.GOALS ||
-      e.detail.key === STORAGE_KEYS.BUDGETS
+      e.detail.key === STORAGE_KEYS.BUDGETS ||
+      e.detail.key === STORAGE_KEYS.RECURRING ||
+      e.detail.key === STORAGE_KEYS.EXCHANGE_RATES
     ) {
       // Clear the in-memory cache so next load picks up fresh data.
       // Do NOT call planningDataManager.refresh() — that nulls out lastUpdated
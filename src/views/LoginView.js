@@ -564,8 +564,11 @@ export const LoginView = () => {
 
   container.appendChild(title);
   container.appendChild(form);
-  container.appendChild(separator);
-  container.appendChild(googleBtn);
+  // Self-hosted sync servers only offer email sign-in
+  if (AuthService.supportsGoogleSignIn()) {
+    container.appendChild(separator);
+    container.appendChild(googleBtn);
+  }
   container.appendChild(toggleBtn);
 
   return container;
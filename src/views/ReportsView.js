@@ -22,6 +22,7 @@ import {
   TIMING,
   STORAGE_KEYS,
   FONT_SIZES,
+  PIVOT_SPLITS,
 } from '../utils/constants.js';
 import { debounce } from '../utils/touch-utils.js';
 import { createNavigationButtons } from '../utils/navigation-helper.js';
@@ -60,12 +61,23 @@ import {
 import {
   createCategoryBreakdownChart,
   createIncomeExpenseChart,
+  createReportWidgetChart,
   getCategoryColors,
 } from '../utils/reports-charts.js';
 import { CategorySelector } from '../components/CategorySelector.js';
 import { InsightsSection } from '../components/BudgetInsightsSection.js';
 import { BudgetSummaryCard } from '../components/BudgetSummaryCard.js';
 import { BudgetPlanner } from '../core/budget-planner.js';
+import { isCategoryBudget } from '../utils/budget-scopes.js';
+import { StatementService } from '../core/statement-service.js';
+import { CustomReportService } from '../core/custom-report-service.js';
+import { MetricsService } from '../core/analytics/MetricsService.js';
+import { CategoryPivotTable } from '../components/CategoryPivotTable.js';
+import { CashFlowSankey } from '../components/CashFlowSankey.js';
+import { downloadCsv } from '../utils/csv-export.js';
+import { downloadBlob } from '../utils/page-canvas.js';
+import { SPREADSHEET_MIME_TYPE } from '../utils/spreadsheetml.js';
+import { toDateKey } from '../utils/recurrence-utils.js';
 
 /**
  * Build a stable cache key for a given time period.
@@ -200,6 +212,11 @@ export const ReportsView = (params = {}) => {
   let isLoading = false;
   let currentData = null;
   const activeCharts = new Map();
+  // Saved custom report shown instead of the overview sections
+  let activeReportId = null;
+  let customReportContainer = null;
+  // Row split of the category-by-month table, kept across period changes
+  let pivotSplitBy = PIVOT_SPLITS.NONE;
   let timePeriodSelectorComponent = null;
   const categoryColorMap = new Map();
 
@@ -229,6 +246,9 @@ export const ReportsView = (params = {}) => {
   content.id = 'reports-content';
   container.appendChild(content);
 
+  const reportPicker = createReportPicker();
+  content.appendChild(reportPicker);
+
   // Persistent section containers for incremental rendering
   const sectionContainers = {
     budgetSummary: null,
@@ -236,6 +256,8 @@ export const ReportsView = (params = {}) => {
     categorySelector: null,
     financialInsights: null,
     incomeExpense: null,
+    cashFlow: null,
+    categoryPivot: null,
   };
 
   // Skeleton loading states
@@ -245,6 +267,8 @@ export const ReportsView = (params = {}) => {
     categorySelector: null,
     financialInsights: null,
     incomeExpense: null,
+    cashFlow: null,
+    categoryPivot: null,
   };
 
   // State components
@@ -281,9 +305,37 @@ export const ReportsView = (params = {}) => {
     leftSide.appendChild(backButton);
     leftSide.appendChild(title);
 
-    // Right side: navigation buttons
+    // Right side: year review and statement buttons, then navigation
     const rightSide = createNavigationButtons('reports');
 
+    const statementButton = document.createElement('button');
+    statementButton.textContent = '🧾';
+    statementButton.className = 'btn btn-ghost';
+    statementButton.style.fontSize = '1.5rem';
+    statementButton.style.padding = SPACING.XS;
+    statementButton.style.background = 'transparent';
+    statementButton.style.border = 'none';
+    statementButton.title = 'Statement (print or PDF)';
+    statementButton.setAttribute('aria-label', 'Create statement');
+    statementButton.addEventListener('click', openStatement);
+    rightSide.prepend(statementButton);
+
+    const yearReviewButton = document.createElement('button');
+    yearReviewButton.textContent = '📅';
+    yearReviewButton.className = 'btn btn-ghost';
+    yearReviewButton.style.fontSize = '1.5rem';
+    yearReviewButton.style.padding = SPACING.XS;
+    yearReviewButton.style.background = 'transparent';
+    yearReviewButton.style.border = 'none';
+    yearReviewButton.title = 'Year in review';
+    yearReviewButton.setAttribute('aria-label', 'Year in review');
+    yearReviewButton.addEventListener('click', () =>
+      Router.navigate('year-review', {
+        year: new Date(currentTimePeriod.endDate).getFullYear(),
+      })
+    );
+    rightSide.prepend(yearReviewButton);
+
     header.appendChild(leftSide);
     header.appendChild(rightSide);
 
@@ -305,6 +357,181 @@ export const ReportsView = (params = {}) => {
     return headerContainer;
   }
 
+  /**
+   * Open the printable statement for the selected period, with the charts
+   * currently on screen
+   */
+  async function openStatement() {
+    try {
+      const statement = StatementService.build(
+        TransactionService.getAll(),
+        currentTimePeriod
+      );
+      const charts = [
+        ['income-expense', 'Income vs Expenses'],
+        ['category-breakdown', 'Spending by Category'],
+      ]
+        .map(([key, title]) => {
+          const chart = activeCharts.get(key);
+          return chart && typeof chart.toBase64Image === 'function'
+            ? { title, src: chart.toBase64Image() }
+            : null;
+        })
+        .filter(Boolean);
+
+      const { StatementDialog } =
+        await import('../components/StatementDialog.js');
+      await StatementDialog({ statement, charts });
+    } catch (error) {
+      console.error('[ReportsView] Statement failed:', error);
+      const { showErrorToast } =
+        await import('../utils/toast-notifications.js');
+      showErrorToast('Could not create the statement.');
+    }
+  }
+
+  /**
+   * Report picker: the overview or a saved custom report, with actions to
+   * build, edit and delete custom reports
+   */
+  function createReportPicker() {
+    const bar = document.createElement('div');
+    bar.className = 'reports-picker';
+    bar.style.display = 'flex';
+    bar.style.flexWrap = 'wrap';
+    bar.style.alignItems = 'center';
+    bar.style.gap = SPACING.XS;
+
+    const select = document.createElement('select');
+    select.className = 'mobile-form-select';
+    select.id = 'reports-picker-select';
+    select.setAttribute('aria-label', 'Report');
+    select.style.flex = '1';
+    select.style.minWidth = '160px';
+    select.addEventListener('change', () => {
+      activeReportId = select.value || null;
+      updateReportPicker();
+      if (currentData) renderReports();
+    });
+
+    const mkButton = (text, label, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = text;
+      button.className = 'btn btn-ghost';
+      button.title = label;
+      button.setAttribute('aria-label', label);
+      button.addEventListener('click', onClick);
+      return button;
+    };
+
+    const openBuilder = async report => {
+      const { CustomReportDialog } =
+        await import('../components/CustomReportDialog.js');
+      CustomReportDialog({
+        report,
+        // The storage update that follows the save renders the report
+        onSave: saved => {
+          activeReportId = saved.id;
+        },
+      });
+    };
+
+    const newButton = mkButton('+ New', 'New custom report', () =>
+      openBuilder(null)
+    );
+    const editButton = mkButton('Edit', 'Edit report', () =>
+      openBuilder(CustomReportService.get(activeReportId))
+    );
+    const deleteButton = mkButton('Delete', 'Delete report', async () => {
+      const report = CustomReportService.get(activeReportId);
+      if (!report) return;
+      const { ConfirmDialog } = await import('../components/ConfirmDialog.js');
+      ConfirmDialog({
+        title: 'Delete Report',
+        message: `Delete the report "${report.name}"? Your transactions are not affected.`,
+        confirmText: 'Delete',
+        onConfirm: () => {
+          CustomReportService.delete(report.id);
+        },
+      });
+    });
+
+    bar.append(select, newButton, editButton, deleteButton);
+    bar.refresh = () => {
+      const reports = CustomReportService.getAll();
+      if (!reports.some(r => r.id === activeReportId)) activeReportId = null;
+
+      select.replaceChildren();
+      [{ id: '', name: 'Overview' }, ...reports].forEach(report => {
+        const option = document.createElement('option');
+        option.value = report.id;
+        option.textContent = report.name;
+        select.appendChild(option);
+      });
+      select.value = activeReportId || '';
+      editButton.style.display = activeReportId ? '' : 'none';
+      deleteButton.style.display = activeReportId ? '' : 'none';
+    };
+    bar.refresh();
+    return bar;
+  }
+
+  function updateReportPicker() {
+    reportPicker.refresh();
+  }
+
+  /**
+   * Render the selected custom report in place of the overview sections
+   * @param {Object} report - Saved report definition
+   */
+  async function renderCustomReport(report) {
+    if (!customReportContainer) {
+      customReportContainer = document.createElement('section');
+      customReportContainer.className = 'custom-report-container';
+      customReportContainer.setAttribute('aria-label', 'Custom report');
+      customReportContainer.style.flexDirection = 'column';
+      customReportContainer.style.gap = SPACING.MD;
+      customReportContainer.style.width = '100%';
+      content.appendChild(customReportContainer);
+    }
+    customReportContainer.style.display = 'flex';
+
+    activeCharts.forEach((chart, key) => {
+      if (!key.startsWith('custom-report-')) return;
+      if (chart && typeof chart.destroy === 'function') chart.destroy();
+      activeCharts.delete(key);
+    });
+    customReportContainer.replaceChildren();
+
+    const result = CustomReportService.run(
+      report,
+      TransactionService.getAll(),
+      currentTimePeriod
+    );
+
+    const summary = document.createElement('p');
+    summary.textContent = `${result.transactionCount} matching ${
+      result.transactionCount === 1 ? 'transaction' : 'transactions'
+    }${report.query ? ` · ${report.query}` : ''}`;
+    summary.style.margin = '0';
+    summary.style.color = COLORS.TEXT_MUTED;
+    summary.style.fontSize = 'var(--font-size-sm)';
+    customReportContainer.appendChild(summary);
+
+    // One at a time so the widgets keep their order
+    for (const [index, { widget, data }] of result.widgets.entries()) {
+      const { section, chart } = await createReportWidgetChart(
+        chartRenderer,
+        widget,
+        data,
+        `custom-report-chart-${index}`
+      );
+      customReportContainer.appendChild(section);
+      if (chart) activeCharts.set(`custom-report-${index}`, chart);
+    }
+  }
+
   /**
    * Handle category chart click - scroll to category details
    */
@@ -728,6 +955,8 @@ export const ReportsView = (params = {}) => {
     createAndAppendSkeleton('categorySelector', 'category-selector', '400px');
     createAndAppendSkeleton('financialInsights', 'financial-insights', '150px');
     createAndAppendSkeleton('incomeExpense', 'income-expense', '250px');
+    createAndAppendSkeleton('cashFlow', 'cash-flow', '300px');
+    createAndAppendSkeleton('categoryPivot', 'category-pivot', '250px');
   }
 
   /**
@@ -785,6 +1014,17 @@ export const ReportsView = (params = {}) => {
         content.appendChild(chartContainer);
       }
 
+      const activeReport = CustomReportService.get(activeReportId);
+      chartContainer.style.display = activeReport ? 'none' : '';
+      if (customReportContainer && !activeReport) {
+        customReportContainer.style.display = 'none';
+      }
+      if (activeReport) {
+        await renderCustomReport(activeReport);
+        showContentState();
+        return;
+      }
+
       // Add fallback warning if needed
       if (
         currentData.isFallback &&
@@ -890,6 +1130,8 @@ export const ReportsView = (params = {}) => {
       updateCategorySelector(chartContainer, chartRenderResults),
       updateFinancialInsights(chartContainer, chartRenderResults),
       updateIncomeExpense(chartContainer, chartRenderResults),
+      updateCashFlow(chartContainer, chartRenderResults),
+      updateCategoryPivot(chartContainer, chartRenderResults),
     ]);
 
     const failedCharts = chartRenderResults.filter(result => !result.success);
@@ -1027,16 +1269,18 @@ export const ReportsView = (params = {}) => {
         currentTimePeriod
       );
 
-      // Get budget status for each category
+      // Get budget status for each category. Budget windows (e.g. a yearly
+      // budget) can extend past the report period, so use all transactions
       const budgetStatus = BudgetPlanner.getBudgetsStatus(
-        currentData.transactions,
+        TransactionService.getAll(),
         currentTimePeriod
       );
 
       // Create budget status map for easy lookup
       const budgetStatusMap = {};
       if (budgetStatus && Array.isArray(budgetStatus)) {
-        budgetStatus.forEach(budget => {
+        // Category cards only show single-category budgets
+        budgetStatus.filter(isCategoryBudget).forEach(budget => {
           budgetStatusMap[budget.categoryName] = budget;
         });
       }
@@ -1209,6 +1453,102 @@ export const ReportsView = (params = {}) => {
     }
   }
 
+  /**
+   * Update the cash flow diagram incrementally
+   */
+  async function updateCashFlow(chartContainer, chartRenderResults) {
+    try {
+      let section = sectionContainers.cashFlow;
+      if (!section) {
+        section = document.createElement('div');
+        section.id = 'cash-flow-section';
+        section.className = 'reports-section-spacer';
+        chartContainer.appendChild(section);
+        sectionContainers.cashFlow = section;
+      }
+
+      section.replaceChildren();
+      section.appendChild(
+        CashFlowSankey({
+          flow: analyticsEngine.calculateCashFlow(
+            currentData.transactions,
+            currentTimePeriod
+          ),
+          // Same handoff as the category cards
+          onFlowClick: category => handleCategoryCardClick({ name: category }),
+        })
+      );
+      hideSkeletonLoader('cashFlow');
+      chartRenderResults.push({ name: 'Cash Flow', success: true });
+    } catch (cashFlowError) {
+      console.warn('[ReportsView] Failed to update cash flow:', cashFlowError);
+      hideSkeletonLoader('cashFlow');
+      chartRenderResults.push({
+        name: 'Cash Flow',
+        success: false,
+        error: cashFlowError,
+      });
+    }
+  }
+
+  /**
+   * Update the category-by-month table incrementally
+   */
+  async function updateCategoryPivot(chartContainer, chartRenderResults) {
+    try {
+      let section = sectionContainers.categoryPivot;
+      if (!section) {
+        section = document.createElement('div');
+        section.id = 'category-pivot-section';
+        section.className = 'reports-section-spacer';
+        chartContainer.appendChild(section);
+        sectionContainers.categoryPivot = section;
+      }
+
+      section.replaceChildren();
+      section.appendChild(
+        CategoryPivotTable({
+          getPivot: splitBy =>
+            analyticsEngine.calculateCategoryMonthPivot(
+              currentData.transactions,
+              currentTimePeriod,
+              { splitBy }
+            ),
+          splitBy: pivotSplitBy,
+          onSplitChange: splitBy => {
+            pivotSplitBy = splitBy;
+          },
+          onExport: (format, pivot) => {
+            const filename = `blinkbudget_category_months_${toDateKey(new Date())}`;
+            if (format === 'xlsx') {
+              downloadBlob(
+                new Blob([MetricsService.pivotToSpreadsheetXml(pivot)], {
+                  type: SPREADSHEET_MIME_TYPE,
+                }),
+                `${filename}.xls`
+              );
+            } else {
+              downloadCsv(MetricsService.pivotToCsv(pivot), `${filename}.csv`);
+            }
+          },
+        })
+      );
+      hideSkeletonLoader('categoryPivot');
+      chartRenderResults.push({ name: 'Category by Month', success: true });
+    } catch (pivotError) {
+      console.warn(
+        '[ReportsView] Failed to update category by month table:',
+        pivotError
+      );
+      hideSkeletonLoader('categoryPivot');
+      chartRenderResults.push({
+        name: 'Category by Month',
+        success: false,
+        error: pivotError,
+      });
+    }
+  }
+
   /**
    * Show loading state
    */
@@ -1387,6 +1727,16 @@ export const ReportsView = (params = {}) => {
 
   // Storage update handler
   const handleStorageUpdate = e => {
+    // Saved reports changed here or on another device
+    if (e.detail.key === STORAGE_KEYS.CUSTOM_REPORTS) {
+      clearTimeout(container._reportsRefreshTimeout);
+      container._reportsRefreshTimeout = setTimeout(() => {
+        updateReportPicker();
+        if (currentData && !isLoading) renderReports();
+      }, 0);
+      return;
+    }
+
     if (
       e.detail.key === STORAGE_KEYS.TRANSACTIONS ||
       e.detail.key === STORAGE_KEYS.ACCOUNTS
@@ -1530,6 +1880,7 @@ export const ReportsView = (params = {}) => {
     if (container._refreshTimeout) {
       clearTimeout(container._refreshTimeout);
     }
+    clearTimeout(container._reportsRefreshTimeout);
 
     if (timePeriodSelectorComponent && timePeriodSelectorComponent.cleanup) {
       timePeriodSelectorComponent.cleanup();
@@ -5,13 +5,20 @@ import { AccountSection } from '../components/AccountSection.js';
 import { DataManagementSection } from '../components/DataManagementSection.js';
 import { GeneralSection } from '../components/GeneralSection.js';
 import { BackupRestoreSection } from '../components/BackupRestoreSection.js';
+import { SyncQueueSection } from '../components/SyncQueueSection.js';
+import { SyncEncryptionSection } from '../components/SyncEncryptionSection.js';
 import { AccountDeletionSection } from '../components/AccountDeletionSection.js';
 import { escapeHtml } from '../utils/security-utils.js';
 import { SecuritySection } from '../components/SecuritySection.js';
+import { VaultSection } from '../components/VaultSection.js';
+import { VaultService } from '../core/vault-service.js';
 import { FeedbackLink } from '../components/FeedbackLink.js';
 import { SPACING, TOUCH_TARGETS, FONT_SIZES } from '../utils/constants.js';
 import { DateFormatSection } from '../components/DateFormatSection.js';
+import { CurrencySection } from '../components/CurrencySection.js';
+import { MoneyFormatSection } from '../components/MoneyFormatSection.js';
 import { SettingsService } from '../core/settings-service.js';
+import { config } from '../../config/app.config.js';
 import {
   CURRENT_VERSION,
   GITHUB_RELEASES_URL,
@@ -87,6 +94,10 @@ export const SettingsView = () => {
   const accountSection = AccountSection();
   content.appendChild(accountSection);
 
+  // Currency Section (reporting currency and exchange rates)
+  const currencySection = CurrencySection();
+  content.appendChild(currencySection);
+
   // Category Management Section
   const categoryManagementSection = document.createElement('div');
   categoryManagementSection.className = 'settings-section';
@@ -286,15 +297,36 @@ export const SettingsView = () => {
   });
   advancedSettingsSection.appendChild(dateFormatSection);
 
+  // Number Format Section (how amounts are displayed across the app)
+  const moneyFormatSection = MoneyFormatSection();
+  advancedSettingsSection.appendChild(moneyFormatSection);
+
   // Backup & Restore Section
   const backupSection = BackupRestoreSection();
   advancedSettingsSection.appendChild(backupSection);
+
+  // Sync Queue Section (writes waiting to reach the cloud)
+  const syncQueueSection = SyncQueueSection();
+  advancedSettingsSection.appendChild(syncQueueSection);
+
+  // End-to-End Encryption Section (cloud sync only)
+  const syncEncryptionSection = config.localMode
+    ? null
+    : SyncEncryptionSection();
+  if (syncEncryptionSection) {
+    advancedSettingsSection.appendChild(syncEncryptionSection);
+  }
   // content.appendChild(advancedFilteringSection);
 
   // Security & Privacy Section
   const securitySection = SecuritySection();
   advancedSettingsSection.appendChild(securitySection);
 
+  // Encrypted Vault Section (local-only mode)
+  if (VaultService.isAvailable()) {
+    advancedSettingsSection.appendChild(VaultSection());
+  }
+
   // Account Deletion Section
   const accountDeletionSection = AccountDeletionSection();
   advancedSettingsSection.appendChild(accountDeletionSection);
@@ -466,6 +498,8 @@ export const SettingsView = () => {
     if (generalSection && typeof generalSection.cleanup === 'function') {
       generalSection.cleanup();
     }
+    syncQueueSection.cleanup();
+    syncEncryptionSection?.cleanup();
   };
 
   return container;
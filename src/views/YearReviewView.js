@@ -0,0 +1,448 @@
+/**
+ * Year in Review View
+ *
+ * Annual recap for one calendar year: totals, month-by-month chart, biggest
+ * categories against the previous year, personal inflation, goals reached,
+ * largest purchases and logging streaks. Exportable as an image or a PDF.
+ */
+
+import { Router } from '../core/router.js';
+import { ChartRenderer } from '../components/ChartRenderer.js';
+import { ButtonComponent } from '../components/Button.js';
+import { TransactionService } from '../core/transaction-service.js';
+import { YearReviewService } from '../core/year-review-service.js';
+import {
+  COLORS,
+  SPACING,
+  FONT_SIZES,
+  STORAGE_KEYS,
+} from '../utils/constants.js';
+import { createNavigationButtons } from '../utils/navigation-helper.js';
+import { createYearMonthlyChart } from '../utils/reports-charts.js';
+import { renderYearReviewPages } from '../utils/year-review-layout.js';
+import {
+  encodePagesAsJpeg,
+  stackPages,
+  downloadBlob,
+} from '../utils/page-canvas.js';
+import { createImagePdf } from '../utils/pdf-writer.js';
+import { formatMoney } from '../utils/money-format.js';
+import { formatDateForDisplay } from '../utils/date-utils.js';
+
+const RERENDER_KEYS = [
+  STORAGE_KEYS.TRANSACTIONS,
+  STORAGE_KEYS.ACCOUNTS,
+  STORAGE_KEYS.GOALS,
+];
+
+const createCard = titleText => {
+  const card = document.createElement('section');
+  card.style.background = COLORS.SURFACE;
+  card.style.borderRadius = 'var(--radius-lg)';
+  card.style.padding = SPACING.MD;
+  card.style.display = 'flex';
+  card.style.flexDirection = 'column';
+  card.style.gap = SPACING.SM;
+
+  const title = document.createElement('h3');
+  title.textContent = titleText;
+  title.style.margin = '0';
+  title.style.color = COLORS.TEXT_MAIN;
+  card.appendChild(title);
+  return card;
+};
+
+const createMuted = text => {
+  const p = document.createElement('p');
+  p.textContent = text;
+  p.style.margin = '0';
+  p.style.color = COLORS.TEXT_MUTED;
+  p.style.fontSize = FONT_SIZES.SM;
+  return p;
+};
+
+const createStatGrid = stats => {
+  const grid = document.createElement('div');
+  grid.style.display = 'grid';
+  grid.style.gridTemplateColumns = 'repeat(auto-fit, minmax(140px, 1fr))';
+  grid.style.gap = SPACING.SM;
+  stats.forEach(({ label, value, color }) => {
+    const tile = document.createElement('div');
+    tile.style.background = COLORS.SURFACE;
+    tile.style.borderRadius = 'var(--radius-md)';
+    tile.style.padding = SPACING.MD;
+    tile.style.textAlign = 'center';
+
+    const labelEl = document.createElement('div');
+    labelEl.textContent = label;
+    labelEl.style.fontSize = FONT_SIZES.SM;
+    labelEl.style.color = COLORS.TEXT_MUTED;
+    labelEl.style.marginBottom = SPACING.XS;
+
+    const valueEl = document.createElement('div');
+    valueEl.textContent = value;
+    valueEl.style.fontSize = FONT_SIZES.LG;
+    valueEl.style.fontWeight = 'bold';
+    valueEl.style.color = color || COLORS.TEXT_MAIN;
+
+    tile.appendChild(labelEl);
+    tile.appendChild(valueEl);
+    grid.appendChild(tile);
+  });
+  return grid;
+};
+
+const createRow = (label, value, detail, valueColor) => {
+  const row = document.createElement('div');
+  row.style.display = 'flex';
+  row.style.justifyContent = 'space-between';
+  row.style.alignItems = 'baseline';
+  row.style.gap = SPACING.SM;
+  row.style.padding = `${SPACING.XS} 0`;
+  row.style.borderBottom = `1px solid ${COLORS.BORDER}`;
+
+  const left = document.createElement('div');
+  left.style.minWidth = '0';
+  const labelEl = document.createElement('div');
+  labelEl.textContent = label;
+  labelEl.style.color = COLORS.TEXT_MAIN;
+  labelEl.style.overflow = 'hidden';
+  labelEl.style.textOverflow = 'ellipsis';
+  labelEl.style.whiteSpace = 'nowrap';
+  left.appendChild(labelEl);
+  if (detail) {
+    const detailEl = createMuted(detail);
+    detailEl.style.fontSize = 'var(--font-size-xs)';
+    left.appendChild(detailEl);
+  }
+
+  const valueEl = document.createElement('div');
+  valueEl.textContent = value;
+  valueEl.style.fontWeight = '600';
+  valueEl.style.whiteSpace = 'nowrap';
+  valueEl.style.color = valueColor || COLORS.TEXT_MAIN;
+
+  row.appendChild(left);
+  row.appendChild(valueEl);
+  return row;
+};
+
+const formatChange = changePercent =>
+  changePercent === null
+    ? 'new'
+    : `${changePercent > 0 ? '+' : ''}${Math.round(changePercent)}%`;
+
+export const YearReviewView = (params = {}) => {
+  const container = document.createElement('div');
+  container.className = 'view-year-review view-container';
+
+  const chartRenderer = new ChartRenderer();
+  let monthlyChart = null;
+  let review = null;
+  let isExporting = false;
+
+  const availableYears = YearReviewService.getAvailableYears(
+    TransactionService.getAll()
+  );
+  let year =
+    Number.parseInt(params.year, 10) ||
+    availableYears[0] ||
+    new Date().getFullYear();
+
+  // Header
+  const header = document.createElement('header');
+  header.className = 'view-header-row';
+
+  const leftSide = document.createElement('div');
+  leftSide.className = 'reports-header-left';
+
+  const backButton = document.createElement('button');
+  backButton.textContent = '← Back';
+  backButton.className = 'view-back-btn';
+  backButton.title = 'Back to Reports';
+  backButton.addEventListener('click', () => Router.navigate('reports'));
+
+  const title = document.createElement('h2');
+  title.id = 'year-review-title';
+  title.className = 'view-title';
+
+  leftSide.appendChild(backButton);
+  leftSide.appendChild(title);
+  header.appendChild(leftSide);
+  header.appendChild(createNavigationButtons('reports'));
+
+  // Year switcher and exports
+  const toolbar = document.createElement('div');
+  toolbar.style.display = 'flex';
+  toolbar.style.flexWrap = 'wrap';
+  toolbar.style.alignItems = 'center';
+  toolbar.style.justifyContent = 'space-between';
+  toolbar.style.gap = SPACING.SM;
+
+  const yearNav = document.createElement('div');
+  yearNav.style.display = 'flex';
+  yearNav.style.alignItems = 'center';
+  yearNav.style.gap = SPACING.SM;
+
+  const prevButton = ButtonComponent({
+    text: '‹',
+    variant: 'secondary',
+    ariaLabel: 'Previous year',
+    onClick: () => changeYear(-1),
+  });
+  const yearLabel = document.createElement('span');
+  yearLabel.style.fontWeight = 'bold';
+  yearLabel.style.fontSize = FONT_SIZES.LG;
+  yearLabel.style.color = COLORS.TEXT_MAIN;
+  const nextButton = ButtonComponent({
+    text: '›',
+    variant: 'secondary',
+    ariaLabel: 'Next year',
+    onClick: () => changeYear(1),
+  });
+  yearNav.appendChild(prevButton);
+  yearNav.appendChild(yearLabel);
+  yearNav.appendChild(nextButton);
+
+  const exportGroup = document.createElement('div');
+  exportGroup.style.display = 'flex';
+  exportGroup.style.gap = SPACING.SM;
+  exportGroup.appendChild(
+    ButtonComponent({
+      text: 'Save Image',
+      variant: 'secondary',
+      onClick: () => exportReview('image'),
+    })
+  );
+  exportGroup.appendChild(
+    ButtonComponent({
+      text: 'Download PDF',
+      variant: 'primary',
+      onClick: () => exportReview('pdf'),
+    })
+  );
+
+  toolbar.appendChild(yearNav);
+  toolbar.appendChild(exportGroup);
+
+  const headerContainer = document.createElement('div');
+  headerContainer.className = 'view-header view-sticky view-header-container';
+  headerContainer.appendChild(header);
+  headerContainer.appendChild(toolbar);
+  container.appendChild(headerContainer);
+
+  const content = document.createElement('div');
+  content.className = 'view-content';
+  content.id = 'year-review-content';
+  content.style.display = 'flex';
+  content.style.flexDirection = 'column';
+  content.style.gap = SPACING.MD;
+  container.appendChild(content);
+
+  function changeYear(step) {
+    year += step;
+    Router.navigate('year-review', { year });
+  }
+
+  function destroyChart() {
+    if (monthlyChart && typeof monthlyChart.destroy === 'function') {
+      monthlyChart.destroy();
+    }
+    monthlyChart = null;
+  }
+
+  async function render() {
+    destroyChart();
+    content.innerHTML = '';
+    review = YearReviewService.build(TransactionService.getAll(), year);
+    const money = amount => formatMoney(amount, { currency: review.currency });
+
+    title.textContent = `${year} in Review`;
+    yearLabel.textContent = String(year);
+    nextButton.disabled = year >= new Date().getFullYear();
+
+    const { totals } = review;
+    content.appendChild(
+      createStatGrid([
+        {
+          label: 'Income',
+          value: money(totals.totalIncome),
+          color: COLORS.INCOME_COLOR,
+        },
+        {
+          label: 'Expenses',
+          value: money(totals.totalExpenses),
+          color: COLORS.ERROR,
+        },
+        {
+          label: 'Net',
+          value: money(totals.netBalance),
+          color: totals.netBalance < 0 ? COLORS.ERROR : COLORS.TEXT_MAIN,
+        },
+        { label: 'Saved', value: `${Math.round(totals.savingsRate)}%` },
+      ])
+    );
+
+    if (totals.incomeCount === 0 && totals.expenseCount === 0) {
+      const empty = createCard('Nothing to recap yet');
+      empty.appendChild(createMuted(`No transactions were logged in ${year}.`));
+      content.appendChild(empty);
+      return;
+    }
+
+    const { section, chart } = await createYearMonthlyChart(
+      chartRenderer,
+      review
+    );
+    monthlyChart = chart;
+    if (review.bestMonth) {
+      section.appendChild(
+        createMuted(
+          `Best month: ${review.bestMonth.label}, with ${money(review.bestMonth.net)} left over.`
+        )
+      );
+    }
+    content.appendChild(section);
+
+    const categories = createCard('Biggest Categories');
+    if (review.expenseChange.comparison > 0) {
+      categories.appendChild(
+        createMuted(
+          `Total spending ${formatChange(review.expenseChange.changePercent)} vs ${year - 1}.`
+        )
+      );
+    }
+    review.categories.forEach(c => {
+      categories.appendChild(
+        createRow(
+          c.category,
+          money(c.current),
+          `${formatChange(c.changePercent)} vs ${year - 1}`
+        )
+      );
+    });
+    content.appendChild(categories);
+
+    const inflation = createCard('Personal Inflation');
+    if (review.inflation.overallRate) {
+      inflation.appendChild(
+        createRow(
+          'Your rate over the year',
+          `${review.inflation.overallRate}%`,
+          null,
+          review.inflation.overallRate > 0 ? COLORS.ERROR : COLORS.INCOME_COLOR
+        )
+      );
+      review.inflation.topDrivers.forEach(d => {
+        inflation.appendChild(
+          createRow(d.category, `+${d.rate}%`, 'Main driver', COLORS.WARNING)
+        );
+      });
+    } else {
+      inflation.appendChild(
+        createMuted('Not enough repeat spending to measure price changes.')
+      );
+    }
+    content.appendChild(inflation);
+
+    const goals = createCard('Goals Reached');
+    if (review.goalsReached.length === 0) {
+      goals.appendChild(createMuted('No goals reached this year.'));
+    }
+    review.goalsReached.forEach(g => {
+      goals.appendChild(
+        createRow(
+          `🎯 ${g.name}`,
+          money(g.targetAmount),
+          `Reached ${formatDateForDisplay(g.completedDate)}`,
+          COLORS.INCOME_COLOR
+        )
+      );
+    });
+    content.appendChild(goals);
+
+    const purchases = createCard('Largest Purchases');
+    review.largestPurchases.forEach(p => {
+      purchases.appendChild(
+        createRow(
+          p.description || p.category,
+          money(p.amount),
+          `${formatDateForDisplay(p.date)} · ${p.category}`
+        )
+      );
+    });
+    content.appendChild(purchases);
+
+    const { streaks } = review;
+    const habit = createCard('Logging Habit');
+    habit.appendChild(
+      createStatGrid([
+        { label: 'Days logged', value: String(streaks.activeDays) },
+        { label: 'Longest streak', value: `${streaks.longestStreak}d` },
+        { label: 'Current streak', value: `${streaks.currentStreak}d` },
+        {
+          label: 'Clicks per entry',
+          value: streaks.trackedEntries ? String(streaks.averageClicks) : '—',
+        },
+      ])
+    );
+    content.appendChild(habit);
+  }
+
+  async function exportReview(format) {
+    if (!review || isExporting) return;
+    isExporting = true;
+    const { showSuccessToast, showErrorToast } =
+      await import('../utils/toast-notifications.js');
+    try {
+      const charts =
+        monthlyChart && typeof monthlyChart.toBase64Image === 'function'
+          ? [{ title: 'Month by Month', src: monthlyChart.toBase64Image() }]
+          : [];
+      const pages = await renderYearReviewPages(review, charts);
+      const fileName = `blinkbudget-${year}-in-review`;
+
+      if (format === 'pdf') {
+        const pdf = createImagePdf(await encodePagesAsJpeg(pages), {
+          title: `${year} in Review`,
+        });
+        downloadBlob(pdf, `${fileName}.pdf`);
+      } else {
+        const image = await new Promise((resolve, reject) => {
+          stackPages(pages).toBlob(blob => {
+            if (blob) resolve(blob);
+            else reject(new Error('Image could not be encoded'));
+          }, 'image/png');
+        });
+        downloadBlob(image, `${fileName}.png`);
+      }
+      showSuccessToast(`${year} in Review saved.`);
+    } catch (error) {
+      console.error('[YearReviewView] Export failed:', error);
+      showErrorToast('Could not export the year in review.');
+    } finally {
+      isExporting = false;
+    }
+  }
+
+  const handleStorageUpdate = e => {
+    if (RERENDER_KEYS.includes(e.detail?.key)) {
+      render().catch(error => {
+        console.error('[YearReviewView] Refresh failed:', error);
+      });
+    }
+  };
+  window.addEventListener('storage-updated', handleStorageUpdate);
+
+  render().catch(error => {
+    console.error('[YearReviewView] Render failed:', error);
+    content.appendChild(createMuted('Could not build the year in review.'));
+  });
+
+  container.cleanup = () => {
+    window.removeEventListener('storage-updated', handleStorageUpdate);
+    destroyChart();
+  };
+
+  return container;
+};
@@ -5,20 +5,84 @@
  * Supports budget suggestions for users with 30+ transactions.
  */
 
-import { COLORS, SPACING, FONT_SIZES } from '../../utils/constants.js';
+import {
+  COLORS,
+  SPACING,
+  FONT_SIZES,
+  BUDGET_PERIOD_LABELS,
+} from '../../utils/constants.js';
 import { formatCurrency } from '../../utils/financial-planning-helpers.js';
 import { MetricsService } from '../../core/analytics/MetricsService.js';
 import { getCurrentMonthPeriod } from '../../utils/reports-utils.js';
 import { BudgetForm } from '../../components/BudgetForm.js';
 import { BudgetSuggestionsContainer } from '../../components/BudgetSuggestion.js';
 import { BudgetProgress } from '../../components/BudgetProgress.js';
+import { EnvelopeHistory } from '../../components/EnvelopeHistory.js';
+import { BudgetAdherenceReport } from '../../components/BudgetAdherenceReport.js';
 import { BudgetSummaryCard } from '../../components/BudgetSummaryCard.js';
 import { BudgetPlanner } from '../../core/budget-planner.js';
 import { BudgetService } from '../../core/budget-service.js';
 import { ProgressiveEmptyState } from '../../components/ProgressiveEmptyState.js';
+import { showErrorToast } from '../../utils/toast-notifications.js';
+import { downloadCsv } from '../../utils/csv-export.js';
+import { toDateKey, addDays } from '../../utils/recurrence-utils.js';
+import { isCategoryBudget } from '../../utils/budget-scopes.js';
+import { CustomCategoryService } from '../../core/custom-category-service.js';
+import { AccountService } from '../../core/Account/account-service.js';
 
 const MIN_TRANSACTIONS_FOR_SUGGESTIONS = 30;
 
+const createActionButton = (text, color) => {
+  const button = document.createElement('button');
+  button.textContent = text;
+  button.className = 'btn btn-ghost';
+  button.style.padding = `${SPACING.XS} ${SPACING.SM}`;
+  button.style.fontSize = FONT_SIZES.SM;
+  if (color) button.style.color = color;
+  return button;
+};
+
+/**
+ * Append period, progress and envelope details of a budget status to a card
+ * @param {HTMLElement} card - Budget card
+ * @param {Object} status - Budget status from BudgetPlanner
+ */
+const appendBudgetStatus = (card, status) => {
+  const { actual, amountLimit, available, carriedIn, utilization } = status;
+  const diff = available - actual;
+  const diffText =
+    diff >= 0
+      ? `${formatCurrency(diff)} left`
+      : `${formatCurrency(Math.abs(diff))} over`;
+
+  const periodInfo = document.createElement('div');
+  periodInfo.className = 'budget-period-label';
+  periodInfo.textContent = `${BUDGET_PERIOD_LABELS[status.period]} · ${status.periodLabel}${status.isEnded ? ' (ended)' : ''}`;
+  periodInfo.style.fontSize = FONT_SIZES.SM;
+  periodInfo.style.color = COLORS.TEXT_MUTED;
+  card.appendChild(periodInfo);
+
+  const progress = BudgetProgress({
+    utilization,
+    isExceeded: status.isExceeded,
+    isWarning: status.isWarning,
+    label: 'Spending',
+    secondaryLabel: `${formatCurrency(actual)} / ${formatCurrency(available)} (${diffText})`,
+    carriedIn,
+    limit: amountLimit,
+  });
+  card.appendChild(progress);
+
+  if (status.rollover) {
+    const envelope = EnvelopeHistory({ history: status.history });
+    if (envelope) card.appendChild(envelope);
+  }
+};
+
+// Effective date for an edited limit: today, or the start of the next period
+const getEffectiveFrom = (status, applyFrom) =>
+  applyFrom === 'next' ? addDays(toDateKey(status.periodEnd), 1) : undefined;
+
 /**
  * Create budgets management section
  * @param {Object} planningData - Essential data
@@ -45,6 +109,17 @@ export const BudgetsSection = async planningData => {
   let manualMode = false;
   const dismissedCategories = new Set();
 
+  // Returns false when the budget is invalid (e.g. a range without dates)
+  const saveBudget = budgetData => {
+    try {
+      StorageService.saveBudget(budgetData);
+      return true;
+    } catch (error) {
+      showErrorToast(error.message.replace('[BudgetService] ', ''));
+      return false;
+    }
+  };
+
   const render = async () => {
     container.innerHTML = '';
 
@@ -84,10 +159,12 @@ export const BudgetsSection = async planningData => {
     // Render suggestions if available and not all dismissed
     if (suggestions.length > 0) {
       const suggestionsContainer = BudgetSuggestionsContainer(suggestions, {
-        onAccept: async suggestion => {
-          StorageService.saveBudget({
+        onAccept: async (suggestion, index, period) => {
+          saveBudget({
             categoryName: suggestion.category,
-            amountLimit: suggestion.suggestedAmount,
+            amountLimit:
+              suggestion.periodAmounts?.[period] ?? suggestion.suggestedAmount,
+            period,
           });
           // Remove from suggestions and re-render
           suggestions = suggestions.filter(
@@ -95,20 +172,29 @@ export const BudgetsSection = async planningData => {
           );
           render();
         },
-        onAdjust: (suggestion, index) => {
+        onAdjust: (suggestion, index, period) => {
           // Replace the suggestion card with an edit form
           const cardEl =
             container.querySelectorAll('.budget-suggestion')[index];
           if (cardEl) {
             const form = BudgetForm({
               categoryName: suggestion.category,
-              initialLimit: suggestion.suggestedAmount,
-              onSave: limit => {
-                if (limit && limit > 0) {
-                  StorageService.saveBudget({
+              initialLimit:
+                suggestion.periodAmounts?.[period] ??
+                suggestion.suggestedAmount,
+              initialPeriod: period,
+              periodAmounts: suggestion.periodAmounts,
+              onSave: (limit, periodConfig) => {
+                if (
+                  limit &&
+                  limit > 0 &&
+                  !saveBudget({
                     categoryName: suggestion.category,
                     amountLimit: limit,
-                  });
+                    ...periodConfig,
+                  })
+                ) {
+                  return;
                 }
                 suggestions = suggestions.filter(
                   s => s.category !== suggestion.category
@@ -151,10 +237,14 @@ export const BudgetsSection = async planningData => {
       transactions,
       currentPeriod
     );
-    const budgets = StorageService.getBudgets();
+    // Each budget is measured in its own period window; limits saved under a
+    // previous base currency are already converted by BudgetPlanner
+    const allBudgets = BudgetPlanner.getBudgetsStatus(transactions);
+    const budgets = allBudgets.filter(isCategoryBudget);
+    const combinedBudgets = allBudgets.filter(b => !isCategoryBudget(b));
 
     // Show message if no budgets exist and no suggestions available
-    if (budgets.length === 0 && suggestions.length === 0) {
+    if (allBudgets.length === 0 && suggestions.length === 0) {
       const emptyMsg = document.createElement('div');
       emptyMsg.textContent =
         'No budgets set yet. Set a budget for a category below.';
@@ -230,33 +320,34 @@ export const BudgetsSection = async planningData => {
 
       if (cat.budget) {
         // Edit and Delete buttons
-        const editBtn = document.createElement('button');
-        editBtn.textContent = 'Edit';
-        editBtn.className = 'btn btn-ghost';
-        editBtn.style.padding = `${SPACING.XS} ${SPACING.SM}`;
-        editBtn.style.fontSize = FONT_SIZES.SM;
-
-        const deleteBtn = document.createElement('button');
-        deleteBtn.textContent = 'Delete';
-        deleteBtn.className = 'btn btn-ghost';
-        deleteBtn.style.padding = `${SPACING.XS} ${SPACING.SM}`;
-        deleteBtn.style.fontSize = FONT_SIZES.SM;
-        deleteBtn.style.color = COLORS.ERROR;
+        const editBtn = createActionButton('Edit');
+        const deleteBtn = createActionButton('Delete', COLORS.ERROR);
 
         editBtn.addEventListener('click', () => {
           card.innerHTML = '';
           const form = BudgetForm({
             categoryName: cat.name,
             initialLimit: cat.budget.amountLimit,
-            onSave: limit => {
+            initialPeriod: cat.budget.period,
+            initialStartDate: cat.budget.startDate,
+            initialEndDate: cat.budget.endDate,
+            initialRollover: cat.budget.rollover,
+            initialRolloverCap: cat.budget.rolloverCap,
+            showEffectiveFrom: true,
+            onSave: (limit, { applyFrom, ...periodConfig }) => {
               if (limit === 0 || limit === null) {
                 const existing = StorageService.getBudgetByCategory(cat.name);
                 if (existing) StorageService.deleteBudget(existing.id);
-              } else {
-                StorageService.saveBudget({
+              } else if (
+                !saveBudget({
                   categoryName: cat.name,
                   amountLimit: limit,
-                });
+                  ...periodConfig,
+                  // Earlier periods keep their limit either way
+                  effectiveFrom: getEffectiveFrom(cat.budget, applyFrom),
+                })
+              ) {
+                return;
               }
               render();
             },
@@ -284,11 +375,7 @@ export const BudgetsSection = async planningData => {
         actions.appendChild(deleteBtn);
       } else {
         // Set Budget button
-        const setBtn = document.createElement('button');
-        setBtn.textContent = 'Set Budget';
-        setBtn.className = 'btn btn-ghost';
-        setBtn.style.padding = `${SPACING.XS} ${SPACING.SM}`;
-        setBtn.style.fontSize = FONT_SIZES.SM;
+        const setBtn = createActionButton('Set Budget');
 
         setBtn.addEventListener('click', () => {
           card.innerHTML = '';
@@ -296,12 +383,18 @@ export const BudgetsSection = async planningData => {
           const form = BudgetForm({
             categoryName: cat.name,
             initialLimit: suggestedLimit,
-            onSave: limit => {
-              if (limit && limit > 0) {
-                StorageService.saveBudget({
+            periodAmounts: BudgetService.scaleSuggestion(cat.amount),
+            onSave: (limit, periodConfig) => {
+              if (
+                limit &&
+                limit > 0 &&
+                !saveBudget({
                   categoryName: cat.name,
                   amountLimit: limit,
-                });
+                  ...periodConfig,
+                })
+              ) {
+                return;
               }
               render();
             },
@@ -317,24 +410,7 @@ export const BudgetsSection = async planningData => {
       card.appendChild(header);
 
       if (cat.budget) {
-        const utilization =
-          cat.budget.amountLimit > 0
-            ? (cat.amount / cat.budget.amountLimit) * 100
-            : 0;
-        const diff = cat.budget.amountLimit - cat.amount;
-        const diffText =
-          diff >= 0
-            ? `${formatCurrency(diff)} left`
-            : `${formatCurrency(Math.abs(diff))} over`;
-
-        const progress = BudgetProgress({
-          utilization,
-          isExceeded: cat.amount > cat.budget.amountLimit,
-          isWarning: utilization >= 80 && utilization <= 100,
-          label: 'Spending',
-          secondaryLabel: `${formatCurrency(cat.amount)} / ${formatCurrency(cat.budget.amountLimit)} (${diffText})`,
-        });
-        card.appendChild(progress);
+        appendBudgetStatus(card, cat.budget);
       } else {
         const hint = document.createElement('div');
         hint.textContent = `Current spending: ${formatCurrency(cat.amount)}`;
@@ -347,6 +423,158 @@ export const BudgetsSection = async planningData => {
     });
 
     container.appendChild(listSection);
+    container.appendChild(renderCombinedBudgets(combinedBudgets));
+
+    if (allBudgets.length > 0) {
+      const report = BudgetPlanner.getAdherenceReport(transactions);
+      container.appendChild(
+        BudgetAdherenceReport({
+          report,
+          onExport: () =>
+            downloadCsv(
+              BudgetPlanner.adherenceReportToCsv(report),
+              `blinkbudget_budget_report_${toDateKey(new Date())}.csv`
+            ),
+        })
+      );
+    }
+  };
+
+  const getScopeOptions = () => ({
+    categories: CustomCategoryService.getAllCategoryNames('expense'),
+    tags: CustomCategoryService.getCheckboxCategories().map(c => c.name),
+    accounts: AccountService.getAccounts(),
+  });
+
+  /**
+   * Budgets spanning several categories, a tag or an account
+   * @param {Array} combinedBudgets - Budget statuses from BudgetPlanner
+   * @returns {HTMLElement}
+   */
+  const renderCombinedBudgets = combinedBudgets => {
+    const section = document.createElement('div');
+    section.className = 'combined-budgets';
+    section.style.display = 'flex';
+    section.style.flexDirection = 'column';
+    section.style.gap = SPACING.MD;
+
+    const header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.justifyContent = 'space-between';
+    header.style.alignItems = 'center';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Combined Budgets';
+    title.style.margin = '0';
+    header.appendChild(title);
+
+    const addBtn = createActionButton('Add');
+    header.appendChild(addBtn);
+    section.appendChild(header);
+
+    const hint = document.createElement('div');
+    hint.textContent =
+      'Budgets for several categories together, a tag (e.g. a trip) or an account.';
+    hint.style.fontSize = FONT_SIZES.SM;
+    hint.style.color = COLORS.TEXT_MUTED;
+    section.appendChild(hint);
+
+    const openForm = (target, status = null) => {
+      target.innerHTML = '';
+      target.appendChild(
+        BudgetForm({
+          categoryName: null,
+          initialName: status?.label || '',
+          initialScope: status?.scope || null,
+          initialLimit: status?.amountLimit || 0,
+          initialPeriod: status?.period,
+          initialStartDate: status?.startDate,
+          initialEndDate: status?.endDate,
+          initialRollover: status?.rollover,
+          initialRolloverCap: status?.rolloverCap,
+          showEffectiveFrom: Boolean(status),
+          scopeOptions: getScopeOptions(),
+          onSave: (limit, { applyFrom, ...config }) => {
+            if (!limit || limit <= 0) {
+              showErrorToast('Enter a limit above zero');
+              return;
+            }
+            const saved = saveBudget({
+              ...(status && { id: status.id }),
+              amountLimit: limit,
+              ...config,
+              effectiveFrom: status
+                ? getEffectiveFrom(status, applyFrom)
+                : undefined,
+            });
+            if (saved) render();
+          },
+          onCancel: () => render(),
+        })
+      );
+    };
+
+    addBtn.addEventListener('click', () => {
+      const formHost = document.createElement('div');
+      section.insertBefore(formHost, hint.nextSibling);
+      addBtn.disabled = true;
+      openForm(formHost);
+    });
+
+    combinedBudgets.forEach(status => {
+      const card = document.createElement('div');
+      card.className = 'budget-category-card budget-combined-card';
+      card.dataset.budgetId = status.id;
+      Object.assign(card.style, {
+        background: COLORS.SURFACE,
+        borderRadius: 'var(--radius-md)',
+        border: `1px solid ${COLORS.BORDER}`,
+        padding: SPACING.MD,
+        display: 'flex',
+        flexDirection: 'column',
+        gap: SPACING.SM,
+      });
+
+      const cardHeader = document.createElement('div');
+      cardHeader.style.display = 'flex';
+      cardHeader.style.justifyContent = 'space-between';
+      cardHeader.style.alignItems = 'center';
+
+      const name = document.createElement('span');
+      name.textContent = status.label;
+      name.style.fontWeight = 'bold';
+      cardHeader.appendChild(name);
+
+      const actions = document.createElement('div');
+      actions.style.display = 'flex';
+      actions.style.gap = SPACING.XS;
+      const editBtn = createActionButton('Edit');
+      const deleteBtn = createActionButton('Delete', COLORS.ERROR);
+      editBtn.addEventListener('click', () => openForm(card, status));
+      deleteBtn.addEventListener('click', async () => {
+        const { ConfirmDialog } =
+          await import('../../components/ConfirmDialog.js');
+        ConfirmDialog({
+          title: 'Delete Budget',
+          message: `Remove the "${status.label}" budget?`,
+          confirmText: 'Delete',
+          variant: 'danger',
+          onConfirm: () => {
+            StorageService.deleteBudget(status.id);
+            render();
+          },
+        });
+      });
+      actions.appendChild(editBtn);
+      actions.appendChild(deleteBtn);
+      cardHeader.appendChild(actions);
+      card.appendChild(cardHeader);
+
+      appendBudgetStatus(card, status);
+      section.appendChild(card);
+    });
+
+    return section;
   };
 
   await render();
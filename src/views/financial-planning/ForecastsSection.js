@@ -23,6 +23,7 @@ import {
   createUsageNote,
 } from '../../utils/financial-planning-helpers.js';
 import { ProgressiveEmptyState } from '../../components/ProgressiveEmptyState.js';
+import { formatMoney } from '../../utils/money-format.js';
 /**
  * Generate historical monthly data from transactions
  */
@@ -137,7 +138,7 @@ function createForecastTable(
 
       // Income
       const incomeCell = document.createElement('div');
-      incomeCell.textContent = `€${month.income.toFixed(2)}`;
+      incomeCell.textContent = formatMoney(month.income);
       incomeCell.style.color = COLORS.SUCCESS;
       incomeCell.style.fontWeight = '500';
       incomeCell.style.paddingTop = SPACING.SM;
@@ -146,7 +147,7 @@ function createForecastTable(
 
       // Expenses
       const expenseCell = document.createElement('div');
-      expenseCell.textContent = `€${month.expenses.toFixed(2)}`;
+      expenseCell.textContent = formatMoney(month.expenses);
       expenseCell.style.color = COLORS.ERROR;
       expenseCell.style.fontWeight = '500';
       expenseCell.style.paddingTop = SPACING.SM;
@@ -156,7 +157,7 @@ function createForecastTable(
       // Net
       const net = month.income - month.expenses;
       const netCell = document.createElement('div');
-      netCell.textContent = `€${net.toFixed(2)}`;
+      netCell.textContent = formatMoney(net);
       netCell.style.color = net >= 0 ? COLORS.SUCCESS : COLORS.ERROR;
       netCell.style.fontWeight = '600';
       netCell.style.paddingTop = SPACING.SM;
@@ -206,7 +207,7 @@ function createForecastTable(
 
     // Income
     const incomeCell = document.createElement('div');
-    incomeCell.textContent = `€${income.predictedAmount.toFixed(2)}`;
+    incomeCell.textContent = formatMoney(income.predictedAmount);
     incomeCell.style.color = COLORS.SUCCESS;
     incomeCell.style.fontWeight = '500';
     incomeCell.style.paddingTop = SPACING.SM;
@@ -215,7 +216,7 @@ function createForecastTable(
 
     // Expenses
     const expenseCell = document.createElement('div');
-    expenseCell.textContent = `€${expense.predictedAmount.toFixed(2)}`;
+    expenseCell.textContent = formatMoney(expense.predictedAmount);
     expenseCell.style.color = COLORS.ERROR;
     expenseCell.style.fontWeight = '500';
     expenseCell.style.paddingTop = SPACING.SM;
@@ -224,7 +225,7 @@ function createForecastTable(
 
     // Net
     const netCell = document.createElement('div');
-    netCell.textContent = `€${net.toFixed(2)}`;
+    netCell.textContent = formatMoney(net);
     netCell.style.color = net >= 0 ? COLORS.SUCCESS : COLORS.ERROR;
     netCell.style.fontWeight = '600';
     netCell.style.paddingTop = SPACING.SM;
@@ -342,6 +343,9 @@ export const ForecastsSection = async (
       return currentSavings < goal.targetAmount;
     };
     const activeGoal = goals.find(isActiveSavingsGoal) || null;
+    const recurringSchedules = Array.isArray(planningData.recurringSchedules)
+      ? planningData.recurringSchedules
+      : [];
     const forecastOptions = activeGoal
       ? {
           goalId: activeGoal.id,
@@ -351,8 +355,9 @@ export const ForecastsSection = async (
             targetAmount: activeGoal.targetAmount,
             targetDate: activeGoal.targetDate,
           },
+          recurringSchedules,
         }
-      : {};
+      : { recurringSchedules };
 
     const incomeForecasts = forecastEngine.generateIncomeForecasts(
       planningData.transactions,
@@ -361,7 +366,8 @@ export const ForecastsSection = async (
     );
     const expenseForecasts = forecastEngine.generateExpenseForecasts(
       planningData.transactions,
-      6
+      6,
+      { recurringSchedules }
     );
 
     // Create forecast summary cards
@@ -442,27 +448,27 @@ export const ForecastsSection = async (
     const summaryCards = [
       {
         label: 'Forecasted Income (6mo)',
-        value: `€${totalIncomeForecasted.toFixed(2)}`,
+        value: formatMoney(totalIncomeForecasted),
         color: COLORS.SUCCESS,
         icon: '📈',
-        subtitle: `Avg: €${(totalIncomeForecasted / 6).toFixed(2)}/month ${incomeTrend}`,
-        range: `Range: €${incomeRange.lower.toFixed(2)} - €${incomeRange.upper.toFixed(2)}`,
+        subtitle: `Avg: ${formatMoney(totalIncomeForecasted / 6)}/month ${incomeTrend}`,
+        range: `Range: ${formatMoney(incomeRange.lower)} - ${formatMoney(incomeRange.upper)}`,
       },
       {
         label: 'Forecasted Expenses (6mo)',
-        value: `€${totalExpensesForecasted.toFixed(2)}`,
+        value: formatMoney(totalExpensesForecasted),
         color: COLORS.ERROR,
         icon: '📉',
-        subtitle: `Avg: €${(totalExpensesForecasted / 6).toFixed(2)}/month ${expenseTrend}`,
-        range: `Range: €${expenseRange.lower.toFixed(2)} - €${expenseRange.upper.toFixed(2)}`,
+        subtitle: `Avg: ${formatMoney(totalExpensesForecasted / 6)}/month ${expenseTrend}`,
+        range: `Range: ${formatMoney(expenseRange.lower)} - ${formatMoney(expenseRange.upper)}`,
       },
       {
         label: 'Net Forecast (6mo)',
-        value: `€${netForecast.toFixed(2)}`,
+        value: formatMoney(netForecast),
         color: netForecast >= 0 ? COLORS.SUCCESS : COLORS.ERROR,
         icon: netForecast >= 0 ? '💰' : '⚠️',
-        subtitle: `Avg: €${(netForecast / 6).toFixed(2)}/month`,
-        range: `Range: €${netRange.lower.toFixed(2)} - €${netRange.upper.toFixed(2)}`,
+        subtitle: `Avg: ${formatMoney(netForecast / 6)}/month`,
+        range: `Range: ${formatMoney(netRange.lower)} - ${formatMoney(netRange.upper)}`,
       },
       {
         label: 'Forecast Confidence',
@@ -524,7 +530,7 @@ export const ForecastsSection = async (
         const meta = document.createElement('div');
         meta.style.fontSize = '0.85rem';
         meta.style.color = COLORS.TEXT_MUTED;
-        meta.textContent = `Target: €${goalComparison.targetAmount.toFixed(0)} by ${new Date(goalComparison.targetDate).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })} · Projected: €${goalComparison.projectedBalance.toFixed(0)}`;
+        meta.textContent = `Target: ${formatMoney(goalComparison.targetAmount, { decimals: 0 })} by ${new Date(goalComparison.targetDate).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })} · Projected: ${formatMoney(goalComparison.projectedBalance, { decimals: 0 })}`;
         goalCard.appendChild(meta);
 
         section.appendChild(goalCard);
@@ -24,6 +24,7 @@ import {
 import { refreshChart } from '../../utils/chart-refresh-helper.js';
 import { formatDateForDisplay } from '../../utils/date-utils.js';
 import { SavingsGoalsService } from '../../core/savings-goals-service.js';
+import { formatMoney } from '../../utils/money-format.js';
 
 /**
  * Create goal form controls
@@ -324,14 +325,8 @@ function createGoalsList(chartRenderer, activeCharts, section) {
         meta.style.fontSize = '0.9rem';
         meta.style.color = COLORS.TEXT_MUTED;
 
-        const currentFormatted = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'EUR',
-        }).format(goal.currentSavings);
-        const targetFormatted = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'EUR',
-        }).format(goal.targetAmount);
+        const currentFormatted = formatMoney(goal.currentSavings);
+        const targetFormatted = formatMoney(goal.targetAmount);
 
         // Security: Use safe DOM manipulation instead of innerHTML to prevent XSS
         meta.textContent = '';
@@ -371,10 +366,7 @@ function createGoalsList(chartRenderer, activeCharts, section) {
           monthlyNeeded.textContent = 'Need ';
           const neededSpan = document.createElement('span');
           neededSpan.className = 'currency-value';
-          neededSpan.textContent = new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'EUR',
-          }).format(needed);
+          neededSpan.textContent = formatMoney(needed);
           monthlyNeeded.appendChild(neededSpan);
           monthlyNeeded.appendChild(document.createTextNode(' / month'));
           left.appendChild(monthlyNeeded);
@@ -695,10 +687,7 @@ function createGoalsSummaryCard(goals) {
     { label: 'Completed', value: completedGoals },
     {
       label: 'Total Saved',
-      value: new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'EUR',
-      }).format(totalSaved),
+      value: formatMoney(totalSaved),
     },
     {
       label: 'Overall Progress',
@@ -804,7 +793,7 @@ export const GoalsSection = async (chartRenderer, activeCharts) => {
     if (projectedAmount > 0) {
       projectedGoal = {
         title: 'Projected Savings Goal',
-        description: `At your current rate, you could save ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'EUR' }).format(projectedAmount)} in 12 months.`,
+        description: `At your current rate, you could save ${formatMoney(projectedAmount)} in 12 months.`,
         targetAmount: projectedAmount,
         monthlySavings: Math.round(monthlySavings),
       };
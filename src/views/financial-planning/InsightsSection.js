@@ -21,6 +21,7 @@ import { InsightsGenerator } from '../../core/insights-generator.js';
 import { InflationTrends } from '../../components/InflationTrends.js';
 import { createNetBalanceChart } from '../../components/NetBalanceChart.js';
 import { ProgressiveEmptyState } from '../../components/ProgressiveEmptyState.js';
+import { formatMoney } from '../../utils/money-format.js';
 
 /**
  * Helper function to get transaction amount with consistent refund handling
@@ -130,11 +131,6 @@ function createTopMoversSection(
     list.style.gridTemplateColumns = '1fr auto';
     list.style.gap = SPACING.SM;
 
-    const currency = new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'EUR',
-    });
-
     topMovers.forEach(item => {
       const liLabel = document.createElement('li');
       liLabel.textContent = item.category;
@@ -142,7 +138,7 @@ function createTopMoversSection(
       liLabel.style.color = COLORS.TEXT_MAIN;
 
       const liValue = document.createElement('li');
-      liValue.textContent = currency.format(Math.abs(item.total));
+      liValue.textContent = formatMoney(Math.abs(item.total));
       liValue.style.textAlign = 'right';
       liValue.style.color = COLORS.TEXT_MUTED;
 
@@ -851,13 +847,7 @@ function createFinancialSnapshotSection(transactions) {
   }
 
   // --- Format helpers ---
-  const fmtUSD = value =>
-    new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(value);
+  const fmtWhole = value => formatMoney(value, { decimals: 0 });
 
   // --- Render the sentence ---
   const sentence = document.createElement('p');
@@ -872,21 +862,21 @@ function createFinancialSnapshotSection(transactions) {
   sentence.appendChild(document.createTextNode('Your monthly income is '));
 
   const salSpan = document.createElement('strong');
-  salSpan.textContent = fmtUSD(monthlyIncome);
+  salSpan.textContent = fmtWhole(monthlyIncome);
   salSpan.style.color = '#22c55e';
   sentence.appendChild(salSpan);
 
   sentence.appendChild(document.createTextNode(', expenses are '));
 
   const expSpan = document.createElement('strong');
-  expSpan.textContent = fmtUSD(monthlyExpenses);
+  expSpan.textContent = fmtWhole(monthlyExpenses);
   expSpan.style.color = '#ef4444';
   sentence.appendChild(expSpan);
 
   sentence.appendChild(document.createTextNode(', savings are '));
 
   const savSpan = document.createElement('strong');
-  savSpan.textContent = fmtUSD(monthlySavings);
+  savSpan.textContent = fmtWhole(monthlySavings);
   savSpan.style.color = monthlySavings >= 0 ? '#22c55e' : '#ef4444';
   sentence.appendChild(savSpan);
 
@@ -900,7 +890,7 @@ function createFinancialSnapshotSection(transactions) {
   debtContainer.style.cursor = 'pointer';
 
   const debtValueSpan = document.createElement('strong');
-  debtValueSpan.textContent = fmtUSD(totalDebt);
+  debtValueSpan.textContent = fmtWhole(totalDebt);
   debtValueSpan.style.color = totalDebt > 0 ? '#ef4444' : '#22c55e';
   debtContainer.appendChild(debtValueSpan);
 
@@ -964,7 +954,7 @@ function createFinancialSnapshotSection(transactions) {
       }
     }
 
-    debtValueSpan.textContent = fmtUSD(totalDebt);
+    debtValueSpan.textContent = fmtWhole(totalDebt);
     debtValueSpan.style.color = totalDebt > 0 ? '#ef4444' : '#22c55e';
     debtValueSpan.style.display = 'inline';
     editIcon.style.display = 'inline';
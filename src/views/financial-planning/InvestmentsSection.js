@@ -5,7 +5,8 @@
  * No charts. No allocation analysis. No type-specific fields.
  */
 
-import { COLORS, SPACING, CURRENCY_SYMBOL } from '../../utils/constants.js';
+import { COLORS, SPACING } from '../../utils/constants.js';
+import { formatMoney } from '../../utils/money-format.js';
 import {
   createUsageNote,
   createSectionContainer,
@@ -241,10 +242,10 @@ function createInvestmentsList() {
             ? ((gainLoss / purchaseValue) * 100).toFixed(1)
             : '0.0';
         const sign = gainLoss >= 0 ? '+' : '';
-        meta.textContent = `${inv.shares} shares @ ${CURRENCY_SYMBOL}${currentPrice.toFixed(2)} → `;
+        meta.textContent = `${inv.shares} shares @ ${formatMoney(currentPrice)} → `;
 
         const totalValueEl = document.createElement('strong');
-        totalValueEl.textContent = `${CURRENCY_SYMBOL}${currentValue.toFixed(2)}`;
+        totalValueEl.textContent = formatMoney(currentValue);
         meta.appendChild(totalValueEl);
 
         const gainSpan = document.createElement('span');
@@ -625,13 +626,12 @@ export const InvestmentsSection = async (_chartRenderer, _activeCharts) => {
   totalVal.textContent = 'Total: ';
   const valueSpan = document.createElement('span');
   valueSpan.className = 'currency-value';
-  valueSpan.textContent = `${CURRENCY_SYMBOL}${totalValue.toFixed(2)}`;
+  valueSpan.textContent = formatMoney(totalValue);
   totalVal.appendChild(valueSpan);
 
   const gainLoss = document.createElement('div');
   gainLoss.className = 'total-gain-loss';
-  const sign = totalGainLoss >= 0 ? '+' : '';
-  gainLoss.textContent = `Gain/Loss: ${sign}${CURRENCY_SYMBOL}${Math.abs(totalGainLoss).toFixed(2)}`;
+  gainLoss.textContent = `Gain/Loss: ${formatMoney(totalGainLoss, { signed: true })}`;
   gainLoss.style.color = totalGainLoss >= 0 ? COLORS.SUCCESS : COLORS.ERROR;
 
   stats.appendChild(totalVal);
@@ -19,6 +19,8 @@ import {
   createUsageNote,
 } from '../../utils/financial-planning-helpers.js';
 import { ProgressiveEmptyState } from '../../components/ProgressiveEmptyState.js';
+import { CurrencyService } from '../../core/currency-service.js';
+import { formatMoney } from '../../utils/money-format.js';
 
 // Risk thresholds for emergency fund assessment
 const RISK_THRESHOLDS = {
@@ -73,17 +75,17 @@ function assessEmergencyFundAdequacy(monthlyExpenses, emergencyFund) {
       status = 'adequate';
       riskLevel = 'moderate';
       message = `Minimum emergency fund: ${monthsCovered.toFixed(1)} months of expenses covered`;
-      recommendation = `Build emergency fund to €${recommendedAmount.toFixed(2)} (6 months of expenses)`;
+      recommendation = `Build emergency fund to ${formatMoney(recommendedAmount)} (6 months of expenses)`;
     } else if (monthsCovered > 0) {
       status = 'insufficient';
       riskLevel = 'critical';
       message = `Insufficient emergency fund: Only ${monthsCovered.toFixed(1)} months covered`;
-      recommendation = `Urgent: Build emergency fund to at least €${(monthlyExpenses * 3).toFixed(2)} (3 months minimum)`;
+      recommendation = `Urgent: Build emergency fund to at least ${formatMoney(monthlyExpenses * 3)} (3 months minimum)`;
     } else {
       status = 'none';
       riskLevel = 'critical';
       message = 'No emergency fund detected';
-      recommendation = `Critical: Start building emergency fund immediately. Target: €${recommendedAmount.toFixed(2)}`;
+      recommendation = `Critical: Start building emergency fund immediately. Target: ${formatMoney(recommendedAmount)}`;
     }
 
     return {
@@ -171,21 +173,24 @@ export const OverviewSection = planningData => {
   // Filter out ghost transactions for totals calculation (same as dashboard)
   const validTransactionsForStats = transactions.filter(t => !t.isGhost);
 
-  // Calculate ALL TIME totals (same as dashboard)
+  // Calculate ALL TIME totals (same as dashboard), in the base currency
+  const converter = CurrencyService.createConverter();
   validTransactionsForStats.forEach(t => {
+    const amount = converter.amount(t);
     if (t.type === 'income') {
-      allTimeIncome += t.amount;
+      allTimeIncome += amount;
     } else if (t.type === 'expense') {
-      allTimeExpense += t.amount;
+      allTimeExpense += amount;
     } else if (t.type === 'refund') {
-      allTimeExpense -= t.amount; // Refunds reduce expenses
+      allTimeExpense -= amount; // Refunds reduce expenses
     } else if (t.type === 'transfer') {
       // Track transfers separately - don't include in income/expense totals for savings rate
-      allTimeTransfers += t.amount;
+      allTimeTransfers += amount;
     }
   });
 
-  const currentBalance = allTimeIncome - allTimeExpense;
+  // Net worth: each account's balance converted at current rates
+  const currentBalance = CurrencyService.getNetWorth(validTransactionsForStats);
 
   // Calculate monthly expenses from recent data
   const now = new Date();
@@ -197,7 +202,7 @@ export const OverviewSection = planningData => {
   if (recentTransactions.length > 0) {
     const recentExpenses = recentTransactions
       .filter(t => t.type === 'expense')
-      .reduce((sum, t) => sum + t.amount, 0);
+      .reduce((sum, t) => sum + converter.amount(t), 0);
     const monthsOfData = Math.max(
       1,
       (now - threeMonthsAgo) / (1000 * 60 * 60 * 24 * 30)
@@ -224,7 +229,7 @@ export const OverviewSection = planningData => {
   const stats = [
     {
       label: 'Current Balance',
-      value: `€${currentBalance.toFixed(2)}`,
+      value: formatMoney(currentBalance),
       color: currentBalance >= 0 ? COLORS.SUCCESS : COLORS.ERROR,
       icon: '💰',
       subtitle: currentBalance >= 0 ? 'Positive balance' : 'Negative balance',
@@ -235,7 +240,7 @@ export const OverviewSection = planningData => {
     },
     {
       label: 'Monthly Expenses',
-      value: `€${monthlyExpenses.toFixed(2)}`,
+      value: formatMoney(monthlyExpenses),
       color: COLORS.ERROR,
       icon: '📉',
       subtitle: 'Average last 3 months',
@@ -385,11 +390,11 @@ function createEmergencyFundCard(assessment) {
   const detailItems = [
     {
       label: 'Current Amount',
-      value: `€${(assessment.currentAmount || 0).toFixed(2)}`,
+      value: formatMoney(assessment.currentAmount || 0),
     },
     {
       label: 'Target Amount',
-      value: `€${(assessment.targetAmount || 0).toFixed(2)}`,
+      value: formatMoney(assessment.targetAmount || 0),
     },
     {
       label: 'Months Covered',
@@ -399,7 +404,7 @@ function createEmergencyFundCard(assessment) {
       label: 'Shortfall',
       value:
         (assessment.shortfall || 0) > 0
-          ? `€${(assessment.shortfall || 0).toFixed(2)}`
+          ? formatMoney(assessment.shortfall || 0)
           : 'None',
     },
   ];
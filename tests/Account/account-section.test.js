@@ -24,6 +24,14 @@ vi.mock('../../src/utils/security-utils.js', () => ({
   sanitizeInput: vi.fn(input => input),
 }));
 
+// Mock CurrencyService (reads settings and rates from storage)
+vi.mock('../../src/core/currency-service.js', () => ({
+  CurrencyService: {
+    getBaseCurrency: vi.fn(() => 'EUR'),
+    getAccountCurrency: vi.fn(() => 'EUR'),
+  },
+}));
+
 describe('Account Type Labels', () => {
   // Expected account types that should be available in the dropdown
   const expectedAccountTypes = [
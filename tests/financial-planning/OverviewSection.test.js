@@ -36,6 +36,20 @@ vi.mock('../../src/utils/constants.js', () => ({
   },
 }));
 
+vi.mock('../../src/core/currency-service.js', () => ({
+  CurrencyService: {
+    createConverter: vi.fn(() => ({
+      amount: t => t.amount || 0,
+      destinationAmount: t => t.toAmount ?? t.amount ?? 0,
+    })),
+    getNetWorth: vi.fn(() => 0),
+  },
+}));
+
+vi.mock('../../src/utils/money-format.js', () => ({
+  formatMoney: vi.fn(value => `€${Number(value).toFixed(2)}`),
+}));
+
 vi.mock('../../src/components/financial-planning/StatsCard.js', () => ({
   StatsCard: vi.fn((title, value, subtitle, color) => {
     const card = document.createElement('div');
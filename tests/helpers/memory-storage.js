@@ -0,0 +1,18 @@
+/**
+ * Back the global localStorage with a plain object, so services read and
+ * write real values instead of the empty mock from tests/setup.js.
+ * @param {Object} [store] - Initial entries; the same object is written to
+ * @returns {Object} The backing store, for reading raw entries in assertions
+ */
+export const useMemoryStorage = (store = {}) => {
+  global.localStorage = {
+    getItem: key => (key in store ? store[key] : null),
+    setItem: (key, value) => {
+      store[key] = String(value);
+    },
+    removeItem: key => {
+      delete store[key];
+    },
+  };
+  return store;
+};
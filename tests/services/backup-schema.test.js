@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const cloudDocs = new Map();
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+vi.mock('../../src/core/analytics/AnalyticsInstance.js', () => ({
+  getAnalyticsEngine: () => ({ recordAmountPreset: vi.fn() }),
+}));
+
+vi.mock('../../src/core/firebase-config.js', () => ({
+  getDb: () => ({}),
+}));
+
+vi.mock('firebase/firestore', () => ({
+  doc: (_db, ...path) => path.join('/'),
+  collection: (_db, ...path) => path.join('/'),
+  setDoc: vi.fn(async (path, data) => {
+    cloudDocs.set(path, JSON.parse(JSON.stringify(data)));
+  }),
+  getDoc: vi.fn(async path => ({
+    exists: () => cloudDocs.has(path),
+    data: () => cloudDocs.get(path),
+  })),
+  getDocs: vi.fn(async prefix => ({
+    docs: [...cloudDocs.entries()]
+      .filter(([path]) => path.startsWith(`${prefix}/`))
+      .map(([path, data]) => ({
+        id: path.slice(prefix.length + 1),
+        data: () => data,
+      })),
+  })),
+  deleteDoc: vi.fn(async path => {
+    cloudDocs.delete(path);
+  }),
+}));
+
+import { BackupService } from '../../src/core/backup-service.js';
+import { BACKUP_SCHEMA_VERSION } from '../../src/utils/backup-utils.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const BACKUPS = 'users/user-1/backups';
+
+const budget = { id: 'b1', category: 'Храна', amount: 300 };
+const schedule = { id: 'r1', cadence: 'monthly', startDate: '2026-01-05' };
+
+describe('versioned backups', () => {
+  let store;
+
+  beforeEach(() => {
+    cloudDocs.clear();
+    store = useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+      ]),
+      [STORAGE_KEYS.BUDGETS]: JSON.stringify([budget]),
+      [STORAGE_KEYS.RECURRING]: JSON.stringify([schedule]),
+      [STORAGE_KEYS.AMOUNT_PRESETS]: JSON.stringify({
+        amounts: { 12: 3 },
+        presets: [12],
+      }),
+      [STORAGE_KEYS.PRIVACY_SETTINGS]: JSON.stringify({
+        privacyMode: 'enhanced',
+      }),
+    });
+    Object.defineProperty(navigator, 'onLine', {
+      value: true,
+      configurable: true,
+    });
+  });
+
+  it('captures every persisted domain and restores it', async () => {
+    await BackupService.createBackup();
+
+    const [[, backup]] = [...cloudDocs.entries()];
+    expect(backup.schemaVersion).toBe(BACKUP_SCHEMA_VERSION);
+    expect(backup.sections).toEqual(
+      expect.arrayContaining([
+        'budgets',
+        'customCategories',
+        'recurring',
+        'amountPresets',
+        'privacySettings',
+      ])
+    );
+    expect(backup.budgets).toEqual([budget]);
+
+    store[STORAGE_KEYS.BUDGETS] = JSON.stringify([]);
+    delete store[STORAGE_KEYS.AMOUNT_PRESETS];
+
+    const summary = await BackupService.restoreBackup();
+
+    expect(JSON.parse(store[STORAGE_KEYS.BUDGETS])).toEqual([budget]);
+    expect(JSON.parse(store[STORAGE_KEYS.AMOUNT_PRESETS]).presets).toEqual([
+      12,
+    ]);
+    expect(summary.budgets).toBe(1);
+  });
+
+  it('migrates old backups without touching domains they never captured', async () => {
+    cloudDocs.set(`${BACKUPS}/daily_backup`, {
+      backupDate: '2026-10-18',
+      dataAsOf: '2026-10-17',
+      transactions: [],
+      accounts: [{ id: 'main', name: 'Main Account' }],
+      settings: {},
+      goals: [],
+      investments: [],
+    });
+
+    const [snapshot] = await BackupService.listBackups();
+    const { completeness } = snapshot.verification.checks;
+    expect(snapshot.data.sections).not.toContain('budgets');
+    expect(completeness.summary.schemaVersion).toBe(1);
+    expect(completeness.issues).toContain(
+      'No budgets in backup (older backup format)'
+    );
+    expect(BackupService.diffBackup(snapshot.data).budgets).toBeUndefined();
+
+    await BackupService.restoreBackup('daily_backup');
+
+    expect(JSON.parse(store[STORAGE_KEYS.BUDGETS])).toEqual([budget]);
+    expect(JSON.parse(store[STORAGE_KEYS.RECURRING])).toEqual([schedule]);
+  });
+});
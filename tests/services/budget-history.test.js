@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+import { BudgetService } from '../../src/core/budget-service.js';
+import { BudgetPlanner } from '../../src/core/budget-planner.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const expense = (category, amount, date) => ({
+  id: `${category}-${date}`,
+  type: 'expense',
+  category,
+  amount,
+  accountId: 'main',
+  timestamp: new Date(`${date}T12:00:00`).toISOString(),
+});
+
+const monthOf = date => ({
+  startDate: new Date(`${date}T00:00:00`),
+  endDate: new Date(`${date}T23:59:59`),
+});
+
+describe('budget limit history', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+      ]),
+    });
+    vi.useFakeTimers();
+
+    vi.setSystemTime(new Date('2026-01-15T10:00:00'));
+    BudgetService.save({ categoryName: 'Храна', amountLimit: 100 });
+    vi.setSystemTime(new Date('2026-03-10T10:00:00'));
+    BudgetService.save({ categoryName: 'Храна', amountLimit: 150 });
+    vi.setSystemTime(new Date('2026-05-20T10:00:00'));
+    BudgetService.save({
+      categoryName: 'Храна',
+      amountLimit: 120,
+      effectiveFrom: '2026-06-01',
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('keeps the limit each period had', () => {
+    const budget = BudgetService.getByCategory('Храна');
+    expect(budget.amountLimit).toBe(150);
+    expect(budget.effectiveFrom).toBeUndefined();
+    expect(budget.limitHistory.map(v => v.effectiveFrom)).toEqual([
+      '2026-01-15',
+      '2026-03-10',
+      '2026-06-01',
+    ]);
+
+    // Saving an unchanged limit adds no version
+    BudgetService.save({ categoryName: 'Храна', amountLimit: 150 });
+    expect(BudgetService.getByCategory('Храна').limitHistory).toHaveLength(3);
+
+    const limitIn = date =>
+      BudgetPlanner.getBudgetsStatus([], monthOf(date))[0].amountLimit;
+    expect(limitIn('2026-02-28')).toBe(100);
+    // A change takes over the whole period it was made in
+    expect(limitIn('2026-03-31')).toBe(150);
+    expect(limitIn('2026-05-31')).toBe(150);
+  });
+
+  it('reports limit vs actual per month and exports CSV', () => {
+    BudgetService.save({
+      categoryName: 'Гориво',
+      amountLimit: 30,
+      period: 'weekly',
+    });
+
+    const report = BudgetPlanner.getAdherenceReport(
+      [
+        expense('Храна', 90, '2026-01-20'),
+        expense('Храна', 120, '2026-02-10'),
+        expense('Храна', 100, '2026-03-05'),
+        expense('Храна', 200, '2026-05-02'),
+        expense('Гориво', 100, '2026-05-03'),
+      ],
+      { months: 6 }
+    );
+
+    expect(report.months.map(m => m.key)).toEqual([
+      '2025-12',
+      '2026-01',
+      '2026-02',
+      '2026-03',
+      '2026-04',
+      '2026-05',
+    ]);
+
+    const food = report.rows.filter(r => r.categoryName === 'Храна');
+    expect(food.map(r => [r.month, r.limit, r.actual, r.variance])).toEqual([
+      ['2026-01', 100, 90, 10],
+      ['2026-02', 100, 120, -20],
+      ['2026-03', 150, 100, 50],
+      ['2026-04', 150, 0, 150],
+      ['2026-05', 150, 200, -50],
+    ]);
+    expect(report.categories[0]).toMatchObject({
+      exceededMonths: 2,
+      monthsTracked: 5,
+      variance: 140,
+    });
+
+    // Weekly limits are compared as their monthly share
+    const fuel = report.rows.filter(r => r.categoryName === 'Гориво');
+    expect(fuel).toHaveLength(1);
+    expect(fuel[0].limit).toBeCloseTo(130);
+
+    const csv = BudgetPlanner.adherenceReportToCsv(report).split('\n');
+    expect(csv[0]).toBe('Category,Month,Limit,Actual,Variance,Utilization %');
+    expect(csv[1]).toBe('Храна,2026-01,100.00,90.00,10.00,90.0');
+  });
+});
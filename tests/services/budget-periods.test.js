@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+import {
+  getBudgetWindow,
+  getBudgetPeriodMonths,
+} from '../../src/utils/budget-periods.js';
+import { toDateKey } from '../../src/utils/recurrence-utils.js';
+import { BudgetService } from '../../src/core/budget-service.js';
+import { BudgetPlanner } from '../../src/core/budget-planner.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const windowKeys = (budget, date) => {
+  const window = getBudgetWindow(budget, date);
+  return [toDateKey(window.startDate), toDateKey(window.endDate)];
+};
+
+const expense = (category, amount, date) => ({
+  id: `${category}-${date}-${amount}`,
+  type: 'expense',
+  category,
+  amount,
+  accountId: 'main',
+  timestamp: new Date(`${date}T12:00:00`).toISOString(),
+});
+
+describe('budget periods', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+      ]),
+    });
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-05-20T10:00:00'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('resolves the window containing a day for each period', () => {
+    const day = '2026-05-20'; // Wednesday
+    expect(windowKeys({ period: 'weekly' }, day)).toEqual([
+      '2026-05-18',
+      '2026-05-24',
+    ]);
+    expect(windowKeys({ period: 'monthly' }, day)).toEqual([
+      '2026-05-01',
+      '2026-05-31',
+    ]);
+    expect(windowKeys({ period: 'quarterly' }, day)).toEqual([
+      '2026-04-01',
+      '2026-06-30',
+    ]);
+    expect(windowKeys({ period: 'yearly' }, day)).toEqual([
+      '2026-01-01',
+      '2026-12-31',
+    ]);
+    expect(
+      windowKeys({ period: 'biweekly', startDate: '2026-05-01' }, day)
+    ).toEqual(['2026-05-15', '2026-05-28']);
+    expect(
+      windowKeys({ period: 'biweekly', startDate: '2026-05-01' }, '2026-04-30')
+    ).toEqual(['2026-04-17', '2026-04-30']);
+    expect(
+      windowKeys(
+        { period: 'custom', startDate: '2026-06-01', endDate: '2026-06-10' },
+        day
+      )
+    ).toEqual(['2026-06-01', '2026-06-10']);
+
+    // Legacy or broken records behave like monthly budgets
+    expect(getBudgetWindow({}, day).type).toBe('monthly');
+    expect(getBudgetWindow({ period: 'custom' }, day).type).toBe('monthly');
+    expect(getBudgetWindow({ period: 'quarterly' }, day).label).toBe('Q2 2026');
+  });
+
+  it('measures each budget against its own window', () => {
+    BudgetService.save({ categoryName: 'Храна', amountLimit: 100 });
+    BudgetService.save({
+      categoryName: 'Гориво',
+      amountLimit: 50,
+      period: 'weekly',
+    });
+    BudgetService.save({
+      categoryName: 'Заведения',
+      amountLimit: 1000,
+      period: 'yearly',
+    });
+
+    const transactions = [
+      expense('Храна', 60, '2026-05-02'),
+      expense('Храна', 30, '2026-04-28'),
+      expense('Гориво', 40, '2026-05-19'),
+      expense('Гориво', 40, '2026-05-12'),
+      expense('Заведения', 200, '2026-02-10'),
+      expense('Заведения', 100, '2026-05-05'),
+    ];
+
+    const status = Object.fromEntries(
+      BudgetPlanner.getBudgetsStatus(transactions).map(s => [s.categoryName, s])
+    );
+    expect(status['Храна']).toMatchObject({ period: 'monthly', actual: 60 });
+    expect(status['Гориво']).toMatchObject({
+      period: 'weekly',
+      actual: 40,
+      isWarning: true,
+    });
+    expect(status['Заведения']).toMatchObject({
+      actual: 300,
+      periodLabel: '2026',
+    });
+
+    // A past report period picks the windows containing its end
+    const april = {
+      startDate: new Date('2026-04-01T00:00:00'),
+      endDate: new Date('2026-04-30T23:59:59'),
+    };
+    const aprilStatus = BudgetPlanner.getBudgetsStatus(transactions, april);
+    expect(aprilStatus.find(s => s.categoryName === 'Храна').actual).toBe(30);
+  });
+
+  it('validates periods on save and scales suggestions', async () => {
+    expect(() =>
+      BudgetService.save({
+        categoryName: 'Храна',
+        amountLimit: 10,
+        period: 'daily',
+      })
+    ).toThrow('Unknown budget period');
+    expect(() =>
+      BudgetService.save({
+        categoryName: 'Храна',
+        amountLimit: 10,
+        period: 'custom',
+        startDate: '2026-06-10',
+        endDate: '2026-06-01',
+      })
+    ).toThrow();
+
+    const biweekly = BudgetService.save({
+      categoryName: 'Храна',
+      amountLimit: 10,
+      period: 'biweekly',
+    });
+    expect(biweekly.startDate).toBe('2026-05-20');
+
+    expect(
+      getBudgetPeriodMonths({
+        period: 'custom',
+        startDate: '2026-01-01',
+        endDate: '2026-12-31',
+      })
+    ).toBeCloseTo(12, 1);
+
+    const [suggestion] = await BudgetService.suggestBudgets([
+      expense('Храна', 300, '2026-05-01'),
+      expense('Храна', 300, '2026-04-01'),
+      expense('Храна', 300, '2026-03-01'),
+    ]);
+    expect(suggestion.suggestedAmount).toBe(300);
+    expect(suggestion.periodAmounts).toEqual({
+      weekly: 70,
+      biweekly: 140,
+      monthly: 300,
+      quarterly: 900,
+      yearly: 3600,
+    });
+  });
+});
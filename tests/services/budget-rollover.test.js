@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+import { BudgetService } from '../../src/core/budget-service.js';
+import { BudgetPlanner } from '../../src/core/budget-planner.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const expense = (amount, date) => ({
+  id: `${date}-${amount}`,
+  type: 'expense',
+  category: 'Храна',
+  amount,
+  accountId: 'main',
+  timestamp: new Date(`${date}T12:00:00`).toISOString(),
+});
+
+const transactions = [
+  expense(70, '2026-03-10'),
+  expense(150, '2026-04-10'),
+  expense(40, '2026-05-10'),
+];
+
+describe('budget rollover', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+      ]),
+    });
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-05-20T10:00:00'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('carries savings and overspending between periods', () => {
+    BudgetService.save({
+      categoryName: 'Храна',
+      amountLimit: 100,
+      rollover: true,
+      rolloverStartDate: '2026-03-01',
+    });
+
+    const [status] = BudgetPlanner.getBudgetsStatus(transactions);
+    expect(status.history.map(h => [h.carriedIn, h.spent, h.balance])).toEqual([
+      [0, 70, 30],
+      [30, 150, -20],
+      [-20, 40, 40],
+    ]);
+    expect(status).toMatchObject({
+      carriedIn: -20,
+      available: 80,
+      actual: 40,
+      remaining: 40,
+      utilization: 50,
+      isExceeded: false,
+    });
+
+    // Budgets without rollover keep the plain monthly view
+    BudgetService.save({ categoryName: 'Храна', rollover: false });
+    const [plain] = BudgetPlanner.getBudgetsStatus(transactions);
+    expect(plain).toMatchObject({
+      carriedIn: 0,
+      available: 100,
+      history: [],
+      rolloverStartDate: null,
+    });
+  });
+
+  it('caps carried savings but not overspending', () => {
+    BudgetService.save({
+      categoryName: 'Храна',
+      amountLimit: 100,
+      rollover: true,
+      rolloverCap: '10',
+      rolloverStartDate: '2026-03-01',
+    });
+
+    const [status] = BudgetPlanner.getBudgetsStatus(transactions);
+    expect(status.history.map(h => h.carriedIn)).toEqual([0, 10, -40]);
+    expect(status.available).toBe(60);
+    expect(BudgetPlanner.getSummary(transactions).totalAvailable).toBe(20);
+
+    expect(() =>
+      BudgetService.save({
+        categoryName: 'Храна',
+        rollover: true,
+        rolloverCap: -5,
+      })
+    ).toThrow('carry-over cap');
+  });
+});
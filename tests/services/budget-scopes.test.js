@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+import { BudgetService } from '../../src/core/budget-service.js';
+import { BudgetPlanner } from '../../src/core/budget-planner.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const expense = (category, amount, extra = {}) => ({
+  id: `${category}-${amount}`,
+  type: 'expense',
+  category,
+  amount,
+  accountId: 'main',
+  timestamp: new Date('2026-05-10T12:00:00').toISOString(),
+  ...extra,
+});
+
+const transactions = [
+  expense('Храна', 120),
+  expense('Заведения', 60, { tags: ['Vacation 2026'] }),
+  expense('Гориво', 40, { tags: ['Vacation 2026'], accountId: 'card' }),
+  expense('Гориво', 25, { accountId: 'card' }),
+];
+
+describe('combined budgets', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+        { id: 'card', name: 'Credit Card' },
+      ]),
+    });
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-05-20T10:00:00'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('tracks categories, tags and accounts alongside category budgets', () => {
+    BudgetService.save({ categoryName: 'Храна', amountLimit: 100 });
+    BudgetService.save({
+      amountLimit: 200,
+      scope: { type: 'categories', categories: ['Храна', 'Заведения'] },
+    });
+    BudgetService.save({
+      name: 'Summer trip',
+      amountLimit: 90,
+      scope: { type: 'tag', tag: 'Vacation 2026' },
+    });
+    BudgetService.save({
+      amountLimit: 50,
+      scope: { type: 'account', accountId: 'card' },
+    });
+
+    // The scoped budget does not replace the category budget
+    expect(BudgetService.getAll()).toHaveLength(4);
+    expect(BudgetService.getByCategory('Храна').amountLimit).toBe(100);
+
+    const byLabel = Object.fromEntries(
+      BudgetPlanner.getBudgetsStatus(transactions).map(s => [s.label, s])
+    );
+    expect(Object.keys(byLabel)).toEqual([
+      'Храна',
+      'Храна + Заведения',
+      'Summer trip',
+      'Account card',
+    ]);
+    expect(byLabel['Храна']).toMatchObject({ actual: 120, isExceeded: true });
+    expect(byLabel['Храна + Заведения']).toMatchObject({
+      actual: 180,
+      isWarning: true,
+    });
+    expect(byLabel['Summer trip']).toMatchObject({
+      actual: 100,
+      isExceeded: true,
+    });
+    expect(byLabel['Account card']).toMatchObject({
+      actual: 65,
+      isExceeded: true,
+    });
+
+    const report = BudgetPlanner.getAdherenceReport(transactions, {
+      months: 1,
+    });
+    expect(report.categories.map(c => c.categoryName)).toContain('Summer trip');
+  });
+
+  it('rejects incomplete scopes', () => {
+    expect(() =>
+      BudgetService.save({
+        amountLimit: 100,
+        scope: { type: 'categories', categories: ['Храна', 'Храна'] },
+      })
+    ).toThrow('at least two categories');
+    expect(() =>
+      BudgetService.save({ amountLimit: 100, scope: { type: 'tag', tag: ' ' } })
+    ).toThrow('Pick a tag');
+    expect(() =>
+      BudgetService.save({ amountLimit: 100, scope: { type: 'payee' } })
+    ).toThrow();
+    expect(BudgetService.getAll()).toEqual([]);
+  });
+});
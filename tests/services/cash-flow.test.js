@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+import { MetricsService } from '../../src/core/analytics/MetricsService.js';
+import { layoutSankey } from '../../src/utils/sankey-layout.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const tx = (id, type, amount, date, extra = {}) => ({
+  id,
+  type,
+  amount,
+  accountId: 'main',
+  category: 'Храна',
+  timestamp: new Date(`${date}T12:00:00`).toISOString(),
+  ...extra,
+});
+
+const march = {
+  startDate: new Date(2026, 2, 1),
+  endDate: new Date(2026, 2, 31),
+};
+
+const summarize = flow =>
+  flow.links.map(link => [link.source, link.target, link.value]);
+
+describe('MetricsService.calculateCashFlow', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+        { id: 'cash', name: 'Cash' },
+      ]),
+    });
+  });
+
+  it('routes income through accounts to spending and savings', () => {
+    const flow = MetricsService.calculateCashFlow(
+      [
+        tx('a', 'income', 1000, '2026-03-01', { category: 'Заплата' }),
+        tx('b', 'expense', 300, '2026-03-03'),
+        tx('c', 'refund', 50, '2026-03-04'),
+        tx('d', 'expense', 80, '2026-03-05', { accountId: 'cash' }),
+        tx('e', 'transfer', 200, '2026-03-06', { toAccountId: 'cash' }),
+        tx('f', 'expense', 999, '2026-02-27'),
+      ],
+      march
+    );
+
+    expect(summarize(flow)).toEqual([
+      ['income:Заплата', 'account:main', 1000],
+      ['account:main', 'expense:Храна', 250],
+      ['account:cash', 'expense:Храна', 80],
+      ['account:main', 'savings', 550],
+      ['account:cash', 'savings', 120],
+    ]);
+    expect(flow).toMatchObject({
+      totalIncome: 1000,
+      totalExpenses: 330,
+      netBalance: 670,
+    });
+    expect(flow.nodes.map(node => node.label)).toEqual([
+      'Заплата',
+      'Main Account',
+      'Cash',
+      'Храна',
+      'Savings',
+    ]);
+    expect(flow.links[1].category).toBe('Храна');
+    expect(flow.links[3].category).toBeNull();
+  });
+
+  it('funds spending from a transfer without savings or deficit flows', () => {
+    const flow = MetricsService.calculateCashFlow(
+      [
+        tx('salary', 'income', 500, '2026-03-01', { category: 'Заплата' }),
+        tx('rent', 'expense', 300, '2026-03-02'),
+        tx('move', 'transfer', 200, '2026-03-03', { toAccountId: 'cash' }),
+        tx('food', 'expense', 200, '2026-03-04', { accountId: 'cash' }),
+      ],
+      march
+    );
+
+    expect(summarize(flow)).toEqual([
+      ['income:Заплата', 'account:main', 500],
+      ['account:main', 'expense:Храна', 300],
+      ['account:cash', 'expense:Храна', 200],
+    ]);
+    expect(flow.nodes.map(node => node.kind)).not.toContain('savings');
+    expect(flow.nodes.map(node => node.kind)).not.toContain('deficit');
+  });
+
+  it('folds the smallest categories into an unclickable "Other"', () => {
+    const categories = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'];
+    const flow = MetricsService.calculateCashFlow(
+      [
+        tx('salary', 'income', 1000, '2026-03-01', { category: 'Заплата' }),
+        ...categories.map((category, i) =>
+          tx(category, 'expense', 100 - i, '2026-03-10', { category })
+        ),
+      ],
+      march
+    );
+
+    const other = flow.nodes.find(node => node.id === 'expense:');
+    expect(other).toMatchObject({ label: 'Other', category: null });
+    expect(flow.links.find(link => link.target === 'expense:').value).toBe(
+      92 + 91
+    );
+    expect(flow.nodes.filter(node => node.kind === 'expense')).toHaveLength(9);
+  });
+});
+
+describe('layoutSankey', () => {
+  it('stacks bands on their nodes in proportion to the values', () => {
+    const layout = layoutSankey(
+      {
+        nodes: [
+          { id: 'in', column: 0 },
+          { id: 'a', column: 1 },
+          { id: 'b', column: 1 },
+        ],
+        links: [
+          { source: 'in', target: 'a', value: 30 },
+          { source: 'in', target: 'b', value: 10 },
+          { source: 'in', target: 'missing', value: 5 },
+        ],
+      },
+      { width: 200, height: 100, nodeWidth: 10, nodePadding: 20 }
+    );
+
+    const byId = Object.fromEntries(layout.nodes.map(n => [n.id, n]));
+    // (100 - 20 padding) / 40 = 2 per unit in the busier column
+    expect(byId.a).toMatchObject({ x: 190, y: 0, height: 60, value: 30 });
+    expect(byId.b).toMatchObject({ y: 80, height: 20 });
+    expect(byId.in).toMatchObject({ x: 0, y: 10, height: 80 });
+
+    expect(layout.links).toHaveLength(2);
+    expect(layout.links[0]).toMatchObject({
+      width: 60,
+      sourceY: 40,
+      targetY: 30,
+      path: 'M10,40C100,40 100,30 190,30',
+    });
+    expect(layout.links[1]).toMatchObject({ sourceY: 80, targetY: 90 });
+  });
+});
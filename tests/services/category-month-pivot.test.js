@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+import { MetricsService } from '../../src/core/analytics/MetricsService.js';
+import {
+  buildSpreadsheetXml,
+  escapeXml,
+} from '../../src/utils/spreadsheetml.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const tx = (id, type, amount, date, extra = {}) => ({
+  id,
+  type,
+  amount,
+  accountId: 'main',
+  category: 'Храна',
+  timestamp: new Date(`${date}T12:00:00`).toISOString(),
+  ...extra,
+});
+
+const firstQuarter = {
+  startDate: new Date(2026, 0, 15),
+  endDate: new Date(2026, 2, 10),
+};
+
+const transactions = [
+  tx('a', 'expense', 40, '2026-01-20', { tags: ['trip', 'food'] }),
+  tx('b', 'expense', 15, '2026-01-10'), // before the range
+  tx('c', 'refund', 10, '2026-02-03', { tags: ['trip'] }),
+  tx('d', 'expense', 25, '2026-03-05', {
+    category: 'Транспорт',
+    accountId: 'cash',
+  }),
+  tx('e', 'expense', 99, '2026-03-20'), // after the range
+  tx('f', 'income', 1000, '2026-02-01'),
+  tx('g', 'transfer', 300, '2026-02-01'),
+];
+
+describe('MetricsService.calculateCategoryMonthPivot', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+        { id: 'cash', name: 'Cash' },
+      ]),
+    });
+  });
+
+  it('builds a category by month matrix clipped to the range', () => {
+    const pivot = MetricsService.calculateCategoryMonthPivot(
+      transactions,
+      firstQuarter
+    );
+
+    expect(pivot.months.map(m => m.label)).toEqual([
+      'Jan 2026',
+      'Feb 2026',
+      'Mar 2026',
+    ]);
+    expect(pivot.rows).toEqual([
+      { category: 'Храна', split: '', values: [40, -10, 0], total: 30 },
+      { category: 'Транспорт', split: '', values: [0, 0, 25], total: 25 },
+    ]);
+    expect(pivot.columnTotals).toEqual([40, -10, 25]);
+    expect(pivot.grandTotal).toBe(55);
+  });
+
+  it('splits rows by type and by account', () => {
+    const byType = MetricsService.calculateCategoryMonthPivot(
+      transactions,
+      firstQuarter,
+      { splitBy: 'type' }
+    );
+    expect(byType.rows.map(r => [r.category, r.split, r.total])).toEqual([
+      ['Храна', 'Expense', 40],
+      ['Храна', 'Refund', -10],
+      ['Транспорт', 'Expense', 25],
+    ]);
+
+    const byAccount = MetricsService.calculateCategoryMonthPivot(
+      transactions,
+      firstQuarter,
+      { splitBy: 'account' }
+    );
+    expect(byAccount.rows.map(r => [r.category, r.split])).toEqual([
+      ['Храна', 'Main Account'],
+      ['Транспорт', 'Cash'],
+    ]);
+  });
+
+  it('lists a transaction under every tag but counts it once in totals', () => {
+    const pivot = MetricsService.calculateCategoryMonthPivot(
+      transactions,
+      firstQuarter,
+      { splitBy: 'tag' }
+    );
+
+    expect(pivot.rows.map(r => [r.category, r.split, r.values])).toEqual([
+      ['Храна', 'food', [40, 0, 0]],
+      ['Храна', 'trip', [40, -10, 0]],
+      ['Транспорт', 'No tag', [0, 0, 25]],
+    ]);
+    expect(pivot.columnTotals).toEqual([40, -10, 25]);
+  });
+
+  it('exports the matrix with a totals line as CSV and SpreadsheetML', () => {
+    const pivot = MetricsService.calculateCategoryMonthPivot(
+      transactions,
+      firstQuarter,
+      { splitBy: 'account' }
+    );
+
+    expect(MetricsService.pivotToCsv(pivot).split('\n')).toEqual([
+      'Category,Account,Jan 2026,Feb 2026,Mar 2026,Total',
+      'Храна,Main Account,40.00,-10.00,0.00,30.00',
+      'Транспорт,Cash,0.00,0.00,25.00,25.00',
+      'Total,,40.00,-10.00,25.00,55.00',
+    ]);
+
+    const xml = MetricsService.pivotToSpreadsheetXml(pivot);
+    expect(xml).toContain('<Worksheet ss:Name="Spending by month">');
+    expect(xml).toContain(
+      '<Cell ss:StyleID="amount"><Data ss:Type="Number">-10</Data></Cell>'
+    );
+    expect(xml).toContain(
+      '<Cell ss:StyleID="total"><Data ss:Type="Number">55</Data></Cell>'
+    );
+  });
+});
+
+describe('buildSpreadsheetXml', () => {
+  it('escapes text and cleans the sheet name', () => {
+    const xml = buildSpreadsheetXml({
+      name: 'Q1 [draft]: costs & fees',
+      headers: ['Name'],
+      rows: [['<R&D> "lab"'], [12.5]],
+    });
+
+    expect(xml).toContain('<Worksheet ss:Name="Q1  draft   costs &amp; fees">');
+    expect(xml).toContain(
+      '<Data ss:Type="String">&lt;R&amp;D&gt; &quot;lab&quot;</Data>'
+    );
+    expect(xml).toContain('<Data ss:Type="Number">12.5</Data>');
+    expect(xml).not.toContain('ss:StyleID="total"><Data');
+  });
+
+  it('drops control characters XML 1.0 does not allow', () => {
+    expect(escapeXml('Bad\x01name\x1F\ttab\x0B')).toBe('Badname\ttab');
+    expect(
+      buildSpreadsheetXml({ name: 'x', headers: ['A\x00'], rows: [] })
+    ).toContain('<Data ss:Type="String">A</Data>');
+  });
+});
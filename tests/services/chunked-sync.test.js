@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const cloud = new Map();
+let serverTime = 1000;
+
+const pathOf = (base, segments) =>
+  [base?.path, ...segments].filter(Boolean).join('/');
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+vi.mock('../../src/core/firebase-config.js', () => ({
+  getDb: () => ({}),
+}));
+
+vi.mock('firebase/firestore', () => {
+  const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+  const snapshotOf = (path, data) => ({
+    id: path.split('/').pop(),
+    exists: () => data !== undefined,
+    data: () => data,
+  });
+  return {
+    doc: (base, ...segments) => ({ path: pathOf(base, segments) }),
+    collection: (base, ...segments) => ({ path: pathOf(base, segments) }),
+    query: (ref, ...constraints) => ({ path: ref.path, constraints }),
+    where: (field, op, value) => ({ field, op, value }),
+    limit: count => ({ limit: count }),
+    serverTimestamp: () => SERVER_TIMESTAMP,
+    Timestamp: { fromMillis: ms => ({ ms }) },
+    getDoc: vi.fn(async ref => snapshotOf(ref.path, cloud.get(ref.path))),
+    getDocs: vi.fn(async ref => {
+      let docs = [...cloud.entries()].filter(
+        ([path]) =>
+          path.startsWith(`${ref.path}/`) &&
+          !path.slice(ref.path.length + 1).includes('/')
+      );
+      (ref.constraints || []).forEach(constraint => {
+        if (constraint.field) {
+          docs = docs.filter(
+            ([, data]) => data.syncedAt.toMillis() > constraint.value.ms
+          );
+        }
+        if (constraint.limit) docs = docs.slice(0, constraint.limit);
+      });
+      return {
+        empty: docs.length === 0,
+        docs: docs.map(([path, data]) => snapshotOf(path, data)),
+      };
+    }),
+    setDoc: vi.fn(async (ref, data) => {
+      cloud.set(ref.path, data);
+    }),
+    writeBatch: () => {
+      const writes = [];
+      return {
+        set: (ref, data) => writes.push([ref.path, data]),
+        commit: async () => {
+          const time = ++serverTime;
+          writes.forEach(([path, data]) => {
+            cloud.set(path, {
+              ...data,
+              syncedAt: { toMillis: () => time },
+            });
+          });
+        },
+      };
+    },
+    onSnapshot: vi.fn(() => () => {}),
+  };
+});
+
+import { SyncService } from '../../src/core/sync-service.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const KEY = STORAGE_KEYS.TRANSACTIONS;
+const CHUNKS = `users/user-1/${KEY}_chunks`;
+
+const tx = (id, month, amount = 10) => ({
+  id,
+  amount,
+  timestamp: `2026-${month}-10T10:00:00.000Z`,
+  updatedAt: `2026-${month}-10T10:00:00.000Z`,
+});
+
+const localTransactions = () => JSON.parse(store[KEY] || '[]');
+
+let store;
+
+describe('chunked transaction sync', () => {
+  beforeEach(() => {
+    cloud.clear();
+    serverTime = 1000;
+    store = useMemoryStorage();
+    SyncService.pendingWrites.clear();
+    SyncService.lastPushTimes.clear();
+  });
+
+  it('moves the legacy single document into monthly chunks', async () => {
+    cloud.set(`users/user-1/${KEY}/data`, {
+      items: [tx('a', '08'), tx('b', '09')],
+    });
+    store[KEY] = JSON.stringify([tx('offline', '09')]);
+
+    await SyncService.pullFromCloud('user-1');
+
+    expect(
+      localTransactions()
+        .map(t => t.id)
+        .sort()
+    ).toEqual(['a', 'b', 'offline']);
+    expect(cloud.get(`${CHUNKS}/2026-08`).items).toHaveLength(1);
+    expect(cloud.get(`${CHUNKS}/2026-09`).items).toHaveLength(2);
+  });
+
+  it('pulls existing chunks and then pushes only the month that changed', async () => {
+    cloud.set(`${CHUNKS}/2026-08`, {
+      items: [tx('a', '08')],
+      syncedAt: { toMillis: () => 500 },
+    });
+    cloud.set(`${CHUNKS}/2026-09`, {
+      items: [tx('b', '09')],
+      syncedAt: { toMillis: () => 600 },
+    });
+
+    await SyncService.pullFromCloud('user-1');
+    expect(localTransactions().map(t => t.id)).toEqual(['a', 'b']);
+
+    const edited = localTransactions().map(t =>
+      t.id === 'b' ? { ...t, amount: 25 } : t
+    );
+    await SyncService._executePush(KEY, edited, 'user-1');
+
+    expect(cloud.get(`${CHUNKS}/2026-08`).syncedAt.toMillis()).toBe(500);
+    expect(cloud.get(`${CHUNKS}/2026-09`).items[0].amount).toBe(25);
+  });
+});
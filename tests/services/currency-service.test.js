@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+vi.mock('../../src/core/analytics/AnalyticsInstance.js', () => ({
+  getAnalyticsEngine: () => ({ recordAmountPreset: vi.fn() }),
+}));
+
+import { CurrencyService } from '../../src/core/currency-service.js';
+import { TransactionService } from '../../src/core/transaction-service.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+describe('CurrencyService', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+        { id: 'usd', name: 'US Card', currency: 'USD' },
+      ]),
+    });
+  });
+
+  it('converts through the rate table and keeps rates when the base changes', () => {
+    CurrencyService.setRate('USD', 0.9);
+    CurrencyService.setRate('GBP', 1.2);
+
+    expect(CurrencyService.getBaseCurrency()).toBe('EUR');
+    expect(CurrencyService.toBase(100, 'USD')).toBeCloseTo(90);
+    expect(CurrencyService.convert(90, 'USD', 'GBP')).toBeCloseTo(67.5);
+    expect(CurrencyService.toBase(10, 'JPY')).toBeNull();
+    expect(CurrencyService.hasRate('JPY')).toBe(false);
+
+    CurrencyService.setBaseCurrency('USD');
+    const rates = Object.fromEntries(
+      CurrencyService.getRates().map(r => [r.currency, r.rate])
+    );
+    expect(rates.EUR).toBeCloseTo(1 / 0.9);
+    expect(rates.GBP).toBeCloseTo(1.2 / 0.9);
+    expect(CurrencyService.getRateTable().base).toBe('USD');
+  });
+
+  it('counts amounts without a rate at face value and lists their currencies', () => {
+    expect(CurrencyService.getMissingRates()).toEqual(['USD']);
+
+    const converter = CurrencyService.createConverter();
+    expect(
+      converter.amount({ amount: 40, accountId: 'usd', type: 'expense' })
+    ).toBe(40);
+    expect(converter.toBase(5, 'EUR')).toBe(5);
+    expect([...converter.missingCurrencies]).toEqual(['USD']);
+
+    CurrencyService.setRate('USD', 0.9);
+    expect(CurrencyService.getMissingRates()).toEqual([]);
+    CurrencyService.removeRate('USD');
+    expect(CurrencyService.getMissingRates()).toEqual(['USD']);
+  });
+
+  it('imports JSON and CSV rate files', () => {
+    const jsonCount = CurrencyService.importRates(
+      JSON.stringify({ base: 'EUR', rates: { USD: 1.25, BGN: 1.95583 } })
+    );
+    expect(jsonCount).toBe(2);
+    expect(CurrencyService.toBase(125, 'USD')).toBeCloseTo(100);
+
+    const csvCount = CurrencyService.importRates(
+      'currency,rate\nCHF;1,05\nEUR,1\n'
+    );
+    expect(csvCount).toBe(1);
+    expect(CurrencyService.toBase(100, 'CHF')).toBeCloseTo(105);
+    expect(() => CurrencyService.importRates('{"rates":{}}')).toThrow();
+  });
+
+  it('stamps transfers across currencies and reports net worth in the base currency', () => {
+    CurrencyService.setRate('USD', 0.8);
+
+    TransactionService.add({
+      amount: 1000,
+      type: 'income',
+      category: 'Заплата',
+      accountId: 'main',
+    });
+    const transfer = TransactionService.add({
+      amount: 100,
+      type: 'transfer',
+      accountId: 'main',
+      toAccountId: 'usd',
+    });
+    const spend = TransactionService.add({
+      amount: 50,
+      type: 'expense',
+      category: 'Храна',
+      accountId: 'usd',
+    });
+
+    expect(transfer).toMatchObject({
+      currency: 'EUR',
+      toCurrency: 'USD',
+      toAmount: 125,
+    });
+    expect(spend.currency).toBe('USD');
+
+    const balances = Object.fromEntries(
+      CurrencyService.getAccountBalances(TransactionService.getAll()).map(b => [
+        b.accountId,
+        b,
+      ])
+    );
+    expect(balances.main.balance).toBe(900);
+    expect(balances.usd).toMatchObject({ currency: 'USD', balance: 75 });
+    expect(balances.usd.baseBalance).toBeCloseTo(60);
+    expect(
+      CurrencyService.getNetWorth(TransactionService.getAll())
+    ).toBeCloseTo(960);
+
+    // Editing the amount re-derives the received amount
+    const updated = TransactionService.update(transfer.id, { amount: 200 });
+    expect(updated.toAmount).toBe(250);
+  });
+});
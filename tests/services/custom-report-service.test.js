@@ -0,0 +1,212 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+import { CustomReportService } from '../../src/core/custom-report-service.js';
+import { TombstoneService } from '../../src/core/tombstone-service.js';
+import { SyncService } from '../../src/core/sync-service.js';
+import {
+  buildWidgetData,
+  toPieSlices,
+  MAX_CATEGORY_SERIES,
+} from '../../src/utils/report-widgets.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const tx = (id, type, amount, date, extra = {}) => ({
+  id,
+  type,
+  amount,
+  accountId: 'main',
+  category: 'Храна',
+  timestamp: new Date(`${date}T12:00:00`).toISOString(),
+  ...extra,
+});
+
+const march = {
+  startDate: new Date(2026, 2, 1),
+  endDate: new Date(2026, 2, 31, 23, 59, 59, 999),
+};
+
+const options = { amountOf: t => t.amount, timePeriod: march };
+
+describe('report-widgets', () => {
+  it('groups spending by weekday, net of refunds', () => {
+    const data = buildWidgetData(
+      { groupBy: 'weekday', metric: 'expenses' },
+      [
+        tx('a', 'expense', 30, '2026-03-02'), // Monday
+        tx('b', 'refund', 10, '2026-03-09'), // Monday
+        tx('c', 'expense', 25, '2026-03-08'), // Sunday
+        tx('d', 'income', 1000, '2026-03-08'),
+        tx('e', 'transfer', 500, '2026-03-08'),
+      ],
+      options
+    );
+
+    expect(data.labels).toEqual([
+      'Mon',
+      'Tue',
+      'Wed',
+      'Thu',
+      'Fri',
+      'Sat',
+      'Sun',
+    ]);
+    expect(data.series).toEqual([
+      { label: 'Spending', values: [20, 0, 0, 0, 0, 0, 25] },
+    ]);
+    expect(data.total).toBe(45);
+  });
+
+  it('counts a transaction under each of its tags', () => {
+    const data = buildWidgetData(
+      { groupBy: 'tag', metric: 'net' },
+      [
+        tx('a', 'expense', 40, '2026-03-02', { tags: ['trip', 'food'] }),
+        tx('b', 'income', 100, '2026-03-03', { tags: ['trip'] }),
+        tx('c', 'expense', 5, '2026-03-04'),
+      ],
+      options
+    );
+
+    expect(data.labels).toEqual(['trip', 'food', 'No tag']);
+    expect(data.series[0].values).toEqual([60, -40, -5]);
+    expect(toPieSlices(data)).toEqual({ labels: ['trip'], values: [60] });
+  });
+
+  it('builds one series per top category across the months', () => {
+    const categories = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+    const transactions = categories.flatMap((category, i) => [
+      tx(`${category}-jan`, 'expense', 100 - i, '2026-01-10', { category }),
+      tx(`${category}-mar`, 'expense', 10, '2026-03-10', { category }),
+    ]);
+
+    const data = buildWidgetData(
+      { groupBy: 'category-month', metric: 'expenses' },
+      transactions,
+      {
+        amountOf: t => t.amount,
+        timePeriod: { startDate: new Date(2026, 0, 1), endDate: march.endDate },
+      }
+    );
+
+    expect(data.labels).toEqual(['Jan 2026', 'Feb 2026', 'Mar 2026']);
+    expect(data.series).toHaveLength(MAX_CATEGORY_SERIES + 1);
+    expect(data.series[0]).toEqual({ label: 'A', values: [100, 0, 10] });
+    expect(data.series.at(-1)).toEqual({
+      label: 'Other',
+      values: [189, 0, 20],
+    });
+    expect(toPieSlices(data).labels).toEqual([
+      'A',
+      'B',
+      'C',
+      'D',
+      'E',
+      'Other',
+    ]);
+  });
+});
+
+describe('CustomReportService', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+        { id: 'cash', name: 'Cash' },
+      ]),
+    });
+    vi.mocked(SyncService.pushToCloud).mockClear();
+  });
+
+  it('saves a normalized definition and syncs it', () => {
+    const report = CustomReportService.save({
+      name: '  Holidays ',
+      query: 'tag:trip',
+      filters: { tags: ['trip'], dateRange: { startDate: '2026-01-01' } },
+      widgets: [
+        { groupBy: 'account', chartType: 'donut' },
+        { groupBy: 'unknown' },
+      ],
+    });
+
+    expect(report).toMatchObject({
+      name: 'Holidays',
+      userId: 'user-1',
+      query: 'tag:trip',
+      filters: { tags: ['trip'] },
+      widgets: [{ groupBy: 'account', chartType: 'bar', metric: 'expenses' }],
+    });
+    expect(report.widgets[0].id).toBeTruthy();
+    expect(SyncService.pushToCloud).toHaveBeenCalledWith(
+      STORAGE_KEYS.CUSTOM_REPORTS,
+      [report]
+    );
+
+    const renamed = CustomReportService.save({ ...report, name: 'Travel' });
+    expect(renamed.id).toBe(report.id);
+    expect(renamed.createdAt).toBe(report.createdAt);
+    expect(CustomReportService.getAll().map(r => r.name)).toEqual(['Travel']);
+  });
+
+  it('rejects a report without a name or a valid widget', () => {
+    expect(
+      CustomReportService.save({ name: ' ', widgets: [{ groupBy: 'tag' }] })
+    ).toBeNull();
+    expect(
+      CustomReportService.save({ name: 'Empty', widgets: [{ groupBy: 'x' }] })
+    ).toBeNull();
+    expect(CustomReportService.getAll()).toEqual([]);
+  });
+
+  it('runs the filters over the chosen period', () => {
+    const report = CustomReportService.save({
+      name: 'Cash by account',
+      filters: { accounts: ['cash'], types: ['expense'] },
+      widgets: [{ groupBy: 'account', chartType: 'pie' }],
+    });
+
+    const result = CustomReportService.run(
+      report,
+      [
+        tx('a', 'expense', 12, '2026-03-02', { accountId: 'cash' }),
+        tx('b', 'expense', 8, '2026-03-03', { accountId: 'cash' }),
+        tx('c', 'expense', 50, '2026-03-03'),
+        tx('d', 'expense', 99, '2026-02-27', { accountId: 'cash' }),
+      ],
+      march
+    );
+
+    expect(result.transactionCount).toBe(2);
+    expect(result.widgets[0].data).toMatchObject({
+      labels: ['Cash'],
+      series: [{ label: 'Spending', values: [20] }],
+      total: 20,
+    });
+  });
+
+  it('records a tombstone when a report is deleted', () => {
+    const report = CustomReportService.save({
+      name: 'Weekdays',
+      widgets: [{ groupBy: 'weekday' }],
+    });
+
+    expect(CustomReportService.delete(report.id)).toBe(true);
+    expect(CustomReportService.getAll()).toEqual([]);
+    expect(
+      TombstoneService.getDeleted(STORAGE_KEYS.CUSTOM_REPORTS).has(report.id)
+    ).toBe(true);
+    expect(CustomReportService.delete(report.id)).toBe(false);
+  });
+});
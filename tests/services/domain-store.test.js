@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { DomainStore, DOMAIN_KEYS } from '../../src/core/domain-store.js';
+import { LocalStorageAdapter } from '../../src/core/storage-adapters/local-storage-adapter.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const TRANSACTIONS = STORAGE_KEYS.TRANSACTIONS;
+const BUDGETS = STORAGE_KEYS.BUDGETS;
+
+// In-memory stand-in for the IndexedDB adapter, same contract
+const createMemoryAdapter = ({ failFlush = false } = {}) => {
+  const data = new Map();
+  const revisions = new Map();
+  return {
+    name: 'memory',
+    data,
+    open: vi.fn(async () => {}),
+    read: key => (data.has(key) ? [...data.get(key)] : null),
+    write: (key, value) => {
+      data.set(key, JSON.parse(JSON.stringify(value)));
+      revisions.set(key, (revisions.get(key) || 0) + 1);
+    },
+    remove: key => data.delete(key),
+    flush: vi.fn(async () => {
+      if (failFlush) throw new Error('quota exceeded');
+    }),
+    revision: key => revisions.get(key) || 0,
+  };
+};
+
+describe('DomainStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = useMemoryStorage();
+    DomainStore.adapter = LocalStorageAdapter;
+    DomainStore._initPromise = null;
+  });
+
+  it('reads and writes through localStorage until initialized', () => {
+    DomainStore.write(BUDGETS, [{ id: 'b1' }]);
+
+    expect(JSON.parse(store[BUDGETS])).toEqual([{ id: 'b1' }]);
+    expect(DomainStore.read(BUDGETS)).toEqual([{ id: 'b1' }]);
+    expect(DomainStore.revision(BUDGETS)).toBeNull();
+  });
+
+  it('moves domain data out of localStorage once the adapter has it', async () => {
+    store[TRANSACTIONS] = JSON.stringify([{ id: 't1', amount: 5 }]);
+    store[STORAGE_KEYS.SETTINGS] = JSON.stringify({ currency: 'EUR' });
+    const adapter = createMemoryAdapter();
+    const ready = vi.fn();
+    window.addEventListener('domain-store-ready', ready, { once: true });
+
+    expect(await DomainStore.init(adapter)).toBe('memory');
+
+    expect(adapter.open).toHaveBeenCalledWith(DOMAIN_KEYS);
+    expect(adapter.flush).toHaveBeenCalled();
+    expect(store).not.toHaveProperty(TRANSACTIONS);
+    expect(DomainStore.read(TRANSACTIONS)).toEqual([{ id: 't1', amount: 5 }]);
+    expect(ready).toHaveBeenCalled();
+
+    // Keys outside the domain data stay in localStorage
+    expect(DomainStore.read(STORAGE_KEYS.SETTINGS)).toEqual({
+      currency: 'EUR',
+    });
+    DomainStore.write(STORAGE_KEYS.SETTINGS, { currency: 'BGN' });
+    expect(adapter.data.has(STORAGE_KEYS.SETTINGS)).toBe(false);
+  });
+
+  it('leaves unreadable data in localStorage', async () => {
+    store[BUDGETS] = '{not json';
+    const adapter = createMemoryAdapter();
+
+    await DomainStore.init(adapter);
+
+    expect(store[BUDGETS]).toBe('{not json');
+    expect(adapter.data.has(BUDGETS)).toBe(false);
+  });
+
+  it('keeps localStorage when saving to the adapter fails', async () => {
+    store[TRANSACTIONS] = JSON.stringify([{ id: 't1' }]);
+    const adapter = createMemoryAdapter({ failFlush: true });
+
+    expect(await DomainStore.init(adapter)).toBe('localStorage');
+
+    expect(store[TRANSACTIONS]).toBe(JSON.stringify([{ id: 't1' }]));
+    expect(DomainStore.read(TRANSACTIONS)).toEqual([{ id: 't1' }]);
+  });
+
+  it('queries records by field without an index', async () => {
+    DomainStore.write(TRANSACTIONS, [
+      { id: 't3', timestamp: '2026-10-03T00:00:00.000Z', accountId: 'a' },
+      { id: 't1', timestamp: '2026-10-01T00:00:00.000Z', accountId: 'b' },
+      { id: 't2', timestamp: '2026-10-02T00:00:00.000Z', accountId: 'a' },
+    ]);
+
+    const inRange = await DomainStore.query(TRANSACTIONS, 'timestamp', {
+      from: '2026-10-02T00:00:00.000Z',
+    });
+    const byAccount = await DomainStore.query(TRANSACTIONS, 'accountId', {
+      equals: 'a',
+    });
+
+    expect(inRange.map(t => t.id)).toEqual(['t2', 't3']);
+    expect(byAccount.map(t => t.id)).toEqual(['t3', 't2']);
+  });
+});
@@ -0,0 +1,265 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { webcrypto } from 'node:crypto';
+
+const cloud = new Map();
+const receipts = new Map(); // Cloud Storage files by path
+let serverTime = 1000;
+
+const pathOf = (base, segments) =>
+  [base?.path, ...segments].filter(Boolean).join('/');
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+vi.mock('../../src/core/firebase-config.js', () => ({
+  getDb: () => ({}),
+  firebaseStatus: { isInitialized: true },
+  getStorageInstance: () => ({}),
+}));
+
+vi.mock('firebase/storage', () => {
+  const fileRef = path => ({ path, name: path.split('/').pop() });
+  return {
+    ref: (storage, path) => fileRef(path),
+    listAll: async folder => ({
+      items: [...receipts.keys()]
+        .filter(path => path.startsWith(`${folder.path}/`))
+        .map(fileRef),
+    }),
+    getBlob: async item => receipts.get(item.path),
+    deleteObject: async item => {
+      receipts.delete(item.path);
+    },
+  };
+});
+
+vi.mock('firebase/firestore', () => {
+  const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+  const snapshotOf = (path, data) => ({
+    id: path.split('/').pop(),
+    exists: () => data !== undefined,
+    data: () => data,
+  });
+  return {
+    doc: (base, ...segments) => ({ path: pathOf(base, segments) }),
+    collection: (base, ...segments) => ({ path: pathOf(base, segments) }),
+    query: (ref, ...constraints) => ({ path: ref.path, constraints }),
+    where: (field, op, value) => ({ field, op, value }),
+    limit: count => ({ limit: count }),
+    serverTimestamp: () => SERVER_TIMESTAMP,
+    Timestamp: { fromMillis: ms => ({ ms }) },
+    getDoc: vi.fn(async ref => snapshotOf(ref.path, cloud.get(ref.path))),
+    getDocs: vi.fn(async ref => {
+      let docs = [...cloud.entries()].filter(
+        ([path]) =>
+          path.startsWith(`${ref.path}/`) &&
+          !path.slice(ref.path.length + 1).includes('/')
+      );
+      (ref.constraints || []).forEach(constraint => {
+        if (constraint.field) {
+          docs = docs.filter(
+            ([, data]) => data.syncedAt.toMillis() > constraint.value.ms
+          );
+        }
+        if (constraint.limit) docs = docs.slice(0, constraint.limit);
+      });
+      return {
+        empty: docs.length === 0,
+        docs: docs.map(([path, data]) => snapshotOf(path, data)),
+      };
+    }),
+    setDoc: vi.fn(async (ref, data) => {
+      cloud.set(ref.path, data);
+    }),
+    writeBatch: () => {
+      const writes = [];
+      return {
+        set: (ref, data) => writes.push([ref.path, data]),
+        commit: async () => {
+          const time = ++serverTime;
+          writes.forEach(([path, data]) => {
+            cloud.set(path, {
+              ...data,
+              syncedAt: { toMillis: () => time },
+            });
+          });
+        },
+      };
+    },
+    onSnapshot: vi.fn(() => () => {}),
+  };
+});
+
+import { SyncService } from '../../src/core/sync-service.js';
+import { SyncEncryption } from '../../src/core/sync-encryption.js';
+import { AttachmentService } from '../../src/core/attachment-service.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const KEY = STORAGE_KEYS.TRANSACTIONS;
+const ACCOUNTS = STORAGE_KEYS.ACCOUNTS;
+const CHUNKS = `users/user-1/${KEY}_chunks`;
+const ACCOUNTS_DOC = `users/user-1/${ACCOUNTS}/data`;
+
+const tx = (id, month, description) => ({
+  id,
+  amount: 10,
+  description,
+  timestamp: `2026-${month}-10T10:00:00.000Z`,
+  updatedAt: `2026-${month}-10T10:00:00.000Z`,
+});
+
+let store;
+let queued;
+
+// A fresh device signed in to the same account
+const newDevice = () => {
+  store = useMemoryStorage();
+  SyncService.pendingWrites.clear();
+  SyncService.lastPushTimes.clear();
+  SyncEncryption._key = null;
+};
+
+// Run the pushes queued by pushToCloud, latest data per type
+const flushPushes = async () => {
+  const pushes = new Map(queued);
+  queued = [];
+  for (const [dataType, data] of pushes) {
+    SyncService.lastPushTimes.clear();
+    await SyncService._executePush(dataType, data, 'user-1');
+  }
+};
+
+const localTransactions = () => JSON.parse(store[KEY] || '[]');
+
+describe('end-to-end encrypted sync', () => {
+  beforeAll(() => {
+    // The test setup's crypto stub has no SubtleCrypto
+    Object.defineProperty(global.crypto, 'subtle', {
+      value: webcrypto.subtle,
+      configurable: true,
+    });
+  });
+
+  beforeEach(() => {
+    cloud.clear();
+    receipts.clear();
+    serverTime = 1000;
+    queued = [];
+    newDevice();
+    vi.spyOn(SyncService, 'pushToCloud').mockImplementation((type, data) => {
+      queued.push([type, data]);
+    });
+  });
+
+  const enableOnFirstDevice = async () => {
+    store[KEY] = JSON.stringify([
+      tx('a', '08', 'Coffee beans'),
+      tx('b', '09', 'Bookshop'),
+    ]);
+    store[ACCOUNTS] = JSON.stringify([{ id: 'main', name: 'Savings box' }]);
+    await SyncService._executePush(KEY, localTransactions(), 'user-1');
+    await SyncService._executePush(
+      ACCOUNTS,
+      JSON.parse(store[ACCOUNTS]),
+      'user-1'
+    );
+    expect(cloud.get(`${CHUNKS}/2026-08`).items).toHaveLength(1);
+
+    const code = await SyncService.enableEncryption();
+    await flushPushes();
+    return code;
+  };
+
+  it('replaces plaintext in the cloud with ciphertext once enabled', async () => {
+    const code = await enableOnFirstDevice();
+
+    expect(code).toBe(SyncEncryption.getRecoveryCode());
+    ['2026-08', '2026-09'].forEach(month => {
+      const chunk = cloud.get(`${CHUNKS}/${month}`);
+      expect(chunk.items).toBeUndefined();
+      expect(chunk.e2e.keyId).toBe(SyncEncryption.getKeyId());
+    });
+    expect(Object.keys(cloud.get(ACCOUNTS_DOC))).toEqual(['e2e']);
+    const stored = JSON.stringify([...cloud.values()]);
+    expect(stored).not.toContain('Coffee beans');
+    expect(stored).not.toContain('Savings box');
+  });
+
+  it('deletes receipts uploaded while the data was in plaintext', async () => {
+    receipts.set('users/user-1/attachments/att-1', new Blob(['receipt']));
+    const supported = vi
+      .spyOn(AttachmentService, 'isSupported')
+      .mockReturnValue(true);
+    const local = vi
+      .spyOn(AttachmentService, '_getRecord')
+      .mockResolvedValue({ id: 'att-1' });
+
+    await enableOnFirstDevice();
+
+    expect(receipts.size).toBe(0);
+    supported.mockRestore();
+    local.mockRestore();
+  });
+
+  it('holds back writes on a device without the key until the code is entered', async () => {
+    const code = await enableOnFirstDevice();
+    const sealedAccounts = cloud.get(ACCOUNTS_DOC);
+    newDevice();
+
+    await SyncService.pullFromCloud('user-1');
+
+    expect(localTransactions()).toEqual([]);
+    expect(SyncEncryption.isKeyMissing()).toBe(true);
+    await SyncService._executePush(ACCOUNTS, [{ id: 'x' }], 'user-1');
+    expect(cloud.get(ACCOUNTS_DOC)).toBe(sealedAccounts);
+
+    await SyncService.importEncryptionKey(code);
+    await flushPushes();
+
+    expect(SyncEncryption.isKeyMissing()).toBe(false);
+    expect(
+      localTransactions()
+        .map(t => t.description)
+        .sort()
+    ).toEqual(['Bookshop', 'Coffee beans']);
+    expect(JSON.parse(store[ACCOUNTS])).toEqual([
+      { id: 'main', name: 'Savings box' },
+    ]);
+    expect(JSON.stringify([...cloud.values()])).not.toContain('Coffee beans');
+  });
+
+  it('rejects mistyped codes and codes for another key', async () => {
+    await enableOnFirstDevice();
+    newDevice();
+    await SyncService.pullFromCloud('user-1');
+
+    await expect(SyncService.importEncryptionKey('ABCD-EFGH')).rejects.toThrow(
+      'Invalid recovery code'
+    );
+    const otherCode = await (async () => {
+      const saved = { ...store };
+      store = useMemoryStorage();
+      const code = await SyncEncryption.enable();
+      store = useMemoryStorage(saved);
+      return code;
+    })();
+    await expect(SyncService.importEncryptionKey(otherCode)).rejects.toThrow(
+      'different key'
+    );
+    expect(SyncEncryption.isKeyMissing()).toBe(true);
+  });
+
+  it('refuses to enable over data encrypted by another device', async () => {
+    await enableOnFirstDevice();
+    newDevice();
+
+    await expect(SyncService.enableEncryption()).rejects.toThrow(
+      'already encrypted'
+    );
+    expect(SyncEncryption.isEnabled()).toBe(false);
+  });
+});
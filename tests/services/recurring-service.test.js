@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+vi.mock('../../src/core/analytics/AnalyticsInstance.js', () => ({
+  getAnalyticsEngine: () => ({ recordAmountPreset: vi.fn() }),
+}));
+
+import { RecurringService } from '../../src/core/recurring-service.js';
+import { TransactionService } from '../../src/core/transaction-service.js';
+import { ForecastEngine } from '../../src/core/forecast-engine.js';
+import { SyncService } from '../../src/core/sync-service.js';
+import {
+  getNextOccurrence,
+  getOccurrencesBetween,
+} from '../../src/utils/recurrence-utils.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+describe('recurrence-utils', () => {
+  it('clamps monthly day 31 to the end of shorter months', () => {
+    const schedule = {
+      cadence: 'monthly',
+      dayOfMonth: 31,
+      startDate: '2026-01-31',
+    };
+
+    expect(getOccurrencesBetween(schedule, '2026-01-01', '2026-04-30')).toEqual(
+      ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']
+    );
+  });
+
+  it('supports weekly, yearly and every-N-days cadences', () => {
+    expect(
+      getNextOccurrence(
+        { cadence: 'weekly', startDate: '2026-03-02' },
+        '2026-03-10'
+      )
+    ).toBe('2026-03-16');
+    expect(
+      getNextOccurrence(
+        { cadence: 'yearly', startDate: '2024-02-29' },
+        '2024-02-29'
+      )
+    ).toBe('2025-02-28');
+    expect(
+      getNextOccurrence(
+        { cadence: 'interval', intervalDays: 10, startDate: '2026-01-01' },
+        '2026-01-25'
+      )
+    ).toBe('2026-01-31');
+  });
+
+  it('stops at the end date', () => {
+    const schedule = {
+      cadence: 'weekly',
+      startDate: '2026-03-02',
+      endDate: '2026-03-09',
+    };
+    expect(getNextOccurrence(schedule, '2026-03-09')).toBeNull();
+  });
+});
+
+describe('RecurringService', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+      ]),
+    });
+  });
+
+  const seedRent = () => {
+    const rent = TransactionService.add({
+      amount: 800,
+      type: 'expense',
+      category: 'Сметки',
+      accountId: 'main',
+      description: 'Rent',
+      timestamp: new Date(2026, 0, 5, 12).toISOString(),
+    });
+    return RecurringService.createFromTransaction(rent, {
+      cadence: 'monthly',
+    });
+  };
+
+  it('links the source transaction as the first occurrence', () => {
+    const schedule = seedRent();
+
+    expect(schedule.dayOfMonth).toBe(5);
+    expect(schedule.nextDate).toBe('2026-02-05');
+    const [rent] = TransactionService.getAll();
+    expect(rent.recurringId).toBe(schedule.id);
+    expect(rent.occurrenceDate).toBe('2026-01-05');
+  });
+
+  it('catches up on every missed occurrence exactly once', () => {
+    const schedule = seedRent();
+    SyncService.pushToCloud.mockClear();
+
+    const created = RecurringService.materializeDue(new Date(2026, 3, 10));
+    expect(created.map(t => t.occurrenceDate)).toEqual([
+      '2026-02-05',
+      '2026-03-05',
+      '2026-04-05',
+    ]);
+    expect(created.every(t => t.amount === 800)).toBe(true);
+    // Another device posting the same occurrence writes the same record
+    expect(created[0].id).toBe(`${schedule.id}_2026-02-05`);
+    expect(RecurringService.get(schedule.id).nextDate).toBe('2026-05-05');
+    // The whole catch-up lands in one transactions write
+    const transactionPushes = SyncService.pushToCloud.mock.calls.filter(
+      ([key]) => key === STORAGE_KEYS.TRANSACTIONS
+    );
+    expect(transactionPushes).toHaveLength(1);
+
+    // Running again (e.g. on visibility change) posts nothing new
+    expect(RecurringService.materializeDue(new Date(2026, 3, 10))).toEqual([]);
+    expect(TransactionService.getAll()).toHaveLength(4);
+  });
+
+  it('applies "all future" edits without re-posting past dates', () => {
+    const schedule = seedRent();
+    RecurringService.materializeDue(new Date(2026, 2, 10));
+
+    RecurringService.updateFromOccurrence(
+      schedule.id,
+      { amount: 850, timestamp: new Date(2026, 2, 5, 12).toISOString() },
+      { cadence: 'monthly', dayOfMonth: 1 }
+    );
+
+    const updated = RecurringService.get(schedule.id);
+    expect(updated.template.amount).toBe(850);
+    expect(updated.template.category).toBe('Сметки');
+    expect(updated.nextDate).toBe('2026-04-01');
+  });
+});
+
+describe('schedule-driven forecasting', () => {
+  const nextMonth = () => {
+    const date = new Date();
+    return new Date(date.getFullYear(), date.getMonth() + 1, 15, 12);
+  };
+
+  const salarySchedule = () => {
+    const start = nextMonth();
+    return {
+      id: 'salary',
+      cadence: 'monthly',
+      dayOfMonth: 1,
+      startDate: `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-01`,
+      nextDate: `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-01`,
+      template: {
+        amount: 2000,
+        type: 'income',
+        category: 'Заплата',
+        accountId: 'main',
+      },
+    };
+  };
+
+  it('projects scheduled income exactly instead of guessing', () => {
+    const engine = new ForecastEngine();
+    const forecasts = engine.generateIncomeForecasts([], 3, {
+      recurringSchedules: [salarySchedule()],
+    });
+
+    expect(forecasts.map(f => f.predictedAmount)).toEqual([2000, 2000, 2000]);
+    expect(forecasts[0].method).toBe('schedules');
+  });
+});
@@ -0,0 +1,274 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  vi,
+} from 'vitest';
+import { Buffer } from 'node:buffer';
+import { connect } from 'node:net';
+import { createSyncServer } from '../../server/sync-server.js';
+import { config } from '../../config/app.config.js';
+import { getSyncProvider } from '../../src/core/sync-provider.js';
+import { ChunkedSync } from '../../src/core/chunked-sync.js';
+import { EnvValidator } from '../../src/core/env-validator.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const KEY = STORAGE_KEYS.TRANSACTIONS;
+
+const tx = (id, month) => ({
+  id,
+  amount: 10,
+  timestamp: `2026-${month}-10T10:00:00.000Z`,
+  updatedAt: `2026-${month}-10T10:00:00.000Z`,
+});
+
+describe('self-hosted sync provider', () => {
+  let server;
+  let store;
+  let provider;
+  const originalSync = config.sync;
+
+  beforeAll(async () => {
+    server = createSyncServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    config.sync = {
+      provider: 'self-hosted',
+      serverUrl: `http://127.0.0.1:${server.address().port}/`,
+    };
+    provider = getSyncProvider();
+  });
+
+  afterAll(async () => {
+    config.sync = originalSync;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    store = useMemoryStorage();
+  });
+
+  const signUp = email => provider.auth.signUp(email, 'correct horse');
+  const serverUrl = path => `${config.sync.serverUrl}${path}`;
+  const token = () => JSON.parse(store[STORAGE_KEYS.SYNC_SESSION]).token;
+
+  it('is selected by the sync configuration', () => {
+    expect(provider.name).toBe('self-hosted');
+    expect(provider.isAvailable()).toBe(true);
+    expect(provider.auth.supportsGoogle).toBe(false);
+  });
+
+  it('signs up, keeps the session and reports Firebase-style auth errors', async () => {
+    const user = await signUp('ana@example.com');
+
+    expect(user.uid).toBeTruthy();
+    expect(JSON.parse(store[STORAGE_KEYS.SYNC_SESSION]).user.uid).toBe(
+      user.uid
+    );
+    await expect(signUp('ana@example.com')).rejects.toMatchObject({
+      code: 'auth/email-already-in-use',
+    });
+    await expect(
+      provider.auth.signIn('ana@example.com', 'wrong password')
+    ).rejects.toMatchObject({ code: 'auth/wrong-password' });
+
+    await provider.auth.signOut();
+    expect(store[STORAGE_KEYS.SYNC_SESSION]).toBeUndefined();
+    await expect(
+      provider.auth.signIn('ana@example.com', 'correct horse')
+    ).resolves.toMatchObject({ uid: user.uid });
+  });
+
+  it('stores, merges and deletes documents', async () => {
+    const { uid } = await signUp('boris@example.com');
+    const path = `users/${uid}/${STORAGE_KEYS.ACCOUNTS}/data`;
+
+    expect(await provider.getDocument(path)).toBeNull();
+    await provider.setDocument(path, { items: [{ id: 'main' }], note: 'a' });
+    await provider.setDocument(path, { note: 'b' }, { merge: true });
+    expect(await provider.getDocument(path)).toEqual({
+      items: [{ id: 'main' }],
+      note: 'b',
+    });
+
+    // Nested maps merge like Firestore, arrays are replaced
+    await provider.setDocument(path, {
+      items: [],
+      rates: { USD: 0.9, GBP: 1.2 },
+    });
+    await provider.setDocument(
+      path,
+      { items: [{ id: 'cash' }], rates: { USD: 0.95 } },
+      { merge: true }
+    );
+    expect(await provider.getDocument(path)).toEqual({
+      items: [{ id: 'cash' }],
+      rates: { USD: 0.95, GBP: 1.2 },
+    });
+
+    await provider.setDocument(
+      `users/${uid}`,
+      { email: 'boris@example.com' },
+      {
+        merge: true,
+        serverTimeField: 'lastLogin',
+      }
+    );
+    expect((await provider.getDocument(`users/${uid}`)).lastLogin).toEqual(
+      expect.any(Number)
+    );
+
+    await provider.deleteDocument(path);
+    expect(await provider.getDocument(path)).toBeNull();
+  });
+
+  it("keeps users out of each other's data", async () => {
+    const { uid } = await signUp('vera@example.com');
+    await provider.setDocument(`users/${uid}/goals/data`, { items: [] });
+
+    await signUp('georgi@example.com');
+    await expect(
+      provider.getDocument(`users/${uid}/goals/data`)
+    ).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('rejects logins for emails named like object members', async () => {
+    for (const email of ['constructor', '__proto__', 'toString']) {
+      await expect(
+        provider.auth.signIn(email, 'correct horse')
+      ).rejects.toMatchObject({ code: 'auth/wrong-password' });
+    }
+    await expect(signUp('constructor@example.com')).resolves.toMatchObject({
+      uid: expect.any(String),
+    });
+  });
+
+  it('answers a malformed path with 400', async () => {
+    const { uid } = await signUp('emil@example.com');
+
+    const response = await fetch(
+      serverUrl(`v1/documents/users/${uid}/goals/%E0%A4%A`),
+      { headers: { Authorization: `Bearer ${token()}` } }
+    );
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.code).toBe('sync/bad-path');
+  });
+
+  it('closes a WebSocket that sends too much before signing in', async () => {
+    const { port } = server.address();
+    const socket = connect(port, '127.0.0.1');
+    const closed = new Promise(resolve => socket.on('close', resolve));
+    socket.on('error', () => {});
+    // Read the handshake reply so the close reaches us
+    socket.resume();
+    socket.write(
+      'GET /v1/watch HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\n' +
+        'Connection: Upgrade\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n' +
+        'Sec-WebSocket-Version: 13\r\n\r\n'
+    );
+    // Header of a 1 MB text frame that never completes
+    const header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(1024 * 1024), 2);
+    socket.write(Buffer.concat([header, Buffer.alloc(8 * 1024)]));
+
+    await closed;
+    expect(socket.destroyed).toBe(true);
+  });
+
+  it('syncs transaction chunks changed since the last pull', async () => {
+    const { uid } = await signUp('dana@example.com');
+
+    expect(await ChunkedSync.hasChunks(KEY, uid)).toBe(false);
+    await ChunkedSync.push(KEY, [tx('a', '08'), tx('b', '09')], uid);
+    const all = await ChunkedSync.fetchChanged(KEY, uid);
+    expect(all.map(chunk => chunk.id).sort()).toEqual(['2026-08', '2026-09']);
+    ChunkedSync.markPulled(KEY, uid, all);
+
+    await ChunkedSync.push(
+      KEY,
+      [tx('a', '08'), tx('b', '09'), tx('c', '09')],
+      uid
+    );
+    const changed = await ChunkedSync.fetchChanged(KEY, uid);
+
+    expect(changed.map(chunk => chunk.id)).toEqual(['2026-09']);
+    expect(changed[0].items.map(item => item.id)).toEqual(['b', 'c']);
+    expect(await ChunkedSync.hasChunks(KEY, uid)).toBe(true);
+  });
+});
+
+describe('sync server sign-up', () => {
+  it('only lets invited emails sign up', async () => {
+    const server = createSyncServer({ signupEmails: ['Ana@example.com'] });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const signUp = email =>
+      fetch(`http://127.0.0.1:${server.address().port}/v1/auth/signup`, {
+        method: 'POST',
+        body: JSON.stringify({ email, password: 'correct horse' }),
+      });
+
+    try {
+      const refused = await signUp('boris@example.com');
+      expect(refused.status).toBe(403);
+      expect((await refused.json()).error.code).toBe(
+        'auth/operation-not-allowed'
+      );
+      expect((await signUp('ana@example.com')).status).toBe(200);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('can be turned off', async () => {
+    const server = createSyncServer({ allowSignup: false });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const response = await fetch(
+        `http://127.0.0.1:${server.address().port}/v1/auth/signup`,
+        {
+          method: 'POST',
+          body: JSON.stringify({
+            email: 'ana@example.com',
+            password: 'correct horse',
+          }),
+        }
+      );
+      expect(response.status).toBe(403);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe('EnvValidator sync provider checks', () => {
+  it('requires a server URL for the self-hosted provider', () => {
+    const validator = new EnvValidator();
+    const env = { VITE_SYNC_PROVIDER: 'self-hosted' };
+    vi.spyOn(validator, 'getEnvValue').mockImplementation(
+      key => env[key] || null
+    );
+
+    validator.validateVariable(
+      'VITE_SYNC_PROVIDER',
+      validator.schema.VITE_SYNC_PROVIDER
+    );
+    expect(validator.errors.map(error => error.variable)).toEqual([
+      'VITE_SYNC_SERVER_URL',
+    ]);
+
+    env.VITE_SYNC_PROVIDER = 'supabase';
+    validator.errors = [];
+    validator.validateVariable(
+      'VITE_SYNC_PROVIDER',
+      validator.schema.VITE_SYNC_PROVIDER
+    );
+    expect(validator.errors[0].message).toContain('firebase, self-hosted');
+  });
+});
@@ -57,6 +57,9 @@ vi.mock('../../src/core/navigation-state.js', () => ({
     restoreDashboardTimePeriod: () => null,
     clearDashboardFilter: vi.fn(),
     clearDashboardTypeFilter: vi.fn(),
+    restoreDashboardSearch: () => '',
+    saveDashboardSearch: vi.fn(),
+    getSavedSearches: () => [],
   },
 }));
 vi.mock('../../src/utils/success-feedback.js', () => ({
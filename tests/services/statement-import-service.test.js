@@ -0,0 +1,211 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+vi.mock('../../src/core/analytics/AnalyticsInstance.js', () => ({
+  getAnalyticsEngine: () => ({ recordAmountPreset: vi.fn() }),
+}));
+
+import { SyncService } from '../../src/core/sync-service.js';
+import { StatementImportService } from '../../src/core/statement-import-service.js';
+import { TransactionService } from '../../src/core/transaction-service.js';
+import {
+  parseCsv,
+  guessColumnMapping,
+  detectDateFormat,
+  detectDecimalSeparator,
+  parseStatementAmount,
+  parseOfx,
+  parseQif,
+} from '../../src/utils/statement-parsers.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const BANK_CSV = [
+  'Booking Date;Details;Debit;Credit',
+  '15.03.2026;"Lidl, Sofia";12,50;',
+  '16.03.2026;Salary;;1.250,00',
+  '17.03.2026;Shell Гориво;60,00;',
+].join('\n');
+
+const OFX = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260301120000<TRNAMT>-42.10<FITID>A1<NAME>Coffee shop
+</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260302<TRNAMT>100.00<FITID>A2<NAME>Refund
+</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+const QIF = `!Type:Bank
+D03/25'26
+T-15.00
+PPharmacy
+LЛекарства
+^
+D03/26'26
+T-80.00
+PTransfer
+L[Savings]
+^`;
+
+describe('statement-parsers', () => {
+  it('parses quoted CSV cells and detects the delimiter', () => {
+    const parsed = parseCsv(BANK_CSV);
+
+    expect(parsed.delimiter).toBe(';');
+    expect(parsed.headers).toEqual([
+      'Booking Date',
+      'Details',
+      'Debit',
+      'Credit',
+    ]);
+    expect(parsed.rows[0][1]).toBe('Lidl, Sofia');
+  });
+
+  it('guesses debit/credit columns and detects date and decimal formats', () => {
+    const mapping = guessColumnMapping([
+      'Booking Date',
+      'Details',
+      'Debit',
+      'Credit',
+    ]);
+
+    expect(mapping).toMatchObject({
+      date: 'Booking Date',
+      description: 'Details',
+      debit: 'Debit',
+      credit: 'Credit',
+      amount: null,
+    });
+    expect(detectDateFormat(['15.03.2026'])).toBe('DD.MM.YYYY');
+    expect(detectDateFormat(['03/25/2026', '04/01/2026'])).toBe('MM/DD/YYYY');
+    expect(detectDecimalSeparator(['12,50', '1.250,00'])).toBe(',');
+    expect(parseStatementAmount('1.250,00', ',')).toBe(1250);
+    expect(parseStatementAmount('(42.10)', '.')).toBe(-42.1);
+    expect(parseStatementAmount('EUR -12.50', '.')).toBe(-12.5);
+    expect(parseStatementAmount('12,50 лв.-', ',')).toBe(-12.5);
+    expect(parseStatementAmount('-€ 1,250.00', '.')).toBe(-1250);
+    expect(parseStatementAmount('USD 40.00', '.')).toBe(40);
+  });
+
+  it('reads OFX and QIF transactions', () => {
+    expect(parseOfx(OFX)).toEqual([
+      {
+        date: '2026-03-01',
+        amount: -42.1,
+        description: 'Coffee shop',
+        category: null,
+        externalId: 'A1',
+      },
+      {
+        date: '2026-03-02',
+        amount: 100,
+        description: 'Refund',
+        category: null,
+        externalId: 'A2',
+      },
+    ]);
+
+    const qif = parseQif(QIF);
+    expect(qif.map(r => r.date)).toEqual(['2026-03-25', '2026-03-26']);
+    expect(qif[0].category).toBe('Лекарства');
+    expect(qif[1].category).toBeNull();
+  });
+
+  it('reads QIF dates padded with spaces', () => {
+    const qif = parseQif(`!Type:Bank
+D1/ 5'26
+T-4.50
+PBakery
+^
+D 3/12/2026
+T-9.00
+PKiosk
+^
+D12/31' 5
+T-1.00
+PNew Year
+^`);
+
+    expect(qif.map(r => r.date)).toEqual([
+      '2026-01-05',
+      '2026-03-12',
+      '2005-12-31',
+    ]);
+  });
+});
+
+describe('StatementImportService', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+      ]),
+    });
+    vi.mocked(SyncService.pushToCloud).mockClear();
+  });
+
+  it('maps rows onto categories and reuses the saved bank mapping', () => {
+    const parsed = StatementImportService.parse(BANK_CSV, {
+      fileName: 'statement.csv',
+    });
+    const rows = StatementImportService.buildPreview(parsed.records);
+
+    expect(rows.map(r => r.transaction.amount)).toEqual([12.5, 1250, 60]);
+    expect(rows.map(r => r.transaction.type)).toEqual([
+      'expense',
+      'income',
+      'expense',
+    ]);
+    expect(rows[2].transaction.category).toBe('Гориво');
+    expect(rows[0].transaction.category).toBe('Други');
+
+    StatementImportService.saveMapping(parsed.bankKey, {
+      ...parsed.mapping,
+      description: null,
+    });
+    const reparsed = StatementImportService.parse(BANK_CSV, {
+      fileName: 'statement.csv',
+    });
+    expect(reparsed.mapping.description).toBeNull();
+  });
+
+  it('flags duplicates and commits the batch with a single sync', () => {
+    TransactionService.add({
+      amount: 42.1,
+      type: 'expense',
+      category: 'Заведения',
+      accountId: 'main',
+      timestamp: new Date(2026, 2, 1, 9).toISOString(),
+    });
+    SyncService.pushToCloud.mockClear();
+
+    const { records } = StatementImportService.parse(OFX, {
+      fileName: 'bank.ofx',
+    });
+    const rows = StatementImportService.buildPreview(records);
+
+    expect(rows.map(r => r.duplicate)).toEqual([true, false]);
+    expect(rows.map(r => r.selected)).toEqual([false, true]);
+
+    const added = StatementImportService.commit(rows);
+    expect(added).toHaveLength(1);
+    expect(added[0].importId).toBe('A2');
+    expect(SyncService.pushToCloud).toHaveBeenCalledTimes(1);
+    expect(TransactionService.getAll()).toHaveLength(2);
+
+    // Re-importing the same file flags both rows by their bank IDs
+    const again = StatementImportService.buildPreview(records);
+    expect(again.every(r => r.duplicate)).toBe(true);
+  });
+});
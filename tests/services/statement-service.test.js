@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+import { StatementService } from '../../src/core/statement-service.js';
+import { BudgetService } from '../../src/core/budget-service.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const tx = (id, type, amount, date, extra = {}) => ({
+  id,
+  type,
+  amount,
+  category: 'Храна',
+  accountId: 'main',
+  timestamp: new Date(`${date}T12:00:00`).toISOString(),
+  ...extra,
+});
+
+const march = {
+  startDate: new Date('2026-03-01T00:00:00'),
+  endDate: new Date('2026-03-31T23:59:59'),
+};
+
+describe('StatementService', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+        { id: 'savings', name: 'Savings' },
+      ]),
+    });
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-04-10T10:00:00'));
+    BudgetService.save({ categoryName: 'Храна', amountLimit: 100 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const transactions = [
+    tx('salary', 'income', 2000, '2026-03-01', { category: 'Заплата' }),
+    tx('food-1', 'expense', 80, '2026-03-05'),
+    tx('food-2', 'expense', 45, '2026-03-20'),
+    tx('fuel', 'expense', 60, '2026-03-12', { category: 'Гориво' }),
+    tx('move', 'transfer', 500, '2026-03-15', { toAccountId: 'savings' }),
+    tx('april', 'expense', 300, '2026-04-02'),
+    tx('old', 'income', 100, '2026-02-10'),
+  ];
+
+  it('summarises the period and ranks categories', () => {
+    const statement = StatementService.build(transactions, march);
+
+    expect(statement.summary).toMatchObject({
+      totalIncome: 2000,
+      totalExpenses: 185,
+      netBalance: 1815,
+    });
+    expect(statement.categories.map(c => [c.name, c.amount])).toEqual([
+      ['Храна', 125],
+      ['Гориво', 60],
+    ]);
+  });
+
+  it('reports budget adherence for the period', () => {
+    const statement = StatementService.build(transactions, march);
+
+    expect(statement.budgets).toHaveLength(1);
+    expect(statement.budgets[0]).toMatchObject({
+      label: 'Храна',
+      actual: 125,
+      isExceeded: true,
+    });
+    expect(statement.budgetSummary.exceededCount).toBe(1);
+  });
+
+  it('shows balances at the end of the period', () => {
+    const statement = StatementService.build(transactions, march);
+    const balances = Object.fromEntries(
+      statement.accounts.map(a => [a.name, a.balance])
+    );
+
+    expect(balances).toEqual({ 'Main Account': 1415, Savings: 500 });
+    expect(statement.netWorth).toBe(1915);
+  });
+
+  it('lists the largest income and expenses, skipping transfers', () => {
+    const statement = StatementService.build(transactions, march, {
+      topCount: 3,
+    });
+
+    expect(statement.topTransactions.map(t => t.id)).toEqual([
+      'salary',
+      'food-1',
+      'fuel',
+    ]);
+    expect(statement.topTransactions[0]).toMatchObject({
+      account: 'Main Account',
+      category: 'Заплата',
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const outbox = new Map();
+let seq = 0;
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+vi.mock('../../src/core/firebase-config.js', () => ({
+  getDb: () => ({}),
+}));
+
+vi.mock('firebase/firestore', () => ({
+  doc: (base, ...segments) => ({
+    path: [base?.path, ...segments].filter(Boolean).join('/'),
+  }),
+  collection: () => ({}),
+  getDocs: vi.fn(async () => ({ docs: [] })),
+  onSnapshot: vi.fn(() => () => {}),
+  setDoc: vi.fn(async () => {}),
+}));
+
+// In-memory stand-in for the IndexedDB outbox, same contract
+vi.mock('../../src/core/sync-outbox.js', () => ({
+  SyncOutbox: {
+    isSupported: () => true,
+    enqueue: vi.fn(async (dataType, data, userId) => {
+      seq += 1;
+      outbox.set(dataType, {
+        dataType,
+        data,
+        userId,
+        seq,
+        status: 'queued',
+        attempts: 0,
+        lastError: null,
+      });
+      return seq;
+    }),
+    complete: vi.fn(async (dataType, entrySeq) => {
+      if (outbox.get(dataType)?.seq === entrySeq) outbox.delete(dataType);
+    }),
+    fail: vi.fn(async (dataType, entrySeq, error) => {
+      const entry = outbox.get(dataType);
+      if (entry?.seq !== entrySeq) return;
+      outbox.set(dataType, {
+        ...entry,
+        status: 'failed',
+        attempts: entry.attempts + 1,
+        lastError: String(error),
+      });
+    }),
+    list: vi.fn(async () => [...outbox.values()].sort((a, b) => a.seq - b.seq)),
+    discard: vi.fn(async dataType => {
+      outbox.delete(dataType);
+    }),
+  },
+}));
+
+import { setDoc } from 'firebase/firestore';
+import { SyncService } from '../../src/core/sync-service.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const ACCOUNTS = STORAGE_KEYS.ACCOUNTS;
+const BUDGETS = STORAGE_KEYS.BUDGETS;
+
+const pushedKeys = () => setDoc.mock.calls.map(([ref]) => ref.path);
+
+describe('SyncService outbox', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    outbox.clear();
+    seq = 0;
+    useMemoryStorage();
+    setDoc.mockReset();
+    setDoc.mockImplementation(async () => {});
+    SyncService.isOnline = true;
+    SyncService.lastPushTimes.clear();
+    vi.spyOn(SyncService, 'pullFromCloud').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('queues a write and clears it once the push succeeds', async () => {
+    SyncService.pushToCloud(ACCOUNTS, [{ id: 'a1' }]);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(outbox.get(ACCOUNTS).status).toBe('queued');
+
+    await vi.advanceTimersByTimeAsync(300);
+
+    expect(pushedKeys()).toEqual([`users/user-1/${ACCOUNTS}/data`]);
+    expect(outbox.has(ACCOUNTS)).toBe(false);
+  });
+
+  it('keeps a failed write for replay', async () => {
+    setDoc.mockRejectedValueOnce(new Error('permission denied'));
+
+    SyncService.pushToCloud(ACCOUNTS, [{ id: 'a1' }]);
+    await vi.advanceTimersByTimeAsync(300);
+
+    expect(outbox.get(ACCOUNTS)).toMatchObject({
+      status: 'failed',
+      attempts: 1,
+      lastError: 'Error: permission denied',
+    });
+  });
+
+  it('holds writes while offline and replays them in order when back online', async () => {
+    SyncService.isOnline = false;
+    SyncService.pushToCloud(BUDGETS, [{ id: 'b1' }]);
+    SyncService.pushToCloud(ACCOUNTS, [{ id: 'a1' }]);
+    await vi.advanceTimersByTimeAsync(300);
+    expect(setDoc).not.toHaveBeenCalled();
+    expect(outbox.size).toBe(2);
+
+    // Edited again after queueing: the replay sends the current copy
+    localStorage.setItem(BUDGETS, JSON.stringify([{ id: 'b1' }, { id: 'b2' }]));
+    SyncService.isOnline = true;
+    const replayed = await SyncService.replayOutbox();
+
+    expect(replayed).toBe(2);
+    expect(SyncService.pullFromCloud).toHaveBeenCalledWith('user-1');
+    expect(pushedKeys()).toEqual([
+      `users/user-1/${BUDGETS}/data`,
+      `users/user-1/${ACCOUNTS}/data`,
+    ]);
+    expect(setDoc.mock.calls[0][1]).toEqual({
+      items: [{ id: 'b1' }, { id: 'b2' }],
+    });
+    expect(outbox.size).toBe(0);
+  });
+
+  it('runs one replay at a time when several callers ask at once', async () => {
+    outbox.set(ACCOUNTS, {
+      dataType: ACCOUNTS,
+      data: [{ id: 'a1' }],
+      userId: 'user-1',
+      seq: 1,
+    });
+
+    // The write keeps failing, so every replay finds it again
+    setDoc.mockRejectedValue(new Error('offline'));
+    let running = 0;
+    let mostAtOnce = 0;
+    SyncService.pullFromCloud.mockImplementation(async () => {
+      running += 1;
+      mostAtOnce = Math.max(mostAtOnce, running);
+      await Promise.resolve();
+      running -= 1;
+    });
+
+    await Promise.all([
+      SyncService.replayOutbox(),
+      SyncService.replayOutbox(),
+      SyncService.replayOutbox(),
+    ]);
+
+    expect(SyncService.pullFromCloud).toHaveBeenCalledTimes(3);
+    expect(mostAtOnce).toBe(1);
+    expect(SyncService._replayPromise).toBeNull();
+  });
+
+  it('replays a single data type and skips other users', async () => {
+    outbox.set(ACCOUNTS, {
+      dataType: ACCOUNTS,
+      data: [],
+      userId: 'user-1',
+      seq: 1,
+    });
+    outbox.set(BUDGETS, {
+      dataType: BUDGETS,
+      data: [],
+      userId: 'user-1',
+      seq: 2,
+    });
+    outbox.set('blink_settings', {
+      dataType: 'blink_settings',
+      data: {},
+      userId: 'someone-else',
+      seq: 3,
+    });
+
+    expect(await SyncService.replayOutbox(BUDGETS)).toBe(1);
+    expect(pushedKeys()).toEqual([`users/user-1/${BUDGETS}/data`]);
+
+    expect(await SyncService.replayOutbox()).toBe(1);
+    expect([...outbox.keys()]).toEqual(['blink_settings']);
+  });
+});
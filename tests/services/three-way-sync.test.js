@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+vi.mock('../../src/core/firebase-config.js', () => ({
+  getDb: () => ({}),
+}));
+
+import { SyncService } from '../../src/core/sync-service.js';
+import { SyncBase } from '../../src/core/sync-base.js';
+import {
+  MERGE_FIELDS,
+  fingerprintMergeFields,
+} from '../../src/utils/three-way-merge.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const KEY = STORAGE_KEYS.TRANSACTIONS;
+
+const synced = {
+  id: 't1',
+  amount: 10,
+  type: 'expense',
+  category: 'Храна',
+  description: 'Lunch',
+  accountId: 'acc-1',
+  timestamp: '2026-10-01T10:00:00.000Z',
+  updatedAt: '2026-10-01T10:00:00.000Z',
+};
+
+const readLocal = () => JSON.parse(localStorage.getItem(KEY) || '[]');
+
+let conflicts = [];
+window.addEventListener('sync-conflict', e => conflicts.push(e.detail));
+
+describe('SyncService three-way merge', () => {
+  beforeEach(() => {
+    useMemoryStorage();
+    vi.restoreAllMocks();
+    vi.spyOn(SyncService, 'pushToCloud').mockImplementation(() => {});
+    SyncService._reportedConflicts.clear();
+    SyncBase.recordPushed(KEY, [synced]);
+
+    conflicts = [];
+  });
+
+  it('combines edits to different fields without asking', () => {
+    const local = {
+      ...synced,
+      amount: 12,
+      updatedAt: '2026-10-02T10:00:00.000Z',
+    };
+    const cloud = {
+      ...synced,
+      category: 'Кафе',
+      updatedAt: '2026-10-02T10:00:01.000Z',
+    };
+    localStorage.setItem(KEY, JSON.stringify([local]));
+
+    SyncService.mergeLocalWithCloud(KEY, [cloud]);
+
+    expect(conflicts).toEqual([]);
+    expect(readLocal()).toEqual([{ ...cloud, amount: 12 }]);
+    expect(SyncService.pushToCloud).toHaveBeenCalledWith(KEY, [
+      { ...cloud, amount: 12 },
+    ]);
+  });
+
+  it('takes the cloud record and its base when only the cloud changed', () => {
+    localStorage.setItem(KEY, JSON.stringify([synced]));
+    const cloud = {
+      ...synced,
+      description: 'Dinner',
+      updatedAt: '2026-10-02T10:00:00.000Z',
+    };
+
+    SyncService.mergeLocalWithCloud(KEY, [cloud]);
+
+    expect(conflicts).toEqual([]);
+    expect(readLocal()).toEqual([cloud]);
+    expect(SyncService.pushToCloud).not.toHaveBeenCalled();
+    expect(SyncBase.get(KEY).t1).toBe(
+      fingerprintMergeFields(cloud, MERGE_FIELDS[KEY])
+    );
+  });
+
+  it('reports only the fields both sides changed', () => {
+    const local = {
+      ...synced,
+      amount: 12,
+      description: 'Team lunch',
+      updatedAt: '2026-10-03T10:00:00.000Z',
+    };
+    const cloud = {
+      ...synced,
+      description: 'Client lunch',
+      accountId: 'acc-2',
+      updatedAt: '2026-10-02T10:00:00.000Z',
+    };
+    localStorage.setItem(KEY, JSON.stringify([local]));
+
+    SyncService.mergeLocalWithCloud(KEY, [cloud]);
+
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({
+      key: KEY,
+      id: 't1',
+      kept: 'local',
+      fields: [
+        {
+          field: 'description',
+          local: 'Team lunch',
+          cloud: 'Client lunch',
+        },
+      ],
+    });
+    // Newer side holds the collision until the user picks
+    expect(readLocal()[0]).toMatchObject({
+      amount: 12,
+      description: 'Team lunch',
+      accountId: 'acc-2',
+    });
+  });
+
+  it('applies per-field choices from the conflict dialog', async () => {
+    const merged = { ...synced, description: 'Team lunch', accountId: 'acc-2' };
+    localStorage.setItem(KEY, JSON.stringify([merged]));
+
+    await SyncService.handleConflictResolution({
+      resolution: 'fields',
+      conflict: {
+        key: KEY,
+        id: 't1',
+        fields: [
+          {
+            field: 'description',
+            local: 'Team lunch',
+            cloud: 'Client lunch',
+          },
+        ],
+      },
+      choices: { description: 'cloud' },
+    });
+
+    const [resolved] = readLocal();
+    expect(resolved.description).toBe('Client lunch');
+    expect(resolved.accountId).toBe('acc-2');
+    expect(Date.parse(resolved.updatedAt)).toBeGreaterThan(
+      Date.parse(synced.updatedAt)
+    );
+    expect(SyncService.pushToCloud).toHaveBeenCalledWith(KEY, [resolved]);
+  });
+
+  it('hands dialog choices to the resolver without pausing on tab switches', () => {
+    const resolve = vi
+      .spyOn(SyncService, 'handleConflictResolution')
+      .mockResolvedValue();
+    const listen = vi.spyOn(document, 'addEventListener');
+
+    // Registering twice must not resolve the same choice twice
+    SyncService.listenForConflictResolutions();
+    SyncService.listenForConflictResolutions();
+    const detail = { resolution: 'local', conflict: { key: KEY, id: 't1' } };
+    window.dispatchEvent(
+      new CustomEvent('sync-conflict-resolution', { detail })
+    );
+
+    expect(resolve).toHaveBeenCalledTimes(1);
+    expect(resolve).toHaveBeenCalledWith(detail);
+    expect(listen).not.toHaveBeenCalledWith(
+      'visibilitychange',
+      expect.any(Function)
+    );
+    resolve.mockRestore();
+    listen.mockRestore();
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+vi.mock('../../src/core/firebase-config.js', () => ({
+  getDb: () => ({}),
+}));
+
+vi.mock('../../src/core/analytics/AnalyticsInstance.js', () => ({
+  getAnalyticsEngine: () => ({ recordAmountPreset: vi.fn() }),
+}));
+
+import { SyncService } from '../../src/core/sync-service.js';
+import { TombstoneService } from '../../src/core/tombstone-service.js';
+import { TransactionService } from '../../src/core/transaction-service.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const KEY = STORAGE_KEYS.TRANSACTIONS;
+
+const tx = (id, updatedAt) => ({
+  id,
+  amount: 10,
+  type: 'expense',
+  category: 'Храна',
+  timestamp: '2026-10-01T10:00:00.000Z',
+  updatedAt,
+});
+
+const readLocal = key => JSON.parse(localStorage.getItem(key) || '[]');
+
+describe('Tombstone-based deletion sync', () => {
+  beforeEach(() => {
+    useMemoryStorage();
+    vi.restoreAllMocks();
+    vi.spyOn(SyncService, 'pushToCloud').mockImplementation(() => {});
+  });
+
+  it('records a tombstone with the device ID when a transaction is removed', () => {
+    const added = TransactionService.add(tx('t1'));
+    TransactionService.remove(added.id);
+
+    const [tombstone] = TombstoneService.getAll();
+    expect(tombstone).toMatchObject({ dataType: KEY, id: added.id });
+    expect(tombstone.deviceId).toBe(TombstoneService.getDeviceId());
+    expect(Date.parse(tombstone.deletedAt)).not.toBeNaN();
+    expect(SyncService.pushToCloud).toHaveBeenCalledWith(
+      STORAGE_KEYS.TOMBSTONES,
+      [tombstone]
+    );
+  });
+
+  it('keeps records added offline when the cloud copy lacks them', () => {
+    const synced = tx('synced', '2026-10-01T10:00:00.000Z');
+    const offline = tx('offline', '2026-10-02T10:00:00.000Z');
+    localStorage.setItem(KEY, JSON.stringify([offline, synced]));
+
+    SyncService.mergeLocalWithCloud(KEY, [synced]);
+
+    expect(readLocal(KEY).map(t => t.id)).toEqual(['synced', 'offline']);
+    expect(SyncService.pushToCloud).toHaveBeenCalledWith(KEY, [
+      synced,
+      offline,
+    ]);
+  });
+
+  it('drops cloud records deleted on this device', () => {
+    const kept = tx('kept', '2026-10-01T10:00:00.000Z');
+    const deleted = tx('deleted', '2026-10-01T10:00:00.000Z');
+    localStorage.setItem(KEY, JSON.stringify([kept]));
+    TombstoneService.record(KEY, 'deleted');
+
+    SyncService.mergeLocalWithCloud(KEY, [kept, deleted]);
+
+    expect(readLocal(KEY)).toEqual([kept]);
+  });
+
+  it('applies tombstones from other devices and pushes the result', () => {
+    const doomed = tx('doomed', '2026-10-01T10:00:00.000Z');
+    const editedLater = tx('edited', '2030-01-01T00:00:00.000Z');
+    localStorage.setItem(KEY, JSON.stringify([doomed, editedLater]));
+    const remote = [
+      { dataType: KEY, id: 'doomed', deletedAt: new Date().toISOString() },
+      { dataType: KEY, id: 'edited', deletedAt: new Date().toISOString() },
+    ];
+
+    SyncService.mergeLocalWithCloud(STORAGE_KEYS.TOMBSTONES, remote);
+
+    expect(readLocal(KEY)).toEqual([editedLater]);
+    expect(SyncService.pushToCloud).toHaveBeenCalledWith(KEY, [editedLater]);
+    expect(TombstoneService.getAll()).toHaveLength(2);
+    // Nothing new to send back: the cloud already has both tombstones
+    expect(SyncService.pushToCloud).not.toHaveBeenCalledWith(
+      STORAGE_KEYS.TOMBSTONES,
+      expect.anything()
+    );
+  });
+
+  it('pushes local tombstones the cloud is missing and drops expired ones', () => {
+    TombstoneService.record(KEY, 'mine');
+    SyncService.pushToCloud.mockClear();
+    const expired = {
+      dataType: KEY,
+      id: 'ancient',
+      deletedAt: '2020-01-01T00:00:00.000Z',
+    };
+
+    SyncService.mergeLocalWithCloud(STORAGE_KEYS.TOMBSTONES, [expired]);
+
+    const ids = TombstoneService.getAll().map(t => t.id);
+    expect(ids).toEqual(['mine']);
+    expect(SyncService.pushToCloud).toHaveBeenCalledWith(
+      STORAGE_KEYS.TOMBSTONES,
+      TombstoneService.getAll()
+    );
+  });
+
+  it('revives records brought back from a backup', () => {
+    const restored = tx('restored', '2026-10-01T10:00:00.000Z');
+    TombstoneService.record(KEY, 'restored');
+    TombstoneService.revive(KEY, ['restored']);
+    localStorage.setItem(KEY, JSON.stringify([restored]));
+
+    SyncService.mergeLocalWithCloud(KEY, []);
+
+    expect(readLocal(KEY)).toEqual([restored]);
+    expect(TombstoneService.getDeleted(KEY).size).toBe(0);
+  });
+
+  it('keeps a removed exchange rate out of an older cloud copy', () => {
+    const RATES = STORAGE_KEYS.EXCHANGE_RATES;
+    const local = {
+      base: 'EUR',
+      rates: { EUR: 1 },
+      updatedAt: '2026-10-02T10:00:00.000Z',
+    };
+    localStorage.setItem(RATES, JSON.stringify(local));
+
+    SyncService.mergeLocalWithCloud(RATES, {
+      base: 'EUR',
+      rates: { EUR: 1, USD: 0.9 },
+      updatedAt: '2026-10-01T10:00:00.000Z',
+    });
+    expect(readLocal(RATES)).toEqual(local);
+
+    const newer = {
+      base: 'EUR',
+      rates: { EUR: 1, GBP: 1.2 },
+      updatedAt: '2026-10-03T10:00:00.000Z',
+    };
+    SyncService.mergeLocalWithCloud(RATES, newer);
+    expect(readLocal(RATES)).toEqual(newer);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+vi.mock('../../src/core/analytics/AnalyticsInstance.js', () => ({
+  getAnalyticsEngine: () => ({ recordAmountPreset: vi.fn() }),
+}));
+
+vi.mock('../../src/core/attachment-service.js', () => ({
+  AttachmentService: {
+    store: vi.fn(async file => ({
+      id: `att-${file.name}`,
+      name: file.name,
+      type: file.type,
+      size: file.size,
+    })),
+    remove: vi.fn(async () => {}),
+  },
+}));
+
+import { TransactionService } from '../../src/core/transaction-service.js';
+import { AttachmentService } from '../../src/core/attachment-service.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const receipt = name => ({ name, type: 'image/jpeg', size: 1024 });
+
+const addExpense = () =>
+  TransactionService.add({
+    type: 'expense',
+    category: 'Храна',
+    amount: 42,
+    accountId: 'main',
+    timestamp: new Date('2026-05-10T12:00:00').toISOString(),
+  });
+
+describe('transaction attachments', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+      ]),
+    });
+    vi.clearAllMocks();
+  });
+
+  it('stores files and appends their metadata to the transaction', async () => {
+    const tx = addExpense();
+
+    await TransactionService.addAttachments(tx.id, [receipt('a.jpg')]);
+    const updated = await TransactionService.addAttachments(tx.id, [
+      receipt('b.jpg'),
+    ]);
+
+    expect(updated.attachments.map(a => a.id)).toEqual([
+      'att-a.jpg',
+      'att-b.jpg',
+    ]);
+    expect(TransactionService.get(tx.id).attachments).toHaveLength(2);
+  });
+
+  it('deletes files when the transaction is removed', async () => {
+    const tx = addExpense();
+    await TransactionService.addAttachments(tx.id, [receipt('a.jpg')]);
+
+    TransactionService.remove(tx.id);
+
+    expect(AttachmentService.remove).toHaveBeenCalledWith(['att-a.jpg']);
+  });
+
+  it('deletes only the files dropped by an update', async () => {
+    const tx = addExpense();
+    const withFiles = await TransactionService.addAttachments(tx.id, [
+      receipt('a.jpg'),
+      receipt('b.jpg'),
+    ]);
+
+    TransactionService.update(tx.id, {
+      attachments: withFiles.attachments.slice(1),
+    });
+    expect(AttachmentService.remove).toHaveBeenCalledWith(['att-a.jpg']);
+
+    TransactionService.update(tx.id, { attachments: [] });
+    expect(AttachmentService.remove).toHaveBeenLastCalledWith(['att-b.jpg']);
+    expect(TransactionService.get(tx.id).attachments).toBeUndefined();
+  });
+
+  it('keeps files shared by split halves and leaves copies without them', async () => {
+    const tx = addExpense();
+    await TransactionService.addAttachments(tx.id, [receipt('a.jpg')]);
+
+    const { first, second } = TransactionService.split(tx.id);
+    expect(AttachmentService.remove).not.toHaveBeenCalled();
+    expect(TransactionService.copy(first.id).attachments).toBeUndefined();
+
+    TransactionService.remove(first.id);
+    expect(AttachmentService.remove).not.toHaveBeenCalled();
+
+    TransactionService.remove(second.id);
+    expect(AttachmentService.remove).toHaveBeenCalledWith(['att-a.jpg']);
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import { webcrypto } from 'node:crypto';
+import { VaultService } from '../../src/core/vault-service.js';
+import { DomainStore } from '../../src/core/domain-store.js';
+import { VaultAdapter } from '../../src/core/storage-adapters/vault-adapter.js';
+import { LocalStorageAdapter } from '../../src/core/storage-adapters/local-storage-adapter.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { config } from '../../config/app.config.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const TRANSACTIONS = STORAGE_KEYS.TRANSACTIONS;
+const PASSPHRASE = 'correct horse battery';
+
+describe('VaultService', () => {
+  let store;
+  let localMode;
+
+  beforeAll(() => {
+    // The test setup's crypto stub has no SubtleCrypto
+    Object.defineProperty(global.crypto, 'subtle', {
+      value: webcrypto.subtle,
+      configurable: true,
+    });
+  });
+
+  beforeEach(() => {
+    store = useMemoryStorage();
+    DomainStore.adapter = LocalStorageAdapter;
+    localMode = config.localMode;
+    config.localMode = true;
+  });
+
+  afterEach(() => {
+    VaultService._stopAutoLock();
+    VaultService._dataKey = null;
+    VaultAdapter.close();
+    config.localMode = localMode;
+  });
+
+  const seed = () => {
+    store[TRANSACTIONS] = JSON.stringify([
+      { id: 't1', amount: 4.5, description: 'Coffee' },
+    ]);
+  };
+
+  // What a fresh launch sees: nothing decrypted in memory
+  const relaunch = () => {
+    VaultService._stopAutoLock();
+    VaultService._dataKey = null;
+    VaultAdapter.close();
+    DomainStore.adapter = LocalStorageAdapter;
+  };
+
+  it('is only offered in local-only mode', async () => {
+    config.localMode = false;
+
+    expect(VaultService.isAvailable()).toBe(false);
+    await expect(VaultService.enable(PASSPHRASE)).rejects.toThrow(
+      'local-only mode'
+    );
+  });
+
+  it('rejects short passphrases', async () => {
+    await expect(VaultService.enable('short')).rejects.toThrow(
+      'at least 8 characters'
+    );
+    expect(VaultService.isEnabled()).toBe(false);
+  });
+
+  it('encrypts domain data and removes the plaintext', async () => {
+    seed();
+
+    await VaultService.enable(PASSPHRASE);
+
+    expect(VaultService.isEnabled()).toBe(true);
+    expect(store[TRANSACTIONS]).toBeUndefined();
+    const envelope = JSON.parse(store[`${TRANSACTIONS}_vault`]);
+    expect(envelope).toEqual({
+      iv: expect.any(String),
+      data: expect.any(String),
+    });
+    expect(store[`${TRANSACTIONS}_vault`]).not.toContain('Coffee');
+    expect(store[STORAGE_KEYS.VAULT]).not.toContain(PASSPHRASE);
+    expect(DomainStore.read(TRANSACTIONS)).toEqual([
+      { id: 't1', amount: 4.5, description: 'Coffee' },
+    ]);
+  });
+
+  it('unlocks only with the right passphrase', async () => {
+    seed();
+    await VaultService.enable(PASSPHRASE);
+    DomainStore.write(TRANSACTIONS, [{ id: 't2', amount: 10 }]);
+    const locked = [];
+    const onLocked = () => locked.push(true);
+    window.addEventListener('vault-locked', onLocked);
+
+    expect(await VaultService.lock()).toBe(true);
+    window.removeEventListener('vault-locked', onLocked);
+    relaunch();
+
+    expect(locked).toHaveLength(1);
+    await expect(VaultService.unlock('wrong passphrase')).rejects.toThrow(
+      'Incorrect passphrase'
+    );
+    expect(VaultService.isUnlocked()).toBe(false);
+
+    await VaultService.unlock(PASSPHRASE);
+    expect(DomainStore.adapter).toBe(VaultAdapter);
+    expect(DomainStore.read(TRANSACTIONS)).toEqual([{ id: 't2', amount: 10 }]);
+  });
+
+  it('changes the passphrase without re-encrypting data', async () => {
+    seed();
+    await VaultService.enable(PASSPHRASE);
+    const envelope = store[`${TRANSACTIONS}_vault`];
+
+    await expect(
+      VaultService.changePassphrase('not the passphrase', 'new passphrase!')
+    ).rejects.toThrow('Incorrect passphrase');
+    await VaultService.changePassphrase(PASSPHRASE, 'new passphrase!');
+    relaunch();
+
+    expect(store[`${TRANSACTIONS}_vault`]).toBe(envelope);
+    await expect(VaultService.unlock(PASSPHRASE)).rejects.toThrow(
+      'Incorrect passphrase'
+    );
+    await VaultService.unlock('new passphrase!');
+    expect(DomainStore.read(TRANSACTIONS)).toHaveLength(1);
+  });
+
+  it('stores data in plaintext again once disabled', async () => {
+    seed();
+    await VaultService.enable(PASSPHRASE);
+
+    await VaultService.disable(PASSPHRASE);
+
+    expect(VaultService.isEnabled()).toBe(false);
+    expect(store[`${TRANSACTIONS}_vault`]).toBeUndefined();
+    expect(JSON.parse(store[TRANSACTIONS])).toEqual([
+      { id: 't1', amount: 4.5, description: 'Coffee' },
+    ]);
+    expect(DomainStore.adapter).toBe(LocalStorageAdapter);
+  });
+
+  it('encrypts exports so they open with the vault passphrase', async () => {
+    await VaultService.enable(PASSPHRASE);
+    const data = {
+      data: { transactions: { count: 1, items: [{ description: 'Coffee' }] } },
+    };
+
+    const file = JSON.parse(
+      JSON.stringify(await VaultService.encryptExport(data))
+    );
+
+    expect(VaultService.isEncryptedExport(file)).toBe(true);
+    expect(JSON.stringify(file)).not.toContain('Coffee');
+    await expect(
+      VaultService.decryptExport(file, 'wrong passphrase')
+    ).rejects.toThrow('Incorrect passphrase');
+    expect(await VaultService.decryptExport(file, PASSPHRASE)).toEqual(data);
+  });
+
+  it('erases the vault when the passphrase is forgotten', async () => {
+    seed();
+    await VaultService.enable(PASSPHRASE);
+    relaunch();
+
+    await VaultService.erase();
+
+    expect(VaultService.isEnabled()).toBe(false);
+    expect(Object.keys(store)).toEqual([]);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/core/auth-service.js', () => ({
+  AuthService: {
+    getUserId: () => 'user-1',
+  },
+}));
+
+import { YearReviewService } from '../../src/core/year-review-service.js';
+import { ClickTracker } from '../../src/core/click-tracking-service.js';
+import { StorageService } from '../../src/core/storage.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const tx = (id, type, amount, date, category = 'Храна') => ({
+  id,
+  type,
+  amount,
+  category,
+  accountId: 'main',
+  timestamp: new Date(`${date}T12:00:00`).toISOString(),
+});
+
+const transactions = [
+  tx('salary-jan', 'income', 2000, '2025-01-05', 'Заплата'),
+  tx('salary-feb', 'income', 2000, '2025-02-05', 'Заплата'),
+  tx('food-1', 'expense', 300, '2025-01-10'),
+  tx('food-2', 'expense', 250, '2025-01-11'),
+  tx('food-3', 'expense', 200, '2025-01-12'),
+  tx('car', 'expense', 1500, '2025-02-20', 'Автомобил'),
+  tx('last-food', 'expense', 500, '2024-06-01'),
+  tx('next-year', 'expense', 80, '2026-01-03'),
+];
+
+describe('YearReviewService', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+      ]),
+    });
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-01T10:00:00'));
+    ClickTracker.history = [
+      { clicks: 3, duration: 4, timestamp: '2025-01-10T10:00:00.000Z' },
+      { clicks: 4, duration: 6, timestamp: '2025-02-20T10:00:00.000Z' },
+      { clicks: 9, duration: 20, timestamp: '2026-01-03T10:00:00.000Z' },
+    ];
+    vi.spyOn(StorageService, 'getGoals').mockReturnValue([
+      {
+        id: 'bike',
+        name: 'Bike',
+        targetAmount: 1000,
+        currentSavings: 1000,
+        completedDate: new Date('2025-07-01T10:00:00'),
+      },
+      {
+        id: 'house',
+        name: 'House',
+        targetAmount: 50000,
+        currentSavings: 1000,
+        updatedDate: new Date('2025-08-01T10:00:00'),
+      },
+      {
+        id: 'phone',
+        name: 'Phone',
+        targetAmount: 800,
+        currentSavings: 800,
+        completedDate: new Date('2024-03-01T10:00:00'),
+      },
+    ]);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('lists the years that have transactions', () => {
+    expect(YearReviewService.getAvailableYears(transactions)).toEqual([
+      2026, 2025, 2024,
+    ]);
+  });
+
+  it('totals the year month by month', () => {
+    const review = YearReviewService.build(transactions, 2025);
+
+    expect(review.totals).toMatchObject({
+      totalIncome: 4000,
+      totalExpenses: 2250,
+      netBalance: 1750,
+    });
+    expect(review.totals.savingsRate).toBeCloseTo(43.75);
+    expect(review.months).toHaveLength(12);
+    expect(review.months[0]).toMatchObject({
+      label: 'Jan',
+      income: 2000,
+      expenses: 750,
+      net: 1250,
+    });
+    expect(review.bestMonth.label).toBe('Jan');
+  });
+
+  it('compares the biggest categories with the year before', () => {
+    const review = YearReviewService.build(transactions, 2025);
+
+    expect(
+      review.categories.map(c => [c.category, c.current, c.changePercent])
+    ).toEqual([
+      ['Автомобил', 1500, null],
+      ['Храна', 750, 50],
+    ]);
+    expect(review.largestPurchases.map(p => p.id)).toEqual([
+      'car',
+      'food-1',
+      'food-2',
+      'food-3',
+    ]);
+  });
+
+  it('includes only goals reached during the year', () => {
+    const review = YearReviewService.build(transactions, 2025);
+
+    expect(review.goalsReached.map(g => g.name)).toEqual(['Bike']);
+  });
+
+  it('reports logging streaks for the year', () => {
+    const review = YearReviewService.build(transactions, 2025);
+
+    expect(review.streaks).toMatchObject({
+      activeDays: 6,
+      longestStreak: 3,
+      currentStreak: 0,
+      averageClicks: 3.5,
+      averageDuration: 5,
+      trackedEntries: 2,
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  selectBackupsToKeep,
+  diffRecords,
+  migrateBackup,
+  BACKUP_SECTIONS,
+} from '../../src/utils/backup-utils.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { addDays } from '../../src/utils/recurrence-utils.js';
+
+// One snapshot per day for the given number of days, ending on `last`
+const dailySnapshots = (last, days) =>
+  Array.from({ length: days }, (_, i) => {
+    const backupDate = addDays(last, -i);
+    return { id: `snapshot_${backupDate}`, backupDate };
+  });
+
+describe('backup-utils', () => {
+  it('keeps 7 daily, 4 weekly and 12 monthly snapshots', () => {
+    const snapshots = dailySnapshots('2026-10-19', 500);
+    const keep = selectBackupsToKeep(snapshots);
+
+    // Last 7 days
+    for (let i = 0; i < 7; i++) {
+      expect(keep.has(`snapshot_${addDays('2026-10-19', -i)}`)).toBe(true);
+    }
+    // Newest snapshot of each of the last 4 weeks (2026-10-19 is a Monday);
+    // the two newest weeks are already covered by the daily snapshots
+    expect(keep.has('snapshot_2026-10-11')).toBe(true);
+    expect(keep.has('snapshot_2026-10-04')).toBe(true);
+    expect(keep.has('snapshot_2026-09-27')).toBe(false);
+    // Newest snapshot of each of the last 12 months
+    expect(keep.has('snapshot_2026-09-30')).toBe(true);
+    expect(keep.has('snapshot_2025-11-30')).toBe(true);
+    expect(keep.has('snapshot_2025-10-31')).toBe(false);
+    expect(keep.size).toBe(7 + 2 + 11);
+  });
+
+  it('prefers dated snapshots over the legacy document on the same day', () => {
+    const keep = selectBackupsToKeep(
+      [
+        { id: 'daily_backup', backupDate: '2026-10-19' },
+        { id: 'snapshot_2026-10-19', backupDate: '2026-10-19' },
+      ],
+      { daily: 1, weekly: 1, monthly: 1 }
+    );
+
+    expect([...keep]).toEqual(['snapshot_2026-10-19']);
+  });
+
+  it('diffs records by id from the restore point of view', () => {
+    const current = [
+      { id: 'a', amount: 10, category: 'Храна' },
+      { id: 'b', amount: 20 },
+      { id: 'new', amount: 5 },
+    ];
+    const snapshot = [
+      { category: 'Храна', amount: 10, id: 'a' },
+      { id: 'b', amount: 25 },
+      { id: 'deleted', amount: 7 },
+    ];
+
+    expect(diffRecords(current, snapshot)).toEqual({
+      added: 1,
+      removed: 1,
+      changed: 1,
+      unchanged: 1,
+    });
+  });
+
+  it('backs up the exchange-rate table and syncs it on restore', () => {
+    expect(
+      BACKUP_SECTIONS.find(section => section.name === 'exchangeRates')
+    ).toMatchObject({
+      storageKey: STORAGE_KEYS.EXCHANGE_RATES,
+      type: 'object',
+      synced: true,
+    });
+
+    // Older schemas never captured rates, so restoring them keeps the table
+    const migrated = migrateBackup({
+      schemaVersion: 2,
+      transactions: [],
+      exchangeRates: { base: 'EUR', rates: {} },
+    });
+    expect(migrated.sections).toEqual(['transactions']);
+  });
+});
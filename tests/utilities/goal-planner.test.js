@@ -58,4 +58,21 @@ describe('GoalPlanner', () => {
     const notFeasible = planner.assessGoalFeasibility(goal, 2000, 2500);
     expect(notFeasible.feasibility).toBe('not_feasible');
   });
+
+  it('records when a goal reaches its target', () => {
+    const targetDate = new Date();
+    targetDate.setFullYear(targetDate.getFullYear() + 1);
+    const goal = planner.createGoal('Bike', 1000, targetDate, 200);
+    expect(goal.completedDate).toBeUndefined();
+
+    planner.updateGoalProgress(goal.id, 1000);
+    const reached = planner.getGoal(goal.id).completedDate;
+    expect(reached).toBeInstanceOf(Date);
+
+    // Saving more keeps the original date; raising the target clears it
+    planner.updateGoalProgress(goal.id, 1100);
+    expect(planner.getGoal(goal.id).completedDate).toBe(reached);
+    planner.updateGoal(goal.id, { targetAmount: 2000 });
+    expect(planner.getGoal(goal.id).completedDate).toBeUndefined();
+  });
 });
@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../../src/core/sync-service.js', () => ({
+  SyncService: {
+    pushToCloud: vi.fn(),
+  },
+}));
+
+import {
+  formatMoney,
+  formatMoneyForExport,
+  getCurrencySymbol,
+  saveMoneyFormatSettings,
+} from '../../src/utils/money-format.js';
+import { CurrencyService } from '../../src/core/currency-service.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+describe('money-format', () => {
+  beforeEach(() => {
+    useMemoryStorage({
+      [STORAGE_KEYS.ACCOUNTS]: JSON.stringify([
+        { id: 'main', name: 'Main Account', isDefault: true },
+      ]),
+    });
+  });
+
+  it('formats with the defaults and the base currency', () => {
+    expect(formatMoney(1234.5)).toBe('€1,234.50');
+    expect(formatMoney(-12)).toBe('-€12.00');
+    expect(formatMoney(-0.001)).toBe('€0.00');
+    expect(formatMoney(12, { signed: true })).toBe('+€12.00');
+    expect(formatMoney(1234.5, { decimals: 0 })).toBe('€1,235');
+    expect(formatMoney(5, { currency: 'USD' })).toBe('$5.00');
+
+    CurrencyService.setBaseCurrency('GBP');
+    expect(formatMoney(3)).toBe('£3.00');
+    expect(getCurrencySymbol()).toBe('£');
+  });
+
+  it('applies locale, symbol, decimals and negative style settings', () => {
+    saveMoneyFormatSettings({ locale: 'de-DE' });
+    expect(formatMoney(1234.5).replace(/\s/g, ' ')).toBe('1.234,50 €');
+
+    saveMoneyFormatSettings({
+      showSymbol: false,
+      decimals: 0,
+      negativeStyle: 'parentheses',
+    });
+    expect(formatMoney(-1234.5)).toBe('(1.235)');
+    expect(formatMoney(20, { signed: true })).toBe('+20');
+  });
+
+  it('keeps exports machine-readable and survives unknown locales', () => {
+    saveMoneyFormatSettings({ locale: 'de-DE' });
+    expect(formatMoneyForExport(-1234.5)).toBe('-1234.50');
+
+    saveMoneyFormatSettings({ locale: 'not a locale', decimals: 9 });
+    expect(formatMoney(1)).toBe('€1.00');
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { createImagePdf } from '../../src/utils/pdf-writer.js';
+
+const readBytes = blob =>
+  new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+
+// Latin-1 view keeps byte offsets and string offsets aligned
+const latin1 = bytes => new TextDecoder('latin1').decode(bytes);
+
+const jpeg = size => new Uint8Array(size).fill(0xab);
+
+describe('pdf-writer', () => {
+  it('writes one image page per entry with a valid cross-reference table', async () => {
+    const pdf = createImagePdf(
+      [
+        { jpeg: jpeg(10), width: 1240, height: 1754 },
+        { jpeg: jpeg(20), width: 1240, height: 1754 },
+      ],
+      { title: 'Отчет март', created: new Date('2026-04-01T08:00:00Z') }
+    );
+    expect(pdf.type).toBe('application/pdf');
+
+    const text = latin1(await readBytes(pdf));
+    expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(text.endsWith('%%EOF\n')).toBe(true);
+    expect(text).toContain('/Count 2');
+    expect(text).toContain('/Filter /DCTDecode /Length 20');
+    expect(text).toContain('/CreationDate (D:20260401080000Z)');
+    // "Отчет март" as UTF-16BE
+    expect(text).toContain(
+      '/Title <FEFF041E04420447043504420020043C043004400442>'
+    );
+
+    const xrefOffset = Number(text.match(/startxref\n(\d+)/)[1]);
+    expect(text.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+
+    const entries = text
+      .slice(xrefOffset)
+      .match(/^(\d{10}) 00000 n $/gm)
+      .map(line => Number(line.slice(0, 10)));
+    expect(entries).toHaveLength(9);
+    entries.forEach((offset, index) => {
+      expect(text.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+  });
+
+  it('refuses an empty document', () => {
+    expect(() => createImagePdf([])).toThrow();
+  });
+});
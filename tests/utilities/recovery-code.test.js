@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import {
+  decodeRecoveryCode,
+  encodeRecoveryCode,
+} from '../../src/utils/recovery-code.js';
+
+const KEY = Uint8Array.from({ length: 32 }, (_, i) => (i * 37 + 11) % 256);
+
+describe('recovery-code', () => {
+  it('round-trips a key through grouped base32', () => {
+    const code = encodeRecoveryCode(KEY);
+
+    expect(code).toMatch(/^[0-9A-HJKMNP-TV-Z]{4}(-[0-9A-HJKMNP-TV-Z]{1,4})+$/);
+    expect(decodeRecoveryCode(code, 32)).toEqual(KEY);
+  });
+
+  it('accepts lowercase, spaces and letters mistaken for digits', () => {
+    const code = encodeRecoveryCode(KEY);
+    const typed = code
+      .toLowerCase()
+      .replace(/-/g, ' ')
+      .replace(/0/g, 'o')
+      .replace(/1/g, 'l');
+
+    expect(decodeRecoveryCode(typed, 32)).toEqual(KEY);
+  });
+
+  it('rejects typos and codes of the wrong length', () => {
+    const code = encodeRecoveryCode(KEY);
+    const typo = (code[0] === 'A' ? 'B' : 'A') + code.slice(1);
+
+    expect(() => decodeRecoveryCode(typo, 32)).toThrow('Invalid recovery code');
+    expect(() => decodeRecoveryCode(code.slice(0, -5), 32)).toThrow(
+      'Invalid recovery code'
+    );
+    expect(() => decodeRecoveryCode(`${code.slice(0, -1)}U`, 32)).toThrow(
+      'Invalid recovery code'
+    );
+  });
+});
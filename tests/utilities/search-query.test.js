@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { parseSearchQuery } from '../../src/utils/search-query.js';
+import { FilteringService } from '../../src/core/analytics/FilteringService.js';
+import { NavigationState } from '../../src/core/navigation-state.js';
+import { useMemoryStorage } from '../helpers/memory-storage.js';
+
+const accounts = [
+  { id: 'main', name: 'Main Account' },
+  { id: 'cash', name: 'Cash' },
+];
+
+const transactions = [
+  {
+    id: '1',
+    type: 'expense',
+    amount: 12.5,
+    category: 'Храна',
+    description: 'Lidl groceries',
+    accountId: 'main',
+    timestamp: '2026-02-10T12:00:00',
+  },
+  {
+    id: '2',
+    type: 'expense',
+    amount: 80,
+    category: 'Заведения',
+    description: 'Dinner by the sea',
+    tags: ['Trip'],
+    accountId: 'cash',
+    timestamp: '2026-02-28T20:00:00',
+  },
+  {
+    id: '3',
+    type: 'refund',
+    amount: 50,
+    category: 'Заведения',
+    tags: ['Trip'],
+    accountId: 'cash',
+    timestamp: '2026-03-01T09:00:00',
+  },
+];
+
+const search = query =>
+  FilteringService.applyFilters(
+    transactions,
+    parseSearchQuery(query, { accounts })
+  ).map(t => t.id);
+
+describe('search query', () => {
+  it('parses the query syntax into applyFilters filters', () => {
+    const filters = parseSearchQuery(
+      'dinner >50 tag:"Trip" acct:cash type:Expense before:2026-03-01',
+      { accounts }
+    );
+    expect(filters).toMatchObject({
+      searchText: 'dinner',
+      amountRange: { min: 50, minExclusive: true },
+      tags: ['Trip'],
+      accounts: ['cash'],
+      types: ['expense'],
+    });
+    expect(filters.dateRange.startDate).toBeUndefined();
+    expect(filters.dateRange.endDate.getDate()).toBe(28);
+
+    // Unknown keys and invalid dates fall back to text
+    expect(parseSearchQuery('foo:bar before:2026-02-30')).toEqual({
+      searchText: 'foo:bar before:2026-02-30',
+    });
+  });
+
+  it('matches descriptions, categories, tags and amounts', () => {
+    expect(search('lidl')).toEqual(['1']);
+    expect(search('trip заведения')).toEqual(['2', '3']);
+    expect(search('12.50')).toEqual(['1']);
+    expect(search('>50')).toEqual(['2']);
+    expect(search('>=50 <=50')).toEqual(['3']);
+    expect(search('tag:trip type:refund')).toEqual(['3']);
+    expect(search('acct:Main')).toEqual(['1']);
+    expect(search('acct:Nowhere')).toEqual([]);
+    expect(search('before:2026-03-01 after:2026-02-10')).toEqual(['2']);
+    expect(search('on:2026-03-01')).toEqual(['3']);
+  });
+});
+
+describe('saved searches', () => {
+  beforeEach(() => {
+    useMemoryStorage();
+  });
+
+  it('saves, replaces by name and removes searches', () => {
+    NavigationState.saveSearch('Trip', 'tag:trip');
+    NavigationState.saveSearch('trip', 'tag:trip >20');
+    expect(NavigationState.saveSearch('  ', 'tag:trip')).toBeNull();
+
+    const searches = NavigationState.getSavedSearches();
+    expect(searches.map(s => [s.name, s.query])).toEqual([
+      ['trip', 'tag:trip >20'],
+    ]);
+
+    NavigationState.removeSavedSearch(searches[0].id);
+    expect(NavigationState.getSavedSearches()).toEqual([]);
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getChunkId,
+  groupIntoChunks,
+  hashChunk,
+  findChangedChunks,
+  applyChunks,
+  unionRecordsById,
+  UNDATED_CHUNK,
+} from '../../src/utils/sync-chunks.js';
+
+const tx = (id, timestamp, extra = {}) => ({
+  id,
+  amount: 10,
+  timestamp,
+  updatedAt: '2026-10-01T10:00:00.000Z',
+  ...extra,
+});
+
+// Cloud-authoritative merge, like SyncService.mergeArraysById
+const cloudWins = (_local, cloud) => cloud;
+
+describe('sync-chunks', () => {
+  it('groups records by month', () => {
+    const chunks = groupIntoChunks([
+      tx('a', '2026-09-30T22:00:00.000Z'),
+      tx('b', '2026-10-01T08:00:00.000Z'),
+      { id: 'c', amount: 5 },
+    ]);
+
+    expect([...chunks.keys()]).toEqual(['2026-09', '2026-10', UNDATED_CHUNK]);
+    expect(getChunkId({ date: '2025-12-31' })).toBe('2025-12');
+  });
+
+  it('hashes chunks independently of record and key order', () => {
+    const a = tx('a', '2026-10-01T08:00:00.000Z');
+    const b = tx('b', '2026-10-02T08:00:00.000Z');
+    const reordered = Object.fromEntries(Object.entries(a).reverse());
+
+    expect(hashChunk([a, b])).toBe(hashChunk([b, reordered]));
+    expect(hashChunk([a, b])).not.toBe(hashChunk([a, { ...b, amount: 11 }]));
+  });
+
+  it('only reports months that changed, including emptied ones', () => {
+    const sept = tx('a', '2026-09-15T08:00:00.000Z');
+    const oct = tx('b', '2026-10-02T08:00:00.000Z');
+    const hashes = {
+      '2026-09': hashChunk([sept]),
+      '2026-10': hashChunk([oct]),
+      '2026-08': hashChunk([tx('gone', '2026-08-01T08:00:00.000Z')]),
+    };
+
+    const changed = findChangedChunks([sept, { ...oct, amount: 99 }], hashes);
+
+    expect([...changed.keys()].sort()).toEqual(['2026-08', '2026-10']);
+    expect(changed.get('2026-08')).toEqual([]);
+  });
+
+  it('applies chunks per month and keeps local records newer than the chunk', () => {
+    const local = [
+      tx('sept', '2026-09-15T08:00:00.000Z'),
+      tx('old', '2026-10-02T08:00:00.000Z'),
+      tx('offline', '2026-10-03T08:00:00.000Z', {
+        updatedAt: '2026-10-05T12:00:00.000Z',
+      }),
+    ];
+    const chunk = {
+      id: '2026-10',
+      items: [tx('remote', '2026-10-04T08:00:00.000Z')],
+      syncedAt: Date.parse('2026-10-04T12:00:00.000Z'),
+    };
+
+    const merged = applyChunks(local, [chunk], cloudWins);
+
+    expect(merged.map(r => r.id).sort()).toEqual(['offline', 'remote', 'sept']);
+  });
+
+  it('keeps one copy of a record that moved to another month', () => {
+    const local = [tx('a', '2026-09-15T08:00:00.000Z')];
+    const moved = tx('a', '2026-10-15T08:00:00.000Z', {
+      updatedAt: '2026-10-16T08:00:00.000Z',
+    });
+
+    const merged = applyChunks(
+      local,
+      [{ id: '2026-10', items: [moved], syncedAt: 0 }],
+      cloudWins
+    );
+
+    expect(merged).toEqual([moved]);
+  });
+
+  it('keeps the newest copy when both months of a move arrive together', () => {
+    const stale = tx('a', '2026-09-15T08:00:00.000Z');
+    const moved = tx('a', '2026-10-15T08:00:00.000Z', {
+      updatedAt: '2026-10-16T08:00:00.000Z',
+    });
+    // Local records missing from the cloud survive, as with tombstones
+    const keepLocal = (local, cloud) => [
+      ...cloud,
+      ...local.filter(r => !cloud.some(c => c.id === r.id)),
+    ];
+
+    const merged = applyChunks(
+      [stale],
+      [
+        { id: '2026-09', items: [], syncedAt: 0 },
+        { id: '2026-10', items: [moved], syncedAt: 0 },
+      ],
+      keepLocal
+    );
+
+    expect(merged).toEqual([moved]);
+  });
+
+  it('unions legacy records with local ones, newest copy winning', () => {
+    const merged = unionRecordsById(
+      [
+        tx('a', '2026-10-01T08:00:00.000Z', {
+          amount: 20,
+          updatedAt: '2026-10-03T00:00:00.000Z',
+        }),
+        tx('local-only', '2026-10-02T08:00:00.000Z'),
+      ],
+      [
+        tx('a', '2026-10-01T08:00:00.000Z'),
+        tx('cloud-only', '2026-10-02T08:00:00.000Z'),
+      ]
+    );
+
+    expect(merged.map(r => r.id).sort()).toEqual([
+      'a',
+      'cloud-only',
+      'local-only',
+    ]);
+    expect(merged.find(r => r.id === 'a').amount).toBe(20);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MERGE_FIELDS,
+  applyFieldValues,
+  fingerprintMergeFields,
+  mergeRecordFields,
+} from '../../src/utils/three-way-merge.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+
+const FIELDS = MERGE_FIELDS[STORAGE_KEYS.TRANSACTIONS];
+
+const base = {
+  amount: 10,
+  category: 'Храна',
+  description: 'Lunch',
+  tags: ['work'],
+  accountId: 'acc-1',
+};
+const baseFingerprint = fingerprintMergeFields(base, FIELDS);
+
+describe('three-way-merge', () => {
+  it('combines edits to different fields', () => {
+    const local = { ...base, amount: 12 };
+    const cloud = { ...base, category: 'Кафе', tags: ['work', 'team'] };
+
+    const { values, collisions } = mergeRecordFields(
+      baseFingerprint,
+      local,
+      cloud,
+      FIELDS
+    );
+
+    expect(collisions).toEqual([]);
+    expect(values).toEqual({
+      ...base,
+      amount: 12,
+      category: 'Кафе',
+      tags: ['work', 'team'],
+    });
+  });
+
+  it('reports fields changed differently on both sides', () => {
+    const local = { ...base, description: 'Team lunch', amount: 12 };
+    const cloud = { ...base, description: 'Client lunch', amount: 12 };
+
+    const { values, collisions } = mergeRecordFields(
+      baseFingerprint,
+      local,
+      cloud,
+      FIELDS
+    );
+
+    expect(values.amount).toBe(12);
+    expect(values).not.toHaveProperty('description');
+    expect(collisions).toEqual([
+      {
+        field: 'description',
+        local: 'Team lunch',
+        cloud: 'Client lunch',
+      },
+    ]);
+  });
+
+  it('treats every difference as a collision without a base', () => {
+    const { collisions } = mergeRecordFields(
+      null,
+      { ...base, amount: 12 },
+      { ...base, accountId: 'acc-2' },
+      FIELDS
+    );
+
+    expect(collisions.map(c => c.field)).toEqual(['amount', 'accountId']);
+  });
+
+  it('keeps a field removed on one side removed', () => {
+    const local = { ...base };
+    delete local.description;
+    const { values } = mergeRecordFields(baseFingerprint, local, base, FIELDS);
+    const merged = applyFieldValues({ id: 't1', ...base }, values);
+
+    expect(merged).not.toHaveProperty('description');
+    expect(merged.id).toBe('t1');
+  });
+
+  it('fingerprints the merge fields without their values', () => {
+    const fingerprint = fingerprintMergeFields(base, FIELDS);
+
+    expect(fingerprint.split('.')).toHaveLength(FIELDS.length);
+    expect(fingerprint).not.toContain('Lunch');
+    expect(fingerprintMergeFields({ ...base, type: 'income' }, FIELDS)).toBe(
+      fingerprint
+    );
+    expect(fingerprintMergeFields({ ...base, tags: [] }, FIELDS)).not.toBe(
+      fingerprint
+    );
+  });
+
+  it('ignores a fingerprint taken with another field list', () => {
+    const { collisions } = mergeRecordFields(
+      fingerprintMergeFields(base, ['amount']),
+      { ...base, amount: 12 },
+      base,
+      FIELDS
+    );
+
+    expect(collisions.map(c => c.field)).toEqual(['amount']);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  dropTombstoned,
+  indexTombstones,
+  isTombstoned,
+  mergeTombstones,
+  pruneTombstones,
+  TOMBSTONE_RETENTION_DAYS,
+} from '../../src/utils/tombstones.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+
+const tombstone = (id, deletedAt, extra = {}) => ({
+  dataType: 'blinkbudget_transactions',
+  id,
+  deletedAt,
+  deviceId: 'device-a',
+  ...extra,
+});
+
+describe('mergeTombstones', () => {
+  it('unions lists and keeps the latest change per record', () => {
+    const older = tombstone('a', '2026-10-01T00:00:00.000Z');
+    const newer = tombstone('a', '2026-10-02T00:00:00.000Z', {
+      deviceId: 'device-b',
+    });
+    const other = tombstone('b', '2026-09-30T00:00:00.000Z');
+
+    expect(mergeTombstones([older, other], [newer])).toEqual([other, newer]);
+    expect(mergeTombstones([newer], [older, other])).toEqual([other, newer]);
+  });
+
+  it('lets a revival win over the deletion it follows', () => {
+    const deleted = tombstone('a', '2026-10-01T00:00:00.000Z');
+    const revived = { ...deleted, revivedAt: '2026-10-05T00:00:00.000Z' };
+
+    expect(mergeTombstones([revived], [deleted])).toEqual([revived]);
+    expect(indexTombstones([revived], deleted.dataType).size).toBe(0);
+  });
+
+  it('keeps the same record in different collections apart', () => {
+    const merged = mergeTombstones([
+      tombstone('a', '2026-10-01T00:00:00.000Z'),
+      tombstone('a', '2026-10-01T00:00:00.000Z', {
+        dataType: 'blinkbudget_accounts',
+      }),
+    ]);
+    expect(merged).toHaveLength(2);
+  });
+});
+
+describe('pruneTombstones', () => {
+  it('drops tombstones older than the retention window', () => {
+    const fresh = tombstone('a', new Date(NOW - 10 * DAY).toISOString());
+    const stale = tombstone(
+      'b',
+      new Date(NOW - (TOMBSTONE_RETENTION_DAYS + 1) * DAY).toISOString()
+    );
+
+    expect(pruneTombstones([fresh, stale], NOW)).toEqual([fresh]);
+    expect(pruneTombstones([fresh, stale], NOW, 5)).toEqual([]);
+  });
+});
+
+describe('isTombstoned', () => {
+  const deleted = indexTombstones(
+    [tombstone('a', '2026-10-10T00:00:00.000Z')],
+    'blinkbudget_transactions'
+  );
+
+  it('deletes records last changed before the deletion', () => {
+    expect(
+      isTombstoned(deleted, { id: 'a', updatedAt: '2026-10-09T00:00:00.000Z' })
+    ).toBe(true);
+    expect(isTombstoned(deleted, { id: 'a' })).toBe(true);
+  });
+
+  it('keeps records edited after the deletion and unrelated records', () => {
+    expect(
+      isTombstoned(deleted, { id: 'a', updatedAt: '2026-10-11T00:00:00.000Z' })
+    ).toBe(false);
+    expect(dropTombstoned([{ id: 'a' }, { id: 'b' }], deleted)).toEqual([
+      { id: 'b' },
+    ]);
+  });
+});
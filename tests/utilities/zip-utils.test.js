@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { crc32, createZip } from '../../src/utils/zip-utils.js';
+
+const readBytes = blob =>
+  new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+
+describe('zip-utils', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('hello'))).toBe(0x3610a686);
+    expect(crc32(new Uint8Array())).toBe(0);
+  });
+
+  it('writes stored entries with a central directory', async () => {
+    const zip = await createZip(
+      [
+        { name: 'export.json', data: '{"ok":true}' },
+        { name: 'attachments/1-bon.pdf', data: new Uint8Array([1, 2, 3]) },
+      ],
+      new Date('2026-05-10T12:00:00')
+    );
+    expect(zip.type).toBe('application/zip');
+
+    const bytes = await readBytes(zip);
+    const view = new DataView(bytes.buffer);
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+
+    const centralOffset = view.getUint32(end + 16, true);
+    expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+
+    const nameLength = view.getUint16(26, true);
+    const name = new TextDecoder().decode(bytes.slice(30, 30 + nameLength));
+    const data = new TextDecoder().decode(
+      bytes.slice(30 + nameLength, 30 + nameLength + view.getUint32(18, true))
+    );
+    expect(name).toBe('export.json');
+    expect(data).toBe('{"ok":true}');
+  });
+});
@@ -19,6 +19,20 @@ const mockAnalyticsEngine = {
   calculateCostOfLiving: vi.fn(() => ({})),
   analyzeFrequencyPatterns: vi.fn(() => ({ categories: [] })),
   predictFutureSpending: vi.fn(() => ({ hasEnoughData: false })),
+  calculateCashFlow: vi.fn(() => ({
+    nodes: [],
+    links: [],
+    totalIncome: 0,
+    totalExpenses: 0,
+    netBalance: 0,
+  })),
+  calculateCategoryMonthPivot: vi.fn(() => ({
+    months: [],
+    rows: [],
+    columnTotals: [],
+    grandTotal: 0,
+    splitBy: 'none',
+  })),
 };
 
 vi.mock('../../src/core/analytics/AnalyticsInstance.js', () => ({
@@ -198,7 +212,7 @@ describe('ReportsView skeleton loading', () => {
 
     const chartContainer = view.querySelector('.reports-chart-container');
     expect(chartContainer).not.toBeNull();
-    expect(chartContainer.querySelectorAll('.skeleton-loader').length).toBe(5);
+    expect(chartContainer.querySelectorAll('.skeleton-loader').length).toBe(7);
 
     view.dispatchEvent(
       new CustomEvent('storage-updated', {
@@ -210,6 +224,6 @@ describe('ReportsView skeleton loading', () => {
     await Promise.resolve();
     await Promise.resolve();
 
-    expect(chartContainer.querySelectorAll('.skeleton-loader').length).toBe(5);
+    expect(chartContainer.querySelectorAll('.skeleton-loader').length).toBe(7);
   });
 });